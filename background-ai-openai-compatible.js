@@ -54,6 +54,13 @@
   const START_TIMEOUT_MS = 5000;
   const TERMINAL_GRACE_MS = 1000;
   const PROMPT_MAX_CHARS = 12000;
+  // Error classes a fallback chain can step past, each switchable in the popup.
+  const FAILOVER_RULES = Object.freeze(['rateLimit', 'timeout', 'serverError']);
+  // A service that is followed by another in the chain must start answering
+  // within this window, or the next service gets the request.
+  const FAILOVER_START_TIMEOUT_MS = 45000;
+  const BREAKER_FAILURE_THRESHOLD = 3;
+  const BREAKER_COOLDOWN_MS = 60000;
   const activePorts = new Set();
   const runtimeState = {
     service: null,
@@ -63,6 +70,11 @@
     lastFallbackMode: null,
     lastAttemptedModels: [],
   };
+  // service -> { failures, openUntil, trial }. Consecutive failover-class
+  // failures open a service's breaker; after the cooldown a single trial
+  // request is let through while the rest keep skipping the service, and a
+  // success closes it again.
+  const breakers = new Map();
   const capabilityCache = new Map();
   let capabilityHydrationPromise = null;
   const capabilityRefreshPromises = new Map();
@@ -84,7 +96,7 @@
     };
     for (const key of [
       'retryable', 'status', 'statusText', 'retryAfterMs', 'backend', 'service',
-      'phase', 'task', 'detail', 'model', 'providerReason',
+      'phase', 'task', 'detail', 'model', 'providerReason', 'failover',
     ]) {
       if (error[key] !== undefined) out[key] = cloneJson(error[key]);
     }
@@ -154,6 +166,10 @@
         openrouter: { apiKey: '', model: '' },
         custom: { baseUrl: '', apiKey: '', model: '' },
       },
+      failover: {
+        services: [],
+        on: { rateLimit: true, timeout: true, serverError: true },
+      },
     };
   }
 
@@ -172,6 +188,23 @@
     return trim(value).replace(/\/+$/, '').replace(/\/chat\/completions$/i, '');
   }
 
+  // Fallback services run in order after the active one. Each appears once,
+  // and the active service never appears as its own fallback.
+  function normalizeFailover(value, activeService) {
+    const raw = isObject(value) ? value : {};
+    const on = isObject(raw.on) ? raw.on : {};
+    const services = [];
+    for (const service of Array.isArray(raw.services) ? raw.services : []) {
+      if (SERVICES.includes(service) && service !== activeService && !services.includes(service)) {
+        services.push(service);
+      }
+    }
+    return {
+      services,
+      on: Object.fromEntries(FAILOVER_RULES.map(rule => [rule, on[rule] !== false])),
+    };
+  }
+
   function normalizeConfig(value) {
     const defaults = defaultConfig();
     const raw = isObject(value) ? value : {};
@@ -205,6 +238,7 @@
           model: trim(custom.model),
         },
       },
+      failover: normalizeFailover(raw.failover, activeService),
     };
   }
 
@@ -229,6 +263,7 @@
     const merged = cloneJson(previous);
     if (SERVICES.includes(update.activeService)) merged.activeService = update.activeService;
     if (update.inputCapTokens !== undefined) merged.inputCapTokens = update.inputCapTokens;
+    if (isObject(update.failover)) merged.failover = { ...merged.failover, ...update.failover };
     for (const service of SERVICES) {
       if (!isObject(updateProfiles[service])) continue;
       for (const [key, fieldValue] of Object.entries(updateProfiles[service])) {
@@ -241,8 +276,7 @@
     return config;
   }
 
-  function settingsFor(config) {
-    const service = config.activeService;
+  function settingsFor(config, service = config.activeService) {
     const profile = config.profiles[service];
     if (service === 'gemini') {
       const modelMode = profile.modelMode;
@@ -476,6 +510,7 @@
     runtimeState.lastResolvedAtIso = null;
     runtimeState.lastFallbackMode = null;
     runtimeState.lastAttemptedModels = [];
+    breakers.clear();
   }
 
   function rememberSuccess(settings, result) {
@@ -487,6 +522,34 @@
     runtimeState.lastAttemptedModels = [...(result.fallback?.attemptedModels || [result.model])];
   }
 
+  function serviceChain(config) {
+    return [config.activeService, ...config.failover.services];
+  }
+
+  function breakerSnapshot(service, now = Date.now()) {
+    const breaker = breakers.get(service);
+    if (!breaker) return { state: 'closed', failures: 0, retryAtIso: null };
+    const state = breaker.openUntil > now
+      ? 'open'
+      : (breaker.failures >= BREAKER_FAILURE_THRESHOLD ? 'half-open' : 'closed');
+    return {
+      state,
+      failures: breaker.failures,
+      retryAtIso: state === 'open' ? new Date(breaker.openUntil).toISOString() : null,
+    };
+  }
+
+  function publicFailover(config) {
+    const chain = serviceChain(config);
+    return {
+      services: [...config.failover.services],
+      on: { ...config.failover.on },
+      chain,
+      startTimeoutMs: FAILOVER_START_TIMEOUT_MS,
+      breakers: Object.fromEntries(chain.map(service => [service, breakerSnapshot(service)])),
+    };
+  }
+
   function publicConfig(config, settings, unresolved = false) {
     const profile = config.profiles[settings.service];
     const fallbackChain = settings.service === 'gemini' && settings.modelMode === 'auto' ? [...FALLBACK_MODELS] : [settings.model];
@@ -516,19 +579,23 @@
         resolution: unresolved ? 'pending' : 'settled',
       },
       lastAttemptedModels: runtimeState.service === settings.service ? [...runtimeState.lastAttemptedModels] : [],
+      failover: publicFailover(config),
       profiles: {
         gemini: {
+          configured: settingsFor(config, 'gemini').configured,
           keyConfigured: !!config.profiles.gemini.apiKey,
           modelMode: config.profiles.gemini.modelMode,
           model: config.profiles.gemini.model,
           baseUrl: GEMINI_BASE_URL,
         },
         openrouter: {
+          configured: settingsFor(config, 'openrouter').configured,
           keyConfigured: !!config.profiles.openrouter.apiKey,
           model: config.profiles.openrouter.model,
           baseUrl: OPENROUTER_BASE_URL,
         },
         custom: {
+          configured: settingsFor(config, 'custom').configured,
           keyConfigured: !!config.profiles.custom.apiKey,
           model: config.profiles.custom.model,
           baseUrl: config.profiles.custom.baseUrl,
@@ -726,13 +793,13 @@
     };
   }
 
-  function queryPayload(task, settings, model) {
+  function queryPayload(task, settings, model, stream = false) {
     const messages = [];
     if (task.output.type === 'json' && settings.service !== 'gemini') {
       messages.push({ role: 'system', content: schemaInstruction(task.output.schema) });
     }
     messages.push({ role: 'user', content: task.prompt });
-    const payload = { model, messages, stream: false };
+    const payload = { model, messages, stream };
     if (task.output.type === 'json') {
       payload.response_format = settings.service === 'gemini'
         ? { type: 'json_schema', json_schema: { name: 'betterdungeon_response', schema: cloneJson(task.output.schema) } }
@@ -845,10 +912,10 @@
     };
   }
 
-  async function fetchWithTimeout(url, init, signal) {
+  async function fetchWithTimeout(url, init, signal, timeoutMs = TIMEOUT_MS) {
     const controller = signal ? null : new AbortController();
     const requestSignal = signal || controller.signal;
-    const timer = setTimeout(() => controller?.abort(), TIMEOUT_MS);
+    const timer = setTimeout(() => controller?.abort(), timeoutMs);
     try {
       return await fetch(url, { ...init, signal: requestSignal });
     } finally {
@@ -877,17 +944,17 @@
     };
   }
 
-  async function queryAttempt(settings, task, model, attemptedModels) {
+  async function queryAttempt(settings, task, model, attemptedModels, timeoutMs = TIMEOUT_MS) {
     const info = queryPayload(task, settings, model);
     let response;
     try {
       response = await fetchWithTimeout(`${settings.baseUrl}/chat/completions`, {
         method: 'POST', headers: requestHeaders(settings), body: JSON.stringify(info.payload),
         credentials: 'omit', cache: 'no-store',
-      });
+      }, undefined, timeoutMs);
     } catch (error) {
       if (error?.name === 'AbortError') {
-        throw { code: 'timeout', message: `OpenAI-compatible query timed out after ${TIMEOUT_MS} ms.`, retryable: true, backend: PROVIDER_ID, service: settings.service, model };
+        throw { code: 'timeout', message: `OpenAI-compatible query timed out after ${timeoutMs} ms.`, retryable: true, backend: PROVIDER_ID, service: settings.service, model };
       }
       throw { code: 'backend_failed', message: error?.message || 'OpenAI-compatible request failed.', retryable: true, backend: PROVIDER_ID, service: settings.service, model };
     }
@@ -901,30 +968,28 @@
     if (choice?.finish_reason === 'content_filter') throw blockedError('content_filter', model, settings.service);
     const text = typeof choice?.message?.content === 'string' ? choice.message.content : '';
     if (!text) throw { code: 'invalid_response', message: 'OpenAI-compatible provider returned no message content.', retryable: false, backend: PROVIDER_ID, service: settings.service, model };
-    const finishReason = trim(choice?.finish_reason) || null;
     const base = resultBase(settings, model, data?.model, data?.usage, info.thinking, attemptedModels);
-    const result = task.output.type === 'json'
-      ? (() => {
-          try { return { ...base, json: JSON.parse(text), text, finishReason, outputTruncated: finishReason === 'length' }; }
-          catch (error) { throw { code: 'invalid_response', message: 'OpenAI-compatible provider returned invalid JSON text.', retryable: false, backend: PROVIDER_ID, service: settings.service, detail: error?.message, model }; }
-        })()
-      : { ...base, text, finishReason, outputTruncated: finishReason === 'length' };
+    const result = queryResult(task, settings, model, base, text, trim(choice?.finish_reason) || null);
     rememberSuccess(settings, result);
     return result;
   }
 
-  async function callQuery(config, task) {
-    const settings = settingsFor(config);
-    if (!settings.configured) throw notConfigured(settings);
-    const attempted = [];
+  function queryResult(task, settings, model, base, text, finishReason) {
+    if (task.output.type !== 'json') return { ...base, text, finishReason, outputTruncated: finishReason === 'length' };
+    try { return { ...base, json: JSON.parse(text), text, finishReason, outputTruncated: finishReason === 'length' }; }
+    catch (error) { throw { code: 'invalid_response', message: 'OpenAI-compatible provider returned invalid JSON text.', retryable: false, backend: PROVIDER_ID, service: settings.service, detail: error?.message, model }; }
+  }
+
+  // Gemini automatic mode steps down its model list on 429s before the
+  // service as a whole counts as rate limited.
+  async function eachModel(settings, attempt) {
     const models = modelsFor(settings);
+    const attempted = [];
     for (let index = 0; index < models.length; index += 1) {
       const model = models[index];
       attempted.push(model);
       try {
-        const result = await queryAttempt(settings, task, model, attempted);
-        result.status = statusSnapshot(config, settings);
-        return result;
+        return await attempt(model, attempted);
       } catch (error) {
         if (!(error?.code === 'rate_limit' && settings.service === 'gemini' && settings.modelMode === 'auto' && index < models.length - 1)) throw error;
       }
@@ -932,6 +997,123 @@
     throw { code: 'rate_limit', message: 'All automatic Gemini models are rate limited.', retryable: true, backend: PROVIDER_ID, service: 'gemini' };
   }
 
+  // Bad keys, bad args, content filters and malformed output would fail the
+  // same way on the next service, so only these classes fail over.
+  function failoverClass(error) {
+    if (error?.code === 'rate_limit') return 'rateLimit';
+    if (error?.code === 'timeout') return 'timeout';
+    if (error?.code === 'backend_failed' && error.retryable === true) return 'serverError';
+    return null;
+  }
+
+  // Whether a request may try `service` now. A half-open breaker admits one
+  // trial at a time; endTrial() lets the next one in if it did not settle
+  // the breaker.
+  function breakerAdmits(service) {
+    const breaker = breakers.get(service);
+    if (!breaker) return true;
+    if (breaker.openUntil > Date.now()) return false;
+    if (breaker.failures < BREAKER_FAILURE_THRESHOLD) return true;
+    if (breaker.trial) return false;
+    breaker.trial = true;
+    return true;
+  }
+
+  function endTrial(service) {
+    const breaker = breakers.get(service);
+    if (breaker) breaker.trial = false;
+  }
+
+  function recordFailure(service) {
+    const breaker = breakers.get(service) || { failures: 0, openUntil: 0, trial: false };
+    breaker.failures += 1;
+    if (breaker.failures >= BREAKER_FAILURE_THRESHOLD) breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    breakers.set(service, breaker);
+  }
+
+  // The services a task may run on, in order. A tool round stays on the
+  // service that started it, since its continuation only replays there; a
+  // continuation from outside the chain goes to the active service and is
+  // rejected as a mismatch.
+  function taskChain(config, task) {
+    const chain = serviceChain(config);
+    const pinned = task?.continuation?.service;
+    if (pinned) return [chain.includes(pinned) ? pinned : chain[0]];
+    return chain;
+  }
+
+  function withFailover(error, failover) {
+    return isObject(error) ? { ...error, failover } : error;
+  }
+
+  // Runs `attempt(settings, { timeoutMs })` on each service of the chain in
+  // turn. Unconfigured fallbacks and services with an open breaker are
+  // skipped; breakers only apply when there is a fallback to skip to. The
+  // attempt reports `committed()` once output has reached the caller, after
+  // which nothing fails over. Results and final errors carry `failover`.
+  async function runChain(config, task, attempt, signal = null) {
+    const chain = taskChain(config, task);
+    const attempts = [];
+    const failover = () => ({
+      chain: [...chain],
+      answeredBy: null,
+      failedOver: false,
+      attempts: cloneJson(attempts),
+    });
+    let lastError = null;
+    for (let index = 0; index < chain.length; index += 1) {
+      const service = chain[index];
+      const settings = settingsFor(config, service);
+      if (!settings.configured) {
+        if (index === 0) throw withFailover(notConfigured(settings), failover());
+        attempts.push({ service, skipped: 'not_configured' });
+        continue;
+      }
+      if (chain.length > 1 && !breakerAdmits(service)) {
+        attempts.push({ service, skipped: 'circuit_open' });
+        continue;
+      }
+      const hasNext = index < chain.length - 1;
+      let committed = false;
+      try {
+        const result = await attempt(settings, {
+          timeoutMs: hasNext && config.failover.on.timeout ? FAILOVER_START_TIMEOUT_MS : TIMEOUT_MS,
+          committed: () => { committed = true; },
+        });
+        breakers.delete(service);
+        attempts.push({ service, ok: true });
+        result.failover = { ...failover(), answeredBy: service, failedOver: service !== chain[0] };
+        result.status = statusSnapshot(config);
+        return result;
+      } catch (error) {
+        const errorClass = failoverClass(error);
+        if (errorClass) recordFailure(service);
+        attempts.push({ service, code: error?.code || 'backend_failed' });
+        lastError = error;
+        if (!errorClass || !config.failover.on[errorClass] || committed || signal?.aborted) {
+          throw withFailover(error, failover());
+        }
+      } finally {
+        endTrial(service);
+      }
+    }
+    if (lastError) throw withFailover(lastError, failover());
+    const retryAt = Math.min(...chain.map(service => breakers.get(service)?.openUntil || Infinity));
+    throw withFailover({
+      code: 'unavailable',
+      message: 'Every service in the AI fallback chain is cooling down after repeated failures.',
+      retryable: true,
+      retryAfterMs: Number.isFinite(retryAt) ? Math.max(0, retryAt - Date.now()) : undefined,
+      backend: PROVIDER_ID,
+      service: chain[0],
+    }, failover());
+  }
+
+  function callQuery(config, task) {
+    return runChain(config, task, (settings, { timeoutMs }) =>
+      eachModel(settings, (model, attempted) => queryAttempt(settings, task, model, attempted, timeoutMs)));
+  }
+
   function takeSseFrame(buffer) {
     const match = /\r?\n\r?\n/.exec(buffer);
     if (!match) return null;
@@ -1120,39 +1302,51 @@
     };
   }
 
-  async function chatAttempt(config, settings, task, session, model, attempted, onDelta) {
-    const info = chatPayload(task, settings, model);
+  function sessionAbortError(session, settings, model, kind) {
+    const timeout = session.abortReason === 'timeout';
+    return {
+      code: timeout ? 'timeout' : 'aborted',
+      message: timeout ? `OpenAI-compatible ${kind} timed out after ${session.timeoutMs || TIMEOUT_MS} ms.` : `AI ${kind} request was aborted.`,
+      retryable: timeout,
+      backend: PROVIDER_ID,
+      service: settings.service,
+      model,
+    };
+  }
+
+  async function streamCompletion(settings, payload, session, model, onDelta, kind) {
     let response;
     try {
       response = await fetchWithTimeout(`${settings.baseUrl}/chat/completions`, {
-        method: 'POST', headers: requestHeaders(settings), body: JSON.stringify(info.payload),
+        method: 'POST', headers: requestHeaders(settings), body: JSON.stringify(payload),
         credentials: 'omit', cache: 'no-store',
       }, session.controller.signal);
     } catch (error) {
-      if (session.controller.signal.aborted) {
-        const timeout = session.abortReason === 'timeout';
-        throw { code: timeout ? 'timeout' : 'aborted', message: timeout ? `OpenAI-compatible chat timed out after ${TIMEOUT_MS} ms.` : 'AI chat request was aborted.', retryable: timeout, backend: PROVIDER_ID, service: settings.service, model };
-      }
-      throw { code: 'backend_failed', message: error?.message || 'OpenAI-compatible chat request failed.', retryable: true, backend: PROVIDER_ID, service: settings.service, model };
+      if (session.controller.signal.aborted) throw sessionAbortError(session, settings, model, kind);
+      throw { code: 'backend_failed', message: error?.message || `OpenAI-compatible ${kind} request failed.`, retryable: true, backend: PROVIDER_ID, service: settings.service, model };
     }
     if (!response.ok) throw httpError(response, await response.text(), model, settings);
-    let streamed;
+    session.onResponse?.();
     try {
-      streamed = await readStream(response, model, settings, onDelta);
+      return await readStream(response, model, settings, onDelta);
     } catch (error) {
-      if (session.controller.signal.aborted) {
-        const timeout = session.abortReason === 'timeout';
-        throw {
-          code: timeout ? 'timeout' : 'aborted',
-          message: timeout ? `OpenAI-compatible chat timed out after ${TIMEOUT_MS} ms.` : 'AI chat request was aborted.',
-          retryable: timeout,
-          backend: PROVIDER_ID,
-          service: settings.service,
-          model,
-        };
-      }
+      if (session.controller.signal.aborted) throw sessionAbortError(session, settings, model, kind);
       throw error;
     }
+  }
+
+  async function queryStreamAttempt(config, settings, task, session, model, attempted, onDelta) {
+    const info = queryPayload(task, settings, model, true);
+    const streamed = await streamCompletion(settings, info.payload, session, model, onDelta, 'query');
+    const base = resultBase(settings, model, streamed.providerModel, streamed.usage, info.thinking, attempted);
+    const result = queryResult(task, settings, model, base, streamed.text, streamed.finishReason);
+    rememberSuccess(settings, result);
+    return result;
+  }
+
+  async function chatAttempt(config, settings, task, session, model, attempted, onDelta) {
+    const info = chatPayload(task, settings, model);
+    const streamed = await streamCompletion(settings, info.payload, session, model, onDelta, 'chat');
     const base = resultBase(settings, model, streamed.providerModel, streamed.usage, info.thinking, attempted);
     const result = {
       ...base,
@@ -1167,25 +1361,37 @@
       } : null,
     };
     rememberSuccess(settings, result);
-    result.status = statusSnapshot(config, settings);
     return result;
   }
 
-  async function callChatStream(config, task, session, onDelta) {
-    const settings = settingsFor(config);
-    if (!settings.configured) throw notConfigured(settings);
-    const models = modelsFor(settings);
-    const attempted = [];
-    for (let index = 0; index < models.length; index += 1) {
-      const model = models[index];
-      attempted.push(model);
+  // Each service gets its own abort controller, tied to the port session's,
+  // so a start timeout can cut one service short and leave the session open
+  // for the next. The timer stops once the service responds, and the first
+  // delta commits the request to it.
+  function callStream(config, task, session, onDelta) {
+    const attempt = task.op === 'query' ? queryStreamAttempt : chatAttempt;
+    return runChain(config, task, async (settings, { timeoutMs, committed }) => {
+      const serviceSession = { controller: new AbortController(), abortReason: null, timeoutMs };
+      const forward = () => {
+        serviceSession.abortReason = session.abortReason;
+        serviceSession.controller.abort();
+      };
+      session.controller.signal.addEventListener('abort', forward, { once: true });
+      const timer = timeoutMs < TIMEOUT_MS ? setTimeout(() => {
+        serviceSession.abortReason = 'timeout';
+        serviceSession.controller.abort();
+      }, timeoutMs) : null;
+      serviceSession.onResponse = () => clearTimeout(timer);
       try {
-        return await chatAttempt(config, settings, task, session, model, attempted, onDelta);
-      } catch (error) {
-        if (!(error?.code === 'rate_limit' && settings.service === 'gemini' && settings.modelMode === 'auto' && index < models.length - 1)) throw error;
+        return await eachModel(settings, (model, attempted) => attempt(config, settings, task, serviceSession, model, attempted, (text, sequence) => {
+          committed();
+          onDelta(text, sequence);
+        }));
+      } finally {
+        clearTimeout(timer);
+        session.controller.signal.removeEventListener('abort', forward);
       }
-    }
-    throw { code: 'rate_limit', message: 'All automatic Gemini models are rate limited.', retryable: true, backend: PROVIDER_ID, service: 'gemini' };
+    }, session.controller.signal);
   }
 
   async function handle(request = {}) {
@@ -1197,7 +1403,8 @@
     const config = await getConfig();
     if (op === 'settings:get' || op === 'status') return await status(config);
     if (op === 'test') {
-      return callQuery(config, normalizeTask({
+      // The popup tests the selected service itself, never its fallbacks.
+      return callQuery({ ...config, failover: { ...config.failover, services: [] } }, normalizeTask({
         id: 'popup-test',
         prompt: 'Reply with exactly: BetterDungeon AI ready',
         output: { type: 'text' },
@@ -1268,7 +1475,10 @@
       if (!session.requestId) return teardown('invalid-request-id');
       let task;
       try {
-        task = normalizeChatTask(message.task);
+        // Query tasks share the chat port so `ai.query` can stream tokens too.
+        task = message.task?.op === 'query'
+          ? { ...normalizeTask(message.task), op: 'query' }
+          : { ...normalizeChatTask(message.task), op: 'chat' };
         if (task.id && task.id !== session.requestId) throw { code: 'invalid_args', message: 'Chat request id does not match the task id.', retryable: false };
       } catch (error) {
         session.started = true;
@@ -1285,7 +1495,7 @@
         session.controller.abort();
       }, TIMEOUT_MS);
       getConfig()
-        .then(config => callChatStream(config, task, session, (text, sequence) => {
+        .then(config => callStream(config, task, session, (text, sequence) => {
           if (!session.closed && !session.terminal && !safePost({ v: 1, type: 'delta', requestId: session.requestId, sequence, text })) teardown('delta-post-failed');
         }))
         .then(result => { clearTimeout(timeout); if (!session.closed) terminal('complete', { result }); })
@@ -19,6 +19,10 @@
   }
 
   const WEBFETCH_MESSAGE = 'ULTRASCRIPTS_WEBFETCH_FETCH';
+  const WEBFETCH_PROGRESS_MESSAGE = 'ULTRASCRIPTS_WEBFETCH_PROGRESS';
+  const WEBFETCH_PROGRESS_INTERVAL_MS = 250;
+  const WEBFETCH_ABORT_MESSAGE = 'ULTRASCRIPTS_WEBFETCH_ABORT';
+  const IMAGE_FETCH_MESSAGE = 'ULTRASCRIPTS_IMAGE_FETCH';
   const SDK_MESSAGE = 'ULTRASCRIPTS_SDK_REQUEST';
   const DEFAULT_TIMEOUT_MS = 15000;
   const MAX_TIMEOUT_MS = 30000;
@@ -33,6 +37,9 @@
   const WEBFETCH_DNR_BLOCK_RULE_ID = 910001;
   const WEBFETCH_DNR_ALLOW_RULE_ID = 910002;
   const SAFE_METHODS = new Set(['GET', 'HEAD']);
+  const MAX_IMAGE_BYTES = 262144;
+  // Raster formats only; SVG is a document that can pull in other resources.
+  const IMAGE_CONTENT_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif']);
 
   const extensionApi =
     (typeof browser !== 'undefined' && browser?.declarativeNetRequest) ? browser :
@@ -69,6 +76,7 @@
     'webfetch',
     'clock',
     'sdk',
+    'storage',
     'weather',
     'network',
     'system',
@@ -226,7 +234,7 @@
     return true;
   }
 
-  async function fetchWebFetchHop(url, options, timeoutMs) {
+  async function fetchWebFetchHop(url, options, timeoutMs, signal = null) {
     let guarded = false;
     try {
       guarded = await installWebFetchRedirectGuard(url);
@@ -237,6 +245,9 @@
     let redirectUrl = null;
     const controller = new AbortController();
     const timer = setTimeout(() => controller.abort(), timeoutMs);
+    // Left attached on purpose: a cancel while the body is still streaming
+    // must abort the same fetch after this hop has returned.
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
     const networkUrl = webFetchNetworkUrl(url);
     const redirectListener = (details) => {
       if (webFetchNetworkUrl(details?.url) !== networkUrl) return;
@@ -458,8 +469,48 @@
     return out;
   }
 
-  async function readBodyBytes(response, maxBodyBytes) {
+  // Progress goes back to the requesting frame as fire-and-forget tab
+  // messages, throttled so a fast download does not flood the content script.
+  function createWebFetchProgressReporter(sender, progressId) {
+    const tabs = (typeof chrome !== 'undefined' && chrome?.tabs) || (typeof browser !== 'undefined' && browser?.tabs) || null;
+    const tabId = sender?.tab?.id;
+    if (typeof progressId !== 'string' || !progressId || !Number.isInteger(tabId) || !tabs?.sendMessage) return null;
+    const options = Number.isInteger(sender.frameId) ? { frameId: sender.frameId } : undefined;
+    let lastSentAt = 0;
+
+    return (progress, force = false) => {
+      const now = Date.now();
+      if (!force && now - lastSentAt < WEBFETCH_PROGRESS_INTERVAL_MS) return;
+      lastSentAt = now;
+      try {
+        const maybePromise = tabs.sendMessage(tabId, { type: WEBFETCH_PROGRESS_MESSAGE, progressId, progress }, options);
+        if (maybePromise && typeof maybePromise.catch === 'function') maybePromise.catch(() => {});
+      } catch { /* the tab may have navigated away */ }
+    };
+  }
+
+  // Content scripts cancel a fetch by sending WEBFETCH_ABORT_MESSAGE with the
+  // `abortId` they attached to the request. Keys include the sender frame so
+  // one tab cannot cancel another tab's fetch.
+  const webFetchAborts = new Map(); // abort key -> AbortController
+
+  function webFetchAbortKey(sender, abortId) {
+    if (typeof abortId !== 'string' || !abortId) return null;
+    return `${sender?.tab?.id ?? 'extension'}:${sender?.frameId ?? 0}:${abortId}`;
+  }
+
+  function webFetchCancelled() {
+    return { code: 'cancelled', message: 'WebFetch was cancelled' };
+  }
+
+  async function readBodyBytes(response, maxBodyBytes, onProgress = null) {
     const contentLength = Number(response.headers.get('content-length') || 0);
+    const reportProgress = (receivedBytes, force) => onProgress?.({
+      phase: 'body',
+      receivedBytes,
+      totalBytes: contentLength > 0 ? contentLength : null,
+      maxBodyBytes,
+    }, force);
 
     if (!response.body || typeof response.body.getReader !== 'function') {
       const buffer = await response.arrayBuffer();
@@ -504,11 +555,13 @@
 
         chunks.push(chunk);
         returnedBytes += chunk.length;
+        reportProgress(returnedBytes, false);
       }
     } finally {
       try { reader.releaseLock?.(); } catch { /* noop */ }
     }
 
+    reportProgress(returnedBytes, true);
     return {
       bytes: concatBytes(chunks, returnedBytes),
       totalBytes: contentLength > 0 ? contentLength : returnedBytes,
@@ -517,10 +570,69 @@
     };
   }
 
-  async function handleWebFetchUnlocked(request = {}) {
-    let url = validateWebFetchUrl(request.url);
+  // Follows redirects one validated hop at a time, dropping caller headers
+  // when the origin changes. Returns the final response and where it landed.
+  async function followWebFetchRedirects(url, options, deadline, timeoutMs, signal = null) {
+    let headers = options.headers;
+    const visited = new Set([url.href]);
+    let redirectCount = 0;
+
+    while (true) {
+      if (signal?.aborted) throw webFetchCancelled();
+      const remainingMs = deadline - Date.now();
+      if (remainingMs <= 0) {
+        throw { code: 'timeout', message: `WebFetch timed out after ${timeoutMs} ms` };
+      }
+      const hop = await fetchWebFetchHop(url, {
+        method: options.method,
+        headers,
+        credentials: 'omit',
+        cache: 'no-store',
+        referrer: '',
+        referrerPolicy: 'no-referrer',
+      }, remainingMs, signal);
+
+      const response = hop.response || null;
+      const redirectLocation = hop.redirectUrl || (
+        response && REDIRECT_STATUSES.has(response.status)
+          ? response.headers.get('location')
+          : null
+      );
+
+      if (!hop.redirectUrl && (!response || !REDIRECT_STATUSES.has(response.status))) {
+        return { response, url, redirectCount };
+      }
+      if (!redirectLocation) {
+        throw { code: 'redirect_blocked', message: 'Redirect response did not include a readable Location header' };
+      }
+      if (redirectCount >= MAX_WEBFETCH_REDIRECTS) {
+        throw { code: 'redirect_limit', message: `WebFetch exceeded ${MAX_WEBFETCH_REDIRECTS} redirects` };
+      }
+
+      const nextUrl = validateWebFetchUrl(new URL(redirectLocation, url).href);
+      if (visited.has(nextUrl.href)) {
+        throw { code: 'redirect_loop', message: 'WebFetch detected a redirect loop' };
+      }
+      if (urlOrigin(nextUrl) !== urlOrigin(url)) headers = {};
+      url = nextUrl;
+      visited.add(url.href);
+      redirectCount++;
+    }
+  }
+
+  function webFetchFailure(err, signal, timeoutMs) {
+    if (err?.name === 'AbortError') {
+      if (signal?.aborted) return webFetchCancelled();
+      return { code: 'timeout', message: `WebFetch timed out after ${timeoutMs} ms` };
+    }
+    if (err && typeof err === 'object' && typeof err.code === 'string') return err;
+    return { code: 'webfetch_failed', message: err?.message || 'WebFetch failed' };
+  }
+
+  async function handleWebFetchUnlocked(request = {}, onProgress = null, signal = null) {
+    const url = validateWebFetchUrl(request.url);
     const method = String(request.method || 'GET').toUpperCase();
-    let headers = sanitizeWebFetchHeaders(request.headers);
+    const headers = sanitizeWebFetchHeaders(request.headers);
     const timeoutMs = clampNumber(request.timeoutMs, DEFAULT_TIMEOUT_MS, 1000, MAX_TIMEOUT_MS);
     const maxBodyBytes = clampNumber(request.maxBodyBytes, DEFAULT_MAX_BODY_BYTES, 1024, MAX_BODY_BYTES);
 
@@ -531,50 +643,14 @@
       throw { code: 'invalid_args', message: `${method} requests cannot include a body` };
     }
 
-    const deadline = Date.now() + timeoutMs;
-    const visited = new Set([url.href]);
-    let redirectCount = 0;
-
     try {
-      let response;
-      while (true) {
-        const remainingMs = deadline - Date.now();
-        if (remainingMs <= 0) {
-          throw { code: 'timeout', message: `WebFetch timed out after ${timeoutMs} ms` };
-        }
-        const hop = await fetchWebFetchHop(url, {
-          method,
-          headers,
-          credentials: 'omit',
-          cache: 'no-store',
-          referrer: '',
-          referrerPolicy: 'no-referrer',
-        }, remainingMs);
-
-        response = hop.response || null;
-        const redirectLocation = hop.redirectUrl || (
-          response && REDIRECT_STATUSES.has(response.status)
-            ? response.headers.get('location')
-            : null
-        );
-
-        if (!hop.redirectUrl && (!response || !REDIRECT_STATUSES.has(response.status))) break;
-        if (!redirectLocation) {
-          throw { code: 'redirect_blocked', message: 'Redirect response did not include a readable Location header' };
-        }
-        if (redirectCount >= MAX_WEBFETCH_REDIRECTS) {
-          throw { code: 'redirect_limit', message: `WebFetch exceeded ${MAX_WEBFETCH_REDIRECTS} redirects` };
-        }
-
-        const nextUrl = validateWebFetchUrl(new URL(redirectLocation, url).href);
-        if (visited.has(nextUrl.href)) {
-          throw { code: 'redirect_loop', message: 'WebFetch detected a redirect loop' };
-        }
-        if (urlOrigin(nextUrl) !== urlOrigin(url)) headers = {};
-        url = nextUrl;
-        visited.add(url.href);
-        redirectCount++;
-      }
+      const { response, url: finalUrl, redirectCount } = await followWebFetchRedirects(
+        url,
+        { method, headers },
+        Date.now() + timeoutMs,
+        timeoutMs,
+        signal,
+      );
 
       const responseHeaders = {};
       response.headers.forEach((value, key) => {
@@ -589,12 +665,19 @@
           message: `WebFetch only returns text-like content; received '${contentType || 'unknown'}'`,
         };
       }
+      onProgress?.({
+        phase: 'headers',
+        status: response.status,
+        redirectCount,
+        contentType,
+        totalBytes: Number(response.headers.get('content-length') || 0) || null,
+      }, true);
       const body = method === 'HEAD'
         ? { bytes: new Uint8Array(0), totalBytes: 0, returnedBytes: 0, truncated: false }
-        : await readBodyBytes(response, maxBodyBytes);
+        : await readBodyBytes(response, maxBodyBytes, onProgress);
 
       return {
-        url: response.url || url.href,
+        url: response.url || finalUrl.href,
         redirected: redirectCount > 0,
         redirectCount,
         status: response.status,
@@ -609,18 +692,76 @@
         truncated: body.truncated,
       };
     } catch (err) {
-      if (err?.name === 'AbortError') {
-        throw { code: 'timeout', message: `WebFetch timed out after ${timeoutMs} ms` };
+      throw webFetchFailure(err, signal, timeoutMs);
+    }
+  }
+
+  function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  // Widget images take the WebFetch path (same URL rules, no cookies, no
+  // referrer) but only accept raster images and come back as a data: URL
+  // the page can show without making its own request.
+  async function handleImageFetchUnlocked(request = {}) {
+    const url = validateWebFetchUrl(request.url);
+    const timeoutMs = clampNumber(request.timeoutMs, DEFAULT_TIMEOUT_MS, 1000, MAX_TIMEOUT_MS);
+
+    try {
+      const { response, url: finalUrl } = await followWebFetchRedirects(
+        url,
+        { method: 'GET', headers: { Accept: [...IMAGE_CONTENT_TYPES].join(',') } },
+        Date.now() + timeoutMs,
+        timeoutMs,
+      );
+      if (!response.ok) {
+        throw {
+          code: 'http_error',
+          message: `Image request failed with status ${response.status}`,
+          status: response.status,
+          statusText: response.statusText,
+        };
+      }
+
+      const contentType = String(response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+      if (!IMAGE_CONTENT_TYPES.has(contentType)) {
+        throw {
+          code: 'content_type_blocked',
+          message: `Widget images must be PNG, JPEG, GIF, WebP or AVIF; received '${contentType || 'unknown'}'`,
+        };
+      }
+      const body = await readBodyBytes(response, MAX_IMAGE_BYTES);
+      if (body.truncated) {
+        throw { code: 'too_large', message: `Widget images must be ${MAX_IMAGE_BYTES} bytes or smaller` };
       }
-      if (err && typeof err === 'object' && typeof err.code === 'string') throw err;
-      throw { code: 'webfetch_failed', message: err?.message || 'WebFetch failed' };
+
+      return {
+        url: response.url || finalUrl.href,
+        contentType,
+        bytes: body.returnedBytes,
+        dataUrl: `data:${contentType};base64,${bytesToBase64(body.bytes)}`,
+      };
+    } catch (err) {
+      throw webFetchFailure(err, null, timeoutMs);
     }
   }
 
-  function handleWebFetch(request = {}) {
+  function handleWebFetch(request = {}, onProgress = null, signal = null) {
+    return withPrivilegedNetworkLock(async () => {
+      await webFetchGuardReady;
+      if (signal?.aborted) throw webFetchCancelled();
+      return handleWebFetchUnlocked(request, onProgress, signal);
+    });
+  }
+
+  function handleImageFetch(request = {}) {
     return withPrivilegedNetworkLock(async () => {
       await webFetchGuardReady;
-      return handleWebFetchUnlocked(request);
+      return handleImageFetchUnlocked(request);
     });
   }
 
@@ -724,10 +865,41 @@
     return getSdkConfigSnapshot();
   }
 
-  extensionRuntime.onMessage.addListener((message, _sender, sendResponse) => {
+  extensionRuntime.onMessage.addListener((message, sender, sendResponse) => {
     if (!message || message.type !== WEBFETCH_MESSAGE) return false;
 
-    handleWebFetch(message.request)
+    const abortKey = webFetchAbortKey(sender, message.request?.abortId);
+    const controller = abortKey ? new AbortController() : null;
+    if (abortKey) webFetchAborts.set(abortKey, controller);
+
+    handleWebFetch(
+      message.request,
+      createWebFetchProgressReporter(sender, message.request?.progressId),
+      controller?.signal || null
+    )
+      .then((data) => sendResponse({ ok: true, data }))
+      .catch((error) => sendResponse({ ok: false, error: normalizeError(error) }))
+      .finally(() => {
+        if (abortKey && webFetchAborts.get(abortKey) === controller) webFetchAborts.delete(abortKey);
+      });
+    return true;
+  });
+
+  extensionRuntime.onMessage.addListener((message, sender) => {
+    if (!message || message.type !== WEBFETCH_ABORT_MESSAGE) return false;
+    const abortKey = webFetchAbortKey(sender, message.abortId);
+    const controller = abortKey ? webFetchAborts.get(abortKey) : null;
+    if (controller) {
+      webFetchAborts.delete(abortKey);
+      controller.abort();
+    }
+    return false;
+  });
+
+  extensionRuntime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (!message || message.type !== IMAGE_FETCH_MESSAGE) return false;
+
+    handleImageFetch(message.request)
       .then((data) => sendResponse({ ok: true, data }))
       .catch((error) => sendResponse({ ok: false, error: normalizeError(error) }));
     return true;
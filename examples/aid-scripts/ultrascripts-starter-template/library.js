@@ -111,7 +111,9 @@ function createUltrascriptsSdk() {
   var store = state.__ultrascriptsSdk;
   store.pendingRequests = store.pendingRequests || [];
   store.pendingAcks = store.pendingAcks || [];
+  store.pendingCancels = store.pendingCancels || [];
   store.results = store.results || {};
+  store.partials = store.partials || {};
   store.reqCounter = Number(store.reqCounter || 0);
   if (typeof store.heartbeatAvailable !== 'boolean') store.heartbeatAvailable = false;
 
@@ -276,6 +278,32 @@ function createUltrascriptsSdk() {
     }
   }
 
+  // Streaming ops write `partial` responses whose chunks carry increasing seq
+  // numbers. Keep every chunk not seen yet; `missed` counts chunks that rolled
+  // off the response card between turns.
+  function rememberPartial(requestId, response) {
+    var known = store.partials[requestId];
+    if (!known || Number(response.seq || 0) < known.seq) known = { seq: 0, missed: 0, chunks: [] };
+    var firstSeq = Number(response.firstSeq || 1);
+    if (firstSeq > known.seq + 1) known.missed += firstSeq - known.seq - 1;
+    var chunks = Array.isArray(response.chunks) ? response.chunks : [];
+    for (var i = 0; i < chunks.length; i++) {
+      var chunk = chunks[i];
+      if (!chunk || Number(chunk.seq || 0) <= known.seq) continue;
+      known.chunks.push(chunk.data);
+      known.seq = Number(chunk.seq);
+    }
+    while (known.chunks.length > 200) {
+      known.chunks.shift();
+      known.missed += 1;
+    }
+    store.partials[requestId] = known;
+  }
+
+  function progress(requestId) {
+    return store.partials[requestId] || null;
+  }
+
   function tick() {
     var hb = heartbeat();
     var mods = moduleList(hb);
@@ -289,9 +317,12 @@ function createUltrascriptsSdk() {
         if (!Object.prototype.hasOwnProperty.call(card.responses, requestId)) continue;
         var response = card.responses[requestId];
         if (!response) continue;
-        if (response.status === 'ok' || response.status === 'err' || response.status === 'timeout') {
+        if (response.status === 'ok' || response.status === 'err' || response.status === 'timeout' || response.status === 'cancelled') {
           rememberResult(moduleId, requestId, response);
+          delete store.partials[requestId];
           if (store.pendingAcks.indexOf(requestId) === -1) store.pendingAcks.push(requestId);
+        } else if (response.status === 'partial') {
+          rememberPartial(requestId, response);
         }
       }
     }
@@ -310,6 +341,20 @@ function createUltrascriptsSdk() {
     return requestId;
   }
 
+  // Asks the extension to stop a request that is still queued or running.
+  // The request then finishes with status 'cancelled' like any other result.
+  function cancel(requestId) {
+    if (typeof requestId !== 'string' || !requestId) return false;
+    for (var i = 0; i < store.pendingRequests.length; i++) {
+      if (store.pendingRequests[i] && store.pendingRequests[i].id === requestId) {
+        store.pendingRequests.splice(i, 1);
+        return true;
+      }
+    }
+    if (store.pendingCancels.indexOf(requestId) === -1) store.pendingCancels.push(requestId);
+    return true;
+  }
+
   function latest(moduleId, opName) {
     var bucket = store.results[moduleId];
     if (!bucket) return null;
@@ -375,14 +420,16 @@ function createUltrascriptsSdk() {
   }
 
   function commit() {
-    if (store.pendingRequests.length === 0 && store.pendingAcks.length === 0) return;
+    if (store.pendingRequests.length === 0 && store.pendingAcks.length === 0 && store.pendingCancels.length === 0) return;
     upsertCard('ultrascripts:out', JSON.stringify({
       v: 1,
       requests: store.pendingRequests,
-      acks: store.pendingAcks
+      acks: store.pendingAcks,
+      cancel: store.pendingCancels
     }));
     store.pendingRequests = [];
     store.pendingAcks = [];
+    store.pendingCancels = [];
   }
 
   return {
@@ -396,7 +443,9 @@ function createUltrascriptsSdk() {
     has: has,
     tick: tick,
     call: call,
+    cancel: cancel,
     latest: latest,
+    progress: progress,
     defineWidget: defineWidget,
     publishWidget: publishWidget,
     widgetEvents: widgetEvents,
@@ -532,10 +581,10 @@ function buildStatusLine(us, cfg, clock, aiStatus) {
 var TEMPLATE_TEST_STEPS = [
   {
     label: 'api-surface',
-    desc: 'All 16 SDK helper functions exist and are callable',
+    desc: 'All 18 SDK helper functions exist and are callable',
     run: function (us) {
       var expected = ['findCard', 'upsertCard', 'parseCard', 'liveCount', 'heartbeat', 'observeHeartbeat',
-        'available', 'has', 'tick', 'call', 'latest',
+        'available', 'has', 'tick', 'call', 'cancel', 'latest', 'progress',
         'defineWidget', 'publishWidget', 'widgetEvents', 'ackWidget', 'commit'];
       var missing = [];
       for (var i = 0; i < expected.length; i++) {
@@ -591,6 +640,24 @@ var TEMPLATE_TEST_STEPS = [
       return { pass: true, detail: 'requestId=' + reqId };
     }
   },
+  {
+    label: 'cancel-queue',
+    desc: 'cancel() drops an uncommitted request and queues cancels for sent ones',
+    run: function (us) {
+      var store = state.__ultrascriptsSdk;
+      var beforeLen = store.pendingRequests.length;
+      var reqId = us.call('test-probe', 'ping', { value: 2 });
+      if (!us.cancel(reqId)) return { pass: false, reason: 'cancel() returned false for a queued request' };
+      if (store.pendingRequests.length !== beforeLen) return { pass: false, reason: 'queued request was not dropped' };
+      if (store.pendingCancels.indexOf(reqId) !== -1) return { pass: false, reason: 'uncommitted request should not be sent as a cancel' };
+      var sentId = 'test-probe.ping#sent';
+      us.cancel(sentId);
+      var queued = store.pendingCancels.indexOf(sentId);
+      if (queued !== -1) store.pendingCancels.splice(queued, 1);
+      if (queued === -1) return { pass: false, reason: 'cancel() did not queue a cancel for a committed request' };
+      return { pass: true };
+    }
+  },
   {
     label: 'latest-no-result',
     desc: 'latest() returns null for a module with no responses',
@@ -731,7 +798,8 @@ var TEMPLATE_TEST_STEPS = [
         if (widgets.length < 3) return { pass: false, reason: 'expected at least 3 dashboard widgets, got ' + widgets.length };
         var validTypes = ['stat', 'bar', 'text', 'panel', 'custom', 'badge', 'list', 'icon', 'counter',
           'button', 'toggle', 'select', 'slider', 'input', 'textarea', 'progress', 'taggroup', 'divider',
-          'radio', 'stepper', 'confirm', 'chipselect', 'accordion', 'tabs', 'dropdown', 'sortable'];
+          'radio', 'stepper', 'confirm', 'chipselect', 'accordion', 'tabs', 'dropdown', 'sortable', 'grid', 'map',
+          'sparkline', 'linechart', 'barchart', 'radar', 'dialog', 'image'];
         for (var i = 0; i < widgets.length; i++) {
           if (validTypes.indexOf(widgets[i].type) === -1) {
             return { pass: false, reason: 'widget "' + widgets[i].id + '" has invalid type "' + widgets[i].type + '"' };
@@ -91,8 +91,15 @@ class BetterDungeon {
           core: window.Ultrascripts?.core?.inspect?.() || null,
           registry: window.Ultrascripts?.registry?.inspect?.() || null,
           modules: window.Ultrascripts?.registry?.list?.() || [],
+          usage: window.Ultrascripts?.opsDispatcher?.usage?.() || {},
         });
         return true;
+      } else if (message.type === 'OPEN_ULTRASCRIPTS_TRACE_VIEWER') {
+        sendResponse({ success: !!window.Ultrascripts?.traceViewer?.open?.() });
+        return true;
+      } else if (message.type === 'GET_ULTRASCRIPTS_TRACE') {
+        sendResponse({ trace: window.Ultrascripts?.trace?.exportTrace?.() || null });
+        return true;
       } else if (message.type === 'REFRESH_CUSTOM_DYNAMIC_MODELS') {
         this.handleRefreshCustomDynamicModels(message.force !== false).then(sendResponse);
         return true;
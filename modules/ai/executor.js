@@ -444,7 +444,7 @@
       limits: cloneJson(provider?.status?.limits || provider?.status?.config?.limits || null),
       config: provider?.status?.config || null,
       contract: {
-        ops: ['status', 'query'],
+        ops: ['status', 'query', 'chat'],
         outputTypes: [...OUTPUT_TYPES],
         thinkingLevels: [...THINKING_LEVELS],
         defaultThinking: DEFAULT_THINKING_LEVEL,
@@ -507,6 +507,7 @@
     if (typeof result?.service === 'string') meta.service = result.service;
     if (result?.thinking) meta.thinking = cloneJson(result.thinking);
     if (result?.fallback) meta.fallback = cloneJson(result.fallback);
+    if (result?.failover) meta.failover = cloneJson(result.failover);
     if (result?.usage) meta.usage = cloneJson(result.usage);
     if (typeof result?.finishReason === 'string') meta.finishReason = result.finishReason;
     if (result?.outputTruncated === true) meta.outputTruncated = true;
@@ -541,6 +542,7 @@
     if (typeof result?.service === 'string') meta.service = result.service;
     if (result?.thinking) meta.thinking = cloneJson(result.thinking);
     if (result?.fallback) meta.fallback = cloneJson(result.fallback);
+    if (result?.failover) meta.failover = cloneJson(result.failover);
     if (result?.usage) meta.usage = cloneJson(result.usage);
     if (typeof result?.finishReason === 'string') meta.finishReason = result.finishReason;
     if (result?.outputTruncated === true) meta.outputTruncated = true;
@@ -572,6 +574,23 @@
     return status();
   }
 
+  function assertStreamControls(options) {
+    if (options.signal !== undefined && (
+      !options.signal ||
+      typeof options.signal !== 'object' ||
+      typeof options.signal.addEventListener !== 'function' ||
+      typeof options.signal.aborted !== 'boolean'
+    )) {
+      throw invalidArgs('signal must be an AbortSignal');
+    }
+    if (options.onDelta !== undefined && typeof options.onDelta !== 'function') {
+      throw invalidArgs('onDelta must be a function');
+    }
+  }
+
+  // `meta.onDelta` opts a query into token streaming and `meta.signal` makes
+  // it abortable; both need the provider's `streamQuery` path. Providers
+  // without it still answer in one piece and cannot be cut short.
   async function query(args, meta = {}) {
     const task = createTask(args, meta);
     const resolved = resolveProvider(meta.consumer);
@@ -604,7 +623,24 @@
       };
     }
 
-    const result = await provider.query(cloneJson(task));
+    assertStreamControls(meta);
+    if (meta.signal?.aborted) {
+      throw {
+        code: 'aborted',
+        message: 'AI query request was aborted.',
+        retryable: false,
+        provider: provider.id,
+        backend: provider.id,
+      };
+    }
+    const streaming = (typeof meta.onDelta === 'function' || !!meta.signal) &&
+      typeof provider.streamQuery === 'function';
+    const result = streaming
+      ? await provider.streamQuery(cloneJson(task), {
+          signal: meta.signal || null,
+          onDelta: meta.onDelta || null,
+        })
+      : await provider.query(cloneJson(task));
     return normalizeProviderResult(result, task, provider);
   }
 
@@ -639,17 +675,7 @@
       };
     }
 
-    if (options.signal !== undefined && (
-      !options.signal ||
-      typeof options.signal !== 'object' ||
-      typeof options.signal.addEventListener !== 'function' ||
-      typeof options.signal.aborted !== 'boolean'
-    )) {
-      throw invalidArgs('signal must be an AbortSignal');
-    }
-    if (options.onDelta !== undefined && typeof options.onDelta !== 'function') {
-      throw invalidArgs('onDelta must be a function');
-    }
+    assertStreamControls(options);
     if (options.signal?.aborted) {
       throw {
         code: 'aborted',
@@ -685,6 +711,8 @@
     VERSION,
     PROMPT_MAX_CHARS,
     OUTPUT_TYPES,
+    THINKING_LEVELS,
+    CHAT_MAX_TOOLS,
     createTask,
     createChatTask,
     query,
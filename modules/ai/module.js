@@ -6,6 +6,18 @@
 (function () {
   if (window.UltrascriptsAIModule) return;
 
+  // executor.js loads first; the fallbacks only matter if it failed to.
+  const PROMPT_MAX_CHARS = window.UltrascriptsAIExecutor?.PROMPT_MAX_CHARS || 12000;
+  const OUTPUT_TYPES = window.UltrascriptsAIExecutor?.OUTPUT_TYPES || ['text', 'json'];
+  const THINKING_LEVELS = window.UltrascriptsAIExecutor?.THINKING_LEVELS || ['minimal', 'low', 'medium', 'high'];
+  const CHAT_MAX_TOOLS = window.UltrascriptsAIExecutor?.CHAT_MAX_TOOLS || 16;
+
+  // Script chat budgets may ask for less than these, never more.
+  const CHAT_MAX_INPUT_CHARS = 32000;
+  const CHAT_MAX_OUTPUT_TOKENS = 2048;
+  const CHAT_DEFAULT_OUTPUT_TOKENS = 1024;
+  const TOOL_NAME_PATTERN = '^[a-z][a-z0-9_]{0,63}$';
+
   function executor() {
     const aiExecutor = window.UltrascriptsAIExecutor;
     if (!aiExecutor) {
@@ -18,10 +30,7 @@
     return aiExecutor;
   }
 
-  async function statusOp(args = {}) {
-    if (args !== undefined && args !== null && (typeof args !== 'object' || Array.isArray(args))) {
-      throw { code: 'invalid_args', message: 'args must be an object' };
-    }
+  async function statusOp() {
     const status = await executor().refreshStatus({ consumer: 'ultrascripts' });
     return {
       ...status,
@@ -29,10 +38,38 @@
     };
   }
 
-  function queryOp(args = {}, _ctx, request = {}) {
+  // Streams tokens as `partial` chunks shaped `{ text }`; concatenating the
+  // chunks in seq order rebuilds the text the terminal response returns.
+  // The dispatcher's signal aborts the provider stream on cancel or timeout.
+  function queryOp(args = {}, ctx, request = {}) {
+    const streaming = !!(request.id && typeof ctx?.partial === 'function');
     return executor().query(args, {
       requestId: request.id || null,
       consumer: 'ultrascripts',
+      signal: request.signal || undefined,
+      onDelta: streaming ? (delta) => ctx.partial(request.id, { text: delta.text }) : undefined,
+    });
+  }
+
+  function chatBudget(budget = {}) {
+    return {
+      maxInputChars: budget.maxInputChars ?? CHAT_MAX_INPUT_CHARS,
+      maxOutputTokens: budget.maxOutputTokens ?? CHAT_DEFAULT_OUTPUT_TOKENS,
+    };
+  }
+
+  // Scripts own the transcript and send all of it on every turn. A turn that
+  // ends in tool calls returns them with an opaque `continuation`; the script
+  // runs the tools and sends `toolResults` with that continuation unchanged,
+  // which replays the provider's tool-call turn, thought signatures included.
+  // Text streams as `partial` chunks exactly as in `query`.
+  function chatOp(args = {}, ctx, request = {}) {
+    const streaming = !!(request.id && typeof ctx?.partial === 'function');
+    return executor().chat({ ...args, budget: chatBudget(args.budget) }, {
+      requestId: request.id || null,
+      consumer: 'ultrascripts',
+      signal: request.signal || undefined,
+      onDelta: streaming ? (delta) => ctx.partial(request.id, { text: delta.text }) : undefined,
     });
   }
 
@@ -40,19 +77,120 @@
     id: 'ai',
     version: '1.0.0',
     label: 'AI',
-    description: 'Asynchronous AI query executor using the configured provider.',
+    description: 'Asynchronous AI queries and tool-calling chats using the configured provider.',
+    requiresConsent: true,
+
+    capabilities: {
+      features: ['json-schema-output', 'thinking', 'chat', 'tools'],
+      limits: {
+        maxPromptChars: PROMPT_MAX_CHARS,
+        maxChatInputChars: CHAT_MAX_INPUT_CHARS,
+        maxChatOutputTokens: CHAT_MAX_OUTPUT_TOKENS,
+        maxTools: CHAT_MAX_TOOLS,
+        outputTypes: OUTPUT_TYPES.slice(),
+        thinkingLevels: THINKING_LEVELS.slice(),
+      },
+    },
 
     ops: {
       status: {
         idempotent: 'safe',
         timeoutMs: 1000,
+        rateLimit: { burst: 10, perMinute: 60 },
+        args: { type: 'object', properties: {} },
         handler: statusOp,
       },
       query: {
         idempotent: 'unsafe',
+        streaming: true,
         timeoutMs: 120000,
+        rateLimit: { burst: 3, perMinute: 10 },
+        dailyQuota: 200,
+        args: {
+          type: 'object',
+          properties: {
+            prompt: { type: 'string', minLength: 1, maxLength: PROMPT_MAX_CHARS },
+            output: {
+              type: ['string', 'object', 'null'],
+              description: `Output type (${OUTPUT_TYPES.join(', ')}) or { type, schema }`,
+            },
+            thinking: {
+              type: ['string', 'object', 'null'],
+              description: `Thinking level (${THINKING_LEVELS.join(', ')}) or { level }`,
+            },
+          },
+          required: ['prompt'],
+        },
         handler: queryOp,
       },
+      chat: {
+        idempotent: 'unsafe',
+        streaming: true,
+        timeoutMs: 120000,
+        rateLimit: { burst: 3, perMinute: 10 },
+        dailyQuota: 200,
+        args: {
+          type: 'object',
+          properties: {
+            systemInstruction: { type: 'string', minLength: 1, maxLength: CHAT_MAX_INPUT_CHARS },
+            messages: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                properties: {
+                  role: { enum: ['user', 'assistant'] },
+                  content: { type: 'string', minLength: 1 },
+                },
+                required: ['role', 'content'],
+              },
+            },
+            tools: {
+              type: 'array',
+              maxItems: CHAT_MAX_TOOLS,
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', pattern: TOOL_NAME_PATTERN },
+                  description: { type: 'string', minLength: 1 },
+                  parameters: { type: 'object' },
+                },
+                required: ['name', 'description', 'parameters'],
+              },
+            },
+            toolResults: {
+              type: 'array',
+              maxItems: CHAT_MAX_TOOLS,
+              items: {
+                type: 'object',
+                properties: {
+                  callId: { type: 'string', minLength: 1 },
+                  name: { type: 'string', pattern: TOOL_NAME_PATTERN },
+                  isError: { type: 'boolean' },
+                },
+                required: ['callId', 'name'],
+              },
+            },
+            continuation: {
+              type: 'object',
+              description: 'Returned by the previous chat turn; send it back unchanged with toolResults',
+            },
+            thinking: {
+              type: ['string', 'object', 'null'],
+              description: `Thinking level (${THINKING_LEVELS.join(', ')}) or { level }`,
+            },
+            budget: {
+              type: 'object',
+              properties: {
+                maxInputChars: { type: 'integer', minimum: 1, maximum: CHAT_MAX_INPUT_CHARS },
+                maxOutputTokens: { type: 'integer', minimum: 1, maximum: CHAT_MAX_OUTPUT_TOKENS },
+              },
+            },
+          },
+          required: ['systemInstruction', 'messages'],
+        },
+        handler: chatOp,
+      },
     },
 
     mount(ctx) {
@@ -73,6 +211,7 @@
         mounted: !!this._ctx,
         ops: Object.keys(this.ops),
         executor: window.UltrascriptsAIExecutor?.inspect?.() || null,
+        usage: this._ctx?.usage?.() || null,
       };
     },
   };
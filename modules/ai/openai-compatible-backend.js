@@ -117,6 +117,7 @@
       thinking: raw.thinking,
       usage: raw.usage,
       fallback: raw.fallback,
+      failover: raw.failover,
       finishReason: raw.finishReason,
       outputTruncated: raw.outputTruncated,
       text: raw.text,
@@ -141,7 +142,9 @@
     return state.status;
   }
 
-  function streamChat(task, controls = {}) {
+  // Streams a chat or query task over the background port. `kind` only
+  // shapes error messages; the task's own `op` selects the background path.
+  function streamTask(task, controls = {}, kind = 'chat') {
     const rt = runtime();
     if (!runtimeAvailable(rt)) {
       return Promise.reject({
@@ -154,7 +157,7 @@
     if (controls.signal?.aborted) {
       return Promise.reject({
         code: 'aborted',
-        message: 'AI chat request was aborted.',
+        message: `AI ${kind} request was aborted.`,
         retryable: false,
         backend: PROVIDER_ID,
       });
@@ -167,7 +170,7 @@
     } catch (error) {
       return Promise.reject({
         code: 'unavailable',
-        message: error?.message || 'OpenAI-compatible chat transport is unavailable.',
+        message: error?.message || `OpenAI-compatible ${kind} transport is unavailable.`,
         retryable: true,
         backend: PROVIDER_ID,
       });
@@ -209,7 +212,7 @@
         safePost({ v: 1, type: 'abort', requestId });
         settle('reject', {
           code: 'aborted',
-          message: 'AI chat request was aborted.',
+          message: `AI ${kind} request was aborted.`,
           retryable: false,
           backend: PROVIDER_ID,
         });
@@ -228,7 +231,7 @@
                 sequence: Number.isSafeInteger(message.sequence) ? message.sequence : null,
               });
             } catch (error) {
-              console.error('[OpenAICompatibleBackend] Chat delta consumer failed:', error);
+              console.error(`[OpenAICompatibleBackend] ${kind} delta consumer failed:`, error);
             }
           }
           return;
@@ -240,7 +243,7 @@
           return;
         }
         if (message.type === 'error') {
-          settle('reject', message.error || backendError('OpenAI-compatible chat request failed.'));
+          settle('reject', message.error || backendError(`OpenAI-compatible ${kind} request failed.`));
         }
       }
       function onDisconnect(disconnectedPort) {
@@ -253,7 +256,7 @@
         }
         settle('reject', {
           code: 'unavailable',
-          message: runtimeError || 'OpenAI-compatible chat connection closed before completion.',
+          message: runtimeError || `OpenAI-compatible ${kind} connection closed before completion.`,
           retryable: true,
           backend: PROVIDER_ID,
         });
@@ -268,7 +271,7 @@
       if (!safePost({ v: 1, type: 'start', requestId, task: chatTask })) {
         settle('reject', {
           code: 'unavailable',
-          message: 'OpenAI-compatible chat request could not be started.',
+          message: `OpenAI-compatible ${kind} request could not be started.`,
           retryable: true,
           backend: PROVIDER_ID,
         });
@@ -276,6 +279,14 @@
     });
   }
 
+  function streamChat(task, controls = {}) {
+    return streamTask(task, controls, 'chat');
+  }
+
+  function streamQuery(task, controls = {}) {
+    return streamTask(task, controls, 'query');
+  }
+
   const provider = {
     id: PROVIDER_ID,
     label: 'OpenAI-Compatible',
@@ -291,6 +302,7 @@
       return resultEnvelope(result);
     },
     streamChat,
+    streamQuery,
     refreshStatus,
   };
 
@@ -2,6 +2,12 @@
 //
 // Ultrascripts Audio module. Consumes `ultrascripts:state:audio` and turns a
 // small declarative state object into bounded Web Audio synthesis.
+//
+// `effect` and `sequence` play once per id. `ambient` is continuous: its
+// layers loop until the state changes, and a change crossfades to the new
+// layers. Everything runs through one master gain, which follows the
+// player's volume and mute from the popup (`ultrascripts_audio_output` in
+// chrome.storage.sync).
 
 (function () {
   if (window.UltrascriptsAudioModule) return;
@@ -14,6 +20,29 @@
   const MAX_FREQUENCY = 20000;
   const MIN_DURATION_MS = 20;
   const MAX_DURATION_MS = 10000;
+  const MAX_SEQUENCE_NOTES = 64;
+  const MAX_SEQUENCE_VOICES = 8;
+  const MAX_SEQUENCE_DURATION_MS = 15000;
+  const MIN_TEMPO = 30;
+  const MAX_TEMPO = 300;
+  const MAX_AMBIENT_LAYERS = 6;
+  const MAX_FADE_MS = 10000;
+  const FILTER_TYPES = new Set(['lowpass', 'highpass', 'bandpass']);
+  const MIN_FILTER_Q = 0.1;
+  const MAX_FILTER_Q = 30;
+  const MIN_PULSE_HZ = 0.05;
+  const MAX_PULSE_HZ = 20;
+  const NOISE_LOOP_SECONDS = 2;
+  const MIN_DELAY_MS = 1;
+  const MAX_DELAY_MS = 1000;
+  const MAX_FEEDBACK = 0.9;
+  const MIN_REVERB_MS = 100;
+  const MAX_REVERB_MS = 6000;
+  const REVERB_STEP_MS = 100;
+  const MAX_CACHED_IMPULSES = 4;
+  const MAX_TAIL_MS = 8000;
+  const MASTER_GAIN = 0.8;
+  const OUTPUT_STORAGE_KEY = 'ultrascripts_audio_output';
 
   function isObject(value) {
     return value !== null && typeof value === 'object' && !Array.isArray(value);
@@ -32,6 +61,102 @@
     return clamp(finiteNumber(value, fallback), 0, 1);
   }
 
+  // Ramps `param` from silence to `volume` over the attack and back to
+  // silence over the release, ending at `endTime`.
+  function scheduleEnvelope(param, volume, startTime, endTime, attackSeconds, releaseSeconds) {
+    const releaseStart = Math.max(startTime + attackSeconds, endTime - releaseSeconds);
+    param.setValueAtTime(attackSeconds > 0 ? 0 : volume, startTime);
+    if (attackSeconds > 0) param.linearRampToValueAtTime(volume, startTime + attackSeconds);
+    param.setValueAtTime(volume, releaseStart);
+    if (releaseSeconds > 0) param.linearRampToValueAtTime(0, endTime);
+    else param.setValueAtTime(0, endTime);
+  }
+
+  function inRange(value, min, max) {
+    return Number.isFinite(value) && value >= min && value <= max;
+  }
+
+  function normalizeFilter(raw, field) {
+    if (!isObject(raw)) return { error: `${field} must be an object` };
+    const type = String(raw.type || 'lowpass').toLowerCase();
+    if (!FILTER_TYPES.has(type)) return { error: `${field}.type must be one of: ${[...FILTER_TYPES].join(', ')}` };
+    const frequency = finiteNumber(raw.frequency, NaN);
+    if (!inRange(frequency, MIN_FREQUENCY, MAX_FREQUENCY)) {
+      return { error: `${field}.frequency must be between ${MIN_FREQUENCY} and ${MAX_FREQUENCY}` };
+    }
+    const q = finiteNumber(raw.q, 1);
+    if (!inRange(q, MIN_FILTER_Q, MAX_FILTER_Q)) {
+      return { error: `${field}.q must be between ${MIN_FILTER_Q} and ${MAX_FILTER_Q}` };
+    }
+    return { filter: { type, frequency, q } };
+  }
+
+  // Effects run in a fixed order: filter, distortion, the tone's envelope,
+  // pan, then delay and reverb sends mixed in beside the dry signal.
+  function normalizeChain(raw) {
+    if (!isObject(raw)) return { error: 'chain must be an object' };
+    const chain = { filter: null, distortion: null, pan: null, delay: null, reverb: null, tailMs: 0 };
+
+    if (raw.filter !== undefined && raw.filter !== null) {
+      const normalized = normalizeFilter(raw.filter, 'chain.filter');
+      if (normalized.error) return normalized;
+      chain.filter = { ...normalized.filter, endFrequency: null };
+      if (raw.filter.endFrequency !== undefined && raw.filter.endFrequency !== null) {
+        const endFrequency = finiteNumber(raw.filter.endFrequency, NaN);
+        if (!inRange(endFrequency, MIN_FREQUENCY, MAX_FREQUENCY)) {
+          return { error: `chain.filter.endFrequency must be between ${MIN_FREQUENCY} and ${MAX_FREQUENCY}` };
+        }
+        chain.filter.endFrequency = endFrequency;
+      }
+    }
+
+    if (raw.distortion !== undefined && raw.distortion !== null) {
+      if (!isObject(raw.distortion)) return { error: 'chain.distortion must be an object' };
+      const amount = finiteNumber(raw.distortion.amount, NaN);
+      if (!inRange(amount, 0, 1)) return { error: 'chain.distortion.amount must be between 0 and 1' };
+      chain.distortion = { amount };
+    }
+
+    if (raw.pan !== undefined && raw.pan !== null) {
+      const pan = finiteNumber(raw.pan, NaN);
+      if (!inRange(pan, -1, 1)) return { error: 'chain.pan must be between -1 and 1' };
+      chain.pan = pan;
+    }
+
+    if (raw.delay !== undefined && raw.delay !== null) {
+      if (!isObject(raw.delay)) return { error: 'chain.delay must be an object' };
+      const timeMs = finiteNumber(raw.delay.timeMs, NaN);
+      if (!inRange(timeMs, MIN_DELAY_MS, MAX_DELAY_MS)) {
+        return { error: `chain.delay.timeMs must be between ${MIN_DELAY_MS} and ${MAX_DELAY_MS}` };
+      }
+      const feedback = finiteNumber(raw.delay.feedback, 0.3);
+      if (!inRange(feedback, 0, MAX_FEEDBACK)) {
+        return { error: `chain.delay.feedback must be between 0 and ${MAX_FEEDBACK}` };
+      }
+      const mix = finiteNumber(raw.delay.mix, 0.3);
+      if (!inRange(mix, 0, 1)) return { error: 'chain.delay.mix must be between 0 and 1' };
+      chain.delay = { timeMs, feedback, mix };
+      // Echoes until they are 60 dB down.
+      const repeats = feedback > 0 ? Math.ceil(Math.log(0.001) / Math.log(feedback)) : 1;
+      chain.tailMs = Math.max(chain.tailMs, timeMs * repeats);
+    }
+
+    if (raw.reverb !== undefined && raw.reverb !== null) {
+      if (!isObject(raw.reverb)) return { error: 'chain.reverb must be an object' };
+      const decayMs = finiteNumber(raw.reverb.decayMs, 1500);
+      if (!inRange(decayMs, MIN_REVERB_MS, MAX_REVERB_MS)) {
+        return { error: `chain.reverb.decayMs must be between ${MIN_REVERB_MS} and ${MAX_REVERB_MS}` };
+      }
+      const mix = finiteNumber(raw.reverb.mix, 0.3);
+      if (!inRange(mix, 0, 1)) return { error: 'chain.reverb.mix must be between 0 and 1' };
+      chain.reverb = { decayMs, mix };
+      chain.tailMs = Math.max(chain.tailMs, decayMs);
+    }
+
+    chain.tailMs = Math.min(chain.tailMs, MAX_TAIL_MS);
+    return { chain };
+  }
+
   function normalizeTone(raw) {
     if (!isObject(raw)) return { error: 'effect must be an object' };
 
@@ -69,6 +194,13 @@
       return { error: 'attackMs and releaseMs cannot exceed durationMs when combined' };
     }
 
+    let chain = null;
+    if (raw.chain !== undefined && raw.chain !== null) {
+      const normalized = normalizeChain(raw.chain);
+      if (normalized.error) return normalized;
+      chain = normalized.chain;
+    }
+
     return {
       tone: {
         waveform,
@@ -78,10 +210,221 @@
         attackMs,
         releaseMs,
         volume: normalizeVolume(raw.volume, 0.7),
+        chain,
       },
     };
   }
 
+  function normalizeId(raw, field) {
+    const id = String(raw.id || '').trim();
+    if (!id) return { error: `${field}.id is required` };
+    if (id.length > MAX_EFFECT_ID_LENGTH) {
+      return { error: `${field}.id cannot exceed ${MAX_EFFECT_ID_LENGTH} characters` };
+    }
+    return { id };
+  }
+
+  // Most voices sounding at once, counting each chord tone as a voice.
+  function peakVoices(voices) {
+    const edges = [];
+    for (const voice of voices) {
+      edges.push([voice.offsetMs, 1], [voice.offsetMs + voice.tone.durationMs, -1]);
+    }
+    // Ends sort before starts at the same instant, so back-to-back notes do
+    // not count as overlapping.
+    edges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    let active = 0;
+    let peak = 0;
+    for (const [, delta] of edges) {
+      active += delta;
+      peak = Math.max(peak, active);
+    }
+    return peak;
+  }
+
+  // Timing is in milliseconds (`at`, `durationMs`) or, with a tempo, in beats
+  // (`beat`, `beats`). A note without a start follows the previous note or
+  // rest. Notes inherit the sequence waveform; `frequencies` makes a chord.
+  function normalizeSequence(raw) {
+    if (!isObject(raw)) return { error: 'sequence must be an object or null' };
+    const identified = normalizeId(raw, 'sequence');
+    if (identified.error) return identified;
+
+    let beatMs = null;
+    if (raw.tempo !== undefined && raw.tempo !== null) {
+      const tempo = finiteNumber(raw.tempo, NaN);
+      if (!Number.isFinite(tempo) || tempo < MIN_TEMPO || tempo > MAX_TEMPO) {
+        return { error: `sequence.tempo must be between ${MIN_TEMPO} and ${MAX_TEMPO}` };
+      }
+      beatMs = 60000 / tempo;
+    }
+
+    if (!Array.isArray(raw.notes) || raw.notes.length === 0) {
+      return { error: 'sequence.notes must be a non-empty array' };
+    }
+    if (raw.notes.length > MAX_SEQUENCE_NOTES) {
+      return { error: `sequence.notes cannot exceed ${MAX_SEQUENCE_NOTES} entries` };
+    }
+
+    const waveform = raw.waveform === undefined ? undefined : raw.waveform;
+    const voices = [];
+    let cursorMs = 0;
+    for (let i = 0; i < raw.notes.length; i += 1) {
+      const note = raw.notes[i];
+      const field = `sequence.notes[${i}]`;
+      if (!isObject(note)) return { error: `${field} must be an object` };
+
+      const usesBeats = note.beat !== undefined || note.beats !== undefined;
+      if (usesBeats && beatMs === null) return { error: `${field} uses beats but sequence.tempo is not set` };
+
+      let offsetMs = cursorMs;
+      if (note.beat !== undefined) offsetMs = finiteNumber(note.beat, NaN) * beatMs;
+      else if (note.at !== undefined) offsetMs = finiteNumber(note.at, NaN);
+      if (!Number.isFinite(offsetMs) || offsetMs < 0) {
+        return { error: `${field} start must be a non-negative number` };
+      }
+
+      const timing = note.beats !== undefined
+        ? { durationMs: finiteNumber(note.beats, NaN) * beatMs }
+        : {};
+      if (note.rest === true) {
+        const durationMs = timing.durationMs ?? finiteNumber(note.durationMs, NaN);
+        if (!Number.isFinite(durationMs) || durationMs <= 0 || durationMs > MAX_DURATION_MS) {
+          return { error: `${field} rest length must be between 0 and ${MAX_DURATION_MS} ms` };
+        }
+        cursorMs = offsetMs + durationMs;
+        continue;
+      }
+
+      let frequencies = [note.frequency];
+      if (note.frequencies !== undefined) {
+        if (!Array.isArray(note.frequencies) || note.frequencies.length === 0) {
+          return { error: `${field}.frequencies must be a non-empty array` };
+        }
+        if (note.endFrequency !== undefined && note.endFrequency !== null) {
+          return { error: `${field} chords cannot sweep with endFrequency` };
+        }
+        frequencies = note.frequencies;
+      }
+
+      let durationMs = null;
+      for (const frequency of frequencies) {
+        const normalized = normalizeTone({ waveform, ...note, ...timing, frequency });
+        if (normalized.error) return { error: `${field}: ${normalized.error}` };
+        voices.push({ offsetMs, tone: normalized.tone });
+        durationMs = normalized.tone.durationMs;
+      }
+      cursorMs = offsetMs + durationMs;
+    }
+
+    if (voices.length === 0) return { error: 'sequence must contain at least one note' };
+
+    const durationMs = Math.max(...voices.map(voice => voice.offsetMs + voice.tone.durationMs));
+    if (durationMs > MAX_SEQUENCE_DURATION_MS) {
+      return { error: `sequence cannot last longer than ${MAX_SEQUENCE_DURATION_MS} ms` };
+    }
+    if (peakVoices(voices) > MAX_SEQUENCE_VOICES) {
+      return { error: `sequence cannot play more than ${MAX_SEQUENCE_VOICES} voices at once` };
+    }
+
+    const attackMs = clamp(finiteNumber(raw.attackMs, 0), 0, durationMs);
+    const releaseMs = clamp(finiteNumber(raw.releaseMs, 0), 0, durationMs);
+    if (attackMs + releaseMs > durationMs) {
+      return { error: 'sequence attackMs and releaseMs cannot exceed its length when combined' };
+    }
+
+    return {
+      sequence: {
+        id: identified.id,
+        durationMs,
+        attackMs,
+        releaseMs,
+        volume: normalizeVolume(raw.volume, 1),
+        voices,
+      },
+    };
+  }
+
+  // Layers are a waveform or looped noise, optionally filtered, with an
+  // optional `pulse` that swells the layer's volume (drips, murmur, wind).
+  function normalizeAmbient(raw) {
+    if (!isObject(raw)) return { error: 'ambient must be an object or null' };
+    if (!Array.isArray(raw.layers) || raw.layers.length === 0) {
+      return { error: 'ambient.layers must be a non-empty array' };
+    }
+    if (raw.layers.length > MAX_AMBIENT_LAYERS) {
+      return { error: `ambient.layers cannot exceed ${MAX_AMBIENT_LAYERS} entries` };
+    }
+
+    const layers = [];
+    for (let i = 0; i < raw.layers.length; i += 1) {
+      const layer = raw.layers[i];
+      const field = `ambient.layers[${i}]`;
+      if (!isObject(layer)) return { error: `${field} must be an object` };
+
+      const waveform = String(layer.waveform || 'sine').toLowerCase();
+      if (!SUPPORTED_WAVEFORMS.has(waveform)) return { error: `${field}: unsupported waveform '${waveform}'` };
+
+      let frequency = null;
+      if (waveform !== 'noise') {
+        frequency = finiteNumber(layer.frequency, NaN);
+        if (!inRange(frequency, MIN_FREQUENCY, MAX_FREQUENCY)) {
+          return { error: `${field}.frequency must be between ${MIN_FREQUENCY} and ${MAX_FREQUENCY}` };
+        }
+      }
+
+      let filter = null;
+      if (layer.filter !== undefined && layer.filter !== null) {
+        const normalized = normalizeFilter(layer.filter, `${field}.filter`);
+        if (normalized.error) return normalized;
+        filter = normalized.filter;
+      }
+
+      let pulse = null;
+      if (layer.pulse !== undefined && layer.pulse !== null) {
+        if (!isObject(layer.pulse)) return { error: `${field}.pulse must be an object` };
+        const rateHz = finiteNumber(layer.pulse.rateHz, NaN);
+        if (!inRange(rateHz, MIN_PULSE_HZ, MAX_PULSE_HZ)) {
+          return { error: `${field}.pulse.rateHz must be between ${MIN_PULSE_HZ} and ${MAX_PULSE_HZ}` };
+        }
+        pulse = { rateHz, depth: clamp(finiteNumber(layer.pulse.depth, 0.5), 0, 1) };
+      }
+
+      layers.push({ waveform, frequency, filter, pulse, volume: normalizeVolume(layer.volume, 0.5) });
+    }
+
+    const fadeMs = finiteNumber(raw.fadeMs, 2000);
+    if (!inRange(fadeMs, 0, MAX_FADE_MS)) return { error: `ambient.fadeMs must be between 0 and ${MAX_FADE_MS}` };
+
+    return { ambient: { volume: normalizeVolume(raw.volume, 0.5), fadeMs, layers } };
+  }
+
+  // Soft clipping; `amount` 0 is nearly clean, 1 is heavy fuzz.
+  function distortionCurve(amount) {
+    const k = amount * 100;
+    const curve = new Float32Array(1024);
+    for (let i = 0; i < curve.length; i += 1) {
+      const x = ((i * 2) / (curve.length - 1)) - 1;
+      curve[i] = ((1 + k) * x) / (1 + (k * Math.abs(x)));
+    }
+    return curve;
+  }
+
+  // Popup settings: volume is a percentage of the master gain.
+  function normalizeOutput(raw) {
+    return {
+      volume: clamp(finiteNumber(raw?.volume, 100), 0, 100),
+      muted: raw?.muted === true,
+    };
+  }
+
+  // Moves `param` from wherever it is now to `value` over `seconds`.
+  function rampTo(param, value, startTime, seconds) {
+    param.cancelScheduledValues(startTime);
+    param.setValueAtTime(param.value, startTime);
+    param.linearRampToValueAtTime(value, startTime + seconds);
+  }
+
   function normalizeState(raw) {
     if (!isObject(raw)) return { error: 'Audio state must be an object' };
     if (raw.v !== 1) return { error: `Unsupported Audio state version: ${raw.v}` };
@@ -89,26 +432,58 @@
     let effect = null;
     if (raw.effect !== undefined && raw.effect !== null) {
       if (!isObject(raw.effect)) return { error: 'effect must be an object or null' };
-      const id = String(raw.effect.id || '').trim();
-      if (!id) return { error: 'effect.id is required' };
-      if (id.length > MAX_EFFECT_ID_LENGTH) {
-        return { error: `effect.id cannot exceed ${MAX_EFFECT_ID_LENGTH} characters` };
-      }
+      const identified = normalizeId(raw.effect, 'effect');
+      if (identified.error) return identified;
 
       const normalized = normalizeTone(raw.effect);
       if (normalized.error) return normalized;
-      effect = { id, ...normalized.tone };
+      effect = { id: identified.id, ...normalized.tone };
+    }
+
+    let sequence = null;
+    if (raw.sequence !== undefined && raw.sequence !== null) {
+      const normalized = normalizeSequence(raw.sequence);
+      if (normalized.error) return normalized;
+      sequence = normalized.sequence;
     }
 
-    return { state: { effect } };
+    let ambient = null;
+    if (raw.ambient !== undefined && raw.ambient !== null) {
+      const normalized = normalizeAmbient(raw.ambient);
+      if (normalized.error) return normalized;
+      ambient = normalized.ambient;
+    }
+
+    return { state: { effect, sequence, ambient } };
   }
 
   const UltrascriptsAudioModule = {
     id: MODULE_ID,
     version: '1.0.0',
     label: 'Audio',
-    description: 'Plays bounded synthesized sound effects from Audio state.',
+    description: 'Plays bounded synthesized sound effects, short sequences and looping ambience from Audio state.',
     stateNames: [STATE_NAME],
+    capabilities: {
+      features: ['noise', 'sweep', 'sequence', 'ambient', 'filter', 'distortion', 'pan', 'delay', 'reverb'],
+      limits: {
+        waveforms: [...SUPPORTED_WAVEFORMS],
+        minFrequency: MIN_FREQUENCY,
+        maxFrequency: MAX_FREQUENCY,
+        minDurationMs: MIN_DURATION_MS,
+        maxDurationMs: MAX_DURATION_MS,
+        maxSequenceNotes: MAX_SEQUENCE_NOTES,
+        maxSequenceVoices: MAX_SEQUENCE_VOICES,
+        maxSequenceDurationMs: MAX_SEQUENCE_DURATION_MS,
+        minTempo: MIN_TEMPO,
+        maxTempo: MAX_TEMPO,
+        maxAmbientLayers: MAX_AMBIENT_LAYERS,
+        maxFadeMs: MAX_FADE_MS,
+        filterTypes: [...FILTER_TYPES],
+        maxDelayMs: MAX_DELAY_MS,
+        maxFeedback: MAX_FEEDBACK,
+        maxReverbMs: MAX_REVERB_MS,
+      },
+    },
 
     _ctx: null,
     _audioContext: null,
@@ -116,22 +491,33 @@
     _sources: new Set(),
     _desiredState: null,
     _lastEffectId: null,
+    _lastSequenceId: null,
+    _sequencePlayback: null,
+    _ambient: null,
+    _fadingAmbients: new Set(),
+    _output: normalizeOutput(null),
+    _impulses: { context: null, buffers: new Map() },
+    _outputListener: null,
     _unlockHandler: null,
     _warnedUnsupported: false,
 
     mount(ctx) {
       this._ctx = ctx;
-      this._lastEffectId = this.readLastEffectId();
+      this._lastEffectId = this.readLastPlayedId('effect');
+      this._lastSequenceId = this.readLastPlayedId('sequence');
       this.installUnlockListeners();
+      this.loadOutputSettings();
       ctx.log('debug', 'Audio mounted');
     },
 
     unmount() {
       this.removeUnlockListeners();
+      this.removeOutputListener();
       this.stopAll();
       const audioContext = this._audioContext;
       this._audioContext = null;
       this._masterGain = null;
+      this._impulses = { context: null, buffers: new Map() };
       this._desiredState = null;
       this._ctx = null;
       if (audioContext && audioContext.state !== 'closed') {
@@ -147,7 +533,9 @@
     onAdventureChange(_newAdventureShortId, ctx) {
       this.stopAll();
       this._desiredState = null;
-      this._lastEffectId = this.readLastEffectId(ctx.getAdventureId());
+      this._impulses = { context: null, buffers: new Map() };
+      this._lastEffectId = this.readLastPlayedId('effect', ctx.getAdventureId());
+      this._lastSequenceId = this.readLastPlayedId('sequence', ctx.getAdventureId());
     },
 
     onStateChange(name, parsed, ctx) {
@@ -181,6 +569,40 @@
       document.addEventListener('touchstart', this._unlockHandler, true);
     },
 
+    loadOutputSettings() {
+      try {
+        const api = typeof browser !== 'undefined' ? browser : chrome;
+        api?.storage?.sync?.get?.(OUTPUT_STORAGE_KEY, (result) => {
+          this.setOutput(result?.[OUTPUT_STORAGE_KEY]);
+        });
+        if (this._outputListener) return;
+        this._outputListener = (changes, area) => {
+          if (area === 'sync' && changes[OUTPUT_STORAGE_KEY]) this.setOutput(changes[OUTPUT_STORAGE_KEY].newValue);
+        };
+        api?.storage?.onChanged?.addListener?.(this._outputListener);
+      } catch { /* storage unavailable */ }
+    },
+
+    removeOutputListener() {
+      if (!this._outputListener) return;
+      try {
+        const api = typeof browser !== 'undefined' ? browser : chrome;
+        api?.storage?.onChanged?.removeListener?.(this._outputListener);
+      } catch { /* storage unavailable */ }
+      this._outputListener = null;
+    },
+
+    setOutput(raw) {
+      this._output = normalizeOutput(raw);
+      const audioContext = this._audioContext;
+      if (!audioContext || !this._masterGain) return;
+      rampTo(this._masterGain.gain, this.outputLevel(), audioContext.currentTime, 0.05);
+    },
+
+    outputLevel() {
+      return this._output.muted ? 0 : MASTER_GAIN * (this._output.volume / 100);
+    },
+
     removeUnlockListeners() {
       if (!this._unlockHandler) return;
       document.removeEventListener('pointerdown', this._unlockHandler, true);
@@ -203,7 +625,7 @@
 
       const audioContext = new AudioContextClass();
       const masterGain = audioContext.createGain();
-      masterGain.gain.value = 0.8;
+      masterGain.gain.value = this.outputLevel();
       masterGain.connect(audioContext.destination);
       this._audioContext = audioContext;
       this._masterGain = masterGain;
@@ -211,7 +633,8 @@
     },
 
     async unlockAudio() {
-      if (!this._desiredState?.effect) return true;
+      const desired = this._desiredState;
+      if (!desired?.effect && !desired?.sequence && !desired?.ambient) return true;
       const audioContext = this.ensureAudioContext();
       if (!audioContext) return false;
       if (audioContext.state === 'suspended') await audioContext.resume();
@@ -226,35 +649,219 @@
         return;
       }
 
-      if (!desired.effect) {
-        this.stopAll();
-        return;
+      if (!desired.ambient) this.fadeOutAmbient();
+      if (!desired.sequence) this.stopSequence();
+      if (!desired.effect && !desired.sequence) {
+        this.stopSources();
+        if (!desired.ambient) return;
       }
 
       const audioContext = this.ensureAudioContext();
       if (!audioContext || audioContext.state !== 'running') return;
 
+      if (desired.ambient) {
+        try {
+          this.syncAmbient(desired.ambient);
+        } catch (err) {
+          this._ctx?.log?.('warn', 'Audio ambience failed:', err?.message || err);
+        }
+      }
+
       if (desired.effect && desired.effect.id !== this._lastEffectId) {
         try {
           this.scheduleTone(desired.effect, audioContext.currentTime + 0.01, this._masterGain);
           this._lastEffectId = desired.effect.id;
-          this.writeLastEffectId(desired.effect.id);
+          this.writeLastPlayedId('effect', desired.effect.id);
         } catch (err) {
           this._ctx?.log?.('warn', 'Audio effect failed:', err?.message || err);
         }
       }
+
+      if (desired.sequence && desired.sequence.id !== this._lastSequenceId) {
+        try {
+          this.playSequence(desired.sequence, audioContext.currentTime + 0.01);
+          this._lastSequenceId = desired.sequence.id;
+          this.writeLastPlayedId('sequence', desired.sequence.id);
+        } catch (err) {
+          this._ctx?.log?.('warn', 'Audio sequence failed:', err?.message || err);
+        }
+      }
     },
 
-    stopSources() {
-      for (const entry of [...this._sources]) {
-        try { entry.source.stop(); } catch { /* already stopped */ }
-        try { entry.source.disconnect(); } catch { /* noop */ }
-        try { entry.gain.disconnect(); } catch { /* noop */ }
-        this._sources.delete(entry);
+    // A new sequence cuts off the one before it rather than playing over it.
+    // Voices run through one gain node carrying the sequence envelope.
+    playSequence(sequence, startTime) {
+      this.stopSequence();
+      const audioContext = this._audioContext;
+      const bus = audioContext.createGain();
+      scheduleEnvelope(
+        bus.gain,
+        sequence.volume,
+        startTime,
+        startTime + (sequence.durationMs / 1000),
+        sequence.attackMs / 1000,
+        sequence.releaseMs / 1000,
+      );
+      bus.connect(this._masterGain);
+
+      const entries = [];
+      this._sequencePlayback = { id: sequence.id, bus, entries };
+      for (const voice of sequence.voices) {
+        entries.push(this.scheduleTone(voice.tone, startTime + (voice.offsetMs / 1000), bus));
+      }
+    },
+
+    stopSequence() {
+      const playback = this._sequencePlayback;
+      if (!playback) return;
+      this._sequencePlayback = null;
+      for (const entry of playback.entries) this.stopEntry(entry);
+      try { playback.bus.disconnect(); } catch { /* noop */ }
+    },
+
+    // Same layers: only the volume and fade change. New layers: the old
+    // ones fade out while the new ones fade in over the new `fadeMs`.
+    syncAmbient(ambient) {
+      const current = this._ambient;
+      const signature = JSON.stringify(ambient.layers);
+      if (current && current.signature === signature) {
+        if (current.volume !== ambient.volume) {
+          rampTo(current.bus.gain, ambient.volume, this._audioContext.currentTime, ambient.fadeMs / 1000);
+          current.volume = ambient.volume;
+        }
+        current.fadeMs = ambient.fadeMs;
+        return;
       }
+
+      this.fadeOutAmbient(ambient.fadeMs);
+      this._ambient = this.startAmbient(ambient, signature);
+    },
+
+    startAmbient(ambient, signature) {
+      const audioContext = this._audioContext;
+      const startTime = audioContext.currentTime;
+      const bus = audioContext.createGain();
+      bus.gain.setValueAtTime(0, startTime);
+      bus.gain.linearRampToValueAtTime(ambient.volume, startTime + (ambient.fadeMs / 1000));
+      bus.connect(this._masterGain);
+
+      const playback = {
+        signature,
+        layerCount: ambient.layers.length,
+        volume: ambient.volume,
+        fadeMs: ambient.fadeMs,
+        bus,
+        sources: [],
+        nodes: [bus],
+      };
+      for (const layer of ambient.layers) this.startAmbientLayer(layer, playback, startTime);
+      return playback;
+    },
+
+    startAmbientLayer(layer, playback, startTime) {
+      const audioContext = this._audioContext;
+      let source;
+      if (layer.waveform === 'noise') {
+        source = this.createNoiseSource(audioContext, NOISE_LOOP_SECONDS);
+        source.loop = true;
+      } else {
+        source = audioContext.createOscillator();
+        source.type = layer.waveform;
+        source.frequency.setValueAtTime(layer.frequency, startTime);
+      }
+      playback.sources.push(source);
+
+      let head = source;
+      if (layer.filter) {
+        const filter = audioContext.createBiquadFilter();
+        filter.type = layer.filter.type;
+        filter.frequency.setValueAtTime(layer.filter.frequency, startTime);
+        filter.Q.setValueAtTime(layer.filter.q, startTime);
+        playback.nodes.push(filter);
+        head.connect(filter);
+        head = filter;
+      }
+
+      // A pulse swings the layer between (1 - depth) and full volume.
+      const gain = audioContext.createGain();
+      const depth = layer.pulse ? layer.pulse.depth : 0;
+      gain.gain.setValueAtTime(layer.volume * (1 - (depth / 2)), startTime);
+      playback.nodes.push(gain);
+      head.connect(gain);
+      gain.connect(playback.bus);
+
+      if (layer.pulse) {
+        const lfo = audioContext.createOscillator();
+        lfo.frequency.setValueAtTime(layer.pulse.rateHz, startTime);
+        const swing = audioContext.createGain();
+        swing.gain.setValueAtTime(layer.volume * (depth / 2), startTime);
+        lfo.connect(swing);
+        swing.connect(gain.gain);
+        playback.sources.push(lfo);
+        playback.nodes.push(swing);
+        lfo.start(startTime);
+      }
+
+      source.start(startTime);
+    },
+
+    fadeOutAmbient(fadeMs = this._ambient?.fadeMs) {
+      const playback = this._ambient;
+      if (!playback) return;
+      this._ambient = null;
+
+      const audioContext = this._audioContext;
+      if (!audioContext || audioContext.state !== 'running' || !fadeMs) {
+        this.releaseAmbient(playback);
+        return;
+      }
+
+      const now = audioContext.currentTime;
+      const endTime = now + (fadeMs / 1000);
+      rampTo(playback.bus.gain, 0, now, fadeMs / 1000);
+      this._fadingAmbients.add(playback);
+      playback.sources[0].onended = () => this.releaseAmbient(playback);
+      for (const source of playback.sources) {
+        try { source.stop(endTime + 0.05); } catch { /* already stopped */ }
+      }
+    },
+
+    releaseAmbient(playback) {
+      this._fadingAmbients.delete(playback);
+      for (const source of playback.sources) {
+        try { source.stop(); } catch { /* already stopped */ }
+        try { source.disconnect(); } catch { /* noop */ }
+      }
+      for (const node of playback.nodes) {
+        try { node.disconnect(); } catch { /* noop */ }
+      }
+    },
+
+    stopAmbient() {
+      const playback = this._ambient;
+      this._ambient = null;
+      if (playback) this.releaseAmbient(playback);
+      for (const fading of [...this._fadingAmbients]) this.releaseAmbient(fading);
+    },
+
+    stopEntry(entry) {
+      if (!entry) return;
+      try { entry.source.stop(); } catch { /* already stopped */ }
+      try { entry.source.disconnect(); } catch { /* noop */ }
+      try { entry.gain.disconnect(); } catch { /* noop */ }
+      for (const node of entry.nodes || []) {
+        try { node.disconnect(); } catch { /* noop */ }
+      }
+      this._sources.delete(entry);
+    },
+
+    stopSources() {
+      for (const entry of [...this._sources]) this.stopEntry(entry);
     },
 
     stopAll() {
+      this.stopAmbient();
+      this.stopSequence();
       this.stopSources();
     },
 
@@ -268,26 +875,112 @@
       return source;
     },
 
+    // Wires `chain` around the envelope gain and returns the node the source
+    // should feed. Every node it creates is pushed onto `nodes`.
+    connectChain(chain, gain, output, startTime, endTime, nodes) {
+      const audioContext = this._audioContext;
+      let last = gain;
+      if (chain?.pan !== null && chain?.pan !== undefined) {
+        const panner = audioContext.createStereoPanner();
+        panner.pan.setValueAtTime(chain.pan, startTime);
+        nodes.push(panner);
+        last.connect(panner);
+        last = panner;
+      }
+      last.connect(output);
+
+      if (chain?.delay) {
+        const send = audioContext.createGain();
+        send.gain.setValueAtTime(chain.delay.mix, startTime);
+        const delay = audioContext.createDelay(MAX_DELAY_MS / 1000);
+        delay.delayTime.setValueAtTime(chain.delay.timeMs / 1000, startTime);
+        const feedback = audioContext.createGain();
+        feedback.gain.setValueAtTime(chain.delay.feedback, startTime);
+        last.connect(send);
+        send.connect(delay);
+        delay.connect(feedback);
+        feedback.connect(delay);
+        delay.connect(output);
+        nodes.push(send, delay, feedback);
+      }
+
+      if (chain?.reverb) {
+        const send = audioContext.createGain();
+        send.gain.setValueAtTime(chain.reverb.mix, startTime);
+        const convolver = audioContext.createConvolver();
+        convolver.buffer = this.reverbImpulse(chain.reverb.decayMs);
+        last.connect(send);
+        send.connect(convolver);
+        convolver.connect(output);
+        nodes.push(send, convolver);
+      }
+
+      let first = gain;
+      if (chain?.distortion) {
+        const shaper = audioContext.createWaveShaper();
+        shaper.curve = distortionCurve(chain.distortion.amount);
+        shaper.oversample = '4x';
+        shaper.connect(first);
+        nodes.push(shaper);
+        first = shaper;
+      }
+      if (chain?.filter) {
+        const filter = audioContext.createBiquadFilter();
+        filter.type = chain.filter.type;
+        filter.frequency.setValueAtTime(chain.filter.frequency, startTime);
+        if (chain.filter.endFrequency) filter.frequency.exponentialRampToValueAtTime(chain.filter.endFrequency, endTime);
+        filter.Q.setValueAtTime(chain.filter.q, startTime);
+        filter.connect(first);
+        nodes.push(filter);
+        first = filter;
+      }
+      return first;
+    },
+
+    // Decaying stereo noise for each AudioContext. Lengths round to
+    // REVERB_STEP_MS and only the most recently used few are kept.
+    reverbImpulse(requestedMs) {
+      const audioContext = this._audioContext;
+      if (this._impulses.context !== audioContext) this._impulses = { context: audioContext, buffers: new Map() };
+      const { buffers } = this._impulses;
+      const decayMs = Math.max(REVERB_STEP_MS, Math.round(requestedMs / REVERB_STEP_MS) * REVERB_STEP_MS);
+      const cached = buffers.get(decayMs);
+      if (cached) {
+        buffers.delete(decayMs);
+        buffers.set(decayMs, cached);
+        return cached;
+      }
+
+      const frameCount = Math.max(1, Math.ceil(audioContext.sampleRate * (decayMs / 1000)));
+      const buffer = audioContext.createBuffer(2, frameCount, audioContext.sampleRate);
+      for (let channel = 0; channel < 2; channel += 1) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i += 1) {
+          data[i] = ((Math.random() * 2) - 1) * ((1 - (i / frameCount)) ** 3);
+        }
+      }
+      buffers.set(decayMs, buffer);
+      if (buffers.size > MAX_CACHED_IMPULSES) buffers.delete(buffers.keys().next().value);
+      return buffer;
+    },
+
     scheduleTone(tone, startTime, output) {
       const audioContext = this._audioContext;
-      if (!audioContext || !output) return;
+      if (!audioContext || !output) return null;
 
       const durationSeconds = tone.durationMs / 1000;
       const endTime = startTime + durationSeconds;
-      const attackSeconds = tone.attackMs / 1000;
-      const releaseSeconds = tone.releaseMs / 1000;
-      const releaseStart = Math.max(startTime + attackSeconds, endTime - releaseSeconds);
       const gain = audioContext.createGain();
-      const volume = normalizeVolume(tone.volume, 0.7);
-
-      gain.gain.setValueAtTime(attackSeconds > 0 ? 0 : volume, startTime);
-      if (attackSeconds > 0) {
-        gain.gain.linearRampToValueAtTime(volume, startTime + attackSeconds);
-      }
-      gain.gain.setValueAtTime(volume, releaseStart);
-      if (releaseSeconds > 0) gain.gain.linearRampToValueAtTime(0, endTime);
-      else gain.gain.setValueAtTime(0, endTime);
-      gain.connect(output);
+      scheduleEnvelope(
+        gain.gain,
+        normalizeVolume(tone.volume, 0.7),
+        startTime,
+        endTime,
+        tone.attackMs / 1000,
+        tone.releaseMs / 1000,
+      );
+      const nodes = [];
+      const input = this.connectChain(tone.chain, gain, output, startTime, endTime, nodes);
 
       let source;
       if (tone.waveform === 'noise') {
@@ -301,31 +994,33 @@
         }
       }
 
-      const entry = { source, gain };
+      const entry = { source, gain, nodes };
       this._sources.add(entry);
-      source.connect(gain);
+      source.connect(input);
       source.onended = () => {
         try { source.disconnect(); } catch { /* noop */ }
-        try { gain.disconnect(); } catch { /* noop */ }
-        this._sources.delete(entry);
+        // Delay and reverb keep ringing after the source; let them finish.
+        setTimeout(() => this.stopEntry(entry), tone.chain?.tailMs || 0);
       };
       source.start(startTime);
       source.stop(endTime + 0.02);
+      return entry;
     },
 
-    effectStorageKey(adventureId = this._ctx?.getAdventureId?.()) {
-      return adventureId ? `ultrascripts_audio_effect_${adventureId}` : null;
+    // `kind` is 'effect' or 'sequence'; each remembers its own last id.
+    playedStorageKey(kind, adventureId = this._ctx?.getAdventureId?.()) {
+      return adventureId ? `ultrascripts_audio_${kind}_${adventureId}` : null;
     },
 
-    readLastEffectId(adventureId) {
-      const key = this.effectStorageKey(adventureId);
+    readLastPlayedId(kind, adventureId) {
+      const key = this.playedStorageKey(kind, adventureId);
       if (!key) return null;
       try { return sessionStorage.getItem(key); }
       catch { return null; }
     },
 
-    writeLastEffectId(id) {
-      const key = this.effectStorageKey();
+    writeLastPlayedId(kind, id) {
+      const key = this.playedStorageKey(kind);
       if (!key) return;
       try { sessionStorage.setItem(key, id); } catch { /* storage unavailable */ }
     },
@@ -337,6 +1032,11 @@
         contextState: this._audioContext?.state || 'not-created',
         activeSources: this._sources.size,
         lastEffectId: this._lastEffectId,
+        lastSequenceId: this._lastSequenceId,
+        activeSequenceId: this._sequencePlayback?.id || null,
+        ambientLayers: this._ambient?.layerCount || 0,
+        fadingAmbients: this._fadingAmbients.size,
+        output: { ...this._output },
         waveforms: [...SUPPORTED_WAVEFORMS],
       };
     },
@@ -9,6 +9,13 @@
   const DEFAULT_FORMAT_TIME_ZONE = 'UTC';
   const MAX_DATE_TS = 8640000000000000;
 
+  // null is the same as leaving an arg out.
+  const TIME_ARGS = {
+    ts: { type: ['number', 'string', 'null'], description: 'Unix ms or ISO date; defaults to now' },
+    timeZone: { type: ['string', 'null'], description: 'IANA time zone' },
+    tz: { type: ['string', 'null'], description: 'Alias of timeZone' },
+  };
+
   const FORMAT_TOKEN_RE = /(\[[^\]]*])|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|A|a|ZZ|Z/g;
   const formatterCache = new Map();
 
@@ -199,10 +206,6 @@
   }
 
   function nowOp(args = {}) {
-    if (args && (typeof args !== 'object' || Array.isArray(args))) {
-      throw invalidArgs('args must be an object');
-    }
-
     const systemTimeZone = getSystemTimeZone();
     const timeZone = normalizeTimeZone(args.timeZone ?? args.tz, systemTimeZone);
     const ts = parseTimestamp(args.ts, Date.now());
@@ -214,10 +217,6 @@
   }
 
   function tzOp(args = {}) {
-    if (args && (typeof args !== 'object' || Array.isArray(args))) {
-      throw invalidArgs('args must be an object');
-    }
-
     const systemTimeZone = getSystemTimeZone();
     const timeZone = normalizeTimeZone(args.timeZone ?? args.tz, systemTimeZone);
     const ts = parseTimestamp(args.ts, Date.now());
@@ -230,10 +229,6 @@
   }
 
   function formatOp(args = {}) {
-    if (!args || typeof args !== 'object' || Array.isArray(args)) {
-      throw invalidArgs('args must be an object');
-    }
-
     const ts = parseTimestamp(args.ts, Date.now());
     const timeZone = normalizeTimeZone(args.timeZone ?? args.tz, DEFAULT_FORMAT_TIME_ZONE);
     return formatPattern(ts, timeZone, args.format);
@@ -249,16 +244,26 @@
       now: {
         idempotent: 'safe',
         timeoutMs: 1000,
+        args: { type: 'object', properties: { ...TIME_ARGS } },
         handler: nowOp,
       },
       tz: {
         idempotent: 'safe',
         timeoutMs: 1000,
+        args: { type: 'object', properties: { ...TIME_ARGS } },
         handler: tzOp,
       },
       format: {
         idempotent: 'safe',
         timeoutMs: 1000,
+        args: {
+          type: 'object',
+          properties: {
+            ...TIME_ARGS,
+            format: { type: 'string', minLength: 1, description: 'Token pattern such as YYYY-MM-DD HH:mm' },
+          },
+          required: ['format'],
+        },
         handler: formatOp,
       },
     },
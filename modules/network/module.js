@@ -6,18 +6,6 @@
 (function () {
   if (window.UltrascriptsNetworkModule) return;
 
-  function invalidArgs(message, extra = {}) {
-    return { code: 'invalid_args', message, ...extra };
-  }
-
-  function normalizeArgs(args) {
-    if (args === undefined || args === null) return {};
-    if (typeof args !== 'object' || Array.isArray(args)) {
-      throw invalidArgs('args must be an object');
-    }
-    return args;
-  }
-
   function connectionApi() {
     if (typeof navigator === 'undefined') return null;
     return navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
@@ -75,8 +63,7 @@
     };
   }
 
-  function statusOp(args = {}) {
-    normalizeArgs(args);
+  function statusOp() {
     return buildConnectionPayload();
   }
 
@@ -90,6 +77,7 @@
       status: {
         idempotent: 'safe',
         timeoutMs: 1000,
+        args: { type: 'object', properties: {} },
         handler: statusOp,
       },
     },
@@ -1,12 +1,15 @@
 // modules/sdk/module.js
 //
 // Ultrascripts BetterDungeon SDK module. Exposes BetterDungeon-facing metadata
-// that does not belong in Ultrascripts heartbeat discovery.
+// that does not belong in Ultrascripts heartbeat discovery, and the
+// `negotiate` handshake that checks a script's requirements against the
+// capability schemas the registry builds, and the `schemas` reference of
+// every op's args JSON Schema.
 
 (function () {
   if (window.UltrascriptsSdkModule) return;
 
-  const SDK_VERSION = '1.0.0';
+  const SDK_VERSION = '1.2.0';
   const ULTRASCRIPTS_PROTOCOL = 1;
   const ULTRASCRIPTS_CLIENT = 'BetterDungeon';
   const SDK_MESSAGE = 'ULTRASCRIPTS_SDK_REQUEST';
@@ -34,23 +37,12 @@
     'webfetch',
     'clock',
     'sdk',
+    'storage',
     'weather',
     'network',
     'system',
     'ai',
   ];
-  function invalidArgs(message, extra = {}) {
-    return { code: 'invalid_args', message, ...extra };
-  }
-
-  function normalizeArgs(args) {
-    if (args === undefined || args === null) return {};
-    if (typeof args !== 'object' || Array.isArray(args)) {
-      throw invalidArgs('args must be an object');
-    }
-    return args;
-  }
-
   function getManifest() {
     try {
       return chrome?.runtime?.getManifest?.() || null;
@@ -131,6 +123,14 @@
     });
   }
 
+  function getRegistry() {
+    const registry = window.Ultrascripts?.registry;
+    if (typeof registry?.negotiate !== 'function') {
+      throw { code: 'unavailable', message: 'Ultrascripts registry is not loaded', retryable: true };
+    }
+    return registry;
+  }
+
   function getUltrascriptsProtocol(ctx) {
     const core = getCore();
     if (typeof core?.getProtocolVersion === 'function') {
@@ -147,8 +147,7 @@
     return ULTRASCRIPTS_CLIENT;
   }
 
-  function versionOp(args = {}) {
-    normalizeArgs(args);
+  function versionOp() {
     return {
       sdkVersion: SDK_VERSION,
       betterDungeonVersion: getBetterDungeonVersion(),
@@ -173,9 +172,7 @@
     return out;
   }
 
-  async function configOp(args = {}, ctx) {
-    normalizeArgs(args);
-
+  async function configOp(args, ctx) {
     const backgroundConfig = await backgroundRequest({ op: 'config' });
     if (backgroundConfig && typeof backgroundConfig === 'object') {
       return {
@@ -216,6 +213,36 @@
     };
   }
 
+  // Compatibility verdict for a script's minimum requirements; see
+  // registry.negotiate() for the requirement shape. `describe: true` also
+  // returns the full capability schema of each module named.
+  function negotiateOp(args) {
+    const registry = getRegistry();
+    const verdict = registry.negotiate({ protocol: args.protocol, modules: args.modules });
+    const result = {
+      ...verdict,
+      client: getUltrascriptsClientName(),
+      betterDungeonVersion: getBetterDungeonVersion(),
+    };
+    if (args.describe === true) {
+      result.schemas = {};
+      for (const id of Object.keys(verdict.modules)) {
+        result.schemas[id] = registry.describe(id);
+      }
+    }
+    return result;
+  }
+
+  // Args JSON Schema of every op (or of one module's ops), in the form the
+  // dispatcher validates requests against.
+  function schemasOp(args) {
+    const registry = getRegistry();
+    if (args.module !== undefined && !registry.describe(args.module)) {
+      throw { code: 'unknown_module', message: `Unknown module '${args.module}'` };
+    }
+    return registry.exportArgSchemas(args.module);
+  }
+
   const UltrascriptsSdkModule = {
     id: 'sdk',
     version: SDK_VERSION,
@@ -226,13 +253,43 @@
       version: {
         idempotent: 'safe',
         timeoutMs: 1000,
+        args: { type: 'object', properties: {} },
         handler: versionOp,
       },
       config: {
         idempotent: 'safe',
         timeoutMs: 1500,
+        args: { type: 'object', properties: {} },
         handler: configOp,
       },
+      negotiate: {
+        idempotent: 'safe',
+        timeoutMs: 1000,
+        args: {
+          type: 'object',
+          properties: {
+            protocol: { type: 'integer', minimum: 1 },
+            modules: {
+              type: 'object',
+              additionalProperties: { type: ['string', 'object', 'boolean'] },
+              description: "Per-module requirements: a version such as '1.2.0', or { version, ops, features, limits, optional }",
+            },
+            describe: { type: ['boolean', 'null'] },
+          },
+        },
+        handler: negotiateOp,
+      },
+      schemas: {
+        idempotent: 'safe',
+        timeoutMs: 1000,
+        args: {
+          type: 'object',
+          properties: {
+            module: { type: 'string', minLength: 1 },
+          },
+        },
+        handler: schemasOp,
+      },
     },
 
     mount(ctx) {
@@ -0,0 +1,641 @@
+// modules/storage/module.js
+//
+// Ultrascripts persistent key-value storage. Gives scripts room outside `state`
+// and story cards for large blobs such as generated maps, scoped per adventure
+// or per scenario and backed by extension local storage.
+
+(function () {
+  if (window.UltrascriptsStorageModule) return;
+
+  const STORAGE_VERSION = '1.0.0';
+  const SCOPE_KEY_PREFIX = 'ultrascripts_storage_';
+  const INDEX_KEY = 'ultrascripts_storage_index';
+  const SCOPES = ['adventure', 'scenario'];
+  const DEFAULT_SCOPE = 'adventure';
+
+  // Values travel back to the script through `ultrascripts:in:storage`, so a
+  // single read must stay well under the response card budget.
+  const MAX_KEY_CHARS = 128;
+  const MAX_VALUE_BYTES = 32000;
+  const MAX_READ_BYTES = 64000;
+  const MAX_KEYS_PER_SCOPE = 500;
+  const MAX_SCOPE_BYTES = 1000000;
+  const MAX_TOTAL_BYTES = 5000000;
+  const MAX_BATCH_KEYS = 32;
+  const MAX_TRANSACTION_OPS = 32;
+  const DEFAULT_LIST_LIMIT = 100;
+  const MAX_LIST_LIMIT = 500;
+  const KEY_PATTERN = /^[A-Za-z0-9_.:\/-]+$/;
+
+  const KEY_SCHEMA = {
+    type: 'string',
+    minLength: 1,
+    maxLength: MAX_KEY_CHARS,
+    pattern: KEY_PATTERN.source,
+  };
+  // null scope and ifVersion mean the default scope and no version guard.
+  const SCOPE_SCHEMA = { type: ['string', 'null'], enum: [...SCOPES, null] };
+  const IF_VERSION_SCHEMA = { type: ['integer', 'string', 'null'], minimum: 0 };
+  const KEYS_SCHEMA = { type: 'array', minItems: 1, maxItems: MAX_BATCH_KEYS, items: KEY_SCHEMA };
+
+  const scopeLocks = new Map();   // storage key -> Promise tail
+  const metrics = {
+    reads: 0,
+    writes: 0,
+    deletes: 0,
+    transactions: 0,
+    conflicts: 0,
+    quotaRejections: 0,
+  };
+
+  function invalidArgs(message, extra = {}) {
+    return { code: 'invalid_args', message, ...extra };
+  }
+
+  function quotaExceeded(message, extra = {}) {
+    metrics.quotaRejections++;
+    return { code: 'quota_exceeded', message, ...extra };
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function byteLength(text) {
+    try {
+      return new TextEncoder().encode(text).length;
+    } catch {
+      return String(text).length;
+    }
+  }
+
+  // ---------- extension storage ----------
+
+  function getStorageArea() {
+    if (typeof browser !== 'undefined' && browser?.storage?.local) return browser.storage.local;
+    if (typeof chrome !== 'undefined' && chrome?.storage?.local) return chrome.storage.local;
+    return null;
+  }
+
+  function storageUnavailable() {
+    return { code: 'storage_unavailable', message: 'Extension storage is unavailable', retryable: true };
+  }
+
+  function storageGet(keys) {
+    const area = getStorageArea();
+    if (!area?.get) return Promise.reject(storageUnavailable());
+    return new Promise((resolve, reject) => {
+      try {
+        const maybePromise = area.get(keys, (result) => resolve(result || {}));
+        if (maybePromise && typeof maybePromise.then === 'function') {
+          maybePromise.then((result) => resolve(result || {}), reject);
+        }
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  function storageSet(data) {
+    const area = getStorageArea();
+    if (!area?.set) return Promise.reject(storageUnavailable());
+    return new Promise((resolve, reject) => {
+      try {
+        const maybePromise = area.set(data, () => {
+          const lastError = typeof chrome !== 'undefined' ? chrome.runtime?.lastError : null;
+          if (lastError) reject({ code: 'storage_failed', message: lastError.message || 'Storage write failed' });
+          else resolve();
+        });
+        if (maybePromise && typeof maybePromise.then === 'function') {
+          maybePromise.then(resolve, reject);
+        }
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  function storageRemove(keys) {
+    const area = getStorageArea();
+    if (!area?.remove) return Promise.reject(storageUnavailable());
+    return new Promise((resolve, reject) => {
+      try {
+        const maybePromise = area.remove(keys, () => resolve());
+        if (maybePromise && typeof maybePromise.then === 'function') {
+          maybePromise.then(resolve, reject);
+        }
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  // Every read-modify-write of a scope runs behind that scope's lock so two
+  // ops landing in one `ultrascripts:out` cannot interleave and lose writes.
+  function withScopeLock(storageKey, task) {
+    const previous = scopeLocks.get(storageKey) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    const tail = run.catch(() => {});
+    scopeLocks.set(storageKey, tail);
+    tail.then(() => {
+      if (scopeLocks.get(storageKey) === tail) scopeLocks.delete(storageKey);
+    });
+    return run;
+  }
+
+  // ---------- scope resolution ----------
+
+  // Unknown scopes never reach here; the op args schema enumerates SCOPES.
+  function normalizeScope(value) {
+    return value === undefined || value === null || value === '' ? DEFAULT_SCOPE : String(value);
+  }
+
+  async function resolveScope(args, ctx) {
+    const scope = normalizeScope(args.scope);
+    const shortId = ctx?.adventureShortId || window.Ultrascripts?.ws?.getAdventureShortId?.() || null;
+    if (!shortId) {
+      throw { code: 'scope_unavailable', message: 'No adventure is active', retryable: true };
+    }
+
+    if (scope === 'adventure') {
+      return { scope, id: shortId, storageKey: `${SCOPE_KEY_PREFIX}adventure_${shortId}` };
+    }
+
+    // The same lookup consent and quotas use, so every per-scenario record
+    // agrees on which scenario an adventure belongs to.
+    let scenario = null;
+    try {
+      scenario = await ctx?.resolveScenario?.();
+    } catch { /* reported below */ }
+    if (!scenario?.id) {
+      throw {
+        code: 'scope_unavailable',
+        message: 'The scenario for this adventure is not known yet; retry on a later turn',
+        retryable: true,
+      };
+    }
+    return { scope, id: scenario.id, storageKey: `${SCOPE_KEY_PREFIX}scenario_${scenario.id}` };
+  }
+
+  // ---------- scope records ----------
+
+  function emptyRecord() {
+    return { v: 1, entries: {}, bytes: 0, updatedAt: 0 };
+  }
+
+  function normalizeRecord(raw) {
+    if (!isObject(raw) || !isObject(raw.entries)) return emptyRecord();
+    const entries = {};
+    let bytes = 0;
+    for (const [key, entry] of Object.entries(raw.entries)) {
+      if (!isObject(entry) || typeof entry.json !== 'string') continue;
+      const entryBytes = Number(entry.bytes) || byteLength(entry.json);
+      entries[key] = {
+        json: entry.json,
+        bytes: entryBytes,
+        version: Number(entry.version) || 1,
+        updatedAt: Number(entry.updatedAt) || 0,
+      };
+      bytes += entryBytes;
+    }
+    return { v: 1, entries, bytes, updatedAt: Number(raw.updatedAt) || 0 };
+  }
+
+  async function readRecord(storageKey) {
+    const result = await storageGet(storageKey);
+    return normalizeRecord(result[storageKey]);
+  }
+
+  async function readIndex() {
+    const result = await storageGet(INDEX_KEY);
+    return isObject(result[INDEX_KEY]) ? result[INDEX_KEY] : {};
+  }
+
+  function indexTotalBytes(index, excludeKey) {
+    let total = 0;
+    for (const [storageKey, meta] of Object.entries(index)) {
+      if (storageKey === excludeKey) continue;
+      total += Number(meta?.bytes) || 0;
+    }
+    return total;
+  }
+
+  // The index spans every scope, so its read-modify-write takes its own lock
+  // on top of the caller's scope lock.
+  function writeRecord(resolved, record) {
+    return withScopeLock(INDEX_KEY, () => writeRecordUnlocked(resolved, record));
+  }
+
+  async function writeRecordUnlocked(resolved, record) {
+    const index = await readIndex();
+    const otherBytes = indexTotalBytes(index, resolved.storageKey);
+    if (otherBytes + record.bytes > MAX_TOTAL_BYTES) {
+      throw quotaExceeded(`Ultrascripts storage is full (${MAX_TOTAL_BYTES} bytes across all scopes)`, {
+        limit: MAX_TOTAL_BYTES,
+      });
+    }
+
+    const keyCount = Object.keys(record.entries).length;
+    if (keyCount === 0) {
+      delete index[resolved.storageKey];
+      await storageRemove(resolved.storageKey);
+      await storageSet({ [INDEX_KEY]: index });
+      return;
+    }
+
+    record.updatedAt = Date.now();
+    index[resolved.storageKey] = {
+      scope: resolved.scope,
+      id: resolved.id,
+      bytes: record.bytes,
+      keys: keyCount,
+      updatedAt: record.updatedAt,
+    };
+    await storageSet({ [resolved.storageKey]: record, [INDEX_KEY]: index });
+  }
+
+  function usageOf(resolved, record) {
+    return {
+      scope: resolved.scope,
+      keys: Object.keys(record.entries).length,
+      bytes: record.bytes,
+      maxKeys: MAX_KEYS_PER_SCOPE,
+      maxBytes: MAX_SCOPE_BYTES,
+    };
+  }
+
+  // ---------- argument normalization ----------
+
+  function normalizeKey(value, field = 'key') {
+    if (typeof value !== 'string' || value === '') {
+      throw invalidArgs(`${field} must be a non-empty string`);
+    }
+    if (value.length > MAX_KEY_CHARS) {
+      throw invalidArgs(`${field} must not exceed ${MAX_KEY_CHARS} characters`);
+    }
+    if (!KEY_PATTERN.test(value)) {
+      throw invalidArgs(`${field} may only contain letters, digits, and _ . : / -`);
+    }
+    return value;
+  }
+
+  function normalizeKeyList(args) {
+    if (args.keys !== undefined) {
+      if (!Array.isArray(args.keys) || args.keys.length === 0) {
+        throw invalidArgs('keys must be a non-empty array');
+      }
+      if (args.keys.length > MAX_BATCH_KEYS) {
+        throw invalidArgs(`keys must not contain more than ${MAX_BATCH_KEYS} entries`);
+      }
+      return { many: true, keys: [...new Set(args.keys.map((key, i) => normalizeKey(key, `keys[${i}]`)))] };
+    }
+    return { many: false, keys: [normalizeKey(args.key)] };
+  }
+
+  function encodeValue(value, field = 'value') {
+    if (value === undefined) throw invalidArgs(`${field} is required`);
+    let json;
+    try {
+      json = JSON.stringify(value);
+    } catch {
+      throw invalidArgs(`${field} must be JSON-serializable`);
+    }
+    if (typeof json !== 'string') throw invalidArgs(`${field} must be JSON-serializable`);
+    const bytes = byteLength(json);
+    if (bytes > MAX_VALUE_BYTES) {
+      throw quotaExceeded(`${field} is ${bytes} bytes; the limit is ${MAX_VALUE_BYTES}`, {
+        limit: MAX_VALUE_BYTES,
+        bytes,
+      });
+    }
+    return { json, bytes };
+  }
+
+  // `ifVersion` is an optimistic-concurrency guard: a number must match the
+  // stored version, and 0 means "only if the key does not exist yet".
+  function normalizeIfVersion(value, field = 'ifVersion') {
+    if (value === undefined || value === null) return null;
+    const n = Number(value);
+    if (!Number.isSafeInteger(n) || n < 0) {
+      throw invalidArgs(`${field} must be a non-negative integer`);
+    }
+    return n;
+  }
+
+  function assertVersion(record, key, ifVersion) {
+    if (ifVersion === null) return;
+    const actual = record.entries[key]?.version || 0;
+    if (actual !== ifVersion) {
+      metrics.conflicts++;
+      throw {
+        code: 'version_conflict',
+        message: `Key '${key}' is at version ${actual}, expected ${ifVersion}`,
+        key,
+        expected: ifVersion,
+        actual,
+      };
+    }
+  }
+
+  function applySet(record, key, encoded) {
+    const previous = record.entries[key];
+    if (!previous && Object.keys(record.entries).length >= MAX_KEYS_PER_SCOPE) {
+      throw quotaExceeded(`Scope is limited to ${MAX_KEYS_PER_SCOPE} keys`, { limit: MAX_KEYS_PER_SCOPE });
+    }
+    const nextBytes = record.bytes - (previous?.bytes || 0) + encoded.bytes;
+    if (nextBytes > MAX_SCOPE_BYTES) {
+      throw quotaExceeded(`Scope is limited to ${MAX_SCOPE_BYTES} bytes`, {
+        limit: MAX_SCOPE_BYTES,
+        bytes: nextBytes,
+      });
+    }
+    const entry = {
+      json: encoded.json,
+      bytes: encoded.bytes,
+      version: (previous?.version || 0) + 1,
+      updatedAt: Date.now(),
+    };
+    record.entries[key] = entry;
+    record.bytes = nextBytes;
+    return entry;
+  }
+
+  function applyDelete(record, key) {
+    const previous = record.entries[key];
+    if (!previous) return false;
+    delete record.entries[key];
+    record.bytes -= previous.bytes;
+    return true;
+  }
+
+  function describeEntry(key, entry) {
+    return { key, bytes: entry.bytes, version: entry.version, updatedAt: entry.updatedAt };
+  }
+
+  // ---------- ops ----------
+
+  async function getOp(args, ctx) {
+    const { many, keys } = normalizeKeyList(args);
+    const resolved = await resolveScope(args, ctx);
+    const record = await readRecord(resolved.storageKey);
+    metrics.reads++;
+
+    let readBytes = 0;
+    const values = {};
+    const versions = {};
+    const missing = [];
+    for (const key of keys) {
+      const entry = record.entries[key];
+      if (!entry) {
+        missing.push(key);
+        continue;
+      }
+      readBytes += entry.bytes;
+      if (readBytes > MAX_READ_BYTES) {
+        throw quotaExceeded(`A single read may return at most ${MAX_READ_BYTES} bytes; request fewer keys`, {
+          limit: MAX_READ_BYTES,
+        });
+      }
+      values[key] = JSON.parse(entry.json);
+      versions[key] = entry.version;
+    }
+
+    if (!many) {
+      const key = keys[0];
+      return {
+        scope: resolved.scope,
+        key,
+        found: key in values,
+        value: key in values ? values[key] : null,
+        version: versions[key] || 0,
+      };
+    }
+    return { scope: resolved.scope, values, versions, missing };
+  }
+
+  async function setOp(args, ctx) {
+    const key = normalizeKey(args.key);
+    const encoded = encodeValue(args.value);
+    const ifVersion = normalizeIfVersion(args.ifVersion);
+    const resolved = await resolveScope(args, ctx);
+
+    return withScopeLock(resolved.storageKey, async () => {
+      const record = await readRecord(resolved.storageKey);
+      assertVersion(record, key, ifVersion);
+      const entry = applySet(record, key, encoded);
+      await writeRecord(resolved, record);
+      metrics.writes++;
+      return { ...describeEntry(key, entry), usage: usageOf(resolved, record) };
+    });
+  }
+
+  async function deleteOp(args, ctx) {
+    const { keys } = normalizeKeyList(args);
+    const ifVersion = normalizeIfVersion(args.ifVersion);
+    if (ifVersion !== null && keys.length > 1) {
+      throw invalidArgs('ifVersion can only be used when deleting a single key');
+    }
+    const resolved = await resolveScope(args, ctx);
+
+    return withScopeLock(resolved.storageKey, async () => {
+      const record = await readRecord(resolved.storageKey);
+      if (ifVersion !== null) assertVersion(record, keys[0], ifVersion);
+      const deleted = keys.filter((key) => applyDelete(record, key));
+      if (deleted.length) {
+        await writeRecord(resolved, record);
+        metrics.deletes += deleted.length;
+      }
+      return { scope: resolved.scope, deleted, usage: usageOf(resolved, record) };
+    });
+  }
+
+  async function listOp(args, ctx) {
+    const prefix = args.prefix === undefined || args.prefix === null ? '' : String(args.prefix);
+    if (prefix.length > MAX_KEY_CHARS) {
+      throw invalidArgs(`prefix must not exceed ${MAX_KEY_CHARS} characters`);
+    }
+    const after = args.after === undefined || args.after === null ? '' : String(args.after);
+    const limitRaw = args.limit === undefined ? DEFAULT_LIST_LIMIT : Number(args.limit);
+    if (!Number.isSafeInteger(limitRaw) || limitRaw < 1) {
+      throw invalidArgs('limit must be a positive integer');
+    }
+    const limit = Math.min(limitRaw, MAX_LIST_LIMIT);
+    const resolved = await resolveScope(args, ctx);
+    const record = await readRecord(resolved.storageKey);
+    metrics.reads++;
+
+    const matching = Object.keys(record.entries)
+      .filter((key) => key.startsWith(prefix) && (!after || key > after))
+      .sort();
+    const page = matching.slice(0, limit);
+    return {
+      scope: resolved.scope,
+      keys: page.map((key) => describeEntry(key, record.entries[key])),
+      nextAfter: matching.length > limit ? page[page.length - 1] : null,
+      usage: usageOf(resolved, record),
+    };
+  }
+
+  // Applies a batch of set/delete ops all-or-nothing. Every guard and quota is
+  // checked against a scratch copy before anything is persisted.
+  async function transactionOp(args, ctx) {
+    const planned = args.ops.map((raw, i) => {
+      const kind = raw.op;
+      return {
+        kind,
+        key: normalizeKey(raw.key, `ops[${i}].key`),
+        encoded: kind === 'set' ? encodeValue(raw.value, `ops[${i}].value`) : null,
+        ifVersion: normalizeIfVersion(raw.ifVersion, `ops[${i}].ifVersion`),
+      };
+    });
+    const resolved = await resolveScope(args, ctx);
+
+    return withScopeLock(resolved.storageKey, async () => {
+      const stored = await readRecord(resolved.storageKey);
+      const scratch = {
+        ...stored,
+        entries: { ...stored.entries },
+      };
+
+      const results = planned.map((item) => {
+        assertVersion(scratch, item.key, item.ifVersion);
+        if (item.kind === 'set') {
+          return { op: 'set', ...describeEntry(item.key, applySet(scratch, item.key, item.encoded)) };
+        }
+        return { op: 'delete', key: item.key, deleted: applyDelete(scratch, item.key) };
+      });
+
+      await writeRecord(resolved, scratch);
+      metrics.transactions++;
+      return { scope: resolved.scope, committed: true, results, usage: usageOf(resolved, scratch) };
+    });
+  }
+
+  const UltrascriptsStorageModule = {
+    id: 'storage',
+    version: STORAGE_VERSION,
+    label: 'Storage',
+    description: 'Persistent key-value storage for scripts, scoped per adventure or per scenario.',
+
+    capabilities: {
+      features: ['versions', 'transactions'],
+      limits: {
+        scopes: SCOPES.slice(),
+        maxKeyChars: MAX_KEY_CHARS,
+        maxValueBytes: MAX_VALUE_BYTES,
+        maxReadBytes: MAX_READ_BYTES,
+        maxKeysPerScope: MAX_KEYS_PER_SCOPE,
+        maxScopeBytes: MAX_SCOPE_BYTES,
+        maxBatchKeys: MAX_BATCH_KEYS,
+        maxTransactionOps: MAX_TRANSACTION_OPS,
+      },
+    },
+
+    ops: {
+      get: {
+        idempotent: 'safe',
+        timeoutMs: 5000,
+        args: {
+          type: 'object',
+          properties: { key: KEY_SCHEMA, keys: KEYS_SCHEMA, scope: SCOPE_SCHEMA },
+        },
+        handler: getOp,
+      },
+      set: {
+        idempotent: 'unsafe',
+        timeoutMs: 5000,
+        args: {
+          type: 'object',
+          properties: {
+            key: KEY_SCHEMA,
+            value: { description: `Any JSON value up to ${MAX_VALUE_BYTES} bytes` },
+            ifVersion: IF_VERSION_SCHEMA,
+            scope: SCOPE_SCHEMA,
+          },
+          required: ['key', 'value'],
+        },
+        handler: setOp,
+      },
+      delete: {
+        idempotent: 'unsafe',
+        timeoutMs: 5000,
+        args: {
+          type: 'object',
+          properties: { key: KEY_SCHEMA, keys: KEYS_SCHEMA, ifVersion: IF_VERSION_SCHEMA, scope: SCOPE_SCHEMA },
+        },
+        handler: deleteOp,
+      },
+      list: {
+        idempotent: 'safe',
+        timeoutMs: 5000,
+        args: {
+          type: 'object',
+          properties: {
+            prefix: { type: ['string', 'null'], maxLength: MAX_KEY_CHARS },
+            after: { type: ['string', 'null'] },
+            limit: { type: ['integer', 'string'], minimum: 1 },
+            scope: SCOPE_SCHEMA,
+          },
+        },
+        handler: listOp,
+      },
+      transaction: {
+        idempotent: 'unsafe',
+        timeoutMs: 5000,
+        args: {
+          type: 'object',
+          properties: {
+            ops: {
+              type: 'array',
+              minItems: 1,
+              maxItems: MAX_TRANSACTION_OPS,
+              items: {
+                type: 'object',
+                properties: {
+                  op: { type: 'string', enum: ['set', 'delete'] },
+                  key: KEY_SCHEMA,
+                  value: {},
+                  ifVersion: IF_VERSION_SCHEMA,
+                },
+                required: ['op', 'key'],
+              },
+            },
+            scope: SCOPE_SCHEMA,
+          },
+          required: ['ops'],
+        },
+        handler: transactionOp,
+      },
+    },
+
+    mount(ctx) {
+      this._ctx = ctx;
+      ctx.log('debug', 'Storage mounted');
+    },
+
+    unmount() {
+      this._ctx = null;
+    },
+
+    inspect() {
+      return {
+        mounted: !!this._ctx,
+        ops: Object.keys(this.ops),
+        lockedScopes: [...scopeLocks.keys()],
+        metrics: { ...metrics },
+      };
+    },
+  };
+
+  window.UltrascriptsStorageModule = UltrascriptsStorageModule;
+
+  if (window.Ultrascripts?.registry) {
+    window.Ultrascripts.registry.register(UltrascriptsStorageModule);
+  } else {
+    console.warn('[Storage] Ultrascripts registry not available; storage module not registered.');
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UltrascriptsStorageModule;
+  }
+})();
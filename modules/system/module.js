@@ -13,18 +13,6 @@
     UNKNOWN: 'unknown',
   };
 
-  function invalidArgs(message, extra = {}) {
-    return { code: 'invalid_args', message, ...extra };
-  }
-
-  function normalizeArgs(args) {
-    if (args === undefined || args === null) return {};
-    if (typeof args !== 'object' || Array.isArray(args)) {
-      throw invalidArgs('args must be an object');
-    }
-    return args;
-  }
-
   function nav() {
     if (typeof navigator !== 'undefined') return navigator;
     return {};
@@ -282,13 +270,11 @@
     };
   }
 
-  function infoOp(args = {}) {
-    normalizeArgs(args);
+  function infoOp() {
     return buildInfoPayload();
   }
 
-  async function powerOp(args = {}) {
-    normalizeArgs(args);
+  async function powerOp() {
     const navigatorRef = nav();
     const base = timestamp();
 
@@ -330,16 +316,19 @@
     version: '1.0.0',
     label: 'System',
     description: 'Provides coarse device, browser, locale, display, and power hints for Ultrascripts scripts.',
+    requiresConsent: true,
 
     ops: {
       info: {
         idempotent: 'safe',
         timeoutMs: 1000,
+        args: { type: 'object', properties: {} },
         handler: infoOp,
       },
       power: {
         idempotent: 'safe',
         timeoutMs: 1500,
+        args: { type: 'object', properties: {} },
         handler: powerOp,
       },
     },
@@ -11,6 +11,8 @@
   const DEFAULT_FORECAST_DAYS = 3;
   const MAX_FORECAST_DAYS = 7;
 
+  let abortSeq = 0;
+
   const WEATHER_LABELS = {
     0: 'Clear sky',
     1: 'Mainly clear',
@@ -42,23 +44,27 @@
     99: 'Thunderstorm with heavy hail',
   };
 
+  // null is the same as leaving an arg out.
+  const LOCATION_ARGS = {
+    latitude: { type: ['number', 'string', 'null'], minimum: -90, maximum: 90 },
+    longitude: { type: ['number', 'string', 'null'], minimum: -180, maximum: 180 },
+    place: { type: ['string', 'null'], description: 'Place name, used when coordinates are omitted' },
+    units: { type: ['string', 'null'], description: "'metric' or 'imperial', case-insensitive" },
+    timeoutMs: { type: ['number', 'string', 'null'], description: `Clamped to 1000-${MAX_TIMEOUT_MS}` },
+  };
+
   function invalidArgs(message, extra = {}) {
     return { code: 'invalid_args', message, ...extra };
   }
 
+  // null and '' fall back like a missing value instead of clamping as 0.
   function clampNumber(value, fallback, min, max) {
+    if (value === undefined || value === null || value === '') return fallback;
     const n = Number(value);
     if (!Number.isFinite(n)) return fallback;
     return Math.max(min, Math.min(max, n));
   }
 
-  function normalizeArgs(args) {
-    if (!args || typeof args !== 'object' || Array.isArray(args)) {
-      throw invalidArgs('args must be an object');
-    }
-    return args;
-  }
-
   function normalizeUnits(value) {
     const units = String(value || 'metric').trim().toLowerCase();
     if (units !== 'metric' && units !== 'imperial') {
@@ -126,14 +132,42 @@
     throw response?.error || { code: 'weather_failed', message: 'Background fetch failed' };
   }
 
-  async function fetchJson(url, timeoutMs) {
-    const response = await backgroundFetch({
-      url,
-      method: 'GET',
-      headers: { Accept: 'application/json' },
-      timeoutMs,
-      maxBodyBytes: 80000,
-    });
+  function sendAbort(abortId) {
+    const message = { type: 'ULTRASCRIPTS_WEBFETCH_ABORT', abortId };
+    try {
+      if (typeof browser !== 'undefined' && browser?.runtime?.sendMessage) {
+        browser.runtime.sendMessage(message).catch(() => {});
+      } else if (typeof chrome !== 'undefined' && chrome?.runtime?.sendMessage) {
+        chrome.runtime.sendMessage(message, () => void chrome.runtime?.lastError);
+      }
+    } catch { /* runtime gone; the fetch times out on its own */ }
+  }
+
+  // `signal` is the dispatcher's AbortSignal. Cancelling tells the background
+  // worker to abort the upstream request instead of letting it run out.
+  async function fetchJson(url, timeoutMs, signal = null) {
+    if (signal?.aborted) throw { code: 'cancelled', message: 'Weather request was cancelled' };
+    let abortId = null;
+    let onAbort = null;
+    if (signal) {
+      abortId = `weather-abort-${Date.now().toString(36)}-${++abortSeq}`;
+      onAbort = () => sendAbort(abortId);
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    let response;
+    try {
+      response = await backgroundFetch({
+        url,
+        method: 'GET',
+        headers: { Accept: 'application/json' },
+        timeoutMs,
+        maxBodyBytes: 80000,
+        abortId,
+      });
+    } finally {
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+    }
 
     if (response.status < 200 || response.status >= 300) {
       throw {
@@ -172,7 +206,7 @@
     };
   }
 
-  async function resolveLocation(args, timeoutMs) {
+  async function resolveLocation(args, timeoutMs, signal = null) {
     const hasLat = args.latitude !== undefined && args.latitude !== null && args.latitude !== '';
     const hasLon = args.longitude !== undefined && args.longitude !== null && args.longitude !== '';
     const place = String(args.place || '').trim();
@@ -197,7 +231,7 @@
     const geocodeUrl =
       'https://geocoding-api.open-meteo.com/v1/search?count=1&language=en&format=json&name=' +
       encodeURIComponent(place);
-    const payload = await fetchJson(geocodeUrl, timeoutMs);
+    const payload = await fetchJson(geocodeUrl, timeoutMs, signal);
     const first = Array.isArray(payload?.results) ? payload.results[0] : null;
     if (!first) {
       throw {
@@ -270,11 +304,10 @@
     };
   }
 
-  async function currentOp(args = {}, ctx) {
-    const normalized = normalizeArgs(args);
-    const timeoutMs = normalizeTimeoutMs(normalized.timeoutMs);
-    const units = normalizeUnits(normalized.units);
-    const location = await resolveLocation(normalized, timeoutMs);
+  async function currentOp(args, ctx, request = {}) {
+    const timeoutMs = normalizeTimeoutMs(args.timeoutMs);
+    const units = normalizeUnits(args.units);
+    const location = await resolveLocation(args, timeoutMs, request.signal);
 
     const url =
       'https://api.open-meteo.com/v1/forecast?' +
@@ -286,18 +319,17 @@
       '&wind_speed_unit=' + encodeURIComponent(units.windSpeedUnit) +
       '&precipitation_unit=' + encodeURIComponent(units.precipitationUnit);
 
-    const payload = await fetchJson(url, timeoutMs);
+    const payload = await fetchJson(url, timeoutMs, request.signal);
     const result = formatCurrentResult(location, payload, units);
     ctx?.log?.('debug', 'Weather current completed', result.location.latitude, result.location.longitude);
     return result;
   }
 
-  async function forecastOp(args = {}, ctx) {
-    const normalized = normalizeArgs(args);
-    const timeoutMs = normalizeTimeoutMs(normalized.timeoutMs);
-    const units = normalizeUnits(normalized.units);
-    const days = clampNumber(normalized.days, DEFAULT_FORECAST_DAYS, 1, MAX_FORECAST_DAYS);
-    const location = await resolveLocation(normalized, timeoutMs);
+  async function forecastOp(args, ctx, request = {}) {
+    const timeoutMs = normalizeTimeoutMs(args.timeoutMs);
+    const units = normalizeUnits(args.units);
+    const days = clampNumber(args.days, DEFAULT_FORECAST_DAYS, 1, MAX_FORECAST_DAYS);
+    const location = await resolveLocation(args, timeoutMs, request.signal);
 
     const url =
       'https://api.open-meteo.com/v1/forecast?' +
@@ -310,7 +342,7 @@
       '&wind_speed_unit=' + encodeURIComponent(units.windSpeedUnit) +
       '&precipitation_unit=' + encodeURIComponent(units.precipitationUnit);
 
-    const payload = await fetchJson(url, timeoutMs);
+    const payload = await fetchJson(url, timeoutMs, request.signal);
     const result = formatForecastResult(location, payload, units);
     ctx?.log?.('debug', 'Weather forecast completed', result.location.latitude, result.location.longitude, days);
     return result;
@@ -321,16 +353,37 @@
     version: '1.0.0',
     label: 'Weather',
     description: 'Provides streamlined current-weather and forecast lookups for Ultrascripts scripts.',
+    requiresConsent: true,
+
+    capabilities: {
+      features: ['coordinates', 'place', 'imperial'],
+      limits: {
+        maxForecastDays: MAX_FORECAST_DAYS,
+        maxTimeoutMs: MAX_TIMEOUT_MS,
+      },
+    },
 
     ops: {
       current: {
         idempotent: 'safe',
         timeoutMs: MAX_TIMEOUT_MS,
+        rateLimit: { burst: 5, perMinute: 20 },
+        dailyQuota: 500,
+        args: { type: 'object', properties: { ...LOCATION_ARGS } },
         handler: currentOp,
       },
       forecast: {
         idempotent: 'safe',
         timeoutMs: MAX_TIMEOUT_MS,
+        rateLimit: { burst: 5, perMinute: 20 },
+        dailyQuota: 500,
+        args: {
+          type: 'object',
+          properties: {
+            ...LOCATION_ARGS,
+            days: { type: ['number', 'string', 'null'], description: `Clamped to 1-${MAX_FORECAST_DAYS}` },
+          },
+        },
         handler: forecastOp,
       },
     },
@@ -349,6 +402,7 @@
         mounted: !!this._ctx,
         ops: Object.keys(this.ops),
         provider: 'open-meteo',
+        usage: this._ctx?.usage?.() || null,
       };
     },
   };
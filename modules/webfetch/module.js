@@ -44,9 +44,17 @@
   ]);
   const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
 
+  const PROGRESS_MESSAGE = 'ULTRASCRIPTS_WEBFETCH_PROGRESS';
+  const ABORT_MESSAGE = 'ULTRASCRIPTS_WEBFETCH_ABORT';
+
   const rateBuckets = new Map(); // origin -> timestamp[]
+  const progressListeners = new Map(); // progressId -> (progress) => void
+  let progressSeq = 0;
+  let progressListenerInstalled = false;
 
+  // null and '' fall back like a missing value instead of clamping as 0.
   function clampNumber(value, fallback, min, max) {
+    if (value === undefined || value === null || value === '') return fallback;
     const n = Number(value);
     if (!Number.isFinite(n)) return fallback;
     return Math.max(min, Math.min(max, n));
@@ -56,14 +64,8 @@
     return { code: 'invalid_args', message, ...extra };
   }
 
+  // Type, presence, and length are covered by the op's args schema.
   function normalizeUrl(value) {
-    if (typeof value !== 'string' || value.trim() === '') {
-      throw invalidArgs('url is required');
-    }
-    if (value.length > MAX_URL_CHARS) {
-      throw invalidArgs(`url must not exceed ${MAX_URL_CHARS} characters`);
-    }
-
     let url;
     try {
       url = new URL(value);
@@ -199,14 +201,8 @@
 
   function sanitizeHeaders(value) {
     if (value === undefined || value === null) return { headers: {}, stripped: [] };
-    if (typeof value !== 'object' || Array.isArray(value)) {
-      throw invalidArgs('headers must be an object');
-    }
 
     const entries = Object.entries(value);
-    if (entries.length > MAX_HEADER_COUNT) {
-      throw invalidArgs(`headers must not contain more than ${MAX_HEADER_COUNT} entries`);
-    }
 
     const headers = {};
     const stripped = [];
@@ -241,11 +237,7 @@
     return { headers, stripped };
   }
 
-  function prepareFetchArgs(args = {}) {
-    if (!args || typeof args !== 'object' || Array.isArray(args)) {
-      throw invalidArgs('args must be an object');
-    }
-
+  function prepareFetchArgs(args) {
     const url = normalizeUrl(args.url);
     const method = normalizeMethod(args.method);
     const sanitized = sanitizeHeaders(args.headers);
@@ -289,6 +281,40 @@
     rateBuckets.set(origin, bucket);
   }
 
+  function installProgressListener() {
+    if (progressListenerInstalled) return true;
+    const runtime =
+      (typeof browser !== 'undefined' && browser?.runtime?.onMessage) ? browser.runtime :
+      (typeof chrome !== 'undefined' && chrome?.runtime?.onMessage) ? chrome.runtime :
+      null;
+    if (!runtime?.onMessage?.addListener) return false;
+    runtime.onMessage.addListener((message) => {
+      if (!message || message.type !== PROGRESS_MESSAGE) return false;
+      const listener = progressListeners.get(message.progressId);
+      if (listener) {
+        try { listener(message.progress); } catch { /* progress is best-effort */ }
+      }
+      return false;
+    });
+    progressListenerInstalled = true;
+    return true;
+  }
+
+  function normalizeProgress(raw, maxBodyBytes) {
+    const progress = raw && typeof raw === 'object' ? raw : {};
+    const out = { phase: progress.phase === 'headers' ? 'headers' : 'body' };
+    if (Number.isFinite(Number(progress.receivedBytes))) out.receivedBytes = Number(progress.receivedBytes);
+    if (Number.isFinite(Number(progress.totalBytes)) && Number(progress.totalBytes) > 0) {
+      out.totalBytes = Number(progress.totalBytes);
+    }
+    if (Number.isFinite(Number(progress.status))) out.status = Number(progress.status);
+    const expected = Math.min(out.totalBytes || maxBodyBytes, maxBodyBytes);
+    if (out.phase === 'body' && out.totalBytes && expected > 0) {
+      out.percent = Math.min(100, Math.round((out.receivedBytes || 0) / expected * 100));
+    }
+    return out;
+  }
+
   function backgroundFetch(request) {
     if (typeof browser !== 'undefined' && browser?.runtime?.sendMessage) {
       return browser.runtime
@@ -323,17 +349,58 @@
     throw response?.error || { code: 'webfetch_failed', message: 'Background fetch failed' };
   }
 
-  async function fetchOp(args, ctx) {
+  // Fire-and-forget: the pending fetch message settles with `cancelled` once
+  // the background worker aborts it.
+  function sendAbort(abortId) {
+    const message = { type: ABORT_MESSAGE, abortId };
+    try {
+      if (typeof browser !== 'undefined' && browser?.runtime?.sendMessage) {
+        browser.runtime.sendMessage(message).catch(() => {});
+      } else if (typeof chrome !== 'undefined' && chrome?.runtime?.sendMessage) {
+        chrome.runtime.sendMessage(message, () => void chrome.runtime?.lastError);
+      }
+    } catch { /* runtime gone; the fetch times out on its own */ }
+  }
+
+  async function fetchOp(args, ctx, request = {}) {
     const prepared = prepareFetchArgs(args);
+    const signal = request.signal || null;
+    if (signal?.aborted) throw { code: 'cancelled', message: 'WebFetch was cancelled' };
     checkRateLimit(prepared.origin, DEFAULT_RATE_LIMIT_PER_MINUTE);
 
-    const response = await backgroundFetch({
-      url: prepared.url,
-      method: prepared.method,
-      headers: prepared.headers,
-      timeoutMs: prepared.timeoutMs,
-      maxBodyBytes: prepared.maxBodyBytes,
-    });
+    // Download progress is reported as `partial` chunks when the background
+    // worker can reach this frame; the fetch itself never depends on it.
+    let progressId = null;
+    if (request.id && typeof ctx?.partial === 'function' && installProgressListener()) {
+      progressId = `webfetch-${Date.now().toString(36)}-${++progressSeq}`;
+      progressListeners.set(progressId, (progress) => {
+        ctx.partial(request.id, normalizeProgress(progress, prepared.maxBodyBytes));
+      });
+    }
+
+    let abortId = null;
+    let onAbort = null;
+    if (signal) {
+      abortId = `webfetch-abort-${Date.now().toString(36)}-${++progressSeq}`;
+      onAbort = () => sendAbort(abortId);
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    let response;
+    try {
+      response = await backgroundFetch({
+        url: prepared.url,
+        method: prepared.method,
+        headers: prepared.headers,
+        timeoutMs: prepared.timeoutMs,
+        maxBodyBytes: prepared.maxBodyBytes,
+        progressId,
+        abortId,
+      });
+    } finally {
+      if (progressId) progressListeners.delete(progressId);
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+    }
 
     ctx?.log?.('debug', 'WebFetch completed', prepared.method, prepared.origin, response.status);
     return {
@@ -352,11 +419,42 @@
     version: '1.0.0',
     label: 'WebFetch',
     description: 'Reads bounded public HTTPS resources without cookies, credentials, or origin prompts.',
+    requiresConsent: true,
+
+    capabilities: {
+      features: ['headers', 'progress'],
+      limits: {
+        methods: [...SAFE_METHODS],
+        maxUrlChars: MAX_URL_CHARS,
+        maxBodyBytes: MAX_BODY_BYTES,
+        defaultMaxBodyBytes: DEFAULT_MAX_BODY_BYTES,
+        maxTimeoutMs: MAX_TIMEOUT_MS,
+        maxHeaders: MAX_HEADER_COUNT,
+        rateLimitPerMinute: DEFAULT_RATE_LIMIT_PER_MINUTE,
+      },
+    },
 
     ops: {
       fetch: {
         idempotent: 'safe',
+        streaming: true,
         timeoutMs: MAX_TIMEOUT_MS,
+        rateLimit: { burst: 10, perMinute: 60 },
+        args: {
+          type: 'object',
+          properties: {
+            url: { type: 'string', minLength: 1, maxLength: MAX_URL_CHARS, description: 'Absolute public HTTPS URL' },
+            method: { type: ['string', 'null'], description: 'GET or HEAD' },
+            headers: {
+              type: ['object', 'null'],
+              maxProperties: MAX_HEADER_COUNT,
+              additionalProperties: { type: ['string', 'number', 'boolean', 'null'] },
+            },
+            timeoutMs: { type: ['number', 'string', 'null'], description: `Clamped to 1000-${MAX_TIMEOUT_MS}` },
+            maxBodyBytes: { type: ['number', 'string', 'null'], description: `Clamped to 1024-${MAX_BODY_BYTES}` },
+          },
+          required: ['url'],
+        },
         handler: fetchOp,
       },
     },
@@ -375,6 +473,8 @@
         mounted: !!this._ctx,
         ops: Object.keys(this.ops),
         rateBuckets: [...rateBuckets.entries()].map(([origin, bucket]) => ({ origin, count: bucket.length })),
+        activeProgress: progressListeners.size,
+        usage: this._ctx?.usage?.() || null,
       };
     },
   };
@@ -0,0 +1,199 @@
+// modules/widget/image-cache.js
+//
+// Loads remote `image` widget sources. The page never requests them itself:
+// the background worker fetches each URL over the WebFetch path (https only,
+// no cookies, no referrer, validated redirects) and hands back a data: URL.
+// Each fetch first passes the WebFetch module's consent prompt and counts
+// against its `fetch` op limits, so a widget cannot reach a host the player
+// has not let the scenario read.
+//
+// Results are cached per scenario so re-renders, undo/redo and revisits do
+// not fetch again. The newest MAX_SCENARIOS scenarios are kept, each held to
+// MAX_SCENARIO_BYTES with the least recently used images dropped first.
+// Until the module knows the scenario id, images go in an unnamed bucket
+// that is adopted by the scenario once setScenario() names it.
+
+(function () {
+  if (window.UltrascriptsWidgetImageCache) return;
+
+  const IMAGE_FETCH_MESSAGE = 'ULTRASCRIPTS_IMAGE_FETCH';
+  const MAX_SCENARIOS = 3;
+  const MAX_SCENARIO_BYTES = 4 * 1024 * 1024;
+  // A failed source is not asked for again until this long has passed.
+  const FAILURE_RETRY_MS = 60000;
+  const PENDING_BUCKET = '';
+  // Shared with WebFetch's own op so images and scripts draw on one budget.
+  const LIMIT_KEY = 'webfetch.fetch';
+
+  const state = {
+    scenarioId: null,
+    // bucket key -> Map<src, { promise, bytes, failedAt }>, both in LRU order
+    buckets: new Map(),
+    metrics: {
+      hits: 0,
+      fetches: 0,
+      failures: 0,
+      evictions: 0,
+    },
+  };
+
+  function unwrapBackgroundResponse(response) {
+    if (response?.ok) return response.data;
+    throw response?.error || { code: 'image_failed', message: 'Background image fetch failed' };
+  }
+
+  // Resolves once the player allows WebFetch for the scenario and a token
+  // (and daily quota, if declared) is left; rejects with the same
+  // consent_denied / rate_limit errors the ops dispatcher returns.
+  async function authorize() {
+    const def = window.UltrascriptsWebFetchModule;
+    const consent = window.Ultrascripts?.consent;
+    const limits = window.Ultrascripts?.rateLimits;
+    if (!def?.ops?.fetch || !consent || !limits) {
+      throw { code: 'image_unavailable', message: 'Remote images need the WebFetch module' };
+    }
+    await consent.ensure(def, { op: 'fetch' });
+    // Counted after consent so a denied prompt does not use up the budget.
+    const policy = limits.policyFor(def.ops.fetch);
+    if (policy?.rateLimit) limits.take(LIMIT_KEY, policy.rateLimit);
+    if (policy?.dailyQuota) {
+      const scenario = await window.Ultrascripts.core.resolveScenario();
+      await limits.consume(LIMIT_KEY, policy.dailyQuota, scenario.id);
+    }
+  }
+
+  function backgroundImageFetch(request) {
+    if (typeof browser !== 'undefined' && browser?.runtime?.sendMessage) {
+      return browser.runtime
+        .sendMessage({ type: IMAGE_FETCH_MESSAGE, request })
+        .then((response) => unwrapBackgroundResponse(response));
+    }
+
+    const runtime = typeof chrome !== 'undefined' ? chrome.runtime : null;
+    if (!runtime?.sendMessage) {
+      return Promise.reject({ code: 'image_unavailable', message: 'Extension runtime is unavailable' });
+    }
+
+    return new Promise((resolve, reject) => {
+      runtime.sendMessage({ type: IMAGE_FETCH_MESSAGE, request }, (response) => {
+        const lastError = typeof chrome !== 'undefined' ? chrome.runtime?.lastError : null;
+        if (lastError) {
+          reject({ code: 'image_unavailable', message: lastError.message || 'Background image fetch failed' });
+          return;
+        }
+        try {
+          resolve(unwrapBackgroundResponse(response));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+  }
+
+  function touch(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+  }
+
+  function currentBucket() {
+    const key = state.scenarioId || PENDING_BUCKET;
+    const bucket = state.buckets.get(key) || new Map();
+    touch(state.buckets, key, bucket);
+    return bucket;
+  }
+
+  function trimBucket(bucket) {
+    let total = 0;
+    for (const entry of bucket.values()) total += entry.bytes;
+    for (const [src, entry] of bucket) {
+      if (total <= MAX_SCENARIO_BYTES) break;
+      if (!entry.bytes) continue;
+      bucket.delete(src);
+      total -= entry.bytes;
+      state.metrics.evictions++;
+    }
+  }
+
+  function trimScenarios() {
+    const named = [...state.buckets.keys()].filter(key => key !== PENDING_BUCKET);
+    for (const key of named.slice(0, Math.max(0, named.length - MAX_SCENARIOS))) {
+      state.buckets.delete(key);
+    }
+  }
+
+  // Called with the scenario id once it is known, and with null when the
+  // adventure changes.
+  function setScenario(scenarioId) {
+    const next = scenarioId ? String(scenarioId) : null;
+    if (next === state.scenarioId) return;
+    const pending = state.buckets.get(PENDING_BUCKET);
+    state.buckets.delete(PENDING_BUCKET);
+    state.scenarioId = next;
+    if (!next) return;
+
+    const bucket = currentBucket();
+    if (pending) {
+      for (const [src, entry] of pending) bucket.set(src, entry);
+      trimBucket(bucket);
+    }
+    trimScenarios();
+  }
+
+  // Resolves with a URL an <img> can show: data URIs as given, https URLs
+  // as the data: URL the background worker returned.
+  function load(src) {
+    if (typeof src !== 'string' || !src) {
+      return Promise.reject({ code: 'invalid_args', message: 'Image source must be a non-empty string' });
+    }
+    if (src.startsWith('data:')) return Promise.resolve(src);
+
+    const bucket = currentBucket();
+    const cached = bucket.get(src);
+    if (cached && !(cached.failedAt && Date.now() - cached.failedAt >= FAILURE_RETRY_MS)) {
+      touch(bucket, src, cached);
+      state.metrics.hits++;
+      return cached.promise;
+    }
+
+    const entry = { promise: null, bytes: 0, failedAt: 0 };
+    state.metrics.fetches++;
+    entry.promise = authorize().then(() => backgroundImageFetch({ url: src })).then(
+      (data) => {
+        entry.bytes = data.dataUrl.length;
+        trimBucket(bucket);
+        return data.dataUrl;
+      },
+      (err) => {
+        entry.failedAt = Date.now();
+        state.metrics.failures++;
+        throw err;
+      },
+    );
+    // Callers that only look at the result later should not trip the
+    // unhandled rejection warning.
+    entry.promise.catch(() => {});
+    touch(bucket, src, entry);
+    return entry.promise;
+  }
+
+  function clear() {
+    state.buckets.clear();
+  }
+
+  window.UltrascriptsWidgetImageCache = {
+    MAX_SCENARIO_BYTES,
+    setScenario,
+    load,
+    clear,
+    inspect: () => ({
+      scenarioId: state.scenarioId,
+      scenarios: [...state.buckets.keys()].filter(key => key !== PENDING_BUCKET),
+      images: state.buckets.get(state.scenarioId || PENDING_BUCKET)?.size || 0,
+      metrics: { ...state.metrics },
+    }),
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.UltrascriptsWidgetImageCache;
+  }
+})();
@@ -0,0 +1,182 @@
+// modules/widget/interaction-journal.js
+//
+// Keeps the widget module's unacknowledged interaction queue in
+// chrome.storage.local, one key per adventure:
+//   ultrascripts_widget_queue_<adventureShortId>
+//     { v: 1, lastSeq, ackSeq, savedAt, events: [...] }
+//
+// The module saves here on every click, before the inbox card write, so a
+// reload or a crashed tab cannot lose a press that never reached the card.
+// The key is removed once the script has acknowledged every event. Journals
+// left behind by adventures the player never reopens are pruned on load:
+// anything saved over a week ago, and all but the newest MAX_JOURNALS.
+
+(function () {
+  if (window.UltrascriptsWidgetInteractionJournal) return;
+
+  const STORAGE_PREFIX = 'ultrascripts_widget_queue_';
+  const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+  const MAX_JOURNALS = 20;
+  // Pruning reads every local key, so it runs at most this often per page.
+  const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+  const state = {
+    lastPruneAt: 0,
+    metrics: {
+      saves: 0,
+      clears: 0,
+      loads: 0,
+      pruned: 0,
+      failures: 0,
+    },
+  };
+
+  function storageArea() {
+    try {
+      const api = typeof browser !== 'undefined' ? browser : chrome;
+      return api?.storage?.local || null;
+    } catch {
+      return null;
+    }
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function nonNegativeInteger(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+  }
+
+  function storageKey(adventureShortId) {
+    return adventureShortId ? STORAGE_PREFIX + adventureShortId : null;
+  }
+
+  function normalizeJournal(raw) {
+    if (!isObject(raw) || !Array.isArray(raw.events)) return null;
+    return {
+      lastSeq: nonNegativeInteger(raw.lastSeq),
+      ackSeq: nonNegativeInteger(raw.ackSeq),
+      events: raw.events.filter(event => isObject(event) && nonNegativeInteger(event.seq) > 0),
+    };
+  }
+
+  function savedAtOf(raw) {
+    return Number.isFinite(raw?.savedAt) ? raw.savedAt : 0;
+  }
+
+  // A journal without `savedAt` has no known age and is kept.
+  function isExpired(raw, now) {
+    return Number.isFinite(raw?.savedAt) && now - raw.savedAt > MAX_AGE_MS;
+  }
+
+  // Drops expired journals and all but the newest MAX_JOURNALS, never
+  // touching `keepKey`, the adventure being loaded.
+  function prune(area, keepKey) {
+    const now = Date.now();
+    if (!area?.get || !area.remove || now - state.lastPruneAt < PRUNE_INTERVAL_MS) return;
+    state.lastPruneAt = now;
+    let swept = false;
+    const sweep = (items) => {
+      if (swept) return;
+      swept = true;
+      const journals = Object.entries(items || {})
+        .filter(([key]) => key.startsWith(STORAGE_PREFIX) && key !== keepKey);
+      const expired = journals.filter(([, raw]) => isExpired(raw, now)).map(([key]) => key);
+      const overflow = journals
+        .filter(([, raw]) => !isExpired(raw, now))
+        .sort((a, b) => savedAtOf(b[1]) - savedAtOf(a[1]))
+        .slice(MAX_JOURNALS - 1)
+        .map(([key]) => key);
+      const stale = expired.concat(overflow);
+      if (!stale.length) return;
+      state.metrics.pruned += stale.length;
+      area.remove(stale);
+    };
+    try {
+      const pending = area.get(null, sweep);
+      if (pending && typeof pending.then === 'function') pending.then(sweep, () => {});
+    } catch {
+      state.metrics.failures++;
+    }
+  }
+
+  function available() {
+    return !!storageArea()?.get;
+  }
+
+  // Resolves with { lastSeq, ackSeq, events } or null when nothing was kept.
+  // Storage failures resolve null too: the card is still the fallback. A
+  // journal over a week old is removed rather than replayed.
+  function load(adventureShortId) {
+    const key = storageKey(adventureShortId);
+    const area = storageArea();
+    if (!key || !area?.get) return Promise.resolve(null);
+    state.metrics.loads++;
+    prune(area, key);
+    return new Promise((resolve) => {
+      let settled = false;
+      const done = (result) => {
+        if (settled) return;
+        settled = true;
+        const raw = result?.[key];
+        if (raw && isExpired(raw, Date.now())) {
+          state.metrics.pruned++;
+          area.remove?.(key);
+          resolve(null);
+          return;
+        }
+        resolve(normalizeJournal(raw));
+      };
+      try {
+        const pending = area.get(key, done);
+        if (pending && typeof pending.then === 'function') pending.then(done, () => done(null));
+      } catch {
+        state.metrics.failures++;
+        done(null);
+      }
+    });
+  }
+
+  // Writes the queue as given; an empty queue removes the key. The write is
+  // issued synchronously so it is on its way before the page can unload.
+  function save(adventureShortId, { lastSeq, ackSeq, events }) {
+    const key = storageKey(adventureShortId);
+    const area = storageArea();
+    if (!key || !area?.set) return;
+    try {
+      if (!Array.isArray(events) || !events.length) {
+        state.metrics.clears++;
+        area.remove?.(key);
+        return;
+      }
+      state.metrics.saves++;
+      area.set({
+        [key]: {
+          v: 1,
+          lastSeq: nonNegativeInteger(lastSeq),
+          ackSeq: nonNegativeInteger(ackSeq),
+          savedAt: Date.now(),
+          events,
+        },
+      });
+    } catch {
+      state.metrics.failures++;
+    }
+  }
+
+  window.UltrascriptsWidgetInteractionJournal = {
+    STORAGE_PREFIX,
+    MAX_AGE_MS,
+    MAX_JOURNALS,
+    available,
+    load,
+    save,
+    inspect: () => ({ metrics: { ...state.metrics } }),
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.UltrascriptsWidgetInteractionJournal;
+  }
+})();
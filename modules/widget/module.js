@@ -2,7 +2,9 @@
 //
 // Ultrascripts Widget module. Consumes `ultrascripts:state:widget` and renders
 // widget state from the live-count history entry matching the current action
-// window.
+// window. Player interactions are queued to `ultrascripts:in:widget` and
+// journaled per adventure (interaction-journal.js) until the script acks
+// them, so each one is delivered exactly once across page reloads.
 
 (function () {
   if (window.UltrascriptsWidgetModule) return;
@@ -15,6 +17,13 @@
   const MAX_EVENT_OBJECT_KEYS = 20;
   const MAX_EVENT_ARRAY_ITEMS = 20;
   const MAX_EVENT_DEPTH = 3;
+  // Player region layouts are stored per scenario under `layout:<scenarioId>`.
+  // ctx.storage is chrome.storage.sync, which caps how many keys an extension
+  // may keep, so `layouts` indexes them by last use ({ [scenarioId]: time })
+  // and only the MAX_LAYOUTS most recently used scenarios keep theirs.
+  const LAYOUT_STORAGE_PREFIX = 'layout:';
+  const LAYOUT_INDEX_KEY = 'layouts';
+  const MAX_LAYOUTS = 20;
 
   function isObject(value) {
     return value !== null && typeof value === 'object' && !Array.isArray(value);
@@ -65,12 +74,13 @@
     return Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined;
   }
 
-  function selectHistoryEntry(history, liveCount) {
-    if (!isObject(history)) return {};
+  // The history key whose values apply at `liveCount`, or null.
+  function selectHistoryKey(history, liveCount) {
+    if (!isObject(history)) return null;
 
     const liveKey = String(liveCount);
     if (Object.prototype.hasOwnProperty.call(history, liveKey) && isObject(history[liveKey])) {
-      return history[liveKey];
+      return liveKey;
     }
 
     const numericKeys = Object.keys(history)
@@ -78,32 +88,63 @@
       .filter(entry => Number.isFinite(entry.n))
       .sort((a, b) => b.n - a.n);
 
-    if (numericKeys.length === 0) return {};
+    if (numericKeys.length === 0) return null;
 
     const liveNum = Number(liveCount);
     if (Number.isFinite(liveNum) && liveNum > 0) {
       const nearestEarlier = numericKeys.find(entry => entry.n <= liveNum);
       if (nearestEarlier && isObject(history[nearestEarlier.key])) {
-        return history[nearestEarlier.key];
+        return nearestEarlier.key;
       }
     }
 
     const newest = numericKeys[0];
-    return isObject(history[newest.key]) ? history[newest.key] : {};
+    return isObject(history[newest.key]) ? newest.key : null;
   }
 
+  // Chart points accumulate: any history entry up to the live count may carry
+  // `{ append }` for a chart, replayed oldest first. Entries past the live
+  // count belong to undone or retried turns and are skipped.
+  function collectHistoryAppends(history, liveCount, widgetId) {
+    if (!isObject(history)) return [];
+    const liveNum = Number(liveCount);
+    const bounded = Number.isFinite(liveNum) && liveNum > 0;
+    const appends = [];
+    Object.keys(history)
+      .map(key => ({ key, n: Number(key) }))
+      .filter(entry => Number.isFinite(entry.n) && (!bounded || entry.n <= liveNum))
+      .sort((a, b) => a.n - b.n)
+      .forEach(({ key }) => {
+        const value = isObject(history[key]) ? getOwn(history[key], widgetId) : undefined;
+        if (!isObject(value) || value.append === undefined) return;
+        if (Array.isArray(value.append)) appends.push(...value.append);
+        else appends.push(value.append);
+      });
+    return appends;
+  }
+
+  // Returns the errors for a value that could not be applied; most types
+  // leave checking to validateWidgetConfig and return none.
   function applyValueToWidget(config, value) {
     const validators = window.UltrascriptsWidgetValidators;
     if (isObject(value)) {
       const patch = validators?.filterWidgetStatePatch
         ? validators.filterWidgetStatePatch(config, cloneObject(value))
         : cloneObject(value);
+      if (validators?.GRID_WIDGET_TYPES?.has(config.type)) {
+        return validators.applyGridStatePatch(config, patch);
+      }
+      if (config.type === 'image' && validators?.applyImageStatePatch) {
+        validators.applyImageStatePatch(config, patch);
+        return [];
+      }
       Object.assign(config, patch);
-      return;
+      return [];
     }
 
     const field = validators?.getPrimitiveStateField?.(config) || 'value';
     config[field] = value;
+    return [];
   }
 
   function cardValue(card) {
@@ -157,28 +198,67 @@
     return max;
   }
 
+  // validators.js loads ahead of this file, so its limits are known here.
+  function widgetCapabilities() {
+    const validators = window.UltrascriptsWidgetValidators;
+    if (!validators) return { features: ['interactions'] };
+    return {
+      features: ['interactions', 'custom-html'],
+      limits: {
+        types: [...validators.WIDGET_TYPES],
+        maxWidgets: validators.MAX_WIDGETS,
+        maxHtmlChars: validators.MAX_HTML_LENGTH,
+        maxGridSize: validators.MAX_GRID_SIZE,
+        maxChartPoints: validators.MAX_CHART_POINTS,
+        maxChartSeries: validators.MAX_CHART_SERIES,
+        maxDialogFields: validators.MAX_DIALOG_FIELDS,
+        maxImageDataUriChars: validators.MAX_IMAGE_DATA_URI_LENGTH,
+        bindableTypes: [...validators.BINDABLE_WIDGET_TYPES],
+        bindingFunctions: Object.keys(validators.BINDING_FUNCTIONS),
+        maxEvents: MAX_WIDGET_EVENTS,
+        themes: Object.keys(validators.BUILTIN_THEMES),
+        themeFonts: [...validators.THEME_FONTS],
+      },
+    };
+  }
+
+  // `issues` repeats `errors` as { path, message } with paths from the
+  // state card root ('manifest.widgets[2].max', 'history.7.hp').
   function buildRenderWidgets(parsed, liveCount, ctx) {
     const validators = window.UltrascriptsWidgetValidators;
     if (!validators) throw new Error('UltrascriptsWidgetValidators is not loaded');
 
     if (!isObject(parsed)) {
-      return { widgets: [], errors: ['State card payload must be an object'] };
+      const message = 'State card payload must be an object';
+      return { widgets: [], theme: null, errors: [message], issues: [{ path: '', message }] };
     }
 
     if (parsed.v !== 1) {
-      return { widgets: [], errors: [`Unsupported Widget state version: ${parsed.v}`] };
+      const message = `Unsupported Widget state version: ${parsed.v}`;
+      return { widgets: [], theme: null, errors: [message], issues: [{ path: 'v', message }] };
     }
 
     const manifestResult = validators.validateManifest(parsed.manifest);
     const errors = manifestResult.errors.slice();
-    const values = selectHistoryEntry(parsed.history, liveCount);
+    const issues = manifestResult.issues.map(issue => ({
+      path: issue.path ? `manifest.${issue.path}` : 'manifest',
+      message: issue.message,
+    }));
+    const historyKey = selectHistoryKey(parsed.history, liveCount);
+    const values = historyKey === null ? {} : parsed.history[historyKey];
     const widgets = [];
 
     for (const widget of manifestResult.widgets) {
       const config = cloneObject(widget);
       const primaryValue = getOwn(values, widget.id);
-      if (primaryValue !== undefined) {
-        applyValueToWidget(config, primaryValue);
+      const patchErrors = primaryValue !== undefined ? applyValueToWidget(config, primaryValue) : [];
+
+      if (validators.CHART_WIDGET_TYPES?.has(config.type)) {
+        const dropped = validators.applyChartAppends(config, collectHistoryAppends(parsed.history, liveCount, widget.id));
+        if (dropped) {
+          errors.push(`Widget "${config.id}" ignored ${dropped} malformed append value(s)`);
+          issues.push({ path: 'history', message: `Ignored ${dropped} malformed append value(s) for "${config.id}"` });
+        }
       }
 
       const progressValue = getOwn(values, `${widget.id}__progress`);
@@ -186,18 +266,24 @@
         config.progress = progressValue;
       }
 
-      const validation = validators.validateWidgetConfig(config.id, config);
-      if (!validation.valid) {
+      validators.applyThemeDefaults(config, manifestResult.theme);
+
+      const invalid = patchErrors.concat(validators.validateWidgetConfig(config.id, config).errors);
+      if (invalid.length) {
         // Invalid widgets are skipped silently; the error is surfaced via
         // warnOnce in renderState so devs can fix the source data.
-        errors.push(`Widget "${config.id}" invalid after values: ${validation.errors.join('; ')}`);
+        errors.push(`Widget "${config.id}" invalid after values: ${invalid.join('; ')}`);
+        const valuePath = primaryValue !== undefined
+          ? `history.${historyKey}.${config.id}`
+          : `manifest.widgets[${parsed.manifest.widgets.indexOf(widget)}]`;
+        for (const error of invalid) issues.push({ path: valuePath, message: error });
         continue;
       }
 
       widgets.push(config);
     }
 
-    return { widgets, errors };
+    return { widgets, theme: manifestResult.theme, errors, issues };
   }
 
   const UltrascriptsWidgetModule = {
@@ -207,22 +293,31 @@
     description: 'Renders Ultrascripts widget state from Widget state cards.',
     stateNames: [STATE_NAME],
     tracksLiveCount: true,
+    capabilities: widgetCapabilities(),
     _renderer: null,
     _ctx: null,
     _lastParsed: null,
     _lastCtx: null,
+    _lastIssues: [],
     _eventQueue: [],
     _queueLoaded: false,
+    _queueRestored: false,
+    _queueRestoring: null,
     _lastSeq: 0,
     _ackSeq: 0,
     _inboxWriteTimer: null,
     _warnedMessages: new Set(),
+    _layoutScenarioId: null,
+    _layoutLoading: false,
+    _layoutIndexWrite: null,
 
     mount(ctx) {
       this._ctx = ctx;
       this._renderer = new window.UltrascriptsWidgetRenderer({
         log: (level, ...args) => ctx.log(level, ...args),
         onInteraction: (event) => this.queueInteraction(event),
+        onLayoutChange: (layout) => this.saveLayout(layout),
+        loadImage: (src) => window.UltrascriptsWidgetImageCache.load(src),
       });
     },
 
@@ -232,6 +327,7 @@
       this._ctx = null;
       this._lastParsed = null;
       this._lastCtx = null;
+      this._layoutScenarioId = null;
       if (this._inboxWriteTimer) {
         clearTimeout(this._inboxWriteTimer);
         this._inboxWriteTimer = null;
@@ -252,11 +348,18 @@
       this._renderer?.clearAllWidgets?.();
       this._eventQueue = [];
       this._queueLoaded = false;
+      this._queueRestored = false;
+      this._queueRestoring = null;
       this._lastSeq = 0;
       this._ackSeq = 0;
       this._lastParsed = null;
       this._lastCtx = null;
+      this._lastIssues = [];
       this._warnedMessages.clear();
+      this._layoutScenarioId = null;
+      this._renderer?.setLayout?.(null);
+      this._renderer?.setTheme?.(null);
+      window.UltrascriptsWidgetImageCache?.setScenario(null);
       if (this._inboxWriteTimer) {
         clearTimeout(this._inboxWriteTimer);
         this._inboxWriteTimer = null;
@@ -273,6 +376,7 @@
           this._renderer.clearAllWidgets();
           this._lastParsed = null;
           this._lastCtx = null;
+          this._lastIssues = [];
           return;
         }
 
@@ -285,16 +389,78 @@
     renderState(parsed, ctx) {
       this._lastParsed = parsed;
       this._lastCtx = ctx;
+      if (this.restoreQueue(ctx)) return;
       this.processInteractionAck(parsed, ctx);
 
       const liveCount = ctx.getLiveCount();
       const result = buildRenderWidgets(parsed, liveCount, ctx);
+      this._lastIssues = result.issues;
 
       if (result.errors.length) {
         this.warnOnce(ctx, 'state-warnings', 'Widget state warnings:', result.errors);
       }
 
+      this._renderer.setLiveCount(liveCount);
+      this._renderer.setTheme(result.theme);
       this._renderer.setWidgets(result.widgets);
+      this.loadLayout(ctx);
+    },
+
+    // Restores the player's region layout for this scenario once its id is
+    // known, and files cached images under the same id. Until then every
+    // render retries.
+    async loadLayout(ctx) {
+      if (this._layoutScenarioId || this._layoutLoading || typeof ctx?.resolveScenario !== 'function') return;
+      const shortId = ctx.adventureShortId;
+      this._layoutLoading = true;
+      try {
+        const scenario = await ctx.resolveScenario();
+        const saved = await ctx.storage?.get?.(LAYOUT_STORAGE_PREFIX + scenario.id);
+        if (ctx.adventureShortId !== shortId || !this._renderer) return;
+        this._layoutScenarioId = scenario.id;
+        window.UltrascriptsWidgetImageCache?.setScenario(scenario.id);
+        this._renderer.setLayout(saved ?? null);
+        if (saved) this.trackLayout(ctx, scenario.id, true);
+      } catch (err) {
+        if (err?.code !== 'unavailable') ctx.log('warn', 'Failed to load widget layout:', err);
+      } finally {
+        this._layoutLoading = false;
+      }
+    },
+
+    saveLayout(layout) {
+      const ctx = this._ctx;
+      if (!ctx?.storage || !this._layoutScenarioId) return;
+      const key = LAYOUT_STORAGE_PREFIX + this._layoutScenarioId;
+      const write = layout ? ctx.storage.set(key, layout) : ctx.storage.remove(key);
+      Promise.resolve(write).catch((err) => ctx.log('warn', 'Failed to save widget layout:', err));
+      this.trackLayout(ctx, this._layoutScenarioId, !!layout);
+    },
+
+    // Marks the scenario's layout as used just now (or gone), then removes
+    // the least recently used layouts beyond MAX_LAYOUTS. Updates run one
+    // at a time so quick successive saves do not drop index entries.
+    trackLayout(ctx, scenarioId, saved) {
+      const update = async () => {
+        const stored = await ctx.storage.get(LAYOUT_INDEX_KEY);
+        const index = isObject(stored) ? { ...stored } : {};
+        if (saved) index[scenarioId] = Date.now();
+        else delete index[scenarioId];
+
+        const stale = Object.keys(index)
+          .sort((a, b) => (Number(index[b]) || 0) - (Number(index[a]) || 0))
+          .slice(MAX_LAYOUTS);
+        for (const id of stale) {
+          delete index[id];
+          await ctx.storage.remove(LAYOUT_STORAGE_PREFIX + id);
+        }
+        if (Object.keys(index).length) await ctx.storage.set(LAYOUT_INDEX_KEY, index);
+        else await ctx.storage.remove(LAYOUT_INDEX_KEY);
+      };
+      this._layoutIndexWrite = Promise.resolve(this._layoutIndexWrite)
+        .then(update)
+        .catch((err) => ctx.log('warn', 'Failed to update the widget layout index:', err));
+      return this._layoutIndexWrite;
     },
 
     warnOnce(ctx, key, message, details) {
@@ -326,6 +492,91 @@
       this._queueLoaded = true;
     },
 
+    // The first render for an adventure waits for the journal, so no click
+    // can take a sequence number a persisted event already holds. Returns
+    // the pending load, or null once rendering may go ahead.
+    restoreQueue(ctx) {
+      const journal = window.UltrascriptsWidgetInteractionJournal;
+      const shortId = ctx?.adventureShortId;
+      if (this._queueRestored) return null;
+      if (!shortId || !journal?.available()) {
+        this._queueRestored = true;
+        return null;
+      }
+      if (this._queueRestoring) return this._queueRestoring;
+
+      const restoring = journal.load(shortId).then((saved) => {
+        if (this._queueRestoring !== restoring) return;
+        this._queueRestoring = null;
+        this._queueRestored = true;
+        let replayed = [];
+        try {
+          replayed = this.replayJournal(saved, ctx);
+        } catch (err) {
+          ctx.log('warn', 'Failed to restore widget events:', err);
+        }
+        if (!this._renderer || !this._lastParsed) return;
+        this.renderState(this._lastParsed, this._lastCtx);
+        // Replayed presses pulse until acknowledged, as they did before.
+        for (const event of replayed) {
+          if (this._renderer.isInteractiveType(event.widgetType)) {
+            this._renderer.setPending(event.widgetId, event, event.value, event.previousValue);
+          }
+        }
+      });
+      this._queueRestoring = restoring;
+      return restoring;
+    },
+
+    // Merges events saved before a reload into the queue read from the card.
+    // Each keeps its original seq; anything at or below the script's ack was
+    // already delivered and is dropped, and a coalesced event only survives
+    // if nothing newer under the same key is queued. Returns the events that
+    // were not already on the card.
+    // The render that follows prunes acked events from the card itself.
+    replayJournal(saved, ctx) {
+      const ackSeq = Math.max(this._ackSeq, readAckSeq(this._lastParsed));
+      this.ensureQueueLoaded(ctx);
+      if (!saved) {
+        this.persistQueue(ctx);
+        return [];
+      }
+
+      const known = new Set(this._eventQueue.map(event => event.seq));
+      const superseded = new Set(this._eventQueue.flatMap(event => event.replaces || []));
+      const restored = normalizeEventQueue(saved.events, ackSeq)
+        .filter(event => !known.has(event.seq) && !superseded.has(event.seq));
+
+      const merged = [...this._eventQueue, ...restored].sort((a, b) => a.seq - b.seq);
+      const newestByKey = new Map();
+      for (const event of merged) {
+        if (event.coalesceKey) newestByKey.set(event.coalesceKey, event.seq);
+      }
+      this._eventQueue = merged
+        .filter(event => !event.coalesceKey || newestByKey.get(event.coalesceKey) === event.seq)
+        .slice(-MAX_WIDGET_EVENTS);
+      this._lastSeq = Math.max(this._lastSeq, saved.lastSeq, ...this._eventQueue.map(event => event.seq));
+
+      const replayed = this._eventQueue.filter(event => !known.has(event.seq));
+      this.persistQueue(ctx);
+      if (replayed.length) {
+        ctx.log('debug', `Replaying ${replayed.length} widget event(s) saved before reload`);
+        this.writeInteractionInbox(ctx).catch((err) => {
+          ctx.log('warn', 'Failed to replay widget events:', err);
+        });
+      }
+      return replayed;
+    },
+
+    persistQueue(ctx = this._ctx) {
+      if (!this._queueRestored) return;
+      window.UltrascriptsWidgetInteractionJournal?.save(ctx?.adventureShortId, {
+        lastSeq: this._lastSeq,
+        ackSeq: this._ackSeq,
+        events: this._eventQueue.filter(event => event.seq > this._ackSeq),
+      });
+    },
+
     processInteractionAck(parsed, ctx) {
       const ackSeq = readAckSeq(parsed);
       if (ackSeq <= this._ackSeq) return;
@@ -337,6 +588,7 @@
       const before = this._eventQueue.length;
       this._eventQueue = this._eventQueue.filter(event => Number(event.seq || 0) > ackSeq);
       if (this._eventQueue.length !== before) {
+        this.persistQueue(ctx);
         this.writeInteractionInbox(ctx).catch((err) => {
           ctx.log('warn', 'Failed to prune widget events:', err);
         });
@@ -350,7 +602,7 @@
       this.ensureQueueLoaded(ctx);
 
       const nowMs = Date.now();
-      const seq = Math.max(this._lastSeq, ...this._eventQueue.map(item => Number(item.seq || 0))) + 1;
+      const seq = Math.max(this._lastSeq, this._ackSeq, ...this._eventQueue.map(item => Number(item.seq || 0))) + 1;
       const record = {
         id: `widget-${seq}`,
         seq,
@@ -394,6 +646,8 @@
         .slice(-MAX_WIDGET_EVENTS);
       this._lastSeq = seq;
 
+      // Journal first: the card write below may be up to 120ms away.
+      this.persistQueue(ctx);
       this.scheduleInteractionInboxWrite(ctx, !record.coalesceKey);
 
       return record;
@@ -437,9 +691,12 @@
         events,
       };
 
+      // The script is waiting on the player's input the way it waits on an
+      // op response, so the inbox goes out even once the turn budget is spent.
       await ctx.writeCard(IN_CARD_TITLE, JSON.stringify(envelope), {
         type: 'Ultrascripts',
         description: 'Widget module interaction queue.',
+        priority: 'response',
       });
     },
 
@@ -450,6 +707,7 @@
         widgetEventQueueLength: this._eventQueue.length,
         widgetEventLatestSeq: this._lastSeq,
         widgetEventAckSeq: this._ackSeq,
+        stateIssues: this._lastIssues.map(issue => ({ ...issue })),
       };
     },
   };
@@ -9,7 +9,58 @@
 
   const validators = () => window.UltrascriptsWidgetValidators;
   const MINIMIZED_STORAGE_KEY = 'bd.widget.minimized';
+  // Panels outside the top bar. On narrow screens every one of them folds
+  // into the single bottom `sheet`.
+  const PANEL_REGIONS = ['left', 'right', 'floating', 'sheet'];
+  const REGION_TITLES = { left: 'Left rail', right: 'Right rail', floating: 'Floating', sheet: 'Widgets' };
+  const SHEET_MEDIA_QUERY = '(max-width: 640px)';
   const ACKED_VALUE_TTL_MS = 30000;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  // Series without a color take the next named color in this order.
+  const CHART_PALETTE = ['purple', 'cyan', 'green', 'orange', 'blue', 'yellow', 'red'];
+  const CHART_SIZE = {
+    sparkline: { width: 100, height: 24 },
+    linechart: { width: 200, height: 64 },
+    barchart: { width: 200, height: 64 },
+    radar: { width: 120, height: 120 },
+  };
+  // Alt+Shift+W moves focus into the widgets from anywhere on the page and,
+  // pressed again, back to where it was.
+  const HUD_HOTKEY = { code: 'KeyW', label: 'Alt+Shift+W' };
+  // Display types whose value changes are read out by the live region.
+  const ANNOUNCED_TYPES = new Set(['stat', 'bar', 'counter', 'progress']);
+  const FOCUSABLE_SELECTOR = 'button, input, select, textarea, a[href], [data-widget-local-tabindex]';
+  // Bindings that read `now` are re-evaluated this often; the rest only
+  // when state or the live count changes.
+  const BINDING_TICK_MS = 250;
+  const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+  // Scenario theme palette keys and the CSS variables each one sets. The
+  // `--bd-*` tokens override core/theme-variables.css inside themed scopes;
+  // the `--bd-widget-*` ones are read by the widget rules in styles.css.
+  const THEME_PALETTE_VARIABLES = {
+    background: ['--bd-widget-bg'],
+    surface: ['--bd-widget-surface'],
+    border: ['--bd-widget-border'],
+    text: ['--bd-text-primary'],
+    muted: ['--bd-text-secondary', '--bd-text-muted'],
+    accent: ['--bd-accent-primary', '--bd-border-focus', '--bd-widget-border-hover'],
+    good: ['--bd-success'],
+    warn: ['--bd-warning'],
+    bad: ['--bd-error'],
+  };
+  const THEME_FONT_STACKS = {
+    sans: "'IBM Plex Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    mono: "'Roboto Mono', 'Consolas', 'Monaco', 'Courier New', monospace",
+    serif: "'Iowan Old Style', 'Palatino Linotype', Palatino, Georgia, serif",
+    system: "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif",
+  };
+  const THEME_DENSITY_PADDING = { compact: '5px 8px', normal: '7px 10px', spacious: '9px 13px' };
+  const THEME_VARIABLES = [
+    ...Object.values(THEME_PALETTE_VARIABLES).flat(),
+    '--bd-font-family-primary',
+    '--bd-widget-radius',
+    '--bd-widget-padding',
+  ];
 
   function cloneForCompare(value) {
     if (value === undefined || value === null) return value;
@@ -34,6 +85,12 @@
     constructor(options = {}) {
       this.logFn = typeof options.log === 'function' ? options.log : null;
       this.onInteraction = typeof options.onInteraction === 'function' ? options.onInteraction : null;
+      // Called with the player's region layout after each change, or null
+      // once it is back to the defaults. The module persists it per scenario.
+      this.onLayoutChange = typeof options.onLayoutChange === 'function' ? options.onLayoutChange : null;
+      // Resolves an https `image` src to a URL the page may show. Without
+      // it only inline data URIs render.
+      this.loadImage = typeof options.loadImage === 'function' ? options.loadImage : null;
       this.registeredWidgets = new Map();
       // Map<widgetId, { value?, seq }>. Any widget with an entry pulses amber
       // until its seq is <= ackSeq. Optional `value` carries the player's
@@ -47,6 +104,12 @@
       this.widgetWrapper = null;
       this.minimizeButton = null;
       this.widgetZones = { left: null, center: null, right: null };
+      // region -> { root, header, body, count, pin, collapse, reset }
+      this.regionPanels = {};
+      this.layout = this.defaultLayout();
+      this.sheetQuery = null;
+      this.boundSheetHandler = null;
+      this.isSheetLayout = false;
       this.boundResizeHandler = null;
       this.resizeDebounceTimer = null;
       this.layoutObserver = null;
@@ -57,6 +120,26 @@
       this._lastLayoutLogKey = '';
       this._lastDensityLogKey = '';
       this._warnedMessages = new Set();
+      // widgetId -> modal form state for `dialog` widgets, see createDialogWidget.
+      this.dialogs = new Map();
+      this.activeDialogId = null;
+      this.boundDialogFocusIn = null;
+      // Roving tabindex: only this widget's root sits in the page tab order,
+      // arrow keys move it. See KEYBOARD & ACCESSIBILITY.
+      this.focusWidgetId = null;
+      this.focusReturnTarget = null;
+      this.boundHotkeyHandler = null;
+      this.liveRegion = null;
+      this.pendingAnnouncements = [];
+      // widgetId -> { id, order } while a sortable row is picked up.
+      this.sortableGrabs = new Map();
+      // Resolved scenario theme from validateTheme, or null for the default look.
+      this.theme = null;
+      // widgetId -> { bind, ast, usesNow, output } for widgets with a `bind`.
+      // See COMPUTED BINDINGS.
+      this.bindings = new Map();
+      this.bindingTimer = null;
+      this.liveCount = null;
     }
 
     log(...args) {
@@ -307,6 +390,8 @@
     }
 
     syncWrapperState() {
+      this.syncRegions();
+      this.syncRovingFocus();
       if (!this.widgetWrapper) return;
       this.widgetWrapper.dataset.minimized = String(!!this.isMinimized);
       this.updateMinimizeButton();
@@ -317,7 +402,7 @@
         const active = button.dataset.tab === String(itemId);
         button.dataset.active = String(active);
         button.setAttribute('aria-selected', String(active));
-        button.tabIndex = active ? 0 : -1;
+        this.setLocalTabIndex(button, active ? 0 : -1);
       });
       root.querySelectorAll('.bd-widget-tabs-panel').forEach(panel => {
         const active = panel.dataset.tab === String(itemId);
@@ -332,6 +417,7 @@
         const rankEl = row.querySelector('.bd-widget-sortable-rank');
         if (rankEl) rankEl.textContent = `${index + 1}.`;
         const label = row.querySelector('.bd-widget-sortable-text')?.textContent?.trim() || `item ${index + 1}`;
+        row.setAttribute('aria-label', `${label}, position ${index + 1} of ${rows.length}`);
         const up = row.querySelector('.bd-widget-sortable-arrow[data-dir="up"]');
         const down = row.querySelector('.bd-widget-sortable-arrow[data-dir="down"]');
         if (up) {
@@ -370,8 +456,10 @@
       }
 
       this.reorderWidgets(renderWidgets);
+      this.syncBindings();
       this.syncWrapperState();
       this.recalculateWidgetDensity();
+      this.flushAnnouncements();
     }
 
     createOrUpdateWidget(widgetId, config) {
@@ -383,17 +471,292 @@
       }
     }
 
+    // Re-inserting a node drops focus inside it, so a container is only
+    // re-appended when its widgets are actually out of order.
     reorderWidgets(widgets) {
       if (!this.widgetZones) return;
+      const byTarget = new Map();
       for (const config of widgets) {
         const data = this.registeredWidgets.get(config.id);
         if (!data?.element) continue;
-        const align = validators().VALID_ALIGNMENTS.has(config.align) ? config.align : 'center';
-        const zone = this.widgetZones[align];
-        if (zone && data.element.parentNode === zone) {
-          zone.appendChild(data.element);
+        const target = this.targetFor(config);
+        if (!target || data.element.parentNode !== target) continue;
+        if (!byTarget.has(target)) byTarget.set(target, []);
+        byTarget.get(target).push(data.element);
+      }
+      for (const [target, elements] of byTarget) {
+        const current = Array.from(target.children).filter(child => elements.includes(child));
+        if (current.every((child, index) => child === elements[index])) continue;
+        for (const element of elements) target.appendChild(element);
+      }
+    }
+
+    // ---------------------------------------------------------------
+    // REGIONS
+    // ---------------------------------------------------------------
+
+    defaultLayout() {
+      return {
+        regions: {
+          left: { collapsed: false, pinned: true },
+          right: { collapsed: false, pinned: true },
+          floating: { collapsed: false, pinned: false },
+          sheet: { collapsed: true, pinned: true },
+        },
+      };
+    }
+
+    regionState(region) {
+      return this.layout.regions[region] || this.defaultLayout().regions[region];
+    }
+
+    resolveRegion(config) {
+      const region = validators().VALID_REGIONS.has(config?.region) ? config.region : 'top';
+      if (region !== 'top' && this.isSheetLayout) return 'sheet';
+      return region;
+    }
+
+    targetFor(config) {
+      const region = this.resolveRegion(config);
+      if (region !== 'top') return this.ensureRegionPanel(region).body;
+      const align = validators().VALID_ALIGNMENTS.has(config.align) ? config.align : 'center';
+      return this.widgetZones[align] || this.widgetContainer;
+    }
+
+    placeWidget(element, config) {
+      const target = this.targetFor(config);
+      if (target && element.parentNode !== target) target.appendChild(element);
+    }
+
+    ensureRegionPanel(region) {
+      if (this.regionPanels[region]) return this.regionPanels[region];
+
+      const root = document.createElement('section');
+      root.className = `bd-widget-region bd-widget-region-${region}`;
+      root.dataset.region = region;
+      root.setAttribute('aria-label', `${REGION_TITLES[region]} widgets`);
+
+      const header = document.createElement('div');
+      header.className = 'bd-widget-region-header';
+
+      const grip = document.createElement('span');
+      grip.className = 'bd-widget-region-grip';
+      grip.setAttribute('aria-hidden', 'true');
+      grip.textContent = '⠿';
+
+      const title = document.createElement('span');
+      title.className = 'bd-widget-region-title';
+      title.textContent = REGION_TITLES[region];
+
+      const count = document.createElement('span');
+      count.className = 'bd-widget-region-count';
+
+      const regionButton = (className, onClick) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `bd-widget-region-btn ${className}`;
+        button.addEventListener('click', (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          onClick();
+        });
+        return button;
+      };
+      const reset = regionButton('bd-widget-region-reset', () => this.resetRegion(region));
+      reset.textContent = '↺';
+      const pin = regionButton('bd-widget-region-pin', () => {
+        this.updateRegionLayout(region, { pinned: !this.regionState(region).pinned });
+      });
+      const collapse = regionButton('bd-widget-region-collapse', () => {
+        this.updateRegionLayout(region, { collapsed: !this.regionState(region).collapsed });
+      });
+
+      header.appendChild(grip);
+      header.appendChild(title);
+      header.appendChild(count);
+      if (region !== 'sheet') {
+        header.appendChild(reset);
+        header.appendChild(pin);
+      }
+      header.appendChild(collapse);
+
+      const body = document.createElement('div');
+      body.className = 'bd-widget-region-body bd-widget-module-zone';
+
+      root.appendChild(header);
+      root.appendChild(body);
+      this.applyTheme(root);
+      document.body.appendChild(root);
+
+      const panel = { root, header, body, count, pin, collapse, reset };
+      this.regionPanels[region] = panel;
+      if (region === 'sheet') {
+        header.addEventListener('click', () => {
+          this.updateRegionLayout(region, { collapsed: !this.regionState(region).collapsed });
+        });
+      } else {
+        this.bindRegionDrag(region, panel);
+      }
+      this.applyRegionState(region);
+      this.updateRegionOffset(panel);
+      return panel;
+    }
+
+    applyRegionState(region) {
+      const panel = this.regionPanels[region];
+      if (!panel) return;
+      const state = this.regionState(region);
+      const title = REGION_TITLES[region];
+
+      panel.root.dataset.collapsed = String(!!state.collapsed);
+      panel.root.dataset.pinned = String(!!state.pinned);
+      panel.body.hidden = !!state.collapsed;
+      panel.collapse.textContent = state.collapsed ? '+' : '−';
+      panel.collapse.setAttribute('aria-expanded', String(!state.collapsed));
+      panel.collapse.setAttribute('aria-label', `${state.collapsed ? 'Expand' : 'Collapse'} ${title}`);
+      panel.pin.textContent = state.pinned ? 'Pinned' : 'Pin';
+      panel.pin.setAttribute('aria-pressed', String(!!state.pinned));
+      panel.pin.setAttribute('aria-label', state.pinned ? `Unpin ${title} to drag it` : `Pin ${title} in place`);
+      panel.reset.setAttribute('aria-label', `Reset ${title} layout`);
+      panel.reset.hidden = valuesEqual(state, this.defaultLayout().regions[region]);
+      this.syncRovingFocus();
+
+      const moved = Number.isFinite(state.x) && Number.isFinite(state.y);
+      panel.root.dataset.moved = String(moved);
+      Object.assign(panel.root.style, moved
+        ? { left: `${state.x}px`, top: `${state.y}px`, right: 'auto', bottom: 'auto' }
+        : { left: '', top: '', right: '', bottom: '' });
+    }
+
+    // Rails start just under the nav bar, wherever detectLayout found it.
+    updateRegionOffset(panel) {
+      const top = Math.max(0, (this.cachedLayout?.contentTop ?? 56) + 6);
+      panel.root.style.setProperty('--bd-region-top', `${top}px`);
+    }
+
+    updateRegionLayout(region, patch) {
+      this.layout.regions[region] = { ...this.regionState(region), ...patch };
+      this.applyRegionState(region);
+      this.emitLayoutChange();
+    }
+
+    resetRegion(region) {
+      this.layout.regions[region] = { ...this.defaultLayout().regions[region] };
+      this.applyRegionState(region);
+      this.emitLayoutChange();
+    }
+
+    emitLayoutChange() {
+      if (!this.onLayoutChange) return;
+      const isDefault = valuesEqual(this.layout, this.defaultLayout());
+      this.onLayoutChange(isDefault ? null : cloneForCompare(this.layout));
+    }
+
+    // Restores a saved layout (or the defaults for null). Unknown regions and
+    // malformed fields are dropped so a stale save cannot break rendering.
+    setLayout(saved) {
+      const layout = this.defaultLayout();
+      const regions = validators().isPlainObject(saved?.regions) ? saved.regions : {};
+      for (const region of PANEL_REGIONS) {
+        const entry = regions[region];
+        if (!validators().isPlainObject(entry)) continue;
+        const state = layout.regions[region];
+        if (typeof entry.collapsed === 'boolean') state.collapsed = entry.collapsed;
+        if (typeof entry.pinned === 'boolean' && region !== 'sheet') state.pinned = entry.pinned;
+        if (region !== 'sheet' && Number.isFinite(entry.x) && Number.isFinite(entry.y)) {
+          state.x = entry.x;
+          state.y = entry.y;
         }
       }
+      this.layout = layout;
+      for (const region of Object.keys(this.regionPanels)) this.applyRegionState(region);
+    }
+
+    clampRegionPosition(root, x, y) {
+      const rect = root.getBoundingClientRect();
+      return {
+        x: Math.round(Math.min(Math.max(0, x), Math.max(0, window.innerWidth - rect.width))),
+        y: Math.round(Math.min(Math.max(0, y), Math.max(0, window.innerHeight - 32))),
+      };
+    }
+
+    // Unpinned panels follow the pointer by their header; the drop position
+    // becomes part of the saved layout.
+    bindRegionDrag(region, panel) {
+      panel.header.addEventListener('pointerdown', (event) => {
+        if (event.button !== 0 || this.regionState(region).pinned) return;
+        if (event.target?.closest?.('button')) return;
+        event.preventDefault();
+
+        const rect = panel.root.getBoundingClientRect();
+        const offsetX = event.clientX - rect.left;
+        const offsetY = event.clientY - rect.top;
+        let last = null;
+        panel.header.setPointerCapture?.(event.pointerId);
+        panel.root.dataset.dragging = 'true';
+
+        const onMove = (moveEvent) => {
+          last = this.clampRegionPosition(panel.root, moveEvent.clientX - offsetX, moveEvent.clientY - offsetY);
+          Object.assign(panel.root.style, { left: `${last.x}px`, top: `${last.y}px`, right: 'auto', bottom: 'auto' });
+        };
+        const onEnd = () => {
+          panel.header.removeEventListener('pointermove', onMove);
+          panel.header.removeEventListener('pointerup', onEnd);
+          panel.header.removeEventListener('pointercancel', onEnd);
+          delete panel.root.dataset.dragging;
+          if (last) this.updateRegionLayout(region, { x: last.x, y: last.y });
+        };
+        panel.header.addEventListener('pointermove', onMove);
+        panel.header.addEventListener('pointerup', onEnd);
+        panel.header.addEventListener('pointercancel', onEnd);
+      });
+    }
+
+    // Shows only the regions that hold widgets and hides the top bar when
+    // every widget lives elsewhere.
+    syncRegions() {
+      for (const panel of Object.values(this.regionPanels)) {
+        const count = panel.body.children.length;
+        panel.root.hidden = count === 0;
+        panel.count.textContent = String(count);
+      }
+      if (this.widgetWrapper) {
+        const topCount = Object.values(this.widgetZones)
+          .reduce((sum, zone) => sum + (zone?.children.length || 0), 0);
+        this.widgetWrapper.style.display = topCount > 0 ? 'flex' : 'none';
+      }
+    }
+
+    // Moves every widget to the panel its region resolves to now, e.g. after
+    // the viewport crosses the sheet breakpoint.
+    rehomeWidgets() {
+      for (const [, data] of this.registeredWidgets) {
+        if (data.element) this.placeWidget(data.element, data.config);
+      }
+      this.syncWrapperState();
+      this.recalculateWidgetDensity();
+    }
+
+    setupSheetLayout() {
+      if (this.sheetQuery || typeof window.matchMedia !== 'function') return;
+      this.sheetQuery = window.matchMedia(SHEET_MEDIA_QUERY);
+      this.isSheetLayout = !!this.sheetQuery.matches;
+      this.boundSheetHandler = (event) => {
+        this.isSheetLayout = !!event.matches;
+        this.rehomeWidgets();
+      };
+      this.sheetQuery.addEventListener?.('change', this.boundSheetHandler);
+    }
+
+    removeRegionPanels() {
+      for (const panel of Object.values(this.regionPanels)) panel.root.remove();
+      this.regionPanels = {};
+      if (this.sheetQuery && this.boundSheetHandler) {
+        this.sheetQuery.removeEventListener?.('change', this.boundSheetHandler);
+      }
+      this.sheetQuery = null;
+      this.boundSheetHandler = null;
+      this.isSheetLayout = false;
     }
 
     createWidgetContainer() {
@@ -402,6 +765,9 @@
       const wrapper = document.createElement('div');
       wrapper.className = 'bd-betterscripts-wrapper bd-widget-module-wrapper';
       wrapper.id = 'bd-betterscripts-wrapper';
+      wrapper.setAttribute('role', 'region');
+      wrapper.setAttribute('aria-label', 'Story widgets');
+      wrapper.setAttribute('aria-keyshortcuts', HUD_HOTKEY.label);
       Object.assign(wrapper.style, {
         position: 'fixed',
         zIndex: '1000',
@@ -444,12 +810,18 @@
 
       wrapper.appendChild(controls);
       wrapper.appendChild(this.widgetContainer);
+      this.applyTheme(wrapper);
       document.body.appendChild(wrapper);
       this.widgetWrapper = wrapper;
+      this.setupSheetLayout();
       this.syncWrapperState();
 
       this.updateContainerPosition();
       this.setupLayoutMonitoring();
+      if (!this.boundHotkeyHandler) {
+        this.boundHotkeyHandler = (event) => this.onHudHotkey(event);
+        document.addEventListener('keydown', this.boundHotkeyHandler, true);
+      }
       this.log('Widget container created');
     }
 
@@ -540,6 +912,8 @@
         width: `${width}px`,
       });
 
+      for (const panel of Object.values(this.regionPanels)) this.updateRegionOffset(panel);
+
       const logKey = `${Math.round(top)}:${Math.round(left)}:${Math.round(width)}`;
       if (logKey !== this._lastLayoutLogKey) {
         this._lastLayoutLogKey = logKey;
@@ -574,9 +948,11 @@
         parseFloat(containerStyles.paddingRight);
       const containerGap = parseFloat(containerStyles.gap) || 6;
 
+      // Only the top bar is laid out by density; rails and panels scroll.
+      const topZones = Object.values(this.widgetZones);
       let totalWidgetWidth = 0;
       for (const [, data] of this.registeredWidgets) {
-        if (data.element) totalWidgetWidth += data.element.offsetWidth;
+        if (data.element && topZones.includes(data.element.parentNode)) totalWidgetWidth += data.element.offsetWidth;
       }
 
       const activeZones = Object.values(this.widgetZones)
@@ -673,6 +1049,14 @@
         this.widgetWrapper = null;
       }
       this.minimizeButton = null;
+      this.removeRegionPanels();
+      if (this.liveRegion) {
+        this.liveRegion.remove();
+        this.liveRegion = null;
+      }
+      this.pendingAnnouncements = [];
+      this.focusWidgetId = null;
+      this.focusReturnTarget = null;
 
       this.widgetContainer = null;
       this.widgetZones = { left: null, center: null, right: null };
@@ -693,6 +1077,11 @@
         this.boundResizeHandler = null;
       }
 
+      if (this.boundHotkeyHandler) {
+        document.removeEventListener('keydown', this.boundHotkeyHandler, true);
+        this.boundHotkeyHandler = null;
+      }
+
       if (this.resizeDebounceTimer) {
         clearTimeout(this.resizeDebounceTimer);
         this.resizeDebounceTimer = null;
@@ -807,6 +1196,26 @@
         case 'sortable':
           widgetElement = this.createSortableWidget(widgetId, config);
           break;
+        // --- spatial ---
+        case 'grid':
+        case 'map':
+          widgetElement = this.createGridWidget(widgetId, config);
+          break;
+        // --- charts ---
+        case 'sparkline':
+        case 'linechart':
+        case 'barchart':
+        case 'radar':
+          widgetElement = this.createChartWidget(widgetId, config);
+          break;
+        // --- forms ---
+        case 'dialog':
+          widgetElement = this.createDialogWidget(widgetId, config);
+          break;
+        // --- media ---
+        case 'image':
+          widgetElement = this.createImageWidget(widgetId, config);
+          break;
         default:
           this.warn('Unknown widget type:', config.type);
           return;
@@ -814,10 +1223,7 @@
 
       if (!widgetElement || !this.widgetContainer) return;
 
-      const align = validators().VALID_ALIGNMENTS.has(config.align) ? config.align : 'center';
-      const zone = this.widgetZones[align];
-      if (zone) zone.appendChild(widgetElement);
-      else this.widgetContainer.appendChild(widgetElement);
+      this.placeWidget(widgetElement, config);
 
       widgetElement.classList.add('bd-widget-entering');
       const onEnterEnd = () => {
@@ -827,6 +1233,7 @@
       widgetElement.addEventListener('animationend', onEnterEnd);
 
       this.registeredWidgets.set(widgetId, { element: widgetElement, config: { ...config } });
+      this.applyRovingTabIndex(widgetElement, widgetId === this.focusWidgetId);
       this.recalculateWidgetDensity();
       this.emitWidget('created', widgetId, config);
     }
@@ -1174,6 +1581,11 @@
       widget.className = `bd-widget ${typeClass}`;
       widget.id = `bd-widget-${widgetId}`;
       widget.style.pointerEvents = 'auto';
+      widget.dataset.widgetId = widgetId;
+      widget.tabIndex = -1;
+      this.applyWidgetA11y(widget, config);
+      widget.addEventListener('keydown', (event) => this.onWidgetKeydown(widgetId, widget, event));
+      widget.addEventListener('focusin', () => this.setFocusWidget(widgetId));
       if (config.order !== undefined) widget.style.order = config.order;
       return widget;
     }
@@ -1191,12 +1603,11 @@
         return;
       }
 
-      if (config.align !== undefined && config.align !== existingConfig.align) {
-        const newAlign = validators().VALID_ALIGNMENTS.has(config.align) ? config.align : 'center';
-        const targetZone = this.widgetZones[newAlign];
-        if (targetZone && element.parentNode !== targetZone) targetZone.appendChild(element);
+      if (config.align !== existingConfig.align || config.region !== existingConfig.region) {
+        this.placeWidget(element, config);
       }
 
+      const focused = this.captureWidgetFocus(element);
       switch (existingConfig.type) {
         case 'stat':
           this.updateStatWidget(element, config);
@@ -1273,11 +1684,37 @@
         case 'sortable':
           this.updateSortableWidget(element, widgetId, config);
           break;
+        // --- spatial ---
+        case 'grid':
+        case 'map':
+          this.updateGridWidget(element, widgetId, config, existingConfig);
+          break;
+        // --- charts ---
+        case 'sparkline':
+        case 'linechart':
+        case 'barchart':
+        case 'radar':
+          this.updateChartWidget(element, config, existingConfig);
+          break;
+        // --- forms ---
+        case 'dialog':
+          this.updateDialogWidget(element, widgetId, config, existingConfig);
+          break;
+        // --- media ---
+        case 'image':
+          this.updateImageWidget(element, widgetId, config, existingConfig);
+          break;
       }
 
       if (config.order !== undefined) element.style.order = config.order;
       else element.style.order = '';
 
+      this.applyWidgetA11y(element, config);
+      this.applyRovingTabIndex(element, widgetId === this.focusWidgetId);
+      this.restoreWidgetFocus(element, focused);
+      const announcement = this.valueAnnouncement(existingConfig, config);
+      if (announcement) this.pendingAnnouncements.push(announcement);
+
       // Pending state is owned exclusively by setPending/ackInteractions; we
       // never touch data-state here so re-renders preserve any active pulse.
 
@@ -1287,1366 +1724,3106 @@
     }
 
     // ---------------------------------------------------------------
-    // VALUE TRANSITIONS
+    // THEMES
     // ---------------------------------------------------------------
-
-    _parseNumber(str) {
-      if (typeof str === 'number') return str;
-      if (typeof str !== 'string') return NaN;
-      const cleaned = str.replace(/,/g, '').match(/^-?\d+(?:\.\d+)?/);
-      return cleaned ? Number(cleaned[0]) : NaN;
+    //
+    // A scenario theme is a set of CSS variables. They go on every element
+    // widgets render under (the top bar wrapper, region panels and dialog
+    // backdrops, which all sit directly in <body>) rather than on :root, so
+    // the rest of BetterDungeon keeps its own look.
+
+    setTheme(theme) {
+      const next = theme || null;
+      if (valuesEqual(next, this.theme)) return;
+      this.theme = cloneForCompare(next);
+      for (const scope of this.themeScopes()) this.applyTheme(scope);
     }
 
-    _formatNumber(value, decimals = 0) {
-      const rounded = decimals > 0 ? Math.round(value * (10 ** decimals)) / (10 ** decimals) : Math.round(value);
-      return String(rounded).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    themeScopes() {
+      const scopes = [this.widgetWrapper];
+      for (const panel of Object.values(this.regionPanels)) scopes.push(panel.root);
+      for (const dialog of this.dialogs.values()) scopes.push(dialog.backdrop);
+      return scopes.filter(Boolean);
     }
 
-    _tweenTextValue(element, targetValue, duration = 280, formatter = null) {
-      if (!element) return;
-      const target = this._parseNumber(targetValue);
-      if (!Number.isFinite(target)) {
-        element.textContent = String(targetValue ?? '');
-        return;
-      }
-      const current = this._parseNumber(element.textContent);
-      if (!Number.isFinite(current) || current === target) {
-        element.textContent = formatter ? formatter(target) : this._formatNumber(target);
-        return;
+    themeVariables(theme) {
+      const variables = {};
+      if (!theme) return variables;
+      for (const [key, color] of Object.entries(theme.palette || {})) {
+        for (const name of THEME_PALETTE_VARIABLES[key] || []) variables[name] = color;
       }
-      if (element._tweenId) cancelAnimationFrame(element._tweenId);
-      const start = performance.now();
-      const delta = target - current;
-      const step = (now) => {
-        const t = Math.min(1, (now - start) / duration);
-        const eased = 1 - (1 - t) * (1 - t); // ease-out quad
-        const val = current + delta * eased;
-        element.textContent = formatter ? formatter(val) : this._formatNumber(val);
-        if (t < 1) element._tweenId = requestAnimationFrame(step);
-        else element._tweenId = null;
-      };
-      element._tweenId = requestAnimationFrame(step);
+      if (THEME_FONT_STACKS[theme.font]) variables['--bd-font-family-primary'] = THEME_FONT_STACKS[theme.font];
+      if (typeof theme.radius === 'number') variables['--bd-widget-radius'] = `${theme.radius}px`;
+      if (THEME_DENSITY_PADDING[theme.density]) variables['--bd-widget-padding'] = THEME_DENSITY_PADDING[theme.density];
+      return variables;
     }
 
-    _tweenStyleProperty(element, property, targetValue, duration = 280, unit = '') {
+    applyTheme(element) {
       if (!element) return;
-      const target = this._parseNumber(targetValue);
-      if (!Number.isFinite(target)) {
-        element.style[property] = String(targetValue ?? '');
-        return;
+      for (const name of THEME_VARIABLES) element.style.removeProperty(name);
+      for (const [name, value] of Object.entries(this.themeVariables(this.theme))) {
+        element.style.setProperty(name, value);
       }
-      const currentRaw = getComputedStyle(element)[property];
-      const current = this._parseNumber(currentRaw);
-      if (!Number.isFinite(current) || current === target) {
-        element.style[property] = this._formatNumber(target) + unit;
-        return;
+      if (this.theme) {
+        element.dataset.theme = this.theme.base || 'custom';
+        if (this.theme.density) element.dataset.themeDensity = this.theme.density;
+        else delete element.dataset.themeDensity;
+      } else {
+        delete element.dataset.theme;
+        delete element.dataset.themeDensity;
       }
-      const tweenKey = '_tweenId_' + property;
-      if (element[tweenKey]) cancelAnimationFrame(element[tweenKey]);
-      const start = performance.now();
-      const delta = target - current;
-      const step = (now) => {
-        const t = Math.min(1, (now - start) / duration);
-        const eased = 1 - (1 - t) * (1 - t); // ease-out quad
-        const val = current + delta * eased;
-        element.style[property] = this._formatNumber(val) + unit;
-        if (t < 1) element[tweenKey] = requestAnimationFrame(step);
-        else element[tweenKey] = null;
-      };
-      element[tweenKey] = requestAnimationFrame(step);
     }
 
-    updateStatWidget(element, config) {
-      const labelEl = element.querySelector('.bd-widget-label');
-      const valueEl = element.querySelector('.bd-widget-value');
-      if (labelEl) labelEl.textContent = config.label ?? 'Stat';
-      if (valueEl) this._tweenTextValue(valueEl, config.value ?? 0);
-      if (valueEl) this.applyPresetOrInlineColor(element, valueEl, config.color, 'color', true);
+    // ---------------------------------------------------------------
+    // KEYBOARD & ACCESSIBILITY
+    // ---------------------------------------------------------------
+    //
+    // Widget roots share one roving tabindex: only the current widget
+    // (focusWidgetId) is in the page tab order, arrow keys and Home/End move
+    // between widgets in visual order, Enter steps into a widget's controls
+    // and Escape steps back out. A control's own tabindex is kept in
+    // data-widget-local-tabindex and only applies inside the current widget,
+    // so one Tab leaves the HUD instead of walking every button on it.
+
+    _widgetLabel(config) {
+      const text = config.label ?? config.title ?? config.text ?? config.alt ?? config.icon ?? '';
+      return String(text).trim().slice(0, 80) || config.type;
     }
 
-    updateBarWidget(element, config) {
-      const labelEl = element.querySelector('.bd-widget-label');
-      const barFill = element.querySelector('.bd-widget-bar-fill');
-      const barText = element.querySelector('.bd-widget-bar-text');
+    applyWidgetA11y(widget, config) {
+      widget.setAttribute('role', 'group');
+      widget.setAttribute('aria-roledescription', `${config.type} widget`);
+      widget.setAttribute('aria-label', this._widgetLabel(config));
+    }
 
-      if (labelEl) labelEl.textContent = config.label ?? 'Progress';
-      if (barFill) {
-        const value = config.value ?? 0;
-        const max = config.max ?? 100;
-        const percentage = Math.min(100, Math.max(0, (value / max) * 100));
-        this._tweenStyleProperty(barFill, 'width', percentage, 280, '%');
-      }
-      if (barText) {
-        const showValue = config.showValue !== false;
-        const max = config.max ?? 100;
-        if (showValue) {
-          this._tweenTextValue(barText, config.value ?? 0, 280, v => `${Math.round(v)}/${max}`);
-        } else {
-          barText.textContent = '';
-        }
-      }
-      if (barFill) this.applyPresetOrInlineColor(element, barFill, config.color, 'background', true);
+    setLocalTabIndex(control, tabIndex) {
+      control.dataset.widgetLocalTabindex = String(tabIndex);
+      const root = control.closest?.('.bd-widget');
+      control.tabIndex = root && root.dataset.widgetId === this.focusWidgetId ? tabIndex : -1;
     }
 
-    updatePanelWidget(element, config) {
-      const titleEl = element.querySelector('.bd-widget-panel-title');
-      if (titleEl) {
-        if (config.title) titleEl.textContent = config.title;
-        else titleEl.remove();
-      } else if (config.title) {
-        const newTitle = document.createElement('div');
-        newTitle.className = 'bd-widget-panel-title';
-        newTitle.textContent = config.title;
-        element.insertBefore(newTitle, element.firstChild);
-      }
+    // Roving tabindex inside a widget: `current` is the one item Tab reaches.
+    setRovingItems(items, current) {
+      items.forEach(item => this.setLocalTabIndex(item, item === current ? 0 : -1));
+    }
 
-      const content = element.querySelector('.bd-widget-panel-content');
-      if (content) {
-        content.innerHTML = '';
-        this.populatePanelContent(content, config);
-      }
+    applyRovingTabIndex(widget, current) {
+      widget.tabIndex = current ? 0 : -1;
+      widget.querySelectorAll(FOCUSABLE_SELECTOR).forEach(control => {
+        control.tabIndex = current ? Number(control.dataset.widgetLocalTabindex ?? 0) : -1;
+      });
     }
 
-    updateBadgeWidget(element, config) {
-      const textEl = element.querySelector('.bd-widget-badge-text');
-      if (textEl) {
-        textEl.textContent = config.text ?? config.label ?? '';
+    // Widget roots in the order the arrow keys visit them: the top bar zones
+    // left to right, then each open panel. Hidden and exiting widgets are
+    // skipped.
+    focusableWidgets() {
+      const containers = this.isMinimized ? [] : Object.values(this.widgetZones);
+      for (const region of PANEL_REGIONS) {
+        const panel = this.regionPanels[region];
+        if (panel && !panel.body.hidden) containers.push(panel.body);
       }
+      return containers.filter(Boolean).flatMap(container => Array.from(container.children)
+        .filter(element => element.classList.contains('bd-widget') && !element.classList.contains('bd-widget-exiting'))
+        .map((element, index) => ({ element, index, order: Number(element.style.order) || 0 }))
+        .sort((a, b) => a.order - b.order || a.index - b.index)
+        .map(entry => entry.element));
+    }
 
-      let iconEl = element.querySelector('.bd-widget-badge-icon');
-      if (config.icon) {
-        if (iconEl) {
-          iconEl.textContent = config.icon;
-        } else {
-          iconEl = document.createElement('span');
-          iconEl.className = 'bd-widget-badge-icon';
-          iconEl.textContent = config.icon;
-          element.insertBefore(iconEl, element.firstChild);
-        }
-      } else if (iconEl) {
-        iconEl.remove();
+    syncRovingFocus() {
+      const widgets = this.focusableWidgets();
+      if (!widgets.some(element => element.dataset.widgetId === this.focusWidgetId)) {
+        this.focusWidgetId = widgets[0]?.dataset.widgetId ?? null;
+      }
+      for (const [widgetId, data] of this.registeredWidgets) {
+        this.applyRovingTabIndex(data.element, widgetId === this.focusWidgetId);
       }
+    }
 
-      if (config.color !== undefined) element.style.setProperty('--badge-color', config.color);
-      else element.style.removeProperty('--badge-color');
-      if (config.variant !== undefined) element.dataset.variant = config.variant;
-      else delete element.dataset.variant;
+    setFocusWidget(widgetId) {
+      if (widgetId === this.focusWidgetId) return;
+      const previous = this.registeredWidgets.get(this.focusWidgetId)?.element;
+      this.focusWidgetId = widgetId;
+      if (previous) this.applyRovingTabIndex(previous, false);
+      const next = this.registeredWidgets.get(widgetId)?.element;
+      if (next) this.applyRovingTabIndex(next, true);
     }
 
-    updateListWidget(element, config) {
-      const titleEl = element.querySelector('.bd-widget-list-title');
-      if (titleEl) {
-        if (config.title) titleEl.textContent = config.title;
-        else titleEl.remove();
-      } else if (config.title) {
-        const title = document.createElement('div');
-        title.className = 'bd-widget-list-title';
-        title.textContent = config.title;
-        element.insertBefore(title, element.firstChild);
-      }
+    focusWidgetElement(widget) {
+      this.setFocusWidget(widget.dataset.widgetId);
+      widget.focus();
+    }
 
-      const list = element.querySelector('.bd-widget-list-items');
-      if (list) {
-        list.innerHTML = '';
-        this.populateListItems(list, config.items);
-      }
+    // The item an arrow key, Home or End moves to from items[index], wrapping
+    // at both ends, or null for any other key.
+    _arrowTarget(items, index, key, axis = 'both') {
+      if (!items.length) return null;
+      const back = { both: ['ArrowLeft', 'ArrowUp'], horizontal: ['ArrowLeft'], vertical: ['ArrowUp'] }[axis];
+      const forward = { both: ['ArrowRight', 'ArrowDown'], horizontal: ['ArrowRight'], vertical: ['ArrowDown'] }[axis];
+      if (key === 'Home') return items[0];
+      if (key === 'End') return items[items.length - 1];
+      if (back.includes(key)) return items[(index - 1 + items.length) % items.length];
+      if (forward.includes(key)) return items[(index + 1) % items.length];
+      return null;
     }
 
-    updateIconWidget(element, config) {
-      element.textContent = config.icon ?? config.text ?? '*';
-      element.style.color = config.color || '';
-      if (config.size !== undefined) {
-        element.style.setProperty('--icon-size', typeof config.size === 'number' ? `${config.size}px` : config.size);
-      } else {
-        element.style.removeProperty('--icon-size');
+    onWidgetKeydown(widgetId, widget, event) {
+      if (event.defaultPrevented) return;
+      if (this.onWidgetControlKeydown(widgetId, widget, event)) {
+        event.preventDefault();
+        return;
       }
-      element.title = config.tooltip ?? config.title ?? '';
-    }
+      if (event.altKey || event.ctrlKey || event.metaKey) return;
 
-    updateCounterWidget(element, config) {
-      const valueEl = element.querySelector('.bd-widget-counter-value');
+      if (event.target !== widget) {
+        // Escape from a control steps back out to the widget itself.
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          widget.focus();
+        }
+        return;
+      }
 
-      let iconEl = element.querySelector('.bd-widget-counter-icon');
-      if (config.icon) {
-        if (iconEl) {
-          iconEl.textContent = config.icon;
-        } else {
-          iconEl = document.createElement('span');
-          iconEl.className = 'bd-widget-counter-icon';
-          iconEl.textContent = config.icon;
-          element.insertBefore(iconEl, element.firstChild);
+      if (event.key === 'Enter' || event.key === ' ') {
+        const control = Array.from(widget.querySelectorAll(FOCUSABLE_SELECTOR))
+          .find(el => !el.disabled && !el.closest('[hidden]') && Number(el.dataset.widgetLocalTabindex ?? 0) >= 0);
+        if (control) {
+          event.preventDefault();
+          control.focus();
         }
-      } else if (iconEl) {
-        iconEl.remove();
+        return;
+      }
+      if (event.key === 'Escape') {
+        if (this.returnFocus()) event.preventDefault();
+        return;
       }
 
-      if (valueEl) this._tweenTextValue(valueEl, config.value ?? 0);
-      if (valueEl) valueEl.style.color = config.color || '';
-      this.applyCounterDelta(element, config.delta);
+      const widgets = this.focusableWidgets();
+      const next = this._arrowTarget(widgets, widgets.indexOf(widget), event.key);
+      if (!next) return;
+      event.preventDefault();
+      this.focusWidgetElement(next);
     }
 
-    updateInteractiveWidget(element, widgetId, config, existingConfig) {
-      element.title = config.tooltip ?? config.title ?? '';
-      element.className = `bd-widget bd-widget-${config.type} bd-widget-interactive`;
-      this.replaceStyles(element, existingConfig?.style, config.style);
-
-      switch (config.type) {
-        case 'button':
-          this.updateButtonWidget(element, widgetId, config);
-          break;
-        case 'toggle':
-          this.updateToggleWidget(element, widgetId, config);
-          break;
-        case 'select':
-          this.updateSelectControl(element, widgetId, config, existingConfig);
-          break;
-        case 'slider':
-          this.updateSliderControl(element, widgetId, config);
-          break;
-        case 'input':
-          this.updateInputControl(element, widgetId, config);
-          break;
-        case 'textarea':
-          this.updateTextareaControl(element, widgetId, config);
-          break;
+    // Keys the interactive types handle themselves. Returns true when the
+    // key was used.
+    onWidgetControlKeydown(widgetId, widget, event) {
+      switch (this.registeredWidgets.get(widgetId)?.config.type) {
+        case 'tabs':
+          return this._onTabsKeydown(widget, event);
+        case 'dropdown':
+          return this._onDropdownKeydown(widget, widgetId, event);
+        case 'chipselect':
+          return this._onChipselectKeydown(widget, event);
+        case 'sortable':
+          return this._onSortableKeydown(widget, widgetId, event);
         default:
-          return;
+          return false;
       }
+    }
 
-      this.setInteractiveDisabled(element, config);
+    // Selection follows focus, as with a click.
+    _onTabsKeydown(widget, event) {
+      const tab = event.target.closest?.('.bd-widget-tab-btn');
+      if (!tab || event.altKey || event.ctrlKey || event.metaKey) return false;
+      const tabs = Array.from(widget.querySelectorAll('.bd-widget-tab-btn'));
+      const next = this._arrowTarget(tabs, tabs.indexOf(tab), event.key, 'horizontal');
+      if (!next) return false;
+      next.focus();
+      if (next !== tab) next.click();
+      return true;
     }
 
-    replaceInteractiveContent(element, widgetId, config) {
-      let replacementContent;
-      switch (config.type) {
-        case 'button':
-          replacementContent = this.createButtonWidget(widgetId, config);
-          break;
-        case 'toggle':
-          replacementContent = this.createToggleWidget(widgetId, config);
-          break;
-        case 'select':
-          replacementContent = this.createSelectWidget(widgetId, config);
-          break;
-        case 'slider':
-          replacementContent = this.createSliderWidget(widgetId, config);
-          break;
-        case 'input':
-          replacementContent = this.createInputWidget(widgetId, config);
-          break;
-        case 'textarea':
-          replacementContent = this.createTextareaWidget(widgetId, config);
-          break;
-        default:
-          return false;
+    _onDropdownKeydown(widget, widgetId, event) {
+      if (event.altKey || event.ctrlKey || event.metaKey) return false;
+      if (this.registeredWidgets.get(widgetId)?.config.disabled) return false;
+      const trigger = widget.querySelector('.bd-widget-dropdown-trigger');
+      const items = Array.from(widget.querySelectorAll('.bd-widget-dropdown-item')).filter(item => !item.disabled);
+
+      if (event.target === trigger) {
+        if (event.key === 'Escape' && widget.dataset.open === 'true') {
+          this.setDropdownOpen(widget, false);
+          return true;
+        }
+        if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return false;
+        document.querySelectorAll('.bd-widget-dropdown').forEach(d => this.setDropdownOpen(d, d === widget));
+        items[event.key === 'ArrowUp' ? items.length - 1 : 0]?.focus();
+        return true;
       }
 
-      element.innerHTML = '';
-      while (replacementContent.firstChild) {
-        element.appendChild(replacementContent.firstChild);
+      const item = event.target.closest?.('.bd-widget-dropdown-item');
+      if (!item) return false;
+      if (event.key === 'Escape') {
+        this.setDropdownOpen(widget, false);
+        trigger?.focus();
+        return true;
       }
-      element.className = replacementContent.className;
-      element.dataset.color = replacementContent.dataset.color || '';
-      if (!replacementContent.dataset.color) delete element.dataset.color;
+      if (event.key === 'Tab') {
+        this.setDropdownOpen(widget, false);
+        return false;
+      }
+      const next = this._arrowTarget(items, items.indexOf(item), event.key, 'vertical');
+      if (!next) return false;
+      next.focus();
       return true;
     }
 
-    updateControlLabel(element, config, fallback) {
-      const label = element.querySelector('.bd-widget-control-label');
-      if (label) label.textContent = config.label ?? fallback;
+    _onChipselectKeydown(widget, event) {
+      const chip = event.target.closest?.('.bd-widget-chip');
+      if (!chip || event.altKey || event.ctrlKey || event.metaKey) return false;
+      const chips = Array.from(widget.querySelectorAll('.bd-widget-chip'));
+      const next = this._arrowTarget(chips, chips.indexOf(chip), event.key);
+      if (!next) return false;
+      this.setRovingItems(chips, next);
+      next.focus();
+      return true;
     }
 
-    updateButtonWidget(element, widgetId, config) {
-      const button = element.querySelector('.bd-widget-button-control');
-      if (!button) {
-        this.replaceInteractiveContent(element, widgetId, config);
-        return;
+    // Up/Down move between rows. Alt+Up/Down moves the focused row at once;
+    // Space or Enter picks it up so the arrows carry it, and a second Space
+    // or Enter drops it (Escape puts everything back).
+    _onSortableKeydown(widget, widgetId, event) {
+      const row = event.target;
+      if (!row.classList?.contains('bd-widget-sortable-item')) return false;
+      const config = this.registeredWidgets.get(widgetId)?.config;
+      const rows = Array.from(widget.querySelectorAll('.bd-widget-sortable-item'));
+      const dir = event.key === 'ArrowUp' ? -1 : event.key === 'ArrowDown' ? 1 : 0;
+      const isDrop = event.key === ' ' || event.key === 'Enter';
+
+      if (this.sortableGrabs.has(widgetId)) {
+        if (dir) {
+          if (this._shiftSortableRow(widget, row, dir)) {
+            row.focus();
+            this.announce(this._sortablePosition(widget, row));
+          }
+          return true;
+        }
+        if (isDrop || event.key === 'Escape' || event.key === 'Tab') {
+          this._dropSortableRow(widget, widgetId, row, isDrop);
+          return event.key !== 'Tab';
+        }
+        return false;
       }
 
-      if (config.variant) button.dataset.variant = config.variant;
-      else delete button.dataset.variant;
-
-      let icon = button.querySelector('.bd-widget-control-icon');
-      if (config.icon) {
-        if (!icon) {
-          icon = document.createElement('span');
-          icon.className = 'bd-widget-control-icon';
-          button.insertBefore(icon, button.firstChild);
+      if (event.ctrlKey || event.metaKey) return false;
+      const canMove = !!config && !config.disabled;
+      if (dir && event.altKey) {
+        if (canMove && this._shiftSortableRow(widget, row, dir)) {
+          row.focus();
+          this._emitSortableOrder(widget, widgetId, config);
+          this.announce(this._sortablePosition(widget, row));
         }
-        icon.textContent = config.icon;
-      } else if (icon) {
-        icon.remove();
+        return true;
       }
-
-      let text = button.querySelector('.bd-widget-button-text');
-      if (!text) {
-        text = document.createElement('span');
-        text.className = 'bd-widget-button-text';
-        button.appendChild(text);
+      if (event.altKey) return false;
+      if (isDrop && canMove) {
+        this.sortableGrabs.set(widgetId, { id: row.dataset.id, order: rows.map(r => r.dataset.id) });
+        row.dataset.grabbed = 'true';
+        row.setAttribute('aria-pressed', 'true');
+        this.announce(`${this._sortableLabel(row)} grabbed. Use the arrow keys to move it, Space to drop it, Escape to cancel.`);
+        return true;
       }
-      text.textContent = config.text ?? config.label ?? 'Button';
+      const next = this._arrowTarget(rows, rows.indexOf(row), event.key, 'vertical');
+      if (!next) return false;
+      this.setRovingItems(rows, next);
+      next.focus();
+      return true;
     }
 
-    updateToggleWidget(element, widgetId, config) {
-      const input = element.querySelector('.bd-widget-toggle-control input');
-      if (!input) {
-        this.replaceInteractiveContent(element, widgetId, config);
+    _dropSortableRow(widget, widgetId, row, commit) {
+      const grab = this.sortableGrabs.get(widgetId);
+      this.sortableGrabs.delete(widgetId);
+      delete row.dataset.grabbed;
+      row.removeAttribute('aria-pressed');
+      if (!grab) return;
+
+      const rows = Array.from(widget.querySelectorAll('.bd-widget-sortable-item'));
+      if (!commit) {
+        for (const id of grab.order) {
+          const match = rows.find(r => r.dataset.id === id);
+          if (match) widget.appendChild(match);
+        }
+        this.syncSortableState(widget);
+        row.focus();
+        this.announce(`Reorder cancelled. ${this._sortablePosition(widget, row)}`);
         return;
       }
-      input.checked = !!config.value;
-      this.updateControlLabel(element, config, 'Toggle');
+
+      this.announce(`${this._sortableLabel(row)} dropped. ${this._sortablePosition(widget, row)}`);
+      if (!valuesEqual(rows.map(r => r.dataset.id), grab.order)) this._emitSortableOrder(widget, widgetId);
     }
 
-    updateSelectControl(element, widgetId, config, existingConfig) {
-      const select = element.querySelector('.bd-widget-select-control');
-      if (!select) {
-        this.replaceInteractiveContent(element, widgetId, config);
-        return;
-      }
+    _sortableLabel(row) {
+      return row.querySelector('.bd-widget-sortable-text')?.textContent?.trim() || 'Item';
+    }
 
-      this.updateControlLabel(element, config, 'Select');
-      const optionsChanged = JSON.stringify(config.options || []) !== JSON.stringify(existingConfig?.options || []);
-      if (optionsChanged) {
-        select.innerHTML = '';
-        this.populateSelectOptions(select, config.options, config.value);
+    _sortablePosition(widget, row) {
+      const rows = Array.from(widget.querySelectorAll('.bd-widget-sortable-item'));
+      return `${this._sortableLabel(row)}, position ${rows.indexOf(row) + 1} of ${rows.length}`;
+    }
+
+    // Most updates rebuild a widget's contents. If a control inside had
+    // focus, put focus back on its replacement (matched by first class and
+    // data key) or, failing that, on the widget itself.
+    captureWidgetFocus(element) {
+      const active = document.activeElement;
+      if (!active || active === element || !element.contains(active)) return null;
+      return { control: active, className: active.classList[0], key: this._focusKey(active) };
+    }
+
+    _focusKey(control) {
+      return control.dataset.id ?? control.dataset.tab ?? control.dataset.value ?? null;
+    }
+
+    restoreWidgetFocus(element, focused) {
+      if (!focused || element.contains(focused.control)) return;
+      const replacement = focused.className
+        ? Array.from(element.querySelectorAll(`.${focused.className}`)).find(el => this._focusKey(el) === focused.key)
+        : null;
+      if (replacement) {
+        if (replacement.dataset.widgetLocalTabindex !== undefined) {
+          const siblings = Array.from(element.querySelectorAll(`.${focused.className}`));
+          if (siblings.length > 1) this.setRovingItems(siblings, replacement);
+        }
+        replacement.focus();
       } else {
-        select.value = this.optionDomValue(config.value);
+        element.focus();
       }
     }
 
-    updateSliderControl(element, widgetId, config) {
-      const range = element.querySelector('.bd-widget-slider-control');
-      const valueText = element.querySelector('.bd-widget-slider-value');
-      if (!range || !valueText) {
-        this.replaceInteractiveContent(element, widgetId, config);
-        return;
+    // "HP: 80 (was 87)" for display widgets whose value changed. Widgets
+    // with `announce: false` stay quiet.
+    valueAnnouncement(previous, config) {
+      // A bound value moves on its own every tick; reading it out would never stop.
+      if (!ANNOUNCED_TYPES.has(config.type) || config.announce === false || config.bind) return null;
+      const before = this._spokenValue(previous);
+      const after = this._spokenValue(config);
+      if (before === after) return null;
+      return `${this._widgetLabel(config)}: ${after} (was ${before})`;
+    }
+
+    _spokenValue(config) {
+      switch (config.type) {
+        case 'bar':
+          return `${config.value ?? 0} of ${config.max ?? 100}`;
+        case 'progress': {
+          const pct = Math.min(100, Math.max(0, ((config.value ?? 0) / (config.max ?? 100)) * 100));
+          return `${Math.round(pct)}%`;
+        }
+        default:
+          return String(config.value ?? 0);
       }
+    }
 
-      const min = config.min ?? 0;
-      const max = config.max ?? 100;
-      const step = config.step ?? 1;
-      const value = config.value ?? min;
-      this.updateControlLabel(element, config, 'Slider');
-      range.min = String(min);
-      range.max = String(max);
-      range.step = String(step);
-      range.value = String(value);
-      valueText.textContent = config.showValue === false ? '' : String(value);
+    ensureLiveRegion() {
+      if (this.liveRegion?.isConnected) return this.liveRegion;
+      const region = document.createElement('div');
+      region.className = 'bd-widget-live-region';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      region.setAttribute('aria-atomic', 'true');
+      document.body.appendChild(region);
+      this.liveRegion = region;
+      return region;
     }
 
-    updateInputControl(element, widgetId, config) {
-      const input = element.querySelector('.bd-widget-input-control');
-      if (!input) {
-        this.replaceInteractiveContent(element, widgetId, config);
-        return;
-      }
+    announce(message) {
+      if (!message) return;
+      const region = this.ensureLiveRegion();
+      // Screen readers skip a message identical to the last one, so nudge it.
+      region.textContent = region.textContent === message ? `${message} ` : message;
+    }
 
-      this.updateControlLabel(element, config, 'Input');
-      input.type = config.inputType || 'text';
-      input.placeholder = config.placeholder || '';
-      input.maxLength = config.maxLength || validators().MAX_INPUT_LENGTH || 240;
-      const nextValue = String(config.value ?? '');
-      if (document.activeElement !== input && input.value !== nextValue) {
-        input.value = nextValue;
-      }
+    // One announcement per render, however many values changed.
+    flushAnnouncements() {
+      if (!this.pendingAnnouncements.length) return;
+      this.announce(this.pendingAnnouncements.splice(0).join('. '));
     }
 
-    updateTextareaControl(element, widgetId, config) {
-      const textarea = element.querySelector('.bd-widget-textarea-control');
-      if (!textarea) {
-        this.replaceInteractiveContent(element, widgetId, config);
-        return;
-      }
+    isInHud(node) {
+      if (!node) return false;
+      if (this.widgetWrapper?.contains(node)) return true;
+      return Object.values(this.regionPanels).some(panel => panel.root.contains(node));
+    }
 
-      this.updateControlLabel(element, config, 'Text');
-      textarea.placeholder = config.placeholder || '';
-      textarea.rows = config.rows || 2;
-      textarea.maxLength = config.maxLength || validators().MAX_TEXTAREA_LENGTH || 1200;
-      const nextValue = String(config.value ?? '');
-      if (document.activeElement !== textarea && textarea.value !== nextValue) {
-        textarea.value = nextValue;
-      }
+    onHudHotkey(event) {
+      if (event.code !== HUD_HOTKEY.code || !event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey) return;
+      event.preventDefault();
+      event.stopPropagation();
+      if (this.isInHud(document.activeElement)) this.returnFocus();
+      else this.focusHud();
     }
 
-    normalizeSelectOption(option) {
-      if (typeof option === 'string' || typeof option === 'number' || typeof option === 'boolean') {
-        return { label: String(option), value: option, disabled: false };
+    // Focuses the current widget, remembering where focus came from. With
+    // every widget hidden it lands on the control that shows them.
+    focusHud() {
+      const widgets = this.focusableWidgets();
+      let target = widgets.find(el => el.dataset.widgetId === this.focusWidgetId) || widgets[0];
+      if (!target) {
+        target = this.isMinimized
+          ? this.minimizeButton
+          : Object.values(this.regionPanels).find(panel => !panel.root.hidden)?.collapse;
       }
-      return {
-        label: String(option?.label ?? option?.value ?? ''),
-        value: option?.value,
-        disabled: !!option?.disabled,
-      };
+      if (!target) return false;
+
+      const active = document.activeElement;
+      if (active && active !== document.body && !this.isInHud(active)) this.focusReturnTarget = active;
+      if (target.dataset.widgetId) this.focusWidgetElement(target);
+      else target.focus();
+      return true;
     }
 
-    optionDomValue(value) {
-      return `${typeof value}:${String(value)}`;
+    returnFocus() {
+      const target = this.focusReturnTarget;
+      this.focusReturnTarget = null;
+      if (!target?.isConnected) return false;
+      target.focus();
+      return true;
     }
 
-    populateSelectOptions(select, options, selectedValue) {
-      const normalized = Array.isArray(options) ? options.map(option => this.normalizeSelectOption(option)) : [];
-      for (const option of normalized) {
-        const optionEl = document.createElement('option');
-        optionEl.textContent = option.label;
-        optionEl.value = this.optionDomValue(option.value);
-        optionEl.dataset.type = typeof option.value;
-        optionEl.dataset.value = String(option.value);
-        optionEl.disabled = option.disabled;
-        optionEl.selected = option.value === selectedValue;
-        select.appendChild(optionEl);
+    // ---------------------------------------------------------------
+    // COMPUTED BINDINGS
+    // ---------------------------------------------------------------
+    //
+    // A widget's `bind` is an arithmetic expression over `now`, `liveCount`
+    // and its own `vars`, compiled by validators.compileBindingExpression and
+    // evaluated here, so countdowns and refilling bars keep moving between
+    // turns. The result replaces the published value on screen only; state,
+    // interactions and announcements still see the script's value. A result
+    // that is not a finite number leaves the published value showing.
+
+    setLiveCount(liveCount) {
+      const n = Number(liveCount);
+      this.liveCount = liveCount !== null && liveCount !== undefined && Number.isFinite(n) ? n : null;
+    }
+
+    // Runs after every setWidgets, whose update path has just redrawn each
+    // widget with its published value.
+    syncBindings() {
+      for (const [widgetId, data] of this.registeredWidgets) {
+        const bind = data.config.bind;
+        if (!bind || data.element.classList.contains('bd-widget-exiting')) {
+          this.bindings.delete(widgetId);
+          continue;
+        }
+        let binding = this.bindings.get(widgetId);
+        if (!binding || !valuesEqual(binding.bind, bind)) {
+          const compiled = validators().compileBindingExpression(bind.expr);
+          if (!compiled.ok) {
+            this.bindings.delete(widgetId);
+            continue;
+          }
+          binding = { bind: cloneForCompare(bind), ast: compiled.ast, usesNow: compiled.names.includes('now'), output: null };
+          this.bindings.set(widgetId, binding);
+        }
+        binding.output = null;
+        this.renderBinding(widgetId, binding);
+      }
+      for (const widgetId of [...this.bindings.keys()]) {
+        if (!this.registeredWidgets.has(widgetId)) this.bindings.delete(widgetId);
       }
+      this.updateBindingTimer();
     }
 
-    readSelectValue(select) {
-      const option = select.selectedOptions?.[0];
-      if (!option && select?.dataset?.type) {
-        const type = select.dataset.type;
-        const raw = select.dataset.value;
-        if (type === 'number') return Number(raw);
-        if (type === 'boolean') return raw === 'true';
-        return raw;
+    updateBindingTimer() {
+      const ticking = [...this.bindings.values()].some(binding => binding.usesNow);
+      if (ticking && !this.bindingTimer) {
+        this.bindingTimer = setInterval(() => this.tickBindings(), BINDING_TICK_MS);
+      } else if (!ticking && this.bindingTimer) {
+        clearInterval(this.bindingTimer);
+        this.bindingTimer = null;
       }
-      if (!option) return select.value;
-      const type = option.dataset.type;
-      const raw = option.dataset.value;
-      if (type === 'number') return Number(raw);
-      if (type === 'boolean') return raw === 'true';
-      return raw;
     }
 
-    populatePanelContent(content, config) {
-      if (config.items && Array.isArray(config.items)) {
-        config.items.forEach(item => {
-          const itemEl = document.createElement('div');
-          itemEl.className = 'bd-widget-panel-item';
+    tickBindings() {
+      if (document.hidden) return;
+      for (const [widgetId, binding] of this.bindings) {
+        if (binding.usesNow) this.renderBinding(widgetId, binding);
+      }
+    }
 
-          if (item.label) {
-            const itemLabel = document.createElement('span');
-            itemLabel.className = 'bd-widget-panel-item-label';
-            itemLabel.textContent = item.label;
-            itemEl.appendChild(itemLabel);
-          }
-
-          if (item.value !== undefined) {
-            const itemValue = document.createElement('span');
-            itemValue.className = 'bd-widget-panel-item-value';
-            itemValue.textContent = item.value;
-            if (item.color) itemValue.style.color = item.color;
-            itemEl.appendChild(itemValue);
-          }
-
-          content.appendChild(itemEl);
-        });
-      } else if (config.content !== undefined) {
-        content.textContent = config.content;
-      }
+    evaluateBinding(binding, config) {
+      const scope = {
+        ...(config.bind.vars || {}),
+        now: Date.now(),
+        liveCount: this.liveCount ?? NaN,
+      };
+      const value = validators().evaluateBindingExpression(binding.ast, scope);
+      return Number.isFinite(value) ? value : null;
     }
 
-    populateListItems(list, items) {
-      if (!Array.isArray(items)) return;
-
-      items.forEach(item => {
-        const li = document.createElement('li');
-        li.className = 'bd-widget-list-item';
+    renderBinding(widgetId, binding) {
+      const data = this.registeredWidgets.get(widgetId);
+      if (!data?.element) return;
+      const { element, config } = data;
+      const value = this.evaluateBinding(binding, config);
+      if (value === null) return;
 
-        if (typeof item === 'string') {
-          li.textContent = item;
-        } else if (item && typeof item === 'object') {
-          if (item.icon) {
-            const icon = document.createElement('span');
-            icon.className = 'bd-widget-list-item-icon';
-            icon.textContent = item.icon;
-            li.appendChild(icon);
-          }
-          const text = document.createElement('span');
-          text.textContent = item.text ?? item.label ?? '';
-          if (item.color) text.style.color = item.color;
-          li.appendChild(text);
+      if (config.type === 'bar' || config.type === 'progress') {
+        const max = config.max ?? 100;
+        const pct = Math.min(100, Math.max(0, (value / max) * 100));
+        const output = `${pct.toFixed(2)}:${Math.round(value)}`;
+        if (output === binding.output) return;
+        binding.output = output;
+        const fill = element.querySelector(config.type === 'bar' ? '.bd-widget-bar-fill' : '.bd-widget-progress-fill');
+        if (fill) {
+          if (fill._tweenId_width) cancelAnimationFrame(fill._tweenId_width);
+          fill._tweenId_width = null;
+          fill.style.width = `${this._formatNumber(pct, 2)}%`;
         }
-
-        list.appendChild(li);
-      });
-    }
-
-    applyCounterDelta(element, deltaValue) {
-      let deltaEl = element.querySelector('.bd-widget-counter-delta');
-      if (deltaValue === undefined) {
-        if (deltaEl) deltaEl.remove();
-        return;
-      }
-
-      if (deltaEl) {
-        if (deltaValue === 0) {
-          deltaEl.remove();
+        if (config.type === 'bar') {
+          const text = config.showValue !== false ? `${Math.round(value)}/${max}` : '';
+          this._setBoundText(element.querySelector('.bd-widget-bar-text'), text);
         } else {
-          const sign = deltaValue > 0 ? '+' : '';
-          deltaEl.textContent = sign + deltaValue;
-          deltaEl.dataset.positive = deltaValue > 0 ? 'true' : 'false';
+          this._setBoundText(element.querySelector('.bd-widget-progress-value'), `${Math.round(pct)}%`);
         }
-      } else if (deltaValue !== 0) {
-        deltaEl = document.createElement('span');
-        deltaEl.className = 'bd-widget-counter-delta';
-        const sign = deltaValue > 0 ? '+' : '';
-        deltaEl.textContent = sign + deltaValue;
-        deltaEl.dataset.positive = deltaValue > 0 ? 'true' : 'false';
-        element.appendChild(deltaEl);
-      }
-    }
-
-    applyPresetOrInlineColor(widget, target, color, property, resetInline = false) {
-      if (color === undefined || color === null || color === '') {
-        delete widget.dataset.color;
-        target.style[property] = '';
         return;
       }
 
-      const colorLower = String(color).toLowerCase();
-      if (validators().PRESET_COLORS.has(colorLower)) {
-        widget.dataset.color = colorLower;
-        if (resetInline) target.style[property] = '';
-      } else {
-        delete widget.dataset.color;
-        target.style[property] = color;
+      const output = this.formatBindingValue(value, config.bind);
+      if (output === binding.output) return;
+      binding.output = output;
+      switch (config.type) {
+        case 'stat':
+          this._setBoundText(element.querySelector('.bd-widget-value'), output);
+          break;
+        case 'counter':
+          this._setBoundText(element.querySelector('.bd-widget-counter-value'), output);
+          break;
+        case 'badge':
+          this._setBoundText(element.querySelector('.bd-widget-badge-text'), output);
+          break;
+        case 'text':
+          element.textContent = output;
+          break;
       }
     }
 
-    applyStyles(element, style) {
-      if (!style) return;
-      Object.assign(element.style, validators().sanitizeStyleObject(style));
-    }
-
-    replaceStyles(element, previousStyle, nextStyle) {
-      const previous = validators().sanitizeStyleObject(previousStyle);
-      const next = validators().sanitizeStyleObject(nextStyle);
-
-      for (const property of Object.keys(previous)) {
-        if (!(property in next)) {
-          element.style[property] = '';
-        }
-      }
-
-      Object.assign(element.style, next);
+    _setBoundText(element, text) {
+      if (!element) return;
+      if (element._tweenId) cancelAnimationFrame(element._tweenId);
+      element._tweenId = null;
+      element.textContent = text;
     }
 
-    destroyWidget(widgetId) {
-      const widgetData = this.registeredWidgets.get(widgetId);
-      if (!widgetData) return;
-
-      const el = widgetData.element;
-      if (el.classList.contains('bd-widget-entering')) {
-        el.classList.remove('bd-widget-entering');
+    formatBindingValue(value, bind) {
+      if (typeof bind.done === 'string' && value <= 0) return bind.done;
+      switch (bind.format) {
+        case 'duration': return this._formatDuration(value);
+        case 'turns': return this._formatTurnsAgo(value);
+        default: return this._formatNumber(value, bind.decimals ?? 0);
       }
-      el.classList.add('bd-widget-exiting');
-
-      const onExitEnd = () => {
-        el.removeEventListener('animationend', onExitEnd);
-        if (!el.parentNode) return;
-        this.registeredWidgets.delete(widgetId);
-        this.pendingInteractionValues.delete(widgetId);
-        this.ackedInteractionValues.delete(widgetId);
-        el.remove();
-        this.emitWidget('destroyed', widgetId);
-        this.syncWrapperState();
-        if (this.registeredWidgets.size === 0) this.removeWidgetContainer();
-        else this.recalculateWidgetDensity();
-      };
-      el.addEventListener('animationend', onExitEnd);
-      // Safety: force removal if animation doesn't fire (e.g. display:none)
-      setTimeout(onExitEnd, 300);
     }
 
-    clearAllWidgets() {
-      this.registeredWidgets.forEach((data) => {
-        const el = data.element;
-        el.classList.remove('bd-widget-entering');
-        el.classList.add('bd-widget-exiting');
-      });
-      setTimeout(() => {
-        this.registeredWidgets.forEach((data) => {
-          data.element.remove();
-        });
-        this.registeredWidgets.clear();
-        this.pendingInteractionValues.clear();
-        this.ackedInteractionValues.clear();
-        this._warnedMessages.clear();
-        this.removeWidgetContainer();
-        this.log('All widgets cleared');
-      }, 240);
+    // Seconds as m:ss, or h:mm:ss from an hour up. Rounded up, so a
+    // countdown reads 0:00 only once it has run out.
+    _formatDuration(seconds) {
+      const total = Math.max(0, Math.ceil(seconds));
+      const h = Math.floor(total / 3600);
+      const m = Math.floor((total % 3600) / 60);
+      const ss = String(total % 60).padStart(2, '0');
+      return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
     }
 
-    destroy() {
-      this.clearAllWidgets();
+    _formatTurnsAgo(turns) {
+      const n = Math.round(turns);
+      if (n === 0) return 'this turn';
+      if (n === 1) return '1 turn ago';
+      if (n === -1) return 'in 1 turn';
+      return n > 0 ? `${n} turns ago` : `in ${-n} turns`;
     }
 
     // ---------------------------------------------------------------
-    // NEW DISPLAY WIDGETS
+    // VALUE TRANSITIONS
     // ---------------------------------------------------------------
 
-    createProgressWidget(widgetId, config) {
-      const widget = this.createBaseWidget(widgetId, 'bd-widget-progress', config);
-
-      const label = document.createElement('span');
-      label.className = 'bd-widget-label';
-      label.textContent = config.label || 'Progress';
-
-      const track = document.createElement('div');
-      track.className = 'bd-widget-progress-track';
-
-      const fill = document.createElement('div');
-      fill.className = 'bd-widget-progress-fill';
-      const max = config.max ?? 100;
-      const pct = Math.min(100, Math.max(0, ((config.value ?? 0) / max) * 100));
-      fill.style.width = `${pct}%`;
-      this.applyPresetOrInlineColor(widget, fill, config.color, 'background');
+    // Value tweens snap straight to their target when the player has asked
+    // for reduced motion; styles.css does the same for CSS transitions.
+    prefersReducedMotion() {
+      return typeof window.matchMedia === 'function' && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+    }
 
-      const valueText = document.createElement('span');
-      valueText.className = 'bd-widget-progress-value';
-      valueText.textContent = `${Math.round(pct)}%`;
+    _parseNumber(str) {
+      if (typeof str === 'number') return str;
+      if (typeof str !== 'string') return NaN;
+      const cleaned = str.replace(/,/g, '').match(/^-?\d+(?:\.\d+)?/);
+      return cleaned ? Number(cleaned[0]) : NaN;
+    }
 
-      track.appendChild(fill);
-      widget.appendChild(label);
-      widget.appendChild(track);
-      widget.appendChild(valueText);
-      return widget;
+    _formatNumber(value, decimals = 0) {
+      const rounded = decimals > 0 ? Math.round(value * (10 ** decimals)) / (10 ** decimals) : Math.round(value);
+      return String(rounded).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
     }
 
-    updateProgressWidget(element, config) {
-      const labelEl = element.querySelector('.bd-widget-label');
-      const fill = element.querySelector('.bd-widget-progress-fill');
-      const valueText = element.querySelector('.bd-widget-progress-value');
-      if (labelEl) labelEl.textContent = config.label || 'Progress';
-      if (fill) {
-        const max = config.max ?? 100;
-        const pct = Math.min(100, Math.max(0, ((config.value ?? 0) / max) * 100));
-        this._tweenStyleProperty(fill, 'width', pct, 280, '%');
-        if (valueText) this._tweenTextValue(valueText, Math.round(pct), 280, v => `${Math.round(v)}%`);
-        this.applyPresetOrInlineColor(element, fill, config.color, 'background', true);
+    _tweenTextValue(element, targetValue, duration = 280, formatter = null) {
+      if (!element) return;
+      const target = this._parseNumber(targetValue);
+      if (!Number.isFinite(target)) {
+        element.textContent = String(targetValue ?? '');
+        return;
+      }
+      const current = this._parseNumber(element.textContent);
+      if (!Number.isFinite(current) || current === target || this.prefersReducedMotion()) {
+        if (element._tweenId) cancelAnimationFrame(element._tweenId);
+        element._tweenId = null;
+        element.textContent = formatter ? formatter(target) : this._formatNumber(target);
+        return;
       }
+      if (element._tweenId) cancelAnimationFrame(element._tweenId);
+      const start = performance.now();
+      const delta = target - current;
+      const step = (now) => {
+        const t = Math.min(1, (now - start) / duration);
+        const eased = 1 - (1 - t) * (1 - t); // ease-out quad
+        const val = current + delta * eased;
+        element.textContent = formatter ? formatter(val) : this._formatNumber(val);
+        if (t < 1) element._tweenId = requestAnimationFrame(step);
+        else element._tweenId = null;
+      };
+      element._tweenId = requestAnimationFrame(step);
     }
 
-    createTaggroupWidget(widgetId, config) {
-      const widget = this.createBaseWidget(widgetId, 'bd-widget-taggroup', config);
-      if (config.label) {
-        const label = document.createElement('span');
-        label.className = 'bd-widget-label';
-        label.textContent = config.label;
-        widget.appendChild(label);
+    _tweenStyleProperty(element, property, targetValue, duration = 280, unit = '') {
+      if (!element) return;
+      const target = this._parseNumber(targetValue);
+      if (!Number.isFinite(target)) {
+        element.style[property] = String(targetValue ?? '');
+        return;
       }
-      const group = document.createElement('div');
-      group.className = 'bd-widget-taggroup-tags';
-      this._populateTags(group, config.items);
-      widget.appendChild(group);
-      return widget;
+      const currentRaw = getComputedStyle(element)[property];
+      const current = this._parseNumber(currentRaw);
+      const tweenKey = '_tweenId_' + property;
+      if (!Number.isFinite(current) || current === target || this.prefersReducedMotion()) {
+        if (element[tweenKey]) cancelAnimationFrame(element[tweenKey]);
+        element[tweenKey] = null;
+        element.style[property] = this._formatNumber(target) + unit;
+        return;
+      }
+      if (element[tweenKey]) cancelAnimationFrame(element[tweenKey]);
+      const start = performance.now();
+      const delta = target - current;
+      const step = (now) => {
+        const t = Math.min(1, (now - start) / duration);
+        const eased = 1 - (1 - t) * (1 - t); // ease-out quad
+        const val = current + delta * eased;
+        element.style[property] = this._formatNumber(val) + unit;
+        if (t < 1) element[tweenKey] = requestAnimationFrame(step);
+        else element[tweenKey] = null;
+      };
+      element[tweenKey] = requestAnimationFrame(step);
     }
 
-    updateTaggroupWidget(element, config) {
+    updateStatWidget(element, config) {
       const labelEl = element.querySelector('.bd-widget-label');
-      if (config.label) {
-        if (labelEl) labelEl.textContent = config.label;
-        else {
-          const l = document.createElement('span');
-          l.className = 'bd-widget-label';
-          l.textContent = config.label;
-          element.insertBefore(l, element.firstChild);
+      const valueEl = element.querySelector('.bd-widget-value');
+      if (labelEl) labelEl.textContent = config.label ?? 'Stat';
+      if (valueEl) this._tweenTextValue(valueEl, config.value ?? 0);
+      if (valueEl) this.applyPresetOrInlineColor(element, valueEl, config.color, 'color', true);
+    }
+
+    updateBarWidget(element, config) {
+      const labelEl = element.querySelector('.bd-widget-label');
+      const barFill = element.querySelector('.bd-widget-bar-fill');
+      const barText = element.querySelector('.bd-widget-bar-text');
+
+      if (labelEl) labelEl.textContent = config.label ?? 'Progress';
+      if (barFill) {
+        const value = config.value ?? 0;
+        const max = config.max ?? 100;
+        const percentage = Math.min(100, Math.max(0, (value / max) * 100));
+        this._tweenStyleProperty(barFill, 'width', percentage, 280, '%');
+      }
+      if (barText) {
+        const showValue = config.showValue !== false;
+        const max = config.max ?? 100;
+        if (showValue) {
+          this._tweenTextValue(barText, config.value ?? 0, 280, v => `${Math.round(v)}/${max}`);
+        } else {
+          barText.textContent = '';
         }
-      } else if (labelEl) {
-        labelEl.remove();
       }
-      const group = element.querySelector('.bd-widget-taggroup-tags');
-      if (group) {
-        group.innerHTML = '';
-        this._populateTags(group, config.items);
+      if (barFill) this.applyPresetOrInlineColor(element, barFill, config.color, 'background', true);
+    }
+
+    updatePanelWidget(element, config) {
+      const titleEl = element.querySelector('.bd-widget-panel-title');
+      if (titleEl) {
+        if (config.title) titleEl.textContent = config.title;
+        else titleEl.remove();
+      } else if (config.title) {
+        const newTitle = document.createElement('div');
+        newTitle.className = 'bd-widget-panel-title';
+        newTitle.textContent = config.title;
+        element.insertBefore(newTitle, element.firstChild);
+      }
+
+      const content = element.querySelector('.bd-widget-panel-content');
+      if (content) {
+        content.innerHTML = '';
+        this.populatePanelContent(content, config);
       }
     }
 
-    _populateTags(container, items) {
-      if (!Array.isArray(items)) return;
-      items.forEach(item => {
-        const tag = document.createElement('span');
-        tag.className = 'bd-widget-tag';
-        if (typeof item === 'string') {
-          tag.textContent = item;
-        } else if (item && typeof item === 'object') {
-          if (item.icon) {
-            const icon = document.createElement('span');
-            icon.className = 'bd-widget-tag-icon';
-            icon.textContent = item.icon;
-            tag.appendChild(icon);
-          }
-          tag.appendChild(document.createTextNode(item.label ?? item.text ?? ''));
-          if (item.color) tag.dataset.color = item.color;
+    updateBadgeWidget(element, config) {
+      const textEl = element.querySelector('.bd-widget-badge-text');
+      if (textEl) {
+        textEl.textContent = config.text ?? config.label ?? '';
+      }
+
+      let iconEl = element.querySelector('.bd-widget-badge-icon');
+      if (config.icon) {
+        if (iconEl) {
+          iconEl.textContent = config.icon;
+        } else {
+          iconEl = document.createElement('span');
+          iconEl.className = 'bd-widget-badge-icon';
+          iconEl.textContent = config.icon;
+          element.insertBefore(iconEl, element.firstChild);
         }
-        container.appendChild(tag);
-      });
+      } else if (iconEl) {
+        iconEl.remove();
+      }
+
+      if (config.color !== undefined) element.style.setProperty('--badge-color', config.color);
+      else element.style.removeProperty('--badge-color');
+      if (config.variant !== undefined) element.dataset.variant = config.variant;
+      else delete element.dataset.variant;
     }
 
-    createDividerWidget(widgetId, config) {
-      const widget = this.createBaseWidget(widgetId, 'bd-widget-divider', config);
-      widget.style.pointerEvents = 'none';
-      if (config.label) {
-        const wrap = document.createElement('div');
-        wrap.className = 'bd-widget-divider-labeled';
-        const text = document.createElement('span');
-        text.className = 'bd-widget-divider-text';
-        text.textContent = config.label;
-        wrap.appendChild(text);
-        widget.appendChild(wrap);
+    updateListWidget(element, config) {
+      const titleEl = element.querySelector('.bd-widget-list-title');
+      if (titleEl) {
+        if (config.title) titleEl.textContent = config.title;
+        else titleEl.remove();
+      } else if (config.title) {
+        const title = document.createElement('div');
+        title.className = 'bd-widget-list-title';
+        title.textContent = config.title;
+        element.insertBefore(title, element.firstChild);
+      }
+
+      const list = element.querySelector('.bd-widget-list-items');
+      if (list) {
+        list.innerHTML = '';
+        this.populateListItems(list, config.items);
+      }
+    }
+
+    updateIconWidget(element, config) {
+      element.textContent = config.icon ?? config.text ?? '*';
+      element.style.color = config.color || '';
+      if (config.size !== undefined) {
+        element.style.setProperty('--icon-size', typeof config.size === 'number' ? `${config.size}px` : config.size);
       } else {
-        const hr = document.createElement('hr');
-        hr.className = 'bd-widget-divider-line';
-        widget.appendChild(hr);
+        element.style.removeProperty('--icon-size');
       }
-      return widget;
+      element.title = config.tooltip ?? config.title ?? '';
     }
 
-    updateDividerWidget(element, config) {
+    updateCounterWidget(element, config) {
+      const valueEl = element.querySelector('.bd-widget-counter-value');
+
+      let iconEl = element.querySelector('.bd-widget-counter-icon');
+      if (config.icon) {
+        if (iconEl) {
+          iconEl.textContent = config.icon;
+        } else {
+          iconEl = document.createElement('span');
+          iconEl.className = 'bd-widget-counter-icon';
+          iconEl.textContent = config.icon;
+          element.insertBefore(iconEl, element.firstChild);
+        }
+      } else if (iconEl) {
+        iconEl.remove();
+      }
+
+      if (valueEl) this._tweenTextValue(valueEl, config.value ?? 0);
+      if (valueEl) valueEl.style.color = config.color || '';
+      this.applyCounterDelta(element, config.delta);
+    }
+
+    updateInteractiveWidget(element, widgetId, config, existingConfig) {
+      element.title = config.tooltip ?? config.title ?? '';
+      element.className = `bd-widget bd-widget-${config.type} bd-widget-interactive`;
+      this.replaceStyles(element, existingConfig?.style, config.style);
+
+      switch (config.type) {
+        case 'button':
+          this.updateButtonWidget(element, widgetId, config);
+          break;
+        case 'toggle':
+          this.updateToggleWidget(element, widgetId, config);
+          break;
+        case 'select':
+          this.updateSelectControl(element, widgetId, config, existingConfig);
+          break;
+        case 'slider':
+          this.updateSliderControl(element, widgetId, config);
+          break;
+        case 'input':
+          this.updateInputControl(element, widgetId, config);
+          break;
+        case 'textarea':
+          this.updateTextareaControl(element, widgetId, config);
+          break;
+        default:
+          return;
+      }
+
+      this.setInteractiveDisabled(element, config);
+    }
+
+    replaceInteractiveContent(element, widgetId, config) {
+      let replacementContent;
+      switch (config.type) {
+        case 'button':
+          replacementContent = this.createButtonWidget(widgetId, config);
+          break;
+        case 'toggle':
+          replacementContent = this.createToggleWidget(widgetId, config);
+          break;
+        case 'select':
+          replacementContent = this.createSelectWidget(widgetId, config);
+          break;
+        case 'slider':
+          replacementContent = this.createSliderWidget(widgetId, config);
+          break;
+        case 'input':
+          replacementContent = this.createInputWidget(widgetId, config);
+          break;
+        case 'textarea':
+          replacementContent = this.createTextareaWidget(widgetId, config);
+          break;
+        default:
+          return false;
+      }
+
       element.innerHTML = '';
-      if (config.label) {
-        const wrap = document.createElement('div');
-        wrap.className = 'bd-widget-divider-labeled';
-        const text = document.createElement('span');
-        text.className = 'bd-widget-divider-text';
-        text.textContent = config.label;
-        wrap.appendChild(text);
-        element.appendChild(wrap);
-      } else {
-        const hr = document.createElement('hr');
-        hr.className = 'bd-widget-divider-line';
-        element.appendChild(hr);
+      while (replacementContent.firstChild) {
+        element.appendChild(replacementContent.firstChild);
       }
+      element.className = replacementContent.className;
+      element.dataset.color = replacementContent.dataset.color || '';
+      if (!replacementContent.dataset.color) delete element.dataset.color;
+      return true;
     }
 
-    // ---------------------------------------------------------------
-    // NEW INTERACTIVE WIDGETS
-    // ---------------------------------------------------------------
+    updateControlLabel(element, config, fallback) {
+      const label = element.querySelector('.bd-widget-control-label');
+      if (label) label.textContent = config.label ?? fallback;
+    }
 
-    createRadioWidget(widgetId, config) {
-      const widget = this.createInteractiveShell(widgetId, 'bd-widget-radio', config);
-      const labelId = `bd-widget-${widgetId}-label`;
-      const label = this.createControlLabel(config, 'Choose', labelId);
-      widget.appendChild(label);
-      const group = document.createElement('div');
-      group.className = 'bd-widget-radio-group';
-      group.setAttribute('role', 'radiogroup');
-      group.setAttribute('aria-labelledby', labelId);
-      this._buildRadioOptions(group, widgetId, config);
-      widget.appendChild(group);
+    updateButtonWidget(element, widgetId, config) {
+      const button = element.querySelector('.bd-widget-button-control');
+      if (!button) {
+        this.replaceInteractiveContent(element, widgetId, config);
+        return;
+      }
+
+      if (config.variant) button.dataset.variant = config.variant;
+      else delete button.dataset.variant;
+
+      let icon = button.querySelector('.bd-widget-control-icon');
+      if (config.icon) {
+        if (!icon) {
+          icon = document.createElement('span');
+          icon.className = 'bd-widget-control-icon';
+          button.insertBefore(icon, button.firstChild);
+        }
+        icon.textContent = config.icon;
+      } else if (icon) {
+        icon.remove();
+      }
+
+      let text = button.querySelector('.bd-widget-button-text');
+      if (!text) {
+        text = document.createElement('span');
+        text.className = 'bd-widget-button-text';
+        button.appendChild(text);
+      }
+      text.textContent = config.text ?? config.label ?? 'Button';
+    }
+
+    updateToggleWidget(element, widgetId, config) {
+      const input = element.querySelector('.bd-widget-toggle-control input');
+      if (!input) {
+        this.replaceInteractiveContent(element, widgetId, config);
+        return;
+      }
+      input.checked = !!config.value;
+      this.updateControlLabel(element, config, 'Toggle');
+    }
+
+    updateSelectControl(element, widgetId, config, existingConfig) {
+      const select = element.querySelector('.bd-widget-select-control');
+      if (!select) {
+        this.replaceInteractiveContent(element, widgetId, config);
+        return;
+      }
+
+      this.updateControlLabel(element, config, 'Select');
+      const optionsChanged = JSON.stringify(config.options || []) !== JSON.stringify(existingConfig?.options || []);
+      if (optionsChanged) {
+        select.innerHTML = '';
+        this.populateSelectOptions(select, config.options, config.value);
+      } else {
+        select.value = this.optionDomValue(config.value);
+      }
+    }
+
+    updateSliderControl(element, widgetId, config) {
+      const range = element.querySelector('.bd-widget-slider-control');
+      const valueText = element.querySelector('.bd-widget-slider-value');
+      if (!range || !valueText) {
+        this.replaceInteractiveContent(element, widgetId, config);
+        return;
+      }
+
+      const min = config.min ?? 0;
+      const max = config.max ?? 100;
+      const step = config.step ?? 1;
+      const value = config.value ?? min;
+      this.updateControlLabel(element, config, 'Slider');
+      range.min = String(min);
+      range.max = String(max);
+      range.step = String(step);
+      range.value = String(value);
+      valueText.textContent = config.showValue === false ? '' : String(value);
+    }
+
+    updateInputControl(element, widgetId, config) {
+      const input = element.querySelector('.bd-widget-input-control');
+      if (!input) {
+        this.replaceInteractiveContent(element, widgetId, config);
+        return;
+      }
+
+      this.updateControlLabel(element, config, 'Input');
+      input.type = config.inputType || 'text';
+      input.placeholder = config.placeholder || '';
+      input.maxLength = config.maxLength || validators().MAX_INPUT_LENGTH || 240;
+      const nextValue = String(config.value ?? '');
+      if (document.activeElement !== input && input.value !== nextValue) {
+        input.value = nextValue;
+      }
+    }
+
+    updateTextareaControl(element, widgetId, config) {
+      const textarea = element.querySelector('.bd-widget-textarea-control');
+      if (!textarea) {
+        this.replaceInteractiveContent(element, widgetId, config);
+        return;
+      }
+
+      this.updateControlLabel(element, config, 'Text');
+      textarea.placeholder = config.placeholder || '';
+      textarea.rows = config.rows || 2;
+      textarea.maxLength = config.maxLength || validators().MAX_TEXTAREA_LENGTH || 1200;
+      const nextValue = String(config.value ?? '');
+      if (document.activeElement !== textarea && textarea.value !== nextValue) {
+        textarea.value = nextValue;
+      }
+    }
+
+    normalizeSelectOption(option) {
+      if (typeof option === 'string' || typeof option === 'number' || typeof option === 'boolean') {
+        return { label: String(option), value: option, disabled: false };
+      }
+      return {
+        label: String(option?.label ?? option?.value ?? ''),
+        value: option?.value,
+        disabled: !!option?.disabled,
+      };
+    }
+
+    optionDomValue(value) {
+      return `${typeof value}:${String(value)}`;
+    }
+
+    populateSelectOptions(select, options, selectedValue) {
+      const normalized = Array.isArray(options) ? options.map(option => this.normalizeSelectOption(option)) : [];
+      for (const option of normalized) {
+        const optionEl = document.createElement('option');
+        optionEl.textContent = option.label;
+        optionEl.value = this.optionDomValue(option.value);
+        optionEl.dataset.type = typeof option.value;
+        optionEl.dataset.value = String(option.value);
+        optionEl.disabled = option.disabled;
+        optionEl.selected = option.value === selectedValue;
+        select.appendChild(optionEl);
+      }
+    }
+
+    readSelectValue(select) {
+      const option = select.selectedOptions?.[0];
+      if (!option && select?.dataset?.type) {
+        const type = select.dataset.type;
+        const raw = select.dataset.value;
+        if (type === 'number') return Number(raw);
+        if (type === 'boolean') return raw === 'true';
+        return raw;
+      }
+      if (!option) return select.value;
+      const type = option.dataset.type;
+      const raw = option.dataset.value;
+      if (type === 'number') return Number(raw);
+      if (type === 'boolean') return raw === 'true';
+      return raw;
+    }
+
+    populatePanelContent(content, config) {
+      if (config.items && Array.isArray(config.items)) {
+        config.items.forEach(item => {
+          const itemEl = document.createElement('div');
+          itemEl.className = 'bd-widget-panel-item';
+
+          if (item.label) {
+            const itemLabel = document.createElement('span');
+            itemLabel.className = 'bd-widget-panel-item-label';
+            itemLabel.textContent = item.label;
+            itemEl.appendChild(itemLabel);
+          }
+
+          if (item.value !== undefined) {
+            const itemValue = document.createElement('span');
+            itemValue.className = 'bd-widget-panel-item-value';
+            itemValue.textContent = item.value;
+            if (item.color) itemValue.style.color = item.color;
+            itemEl.appendChild(itemValue);
+          }
+
+          content.appendChild(itemEl);
+        });
+      } else if (config.content !== undefined) {
+        content.textContent = config.content;
+      }
+    }
+
+    populateListItems(list, items) {
+      if (!Array.isArray(items)) return;
+
+      items.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'bd-widget-list-item';
+
+        if (typeof item === 'string') {
+          li.textContent = item;
+        } else if (item && typeof item === 'object') {
+          if (item.icon) {
+            const icon = document.createElement('span');
+            icon.className = 'bd-widget-list-item-icon';
+            icon.textContent = item.icon;
+            li.appendChild(icon);
+          }
+          const text = document.createElement('span');
+          text.textContent = item.text ?? item.label ?? '';
+          if (item.color) text.style.color = item.color;
+          li.appendChild(text);
+        }
+
+        list.appendChild(li);
+      });
+    }
+
+    applyCounterDelta(element, deltaValue) {
+      let deltaEl = element.querySelector('.bd-widget-counter-delta');
+      if (deltaValue === undefined) {
+        if (deltaEl) deltaEl.remove();
+        return;
+      }
+
+      if (deltaEl) {
+        if (deltaValue === 0) {
+          deltaEl.remove();
+        } else {
+          const sign = deltaValue > 0 ? '+' : '';
+          deltaEl.textContent = sign + deltaValue;
+          deltaEl.dataset.positive = deltaValue > 0 ? 'true' : 'false';
+        }
+      } else if (deltaValue !== 0) {
+        deltaEl = document.createElement('span');
+        deltaEl.className = 'bd-widget-counter-delta';
+        const sign = deltaValue > 0 ? '+' : '';
+        deltaEl.textContent = sign + deltaValue;
+        deltaEl.dataset.positive = deltaValue > 0 ? 'true' : 'false';
+        element.appendChild(deltaEl);
+      }
+    }
+
+    applyPresetOrInlineColor(widget, target, color, property, resetInline = false) {
+      if (color === undefined || color === null || color === '') {
+        delete widget.dataset.color;
+        target.style[property] = '';
+        return;
+      }
+
+      const colorLower = String(color).toLowerCase();
+      if (validators().PRESET_COLORS.has(colorLower)) {
+        widget.dataset.color = colorLower;
+        if (resetInline) target.style[property] = '';
+      } else {
+        delete widget.dataset.color;
+        target.style[property] = color;
+      }
+    }
+
+    applyStyles(element, style) {
+      if (!style) return;
+      Object.assign(element.style, validators().sanitizeStyleObject(style));
+    }
+
+    replaceStyles(element, previousStyle, nextStyle) {
+      const previous = validators().sanitizeStyleObject(previousStyle);
+      const next = validators().sanitizeStyleObject(nextStyle);
+
+      for (const property of Object.keys(previous)) {
+        if (!(property in next)) {
+          element.style[property] = '';
+        }
+      }
+
+      Object.assign(element.style, next);
+    }
+
+    destroyWidget(widgetId) {
+      const widgetData = this.registeredWidgets.get(widgetId);
+      if (!widgetData) return;
+
+      const el = widgetData.element;
+      this.bindings.delete(widgetId);
+      this.updateBindingTimer();
+      // The modal lives outside the widget, so it goes now, not after the
+      // exit animation.
+      if (widgetData.config.type === 'dialog') this.destroyDialog(widgetId);
+      if (el.classList.contains('bd-widget-entering')) {
+        el.classList.remove('bd-widget-entering');
+      }
+      el.classList.add('bd-widget-exiting');
+
+      const onExitEnd = () => {
+        el.removeEventListener('animationend', onExitEnd);
+        if (!el.parentNode) return;
+        this.registeredWidgets.delete(widgetId);
+        this.pendingInteractionValues.delete(widgetId);
+        this.ackedInteractionValues.delete(widgetId);
+        this.sortableGrabs.delete(widgetId);
+        el.remove();
+        this.emitWidget('destroyed', widgetId);
+        this.syncWrapperState();
+        if (this.registeredWidgets.size === 0) this.removeWidgetContainer();
+        else this.recalculateWidgetDensity();
+      };
+      el.addEventListener('animationend', onExitEnd);
+      // Safety: force removal if animation doesn't fire (e.g. display:none)
+      setTimeout(onExitEnd, 300);
+    }
+
+    clearAllWidgets() {
+      for (const widgetId of [...this.dialogs.keys()]) this.destroyDialog(widgetId);
+      this.bindings.clear();
+      this.updateBindingTimer();
+      this.registeredWidgets.forEach((data) => {
+        const el = data.element;
+        el.classList.remove('bd-widget-entering');
+        el.classList.add('bd-widget-exiting');
+      });
+      setTimeout(() => {
+        this.registeredWidgets.forEach((data) => {
+          data.element.remove();
+        });
+        this.registeredWidgets.clear();
+        this.pendingInteractionValues.clear();
+        this.ackedInteractionValues.clear();
+        this.sortableGrabs.clear();
+        this._warnedMessages.clear();
+        this.removeWidgetContainer();
+        this.log('All widgets cleared');
+      }, 240);
+    }
+
+    destroy() {
+      this.clearAllWidgets();
+    }
+
+    // ---------------------------------------------------------------
+    // NEW DISPLAY WIDGETS
+    // ---------------------------------------------------------------
+
+    createProgressWidget(widgetId, config) {
+      const widget = this.createBaseWidget(widgetId, 'bd-widget-progress', config);
+
+      const label = document.createElement('span');
+      label.className = 'bd-widget-label';
+      label.textContent = config.label || 'Progress';
+
+      const track = document.createElement('div');
+      track.className = 'bd-widget-progress-track';
+
+      const fill = document.createElement('div');
+      fill.className = 'bd-widget-progress-fill';
+      const max = config.max ?? 100;
+      const pct = Math.min(100, Math.max(0, ((config.value ?? 0) / max) * 100));
+      fill.style.width = `${pct}%`;
+      this.applyPresetOrInlineColor(widget, fill, config.color, 'background');
+
+      const valueText = document.createElement('span');
+      valueText.className = 'bd-widget-progress-value';
+      valueText.textContent = `${Math.round(pct)}%`;
+
+      track.appendChild(fill);
+      widget.appendChild(label);
+      widget.appendChild(track);
+      widget.appendChild(valueText);
+      return widget;
+    }
+
+    updateProgressWidget(element, config) {
+      const labelEl = element.querySelector('.bd-widget-label');
+      const fill = element.querySelector('.bd-widget-progress-fill');
+      const valueText = element.querySelector('.bd-widget-progress-value');
+      if (labelEl) labelEl.textContent = config.label || 'Progress';
+      if (fill) {
+        const max = config.max ?? 100;
+        const pct = Math.min(100, Math.max(0, ((config.value ?? 0) / max) * 100));
+        this._tweenStyleProperty(fill, 'width', pct, 280, '%');
+        if (valueText) this._tweenTextValue(valueText, Math.round(pct), 280, v => `${Math.round(v)}%`);
+        this.applyPresetOrInlineColor(element, fill, config.color, 'background', true);
+      }
+    }
+
+    createTaggroupWidget(widgetId, config) {
+      const widget = this.createBaseWidget(widgetId, 'bd-widget-taggroup', config);
+      if (config.label) {
+        const label = document.createElement('span');
+        label.className = 'bd-widget-label';
+        label.textContent = config.label;
+        widget.appendChild(label);
+      }
+      const group = document.createElement('div');
+      group.className = 'bd-widget-taggroup-tags';
+      this._populateTags(group, config.items);
+      widget.appendChild(group);
+      return widget;
+    }
+
+    updateTaggroupWidget(element, config) {
+      const labelEl = element.querySelector('.bd-widget-label');
+      if (config.label) {
+        if (labelEl) labelEl.textContent = config.label;
+        else {
+          const l = document.createElement('span');
+          l.className = 'bd-widget-label';
+          l.textContent = config.label;
+          element.insertBefore(l, element.firstChild);
+        }
+      } else if (labelEl) {
+        labelEl.remove();
+      }
+      const group = element.querySelector('.bd-widget-taggroup-tags');
+      if (group) {
+        group.innerHTML = '';
+        this._populateTags(group, config.items);
+      }
+    }
+
+    _populateTags(container, items) {
+      if (!Array.isArray(items)) return;
+      items.forEach(item => {
+        const tag = document.createElement('span');
+        tag.className = 'bd-widget-tag';
+        if (typeof item === 'string') {
+          tag.textContent = item;
+        } else if (item && typeof item === 'object') {
+          if (item.icon) {
+            const icon = document.createElement('span');
+            icon.className = 'bd-widget-tag-icon';
+            icon.textContent = item.icon;
+            tag.appendChild(icon);
+          }
+          tag.appendChild(document.createTextNode(item.label ?? item.text ?? ''));
+          if (item.color) tag.dataset.color = item.color;
+        }
+        container.appendChild(tag);
+      });
+    }
+
+    createDividerWidget(widgetId, config) {
+      const widget = this.createBaseWidget(widgetId, 'bd-widget-divider', config);
+      widget.style.pointerEvents = 'none';
+      if (config.label) {
+        const wrap = document.createElement('div');
+        wrap.className = 'bd-widget-divider-labeled';
+        const text = document.createElement('span');
+        text.className = 'bd-widget-divider-text';
+        text.textContent = config.label;
+        wrap.appendChild(text);
+        widget.appendChild(wrap);
+      } else {
+        const hr = document.createElement('hr');
+        hr.className = 'bd-widget-divider-line';
+        widget.appendChild(hr);
+      }
+      return widget;
+    }
+
+    updateDividerWidget(element, config) {
+      element.innerHTML = '';
+      if (config.label) {
+        const wrap = document.createElement('div');
+        wrap.className = 'bd-widget-divider-labeled';
+        const text = document.createElement('span');
+        text.className = 'bd-widget-divider-text';
+        text.textContent = config.label;
+        wrap.appendChild(text);
+        element.appendChild(wrap);
+      } else {
+        const hr = document.createElement('hr');
+        hr.className = 'bd-widget-divider-line';
+        element.appendChild(hr);
+      }
+    }
+
+    // ---------------------------------------------------------------
+    // NEW INTERACTIVE WIDGETS
+    // ---------------------------------------------------------------
+
+    createRadioWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-radio', config);
+      const labelId = `bd-widget-${widgetId}-label`;
+      const label = this.createControlLabel(config, 'Choose', labelId);
+      widget.appendChild(label);
+      const group = document.createElement('div');
+      group.className = 'bd-widget-radio-group';
+      group.setAttribute('role', 'radiogroup');
+      group.setAttribute('aria-labelledby', labelId);
+      this._buildRadioOptions(group, widgetId, config);
+      widget.appendChild(group);
+      this.setInteractiveDisabled(widget, config);
+      return widget;
+    }
+
+    _buildRadioOptions(group, widgetId, config) {
+      const options = Array.isArray(config.options) ? config.options : [];
+      options.forEach((opt, i) => {
+        const norm = this.normalizeSelectOption(opt);
+        const row = document.createElement('label');
+        row.className = 'bd-widget-radio-option';
+
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = `widget-radio-${widgetId}`;
+        input.value = this.optionDomValue(norm.value);
+        input.dataset.type = typeof norm.value;
+        input.dataset.value = String(norm.value);
+        input.checked = norm.value === config.value;
+        input.dataset.widgetLocalDisabled = String(!!norm.disabled);
+        input.disabled = norm.disabled;
+
+        input.addEventListener('change', () => {
+          if (!input.checked) return;
+          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+          const nextValue = this.readSelectValue(input);
+          const previousValue = currentConfig.value;
+          this.emitInteraction(currentConfig, 'change', nextValue, previousValue, { optimisticValue: nextValue });
+        });
+
+        const dot = document.createElement('span');
+        dot.className = 'bd-widget-radio-dot';
+
+        const text = document.createElement('span');
+        text.className = 'bd-widget-radio-label';
+        text.textContent = norm.label;
+
+        row.appendChild(input);
+        row.appendChild(dot);
+        row.appendChild(text);
+        group.appendChild(row);
+      });
+    }
+
+    updateRadioWidget(element, widgetId, config) {
+      this.updateControlLabel(element, config, 'Choose');
+      const group = element.querySelector('.bd-widget-radio-group');
+      if (group) {
+        group.innerHTML = '';
+        group.setAttribute('role', 'radiogroup');
+        group.setAttribute('aria-labelledby', `bd-widget-${widgetId}-label`);
+        this._buildRadioOptions(group, widgetId, config);
+      }
+      this.setInteractiveDisabled(element, config);
+    }
+
+    createStepperWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-stepper', config);
+      const labelId = `bd-widget-${widgetId}-label`;
+      const label = this.createControlLabel(config, 'Value', labelId);
+
+      const controls = document.createElement('div');
+      controls.className = 'bd-widget-stepper-controls';
+      controls.setAttribute('role', 'group');
+      controls.setAttribute('aria-labelledby', labelId);
+
+      const btnDec = document.createElement('button');
+      btnDec.type = 'button';
+      btnDec.className = 'bd-widget-stepper-btn';
+      btnDec.dataset.dir = 'dec';
+      btnDec.setAttribute('aria-label', `Decrease ${config.label ?? 'value'}`);
+      btnDec.textContent = '−';
+
+      const display = document.createElement('span');
+      display.className = 'bd-widget-stepper-value';
+      display.setAttribute('aria-live', 'polite');
+      display.textContent = config.value ?? config.min ?? 0;
+
+      const btnInc = document.createElement('button');
+      btnInc.type = 'button';
+      btnInc.className = 'bd-widget-stepper-btn';
+      btnInc.dataset.dir = 'inc';
+      btnInc.setAttribute('aria-label', `Increase ${config.label ?? 'value'}`);
+      btnInc.textContent = '+';
+
+      const clamp = (v, cfg) => {
+        const mn = cfg.min ?? -Infinity;
+        const mx = cfg.max ?? Infinity;
+        return Math.min(mx, Math.max(mn, v));
+      };
+
+      const handler = (dir) => () => {
+        const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+        if (currentConfig.disabled) return;
+        const prev = Number(currentConfig.value ?? currentConfig.min ?? 0);
+        const step = currentConfig.step ?? 1;
+        const next = clamp(prev + (dir === 'inc' ? step : -step), currentConfig);
+        display.textContent = next;
+        this.emitInteraction(currentConfig, 'change', next, prev, { coalesce: true, optimisticValue: next });
+      };
+
+      btnDec.addEventListener('click', handler('dec'));
+      btnInc.addEventListener('click', handler('inc'));
+
+      controls.appendChild(btnDec);
+      controls.appendChild(display);
+      controls.appendChild(btnInc);
+      widget.appendChild(label);
+      widget.appendChild(controls);
+      this.setInteractiveDisabled(widget, config);
+      return widget;
+    }
+
+    updateStepperWidget(element, config) {
+      this.updateControlLabel(element, config, 'Value');
+      const display = element.querySelector('.bd-widget-stepper-value');
+      if (display) display.textContent = config.value ?? config.min ?? 0;
+      const dec = element.querySelector('.bd-widget-stepper-btn[data-dir="dec"]');
+      const inc = element.querySelector('.bd-widget-stepper-btn[data-dir="inc"]');
+      if (dec) dec.setAttribute('aria-label', `Decrease ${config.label ?? 'value'}`);
+      if (inc) inc.setAttribute('aria-label', `Increase ${config.label ?? 'value'}`);
+      this.setInteractiveDisabled(element, config);
+    }
+
+    createConfirmWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-confirm', config);
+
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'bd-widget-confirm-btn';
+      btn.dataset.confirmState = 'idle';
+      btn.setAttribute('aria-pressed', 'false');
+
+      const icon = document.createElement('span');
+      icon.className = 'bd-widget-confirm-icon';
+      icon.textContent = '⚠️';
+
+      const text = document.createElement('span');
+      text.className = 'bd-widget-confirm-text';
+      text.textContent = config.text ?? config.label ?? 'Confirm';
+
+      btn.appendChild(icon);
+      btn.appendChild(text);
+
+      let confirmTimer = null;
+      btn.addEventListener('click', () => {
+        const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+        if (currentConfig.disabled) return;
+
+        if (btn.dataset.confirmState === 'idle') {
+          // First click — arm it
+          btn.dataset.confirmState = 'confirming';
+          btn.setAttribute('aria-pressed', 'true');
+          text.textContent = 'Confirm?';
+          confirmTimer = setTimeout(() => {
+            btn.dataset.confirmState = 'idle';
+            btn.setAttribute('aria-pressed', 'false');
+            text.textContent = currentConfig.text ?? currentConfig.label ?? 'Confirm';
+          }, 3000);
+        } else {
+          // Second click — fire
+          clearTimeout(confirmTimer);
+          btn.dataset.confirmState = 'idle';
+          btn.setAttribute('aria-pressed', 'false');
+          text.textContent = currentConfig.text ?? currentConfig.label ?? 'Confirm';
+          const value = currentConfig.value !== undefined ? currentConfig.value : true;
+          this.emitInteraction(currentConfig, 'confirm', value, undefined, { coalesce: false });
+        }
+      });
+
+      widget.appendChild(btn);
+      this.setInteractiveDisabled(widget, config);
+      return widget;
+    }
+
+    updateConfirmWidget(element, config) {
+      const text = element.querySelector('.bd-widget-confirm-text');
+      const btn = element.querySelector('.bd-widget-confirm-btn');
+      if (text && btn && btn.dataset.confirmState === 'idle') {
+        text.textContent = config.text ?? config.label ?? 'Confirm';
+      }
+      this.setInteractiveDisabled(element, config);
+    }
+
+    createChipselectWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-chipselect', config);
+      const labelId = `bd-widget-${widgetId}-label`;
+      const label = this.createControlLabel(config, 'Select', labelId);
+      widget.appendChild(label);
+      const group = document.createElement('div');
+      group.className = 'bd-widget-chipselect-group';
+      group.setAttribute('role', 'group');
+      group.setAttribute('aria-labelledby', labelId);
+      // value may be an array (multi) or single primitive
+      const selected = this._normalizeChipValue(config.value);
+      this._buildChips(group, widgetId, config, selected);
+      widget.appendChild(group);
+      this.setInteractiveDisabled(widget, config);
+      return widget;
+    }
+
+    _normalizeChipValue(value) {
+      if (Array.isArray(value)) return new Set(value.map(String));
+      if (value !== undefined && value !== null) return new Set([String(value)]);
+      return new Set();
+    }
+
+    _buildChips(group, widgetId, config, selectedSet) {
+      const options = Array.isArray(config.options) ? config.options : [];
+      options.forEach(opt => {
+        const norm = this.normalizeSelectOption(opt);
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'bd-widget-chip';
+        chip.dataset.value = String(norm.value);
+        chip.dataset.selected = selectedSet.has(String(norm.value)) ? 'true' : 'false';
+        chip.setAttribute('aria-pressed', chip.dataset.selected);
+        chip.textContent = norm.label;
+
+        chip.addEventListener('click', () => {
+          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+          if (currentConfig.disabled) return;
+          const currentSelected = this._normalizeChipValue(currentConfig.value);
+          const key = String(norm.value);
+          if (currentSelected.has(key)) {
+            currentSelected.delete(key);
+            chip.dataset.selected = 'false';
+            chip.setAttribute('aria-pressed', 'false');
+          } else {
+            currentSelected.add(key);
+            chip.dataset.selected = 'true';
+            chip.setAttribute('aria-pressed', 'true');
+          }
+          const nextValue = [...currentSelected];
+          this.emitInteraction(currentConfig, 'change', nextValue, currentConfig.value, { optimisticValue: nextValue });
+        });
+
+        group.appendChild(chip);
+      });
+      const chips = Array.from(group.querySelectorAll('.bd-widget-chip'));
+      this.setRovingItems(chips, chips.find(chip => chip.dataset.selected === 'true') || chips[0]);
+    }
+
+    updateChipselectWidget(element, widgetId, config) {
+      this.updateControlLabel(element, config, 'Select');
+      const group = element.querySelector('.bd-widget-chipselect-group');
+      if (group) {
+        group.innerHTML = '';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-labelledby', `bd-widget-${widgetId}-label`);
+        const selected = this._normalizeChipValue(config.value);
+        this._buildChips(group, widgetId, config, selected);
+      }
+      this.setInteractiveDisabled(element, config);
+    }
+
+    // ---------------------------------------------------------------
+    // NEW CONTAINER / ACTION WIDGETS
+    // ---------------------------------------------------------------
+
+    createAccordionWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-accordion', config);
+      const items = Array.isArray(config.items) ? config.items : [];
+      items.forEach((item, i) => {
+        const section = this._buildAccordionSection(widgetId, item, i, config.value);
+        widget.appendChild(section);
+      });
+      return widget;
+    }
+
+    _buildAccordionSection(widgetId, item, index, openValue) {
+      const isOpen = item.id !== undefined ? item.id === openValue : index === openValue;
+      const section = document.createElement('div');
+      section.className = 'bd-widget-accordion-section';
+      section.dataset.open = String(isOpen);
+      if (item.id !== undefined) section.dataset.id = String(item.id);
+
+      const trigger = document.createElement('button');
+      trigger.type = 'button';
+      trigger.className = 'bd-widget-accordion-trigger';
+      trigger.setAttribute('aria-expanded', String(isOpen));
+      trigger.setAttribute('aria-controls', `bd-widget-${widgetId}-accordion-panel-${index}`);
+
+      const triggerText = document.createElement('span');
+      triggerText.className = 'bd-widget-accordion-trigger-text';
+      triggerText.textContent = item.label ?? item.title ?? `Section ${index + 1}`;
+
+      const arrow = document.createElement('span');
+      arrow.className = 'bd-widget-accordion-trigger-icon';
+      arrow.textContent = '▶';
+
+      trigger.appendChild(triggerText);
+      trigger.appendChild(arrow);
+
+      trigger.addEventListener('click', () => {
+        const currentConfig = this.getCurrentWidgetConfig(widgetId, null);
+        const widget = section.closest('.bd-widget-accordion');
+        if (!widget) return;
+        const wasOpen = section.dataset.open === 'true';
+        widget.querySelectorAll('.bd-widget-accordion-section').forEach(s => this.setAccordionSectionOpen(s, false));
+        if (!wasOpen) this.setAccordionSectionOpen(section, true);
+        const newOpen = !wasOpen ? (item.id ?? index) : null;
+        this.emitInteraction(
+          currentConfig || { id: widgetId, type: 'accordion' },
+          'change',
+          newOpen,
+          currentConfig?.value,
+          { optimisticValue: newOpen },
+        );
+      });
+
+      const panel = document.createElement('div');
+      panel.className = 'bd-widget-accordion-panel';
+      panel.id = `bd-widget-${widgetId}-accordion-panel-${index}`;
+      panel.hidden = !isOpen;
+      panel.textContent = item.content ?? item.text ?? '';
+
+      section.appendChild(trigger);
+      section.appendChild(panel);
+      return section;
+    }
+
+    updateAccordionWidget(element, config) {
+      element.innerHTML = '';
+      const items = Array.isArray(config.items) ? config.items : [];
+      items.forEach((item, i) => {
+        const section = this._buildAccordionSection(config.id, item, i, config.value);
+        element.appendChild(section);
+      });
+    }
+
+    createTabsWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-tabs', config);
+      const items = Array.isArray(config.items) ? config.items : [];
+      const activeId = config.value ?? items[0]?.id ?? 0;
+
+      const bar = document.createElement('div');
+      bar.className = 'bd-widget-tabs-bar';
+      bar.setAttribute('role', 'tablist');
+
+      items.forEach((item, i) => {
+        const itemId = item.id ?? i;
+        const active = itemId === activeId;
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'bd-widget-tab-btn';
+        btn.dataset.tab = String(itemId);
+        btn.dataset.active = String(active);
+        btn.id = `bd-widget-${widgetId}-tab-${itemId}`;
+        btn.setAttribute('role', 'tab');
+        btn.setAttribute('aria-selected', String(active));
+        btn.setAttribute('aria-controls', `bd-widget-${widgetId}-panel-${itemId}`);
+        this.setLocalTabIndex(btn, active ? 0 : -1);
+        btn.textContent = item.label ?? item.title ?? `Tab ${i + 1}`;
+
+        btn.addEventListener('click', () => {
+          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+          const prev = currentConfig.value ?? items[0]?.id ?? 0;
+          this.activateTab(widget, itemId);
+          this.emitInteraction(currentConfig, 'change', itemId, prev, { optimisticValue: itemId });
+        });
+
+        bar.appendChild(btn);
+      });
+
+      widget.appendChild(bar);
+
+      items.forEach((item, i) => {
+        const itemId = item.id ?? i;
+        const active = itemId === activeId;
+        const panel = document.createElement('div');
+        panel.className = 'bd-widget-tabs-panel';
+        panel.id = `bd-widget-${widgetId}-panel-${itemId}`;
+        panel.dataset.tab = String(itemId);
+        panel.dataset.active = String(active);
+        panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', `bd-widget-${widgetId}-tab-${itemId}`);
+        panel.hidden = !active;
+        panel.textContent = item.content ?? item.text ?? '';
+        widget.appendChild(panel);
+      });
+
+      return widget;
+    }
+
+    updateTabsWidget(element, widgetId, config) {
+      element.innerHTML = '';
+      const items = Array.isArray(config.items) ? config.items : [];
+      const activeId = config.value ?? items[0]?.id ?? 0;
+
+      const bar = document.createElement('div');
+      bar.className = 'bd-widget-tabs-bar';
+      bar.setAttribute('role', 'tablist');
+
+      items.forEach((item, i) => {
+        const itemId = item.id ?? i;
+        const active = itemId === activeId;
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'bd-widget-tab-btn';
+        btn.dataset.tab = String(itemId);
+        btn.dataset.active = String(active);
+        btn.id = `bd-widget-${widgetId}-tab-${itemId}`;
+        btn.setAttribute('role', 'tab');
+        btn.setAttribute('aria-selected', String(active));
+        btn.setAttribute('aria-controls', `bd-widget-${widgetId}-panel-${itemId}`);
+        this.setLocalTabIndex(btn, active ? 0 : -1);
+        btn.textContent = item.label ?? item.title ?? `Tab ${i + 1}`;
+
+        btn.addEventListener('click', () => {
+          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+          const prev = currentConfig.value ?? items[0]?.id ?? 0;
+          this.activateTab(element, itemId);
+          this.emitInteraction(currentConfig, 'change', itemId, prev, { optimisticValue: itemId });
+        });
+
+        bar.appendChild(btn);
+      });
+
+      element.appendChild(bar);
+
+      items.forEach((item, i) => {
+        const itemId = item.id ?? i;
+        const active = itemId === activeId;
+        const panel = document.createElement('div');
+        panel.className = 'bd-widget-tabs-panel';
+        panel.id = `bd-widget-${widgetId}-panel-${itemId}`;
+        panel.dataset.tab = String(itemId);
+        panel.dataset.active = String(active);
+        panel.setAttribute('role', 'tabpanel');
+        panel.setAttribute('aria-labelledby', `bd-widget-${widgetId}-tab-${itemId}`);
+        panel.hidden = !active;
+        panel.textContent = item.content ?? item.text ?? '';
+        element.appendChild(panel);
+      });
+    }
+
+    createDropdownWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-dropdown', config);
+      widget.dataset.open = 'false';
+
+      const trigger = document.createElement('button');
+      trigger.type = 'button';
+      trigger.className = 'bd-widget-dropdown-trigger';
+      trigger.setAttribute('aria-haspopup', 'menu');
+      trigger.setAttribute('aria-expanded', 'false');
+      trigger.setAttribute('aria-controls', `bd-widget-${widgetId}-menu`);
+      trigger.textContent = config.label ?? config.text ?? 'Actions';
+
+      const menu = document.createElement('div');
+      menu.className = 'bd-widget-dropdown-menu';
+      menu.id = `bd-widget-${widgetId}-menu`;
+      menu.setAttribute('role', 'menu');
+      menu.hidden = true;
+      this._buildDropdownItems(menu, widgetId, config);
+
+      trigger.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+        if (currentConfig.disabled) return;
+        const isOpen = widget.dataset.open === 'true';
+        // Close all other dropdowns
+        document.querySelectorAll('.bd-widget-dropdown').forEach(d => this.setDropdownOpen(d, false));
+        this.setDropdownOpen(widget, !isOpen);
+        // Opened from the keyboard (Enter/Space): move into the menu.
+        if (!isOpen && e.detail === 0) menu.querySelector('.bd-widget-dropdown-item')?.focus();
+      });
+
+      widget.appendChild(trigger);
+      widget.appendChild(menu);
       this.setInteractiveDisabled(widget, config);
       return widget;
     }
 
-    _buildRadioOptions(group, widgetId, config) {
-      const options = Array.isArray(config.options) ? config.options : [];
-      options.forEach((opt, i) => {
-        const norm = this.normalizeSelectOption(opt);
-        const row = document.createElement('label');
-        row.className = 'bd-widget-radio-option';
+    _buildDropdownItems(menu, widgetId, config) {
+      const items = Array.isArray(config.items) ? config.items : [];
+      items.forEach(item => {
+        if (item.divider) {
+          const div = document.createElement('div');
+          div.className = 'bd-widget-dropdown-divider';
+          div.setAttribute('role', 'separator');
+          menu.appendChild(div);
+          return;
+        }
+        const row = document.createElement('button');
+        row.type = 'button';
+        row.className = 'bd-widget-dropdown-item';
+        row.setAttribute('role', 'menuitem');
+        this.setLocalTabIndex(row, -1);
+        if (item.danger) row.dataset.danger = 'true';
 
-        const input = document.createElement('input');
-        input.type = 'radio';
-        input.name = `widget-radio-${widgetId}`;
-        input.value = this.optionDomValue(norm.value);
-        input.dataset.type = typeof norm.value;
-        input.dataset.value = String(norm.value);
-        input.checked = norm.value === config.value;
-        input.dataset.widgetLocalDisabled = String(!!norm.disabled);
-        input.disabled = norm.disabled;
+        if (item.icon) {
+          const icon = document.createElement('span');
+          icon.className = 'bd-widget-dropdown-item-icon';
+          icon.textContent = item.icon;
+          row.appendChild(icon);
+        }
+        row.appendChild(document.createTextNode(item.label ?? item.text ?? ''));
 
-        input.addEventListener('change', () => {
-          if (!input.checked) return;
+        row.addEventListener('click', (e) => {
+          e.stopPropagation();
           const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
-          const nextValue = this.readSelectValue(input);
-          const previousValue = currentConfig.value;
-          this.emitInteraction(currentConfig, 'change', nextValue, previousValue, { optimisticValue: nextValue });
+          if (currentConfig.disabled) return;
+          const val = item.value ?? item.id ?? item.label ?? item.text;
+          this.emitInteraction(currentConfig, 'select', val, currentConfig.value, { coalesce: false });
+          const widgetEl = row.closest('.bd-widget-dropdown');
+          if (widgetEl) this.setDropdownOpen(widgetEl, false);
         });
 
-        const dot = document.createElement('span');
-        dot.className = 'bd-widget-radio-dot';
-
-        const text = document.createElement('span');
-        text.className = 'bd-widget-radio-label';
-        text.textContent = norm.label;
-
-        row.appendChild(input);
-        row.appendChild(dot);
-        row.appendChild(text);
-        group.appendChild(row);
+        menu.appendChild(row);
       });
     }
 
-    updateRadioWidget(element, widgetId, config) {
-      this.updateControlLabel(element, config, 'Choose');
-      const group = element.querySelector('.bd-widget-radio-group');
-      if (group) {
-        group.innerHTML = '';
-        group.setAttribute('role', 'radiogroup');
-        group.setAttribute('aria-labelledby', `bd-widget-${widgetId}-label`);
-        this._buildRadioOptions(group, widgetId, config);
+    updateDropdownWidget(element, widgetId, config) {
+      const trigger = element.querySelector('.bd-widget-dropdown-trigger');
+      if (trigger) {
+        trigger.textContent = config.label ?? config.text ?? 'Actions';
+        trigger.setAttribute('aria-haspopup', 'menu');
+        trigger.setAttribute('aria-expanded', String(element.dataset.open === 'true'));
+        trigger.setAttribute('aria-controls', `bd-widget-${widgetId}-menu`);
+      }
+      const menu = element.querySelector('.bd-widget-dropdown-menu');
+      if (menu) {
+        menu.innerHTML = '';
+        menu.id = `bd-widget-${widgetId}-menu`;
+        menu.setAttribute('role', 'menu');
+        menu.hidden = element.dataset.open !== 'true';
+        this._buildDropdownItems(menu, widgetId, config);
       }
       this.setInteractiveDisabled(element, config);
     }
 
-    createStepperWidget(widgetId, config) {
-      const widget = this.createInteractiveShell(widgetId, 'bd-widget-stepper', config);
+    createSortableWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-sortable', config);
       const labelId = `bd-widget-${widgetId}-label`;
-      const label = this.createControlLabel(config, 'Value', labelId);
-
-      const controls = document.createElement('div');
-      controls.className = 'bd-widget-stepper-controls';
-      controls.setAttribute('role', 'group');
-      controls.setAttribute('aria-labelledby', labelId);
-
-      const btnDec = document.createElement('button');
-      btnDec.type = 'button';
-      btnDec.className = 'bd-widget-stepper-btn';
-      btnDec.dataset.dir = 'dec';
-      btnDec.setAttribute('aria-label', `Decrease ${config.label ?? 'value'}`);
-      btnDec.textContent = '−';
-
-      const display = document.createElement('span');
-      display.className = 'bd-widget-stepper-value';
-      display.setAttribute('aria-live', 'polite');
-      display.textContent = config.value ?? config.min ?? 0;
+      const label = this.createControlLabel(config, 'Order', labelId);
+      widget.setAttribute('role', 'group');
+      widget.setAttribute('aria-labelledby', labelId);
+      widget.appendChild(label);
+      this._buildSortableItems(widget, widgetId, config);
+      this.setInteractiveDisabled(widget, config);
+      return widget;
+    }
 
-      const btnInc = document.createElement('button');
-      btnInc.type = 'button';
-      btnInc.className = 'bd-widget-stepper-btn';
-      btnInc.dataset.dir = 'inc';
-      btnInc.setAttribute('aria-label', `Increase ${config.label ?? 'value'}`);
-      btnInc.textContent = '+';
+    _buildSortableItems(widget, widgetId, config) {
+      const items = Array.isArray(config.items) ? [...config.items] : [];
+      // Respect saved order if config.value is an ordered array of ids
+      const orderedIds = Array.isArray(config.value) ? config.value : null;
+      const ordered = orderedIds
+        ? orderedIds.map(id => items.find(it => String(it.id ?? it.value) === String(id))).filter(Boolean)
+        : items;
 
-      const clamp = (v, cfg) => {
-        const mn = cfg.min ?? -Infinity;
-        const mx = cfg.max ?? Infinity;
-        return Math.min(mx, Math.max(mn, v));
-      };
+      ordered.forEach((item, i) => {
+        const row = document.createElement('div');
+        row.className = 'bd-widget-sortable-item';
+        row.dataset.id = String(item.id ?? item.value ?? i);
+        row.setAttribute('role', 'button');
+        row.setAttribute('aria-roledescription', 'sortable item');
+        row.setAttribute('aria-keyshortcuts', 'Alt+ArrowUp Alt+ArrowDown');
 
-      const handler = (dir) => () => {
-        const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
-        if (currentConfig.disabled) return;
-        const prev = Number(currentConfig.value ?? currentConfig.min ?? 0);
-        const step = currentConfig.step ?? 1;
-        const next = clamp(prev + (dir === 'inc' ? step : -step), currentConfig);
-        display.textContent = next;
-        this.emitInteraction(currentConfig, 'change', next, prev, { coalesce: true, optimisticValue: next });
-      };
+        const handle = document.createElement('span');
+        handle.className = 'bd-widget-sortable-handle';
+        handle.setAttribute('aria-hidden', 'true');
+        handle.textContent = '⠿';
 
-      btnDec.addEventListener('click', handler('dec'));
-      btnInc.addEventListener('click', handler('inc'));
+        const rank = document.createElement('span');
+        rank.className = 'bd-widget-sortable-rank';
+        rank.textContent = `${i + 1}.`;
 
-      controls.appendChild(btnDec);
-      controls.appendChild(display);
-      controls.appendChild(btnInc);
-      widget.appendChild(label);
-      widget.appendChild(controls);
-      this.setInteractiveDisabled(widget, config);
-      return widget;
-    }
+        const text = document.createElement('span');
+        text.className = 'bd-widget-sortable-text';
+        text.textContent = item.label ?? item.text ?? String(item);
 
-    updateStepperWidget(element, config) {
-      this.updateControlLabel(element, config, 'Value');
-      const display = element.querySelector('.bd-widget-stepper-value');
-      if (display) display.textContent = config.value ?? config.min ?? 0;
-      const dec = element.querySelector('.bd-widget-stepper-btn[data-dir="dec"]');
-      const inc = element.querySelector('.bd-widget-stepper-btn[data-dir="inc"]');
-      if (dec) dec.setAttribute('aria-label', `Decrease ${config.label ?? 'value'}`);
-      if (inc) inc.setAttribute('aria-label', `Increase ${config.label ?? 'value'}`);
-      this.setInteractiveDisabled(element, config);
-    }
+        const arrows = document.createElement('div');
+        arrows.className = 'bd-widget-sortable-arrows';
 
-    createConfirmWidget(widgetId, config) {
-      const widget = this.createInteractiveShell(widgetId, 'bd-widget-confirm', config);
+        const up = document.createElement('button');
+        up.type = 'button';
+        up.className = 'bd-widget-sortable-arrow';
+        up.dataset.dir = 'up';
+        up.textContent = '▲';
 
-      const btn = document.createElement('button');
-      btn.type = 'button';
-      btn.className = 'bd-widget-confirm-btn';
-      btn.dataset.confirmState = 'idle';
-      btn.setAttribute('aria-pressed', 'false');
+        const down = document.createElement('button');
+        down.type = 'button';
+        down.className = 'bd-widget-sortable-arrow';
+        down.dataset.dir = 'down';
+        down.textContent = '▼';
 
-      const icon = document.createElement('span');
-      icon.className = 'bd-widget-confirm-icon';
-      icon.textContent = '⚠️';
+        // Rows take the arrow keys themselves (see _onSortableKeydown), so
+        // the buttons stay out of the tab order.
+        this.setLocalTabIndex(up, -1);
+        this.setLocalTabIndex(down, -1);
 
-      const text = document.createElement('span');
-      text.className = 'bd-widget-confirm-text';
-      text.textContent = config.text ?? config.label ?? 'Confirm';
+        const moveHandler = (dir) => () => {
+          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+          if (currentConfig.disabled) return;
+          if (this._shiftSortableRow(widget, row, dir)) this._emitSortableOrder(widget, widgetId, config);
+        };
 
-      btn.appendChild(icon);
-      btn.appendChild(text);
+        up.addEventListener('click', moveHandler(-1));
+        down.addEventListener('click', moveHandler(1));
 
-      let confirmTimer = null;
-      btn.addEventListener('click', () => {
-        const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
-        if (currentConfig.disabled) return;
+        arrows.appendChild(up);
+        arrows.appendChild(down);
 
-        if (btn.dataset.confirmState === 'idle') {
-          // First click — arm it
-          btn.dataset.confirmState = 'confirming';
-          btn.setAttribute('aria-pressed', 'true');
-          text.textContent = 'Confirm?';
-          confirmTimer = setTimeout(() => {
-            btn.dataset.confirmState = 'idle';
-            btn.setAttribute('aria-pressed', 'false');
-            text.textContent = currentConfig.text ?? currentConfig.label ?? 'Confirm';
-          }, 3000);
-        } else {
-          // Second click — fire
-          clearTimeout(confirmTimer);
-          btn.dataset.confirmState = 'idle';
-          btn.setAttribute('aria-pressed', 'false');
-          text.textContent = currentConfig.text ?? currentConfig.label ?? 'Confirm';
-          const value = currentConfig.value !== undefined ? currentConfig.value : true;
-          this.emitInteraction(currentConfig, 'confirm', value, undefined, { coalesce: false });
-        }
+        row.appendChild(handle);
+        row.appendChild(rank);
+        row.appendChild(text);
+        row.appendChild(arrows);
+        widget.appendChild(row);
       });
-
-      widget.appendChild(btn);
-      this.setInteractiveDisabled(widget, config);
-      return widget;
+      this.syncSortableState(widget);
+      const rows = Array.from(widget.querySelectorAll('.bd-widget-sortable-item'));
+      this.setRovingItems(rows, rows[0]);
     }
 
-    updateConfirmWidget(element, config) {
-      const text = element.querySelector('.bd-widget-confirm-text');
-      const btn = element.querySelector('.bd-widget-confirm-btn');
-      if (text && btn && btn.dataset.confirmState === 'idle') {
-        text.textContent = config.text ?? config.label ?? 'Confirm';
+    // Moves `row` one place up (-1) or down (1); false when it is already
+    // at that end.
+    _shiftSortableRow(widget, row, dir) {
+      const allRows = Array.from(widget.querySelectorAll('.bd-widget-sortable-item'));
+      const target = allRows.indexOf(row) + dir;
+      if (target < 0 || target >= allRows.length) return false;
+      if (dir === -1) widget.insertBefore(row, allRows[target]);
+      else widget.insertBefore(allRows[target], row);
+      this.syncSortableState(widget);
+      return true;
+    }
+
+    _emitSortableOrder(widget, widgetId, config) {
+      const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+      const nextValue = Array.from(widget.querySelectorAll('.bd-widget-sortable-item')).map(r => r.dataset.id);
+      this.emitInteraction(currentConfig, 'reorder', nextValue, currentConfig.value, { coalesce: true, optimisticValue: nextValue });
+    }
+
+    updateSortableWidget(element, widgetId, config) {
+      element.setAttribute('role', 'group');
+      element.setAttribute('aria-labelledby', `bd-widget-${widgetId}-label`);
+      // Leave the rows alone while the player is carrying one; the drop
+      // reports the new order.
+      if (this.sortableGrabs.has(widgetId) && !config.disabled) {
+        this.setInteractiveDisabled(element, config);
+        return;
       }
+      this.sortableGrabs.delete(widgetId);
+      // Remove existing item rows but keep the label
+      element.querySelectorAll('.bd-widget-sortable-item').forEach(r => r.remove());
+      this._buildSortableItems(element, widgetId, config);
       this.setInteractiveDisabled(element, config);
     }
 
-    createChipselectWidget(widgetId, config) {
-      const widget = this.createInteractiveShell(widgetId, 'bd-widget-chipselect', config);
+    // ---------------------------------------------------------------
+    // SPATIAL WIDGETS
+    // ---------------------------------------------------------------
+
+    createGridWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-grid', config);
       const labelId = `bd-widget-${widgetId}-label`;
-      const label = this.createControlLabel(config, 'Select', labelId);
-      widget.appendChild(label);
-      const group = document.createElement('div');
-      group.className = 'bd-widget-chipselect-group';
-      group.setAttribute('role', 'group');
-      group.setAttribute('aria-labelledby', labelId);
-      // value may be an array (multi) or single primitive
-      const selected = this._normalizeChipValue(config.value);
-      this._buildChips(group, widgetId, config, selected);
-      widget.appendChild(group);
+      widget.appendChild(this.createControlLabel(config, 'Map', labelId));
+
+      const board = document.createElement('div');
+      board.className = 'bd-widget-grid-board';
+      board.setAttribute('role', 'grid');
+      board.setAttribute('aria-labelledby', labelId);
+      // One listener for the whole board; cells are rebuilt when the size changes.
+      board.addEventListener('click', (event) => {
+        const cell = event.target?.closest?.('.bd-widget-grid-cell');
+        if (!cell || cell.disabled) return;
+        const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
+        if (currentConfig.disabled) return;
+        const x = Number(cell.dataset.x);
+        const y = Number(cell.dataset.y);
+        const view = this._resolveGridCells(currentConfig)[y * currentConfig.width + x];
+        this.emitInteraction(currentConfig, 'cell', {
+          x,
+          y,
+          glyph: view?.glyph || null,
+          marker: !!view?.marker,
+        }, undefined, { coalesce: false });
+      });
+
+      widget.appendChild(board);
+      this._buildGridCells(board, config);
       this.setInteractiveDisabled(widget, config);
       return widget;
     }
 
-    _normalizeChipValue(value) {
-      if (Array.isArray(value)) return new Set(value.map(String));
-      if (value !== undefined && value !== null) return new Set([String(value)]);
-      return new Set();
+    // What each cell shows, row-major: the tile glyph, overridden by `cells`,
+    // styled from `legend`, then hidden by fog and topped by the marker.
+    _resolveGridCells(config) {
+      const width = config.width;
+      const height = config.height;
+      const tiles = Array.isArray(config.tiles) ? config.tiles.map(row => Array.from(String(row))) : [];
+      const legend = validators().isPlainObject(config.legend) ? config.legend : {};
+      const overrides = validators().isPlainObject(config.cells) ? config.cells : {};
+      const revealed = new Set(Array.isArray(config.revealed) ? config.revealed : []);
+      const marker = validators().isPlainObject(config.marker) ? config.marker : null;
+      const views = [];
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const key = `${x},${y}`;
+          const override = validators().isPlainObject(overrides[key]) ? overrides[key] : {};
+          const tile = tiles[y]?.[x];
+          const glyph = override.glyph ?? (tile && tile !== ' ' ? tile : '');
+          const entry = validators().isPlainObject(legend[glyph]) ? legend[glyph] : {};
+          const view = {
+            glyph,
+            color: override.color ?? entry.color ?? '',
+            tooltip: override.tooltip ?? entry.tooltip ?? '',
+            fogged: false,
+            marker: false,
+          };
+
+          if (marker && marker.x === x && marker.y === y) {
+            view.glyph = marker.glyph ?? '@';
+            view.color = marker.color ?? 'yellow';
+            view.tooltip = marker.tooltip ?? 'You are here';
+            view.marker = true;
+          } else if (config.fog && !revealed.has(key)) {
+            view.glyph = '';
+            view.color = '';
+            view.tooltip = '';
+            view.fogged = true;
+          }
+          views.push(view);
+        }
+      }
+      return views;
     }
 
-    _buildChips(group, widgetId, config, selectedSet) {
-      const options = Array.isArray(config.options) ? config.options : [];
-      options.forEach(opt => {
-        const norm = this.normalizeSelectOption(opt);
-        const chip = document.createElement('button');
-        chip.type = 'button';
-        chip.className = 'bd-widget-chip';
-        chip.dataset.value = String(norm.value);
-        chip.dataset.selected = selectedSet.has(String(norm.value)) ? 'true' : 'false';
-        chip.setAttribute('aria-pressed', chip.dataset.selected);
-        chip.textContent = norm.label;
+    _applyGridCell(cell, view) {
+      const x = cell.dataset.x;
+      const y = cell.dataset.y;
+      cell.textContent = view.glyph;
+      cell.title = view.tooltip;
+      const description = view.fogged ? 'Unexplored' : (view.tooltip || view.glyph || 'Empty');
+      cell.setAttribute('aria-label', `${description} (${x}, ${y})`);
+
+      const color = String(view.color || '').toLowerCase();
+      if (validators().PRESET_COLORS.has(color)) {
+        cell.dataset.color = color;
+        cell.style.color = '';
+      } else {
+        delete cell.dataset.color;
+        cell.style.color = view.color || '';
+      }
 
-        chip.addEventListener('click', () => {
-          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
-          if (currentConfig.disabled) return;
-          const currentSelected = this._normalizeChipValue(currentConfig.value);
-          const key = String(norm.value);
-          if (currentSelected.has(key)) {
-            currentSelected.delete(key);
-            chip.dataset.selected = 'false';
-            chip.setAttribute('aria-pressed', 'false');
-          } else {
-            currentSelected.add(key);
-            chip.dataset.selected = 'true';
-            chip.setAttribute('aria-pressed', 'true');
-          }
-          const nextValue = [...currentSelected];
-          this.emitInteraction(currentConfig, 'change', nextValue, currentConfig.value, { optimisticValue: nextValue });
-        });
+      cell.dataset.fog = String(view.fogged);
+      if (view.marker) cell.dataset.marker = 'true';
+      else delete cell.dataset.marker;
+      cell.dataset.widgetLocalDisabled = String(view.fogged);
+    }
 
-        group.appendChild(chip);
-      });
+    _applyGridSize(board, config) {
+      board.dataset.width = String(config.width);
+      board.dataset.height = String(config.height);
+      if (config.cellSize !== undefined) {
+        board.style.setProperty('--bd-grid-cell-size', `${config.cellSize}px`);
+      } else {
+        board.style.removeProperty('--bd-grid-cell-size');
+      }
     }
 
-    updateChipselectWidget(element, widgetId, config) {
-      this.updateControlLabel(element, config, 'Select');
-      const group = element.querySelector('.bd-widget-chipselect-group');
-      if (group) {
-        group.innerHTML = '';
-        group.setAttribute('role', 'group');
-        group.setAttribute('aria-labelledby', `bd-widget-${widgetId}-label`);
-        const selected = this._normalizeChipValue(config.value);
-        this._buildChips(group, widgetId, config, selected);
+    _buildGridCells(board, config) {
+      board.innerHTML = '';
+      this._applyGridSize(board, config);
+      const views = this._resolveGridCells(config);
+      for (let y = 0; y < config.height; y++) {
+        const row = document.createElement('div');
+        row.className = 'bd-widget-grid-row';
+        row.setAttribute('role', 'row');
+        for (let x = 0; x < config.width; x++) {
+          const cell = document.createElement('button');
+          cell.type = 'button';
+          cell.className = 'bd-widget-grid-cell';
+          cell.setAttribute('role', 'gridcell');
+          cell.dataset.x = String(x);
+          cell.dataset.y = String(y);
+          this._applyGridCell(cell, views[y * config.width + x]);
+          row.appendChild(cell);
+        }
+        board.appendChild(row);
+      }
+    }
+
+    // Only cells whose resolved view changed are touched, so moving the
+    // marker rewrites two cells rather than the whole board.
+    updateGridWidget(element, widgetId, config, existingConfig) {
+      this.updateControlLabel(element, config, 'Map');
+      const board = element.querySelector('.bd-widget-grid-board');
+      if (!board) return;
+
+      if (existingConfig.width !== config.width || existingConfig.height !== config.height) {
+        this._buildGridCells(board, config);
+      } else {
+        this._applyGridSize(board, config);
+        const previous = this._resolveGridCells(existingConfig);
+        const next = this._resolveGridCells(config);
+        const cells = board.querySelectorAll('.bd-widget-grid-cell');
+        next.forEach((view, index) => {
+          if (cells[index] && !valuesEqual(view, previous[index])) this._applyGridCell(cells[index], view);
+        });
       }
+
+      element.title = config.tooltip ?? config.title ?? '';
+      this.replaceStyles(element, existingConfig.style, config.style);
       this.setInteractiveDisabled(element, config);
     }
 
     // ---------------------------------------------------------------
-    // NEW CONTAINER / ACTION WIDGETS
+    // CHART WIDGETS
     // ---------------------------------------------------------------
 
-    createAccordionWidget(widgetId, config) {
-      const widget = this.createInteractiveShell(widgetId, 'bd-widget-accordion', config);
-      const items = Array.isArray(config.items) ? config.items : [];
-      items.forEach((item, i) => {
-        const section = this._buildAccordionSection(widgetId, item, i, config.value);
-        widget.appendChild(section);
-      });
+    createChartWidget(widgetId, config) {
+      const widget = this.createBaseWidget(widgetId, `bd-widget-chart bd-widget-${config.type}`, config);
+      this.applyStyles(widget, config.style);
+      this._renderChart(widget, config);
       return widget;
     }
 
-    _buildAccordionSection(widgetId, item, index, openValue) {
-      const isOpen = item.id !== undefined ? item.id === openValue : index === openValue;
-      const section = document.createElement('div');
-      section.className = 'bd-widget-accordion-section';
-      section.dataset.open = String(isOpen);
-      if (item.id !== undefined) section.dataset.id = String(item.id);
+    // Charts are small, so an update redraws the SVG rather than diffing it.
+    updateChartWidget(element, config, existingConfig) {
+      this.replaceStyles(element, existingConfig?.style, config.style);
+      this._renderChart(element, config);
+    }
 
-      const trigger = document.createElement('button');
-      trigger.type = 'button';
-      trigger.className = 'bd-widget-accordion-trigger';
-      trigger.setAttribute('aria-expanded', String(isOpen));
-      trigger.setAttribute('aria-controls', `bd-widget-${widgetId}-accordion-panel-${index}`);
+    _svg(tag, attrs = {}) {
+      const node = document.createElementNS(SVG_NS, tag);
+      for (const [name, value] of Object.entries(attrs)) node.setAttribute(name, String(value));
+      return node;
+    }
 
-      const triggerText = document.createElement('span');
-      triggerText.className = 'bd-widget-accordion-trigger-text';
-      triggerText.textContent = item.label ?? item.title ?? `Section ${index + 1}`;
+    // Named colors map to theme tokens in styles.css; anything else is used
+    // as a CSS color directly.
+    _applyChartColor(node, color) {
+      const colorLower = String(color || '').toLowerCase();
+      if (validators().PRESET_COLORS.has(colorLower)) {
+        node.setAttribute('data-color', colorLower);
+      } else if (color) {
+        node.style.setProperty('--bd-chart-color', color);
+      }
+    }
 
-      const arrow = document.createElement('span');
-      arrow.className = 'bd-widget-accordion-trigger-icon';
-      arrow.textContent = '▶';
+    _chartSeries(config) {
+      if (config.type === 'sparkline' || !Array.isArray(config.series)) {
+        return [{
+          label: config.label || 'Value',
+          color: config.color || CHART_PALETTE[0],
+          values: Array.isArray(config.values) ? config.values : [],
+        }];
+      }
+      return config.series.map((entry, index) => ({
+        label: entry.label ?? String(entry.id ?? `Series ${index + 1}`),
+        color: entry.color ?? (index === 0 ? config.color : undefined) ?? CHART_PALETTE[index % CHART_PALETTE.length],
+        values: Array.isArray(entry.values) ? entry.values : [],
+      }));
+    }
 
-      trigger.appendChild(triggerText);
-      trigger.appendChild(arrow);
+    _chartRange(config, series) {
+      const all = series.flatMap(entry => entry.values);
+      const floor = config.type === 'barchart' ? Math.min(0, ...all) : Math.min(...all);
+      let min = config.min ?? (all.length ? floor : 0);
+      let max = config.max ?? (all.length ? Math.max(...all) : 1);
+      if (max <= min) max = min + 1;
+      return { min, max };
+    }
 
-      trigger.addEventListener('click', () => {
-        const currentConfig = this.getCurrentWidgetConfig(widgetId, null);
-        const widget = section.closest('.bd-widget-accordion');
-        if (!widget) return;
-        const wasOpen = section.dataset.open === 'true';
-        widget.querySelectorAll('.bd-widget-accordion-section').forEach(s => this.setAccordionSectionOpen(s, false));
-        if (!wasOpen) this.setAccordionSectionOpen(section, true);
-        const newOpen = !wasOpen ? (item.id ?? index) : null;
-        this.emitInteraction(
-          currentConfig || { id: widgetId, type: 'accordion' },
-          'change',
-          newOpen,
-          currentConfig?.value,
-          { optimisticValue: newOpen },
-        );
-      });
+    _chartSummary(config, series) {
+      if (config.type === 'radar') {
+        const axes = Array.isArray(config.axes) ? config.axes : [];
+        return series.map(entry => `${entry.label}: ${axes.map((axis, i) => `${axis} ${entry.values[i] ?? 0}`).join(', ')}`).join('; ');
+      }
+      return series.map(entry => {
+        const last = entry.values[entry.values.length - 1];
+        return `${entry.label}: ${last === undefined ? 'no data' : `latest ${last}`} (${entry.values.length} points)`;
+      }).join('; ');
+    }
 
-      const panel = document.createElement('div');
-      panel.className = 'bd-widget-accordion-panel';
-      panel.id = `bd-widget-${widgetId}-accordion-panel-${index}`;
-      panel.hidden = !isOpen;
-      panel.textContent = item.content ?? item.text ?? '';
+    _renderChart(widget, config) {
+      widget.innerHTML = '';
+      const series = this._chartSeries(config);
+      const size = CHART_SIZE[config.type];
 
-      section.appendChild(trigger);
-      section.appendChild(panel);
-      return section;
-    }
+      if (config.label) {
+        const label = document.createElement('span');
+        label.className = 'bd-widget-label';
+        label.textContent = config.label;
+        widget.appendChild(label);
+      }
 
-    updateAccordionWidget(element, config) {
-      element.innerHTML = '';
-      const items = Array.isArray(config.items) ? config.items : [];
-      items.forEach((item, i) => {
-        const section = this._buildAccordionSection(config.id, item, i, config.value);
-        element.appendChild(section);
+      const svg = this._svg('svg', {
+        class: 'bd-widget-chart-svg',
+        viewBox: `0 0 ${size.width} ${size.height}`,
+        role: 'img',
+        'aria-label': `${config.label ? `${config.label}. ` : ''}${this._chartSummary(config, series)}`,
       });
-    }
+      if (config.type !== 'radar') svg.setAttribute('preserveAspectRatio', 'none');
+
+      if (config.type === 'barchart') this._drawBarChart(svg, config, series, size);
+      else if (config.type === 'radar') this._drawRadarChart(svg, config, series, size);
+      else this._drawLineChart(svg, config, series, size);
+      widget.appendChild(svg);
+
+      if (config.type === 'sparkline') {
+        const values = series[0].values;
+        if (config.showValue !== false && values.length) {
+          const value = document.createElement('span');
+          value.className = 'bd-widget-chart-value';
+          value.textContent = String(values[values.length - 1]);
+          widget.appendChild(value);
+        }
+        return;
+      }
 
-    createTabsWidget(widgetId, config) {
-      const widget = this.createInteractiveShell(widgetId, 'bd-widget-tabs', config);
-      const items = Array.isArray(config.items) ? config.items : [];
-      const activeId = config.value ?? items[0]?.id ?? 0;
+      const labels = Array.isArray(config.labels) ? config.labels : [];
+      if (config.type !== 'radar' && labels.length) {
+        const axis = document.createElement('div');
+        axis.className = 'bd-widget-chart-axis';
+        for (const text of labels.length > 1 ? [labels[0], labels[labels.length - 1]] : labels) {
+          const tick = document.createElement('span');
+          tick.textContent = text;
+          axis.appendChild(tick);
+        }
+        widget.appendChild(axis);
+      }
 
-      const bar = document.createElement('div');
-      bar.className = 'bd-widget-tabs-bar';
-      bar.setAttribute('role', 'tablist');
+      if (series.length > 1) {
+        const legend = document.createElement('div');
+        legend.className = 'bd-widget-chart-legend';
+        for (const entry of series) {
+          const item = document.createElement('span');
+          item.className = 'bd-widget-chart-legend-item';
+          const swatch = document.createElement('span');
+          swatch.className = 'bd-widget-chart-swatch';
+          this._applyChartColor(swatch, entry.color);
+          item.appendChild(swatch);
+          item.appendChild(document.createTextNode(entry.label));
+          legend.appendChild(item);
+        }
+        widget.appendChild(legend);
+      }
+    }
 
-      items.forEach((item, i) => {
-        const itemId = item.id ?? i;
-        const active = itemId === activeId;
-        const btn = document.createElement('button');
-        btn.type = 'button';
-        btn.className = 'bd-widget-tab-btn';
-        btn.dataset.tab = String(itemId);
-        btn.dataset.active = String(active);
-        btn.id = `bd-widget-${widgetId}-tab-${itemId}`;
-        btn.setAttribute('role', 'tab');
-        btn.setAttribute('aria-selected', String(active));
-        btn.setAttribute('aria-controls', `bd-widget-${widgetId}-panel-${itemId}`);
-        btn.tabIndex = active ? 0 : -1;
-        btn.textContent = item.label ?? item.title ?? `Tab ${i + 1}`;
+    _drawLineChart(svg, config, series, size) {
+      const { min, max } = this._chartRange(config, series);
+      const length = Math.max(0, ...series.map(entry => entry.values.length));
+      const pad = 2;
+      const x = index => (length > 1 ? (index / (length - 1)) * size.width : size.width / 2);
+      const y = value => size.height - pad - ((value - min) / (max - min)) * (size.height - pad * 2);
+
+      series.forEach((entry) => {
+        if (!entry.values.length) return;
+        const points = entry.values.map((value, index) => `${x(index).toFixed(2)},${y(value).toFixed(2)}`).join(' ');
+        const line = this._svg('polyline', {
+          class: 'bd-widget-chart-series bd-widget-chart-line',
+          points,
+          'vector-effect': 'non-scaling-stroke',
+        });
+        this._applyChartColor(line, entry.color);
+        svg.appendChild(line);
+      });
 
-        btn.addEventListener('click', () => {
-          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
-          const prev = currentConfig.value ?? items[0]?.id ?? 0;
-          this.activateTab(widget, itemId);
-          this.emitInteraction(currentConfig, 'change', itemId, prev, { optimisticValue: itemId });
+      if (config.type === 'sparkline' && series[0].values.length) {
+        const values = series[0].values;
+        const dot = this._svg('circle', {
+          class: 'bd-widget-chart-series bd-widget-chart-dot',
+          cx: x(values.length - 1).toFixed(2),
+          cy: y(values[values.length - 1]).toFixed(2),
+          r: 1.5,
+          'vector-effect': 'non-scaling-stroke',
         });
+        this._applyChartColor(dot, series[0].color);
+        svg.appendChild(dot);
+      }
+    }
 
-        bar.appendChild(btn);
+    _drawBarChart(svg, config, series, size) {
+      const { min, max } = this._chartRange(config, series);
+      const groups = Math.max(0, ...series.map(entry => entry.values.length));
+      if (!groups) return;
+      const labels = Array.isArray(config.labels) ? config.labels : [];
+      const groupWidth = size.width / groups;
+      const barWidth = (groupWidth * 0.8) / series.length;
+      const y = value => size.height - ((value - min) / (max - min)) * size.height;
+      const zero = y(Math.min(Math.max(0, min), max));
+
+      series.forEach((entry, seriesIndex) => {
+        entry.values.forEach((value, index) => {
+          const top = Math.min(y(value), zero);
+          const bar = this._svg('rect', {
+            class: 'bd-widget-chart-series bd-widget-chart-bar',
+            x: (index * groupWidth + groupWidth * 0.1 + seriesIndex * barWidth).toFixed(2),
+            y: top.toFixed(2),
+            width: Math.max(0.5, barWidth - 0.5).toFixed(2),
+            height: Math.max(0.5, Math.abs(zero - y(value))).toFixed(2),
+          });
+          this._applyChartColor(bar, entry.color);
+          const title = this._svg('title');
+          title.textContent = `${labels[index] ? `${labels[index]} · ` : ''}${entry.label}: ${value}`;
+          bar.appendChild(title);
+          svg.appendChild(bar);
+        });
       });
+    }
 
-      widget.appendChild(bar);
+    _drawRadarChart(svg, config, series, size) {
+      const axes = Array.isArray(config.axes) ? config.axes : [];
+      if (axes.length < 3) return;
+      const cx = size.width / 2;
+      const cy = size.height / 2;
+      const radius = Math.min(cx, cy) - 18;
+      const max = config.max ?? Math.max(1, ...series.flatMap(entry => entry.values));
+      const point = (index, ratio) => {
+        const angle = (Math.PI * 2 * index) / axes.length - Math.PI / 2;
+        return [cx + Math.cos(angle) * radius * ratio, cy + Math.sin(angle) * radius * ratio];
+      };
+      const polygon = ratios => ratios.map((ratio, i) => point(i, ratio).map(n => n.toFixed(2)).join(',')).join(' ');
 
-      items.forEach((item, i) => {
-        const itemId = item.id ?? i;
-        const active = itemId === activeId;
-        const panel = document.createElement('div');
-        panel.className = 'bd-widget-tabs-panel';
-        panel.id = `bd-widget-${widgetId}-panel-${itemId}`;
-        panel.dataset.tab = String(itemId);
-        panel.dataset.active = String(active);
-        panel.setAttribute('role', 'tabpanel');
-        panel.setAttribute('aria-labelledby', `bd-widget-${widgetId}-tab-${itemId}`);
-        panel.hidden = !active;
-        panel.textContent = item.content ?? item.text ?? '';
-        widget.appendChild(panel);
+      for (const ring of [0.5, 1]) {
+        svg.appendChild(this._svg('polygon', { class: 'bd-widget-chart-grid', points: polygon(axes.map(() => ring)) }));
+      }
+      axes.forEach((axis, index) => {
+        const [x2, y2] = point(index, 1);
+        svg.appendChild(this._svg('line', { class: 'bd-widget-chart-grid', x1: cx, y1: cy, x2: x2.toFixed(2), y2: y2.toFixed(2) }));
+        const [lx, ly] = point(index, 1.22);
+        const text = this._svg('text', {
+          class: 'bd-widget-chart-axis-label',
+          x: lx.toFixed(2),
+          y: ly.toFixed(2),
+          'text-anchor': Math.abs(lx - cx) < 1 ? 'middle' : (lx < cx ? 'end' : 'start'),
+          'dominant-baseline': 'middle',
+        });
+        text.textContent = axis;
+        svg.appendChild(text);
       });
 
-      return widget;
+      series.forEach((entry) => {
+        const ratios = axes.map((_, i) => Math.min(1, Math.max(0, (entry.values[i] ?? 0) / max)));
+        const shape = this._svg('polygon', {
+          class: 'bd-widget-chart-series bd-widget-chart-area',
+          points: polygon(ratios),
+        });
+        this._applyChartColor(shape, entry.color);
+        svg.appendChild(shape);
+      });
     }
 
-    updateTabsWidget(element, widgetId, config) {
-      element.innerHTML = '';
-      const items = Array.isArray(config.items) ? config.items : [];
-      const activeId = config.value ?? items[0]?.id ?? 0;
+    // ---------------------------------------------------------------
+    // DIALOG WIDGETS
+    // ---------------------------------------------------------------
 
-      const bar = document.createElement('div');
-      bar.className = 'bd-widget-tabs-bar';
-      bar.setAttribute('role', 'tablist');
+    // A dialog is a chip in its region plus a modal form kept in
+    // this.dialogs. Only one modal shows at a time; others wait their turn.
+    // The form reports once, as a `submit` (or `cancel`) event.
+    createDialogWidget(widgetId, config) {
+      const widget = this.createInteractiveShell(widgetId, 'bd-widget-dialog', config);
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'bd-widget-control bd-widget-dialog-open';
+      button.setAttribute('aria-haspopup', 'dialog');
 
-      items.forEach((item, i) => {
-        const itemId = item.id ?? i;
-        const active = itemId === activeId;
-        const btn = document.createElement('button');
-        btn.type = 'button';
-        btn.className = 'bd-widget-tab-btn';
-        btn.dataset.tab = String(itemId);
-        btn.dataset.active = String(active);
-        btn.id = `bd-widget-${widgetId}-tab-${itemId}`;
-        btn.setAttribute('role', 'tab');
-        btn.setAttribute('aria-selected', String(active));
-        btn.setAttribute('aria-controls', `bd-widget-${widgetId}-panel-${itemId}`);
-        btn.tabIndex = active ? 0 : -1;
-        btn.textContent = item.label ?? item.title ?? `Tab ${i + 1}`;
+      const text = document.createElement('span');
+      text.className = 'bd-widget-dialog-open-text';
+      const status = document.createElement('span');
+      status.className = 'bd-widget-dialog-status';
+
+      button.appendChild(text);
+      button.appendChild(status);
+      button.addEventListener('click', () => this.openDialog(widgetId));
+      widget.appendChild(button);
 
-        btn.addEventListener('click', () => {
-          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
-          const prev = currentConfig.value ?? items[0]?.id ?? 0;
-          this.activateTab(element, itemId);
-          this.emitInteraction(currentConfig, 'change', itemId, prev, { optimisticValue: itemId });
-        });
+      this.dialogs.set(widgetId, this._buildDialog(widgetId, config));
+      this.updateDialogWidget(widget, widgetId, config, null);
+      return widget;
+    }
 
-        bar.appendChild(btn);
+    _dialogSteps(config) {
+      if (Array.isArray(config.steps)) {
+        return config.steps.map(step => ({ title: step.title || '', text: step.text || '', fields: step.fields }));
+      }
+      return [{ title: '', text: '', fields: Array.isArray(config.fields) ? config.fields : [] }];
+    }
+
+    _buildDialog(widgetId, config) {
+      const backdrop = document.createElement('div');
+      backdrop.className = 'bd-widget-dialog-backdrop';
+      this.applyTheme(backdrop);
+
+      const panel = document.createElement('form');
+      panel.className = 'bd-widget-dialog-panel';
+      panel.noValidate = true;
+      panel.setAttribute('role', 'dialog');
+      panel.setAttribute('aria-modal', 'true');
+      panel.setAttribute('aria-labelledby', `bd-widget-${widgetId}-dialog-title`);
+      panel.setAttribute('aria-describedby', `bd-widget-${widgetId}-dialog-text`);
+
+      const title = document.createElement('h2');
+      title.className = 'bd-widget-dialog-title';
+      title.id = `bd-widget-${widgetId}-dialog-title`;
+
+      const text = document.createElement('p');
+      text.className = 'bd-widget-dialog-text';
+      text.id = `bd-widget-${widgetId}-dialog-text`;
+
+      const progress = document.createElement('div');
+      progress.className = 'bd-widget-dialog-progress';
+
+      const stepText = document.createElement('p');
+      stepText.className = 'bd-widget-dialog-step-text';
+
+      const summary = document.createElement('div');
+      summary.className = 'bd-widget-dialog-summary';
+      summary.setAttribute('role', 'alert');
+      summary.hidden = true;
+
+      const body = document.createElement('div');
+      body.className = 'bd-widget-dialog-body';
+
+      const actions = document.createElement('div');
+      actions.className = 'bd-widget-dialog-actions';
+      const actionButton = (className, type) => {
+        const button = document.createElement('button');
+        button.type = type;
+        button.className = `bd-widget-dialog-btn ${className}`;
+        actions.appendChild(button);
+        return button;
+      };
+      const cancel = actionButton('bd-widget-dialog-cancel', 'button');
+      const back = actionButton('bd-widget-dialog-back', 'button');
+      const next = actionButton('bd-widget-dialog-next', 'submit');
+      back.textContent = 'Back';
+
+      panel.appendChild(title);
+      panel.appendChild(text);
+      panel.appendChild(progress);
+      panel.appendChild(stepText);
+      panel.appendChild(summary);
+      panel.appendChild(body);
+      panel.appendChild(actions);
+      backdrop.appendChild(panel);
+
+      const dialog = {
+        widgetId, config, backdrop, panel, title, text, progress, stepText, summary, body, cancel, back, next,
+        fields: new Map(),
+        stepIndex: 0,
+        status: 'open',
+        wantsOpen: false,
+        returnFocus: null,
+      };
+
+      panel.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this._advanceDialog(dialog);
       });
+      back.addEventListener('click', () => this._showDialogStep(dialog, dialog.stepIndex - 1));
+      cancel.addEventListener('click', () => this._cancelDialog(dialog));
+      backdrop.addEventListener('keydown', (event) => this._onDialogKeydown(dialog, event));
 
-      element.appendChild(bar);
+      this._buildDialogFields(dialog, config, null);
+      return dialog;
+    }
 
-      items.forEach((item, i) => {
-        const itemId = item.id ?? i;
-        const active = itemId === activeId;
-        const panel = document.createElement('div');
-        panel.className = 'bd-widget-tabs-panel';
-        panel.id = `bd-widget-${widgetId}-panel-${itemId}`;
-        panel.dataset.tab = String(itemId);
-        panel.dataset.active = String(active);
-        panel.setAttribute('role', 'tabpanel');
-        panel.setAttribute('aria-labelledby', `bd-widget-${widgetId}-tab-${itemId}`);
-        panel.hidden = !active;
-        panel.textContent = item.content ?? item.text ?? '';
-        element.appendChild(panel);
+    // Rebuilds the form controls. `answers` carries what the player already
+    // typed across a rebuild; otherwise `value` and each field's `value` seed it.
+    _buildDialogFields(dialog, config, answers) {
+      dialog.body.innerHTML = '';
+      dialog.fields.clear();
+      const seeded = validators().isPlainObject(config.value) ? config.value : {};
+      this._dialogSteps(config).forEach((step, stepIndex) => {
+        for (const field of step.fields) {
+          const initial = answers && answers[field.id] !== undefined
+            ? answers[field.id]
+            : (seeded[field.id] !== undefined ? seeded[field.id] : field.value);
+          const control = this._buildDialogField(dialog.widgetId, field, initial);
+          control.stepIndex = stepIndex;
+          dialog.fields.set(field.id, control);
+          dialog.body.appendChild(control.wrap);
+        }
       });
+      this._showDialogStep(dialog, Math.min(dialog.stepIndex, this._dialogSteps(config).length - 1));
     }
 
-    createDropdownWidget(widgetId, config) {
-      const widget = this.createInteractiveShell(widgetId, 'bd-widget-dropdown', config);
-      widget.dataset.open = 'false';
+    _buildDialogField(widgetId, field, initial) {
+      const baseId = `bd-widget-${widgetId}-field-${field.id}`;
+      const wrap = document.createElement('div');
+      wrap.className = `bd-widget-dialog-field bd-widget-dialog-field-${field.type}`;
 
-      const trigger = document.createElement('button');
-      trigger.type = 'button';
-      trigger.className = 'bd-widget-dropdown-trigger';
-      trigger.setAttribute('aria-haspopup', 'menu');
-      trigger.setAttribute('aria-expanded', 'false');
-      trigger.setAttribute('aria-controls', `bd-widget-${widgetId}-menu`);
-      trigger.textContent = config.label ?? config.text ?? 'Actions';
+      // Single native controls get a real <label>; groups use aria-labelledby.
+      const labelsControl = ['input', 'textarea', 'select', 'slider'].includes(field.type);
+      const label = document.createElement(labelsControl ? 'label' : 'span');
+      label.className = 'bd-widget-control-label';
+      label.id = `${baseId}-label`;
+      label.textContent = field.label ?? field.id;
+      if (labelsControl) label.htmlFor = baseId;
+      if (field.required) label.dataset.required = 'true';
+
+      const error = document.createElement('span');
+      error.className = 'bd-widget-dialog-error';
+      error.id = `${baseId}-error`;
+
+      const control = { field, wrap, error, focusTarget: null, read: () => undefined, write: () => {} };
+      const describe = (el) => {
+        el.setAttribute('aria-describedby', error.id);
+        control.focusTarget = control.focusTarget || el;
+        return el;
+      };
 
-      const menu = document.createElement('div');
-      menu.className = 'bd-widget-dropdown-menu';
-      menu.id = `bd-widget-${widgetId}-menu`;
-      menu.setAttribute('role', 'menu');
-      menu.hidden = true;
-      this._buildDropdownItems(menu, widgetId, config);
+      wrap.appendChild(label);
+      switch (field.type) {
+        case 'input':
+        case 'textarea': {
+          const el = describe(document.createElement(field.type));
+          el.id = baseId;
+          el.className = `bd-widget-control bd-widget-${field.type}-control`;
+          el.placeholder = field.placeholder || '';
+          if (field.type === 'input') {
+            el.type = field.inputType || 'text';
+            el.maxLength = field.maxLength || validators().MAX_INPUT_LENGTH || 240;
+          } else {
+            el.rows = field.rows || 3;
+            el.maxLength = field.maxLength || validators().MAX_TEXTAREA_LENGTH || 1200;
+          }
+          if (field.required) el.required = true;
+          control.read = () => {
+            if (field.inputType !== 'number') return el.value;
+            return el.value.trim() === '' ? null : Number(el.value);
+          };
+          control.write = (value) => { el.value = value == null ? '' : String(value); };
+          wrap.appendChild(el);
+          break;
+        }
+        case 'select': {
+          const el = describe(document.createElement('select'));
+          el.id = baseId;
+          el.className = 'bd-widget-control bd-widget-select-control';
+          if (!field.required || initial === undefined) {
+            const empty = document.createElement('option');
+            empty.textContent = field.placeholder || 'Choose…';
+            empty.value = '';
+            el.appendChild(empty);
+          }
+          this.populateSelectOptions(el, field.options, initial);
+          control.read = () => (el.value === '' ? null : this.readSelectValue(el));
+          control.write = (value) => { el.value = value == null ? '' : this.optionDomValue(value); };
+          wrap.appendChild(el);
+          break;
+        }
+        case 'radio': {
+          const group = document.createElement('div');
+          group.className = 'bd-widget-radio-group';
+          group.setAttribute('role', 'radiogroup');
+          group.setAttribute('aria-labelledby', label.id);
+          describe(group);
+          const inputs = [];
+          for (const option of field.options.map(opt => this.normalizeSelectOption(opt))) {
+            const row = document.createElement('label');
+            row.className = 'bd-widget-radio-option';
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = baseId;
+            input.value = this.optionDomValue(option.value);
+            input.dataset.type = typeof option.value;
+            input.dataset.value = String(option.value);
+            input.disabled = option.disabled;
+            input.dataset.widgetLocalDisabled = String(!!option.disabled);
+            const dot = document.createElement('span');
+            dot.className = 'bd-widget-radio-dot';
+            const text = document.createElement('span');
+            text.className = 'bd-widget-radio-label';
+            text.textContent = option.label;
+            row.appendChild(input);
+            row.appendChild(dot);
+            row.appendChild(text);
+            group.appendChild(row);
+            inputs.push(input);
+          }
+          control.focusTarget = inputs.find(input => !input.disabled) || group;
+          control.read = () => {
+            const checked = inputs.find(input => input.checked);
+            return checked ? this.readSelectValue(checked) : null;
+          };
+          control.write = (value) => {
+            for (const input of inputs) input.checked = value != null && input.value === this.optionDomValue(value);
+          };
+          wrap.appendChild(group);
+          break;
+        }
+        case 'toggle': {
+          const row = document.createElement('label');
+          row.className = 'bd-widget-toggle-control';
+          const input = describe(document.createElement('input'));
+          input.type = 'checkbox';
+          input.setAttribute('aria-labelledby', label.id);
+          const slider = document.createElement('span');
+          slider.className = 'bd-widget-toggle-slider';
+          row.appendChild(input);
+          row.appendChild(slider);
+          control.read = () => !!input.checked;
+          control.write = (value) => { input.checked = !!value; };
+          wrap.appendChild(row);
+          break;
+        }
+        case 'slider': {
+          const range = describe(document.createElement('input'));
+          range.id = baseId;
+          range.type = 'range';
+          range.className = 'bd-widget-control bd-widget-slider-control';
+          range.min = String(field.min ?? 0);
+          range.max = String(field.max ?? 100);
+          range.step = String(field.step ?? 1);
+          const valueText = document.createElement('span');
+          valueText.className = 'bd-widget-slider-value';
+          range.addEventListener('input', () => { valueText.textContent = range.value; });
+          control.read = () => Number(range.value);
+          control.write = (value) => {
+            range.value = String(value ?? field.min ?? 0);
+            valueText.textContent = range.value;
+          };
+          wrap.appendChild(range);
+          wrap.appendChild(valueText);
+          break;
+        }
+        case 'stepper': {
+          const controls = document.createElement('div');
+          controls.className = 'bd-widget-stepper-controls';
+          controls.setAttribute('role', 'group');
+          controls.setAttribute('aria-labelledby', label.id);
+          const display = document.createElement('span');
+          display.className = 'bd-widget-stepper-value';
+          display.setAttribute('aria-live', 'polite');
+          let current = 0;
+          const clamp = v => Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, v));
+          const stepButton = (dir, symbol) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'bd-widget-stepper-btn';
+            button.dataset.dir = dir;
+            button.setAttribute('aria-label', `${dir === 'inc' ? 'Increase' : 'Decrease'} ${field.label ?? field.id}`);
+            button.textContent = symbol;
+            button.addEventListener('click', () => control.write(current + (dir === 'inc' ? 1 : -1) * (field.step ?? 1)));
+            return describe(button);
+          };
+          const dec = stepButton('dec', '−');
+          const inc = stepButton('inc', '+');
+          control.read = () => current;
+          control.write = (value) => {
+            current = clamp(Number(value ?? field.min ?? 0) || 0);
+            display.textContent = String(current);
+          };
+          controls.appendChild(dec);
+          controls.appendChild(display);
+          controls.appendChild(inc);
+          wrap.appendChild(controls);
+          break;
+        }
+        case 'chipselect': {
+          const group = document.createElement('div');
+          group.className = 'bd-widget-chipselect-group';
+          group.setAttribute('role', 'group');
+          group.setAttribute('aria-labelledby', label.id);
+          const chips = field.options.map((opt) => {
+            const option = this.normalizeSelectOption(opt);
+            const chip = describe(document.createElement('button'));
+            chip.type = 'button';
+            chip.className = 'bd-widget-chip';
+            chip.textContent = option.label;
+            chip.disabled = option.disabled;
+            chip.dataset.widgetLocalDisabled = String(!!option.disabled);
+            chip.addEventListener('click', () => {
+              const selected = chip.dataset.selected !== 'true';
+              chip.dataset.selected = String(selected);
+              chip.setAttribute('aria-pressed', String(selected));
+            });
+            group.appendChild(chip);
+            return { chip, value: option.value };
+          });
+          control.read = () => chips.filter(entry => entry.chip.dataset.selected === 'true').map(entry => entry.value);
+          control.write = (value) => {
+            const selected = this._normalizeChipValue(value);
+            for (const entry of chips) {
+              entry.chip.dataset.selected = String(selected.has(String(entry.value)));
+              entry.chip.setAttribute('aria-pressed', entry.chip.dataset.selected);
+            }
+          };
+          wrap.appendChild(group);
+          break;
+        }
+      }
 
-      trigger.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
-        if (currentConfig.disabled) return;
-        const isOpen = widget.dataset.open === 'true';
-        // Close all other dropdowns
-        document.querySelectorAll('.bd-widget-dropdown').forEach(d => this.setDropdownOpen(d, false));
-        this.setDropdownOpen(widget, !isOpen);
-      });
+      if (field.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'bd-widget-dialog-hint';
+        hint.textContent = field.hint;
+        wrap.appendChild(hint);
+      }
+      wrap.appendChild(error);
+      control.write(initial);
+      return control;
+    }
 
-      widget.appendChild(trigger);
-      widget.appendChild(menu);
-      this.setInteractiveDisabled(widget, config);
-      return widget;
+    _readDialogAnswers(dialog) {
+      const answers = {};
+      for (const [fieldId, control] of dialog.fields) answers[fieldId] = control.read();
+      return answers;
     }
 
-    _buildDropdownItems(menu, widgetId, config) {
-      const items = Array.isArray(config.items) ? config.items : [];
-      items.forEach(item => {
-        if (item.divider) {
-          const div = document.createElement('div');
-          div.className = 'bd-widget-dropdown-divider';
-          div.setAttribute('role', 'separator');
-          menu.appendChild(div);
-          return;
-        }
-        const row = document.createElement('button');
-        row.type = 'button';
-        row.className = 'bd-widget-dropdown-item';
-        row.setAttribute('role', 'menuitem');
-        if (item.danger) row.dataset.danger = 'true';
+    // Shows `failures` ({ [fieldId]: message }) next to their fields; keys
+    // that name no field are listed in the summary above the form.
+    _showDialogErrors(dialog, failures) {
+      const general = [];
+      for (const [fieldId, control] of dialog.fields) {
+        const message = failures?.[fieldId] || '';
+        control.error.textContent = message;
+        control.wrap.dataset.invalid = String(!!message);
+        control.focusTarget?.setAttribute('aria-invalid', String(!!message));
+      }
+      for (const [key, message] of Object.entries(failures || {})) {
+        if (!dialog.fields.has(key) && message) general.push(message);
+      }
+      dialog.summary.textContent = general.join(' ');
+      dialog.summary.hidden = general.length === 0;
+    }
 
-        if (item.icon) {
-          const icon = document.createElement('span');
-          icon.className = 'bd-widget-dropdown-item-icon';
-          icon.textContent = item.icon;
-          row.appendChild(icon);
-        }
-        row.appendChild(document.createTextNode(item.label ?? item.text ?? ''));
+    _showDialogStep(dialog, index) {
+      const steps = this._dialogSteps(dialog.config);
+      const stepIndex = Math.max(0, Math.min(index, steps.length - 1));
+      const step = steps[stepIndex];
+      const isLast = stepIndex === steps.length - 1;
+      dialog.stepIndex = stepIndex;
+
+      for (const control of dialog.fields.values()) control.wrap.hidden = control.stepIndex !== stepIndex;
+      dialog.progress.hidden = steps.length < 2;
+      dialog.progress.textContent = steps.length < 2
+        ? ''
+        : `Step ${stepIndex + 1} of ${steps.length}${step.title ? ` · ${step.title}` : ''}`;
+      dialog.stepText.textContent = step.text;
+      dialog.stepText.hidden = !step.text;
+      dialog.back.hidden = stepIndex === 0;
+      dialog.next.textContent = isLast ? (dialog.config.submitText || 'Submit') : 'Next';
+      dialog.next.dataset.final = String(isLast);
+      if (dialog.backdrop.parentNode) this._focusDialog(dialog);
+    }
 
-        row.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
-          if (currentConfig.disabled) return;
-          const val = item.value ?? item.id ?? item.label ?? item.text;
-          this.emitInteraction(currentConfig, 'select', val, currentConfig.value, { coalesce: false });
-          const widgetEl = row.closest('.bd-widget-dropdown');
-          if (widgetEl) this.setDropdownOpen(widgetEl, false);
-        });
+    _focusDialog(dialog) {
+      const visible = [...dialog.fields.values()].filter(control => control.stepIndex === dialog.stepIndex);
+      const target = visible.find(control => control.wrap.dataset.invalid === 'true') || visible[0];
+      (target?.focusTarget || dialog.next).focus?.();
+    }
 
-        menu.appendChild(row);
+    // Next validates the current step; Submit validates the whole form and
+    // jumps back to the first step with a problem.
+    _advanceDialog(dialog) {
+      const config = dialog.config;
+      if (config.disabled) return;
+      const answers = this._readDialogAnswers(dialog);
+      const steps = this._dialogSteps(config);
+
+      if (dialog.stepIndex < steps.length - 1) {
+        const stepIds = steps[dialog.stepIndex].fields.map(field => field.id);
+        const failures = validators().validateDialogValues(config, answers, stepIds);
+        this._showDialogErrors(dialog, failures);
+        if (Object.keys(failures).length === 0) this._showDialogStep(dialog, dialog.stepIndex + 1);
+        else this._focusDialog(dialog);
+        return;
+      }
+
+      const failures = validators().validateDialogValues(config, answers);
+      this._showDialogErrors(dialog, failures);
+      const firstInvalid = [...dialog.fields.values()].find(control => failures[control.field.id]);
+      if (firstInvalid) {
+        if (firstInvalid.stepIndex !== dialog.stepIndex) this._showDialogStep(dialog, firstInvalid.stepIndex);
+        else this._focusDialog(dialog);
+        return;
+      }
+
+      const currentConfig = this.getCurrentWidgetConfig(dialog.widgetId, config);
+      this.emitInteraction(currentConfig, 'submit', answers, currentConfig.value, {
+        coalesce: false,
+        optimisticValue: answers,
       });
+      this._setDialogStatus(dialog, 'submitted');
+      this.closeDialog(dialog.widgetId);
     }
 
-    updateDropdownWidget(element, widgetId, config) {
-      const trigger = element.querySelector('.bd-widget-dropdown-trigger');
-      if (trigger) {
-        trigger.textContent = config.label ?? config.text ?? 'Actions';
-        trigger.setAttribute('aria-haspopup', 'menu');
-        trigger.setAttribute('aria-expanded', String(element.dataset.open === 'true'));
-        trigger.setAttribute('aria-controls', `bd-widget-${widgetId}-menu`);
+    _cancelDialog(dialog) {
+      if (!dialog.config.dismissible) return;
+      const currentConfig = this.getCurrentWidgetConfig(dialog.widgetId, dialog.config);
+      this.emitInteraction(currentConfig, 'cancel', null, undefined, { coalesce: false });
+      this._setDialogStatus(dialog, 'cancelled');
+      this.closeDialog(dialog.widgetId);
+    }
+
+    // Escape cancels a dismissible dialog; Tab cycles inside the panel.
+    _onDialogKeydown(dialog, event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        this._cancelDialog(dialog);
+        return;
       }
-      const menu = element.querySelector('.bd-widget-dropdown-menu');
-      if (menu) {
-        menu.innerHTML = '';
-        menu.id = `bd-widget-${widgetId}-menu`;
-        menu.setAttribute('role', 'menu');
-        menu.hidden = element.dataset.open !== 'true';
-        this._buildDropdownItems(menu, widgetId, config);
+      if (event.key !== 'Tab') return;
+      const focusable = [...dialog.panel.querySelectorAll('button, input, select, textarea')]
+        .filter(el => !el.disabled && !el.closest('[hidden]'));
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
       }
-      this.setInteractiveDisabled(element, config);
     }
 
-    createSortableWidget(widgetId, config) {
-      const widget = this.createInteractiveShell(widgetId, 'bd-widget-sortable', config);
-      const labelId = `bd-widget-${widgetId}-label`;
-      const label = this.createControlLabel(config, 'Order', labelId);
-      widget.setAttribute('role', 'group');
-      widget.setAttribute('aria-labelledby', labelId);
-      widget.appendChild(label);
-      this._buildSortableItems(widget, widgetId, config);
-      this.setInteractiveDisabled(widget, config);
-      return widget;
+    _setDialogStatus(dialog, status) {
+      dialog.status = status;
+      const element = this.registeredWidgets.get(dialog.widgetId)?.element || dialog.chip;
+      if (!element) return;
+      element.dataset.dialogState = status;
+      const statusText = element.querySelector('.bd-widget-dialog-status');
+      if (statusText) {
+        statusText.textContent = { submitted: 'Sent', cancelled: 'Skipped' }[status] || '';
+      }
     }
 
-    _buildSortableItems(widget, widgetId, config) {
-      const items = Array.isArray(config.items) ? [...config.items] : [];
-      // Respect saved order if config.value is an ordered array of ids
-      const orderedIds = Array.isArray(config.value) ? config.value : null;
-      const ordered = orderedIds
-        ? orderedIds.map(id => items.find(it => String(it.id ?? it.value) === String(id))).filter(Boolean)
-        : items;
-
-      ordered.forEach((item, i) => {
-        const row = document.createElement('div');
-        row.className = 'bd-widget-sortable-item';
-        row.dataset.id = String(item.id ?? item.value ?? i);
+    openDialog(widgetId) {
+      const dialog = this.dialogs.get(widgetId);
+      if (!dialog || dialog.config.open === false) return;
+      this._setDialogStatus(dialog, 'open');
+      if (dialog.backdrop.parentNode) return;
+      if (this.activeDialogId && this.activeDialogId !== widgetId) {
+        dialog.wantsOpen = true;
+        return;
+      }
 
-        const handle = document.createElement('span');
-        handle.className = 'bd-widget-sortable-handle';
-        handle.setAttribute('aria-hidden', 'true');
-        handle.textContent = '⠿';
+      dialog.wantsOpen = false;
+      dialog.returnFocus = document.activeElement;
+      dialog.cancel.hidden = !dialog.config.dismissible;
+      document.body.appendChild(dialog.backdrop);
+      this.activeDialogId = widgetId;
+      this.boundDialogFocusIn = (event) => {
+        if (!dialog.panel.contains(event.target)) this._focusDialog(dialog);
+      };
+      document.addEventListener('focusin', this.boundDialogFocusIn);
+      this._focusDialog(dialog);
+    }
 
-        const rank = document.createElement('span');
-        rank.className = 'bd-widget-sortable-rank';
-        rank.textContent = `${i + 1}.`;
+    closeDialog(widgetId) {
+      const dialog = this.dialogs.get(widgetId);
+      if (!dialog) return;
+      dialog.wantsOpen = false;
+      if (!dialog.backdrop.parentNode) return;
+      dialog.backdrop.remove();
+      if (this.activeDialogId !== widgetId) return;
+
+      this.activeDialogId = null;
+      document.removeEventListener('focusin', this.boundDialogFocusIn);
+      this.boundDialogFocusIn = null;
+      if (dialog.returnFocus?.isConnected) dialog.returnFocus.focus?.();
+      dialog.returnFocus = null;
+
+      for (const [nextId, next] of this.dialogs) {
+        if (next.wantsOpen) {
+          this.openDialog(nextId);
+          break;
+        }
+      }
+    }
 
-        const text = document.createElement('span');
-        text.className = 'bd-widget-sortable-text';
-        text.textContent = item.label ?? item.text ?? String(item);
+    destroyDialog(widgetId) {
+      this.closeDialog(widgetId);
+      this.dialogs.delete(widgetId);
+    }
 
-        const arrows = document.createElement('div');
-        arrows.className = 'bd-widget-sortable-arrows';
+    updateDialogWidget(element, widgetId, config, existingConfig) {
+      const dialog = this.dialogs.get(widgetId);
+      if (!dialog) return;
+      dialog.config = config;
+      dialog.chip = element;
+      element.title = config.tooltip ?? '';
+      this.replaceStyles(element, existingConfig?.style, config.style);
 
-        const up = document.createElement('button');
-        up.type = 'button';
-        up.className = 'bd-widget-sortable-arrow';
-        up.dataset.dir = 'up';
-        up.textContent = '▲';
+      const chipText = element.querySelector('.bd-widget-dialog-open-text');
+      if (chipText) chipText.textContent = config.label ?? config.title ?? 'Open';
+      dialog.title.textContent = config.title ?? config.label ?? '';
+      dialog.text.textContent = config.text ?? '';
+      dialog.text.hidden = !config.text;
+      dialog.cancel.textContent = config.cancelText || 'Cancel';
+      dialog.cancel.hidden = !config.dismissible;
+
+      const formChanged = existingConfig
+        && (!valuesEqual(config.fields, existingConfig.fields) || !valuesEqual(config.steps, existingConfig.steps));
+      const reopened = existingConfig?.open === false && config.open !== false;
+      if (reopened) {
+        dialog.stepIndex = 0;
+        this._buildDialogFields(dialog, config, null);
+        this._showDialogErrors(dialog, null);
+      } else if (formChanged) {
+        this._buildDialogFields(dialog, config, this._readDialogAnswers(dialog));
+      } else {
+        this._showDialogStep(dialog, dialog.stepIndex);
+      }
 
-        const down = document.createElement('button');
-        down.type = 'button';
-        down.className = 'bd-widget-sortable-arrow';
-        down.dataset.dir = 'down';
-        down.textContent = '▼';
+      this.setInteractiveDisabled(element, config);
+      this.setInteractiveDisabled(dialog.panel, config);
 
-        const moveHandler = (dir) => () => {
-          const currentConfig = this.getCurrentWidgetConfig(widgetId, config);
-          if (currentConfig.disabled) return;
-          const allRows = Array.from(widget.querySelectorAll('.bd-widget-sortable-item'));
-          const idx = allRows.indexOf(row);
-          const target = idx + dir;
-          if (target < 0 || target >= allRows.length) return;
-          if (dir === -1) widget.insertBefore(row, allRows[target]);
-          else widget.insertBefore(allRows[target], row);
-          this.syncSortableState(widget);
-          const reordered = Array.from(widget.querySelectorAll('.bd-widget-sortable-item'));
-          const nextValue = reordered.map(r => r.dataset.id);
-          this.emitInteraction(currentConfig, 'reorder', nextValue, currentConfig.value, { coalesce: true, optimisticValue: nextValue });
-        };
+      if (config.open === false) {
+        this.closeDialog(widgetId);
+        this._setDialogStatus(dialog, 'dismissed');
+        return;
+      }
 
-        up.addEventListener('click', moveHandler(-1));
-        down.addEventListener('click', moveHandler(1));
+      const errors = validators().isPlainObject(config.errors) ? config.errors : {};
+      const errorsChanged = Object.keys(errors).length > 0 && !valuesEqual(errors, existingConfig?.errors);
+      if (!existingConfig || reopened || errorsChanged) {
+        if (errorsChanged) {
+          this._showDialogErrors(dialog, errors);
+          const firstInvalid = [...dialog.fields.values()].find(control => errors[control.field.id]);
+          if (firstInvalid) this._showDialogStep(dialog, firstInvalid.stepIndex);
+        }
+        this.openDialog(widgetId);
+      } else {
+        this._setDialogStatus(dialog, dialog.status);
+      }
+    }
 
-        arrows.appendChild(up);
-        arrows.appendChild(down);
+    // ---------------------------------------------------------------
+    // MEDIA WIDGETS
+    // ---------------------------------------------------------------
 
-        row.appendChild(handle);
-        row.appendChild(rank);
-        row.appendChild(text);
-        row.appendChild(arrows);
-        widget.appendChild(row);
+    // The picture sits in a fixed frame. A sprite is cropped by scaling the
+    // whole sheet and sliding it under the frame, which works without
+    // knowing the sheet's own size.
+    createImageWidget(widgetId, config) {
+      const widget = this.createBaseWidget(widgetId, 'bd-widget-image', config);
+
+      const frame = document.createElement('div');
+      frame.className = 'bd-widget-image-frame';
+      const img = document.createElement('img');
+      img.className = 'bd-widget-image-img';
+      img.decoding = 'async';
+      img.draggable = false;
+      img.addEventListener('load', () => { widget.dataset.imageState = 'ready'; });
+      img.addEventListener('error', () => {
+        if (img.getAttribute('src')) widget.dataset.imageState = 'error';
       });
-      this.syncSortableState(widget);
+      const fallback = document.createElement('span');
+      fallback.className = 'bd-widget-image-fallback';
+      fallback.setAttribute('aria-hidden', 'true');
+      frame.appendChild(img);
+      frame.appendChild(fallback);
+
+      const caption = document.createElement('span');
+      caption.className = 'bd-widget-label bd-widget-image-caption';
+
+      widget.appendChild(frame);
+      widget.appendChild(caption);
+      this.updateImageWidget(widget, widgetId, config, null);
+      return widget;
     }
 
-    updateSortableWidget(element, widgetId, config) {
-      // Remove existing item rows but keep the label
-      element.setAttribute('role', 'group');
-      element.setAttribute('aria-labelledby', `bd-widget-${widgetId}-label`);
-      element.querySelectorAll('.bd-widget-sortable-item').forEach(r => r.remove());
-      this._buildSortableItems(element, widgetId, config);
-      this.setInteractiveDisabled(element, config);
+    updateImageWidget(element, widgetId, config, existingConfig) {
+      const frame = element.querySelector('.bd-widget-image-frame');
+      const img = element.querySelector('.bd-widget-image-img');
+      const fallback = element.querySelector('.bd-widget-image-fallback');
+      const caption = element.querySelector('.bd-widget-image-caption');
+      if (!frame || !img) return;
+
+      img.alt = config.alt;
+      if (fallback) fallback.textContent = config.alt || '?';
+      if (caption) {
+        caption.textContent = config.label ?? '';
+        caption.hidden = !config.label;
+      }
+      element.title = config.tooltip ?? config.title ?? '';
+      this._layoutImage(frame, img, config);
+      this.replaceStyles(element, existingConfig?.style, config.style);
+
+      if (!existingConfig || existingConfig.src !== config.src) this._loadImageSource(element, widgetId, img, config.src);
+    }
+
+    _layoutImage(frame, img, config) {
+      const rect = validators().getSpriteRect(config.sprite);
+      let width = config.width;
+      let height = config.height;
+      if (rect) {
+        if (width === undefined && height === undefined) {
+          width = rect.width;
+          height = rect.height;
+        } else if (width === undefined) {
+          width = Math.round((height * rect.width) / rect.height);
+        } else if (height === undefined) {
+          height = Math.round((width * rect.height) / rect.width);
+        }
+        img.style.transform = `scale(${width / rect.width}, ${height / rect.height}) translate(${-rect.x}px, ${-rect.y}px)`;
+      } else {
+        img.style.transform = '';
+      }
+
+      frame.classList.toggle('bd-widget-image-sprite', !!rect);
+      frame.classList.toggle('bd-widget-image-pixelated', !!config.pixelated);
+      frame.classList.toggle('bd-widget-image-sized', width !== undefined);
+      frame.dataset.fit = config.fit || 'contain';
+      frame.style.width = width !== undefined ? `${width}px` : '';
+      frame.style.height = height !== undefined ? `${height}px` : '';
+    }
+
+    // Loads are keyed by src; a result that arrives after the widget moved
+    // on to another src is dropped.
+    _loadImageSource(element, widgetId, img, src) {
+      element.dataset.imageSrc = src;
+      element.dataset.imageState = 'loading';
+      let request;
+      if (validators().isImageDataUri(src)) request = Promise.resolve(src);
+      else if (this.loadImage) request = Promise.resolve().then(() => this.loadImage(src));
+      else request = Promise.reject({ code: 'image_unavailable', message: 'No image loader for remote sources' });
+
+      request.then((url) => {
+        if (element.dataset.imageSrc !== src) return;
+        img.src = url;
+      }).catch((err) => {
+        if (element.dataset.imageSrc !== src) return;
+        img.removeAttribute('src');
+        element.dataset.imageState = 'error';
+        this.warnOnce(`image:${widgetId}:${src}`, `Image for "${widgetId}" failed to load:`, err?.message || err);
+      });
     }
 
     emitWidget(action, widgetId, config) {
@@ -0,0 +1,197 @@
+// modules/widget/snippets.js
+//
+// One ready-to-paste manifest entry per widget type, for the widget sandbox
+// page and anyone writing a manifest by hand. Every snippet passes
+// validateWidgetConfig as-is; tests/widget-sandbox-contract.test.js keeps
+// the list in step with WIDGET_TYPES.
+
+(function () {
+  if (window.UltrascriptsWidgetSnippets) return;
+
+  const SPRITE_SHEET = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAYAAAAf8/9hAAAAX0lEQVR42mNgoCZ46uH7H4RxyXvsrvgPwng14zIEphmrIeia0Q1B14xhCMUGUOwFqgTi4ABOMx/+B2Fc8m9Oev8HYbyacRkC04zVEHTN6Iaga8YwhGIDKPYCVQKRXAAAA9cASGBrZmkAAAAASUVORK5CYII=';
+
+  // Grouped as the widget docs group them; `widget` is the manifest entry.
+  const SNIPPETS = [
+    { group: 'Display', type: 'stat', widget: { id: 'hp', type: 'stat', label: 'HP', value: 87, color: 'red' } },
+    { group: 'Display', type: 'bar', widget: { id: 'xp', type: 'bar', label: 'XP', value: 60, max: 100, color: 'purple' } },
+    { group: 'Display', type: 'counter', widget: { id: 'gold', type: 'counter', label: 'Gold', value: 137, icon: '💰' } },
+    { group: 'Display', type: 'progress', widget: { id: 'quest', type: 'progress', label: 'Quest', value: 65, max: 100 } },
+    { group: 'Display', type: 'text', widget: { id: 'note', type: 'text', text: 'The dungeon grows darker...' } },
+    { group: 'Display', type: 'badge', widget: { id: 'rare', type: 'badge', text: 'Rare Drop', variant: 'outline', color: 'purple' } },
+    { group: 'Display', type: 'icon', widget: { id: 'hero', type: 'icon', icon: '⚔️', text: 'Warrior', color: 'orange' } },
+    {
+      group: 'Display',
+      type: 'taggroup',
+      widget: {
+        id: 'status', type: 'taggroup', label: 'Status',
+        items: [{ label: 'Poisoned', color: 'green' }, { label: 'Blessed', color: 'yellow' }],
+      },
+    },
+    { group: 'Display', type: 'divider', widget: { id: 'break', type: 'divider', label: 'Section Break' } },
+    {
+      group: 'Display',
+      type: 'panel',
+      widget: {
+        id: 'stats', type: 'panel', title: 'Character Stats',
+        items: [{ label: 'Strength', value: 18 }, { label: 'Wisdom', value: 10 }],
+      },
+    },
+    { group: 'Display', type: 'list', widget: { id: 'log', type: 'list', title: 'Journal', items: ['Found a key', 'Met the smith'] } },
+    {
+      group: 'Display',
+      type: 'custom',
+      widget: { id: 'scroll', type: 'custom', html: '<strong>Ancient scroll</strong><p>The runes glow faintly.</p>' },
+    },
+    { group: 'Interactive', type: 'button', widget: { id: 'attack', type: 'button', text: 'Attack', value: 'strike' } },
+    { group: 'Interactive', type: 'toggle', widget: { id: 'defend', type: 'toggle', label: 'Defend', value: true } },
+    {
+      group: 'Interactive',
+      type: 'select',
+      widget: {
+        id: 'mode', type: 'select', label: 'Mode', value: 'manual',
+        options: [{ value: 'auto', label: 'Auto' }, { value: 'manual', label: 'Manual' }],
+      },
+    },
+    { group: 'Interactive', type: 'slider', widget: { id: 'volume', type: 'slider', label: 'Volume', min: 0, max: 100, value: 70 } },
+    { group: 'Interactive', type: 'input', widget: { id: 'name', type: 'input', label: 'Name', value: 'Aldric' } },
+    { group: 'Interactive', type: 'textarea', widget: { id: 'bio', type: 'textarea', label: 'Bio', value: 'A knight from the northern reach.' } },
+    {
+      group: 'Interactive',
+      type: 'radio',
+      widget: {
+        id: 'stance', type: 'radio', label: 'Stance', value: 'def',
+        options: [{ value: 'aggro', label: 'Aggressive' }, { value: 'def', label: 'Defensive' }],
+      },
+    },
+    { group: 'Interactive', type: 'stepper', widget: { id: 'level', type: 'stepper', label: 'Level', value: 12, min: 1, max: 99 } },
+    { group: 'Interactive', type: 'confirm', widget: { id: 'rest', type: 'confirm', text: 'Rest here' } },
+    {
+      group: 'Interactive',
+      type: 'chipselect',
+      widget: {
+        id: 'party', type: 'chipselect', label: 'Party', value: ['a'],
+        options: [{ value: 'a', label: 'Aldric' }, { value: 'k', label: 'Kira' }, { value: 'l', label: 'Lyra' }],
+      },
+    },
+    {
+      group: 'Containers',
+      type: 'accordion',
+      widget: {
+        id: 'inv', type: 'accordion', value: 'weap',
+        items: [
+          { id: 'weap', label: 'Weapons', content: 'Flame Blade, Oak Shield' },
+          { id: 'pot', label: 'Potions', content: 'Health x3' },
+        ],
+      },
+    },
+    {
+      group: 'Containers',
+      type: 'tabs',
+      widget: {
+        id: 'info', type: 'tabs', value: 'stats',
+        items: [
+          { id: 'stats', label: 'Stats', content: 'HP 87/100 · Level 12' },
+          { id: 'skills', label: 'Skills', content: 'Fireball Lv5' },
+        ],
+      },
+    },
+    {
+      group: 'Containers',
+      type: 'dropdown',
+      widget: {
+        id: 'actions', type: 'dropdown', label: 'Actions',
+        items: [{ label: 'Inspect', icon: '🔍' }, { divider: true }, { label: 'Attack', icon: '🗡️', danger: true }],
+      },
+    },
+    {
+      group: 'Containers',
+      type: 'sortable',
+      widget: {
+        id: 'prio', type: 'sortable', label: 'Priority', value: ['atk', 'def'],
+        items: [{ id: 'atk', label: 'Attack' }, { id: 'def', label: 'Defend' }],
+      },
+    },
+    {
+      group: 'Spatial',
+      type: 'grid',
+      widget: {
+        id: 'overworld', type: 'grid', label: 'Overworld', width: 6, height: 3,
+        tiles: ['^^~~..', '^..~T.', '..T..~'],
+        legend: { '^': { color: 'purple', tooltip: 'Mountains' }, '~': { color: 'blue', tooltip: 'River' } },
+      },
+    },
+    {
+      group: 'Spatial',
+      type: 'map',
+      widget: {
+        id: 'crypt', type: 'map', label: 'Crypt', width: 6, height: 4, fog: false,
+        tiles: ['######', '#....#', '#..>.#', '######'],
+        legend: { '#': { color: '#6b7280', tooltip: 'Wall' }, '>': { color: 'cyan', tooltip: 'Stairs down' } },
+        marker: { x: 1, y: 1, glyph: '@', color: 'yellow', tooltip: 'You' },
+      },
+    },
+    { group: 'Charts', type: 'sparkline', widget: { id: 'goldline', type: 'sparkline', label: 'Gold', values: [100, 120, 90, 140], color: 'yellow' } },
+    {
+      group: 'Charts',
+      type: 'linechart',
+      widget: {
+        id: 'standing', type: 'linechart', label: 'Standing', min: -10, max: 10,
+        series: [{ id: 'guild', label: 'Guild', values: [0, 3, 5], color: 'cyan' }],
+      },
+    },
+    {
+      group: 'Charts',
+      type: 'barchart',
+      widget: {
+        id: 'supplies', type: 'barchart', label: 'Supplies', labels: ['Food', 'Water'],
+        series: [{ id: 'now', label: 'Now', values: [8, 6], color: 'green' }],
+      },
+    },
+    {
+      group: 'Charts',
+      type: 'radar',
+      widget: {
+        id: 'bonds', type: 'radar', label: 'Relationships', axes: ['Aria', 'Bram', 'Cole'], max: 10,
+        series: [{ id: 'trust', label: 'Trust', values: [6, 3, 8], color: 'purple' }],
+      },
+    },
+    {
+      group: 'Forms',
+      type: 'dialog',
+      widget: {
+        id: 'hero', type: 'dialog', label: 'Your hero', title: 'Choose your class', dismissible: true,
+        fields: [
+          { id: 'name', type: 'input', label: 'Name', required: true, maxLength: 24 },
+          { id: 'class', type: 'radio', label: 'Class', options: ['Warrior', 'Mage', 'Rogue'] },
+        ],
+      },
+    },
+    {
+      group: 'Media',
+      type: 'image',
+      widget: {
+        id: 'walker', type: 'image', label: 'Sprite', width: 32, pixelated: true,
+        src: SPRITE_SHEET, alt: 'Walking gem', sprite: { width: 8, height: 8, columns: 2, frame: 0 },
+      },
+    },
+  ];
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // A fresh copy of the snippet for `type`, or null.
+  function get(type) {
+    const snippet = SNIPPETS.find(entry => entry.type === type);
+    return snippet ? clone(snippet.widget) : null;
+  }
+
+  window.UltrascriptsWidgetSnippets = {
+    list: () => SNIPPETS.map(({ group, type }) => ({ group, type })),
+    get,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.UltrascriptsWidgetSnippets;
+  }
+})();
@@ -39,15 +39,38 @@
     'tabs',
     'dropdown',
     'sortable',
+    // --- spatial ---
+    'grid',
+    'map',
+    // --- charts ---
+    'sparkline',
+    'linechart',
+    'barchart',
+    'radar',
+    // --- forms ---
+    'dialog',
+    // --- media ---
+    'image',
   ]);
 
   const VALID_ALIGNMENTS = new Set(['left', 'center', 'right']);
+  // Where a widget docks: the bar under the nav (`top`, laid out by `align`),
+  // a rail on either side of the story, or a free-floating panel.
+  const VALID_REGIONS = new Set(['top', 'left', 'right', 'floating']);
   const INTERACTIVE_WIDGET_TYPES = new Set([
     'button', 'toggle', 'select', 'slider', 'input', 'textarea',
     'radio', 'stepper', 'confirm', 'chipselect',
     'accordion', 'tabs', 'dropdown', 'sortable',
+    'grid', 'map',
+    'dialog',
   ]);
+  // `map` is the same widget as `grid`; the name just reads better in scripts.
+  const GRID_WIDGET_TYPES = new Set(['grid', 'map']);
+  const CHART_WIDGET_TYPES = new Set(['sparkline', 'linechart', 'barchart', 'radar']);
   const INPUT_TYPES = new Set(['text', 'search', 'number']);
+  // Controls a dialog form can hold. They render like the widgets of the
+  // same name but report only through the dialog's single submit event.
+  const DIALOG_FIELD_TYPES = new Set(['input', 'textarea', 'select', 'radio', 'toggle', 'slider', 'stepper', 'chipselect']);
   const MAX_WIDGETS = 40;
   const MAX_WIDGET_ID_LENGTH = 64;
   const MAX_LABEL_LENGTH = 120;
@@ -58,6 +81,27 @@
   const MAX_SELECT_OPTIONS = 40;
   const MAX_INPUT_LENGTH = 240;
   const MAX_TEXTAREA_LENGTH = 1200;
+  const MAX_GRID_SIZE = 40;
+  const MAX_GRID_GLYPH_LENGTH = 8;
+  const MIN_GRID_CELL_SIZE = 10;
+  const MAX_GRID_CELL_SIZE = 48;
+  const MAX_CHART_POINTS = 120;
+  const MAX_CHART_SERIES = 6;
+  const MIN_RADAR_AXES = 3;
+  const MAX_RADAR_AXES = 12;
+  // A submitted form is one event value, which the module keeps to 20 keys.
+  const MAX_DIALOG_FIELDS = 20;
+  const MAX_DIALOG_STEPS = 6;
+  const MAX_DIALOG_PATTERN_LENGTH = 200;
+  // Remote images are fetched by the background worker; inline ones ride in
+  // the state card, so they stay small.
+  const MAX_IMAGE_URL_LENGTH = 2048;
+  const MAX_IMAGE_DATA_URI_LENGTH = 32768;
+  const MIN_IMAGE_SIZE = 8;
+  const MAX_IMAGE_SIZE = 320;
+  const MAX_SPRITE_SHEET_SIZE = 8192;
+  const IMAGE_DATA_URI_PATTERN = /^data:image\/(?:png|jpeg|gif|webp|avif);base64,[A-Za-z0-9+/]+={0,2}$/;
+  const IMAGE_FITS = new Set(['contain', 'cover']);
 
   const PRESET_COLORS = new Set([
     'red',
@@ -69,22 +113,108 @@
     'orange',
   ]);
 
+  // Scenario themes (`manifest.theme`). Palette values are plain CSS colors;
+  // fonts come from this allowlist of bundled or system stacks, which the
+  // renderer maps to a font-family.
+  const THEME_PALETTE_KEYS = new Set(['background', 'surface', 'border', 'text', 'muted', 'accent', 'good', 'warn', 'bad']);
+  const THEME_FONTS = new Set(['sans', 'mono', 'serif', 'system']);
+  const THEME_DENSITIES = new Set(['compact', 'normal', 'spacious']);
+  const MAX_THEME_RADIUS = 16;
+  // Fields a theme may default per widget type. Anything else is content
+  // and belongs on the widget itself.
+  const THEME_DEFAULT_FIELDS = new Set(['style', 'color', 'variant', 'size', 'showValue', 'align', 'region', 'announce', 'fit', 'pixelated']);
+  const THEME_COLOR_PATTERN = /^(?:#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|(?:rgb|hsl)a?\([\d\s.,%/+-]+\)|transparent)$/i;
+
+  const BUILTIN_THEMES = {
+    parchment: {
+      palette: {
+        background: '#efe2c4',
+        surface: '#e6d5ae',
+        border: '#a88a5c',
+        text: '#3a2a18',
+        muted: '#6f5a3e',
+        accent: '#8c3b1c',
+        good: '#4f7a2b',
+        warn: '#a8681a',
+        bad: '#962d2d',
+      },
+      font: 'serif',
+      radius: 3,
+      density: 'normal',
+      defaults: {},
+    },
+    terminal: {
+      palette: {
+        background: 'rgba(4, 12, 7, 0.94)',
+        surface: 'rgba(4, 12, 7, 0.96)',
+        border: '#1e6b3c',
+        text: '#8cffad',
+        muted: '#46a866',
+        accent: '#39ff88',
+        good: '#39ff88',
+        warn: '#ffd23f',
+        bad: '#ff5c5c',
+      },
+      font: 'mono',
+      radius: 0,
+      density: 'compact',
+      defaults: {},
+    },
+    minimal: {
+      palette: {
+        background: 'rgba(16, 16, 20, 0.82)',
+        surface: 'rgba(16, 16, 20, 0.9)',
+        border: 'rgba(255, 255, 255, 0.08)',
+        text: '#f2f2f5',
+        muted: '#8d8d97',
+        accent: '#d6d6de',
+      },
+      font: 'system',
+      radius: 6,
+      density: 'spacious',
+      defaults: {},
+    },
+  };
+
+  // Computed bindings (`bind`), evaluated by the renderer between turns.
+  // Numeric types take the result as their value, text types show it
+  // formatted.
+  const BINDABLE_WIDGET_TYPES = new Set(['stat', 'counter', 'bar', 'progress', 'text', 'badge']);
+  const BINDING_FORMATS = new Set(['number', 'duration', 'turns']);
+  const BINDING_GLOBALS = new Set(['now', 'liveCount']);
+  const MAX_BINDING_EXPR_LENGTH = 200;
+  const MAX_BINDING_VARS = 8;
+  const MAX_BINDING_DEPTH = 12;
+  const BINDING_FUNCTIONS = {
+    min: { arity: [1, 8], fn: Math.min },
+    max: { arity: [1, 8], fn: Math.max },
+    abs: { arity: [1, 1], fn: Math.abs },
+    floor: { arity: [1, 1], fn: Math.floor },
+    ceil: { arity: [1, 1], fn: Math.ceil },
+    round: { arity: [1, 1], fn: Math.round },
+    sign: { arity: [1, 1], fn: Math.sign },
+    clamp: { arity: [3, 3], fn: (x, lo, hi) => Math.min(hi, Math.max(lo, x)) },
+    // `t` is clamped to 0..1, so lerp(a, b, (now - start) / span) stops at b.
+    lerp: { arity: [3, 3], fn: (a, b, t) => a + (b - a) * Math.min(1, Math.max(0, t)) },
+  };
+
   const PRIMITIVE_STATE_FIELD_BY_TYPE = {
     text: 'text',
     badge: 'text',
     icon: 'icon',
+    image: 'src',
   };
 
   const WIDGET_STATE_FIELDS = {
-    stat: new Set(['value', 'color', 'style']),
-    bar: new Set(['value', 'max', 'progress', 'color', 'style']),
-    text: new Set(['text', 'color', 'style']),
+    stat: new Set(['value', 'color', 'bind', 'style']),
+    bar: new Set(['value', 'max', 'progress', 'color', 'bind', 'style']),
+    text: new Set(['text', 'color', 'bind', 'style']),
     panel: new Set(['items', 'content', 'style']),
     custom: new Set(['html', 'color', 'style']),
-    badge: new Set(['text', 'color', 'variant', 'style']),
+    badge: new Set(['text', 'color', 'variant', 'bind', 'style']),
     list: new Set(['items', 'style']),
     icon: new Set(['icon', 'text', 'color', 'size', 'style']),
-    counter: new Set(['value', 'delta', 'color', 'icon', 'style']),
+    counter: new Set(['value', 'delta', 'color', 'icon', 'bind', 'style']),
     button: new Set(['text', 'disabled', 'value', 'variant', 'style']),
     toggle: new Set(['value', 'disabled', 'style']),
     select: new Set(['value', 'disabled', 'style']),
@@ -92,7 +222,7 @@
     input: new Set(['value', 'disabled', 'style']),
     textarea: new Set(['value', 'disabled', 'style']),
     // new display
-    progress: new Set(['value', 'max', 'color', 'style']),
+    progress: new Set(['value', 'max', 'color', 'bind', 'style']),
     taggroup: new Set(['items', 'style']),
     divider: new Set(['label', 'style']),
     // new interactive
@@ -105,6 +235,18 @@
     tabs: new Set(['items', 'value', 'style']),
     dropdown: new Set(['items', 'value', 'disabled', 'style']),
     sortable: new Set(['items', 'value', 'disabled', 'style']),
+    // spatial — history values are diffs, see applyGridStatePatch
+    grid: new Set(['tiles', 'legend', 'cells', 'fog', 'revealed', 'reveal', 'marker', 'label', 'disabled', 'style']),
+    map: new Set(['tiles', 'legend', 'cells', 'fog', 'revealed', 'reveal', 'marker', 'label', 'disabled', 'style']),
+    // charts — `append` is replayed across history entries, see applyChartAppends
+    sparkline: new Set(['values', 'min', 'max', 'color', 'label', 'style']),
+    linechart: new Set(['values', 'series', 'labels', 'min', 'max', 'color', 'label', 'style']),
+    barchart: new Set(['values', 'series', 'labels', 'min', 'max', 'color', 'label', 'style']),
+    radar: new Set(['series', 'axes', 'max', 'label', 'style']),
+    // forms — `open: false` dismisses, `errors` reopens with script-side errors
+    dialog: new Set(['open', 'value', 'errors', 'title', 'text', 'label', 'disabled', 'style']),
+    // media — a `sprite` patch is merged into the manifest sprite, see applyImageStatePatch
+    image: new Set(['src', 'alt', 'sprite', 'label', 'width', 'height', 'style']),
   };
 
   function isPlainObject(value) {
@@ -162,6 +304,50 @@
     return PRIMITIVE_STATE_FIELD_BY_TYPE[config?.type] || 'value';
   }
 
+  // Grid cells are addressed as "x,y" with x the column and y the row, both
+  // zero-based from the top-left corner.
+  function parseGridKey(key) {
+    const match = typeof key === 'string' ? /^(\d+),(\d+)$/.exec(key) : null;
+    return match ? { x: Number(match[1]), y: Number(match[2]) } : null;
+  }
+
+  // History values for a grid are diffs against the manifest grid, so a turn
+  // only carries what changed: `cells` merges by key (null drops an override),
+  // `marker` merges into the manifest marker (so `{ x, y }` just moves it),
+  // `reveal` adds keys to `revealed`, and every other field replaces.
+  // Returns the errors for a patch that cannot be merged, leaving those
+  // fields as they were.
+  function applyGridStatePatch(config, patch) {
+    const errors = [];
+    const { cells, marker, reveal, ...rest } = patch;
+    Object.assign(config, rest);
+
+    if (isPlainObject(marker) && isPlainObject(config.marker)) {
+      config.marker = { ...config.marker, ...marker };
+    } else if (marker !== undefined) {
+      config.marker = marker;
+    }
+
+    if (isPlainObject(cells)) {
+      const merged = isPlainObject(config.cells) ? { ...config.cells } : {};
+      for (const [key, cell] of Object.entries(cells)) {
+        if (cell === null) delete merged[key];
+        else merged[key] = isPlainObject(merged[key]) && isPlainObject(cell) ? { ...merged[key], ...cell } : cell;
+      }
+      config.cells = merged;
+    } else if (cells !== undefined) {
+      config.cells = cells;
+    }
+
+    if (Array.isArray(reveal)) {
+      const revealed = Array.isArray(config.revealed) ? config.revealed : [];
+      config.revealed = [...new Set([...revealed, ...reveal])];
+    } else if (reveal !== undefined) {
+      errors.push(`${config.type === 'map' ? 'Map' : 'Grid'} widget "reveal" must be an array of "x,y" keys`);
+    }
+    return errors;
+  }
+
   function validatePrimitiveArray(value, label, maxItems, errors) {
     if (!Array.isArray(value)) {
       validateSelectPrimitive(value, label, errors);
@@ -282,6 +468,728 @@
     validateOptionalString(item.text, `Sortable item at index ${index} text`, MAX_TEXT_LENGTH, errors);
   }
 
+  // Charts keep their points in `values` (one series) or `series[].values`.
+  // Appends from history entries land on the matching series and the oldest
+  // points fall off past `maxPoints`, so a per-turn timeline never outgrows
+  // the validator. Returns how many appends were dropped as malformed.
+  function applyChartAppends(config, appends) {
+    if (config.type === 'radar' || !Array.isArray(appends) || appends.length === 0) return 0;
+    const limit = Number.isInteger(config.maxPoints) ? Math.min(config.maxPoints, MAX_CHART_POINTS) : MAX_CHART_POINTS;
+    const series = Array.isArray(config.series) ? config.series.filter(isPlainObject) : null;
+    let dropped = 0;
+
+    const push = (target, value) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        dropped++;
+        return target;
+      }
+      const next = Array.isArray(target) ? target.concat(value) : [value];
+      return next.length > limit ? next.slice(next.length - limit) : next;
+    };
+
+    for (const append of appends) {
+      if (!series || config.type === 'sparkline') {
+        config.values = push(config.values, append);
+      } else if (typeof append === 'number') {
+        if (series[0]) series[0].values = push(series[0].values, append);
+      } else if (isPlainObject(append)) {
+        for (const [seriesId, value] of Object.entries(append)) {
+          const target = series.find(entry => String(entry.id ?? entry.label) === seriesId);
+          if (target) target.values = push(target.values, value);
+          else dropped++;
+        }
+      } else {
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  // A dialog holds either `fields` (one page) or `steps` (each with its own
+  // `fields`); both come back here as one flat list in display order.
+  function getDialogFields(config) {
+    if (Array.isArray(config?.steps)) {
+      return config.steps.flatMap(step => (isPlainObject(step) && Array.isArray(step.fields) ? step.fields : []));
+    }
+    return Array.isArray(config?.fields) ? config.fields : [];
+  }
+
+  function isEmptyDialogValue(field, value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return field.type === 'toggle' && value === false;
+  }
+
+  // Checks one answer against the rules the script declared on its field.
+  // Returns the message to show, or null when the answer is acceptable.
+  function checkDialogField(field, value) {
+    const name = field.label || field.id;
+    const fail = fallback => field.message || fallback;
+    if (isEmptyDialogValue(field, value)) {
+      return field.required ? fail(`${name} is required`) : null;
+    }
+    if (Array.isArray(value)) {
+      if (Number.isInteger(field.minItems) && value.length < field.minItems) {
+        return fail(`Choose at least ${field.minItems} for ${name}`);
+      }
+      if (Number.isInteger(field.maxItems) && value.length > field.maxItems) {
+        return fail(`Choose at most ${field.maxItems} for ${name}`);
+      }
+      return null;
+    }
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) return fail(`${name} must be a number`);
+      if (typeof field.min === 'number' && value < field.min) return fail(`${name} must be at least ${field.min}`);
+      if (typeof field.max === 'number' && value > field.max) return fail(`${name} must be at most ${field.max}`);
+    }
+    if (typeof value === 'string') {
+      if (Number.isInteger(field.minLength) && value.length < field.minLength) {
+        return fail(`${name} must be at least ${field.minLength} characters`);
+      }
+      if (Number.isInteger(field.maxLength) && value.length > field.maxLength) {
+        return fail(`${name} must be ${field.maxLength} characters or fewer`);
+      }
+      if (typeof field.pattern === 'string') {
+        let matches = true;
+        try { matches = new RegExp(field.pattern).test(value); } catch { /* rejected at validation */ }
+        if (!matches) return fail(`${name} is not in the expected format`);
+      }
+    }
+    return null;
+  }
+
+  // `{ [fieldId]: message }` for every answer in `values` that breaks its
+  // field's rules; pass `fieldIds` to check only part of the form (one step).
+  function validateDialogValues(config, values, fieldIds = null) {
+    const answers = isPlainObject(values) ? values : {};
+    const failures = {};
+    for (const field of getDialogFields(config)) {
+      if (!isPlainObject(field) || (fieldIds && !fieldIds.includes(field.id))) continue;
+      const message = checkDialogField(field, answers[field.id]);
+      if (message) failures[field.id] = message;
+    }
+    return failures;
+  }
+
+  function validateDialogField(field, label, errors) {
+    if (!isPlainObject(field)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof field.id !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(field.id)) {
+      errors.push(`${label} "id" must be 1-64 letters, digits, underscores, or hyphens`);
+    }
+    if (!DIALOG_FIELD_TYPES.has(field.type)) {
+      errors.push(`${label} "type" must be one of: ${[...DIALOG_FIELD_TYPES].join(', ')}`);
+      return;
+    }
+    validateOptionalString(field.label, `${label} label`, MAX_LABEL_LENGTH, errors);
+    validateOptionalString(field.placeholder, `${label} placeholder`, MAX_LABEL_LENGTH, errors);
+    validateOptionalString(field.hint, `${label} hint`, MAX_TEXT_LENGTH, errors);
+    validateOptionalString(field.message, `${label} message`, MAX_LABEL_LENGTH, errors);
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      errors.push(`${label} "required" must be a boolean`);
+    }
+    for (const key of ['minLength', 'maxLength', 'minItems', 'maxItems']) {
+      if (field[key] !== undefined && (!Number.isInteger(field[key]) || field[key] < 0)) {
+        errors.push(`${label} "${key}" must be a non-negative integer`);
+      }
+    }
+    for (const key of ['min', 'max']) {
+      if (field[key] !== undefined && (typeof field[key] !== 'number' || !Number.isFinite(field[key]))) {
+        errors.push(`${label} "${key}" must be a number`);
+      }
+    }
+    if (field.step !== undefined && (typeof field.step !== 'number' || field.step <= 0)) {
+      errors.push(`${label} "step" must be a positive number`);
+    }
+    if (field.pattern !== undefined) {
+      if (typeof field.pattern !== 'string' || field.pattern.length > MAX_DIALOG_PATTERN_LENGTH) {
+        errors.push(`${label} "pattern" must be a string of ${MAX_DIALOG_PATTERN_LENGTH} characters or fewer`);
+      } else {
+        try { new RegExp(field.pattern); } catch { errors.push(`${label} "pattern" is not a valid regular expression`); }
+      }
+    }
+    if (field.inputType !== undefined && !INPUT_TYPES.has(field.inputType)) {
+      errors.push(`${label} "inputType" must be one of: ${[...INPUT_TYPES].join(', ')}`);
+    }
+    if (field.rows !== undefined && (!Number.isInteger(field.rows) || field.rows <= 0 || field.rows > 8)) {
+      errors.push(`${label} "rows" must be an integer from 1 to 8`);
+    }
+
+    if (['select', 'radio', 'chipselect'].includes(field.type)) {
+      if (!Array.isArray(field.options)) {
+        errors.push(`${label} "options" must be an array`);
+      } else if (field.options.length > MAX_SELECT_OPTIONS) {
+        errors.push(`${label} "options" may contain at most ${MAX_SELECT_OPTIONS} entries`);
+      } else {
+        field.options.forEach((option, index) => validateOption(option, index, errors, label));
+      }
+    }
+
+    if (field.value === undefined || field.value === null) return;
+    if (field.type === 'chipselect') {
+      validatePrimitiveArray(field.value, `${label} value`, MAX_SELECT_OPTIONS, errors);
+    } else if (field.type === 'toggle' && typeof field.value !== 'boolean') {
+      errors.push(`${label} value must be a boolean`);
+    } else if (['slider', 'stepper'].includes(field.type) && typeof field.value !== 'number') {
+      errors.push(`${label} value must be a number`);
+    } else {
+      validateSelectPrimitive(field.value, `${label} value`, errors, MAX_TEXTAREA_LENGTH);
+    }
+  }
+
+  function validateDialogWidget(config, errors) {
+    const hasFields = config.fields !== undefined;
+    const hasSteps = config.steps !== undefined;
+    if (hasFields === hasSteps) {
+      errors.push('Dialog widget needs exactly one of "fields" or "steps"');
+      return;
+    }
+
+    const groups = [];
+    if (hasSteps) {
+      if (!Array.isArray(config.steps) || config.steps.length === 0 || config.steps.length > MAX_DIALOG_STEPS) {
+        errors.push(`Dialog widget "steps" must be an array of 1 to ${MAX_DIALOG_STEPS} steps`);
+        return;
+      }
+      config.steps.forEach((step, index) => {
+        const label = `Dialog step at index ${index}`;
+        if (!isPlainObject(step)) {
+          errors.push(`${label} must be an object`);
+          return;
+        }
+        validateOptionalString(step.title, `${label} title`, MAX_LABEL_LENGTH, errors);
+        validateOptionalString(step.text, `${label} text`, MAX_TEXT_LENGTH, errors);
+        groups.push({ fields: step.fields, label: `${label} "fields"` });
+      });
+    } else {
+      groups.push({ fields: config.fields, label: 'Dialog widget "fields"' });
+    }
+
+    const seenIds = new Set();
+    let total = 0;
+    for (const group of groups) {
+      if (!Array.isArray(group.fields) || group.fields.length === 0) {
+        errors.push(`${group.label} must be a non-empty array`);
+        continue;
+      }
+      total += group.fields.length;
+      group.fields.forEach((field, index) => {
+        validateDialogField(field, `Dialog field at index ${index}`, errors);
+        if (!isPlainObject(field) || typeof field.id !== 'string') return;
+        if (seenIds.has(field.id)) errors.push(`Dialog field "${field.id}" is declared twice`);
+        seenIds.add(field.id);
+      });
+    }
+    if (total > MAX_DIALOG_FIELDS) {
+      errors.push(`Dialog widget may contain at most ${MAX_DIALOG_FIELDS} fields`);
+    }
+
+    validateOptionalString(config.submitText, 'Dialog widget "submitText"', MAX_LABEL_LENGTH, errors);
+    validateOptionalString(config.cancelText, 'Dialog widget "cancelText"', MAX_LABEL_LENGTH, errors);
+    for (const key of ['open', 'dismissible', 'disabled']) {
+      if (config[key] !== undefined && typeof config[key] !== 'boolean') {
+        errors.push(`Dialog widget "${key}" must be a boolean`);
+      }
+    }
+    if (config.value != null && !isPlainObject(config.value)) {
+      errors.push('Dialog widget "value" must be an object keyed by field id');
+    }
+    if (config.errors !== undefined) {
+      if (!isPlainObject(config.errors)) {
+        errors.push('Dialog widget "errors" must be an object keyed by field id');
+      } else {
+        for (const [key, message] of Object.entries(config.errors)) {
+          validateOptionalString(message, `Dialog widget error for "${key}"`, MAX_TEXT_LENGTH, errors);
+        }
+      }
+    }
+  }
+
+  function validateGridCell(cell, label, errors) {
+    if (!isPlainObject(cell)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    validateOptionalString(cell.glyph, `${label} glyph`, MAX_GRID_GLYPH_LENGTH, errors);
+    validateOptionalString(cell.color, `${label} color`, MAX_LABEL_LENGTH, errors);
+    validateOptionalString(cell.tooltip, `${label} tooltip`, MAX_LABEL_LENGTH, errors);
+  }
+
+  function validateGridKeys(keys, label, width, height, errors) {
+    if (!Array.isArray(keys)) {
+      errors.push(`${label} must be an array of "x,y" keys`);
+      return;
+    }
+    if (keys.length > width * height) {
+      errors.push(`${label} may contain at most ${width * height} entries`);
+      return;
+    }
+    for (const key of keys) {
+      const at = parseGridKey(key);
+      if (!at || at.x >= width || at.y >= height) {
+        errors.push(`${label} entry "${key}" is not a cell of the ${width}x${height} grid`);
+        return;
+      }
+    }
+  }
+
+  function validateGridWidget(config, errors) {
+    const owner = config.type === 'map' ? 'Map' : 'Grid';
+    const sizeOk = ['width', 'height'].every((field) => {
+      const size = config[field];
+      if (Number.isInteger(size) && size >= 1 && size <= MAX_GRID_SIZE) return true;
+      errors.push(`${owner} widget "${field}" must be an integer from 1 to ${MAX_GRID_SIZE}`);
+      return false;
+    });
+    if (!sizeOk) return;
+    const { width, height } = config;
+
+    if (config.tiles !== undefined) {
+      if (!Array.isArray(config.tiles) || config.tiles.length > height) {
+        errors.push(`${owner} widget "tiles" must be an array of at most ${height} strings`);
+      } else {
+        config.tiles.forEach((row, index) => {
+          if (typeof row !== 'string') {
+            errors.push(`${owner} widget "tiles" row ${index} must be a string`);
+          } else if (Array.from(row).length > width) {
+            errors.push(`${owner} widget "tiles" row ${index} must be ${width} glyphs or fewer`);
+          }
+        });
+      }
+    }
+
+    if (config.legend !== undefined) {
+      if (!isPlainObject(config.legend)) {
+        errors.push(`${owner} widget "legend" must be an object keyed by glyph`);
+      } else if (Object.keys(config.legend).length > MAX_SELECT_OPTIONS) {
+        errors.push(`${owner} widget "legend" may contain at most ${MAX_SELECT_OPTIONS} entries`);
+      } else {
+        for (const [glyph, entry] of Object.entries(config.legend)) {
+          validateGridCell(entry, `${owner} legend entry "${glyph}"`, errors);
+        }
+      }
+    }
+
+    if (config.cells !== undefined) {
+      if (!isPlainObject(config.cells)) {
+        errors.push(`${owner} widget "cells" must be an object keyed by "x,y"`);
+      } else {
+        for (const [key, cell] of Object.entries(config.cells)) {
+          const at = parseGridKey(key);
+          if (!at || at.x >= width || at.y >= height) {
+            errors.push(`${owner} widget cell "${key}" is not a cell of the ${width}x${height} grid`);
+            break;
+          }
+          validateGridCell(cell, `${owner} widget cell "${key}"`, errors);
+        }
+      }
+    }
+
+    if (config.fog !== undefined && typeof config.fog !== 'boolean') {
+      errors.push(`${owner} widget "fog" must be a boolean`);
+    }
+    if (config.revealed !== undefined) {
+      validateGridKeys(config.revealed, `${owner} widget "revealed"`, width, height, errors);
+    }
+    if (config.reveal !== undefined) {
+      validateGridKeys(config.reveal, `${owner} widget "reveal"`, width, height, errors);
+    }
+
+    if (config.marker !== undefined && config.marker !== null) {
+      const marker = config.marker;
+      if (!isPlainObject(marker)) {
+        errors.push(`${owner} widget "marker" must be an object or null`);
+      } else {
+        if (!Number.isInteger(marker.x) || marker.x < 0 || marker.x >= width
+          || !Number.isInteger(marker.y) || marker.y < 0 || marker.y >= height) {
+          errors.push(`${owner} widget "marker" must have integer x and y inside the ${width}x${height} grid`);
+        }
+        validateGridCell(marker, `${owner} widget "marker"`, errors);
+      }
+    }
+
+    if (config.cellSize !== undefined && (
+      typeof config.cellSize !== 'number' ||
+      config.cellSize < MIN_GRID_CELL_SIZE ||
+      config.cellSize > MAX_GRID_CELL_SIZE
+    )) {
+      errors.push(`${owner} widget "cellSize" must be a number from ${MIN_GRID_CELL_SIZE} to ${MAX_GRID_CELL_SIZE}`);
+    }
+  }
+
+  function validateChartValues(values, label, errors, length) {
+    if (!Array.isArray(values)) {
+      errors.push(`${label} must be an array of numbers`);
+      return;
+    }
+    if (values.length > MAX_CHART_POINTS) {
+      errors.push(`${label} may contain at most ${MAX_CHART_POINTS} points`);
+      return;
+    }
+    if (length !== undefined && values.length !== length) {
+      errors.push(`${label} must have one value per axis (${length})`);
+      return;
+    }
+    if (values.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+      errors.push(`${label} must contain only finite numbers`);
+    }
+  }
+
+  function validateChartWidget(config, errors) {
+    const owner = config.type.charAt(0).toUpperCase() + config.type.slice(1);
+    const axisCount = config.type === 'radar' && Array.isArray(config.axes)
+      && config.axes.length >= MIN_RADAR_AXES && config.axes.length <= MAX_RADAR_AXES
+      ? config.axes.length
+      : undefined;
+
+    if (config.type === 'radar') {
+      if (!Array.isArray(config.axes) || config.axes.length < MIN_RADAR_AXES || config.axes.length > MAX_RADAR_AXES) {
+        errors.push(`Radar widget "axes" must be an array of ${MIN_RADAR_AXES} to ${MAX_RADAR_AXES} labels`);
+      } else {
+        config.axes.forEach((axis, index) => {
+          if (typeof axis !== 'string' || axis.length > MAX_LABEL_LENGTH) {
+            errors.push(`Radar widget axis at index ${index} must be a string of ${MAX_LABEL_LENGTH} characters or fewer`);
+          }
+        });
+      }
+      if (!Array.isArray(config.series)) {
+        errors.push('Radar widget "series" must be an array');
+      }
+    }
+
+    if (config.values !== undefined) {
+      validateChartValues(config.values, `${owner} widget "values"`, errors);
+    }
+
+    if (config.series !== undefined && config.type !== 'sparkline') {
+      if (!Array.isArray(config.series)) {
+        errors.push(`${owner} widget "series" must be an array`);
+      } else if (config.series.length > MAX_CHART_SERIES) {
+        errors.push(`${owner} widget "series" may contain at most ${MAX_CHART_SERIES} entries`);
+      } else {
+        config.series.forEach((entry, index) => {
+          const label = `${owner} series at index ${index}`;
+          if (!isPlainObject(entry)) {
+            errors.push(`${label} must be an object`);
+            return;
+          }
+          if (entry.id !== undefined) validateSelectPrimitive(entry.id, `${label} id`, errors, MAX_LABEL_LENGTH);
+          validateOptionalString(entry.label, `${label} label`, MAX_LABEL_LENGTH, errors);
+          validateOptionalString(entry.color, `${label} color`, MAX_LABEL_LENGTH, errors);
+          validateChartValues(entry.values ?? [], `${label} values`, errors, axisCount);
+        });
+      }
+    }
+
+    if (config.labels !== undefined) {
+      if (!Array.isArray(config.labels) || config.labels.length > MAX_CHART_POINTS) {
+        errors.push(`${owner} widget "labels" must be an array of at most ${MAX_CHART_POINTS} strings`);
+      } else if (config.labels.some(label => typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+        errors.push(`${owner} widget "labels" entries must be strings of ${MAX_LABEL_LENGTH} characters or fewer`);
+      }
+    }
+
+    for (const field of ['min', 'max']) {
+      if (config[field] !== undefined && (typeof config[field] !== 'number' || !Number.isFinite(config[field]))) {
+        errors.push(`${owner} widget "${field}" must be a number`);
+      }
+    }
+    if (typeof config.min === 'number' && typeof config.max === 'number' && config.max <= config.min) {
+      errors.push(`${owner} widget "max" must be greater than "min"`);
+    }
+    if (config.type === 'radar' && config.max !== undefined && !(config.max > 0)) {
+      errors.push('Radar widget "max" must be a positive number');
+    }
+    if (config.maxPoints !== undefined && (
+      !Number.isInteger(config.maxPoints) || config.maxPoints < 2 || config.maxPoints > MAX_CHART_POINTS
+    )) {
+      errors.push(`${owner} widget "maxPoints" must be an integer from 2 to ${MAX_CHART_POINTS}`);
+    }
+    validateOptionalString(config.color, `${owner} widget "color"`, MAX_LABEL_LENGTH, errors);
+  }
+
+  function isImageDataUri(src) {
+    return typeof src === 'string' && src.startsWith('data:');
+  }
+
+  // Only the fields a patch carries change, so a turn can advance a sprite
+  // with `{ sprite: { frame: 3 } }`.
+  function applyImageStatePatch(config, patch) {
+    if (isPlainObject(patch.sprite) && isPlainObject(config.sprite)) {
+      patch.sprite = { ...config.sprite, ...patch.sprite };
+    }
+    Object.assign(config, patch);
+  }
+
+  // Binding expressions are arithmetic only: numbers, + - * / %, unary
+  // minus, parentheses, names and calls to BINDING_FUNCTIONS. They compile
+  // to a small tree (numbers, name strings, { op, a, b } and { fn, args })
+  // that evaluateBindingExpression walks; nothing is ever eval'd.
+  function compileBindingExpression(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+      return { ok: false, error: 'must be a non-empty string' };
+    }
+    if (source.length > MAX_BINDING_EXPR_LENGTH) {
+      return { ok: false, error: `must be ${MAX_BINDING_EXPR_LENGTH} characters or fewer` };
+    }
+
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/%(),]))\s*/y;
+    while (pattern.lastIndex < source.length) {
+      const start = pattern.lastIndex;
+      const match = pattern.exec(source);
+      if (!match) {
+        return { ok: false, error: `has an unexpected character at position ${start + source.slice(start).search(/\S/) + 1}` };
+      }
+      if (match[1] !== undefined) tokens.push({ number: Number(match[1]) });
+      else if (match[2] !== undefined) tokens.push({ name: match[2] });
+      else tokens.push({ punct: match[3] });
+    }
+
+    const names = new Set();
+    let index = 0;
+    const peek = () => tokens[index]?.punct;
+    const expect = (punct) => {
+      if (peek() !== punct) throw new Error(`expected "${punct}"`);
+      index++;
+    };
+
+    function parseSum(depth) {
+      if (depth > MAX_BINDING_DEPTH) throw new Error(`nests deeper than ${MAX_BINDING_DEPTH} levels`);
+      let node = parseProduct(depth);
+      while (peek() === '+' || peek() === '-') {
+        const op = tokens[index++].punct;
+        node = { op, a: node, b: parseProduct(depth) };
+      }
+      return node;
+    }
+
+    function parseProduct(depth) {
+      let node = parseUnary(depth);
+      while (peek() === '*' || peek() === '/' || peek() === '%') {
+        const op = tokens[index++].punct;
+        node = { op, a: node, b: parseUnary(depth) };
+      }
+      return node;
+    }
+
+    function parseUnary(depth) {
+      if (peek() === '-') {
+        index++;
+        return { op: 'neg', a: parseUnary(depth + 1) };
+      }
+      if (peek() === '+') {
+        index++;
+        return parseUnary(depth + 1);
+      }
+      return parsePrimary(depth);
+    }
+
+    function parsePrimary(depth) {
+      const token = tokens[index++];
+      if (!token) throw new Error('ends unexpectedly');
+      if (token.number !== undefined) return token.number;
+      if (token.punct === '(') {
+        const node = parseSum(depth + 1);
+        expect(')');
+        return node;
+      }
+      if (token.name === undefined) throw new Error(`has an unexpected "${token.punct}"`);
+      if (peek() !== '(') {
+        names.add(token.name);
+        return token.name;
+      }
+
+      const fn = Object.prototype.hasOwnProperty.call(BINDING_FUNCTIONS, token.name) ? BINDING_FUNCTIONS[token.name] : null;
+      if (!fn) throw new Error(`calls unknown function "${token.name}"`);
+      index++;
+      const args = [];
+      if (peek() !== ')') {
+        args.push(parseSum(depth + 1));
+        while (peek() === ',') {
+          index++;
+          args.push(parseSum(depth + 1));
+        }
+      }
+      expect(')');
+      if (args.length < fn.arity[0] || args.length > fn.arity[1]) {
+        const count = fn.arity[0] === fn.arity[1] ? fn.arity[0] : `${fn.arity[0]} to ${fn.arity[1]}`;
+        throw new Error(`calls ${token.name}() with ${args.length} argument(s); it takes ${count}`);
+      }
+      return { fn: token.name, args };
+    }
+
+    try {
+      const ast = parseSum(0);
+      if (index < tokens.length) throw new Error(`has an unexpected "${tokens[index].punct ?? tokens[index].name ?? tokens[index].number}"`);
+      return { ok: true, ast, names: [...names] };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+
+  // `scope` holds a number for every name the expression uses; anything
+  // else (missing names, division by zero) comes back as NaN or Infinity.
+  function evaluateBindingExpression(node, scope) {
+    if (typeof node === 'number') return node;
+    if (typeof node === 'string') {
+      return Object.prototype.hasOwnProperty.call(scope, node) ? Number(scope[node]) : NaN;
+    }
+    if (node.fn) {
+      return BINDING_FUNCTIONS[node.fn].fn(...node.args.map(arg => evaluateBindingExpression(arg, scope)));
+    }
+    const a = evaluateBindingExpression(node.a, scope);
+    if (node.op === 'neg') return -a;
+    const b = evaluateBindingExpression(node.b, scope);
+    switch (node.op) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/': return a / b;
+      case '%': return a % b;
+    }
+    return NaN;
+  }
+
+  function validateBinding(config, errors) {
+    if (config.bind === undefined) return;
+    if (!BINDABLE_WIDGET_TYPES.has(config.type)) {
+      errors.push(`Widget "bind" is only supported on: ${[...BINDABLE_WIDGET_TYPES].join(', ')}`);
+      return;
+    }
+    const bind = config.bind;
+    if (!isPlainObject(bind)) {
+      errors.push('Widget "bind" must be an object');
+      return;
+    }
+
+    const vars = bind.vars === undefined ? {} : bind.vars;
+    if (!isPlainObject(vars)) {
+      errors.push('Widget "bind.vars" must be an object');
+    } else {
+      const entries = Object.entries(vars);
+      if (entries.length > MAX_BINDING_VARS) {
+        errors.push(`Widget "bind.vars" may contain at most ${MAX_BINDING_VARS} names`);
+      }
+      for (const [name, value] of entries) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]{0,31}$/.test(name) || BINDING_GLOBALS.has(name)) {
+          errors.push(`Widget "bind.vars" name "${name}" is not allowed`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`Widget "bind.vars.${name}" must be a finite number`);
+        }
+      }
+    }
+
+    const compiled = compileBindingExpression(bind.expr);
+    if (!compiled.ok) {
+      errors.push(`Widget "bind.expr" ${compiled.error}`);
+    } else {
+      for (const name of compiled.names) {
+        if (!BINDING_GLOBALS.has(name) && !(isPlainObject(vars) && Object.prototype.hasOwnProperty.call(vars, name))) {
+          errors.push(`Widget "bind.expr" uses unknown name "${name}"`);
+        }
+      }
+    }
+
+    if (bind.format !== undefined && !BINDING_FORMATS.has(bind.format)) {
+      errors.push(`Widget "bind.format" must be one of: ${[...BINDING_FORMATS].join(', ')}`);
+    }
+    if (bind.decimals !== undefined && !(Number.isInteger(bind.decimals) && bind.decimals >= 0 && bind.decimals <= 4)) {
+      errors.push('Widget "bind.decimals" must be an integer from 0 to 4');
+    }
+    validateOptionalString(bind.done, 'Widget "bind.done"', MAX_LABEL_LENGTH, errors);
+  }
+
+  // Source rectangle of the sprite's current frame. Frames run left to
+  // right from (x, y), wrapping every `columns` frames.
+  function getSpriteRect(sprite) {
+    if (!isPlainObject(sprite)) return null;
+    const columns = sprite.columns ?? 1;
+    const frame = sprite.frame ?? 0;
+    return {
+      x: (sprite.x ?? 0) + (frame % columns) * sprite.width,
+      y: (sprite.y ?? 0) + Math.floor(frame / columns) * sprite.height,
+      width: sprite.width,
+      height: sprite.height,
+    };
+  }
+
+  function validateImageSrc(src, errors) {
+    if (typeof src !== 'string' || !src) {
+      errors.push('Image widget "src" must be an https URL or a data:image URI');
+      return;
+    }
+    if (isImageDataUri(src)) {
+      if (src.length > MAX_IMAGE_DATA_URI_LENGTH) {
+        errors.push(`Image widget data URI must be ${MAX_IMAGE_DATA_URI_LENGTH} characters or fewer`);
+      } else if (!IMAGE_DATA_URI_PATTERN.test(src)) {
+        errors.push('Image widget data URI must be base64 PNG, JPEG, GIF, WebP or AVIF');
+      }
+      return;
+    }
+    if (src.length > MAX_IMAGE_URL_LENGTH) {
+      errors.push(`Image widget "src" must be ${MAX_IMAGE_URL_LENGTH} characters or fewer`);
+      return;
+    }
+    let url;
+    try {
+      url = new URL(src);
+    } catch {
+      url = null;
+    }
+    if (!url || url.protocol !== 'https:') {
+      errors.push('Image widget "src" must be an https URL or a data:image URI');
+    } else if (url.username || url.password) {
+      errors.push('Image widget "src" must not contain credentials');
+    }
+  }
+
+  function validateImageWidget(config, errors) {
+    validateImageSrc(config.src, errors);
+
+    if (typeof config.alt !== 'string') {
+      errors.push('Image widget "alt" must be a string (use "" for a decorative image)');
+    } else if (config.alt.length > MAX_TEXT_LENGTH) {
+      errors.push(`Image widget "alt" must be ${MAX_TEXT_LENGTH} characters or fewer`);
+    }
+
+    for (const field of ['width', 'height']) {
+      if (config[field] !== undefined && (
+        !Number.isInteger(config[field]) || config[field] < MIN_IMAGE_SIZE || config[field] > MAX_IMAGE_SIZE
+      )) {
+        errors.push(`Image widget "${field}" must be an integer from ${MIN_IMAGE_SIZE} to ${MAX_IMAGE_SIZE}`);
+      }
+    }
+    if (config.fit !== undefined && !IMAGE_FITS.has(config.fit)) {
+      errors.push(`Image widget "fit" must be one of: ${[...IMAGE_FITS].join(', ')}`);
+    }
+    if (config.pixelated !== undefined && typeof config.pixelated !== 'boolean') {
+      errors.push('Image widget "pixelated" must be a boolean');
+    }
+
+    if (config.sprite === undefined) return;
+    if (!isPlainObject(config.sprite)) {
+      errors.push('Image widget "sprite" must be an object');
+      return;
+    }
+    const sprite = config.sprite;
+    for (const field of ['width', 'height']) {
+      if (!Number.isInteger(sprite[field]) || sprite[field] < 1 || sprite[field] > MAX_SPRITE_SHEET_SIZE) {
+        errors.push(`Image sprite "${field}" must be an integer from 1 to ${MAX_SPRITE_SHEET_SIZE}`);
+      }
+    }
+    for (const field of ['x', 'y', 'frame']) {
+      if (sprite[field] !== undefined && (!Number.isInteger(sprite[field]) || sprite[field] < 0 || sprite[field] >= MAX_SPRITE_SHEET_SIZE)) {
+        errors.push(`Image sprite "${field}" must be an integer from 0 to ${MAX_SPRITE_SHEET_SIZE - 1}`);
+      }
+    }
+    if (sprite.columns !== undefined && (!Number.isInteger(sprite.columns) || sprite.columns < 1 || sprite.columns > MAX_SPRITE_SHEET_SIZE)) {
+      errors.push(`Image sprite "columns" must be an integer from 1 to ${MAX_SPRITE_SHEET_SIZE}`);
+    }
+  }
+
   function validateWidgetConfig(widgetId, config) {
     const errors = [];
 
@@ -308,6 +1216,16 @@
       errors.push(`Widget align must be one of: ${[...VALID_ALIGNMENTS].join(', ')}`);
     }
 
+    if (config.region !== undefined && !VALID_REGIONS.has(config.region)) {
+      errors.push(`Widget region must be one of: ${[...VALID_REGIONS].join(', ')}`);
+    }
+
+    if (config.announce !== undefined && typeof config.announce !== 'boolean') {
+      errors.push('Widget "announce" must be a boolean');
+    }
+
+    validateBinding(config, errors);
+
     validateStringField(config, 'label', MAX_LABEL_LENGTH, errors, 'label');
     validateStringField(config, 'text', MAX_TEXT_LENGTH, errors, 'text');
     validateStringField(config, 'title', MAX_LABEL_LENGTH, errors, 'title');
@@ -547,46 +1465,210 @@
       }
     }
 
+    if (GRID_WIDGET_TYPES.has(config.type)) {
+      validateGridWidget(config, errors);
+    }
+
+    if (CHART_WIDGET_TYPES.has(config.type)) {
+      validateChartWidget(config, errors);
+    }
+
+    if (config.type === 'dialog') {
+      validateDialogWidget(config, errors);
+    }
+
+    if (config.type === 'image') {
+      validateImageWidget(config, errors);
+    }
+
     return { valid: errors.length === 0, errors };
   }
 
+  function isThemeColor(value) {
+    return typeof value === 'string' && THEME_COLOR_PATTERN.test(value.trim());
+  }
+
+  // Checks `manifest.theme` and resolves it against its built-in `base`.
+  // Invalid fields are reported and left out, the way invalid widgets are,
+  // so one typo does not drop the whole look. `theme` is null when the
+  // manifest has none.
+  function validateTheme(theme) {
+    const errors = [];
+    if (theme === undefined || theme === null) return { valid: true, theme: null, errors };
+    if (!isPlainObject(theme)) return { valid: false, theme: null, errors: ['Theme must be an object'] };
+
+    let base = null;
+    if (theme.base !== undefined) {
+      if (Object.prototype.hasOwnProperty.call(BUILTIN_THEMES, theme.base)) {
+        base = BUILTIN_THEMES[theme.base];
+      } else {
+        errors.push(`Theme "base" must be one of: ${Object.keys(BUILTIN_THEMES).join(', ')}`);
+      }
+    }
+
+    const palette = { ...base?.palette };
+    if (theme.palette !== undefined) {
+      if (!isPlainObject(theme.palette)) {
+        errors.push('Theme "palette" must be an object');
+      } else {
+        for (const [key, color] of Object.entries(theme.palette)) {
+          if (!THEME_PALETTE_KEYS.has(key)) {
+            errors.push(`Theme palette "${key}" is not supported`);
+          } else if (!isThemeColor(color)) {
+            errors.push(`Theme palette "${key}" must be a hex, rgb(), or hsl() color`);
+          } else {
+            palette[key] = color.trim();
+          }
+        }
+      }
+    }
+
+    let font = base?.font ?? null;
+    if (theme.font !== undefined) {
+      if (THEME_FONTS.has(theme.font)) font = theme.font;
+      else errors.push(`Theme "font" must be one of: ${[...THEME_FONTS].join(', ')}`);
+    }
+
+    let radius = base?.radius ?? null;
+    if (theme.radius !== undefined) {
+      if (typeof theme.radius === 'number' && theme.radius >= 0 && theme.radius <= MAX_THEME_RADIUS) radius = theme.radius;
+      else errors.push(`Theme "radius" must be a number from 0 to ${MAX_THEME_RADIUS}`);
+    }
+
+    let density = base?.density ?? null;
+    if (theme.density !== undefined) {
+      if (THEME_DENSITIES.has(theme.density)) density = theme.density;
+      else errors.push(`Theme "density" must be one of: ${[...THEME_DENSITIES].join(', ')}`);
+    }
+
+    const defaults = {};
+    for (const [type, fields] of Object.entries(base?.defaults || {})) defaults[type] = { ...fields };
+    if (theme.defaults !== undefined) {
+      if (!isPlainObject(theme.defaults)) {
+        errors.push('Theme "defaults" must be an object keyed by widget type');
+      } else {
+        for (const [type, fields] of Object.entries(theme.defaults)) {
+          if (!WIDGET_TYPES.has(type)) {
+            errors.push(`Theme defaults "${type}" is not a widget type`);
+            continue;
+          }
+          if (!isPlainObject(fields)) {
+            errors.push(`Theme defaults "${type}" must be an object`);
+            continue;
+          }
+          const merged = defaults[type] || {};
+          for (const [field, value] of Object.entries(fields)) {
+            if (!THEME_DEFAULT_FIELDS.has(field)) {
+              errors.push(`Theme defaults "${type}.${field}" is not a style field`);
+            } else if (field === 'style') {
+              if (isPlainObject(value)) merged.style = { ...merged.style, ...sanitizeStyleObject(value) };
+              else errors.push(`Theme defaults "${type}.style" must be an object`);
+            } else {
+              merged[field] = value;
+            }
+          }
+          defaults[type] = merged;
+        }
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      theme: { base: base ? theme.base : null, palette, font, radius, density, defaults },
+      errors,
+    };
+  }
+
+  // Per-type theme defaults sit under the widget's own config: any field the
+  // widget (or its history value) sets wins, and `style` merges property by
+  // property. Bad defaults surface when the widget is validated afterwards.
+  function applyThemeDefaults(config, theme) {
+    const defaults = theme?.defaults?.[config?.type];
+    if (!defaults) return config;
+    for (const [field, value] of Object.entries(defaults)) {
+      if (field === 'style') {
+        config.style = { ...value, ...(isPlainObject(config.style) ? config.style : {}) };
+      } else if (config[field] === undefined) {
+        config[field] = value;
+      }
+    }
+    return config;
+  }
+
+  // Where an error points, for editors that show it next to the source.
+  // Widget errors name their field in the first quoted word ('Bar widget
+  // "max" must be…'); errors that name no field point at the widget.
+  function widgetErrorPath(prefix, message) {
+    const match = /^(?:[A-Z][a-z]+ )?[Ww]idget "([A-Za-z0-9_.]+)"/.exec(message);
+    return match ? `${prefix}.${match[1]}` : prefix;
+  }
+
+  function themeErrorPath(message) {
+    const match = /^Theme (?:(palette|defaults) )?"([A-Za-z0-9_.]+)"/.exec(message);
+    if (!match) return 'theme';
+    return match[1] ? `theme.${match[1]}.${match[2]}` : `theme.${match[2]}`;
+  }
+
+  // `issues` carries the same problems as `errors`, one { path, message }
+  // each, with paths relative to the manifest ('widgets[2].max').
   function validateManifest(manifest) {
     const errors = [];
+    const issues = [];
     const widgets = [];
 
     if (!isPlainObject(manifest)) {
-      return { valid: false, widgets, errors: ['Manifest must be an object'] };
+      return {
+        valid: false,
+        widgets,
+        theme: null,
+        errors: ['Manifest must be an object'],
+        issues: [{ path: '', message: 'Manifest must be an object' }],
+      };
+    }
+
+    const themeResult = validateTheme(manifest.theme);
+    const theme = themeResult.theme;
+    for (const error of themeResult.errors) {
+      errors.push(error);
+      issues.push({ path: themeErrorPath(error), message: error });
     }
 
     if (manifest.widgets === undefined) {
-      return { valid: true, widgets, errors };
+      return { valid: errors.length === 0, widgets, theme, errors, issues };
     }
 
     if (!Array.isArray(manifest.widgets)) {
-      return { valid: false, widgets, errors: ['Manifest widgets must be an array'] };
+      errors.push('Manifest widgets must be an array');
+      issues.push({ path: 'widgets', message: 'Manifest widgets must be an array' });
+      return { valid: false, widgets, theme, errors, issues };
     }
 
     if (manifest.widgets.length > MAX_WIDGETS) {
       errors.push(`Manifest widgets may contain at most ${MAX_WIDGETS} widgets`);
+      issues.push({ path: 'widgets', message: errors[errors.length - 1] });
     }
 
     const widgetsToValidate = manifest.widgets.slice(0, MAX_WIDGETS);
     const seenIds = new Set();
     for (let i = 0; i < widgetsToValidate.length; i++) {
       const widget = widgetsToValidate[i];
+      const path = `widgets[${i}]`;
       if (!isPlainObject(widget)) {
         errors.push(`Widget at index ${i} must be an object`);
+        issues.push({ path, message: errors[errors.length - 1] });
         continue;
       }
 
       const validation = validateWidgetConfig(widget.id, widget);
       if (!validation.valid) {
         errors.push(`Widget "${widget.id || i}" invalid: ${validation.errors.join('; ')}`);
+        for (const error of validation.errors) issues.push({ path: widgetErrorPath(path, error), message: error });
         continue;
       }
 
       if (seenIds.has(widget.id)) {
         errors.push(`Widget "${widget.id}" invalid: duplicate widget id`);
+        issues.push({ path: `${path}.id`, message: `Duplicate widget id "${widget.id}"` });
         continue;
       }
 
@@ -594,7 +1676,7 @@
       widgets.push(widget);
     }
 
-    return { valid: errors.length === 0, widgets, errors };
+    return { valid: errors.length === 0, widgets, theme, errors, issues };
   }
 
   function sanitizeHTML(html) {
@@ -617,15 +1699,45 @@
   window.UltrascriptsWidgetValidators = {
     WIDGET_TYPES,
     VALID_ALIGNMENTS,
+    VALID_REGIONS,
     INTERACTIVE_WIDGET_TYPES,
+    GRID_WIDGET_TYPES,
+    CHART_WIDGET_TYPES,
+    DIALOG_FIELD_TYPES,
+    MAX_WIDGETS,
+    MAX_HTML_LENGTH,
     MAX_INPUT_LENGTH,
     MAX_TEXTAREA_LENGTH,
+    MAX_GRID_SIZE,
+    MAX_CHART_POINTS,
+    MAX_CHART_SERIES,
+    MAX_DIALOG_FIELDS,
+    MAX_IMAGE_DATA_URI_LENGTH,
     PRESET_COLORS,
+    BINDABLE_WIDGET_TYPES,
+    BINDING_FORMATS,
+    BINDING_FUNCTIONS,
+    THEME_PALETTE_KEYS,
+    THEME_FONTS,
+    THEME_DENSITIES,
+    BUILTIN_THEMES,
     WIDGET_STATE_FIELDS,
     isPlainObject,
     filterWidgetStatePatch,
     getPrimitiveStateField,
+    parseGridKey,
+    applyGridStatePatch,
+    applyChartAppends,
+    getDialogFields,
+    validateDialogValues,
+    isImageDataUri,
+    applyImageStatePatch,
+    getSpriteRect,
+    compileBindingExpression,
+    evaluateBindingExpression,
     validateWidgetConfig,
+    validateTheme,
+    applyThemeDefaults,
     validateManifest,
     sanitizeHTML,
     sanitizeStyleObject,
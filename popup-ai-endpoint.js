@@ -10,6 +10,12 @@ const AI_INPUT_CAP_DEFAULT = 128000;
 const AI_INPUT_CAP_FLOOR = 4000;
 const AI_INPUT_CAP_CEILING = 2000000;
 const AI_INPUT_CAP_PRESETS = Object.freeze([32000, 64000, 128000, 256000, 1000000]);
+const AI_FALLBACK_SELECTS = Object.freeze(['ai-endpoint-fallback-1', 'ai-endpoint-fallback-2']);
+const AI_FAILOVER_TOGGLES = Object.freeze({
+  rateLimit: 'ai-endpoint-failover-rate-limit',
+  timeout: 'ai-endpoint-failover-timeout',
+  serverError: 'ai-endpoint-failover-server-error',
+});
 
 let aiEndpointStatus = null;
 let aiEndpointLoaded = false;
@@ -17,6 +23,7 @@ let aiEndpointPending = false;
 let aiEndpointDirty = false;
 let aiEndpointError = null;
 let aiEndpointCapDirty = false;
+let aiEndpointFailoverDirty = false;
 
 function sendAIEndpointMessage(request) {
   return new Promise((resolve, reject) => {
@@ -105,7 +112,21 @@ function updateEndpointStatus({ status = null, pending = '', error = null, dirty
   setEndpointBadge(verified ? 'Connected' : 'Configured', 'ready', model);
   if (card) card.dataset.state = 'ready';
   if (title) title.textContent = `${aiServiceLabel(service)} ${verified ? 'verified' : 'configured'}`;
-  if (detail) detail.textContent = model ? `${model}${verified ? ' responded successfully.' : ' is ready to test.'}` : 'Profile saved.';
+  const summary = model ? `${model}${verified ? ' responded successfully.' : ' is ready to test.'}` : 'Profile saved.';
+  if (detail) detail.textContent = [summary, failoverSummary(status.config)].filter(Boolean).join(' ');
+}
+
+// "Falls back to OpenRouter, then Custom endpoint (not set up, skipped)."
+function failoverSummary(config) {
+  const services = config?.failover?.services || [];
+  if (!services.length) return '';
+  const described = services.map(service => {
+    const label = aiServiceLabel(service);
+    if (!config.profiles?.[service]?.configured) return `${label} (not set up, skipped)`;
+    if (config.failover.breakers?.[service]?.state === 'open') return `${label} (cooling down after repeated failures)`;
+    return label;
+  });
+  return `Falls back to ${described.join(', then ')}.`;
 }
 
 function setEndpointValidation(message = '', fields = []) {
@@ -150,6 +171,40 @@ function renderInputCap(config) {
   if (!preset) custom.value = String(cap);
 }
 
+function renderFailover(config, service) {
+  if (!aiEndpointFailoverDirty) {
+    const services = config?.failover?.services || [];
+    AI_FALLBACK_SELECTS.forEach((id, index) => {
+      const select = document.getElementById(id);
+      if (select) select.value = services[index] || '';
+    });
+    Object.entries(AI_FAILOVER_TOGGLES).forEach(([rule, id]) => {
+      const toggle = document.getElementById(id);
+      if (toggle) toggle.checked = config?.failover?.on?.[rule] !== false;
+    });
+  }
+  // The selected service cannot be its own fallback.
+  AI_FALLBACK_SELECTS.forEach(id => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    Array.from(select.options).forEach(option => { option.disabled = !!option.value && option.value === service; });
+    if (select.value === service) select.value = '';
+  });
+}
+
+function collectFailover(service) {
+  const services = [];
+  AI_FALLBACK_SELECTS.forEach(id => {
+    const value = document.getElementById(id)?.value || '';
+    if (value && value !== service && !services.includes(value)) services.push(value);
+  });
+  const on = {};
+  Object.entries(AI_FAILOVER_TOGGLES).forEach(([rule, id]) => {
+    on[rule] = document.getElementById(id)?.checked !== false;
+  });
+  return { services, on };
+}
+
 function renderEndpointProfile(service, options = {}) {
   const normalized = ['gemini', 'openrouter', 'custom'].includes(service) ? service : 'gemini';
   const profile = profileSnapshot(normalized);
@@ -180,6 +235,7 @@ function renderEndpointProfile(service, options = {}) {
   }
   if (modelGroup) modelGroup.style.display = normalized === 'gemini' && mode === 'auto' ? 'none' : '';
   renderInputCap(aiEndpointStatus?.config);
+  renderFailover(aiEndpointStatus?.config, normalized);
   if (optional) optional.textContent = normalized === 'custom' ? 'optional' : 'required';
   if (geminiHelp) geminiHelp.style.display = normalized === 'gemini' ? '' : 'none';
   setEndpointValidation();
@@ -249,6 +305,7 @@ function collectEndpointConfig({ clearKey = false } = {}) {
   const profileValid = errors.length === 0;
   return {
     version: 1, activeService: service, inputCapTokens: inputCap.value,
+    failover: collectFailover(service),
     profiles: profileValid || clearKey ? { [service]: profile } : {},
     profileValid,
     validation: errors.length ? { message: errors.join(' '), fields } : null,
@@ -286,6 +343,7 @@ async function persistEndpointSettings() {
   const status = await sendAIEndpointMessage({ op: 'settings:set', config });
   updateEndpointStatus({ status });
   aiEndpointCapDirty = false;
+  aiEndpointFailoverDirty = false;
   renderEndpointProfile(status.service || config.activeService);
   if (validation) setEndpointValidation(validation.message, validation.fields);
   return { ...status, profileValid };
@@ -339,6 +397,7 @@ async function clearAIEndpointKey() {
     const status = await sendAIEndpointMessage({ op: 'settings:set', config });
     updateEndpointStatus({ status });
     aiEndpointCapDirty = false;
+  aiEndpointFailoverDirty = false;
     renderEndpointProfile(service);
     showToast(`${aiServiceLabel(service)} API key cleared`, 'success');
   } catch (error) {
@@ -389,6 +448,12 @@ function initAIEndpointSettings() {
     setEndpointValidation();
     markAIEndpointDirty();
   });
+  [...AI_FALLBACK_SELECTS, ...Object.values(AI_FAILOVER_TOGGLES)].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', () => {
+      aiEndpointFailoverDirty = true;
+      markAIEndpointDirty();
+    });
+  });
   document.getElementById('ai-endpoint-save')?.addEventListener('click', saveAIEndpointSettings);
   document.getElementById('ai-endpoint-test')?.addEventListener('click', testAIEndpointSettings);
   document.getElementById('ai-endpoint-clear-key')?.addEventListener('click', clearAIEndpointKey);
@@ -15,6 +15,8 @@ const STORAGE_KEYS = {
   activeCharacter: 'betterDungeon_activeCharacterPreset',
   ultrascriptsDebug: 'ultrascripts_debug',
   ultrascriptsModules: 'ultrascripts_enabled_modules',
+  ultrascriptsConsent: 'ultrascripts_consent_grants',
+  ultrascriptsAudioOutput: 'ultrascripts_audio_output',
   customHotkeys: 'betterDungeon_customHotkeys',
   customModeColors: 'betterDungeon_customModeColors',
   commandSubMode: 'betterDungeon_commandSubMode',
@@ -91,6 +93,7 @@ const ULTRASCRIPTS_PUBLIC_MODULES = [
   'webfetch',
   'clock',
   'sdk',
+  'storage',
   'weather',
   'network',
   'system',
@@ -279,6 +282,162 @@ function initUltrascriptsSettings() {
   });
 
   document.getElementById('ultrascripts-refresh')?.addEventListener('click', refreshUltrascriptsState);
+  document.getElementById('ultrascripts-trace-open')?.addEventListener('click', openUltrascriptsTraceViewer);
+  document.getElementById('ultrascripts-trace-export')?.addEventListener('click', exportUltrascriptsTrace);
+  document.getElementById('widget-sandbox-open')?.addEventListener('click', openWidgetSandbox);
+  initUltrascriptsConsent();
+  initAudioOutputSettings();
+}
+
+// Player-side volume and mute for the Audio module. The page applies
+// changes through chrome.storage.onChanged, so they take effect mid-sound.
+function initAudioOutputSettings() {
+  const slider = document.getElementById('audio-master-volume');
+  const display = document.getElementById('audio-master-volume-value');
+  const mute = document.getElementById('audio-mute');
+  if (!slider || !display || !mute) return;
+
+  const render = (output) => {
+    slider.value = output.volume;
+    display.textContent = `${output.volume}%`;
+    mute.checked = output.muted;
+    slider.disabled = output.muted;
+  };
+
+  const save = () => {
+    const output = { volume: parseInt(slider.value, 10), muted: mute.checked };
+    render(output);
+    chrome.storage.sync.set({ [STORAGE_KEYS.ultrascriptsAudioOutput]: output });
+  };
+
+  chrome.storage.sync.get(STORAGE_KEYS.ultrascriptsAudioOutput, (result) => {
+    const saved = (result || {})[STORAGE_KEYS.ultrascriptsAudioOutput] || {};
+    render({ volume: saved.volume ?? 100, muted: saved.muted === true });
+  });
+
+  // Saved on release: chrome.storage.sync limits writes per minute.
+  slider.addEventListener('input', () => { display.textContent = `${slider.value}%`; });
+  slider.addEventListener('change', save);
+  mute.addEventListener('change', save);
+}
+
+// Widget authoring page (widget-sandbox.html); needs no AI Dungeon tab.
+function openWidgetSandbox() {
+  chrome.tabs.create({ url: chrome.runtime.getURL('widget-sandbox.html') });
+  window.close();
+}
+
+// The request/response trace lives in the page (services/ultrascripts/trace-recorder.js).
+async function openUltrascriptsTraceViewer() {
+  try {
+    const result = await sendToActiveAIDungeon('OPEN_ULTRASCRIPTS_TRACE_VIEWER');
+    if (!result?.success) throw new Error('Trace viewer unavailable');
+    window.close();
+  } catch {
+    showToast('Open AI Dungeon to view the Ultrascripts trace', 'error');
+  }
+}
+
+async function exportUltrascriptsTrace() {
+  let doc = null;
+  try {
+    doc = (await sendToActiveAIDungeon('GET_ULTRASCRIPTS_TRACE'))?.trace || null;
+  } catch { /* reported below */ }
+  if (!doc) {
+    showToast('Open AI Dungeon to export the Ultrascripts trace', 'error');
+    return;
+  }
+  const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `ultrascripts-trace-${doc.adventureShortId || 'page'}-${doc.exportedAt.replace(/[:.]/g, '-')}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  showToast(`Exported ${doc.entries.length} trace entries`, 'success');
+}
+
+// Per-scenario consent decisions written by services/ultrascripts/consent.js.
+// The page picks up revocations through chrome.storage.onChanged.
+function initUltrascriptsConsent() {
+  loadUltrascriptsConsent();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[STORAGE_KEYS.ultrascriptsConsent]) loadUltrascriptsConsent();
+  });
+}
+
+function loadUltrascriptsConsent() {
+  chrome.storage.local.get(STORAGE_KEYS.ultrascriptsConsent, (result) => {
+    const grants = (result || {})[STORAGE_KEYS.ultrascriptsConsent];
+    renderUltrascriptsConsent(grants && typeof grants === 'object' ? grants : {});
+  });
+}
+
+function renderUltrascriptsConsent(grants) {
+  const container = document.getElementById('ultrascripts-consent-list');
+  const emptyState = document.getElementById('ultrascripts-consent-empty');
+  if (!container) return;
+
+  container.innerHTML = '';
+  const scenarios = Object.entries(grants)
+    .filter(([, entry]) => entry?.modules && Object.keys(entry.modules).length)
+    .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  if (emptyState) emptyState.style.display = scenarios.length ? 'none' : 'flex';
+
+  for (const [scenarioId, entry] of scenarios) {
+    const card = document.createElement('article');
+    card.className = 'ultrascripts-consent-card';
+
+    const header = document.createElement('div');
+    header.className = 'ultrascripts-consent-header';
+    const title = document.createElement('strong');
+    title.textContent = entry.title || `Scenario ${scenarioId}`;
+    const revokeAll = document.createElement('button');
+    revokeAll.className = 'btn btn-ghost btn-sm';
+    revokeAll.textContent = 'Revoke all';
+    revokeAll.addEventListener('click', () => revokeUltrascriptsConsent(scenarioId));
+    header.append(title, revokeAll);
+    card.appendChild(header);
+
+    for (const [moduleId, grant] of Object.entries(entry.modules).sort(([a], [b]) => a.localeCompare(b))) {
+      const row = document.createElement('div');
+      row.className = 'ultrascripts-consent-row';
+      const label = document.createElement('span');
+      label.className = 'ultrascripts-consent-module';
+      label.textContent = moduleId;
+      const decision = document.createElement('span');
+      decision.className = `ultrascripts-consent-decision ${grant.decision === 'allow' ? 'allowed' : 'denied'}`;
+      decision.textContent = grant.decision === 'allow' ? 'Allowed' : 'Denied';
+      const revoke = document.createElement('button');
+      revoke.className = 'btn btn-icon btn-ghost';
+      revoke.title = `Revoke ${moduleId}`;
+      revoke.setAttribute('aria-label', `Revoke ${moduleId} for ${title.textContent}`);
+      revoke.innerHTML = '<span class="icon-x"></span>';
+      revoke.addEventListener('click', () => revokeUltrascriptsConsent(scenarioId, moduleId));
+      row.append(label, decision, revoke);
+      card.appendChild(row);
+    }
+    container.appendChild(card);
+  }
+}
+
+function revokeUltrascriptsConsent(scenarioId, moduleId) {
+  chrome.storage.local.get(STORAGE_KEYS.ultrascriptsConsent, (result) => {
+    const grants = { ...((result || {})[STORAGE_KEYS.ultrascriptsConsent] || {}) };
+    const entry = grants[scenarioId];
+    if (!entry) return;
+    if (moduleId) {
+      const modules = { ...(entry.modules || {}) };
+      delete modules[moduleId];
+      if (Object.keys(modules).length) grants[scenarioId] = { ...entry, modules };
+      else delete grants[scenarioId];
+    } else {
+      delete grants[scenarioId];
+    }
+    chrome.storage.local.set({ [STORAGE_KEYS.ultrascriptsConsent]: grants }, () => {
+      showToast(moduleId ? `Revoked ${moduleId}` : 'Revoked all decisions', 'success');
+    });
+  });
 }
 
 function defaultUltrascriptsModuleState() {
@@ -350,6 +509,7 @@ function updateUltrascriptsStatus(state, fallbackDetail = '') {
     dot.classList.add('offline');
     label.textContent = 'Ultrascripts not connected';
     detail.textContent = fallbackDetail || 'Open AI Dungeon to inspect live module state.';
+    renderUltrascriptsUsage({});
     return;
   }
 
@@ -360,6 +520,42 @@ function updateUltrascriptsStatus(state, fallbackDetail = '') {
   dot.classList.add(ultrascriptsOn ? 'online' : 'offline');
   label.textContent = ultrascriptsOn ? 'Ultrascripts online' : 'Ultrascripts off';
   detail.textContent = `${mounted.length}/${ULTRASCRIPTS_PUBLIC_MODULES.length} modules mounted, ${enabled.length} enabled.`;
+  renderUltrascriptsUsage(state.usage || {});
+}
+
+// One row per rate-limited op: tokens ready now and today's quota use.
+function renderUltrascriptsUsage(usage) {
+  const container = document.getElementById('ultrascripts-usage-list');
+  if (!container) return;
+
+  container.innerHTML = '';
+  const rows = [];
+  for (const [moduleId, ops] of Object.entries(usage)) {
+    if (!ULTRASCRIPTS_PUBLIC_MODULES.includes(moduleId)) continue;
+    for (const [opName, entry] of Object.entries(ops || {})) rows.push([`${moduleId}.${opName}`, entry]);
+  }
+  container.style.display = rows.length ? 'grid' : 'none';
+
+  for (const [key, entry] of rows.sort(([a], [b]) => a.localeCompare(b))) {
+    const row = document.createElement('div');
+    row.className = 'ultrascripts-usage-row';
+    const label = document.createElement('span');
+    label.className = 'ultrascripts-usage-op';
+    label.textContent = key;
+    const rate = document.createElement('span');
+    rate.className = 'ultrascripts-usage-rate';
+    rate.textContent = entry.rate ? `${entry.rate.available}/${entry.rate.burst} ready` : '';
+    if (entry.rate) rate.title = `Refills at ${entry.rate.perMinute} per minute`;
+    const daily = document.createElement('span');
+    daily.className = 'ultrascripts-usage-daily';
+    daily.textContent = entry.daily ? `${entry.daily.used}/${entry.daily.limit} today` : '';
+    if (entry.daily) {
+      daily.classList.toggle('exhausted', entry.daily.used >= entry.daily.limit);
+      daily.title = 'Runs today for the current scenario';
+    }
+    row.append(label, rate, daily);
+    container.appendChild(row);
+  }
 }
 
 function saveFeatureState(featureId, enabled) {
@@ -865,15 +865,55 @@ class AIDungeonService {
     'accept-encoding', 'content-length', 'cookie',
   ]);
 
-  async _replayMutation(overrides) {
+  // Replays a list of updateStoryCard mutations as one batched POST. Returns
+  // one { ok, result } or { ok: false, error } per input, in order. Throws
+  // only when the request as a whole fails (credentials, HTTP, bad body).
+  async _replayMutations(list) {
     const ws = (typeof window !== 'undefined') ? window.Ultrascripts?.ws : null;
     const base = ws?.getBaseCredentials ? ws.getBaseCredentials() : null;
     if (!base) {
       throw new Error(`[AIDungeonService] Waiting for website credentials to load. Please wait or reload.`);
     }
 
+    const body = JSON.stringify(list.map(overrides => this._storyCardOperation(overrides)));
+
+    const response = await fetch(base.url || 'https://api.aidungeon.com/graphql', {
+      method: 'POST',
+      credentials: 'include',
+      headers: this._restoreReplayHeaders(base.headers),
+      body,
+    });
+
+    if (!response.ok) {
+      const txt = await response.text().catch(() => '<no body>');
+      throw new Error(`[AIDungeonService] updateStoryCard HTTP ${response.status}: ${txt.slice(0, 200)}`);
+    }
+
+    const parsed = await response.json();
+    const items = Array.isArray(parsed) ? parsed : [parsed];
+    return list.map((_overrides, i) => {
+      const data = items[i]?.data;
+      if (!data || typeof data !== 'object') {
+        const errs = items[i]?.errors ? ` errors=${JSON.stringify(items[i].errors).slice(0, 300)}` : '';
+        return { ok: false, error: new Error(`[AIDungeonService] updateStoryCard response missing data.${errs}`) };
+      }
+      const result = data.updateStoryCard;
+      if (result && result.success === false) {
+        return { ok: false, error: new Error(`[AIDungeonService] updateStoryCard failed: ${result.message || 'unknown error'}`) };
+      }
+      return { ok: true, result };
+    });
+  }
+
+  async _replayMutation(overrides) {
+    const [outcome] = await this._replayMutations([overrides]);
+    if (!outcome.ok) throw outcome.error;
+    return outcome.result;
+  }
+
+  _storyCardOperation(overrides) {
     const operationName = overrides.operationName || 'UseAutoSaveStoryCard';
-    const body = JSON.stringify([{
+    return {
       operationName,
       variables: {
         input: {
@@ -906,33 +946,7 @@ class AIDungeonService {
           __typename
         }
       }`
-    }]);
-
-    const response = await fetch(base.url || 'https://api.aidungeon.com/graphql', {
-      method: 'POST',
-      credentials: 'include',
-      headers: this._restoreReplayHeaders(base.headers),
-      body,
-    });
-
-    if (!response.ok) {
-      const txt = await response.text().catch(() => '<no body>');
-      throw new Error(`[AIDungeonService] updateStoryCard HTTP ${response.status}: ${txt.slice(0, 200)}`);
-    }
-
-    const parsed = await response.json();
-    const first = Array.isArray(parsed) ? parsed[0] : parsed;
-    const data = first?.data;
-    if (!data || typeof data !== 'object') {
-      const errs = first?.errors ? ` errors=${JSON.stringify(first.errors).slice(0, 300)}` : '';
-      throw new Error(`[AIDungeonService] updateStoryCard response missing data.${errs}`);
-    }
-
-    const result = data.updateStoryCard;
-    if (result && result.success === false) {
-      throw new Error(`[AIDungeonService] updateStoryCard failed: ${result.message || 'unknown error'}`);
-    }
-    return result;
+    };
   }
 
   _mintCardId() {
@@ -964,15 +978,7 @@ class AIDungeonService {
     return null;
   }
 
-  async upsertStoryCard(title, value, opts = {}) {
-    const {
-      type = '',
-      keys = '',
-      description = '',
-      id: forceId = null,
-      useForCharacterCreation = false,
-    } = opts;
-
+  _assertCanWriteStoryCards() {
     const ws = (typeof window !== 'undefined') ? window.Ultrascripts?.ws : null;
     const hasBase = ws?.hasBaseCredentials ? ws.hasBaseCredentials() : false;
     if (!hasBase) {
@@ -987,6 +993,18 @@ class AIDungeonService {
         `[AIDungeonService] Adventure shortId is unknown. Ensure you're on an adventure URL.`
       );
     }
+    return adventure;
+  }
+
+  // Resolves the target card id and mutation input for one write.
+  _prepareStoryCardWrite(adventure, title, value, opts = {}) {
+    const {
+      type = '',
+      keys = '',
+      description = '',
+      id: forceId = null,
+      useForCharacterCreation = false,
+    } = opts;
 
     const existing = forceId
       ? (this._findExistingCardById(forceId) || { id: forceId })
@@ -995,7 +1013,7 @@ class AIDungeonService {
     const targetId = existing?.id || forceId || this._mintCardId();
     const isCreate = !existing;
 
-    const overrides = {
+    return {
       id: targetId,
       type: type || existing?.type || '',
       title,
@@ -1009,13 +1027,35 @@ class AIDungeonService {
         : !!existing?.useForCharacterCreation,
       operationName: isCreate ? 'SaveQueueStoryCard' : 'UseAutoSaveStoryCard',
     };
+  }
 
-    const result = await this._replayMutation(overrides);
+  _storyCardFromResult(result, overrides) {
     const card = result.storyCard || result;
-    if (card && typeof card === 'object') card.__ultrascriptsCreated = isCreate;
+    if (card && typeof card === 'object') {
+      card.__ultrascriptsCreated = overrides.operationName === 'SaveQueueStoryCard';
+    }
     return card;
   }
 
+  async upsertStoryCard(title, value, opts = {}) {
+    const adventure = this._assertCanWriteStoryCards();
+    const overrides = this._prepareStoryCardWrite(adventure, title, value, opts);
+    const result = await this._replayMutation(overrides);
+    return this._storyCardFromResult(result, overrides);
+  }
+
+  // Writes several cards in one request. `writes` is [{ title, value, opts }];
+  // resolves one { ok, card } or { ok: false, error } per write so a rejected
+  // card does not fail the rest of the batch.
+  async upsertStoryCards(writes) {
+    const adventure = this._assertCanWriteStoryCards();
+    const list = writes.map(({ title, value, opts }) => this._prepareStoryCardWrite(adventure, title, value, opts));
+    const outcomes = await this._replayMutations(list);
+    return outcomes.map((outcome, i) => outcome.ok
+      ? { ok: true, card: this._storyCardFromResult(outcome.result, list[i]) }
+      : outcome);
+  }
+
   // ==================== UTILITIES ====================
 
   // Simple delay promise
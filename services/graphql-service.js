@@ -28,6 +28,7 @@
           id
           shortId
           scenarioId
+          title
           actionCount
           __typename
         }
@@ -411,6 +412,8 @@
       return typeof value === 'string' && /^\d+$/.test(value);
     }
 
+    // `options.requireScenario` skips the WebSocket shortcut and any cached
+    // identity whose scenarioId is not resolved yet.
     async getAdventureIdentity(shortId = null, options = {}) {
       const ws = this.getWs();
       const resolvedShortId = shortId || ws?.getAdventureShortId?.() || this.getShortIdFromUrl();
@@ -420,17 +423,19 @@
 
       const wsAdventureId = ws?.getAdventureId?.();
       const cached = this.identityCache.get(resolvedShortId);
-      if (cached && (cached.adventureId || cached.id)) {
+      const requireScenario = options.requireScenario === true;
+      if (cached && (cached.adventureId || cached.id) && (cached.scenarioId || !requireScenario)) {
         this.resolveScenarioIdInBackground(resolvedShortId, cached);
         return cached;
       }
 
-      if (this.isNumericId(wsAdventureId)) {
+      if (!requireScenario && this.isNumericId(wsAdventureId)) {
         const identity = {
           adventureId: wsAdventureId,
           id: wsAdventureId,
           shortId: resolvedShortId,
           scenarioId: null,
+          title: null,
           actionCount: null,
           source: 'ws',
         };
@@ -455,6 +460,7 @@
         id: String(adventure.id),
         shortId: adventure.shortId || resolvedShortId,
         scenarioId: adventure.scenarioId || null,
+        title: typeof adventure.title === 'string' ? adventure.title : null,
         actionCount: Number.isFinite(adventure.actionCount) ? adventure.actionCount : null,
         source: 'graphql',
       };
@@ -479,6 +485,7 @@
           );
           const adventure = result?.data?.adventure;
           if (adventure?.scenarioId) cached.scenarioId = adventure.scenarioId;
+          if (typeof adventure?.title === 'string') cached.title = adventure.title;
         } catch (error) {
           this.log('Background scenario identity lookup failed:', error);
         }
@@ -0,0 +1,188 @@
+// services/ultrascripts/arg-schema.js
+//
+// Pure JSON Schema checks for op arguments. Modules declare `args` on each op
+// definition; the ops dispatcher validates every request against it before
+// the handler runs, so handlers only keep the checks a schema cannot
+// express (URL safety, JSON size quotas, cross-field rules).
+//
+// Supported keywords, a practical subset of draft 2020-12:
+//   type (string or array; 'integer' included), enum, const,
+//   properties, required, additionalProperties (boolean or schema),
+//   minProperties, maxProperties, items, minItems, maxItems,
+//   minLength, maxLength, pattern, minimum, maximum,
+//   exclusiveMinimum, exclusiveMaximum
+// Annotation keywords (description, default, ...) are ignored.
+//
+// Errors carry RFC 6901 JSON pointers into the args object, so
+// `{ ops: [{ key: 'a b' }] }` reports `/ops/0/key` and a problem with the
+// args object itself reports ''.
+
+(function () {
+  if (window.Ultrascripts?.argSchema) return;
+
+  const MAX_REPORTED_ERRORS = 10;
+  const patternCache = new Map();
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  function pointer(segments) {
+    return segments.map(segment => '/' + escapePointerSegment(segment)).join('');
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+  }
+
+  function compilePattern(source) {
+    if (!patternCache.has(source)) patternCache.set(source, new RegExp(source, 'u'));
+    return patternCache.get(source);
+  }
+
+  function sameJson(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  function describe(value) {
+    return JSON.stringify(value);
+  }
+
+  function check(schema, value, path, errors) {
+    if (errors.length >= MAX_REPORTED_ERRORS) return;
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+      errors.push({ path: pointer(path), keyword: 'false', message: 'is not allowed' });
+      return;
+    }
+    if (!isPlainObject(schema)) return;
+
+    const fail = (keyword, message) => errors.push({ path: pointer(path), keyword, message });
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        fail('type', `must be ${types.join(' or ')}`);
+        return;
+      }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(item => sameJson(item, value))) {
+      fail('enum', `must be one of: ${schema.enum.map(describe).join(', ')}`);
+    }
+    if (schema.const !== undefined && !sameJson(schema.const, value)) {
+      fail('const', `must be ${describe(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      const length = Array.from(value).length;
+      if (Number.isFinite(schema.minLength) && length < schema.minLength) {
+        fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+      }
+      if (Number.isFinite(schema.maxLength) && length > schema.maxLength) {
+        fail('maxLength', `must be at most ${schema.maxLength} characters`);
+      }
+      if (typeof schema.pattern === 'string' && !compilePattern(schema.pattern).test(value)) {
+        fail('pattern', `must match ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (Number.isFinite(schema.minimum) && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+      if (Number.isFinite(schema.maximum) && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+      if (Number.isFinite(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+        fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+      }
+      if (Number.isFinite(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+        fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+        fail('minItems', schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+      }
+      if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+        fail('maxItems', `must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items !== undefined) {
+        value.forEach((item, index) => check(schema.items, item, path.concat(index), errors));
+      }
+    }
+
+    if (isPlainObject(value)) {
+      const keys = Object.keys(value);
+      if (Number.isFinite(schema.minProperties) && keys.length < schema.minProperties) {
+        fail('minProperties', `must have at least ${schema.minProperties} entries`);
+      }
+      if (Number.isFinite(schema.maxProperties) && keys.length > schema.maxProperties) {
+        fail('maxProperties', `must have at most ${schema.maxProperties} entries`);
+      }
+      if (Array.isArray(schema.required)) {
+        for (const name of schema.required) {
+          if (value[name] === undefined) {
+            errors.push({ path: pointer(path.concat(name)), keyword: 'required', message: 'is required' });
+          }
+        }
+      }
+      const properties = isPlainObject(schema.properties) ? schema.properties : {};
+      for (const key of keys) {
+        if (value[key] === undefined) continue;
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+          check(properties[key], value[key], path.concat(key), errors);
+        } else if (schema.additionalProperties !== undefined) {
+          check(schema.additionalProperties, value[key], path.concat(key), errors);
+        }
+      }
+    }
+  }
+
+  // Returns { valid, errors: [{ path, keyword, message }] }. Stops after
+  // MAX_REPORTED_ERRORS.
+  function validate(schema, value) {
+    const errors = [];
+    check(schema, value, [], errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  // The uniform `invalid_args` error for a failed validation. `path` and
+  // `message` describe the first problem; `errors` lists them all.
+  function invalidArgsError(errors) {
+    const first = errors[0];
+    return {
+      code: 'invalid_args',
+      message: `args${first.path} ${first.message}`,
+      path: first.path,
+      errors: errors.map(error => ({ path: error.path, message: error.message })),
+    };
+  }
+
+  // Validates request args (undefined and null count as `{}`) and returns
+  // them, or throws the `invalid_args` error.
+  function assertArgs(schema, args) {
+    const value = args === undefined || args === null ? {} : args;
+    const result = validate(schema, value);
+    if (!result.valid) throw invalidArgsError(result.errors);
+    return value;
+  }
+
+  window.Ultrascripts = window.Ultrascripts || {};
+  window.Ultrascripts.argSchema = {
+    validate,
+    assertArgs,
+    invalidArgsError,
+    pointer,
+  };
+})();
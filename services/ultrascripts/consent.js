@@ -0,0 +1,352 @@
+// services/ultrascripts/consent.js
+//
+// Per-scenario consent for sensitive Ultrascripts modules. A module opts in
+// with `requiresConsent: true` on its definition; the ops dispatcher then
+// calls ensure() before running any of its ops.
+//
+// The first request from a scenario shows an in-page prompt naming the
+// scenario, the module and its ops. The player can:
+//   * allow once          — only the requests waiting on this prompt run
+//   * allow this scenario — stored, later requests run without asking
+//   * deny                — stored, later requests fail with consent_denied
+//
+// Decisions are kept in chrome.storage.local under
+// `ultrascripts_consent_grants`, keyed by the adventure's scenario id:
+//   { [scenarioId]: { title, updatedAt, modules: { [moduleId]: { decision, decidedAt } } } }
+// The popup reviews and revokes them; revoking a decision makes the
+// scenario ask again.
+
+(function () {
+  if (window.Ultrascripts?.consent) return;
+
+  const STORAGE_KEY = 'ultrascripts_consent_grants';
+  const DECISIONS = ['once', 'scenario', 'deny'];
+
+  const state = {
+    grants: null,         // parsed storage value once loaded
+    loading: null,        // Promise while the first read is in flight
+    prompts: new Map(),   // `${scenarioId}:${moduleId}` -> prompt
+    nextPromptId: 1,
+    stack: null,          // in-page prompt container
+    metrics: {
+      prompts: 0,
+      allowedOnce: 0,
+      allowedScenario: 0,
+      denied: 0,
+      autoAllowed: 0,
+      autoDenied: 0,
+    },
+  };
+
+  function storageApi() {
+    try {
+      const api = typeof browser !== 'undefined' ? browser : chrome;
+      return api?.storage || null;
+    } catch {
+      return null;
+    }
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function normalizeGrants(raw) {
+    const out = {};
+    if (!isObject(raw)) return out;
+    for (const [scenarioId, entry] of Object.entries(raw)) {
+      if (!isObject(entry) || !isObject(entry.modules)) continue;
+      const modules = {};
+      for (const [moduleId, grant] of Object.entries(entry.modules)) {
+        if (grant?.decision === 'allow' || grant?.decision === 'deny') {
+          modules[moduleId] = { decision: grant.decision, decidedAt: Number(grant.decidedAt) || 0 };
+        }
+      }
+      if (Object.keys(modules).length) {
+        out[scenarioId] = {
+          title: typeof entry.title === 'string' ? entry.title : null,
+          updatedAt: Number(entry.updatedAt) || 0,
+          modules,
+        };
+      }
+    }
+    return out;
+  }
+
+  function loadGrants() {
+    if (state.grants) return Promise.resolve(state.grants);
+    if (state.loading) return state.loading;
+    state.loading = new Promise((resolve) => {
+      const done = (result) => {
+        state.grants = normalizeGrants(result?.[STORAGE_KEY]);
+        state.loading = null;
+        resolve(state.grants);
+      };
+      try {
+        const area = storageApi()?.local;
+        if (!area?.get) { done(null); return; }
+        area.get(STORAGE_KEY, done);
+      } catch {
+        done(null);
+      }
+    });
+    return state.loading;
+  }
+
+  function saveGrants() {
+    try {
+      storageApi()?.local?.set?.({ [STORAGE_KEY]: state.grants });
+    } catch { /* storage unavailable */ }
+  }
+
+  function setDecision(scenario, moduleId, decision) {
+    const entry = state.grants[scenario.id] || { title: null, updatedAt: 0, modules: {} };
+    const decidedAt = Date.now();
+    entry.title = scenario.title || entry.title;
+    entry.updatedAt = decidedAt;
+    entry.modules[moduleId] = { decision, decidedAt };
+    state.grants[scenario.id] = entry;
+    saveGrants();
+  }
+
+  // The popup edits the same key; keep the cache in step with it.
+  function watchStorage() {
+    try {
+      storageApi()?.onChanged?.addListener?.((changes, area) => {
+        if (area === 'local' && changes[STORAGE_KEY]) {
+          state.grants = normalizeGrants(changes[STORAGE_KEY].newValue);
+        }
+      });
+    } catch { /* storage unavailable */ }
+  }
+
+  // ---------- scenario resolution ----------
+
+  async function resolveScenario() {
+    const core = window.Ultrascripts?.core;
+    if (!core?.resolveScenario) {
+      throw { code: 'unavailable', message: 'Ultrascripts core is not ready', retryable: true };
+    }
+    return core.resolveScenario();
+  }
+
+  // ---------- errors ----------
+
+  function deniedError(moduleId, scenario, remembered) {
+    return {
+      code: 'consent_denied',
+      message: remembered
+        ? `The player has denied '${moduleId}' for this scenario`
+        : `The player denied '${moduleId}'`,
+      module: moduleId,
+      scenarioId: scenario.id,
+    };
+  }
+
+  // ---------- prompts ----------
+
+  function ensureStack() {
+    if (state.stack) return state.stack;
+    const body = typeof document !== 'undefined' ? document.body : null;
+    if (!body?.appendChild) return null;
+    const stack = document.createElement('div');
+    stack.className = 'bd-consent-stack';
+    body.appendChild(stack);
+    state.stack = stack;
+    return stack;
+  }
+
+  function renderPrompt(prompt) {
+    const stack = ensureStack();
+    if (!stack) return null;
+
+    const el = document.createElement('div');
+    el.className = 'bd-consent-prompt';
+    el.setAttribute('role', 'alertdialog');
+    el.setAttribute('aria-labelledby', `bd-consent-${prompt.id}-title`);
+    el.setAttribute('aria-describedby', `bd-consent-${prompt.id}-text`);
+
+    const header = document.createElement('div');
+    header.className = 'bd-consent-header';
+    const icon = document.createElement('span');
+    icon.className = 'bd-consent-icon icon-shield-alert';
+    icon.setAttribute('aria-hidden', 'true');
+    const title = document.createElement('strong');
+    title.id = `bd-consent-${prompt.id}-title`;
+    title.textContent = 'Script permission';
+    header.appendChild(icon);
+    header.appendChild(title);
+
+    const text = document.createElement('p');
+    text.className = 'bd-consent-text';
+    text.id = `bd-consent-${prompt.id}-text`;
+    const who = prompt.scenario.title ? `“${prompt.scenario.title}”` : 'This scenario';
+    text.textContent = `${who} wants to use ${prompt.label}.`;
+
+    const ops = document.createElement('p');
+    ops.className = 'bd-consent-ops';
+    ops.textContent = `Ops: ${prompt.ops.join(', ')}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'bd-consent-actions';
+    const buttons = [
+      ['deny', 'Deny', 'bd-consent-btn bd-consent-btn-deny'],
+      ['once', 'Allow once', 'bd-consent-btn'],
+      ['scenario', 'Allow for this scenario', 'bd-consent-btn bd-consent-btn-primary'],
+    ];
+    for (const [decision, label, className] of buttons) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = className;
+      btn.textContent = label;
+      btn.addEventListener('click', () => resolvePrompt(prompt.id, decision));
+      actions.appendChild(btn);
+    }
+
+    el.appendChild(header);
+    el.appendChild(text);
+    el.appendChild(ops);
+    el.appendChild(actions);
+    stack.appendChild(el);
+    return el;
+  }
+
+  function closePrompt(prompt) {
+    state.prompts.delete(prompt.key);
+    try { prompt.element?.remove?.(); } catch { /* noop */ }
+  }
+
+  function findPrompt(promptId) {
+    for (const prompt of state.prompts.values()) {
+      if (prompt.id === promptId) return prompt;
+    }
+    return null;
+  }
+
+  function openPrompt(def, scenario) {
+    const key = `${scenario.id}:${def.id}`;
+    let prompt = state.prompts.get(key);
+    if (prompt) return prompt;
+
+    prompt = {
+      id: state.nextPromptId++,
+      key,
+      moduleId: def.id,
+      label: def.label || def.id,
+      ops: Object.keys(def.ops || {}),
+      scenario,
+      waiters: new Set(),
+      openedAt: Date.now(),
+      element: null,
+    };
+    state.prompts.set(key, prompt);
+    state.metrics.prompts++;
+    prompt.element = renderPrompt(prompt);
+    return prompt;
+  }
+
+  // Applies the player's answer to every request waiting on the prompt.
+  // Returns false if the prompt is gone or the decision is not recognised.
+  function resolvePrompt(promptId, decision) {
+    const prompt = findPrompt(Number(promptId));
+    if (!prompt || !DECISIONS.includes(decision)) return false;
+    closePrompt(prompt);
+
+    if (decision === 'deny') {
+      state.metrics.denied++;
+      if (state.grants) setDecision(prompt.scenario, prompt.moduleId, 'deny');
+      const error = deniedError(prompt.moduleId, prompt.scenario, false);
+      for (const waiter of prompt.waiters) waiter.reject(error);
+      return true;
+    }
+
+    if (decision === 'scenario') {
+      state.metrics.allowedScenario++;
+      if (state.grants) setDecision(prompt.scenario, prompt.moduleId, 'allow');
+    } else {
+      state.metrics.allowedOnce++;
+    }
+    for (const waiter of prompt.waiters) waiter.resolve();
+    return true;
+  }
+
+  // Resolves when `def` may run `op` for the current scenario, or rejects
+  // with consent_denied. Aborting `signal` withdraws the request; the prompt
+  // closes once nothing is waiting on it.
+  async function ensure(def, { op, requestId, signal } = {}) {
+    if (def?.requiresConsent !== true) return;
+    const scenario = await resolveScenario();
+    const grants = await loadGrants();
+    const grant = grants[scenario.id]?.modules?.[def.id];
+    if (grant?.decision === 'allow') {
+      state.metrics.autoAllowed++;
+      return;
+    }
+    if (grant?.decision === 'deny') {
+      state.metrics.autoDenied++;
+      throw deniedError(def.id, scenario, true);
+    }
+    if (signal?.aborted) throw signal.reason;
+
+    const prompt = openPrompt(def, scenario);
+    await new Promise((resolve, reject) => {
+      const waiter = { requestId: requestId || null, op: op || null, resolve, reject };
+      const onAbort = () => {
+        prompt.waiters.delete(waiter);
+        if (!prompt.waiters.size && state.prompts.get(prompt.key) === prompt) closePrompt(prompt);
+        reject(signal.reason);
+      };
+      waiter.resolve = () => { signal?.removeEventListener?.('abort', onAbort); resolve(); };
+      waiter.reject = (error) => { signal?.removeEventListener?.('abort', onAbort); reject(error); };
+      prompt.waiters.add(waiter);
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+    });
+  }
+
+  async function listGrants() {
+    const grants = await loadGrants();
+    return JSON.parse(JSON.stringify(grants));
+  }
+
+  // Forgets one module's decision for a scenario, or all of them.
+  async function revoke(scenarioId, moduleId) {
+    const grants = await loadGrants();
+    const entry = grants[scenarioId];
+    if (!entry) return false;
+    if (moduleId === undefined) {
+      delete grants[scenarioId];
+    } else {
+      if (!entry.modules[moduleId]) return false;
+      delete entry.modules[moduleId];
+      if (!Object.keys(entry.modules).length) delete grants[scenarioId];
+    }
+    saveGrants();
+    return true;
+  }
+
+  watchStorage();
+
+  window.Ultrascripts = window.Ultrascripts || {};
+  window.Ultrascripts.consent = {
+    STORAGE_KEY,
+    ensure,
+    resolvePrompt,
+    listGrants,
+    revoke,
+    inspect: () => ({
+      loaded: !!state.grants,
+      scenarios: state.grants ? Object.keys(state.grants).length : 0,
+      prompts: [...state.prompts.values()].map(prompt => ({
+        id: prompt.id,
+        scenarioId: prompt.scenario.id,
+        title: prompt.scenario.title,
+        module: prompt.moduleId,
+        ops: prompt.ops.slice(),
+        waiting: [...prompt.waiters].map(waiter => ({ requestId: waiter.requestId, op: waiter.op })),
+        openedAt: prompt.openedAt,
+      })),
+      metrics: { ...state.metrics },
+    }),
+  };
+
+})();
@@ -32,6 +32,7 @@
   const HEARTBEAT_CARD_TITLE = 'ultrascripts:heartbeat';
   const HEARTBEAT_ARCHIVE_PREFIX = 'ultrascripts:archived:heartbeat:';
   const PROTOCOL_VERSION = 1;
+  const SCENARIO_IDENTITY_TIMEOUT_MS = 10000;
 
   // ---------- internal state ----------
 
@@ -251,6 +252,31 @@
     });
   }
 
+  // The scenario behind the current adventure, for per-scenario policy
+  // (consent grants, daily op quotas). Throws a retryable `unavailable`
+  // error until the adventure's identity is known.
+  async function resolveScenario() {
+    const shortId = getWs()?.getAdventureShortId?.() || null;
+    if (!shortId) {
+      throw { code: 'unavailable', message: 'No adventure is active', retryable: true };
+    }
+    let identity = null;
+    try {
+      identity = await window.BetterDungeonGQL?.getAdventureIdentity?.(shortId, {
+        timeoutMs: SCENARIO_IDENTITY_TIMEOUT_MS,
+        requireScenario: true,
+      });
+    } catch { /* reported below */ }
+    if (!identity?.scenarioId) {
+      throw {
+        code: 'unavailable',
+        message: 'The scenario for this adventure is not known yet; retry on a later turn',
+        retryable: true,
+      };
+    }
+    return { id: String(identity.scenarioId), title: identity.title || null, adventureShortId: shortId };
+  }
+
   // ---------- heartbeat (Phase 2 — single ultrascripts:heartbeat card) ----------
   //
   // Writes a single ultrascripts:heartbeat card matching the protocol spec from
@@ -377,6 +403,7 @@
             type: 'Ultrascripts',
             keys: '',
             description: 'Archived duplicate Ultrascripts heartbeat card.',
+            priority: 'heartbeat',
           },
         );
       } catch (err) {
@@ -426,23 +453,30 @@
         client: 'BetterDungeon',
         platform: clientPlatform(),
         clientVersion: (chrome?.runtime?.getManifest?.() || {}).version || 'unknown',
+        capabilitySchema: registry?.CAPABILITY_SCHEMA_VERSION ?? null,
         beat,
       },
       turn: state.liveCount,
       modules: modulesList
         .filter(m => m.mounted)
-        .map(m => ({
-          id: m.id,
-          version: m.version || null,
-          stateNames: m.stateNames || [],
-          ops: m.ops || [],
-        })),
+        .map(m => {
+          const entry = {
+            id: m.id,
+            version: m.version || null,
+            stateNames: m.stateNames || [],
+            ops: m.ops || [],
+          };
+          if (m.streamingOps?.length) entry.streamingOps = m.streamingOps;
+          if (m.capabilities) entry.capabilities = m.capabilities;
+          if (m.requiresConsent) entry.requiresConsent = true;
+          return entry;
+        }),
       writtenAt: new Date().toISOString(),
     };
 
     state.heartbeatPending = true;
     try {
-      const opts = { type: 'Ultrascripts' };
+      const opts = { type: 'Ultrascripts', priority: 'heartbeat' };
       if (heartbeatPlan.canonical?.id != null) {
         opts.id = String(heartbeatPlan.canonical.id);
       }
@@ -517,6 +551,8 @@
     // --- Action events ---
 
     document.addEventListener('ultrascripts:actions:change', (e) => {
+      // Each observed action update opens a new write budget turn.
+      getWriteQueue()?.nextTurn?.();
       emit('actions:change', e.detail);
       // A heartbeat is a liveness signal, not merely a live-count snapshot.
       // Retry and other action mutations can leave liveCount unchanged, so
@@ -593,6 +629,9 @@
     if (wq && service && typeof service.upsertStoryCard === 'function') {
       wq.setWriteFn((title, value, opts) => service.upsertStoryCard(title, value, opts));
     }
+    if (wq?.setBatchWriteFn && service && typeof service.upsertStoryCards === 'function') {
+      wq.setBatchWriteFn(writes => service.upsertStoryCards(writes));
+    }
   }
 
   function setEnabled(enabled) {
@@ -695,6 +734,9 @@
           complete: !result.historyIncomplete && !(result.degradations || []).length,
         };
       },
+      // { id, title, adventureShortId } for the current adventure's scenario;
+      // throws a retryable `unavailable` until it is known.
+      resolveScenario,
       getCurrentActionId: () => state.tail,
       getTail: () => state.tail,
       getLiveCount: () => state.liveCount,
@@ -711,6 +753,17 @@
       respondError(requestId, err) {
         return window.Ultrascripts?.opsDispatcher?.respondError?.(requestId, err);
       },
+      // Streaming ops (declared with `streaming: true`) report progress while
+      // the handler is still running. Returns false when the chunk was dropped.
+      partial(requestId, data) {
+        return !!window.Ultrascripts?.opsDispatcher?.partial?.(requestId, data);
+      },
+      // Where this module's ops stand against their declared rateLimit and
+      // dailyQuota: { [op]: { rate?: { burst, perMinute, available },
+      // daily?: { limit, used, scenarioId, day } } }.
+      usage() {
+        return window.Ultrascripts?.opsDispatcher?.usage?.(moduleId) || {};
+      },
 
       // Structured logging. 'debug' level gated by ultrascripts_debug toggle.
       log(level, ...args) {
@@ -733,11 +786,13 @@
     getState,
     getCardByTitle,
     getAdventureId: () => state.adventureId,
+    resolveScenario,
     getTail: () => state.tail,
     getLiveCount: () => state.liveCount,
     getProtocolVersion: () => PROTOCOL_VERSION,
     getClientName: () => 'BetterDungeon',
     isEnabled: () => state.enabled,
+    isDebugEnabled: () => state.debugEnabled,
     writeCard,
     setAIService,
     setEnabled,
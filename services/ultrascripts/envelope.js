@@ -11,7 +11,16 @@
   const OUT_CARD_TITLE = 'ultrascripts:out';
   const IN_CARD_PREFIX = 'ultrascripts:in:';
 
-  const TERMINAL_STATUSES = new Set(['ok', 'err', 'timeout']);
+  const TERMINAL_STATUSES = new Set(['ok', 'err', 'timeout', 'cancelled']);
+  const PARTIAL_DEFAULT_MAX_CHUNKS = 200;
+  const PARTIAL_DEFAULT_MAX_BYTES = 24000;
+  // What an op definition means when it leaves a field out. The dispatcher
+  // runs ops with these and the registry publishes them, so both agree.
+  const OP_DEFAULTS = Object.freeze({
+    idempotent: 'safe',
+    timeoutMs: 30000,
+    streaming: false,
+  });
   const RESERVED_ERROR_CODES = new Set([
     'unknown_module',
     'unknown_op',
@@ -22,6 +31,7 @@
     'handler_threw',
     'scheme_blocked',
     'unsafe_replay_blocked',
+    'cancelled',
   ]);
 
   function isObject(value) {
@@ -63,12 +73,12 @@
     const parsed = parseJson(value);
     const errors = [];
     if (!parsed.ok || !isObject(parsed.value)) {
-      return { valid: false, envelope: { v: PROTOCOL_VERSION, requests: [], acks: [] }, errors: [parsed.error || 'invalid_envelope'] };
+      return { valid: false, envelope: { v: PROTOCOL_VERSION, requests: [], acks: [], cancel: [] }, errors: [parsed.error || 'invalid_envelope'] };
     }
 
     const raw = parsed.value;
     if (raw.v !== PROTOCOL_VERSION) {
-      return { valid: false, envelope: { v: raw.v, requests: [], acks: [] }, errors: [`unsupported_version:${raw.v}`] };
+      return { valid: false, envelope: { v: raw.v, requests: [], acks: [], cancel: [] }, errors: [`unsupported_version:${raw.v}`] };
     }
 
     const requests = [];
@@ -91,9 +101,21 @@
       errors.push('acks_not_array');
     }
 
+    // `cancel` lists request ids the script no longer wants answered. Like
+    // acks, entries are one-shot: the dispatcher remembers them until the
+    // matching request finishes or shows up.
+    const cancel = [];
+    if (Array.isArray(raw.cancel)) {
+      for (const requestId of raw.cancel) {
+        if (typeof requestId === 'string' && requestId) cancel.push(requestId);
+      }
+    } else if (raw.cancel !== undefined) {
+      errors.push('cancel_not_array');
+    }
+
     return {
       valid: errors.length === 0,
-      envelope: { v: PROTOCOL_VERSION, requests, acks },
+      envelope: { v: PROTOCOL_VERSION, requests, acks, cancel },
       errors,
     };
   }
@@ -111,6 +133,7 @@
       args: value.args === undefined ? {} : cloneJson(value.args),
       ts: Number.isFinite(Number(value.ts)) ? Number(value.ts) : Date.now(),
     };
+    if (typeof value.actionId === 'string' && value.actionId) request.actionId = value.actionId;
 
     if (!request.id) errors.push('request_missing_id');
     if (!request.module) errors.push(`request_missing_module:${request.id || '?'}`);
@@ -151,6 +174,45 @@
     };
   }
 
+  // Streaming ops append progress chunks to a non-terminal `partial` response.
+  // Every chunk carries a monotonically increasing `seq`; scripts reassemble
+  // by reading chunks with seq greater than the last one they consumed. Old
+  // chunks roll off once the window is full, and `firstSeq` tells the script
+  // whether it missed any. The terminal response replaces the whole entry.
+  function partialResponse(previous, data, meta = {}) {
+    const now = Date.now();
+    const prior = isObject(previous) && (previous.status === 'pending' || previous.status === 'partial')
+      ? previous
+      : {};
+    const chunks = prior.status === 'partial' && Array.isArray(prior.chunks) ? prior.chunks.slice() : [];
+    const seq = (Number(prior.seq) || 0) + 1;
+    chunks.push({ seq, data: cloneJson(data), at: meta.at || now });
+
+    const maxChunks = Number(meta.maxChunks) > 0 ? Number(meta.maxChunks) : PARTIAL_DEFAULT_MAX_CHUNKS;
+    const maxBytes = Number(meta.maxBytes) > 0 ? Number(meta.maxBytes) : PARTIAL_DEFAULT_MAX_BYTES;
+    let bytes = JSON.stringify(chunks).length;
+    while (chunks.length > 1 && (chunks.length > maxChunks || bytes > maxBytes)) {
+      bytes -= JSON.stringify(chunks.shift()).length + 1;
+    }
+
+    const startedLiveCount = Number.isFinite(Number(prior.startedLiveCount))
+      ? Number(prior.startedLiveCount)
+      : (Number.isFinite(Number(meta.liveCount)) ? Number(meta.liveCount) : undefined);
+    return {
+      status: 'partial',
+      startedAt: prior.startedAt || meta.startedAt || now,
+      startedLiveCount,
+      updatedAt: now,
+      seq,
+      firstSeq: chunks[0].seq,
+      chunks,
+    };
+  }
+
+  function isPartialResponse(response) {
+    return isObject(response) && response.status === 'partial';
+  }
+
   function okResponse(data, meta = {}) {
     const now = Date.now();
     return {
@@ -173,6 +235,24 @@
     };
   }
 
+  // Terminal response for a request the script cancelled or whose turn was
+  // undone. `reason` is 'script' or 'undo'; the error object keeps scripts
+  // that only branch on `error.code` working.
+  function cancelledResponse(reason, meta = {}) {
+    const now = Date.now();
+    const why = typeof reason === 'string' && reason ? reason : 'script';
+    return {
+      status: 'cancelled',
+      reason: why,
+      error: {
+        code: 'cancelled',
+        message: why === 'script' ? 'Request was cancelled by the script' : `Request was cancelled (${why})`,
+      },
+      completedAt: meta.completedAt || now,
+      completedLiveCount: Number.isFinite(Number(meta.liveCount)) ? Number(meta.liveCount) : undefined,
+    };
+  }
+
   function normalizeError(error) {
     if (isObject(error)) {
       const code = typeof error.code === 'string' && error.code
@@ -235,6 +315,7 @@
     OUT_CARD_TITLE,
     IN_CARD_PREFIX,
     RESERVED_ERROR_CODES,
+    OP_DEFAULTS,
     responseCardTitle,
     moduleIdFromResponseTitle,
     normalizeRequestEnvelope,
@@ -242,8 +323,11 @@
     normalizeResponseEnvelope,
     createResponseEnvelope,
     pendingResponse,
+    partialResponse,
+    isPartialResponse,
     okResponse,
     errorResponse,
+    cancelledResponse,
     normalizeError,
     isTerminalResponse,
     pruneTerminalResponses,
@@ -8,7 +8,20 @@
 //     stateNames:      string[] — which ultrascripts:state:<name> cards it reads
 //     tracksLiveCount: boolean? — if true, re-dispatched on livecount change
 //     defaultEnabled:  boolean? — overrides the built-in default-on behavior
-//     ops:             object?  — ops handlers (Phase 4)
+//     ops:             object?  — ops handlers (Phase 4); `streaming: true`
+//                                 lets an op report partial progress;
+//                                 handlers get `request.signal`, aborted
+//                                 on cancel, undo, or timeout. Each op may
+//                                 declare `version` (semver, default
+//                                 '1.0.0'), `args` (JSON Schema for its
+//                                 args object), `features` (string[]),
+//                                 `rateLimit` ({ burst, perMinute }) and
+//                                 `dailyQuota` (runs per scenario per day;
+//                                 see services/ultrascripts/rate-limits.js)
+//     capabilities:    object?  — { features: string[], limits: object },
+//                                 module-wide flags and limits
+//     requiresConsent: boolean? — ops wait for the player's per-scenario
+//                                 consent (services/ultrascripts/consent.js)
 //     mount(ctx):      function — called when enabled, receives a Core ctx
 //     unmount():       function — called when disabled or adventure leaves
 //     onEnable(ctx):   function? — called after mount on enable
@@ -26,6 +39,13 @@
 //   * On adventure boundary, calls onAdventureChange() on mounted modules
 //     instead of a full unmount/remount cycle (lighter, modules control reset).
 //   * Replays cached state to freshly-enabled modules via Core.
+//   * Builds each module's capability schema (ops with versions, arg schemas
+//     and features, plus module features and limits). describe() returns
+//     the full form, list() the compact form Core publishes in the
+//     heartbeat, and negotiate() checks a script's minimum requirements
+//     against it. exportArgSchemas() is the op args reference for script
+//     authors; the ops dispatcher validates requests against the same
+//     schemas.
 //
 // See:
 //   - Project Management/ultrascripts/01-architecture.md (module layer)
@@ -36,6 +56,11 @@
 
   const TAG = '[Ultrascripts/registry]';
   const STORAGE_KEY = 'ultrascripts_enabled_modules';
+  const CAPABILITY_SCHEMA_VERSION = 1;
+  const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+  const DEFAULT_OP_VERSION = '1.0.0';
+  const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+  const REQUIREMENT_PATTERN = /^(>=|\^)?\s*(\d+)(?:\.(\d+))?(?:\.(\d+))?$/;
 
   const definitions = new Map();  // id/alias -> module definition
   const mounted = new Map();       // id -> { def, ctx }
@@ -128,6 +153,299 @@
     console.log(TAG, `unmounted '${id}'`);
   }
 
+  // ---------- capability schema ----------
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function positiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+  }
+
+  function stringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item) : [];
+  }
+
+  function cloneJson(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  // Checks the capability fields of a definition. Throws TypeError like the
+  // rest of register().
+  function assertCapabilityFields(def) {
+    if (def.capabilities !== undefined) {
+      if (!isPlainObject(def.capabilities)) {
+        throw new TypeError(`${TAG} register('${def.id}'): capabilities must be an object`);
+      }
+      const { features, limits } = def.capabilities;
+      if (features !== undefined && (!Array.isArray(features) || features.some(f => typeof f !== 'string'))) {
+        throw new TypeError(`${TAG} register('${def.id}'): capabilities.features must be a string array`);
+      }
+      if (limits !== undefined && !isPlainObject(limits)) {
+        throw new TypeError(`${TAG} register('${def.id}'): capabilities.limits must be an object`);
+      }
+    }
+    for (const [name, op] of Object.entries(def.ops || {})) {
+      if (op?.version !== undefined && !SEMVER_PATTERN.test(String(op.version))) {
+        throw new TypeError(`${TAG} register('${def.id}'): ops.${name}.version must be semver`);
+      }
+      if (op?.args !== undefined && !isPlainObject(op.args)) {
+        throw new TypeError(`${TAG} register('${def.id}'): ops.${name}.args must be a JSON Schema object`);
+      }
+      if (op?.features !== undefined && (!Array.isArray(op.features) || op.features.some(f => typeof f !== 'string'))) {
+        throw new TypeError(`${TAG} register('${def.id}'): ops.${name}.features must be a string array`);
+      }
+      if (op?.rateLimit !== undefined && !(
+        isPlainObject(op.rateLimit) && positiveInteger(op.rateLimit.burst) && positiveInteger(op.rateLimit.perMinute)
+      )) {
+        throw new TypeError(`${TAG} register('${def.id}'): ops.${name}.rateLimit must be { burst, perMinute } with positive integers`);
+      }
+      if (op?.dailyQuota !== undefined && !positiveInteger(op.dailyQuota)) {
+        throw new TypeError(`${TAG} register('${def.id}'): ops.${name}.dailyQuota must be a positive integer`);
+      }
+    }
+  }
+
+  // Full capability schema for one definition.
+  function capabilitySchema(def) {
+    const caps = isPlainObject(def.capabilities) ? def.capabilities : {};
+    const defaults = window.Ultrascripts.envelope.OP_DEFAULTS;
+    const ops = {};
+    for (const [name, op] of Object.entries(def.ops || {})) {
+      ops[name] = {
+        version: op?.version || DEFAULT_OP_VERSION,
+        args: isPlainObject(op?.args) ? cloneJson(op.args) : null,
+        features: stringList(op?.features),
+        streaming: op?.streaming === true,
+        idempotent: op?.idempotent || defaults.idempotent,
+        timeoutMs: Number(op?.timeoutMs || defaults.timeoutMs),
+        rateLimit: isPlainObject(op?.rateLimit) ? { burst: op.rateLimit.burst, perMinute: op.rateLimit.perMinute } : null,
+        dailyQuota: Number.isInteger(op?.dailyQuota) ? op.dailyQuota : null,
+      };
+    }
+    return {
+      schema: CAPABILITY_SCHEMA_VERSION,
+      id: def.id,
+      version: def.version || null,
+      features: stringList(caps.features),
+      limits: isPlainObject(caps.limits) ? cloneJson(caps.limits) : {},
+      ops,
+    };
+  }
+
+  // Top-level argument names, optional ones suffixed with '?'.
+  function compactArgs(args) {
+    if (!isPlainObject(args?.properties)) return null;
+    const required = new Set(stringList(args.required));
+    return Object.keys(args.properties).map(name => (required.has(name) ? name : `${name}?`));
+  }
+
+  // Heartbeat form: empty fields are dropped and op entries shrink to
+  // { v, args, features }. describe() has the rest.
+  function compactCapabilities(schema) {
+    const out = {};
+    if (schema.features.length) out.features = schema.features.slice();
+    if (Object.keys(schema.limits).length) out.limits = cloneJson(schema.limits);
+    const ops = {};
+    for (const [name, op] of Object.entries(schema.ops)) {
+      const entry = { v: op.version };
+      const args = compactArgs(op.args);
+      if (args) entry.args = args;
+      if (op.features.length) entry.features = op.features.slice();
+      ops[name] = entry;
+    }
+    if (Object.keys(ops).length) out.ops = ops;
+    return Object.keys(out).length ? out : null;
+  }
+
+  // ---------- negotiation ----------
+
+  function invalidArgs(message) {
+    return { code: 'invalid_args', message };
+  }
+
+  function parseVersion(version) {
+    const match = SEMVER_PATTERN.exec(String(version || ''));
+    return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+  }
+
+  function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+      if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+  }
+
+  // '1.2' or '^1.2.0' accepts 1.x at or above 1.2.0; '>=1.2.0' accepts
+  // anything at or above it.
+  function parseRequirement(raw, field) {
+    const match = REQUIREMENT_PATTERN.exec(String(raw ?? '').trim());
+    if (!match) {
+      throw invalidArgs(`${field} must be a version like '1.2.0', '^1.2.0' or '>=1.2.0'`);
+    }
+    return {
+      raw: String(raw).trim(),
+      minimumOnly: match[1] === '>=',
+      version: [Number(match[2]), Number(match[3] || 0), Number(match[4] || 0)],
+    };
+  }
+
+  function satisfies(actual, requirement) {
+    const parsed = parseVersion(actual);
+    if (!parsed) return false;
+    if (!requirement.minimumOnly && parsed[0] !== requirement.version[0]) return false;
+    return compareVersions(parsed, requirement.version) >= 0;
+  }
+
+  function limitSatisfied(actual, required) {
+    if (typeof required === 'number') return typeof actual === 'number' && actual >= required;
+    if (Array.isArray(required)) return Array.isArray(actual) && required.every(item => actual.includes(item));
+    return actual === required;
+  }
+
+  function normalizeModuleRequirement(id, raw) {
+    const field = `modules.${id}`;
+    if (typeof raw === 'string') return { version: parseRequirement(raw, field), ops: {}, features: [], limits: {}, optional: false };
+    if (raw === true) return { version: null, ops: {}, features: [], limits: {}, optional: false };
+    if (!isPlainObject(raw)) throw invalidArgs(`${field} must be a version string or an object`);
+
+    const ops = {};
+    if (Array.isArray(raw.ops)) {
+      for (const name of raw.ops) {
+        if (typeof name !== 'string' || !name) throw invalidArgs(`${field}.ops must contain op names`);
+        ops[name] = null;
+      }
+    } else if (isPlainObject(raw.ops)) {
+      for (const [name, version] of Object.entries(raw.ops)) {
+        ops[name] = version === true || version === null ? null : parseRequirement(version, `${field}.ops.${name}`);
+      }
+    } else if (raw.ops !== undefined) {
+      throw invalidArgs(`${field}.ops must be an array of op names or an object of op versions`);
+    }
+
+    if (raw.features !== undefined && (!Array.isArray(raw.features) || raw.features.some(f => typeof f !== 'string'))) {
+      throw invalidArgs(`${field}.features must be a string array`);
+    }
+    if (raw.limits !== undefined && !isPlainObject(raw.limits)) {
+      throw invalidArgs(`${field}.limits must be an object`);
+    }
+    return {
+      version: raw.version === undefined ? null : parseRequirement(raw.version, `${field}.version`),
+      ops,
+      features: raw.features ? raw.features.slice() : [],
+      limits: raw.limits ? { ...raw.limits } : {},
+      optional: raw.optional === true,
+    };
+  }
+
+  function checkModule(id, requirement) {
+    const problems = [];
+    const problem = (code, message, extra = {}) => problems.push({ module: id, code, message, ...extra });
+    const def = definitions.get(id);
+
+    if (!def) {
+      problem('module_missing', `Module '${id}' is not available in this BetterDungeon build`);
+      return { available: false, enabled: false, version: null, problems };
+    }
+    const schema = capabilitySchema(def);
+    const enabled = mounted.has(def.id);
+    if (!enabled) {
+      problem('module_disabled', `Module '${id}' is installed but disabled by the player`);
+    }
+    if (requirement.version && !satisfies(schema.version, requirement.version)) {
+      problem('module_version', `Module '${id}' is ${schema.version || 'unversioned'}, script needs ${requirement.version.raw}`, {
+        required: requirement.version.raw,
+        actual: schema.version,
+      });
+    }
+    for (const [name, version] of Object.entries(requirement.ops)) {
+      const op = schema.ops[name];
+      if (!op) {
+        problem('op_missing', `Op '${id}.${name}' is not supported`, { op: name });
+      } else if (version && !satisfies(op.version, version)) {
+        problem('op_version', `Op '${id}.${name}' is ${op.version}, script needs ${version.raw}`, {
+          op: name,
+          required: version.raw,
+          actual: op.version,
+        });
+      }
+    }
+    const features = new Set(schema.features);
+    for (const op of Object.values(schema.ops)) op.features.forEach(feature => features.add(feature));
+    for (const feature of requirement.features) {
+      if (!features.has(feature)) {
+        problem('feature_missing', `Module '${id}' does not support '${feature}'`, { feature });
+      }
+    }
+    for (const [name, required] of Object.entries(requirement.limits)) {
+      const actual = schema.limits[name];
+      if (!limitSatisfied(actual, required)) {
+        problem('limit_unmet', `Module '${id}' limit '${name}' is ${JSON.stringify(actual ?? null)}, script needs ${JSON.stringify(required)}`, {
+          limit: name,
+          required,
+          actual: actual ?? null,
+        });
+      }
+    }
+    return { available: true, enabled, version: schema.version, problems };
+  }
+
+  // Checks a script's requirements against this build:
+  //   {
+  //     protocol: number?,                — minimum Ultrascripts protocol
+  //     modules: {
+  //       <id>: '1.2.0' | true | {
+  //         version:  string?,            — '1.2.0' / '^1.2.0' (same major) or '>=1.2.0'
+  //         ops:      string[] | { <op>: version },
+  //         features: string[]?,          — module or op feature flags
+  //         limits:   { <name>: number | array | value }?, — minimums
+  //         optional: boolean?,           — report problems as warnings only
+  //       }
+  //     }
+  //   }
+  // Throws { code: 'invalid_args' } for malformed requirements.
+  function negotiate(requirements = {}) {
+    if (!isPlainObject(requirements)) throw invalidArgs('requirements must be an object');
+    const protocol = window.Ultrascripts?.core?.getProtocolVersion?.() ?? null;
+    const modules = requirements.modules === undefined ? {} : requirements.modules;
+    if (!isPlainObject(modules)) throw invalidArgs('modules must be an object keyed by module id');
+
+    const problems = [];
+    const warnings = [];
+    const verdicts = {};
+
+    if (requirements.protocol !== undefined) {
+      const required = Number(requirements.protocol);
+      if (!Number.isInteger(required) || required < 1) throw invalidArgs('protocol must be a positive integer');
+      if (protocol !== null && protocol < required) {
+        problems.push({ code: 'protocol_version', message: `Ultrascripts protocol is ${protocol}, script needs ${required}`, required, actual: protocol });
+      }
+    }
+
+    for (const [id, raw] of Object.entries(modules)) {
+      const requirement = normalizeModuleRequirement(id, raw);
+      const result = checkModule(id, requirement);
+      (requirement.optional ? warnings : problems).push(...result.problems);
+      verdicts[id] = {
+        compatible: result.problems.length === 0,
+        optional: requirement.optional,
+        available: result.available,
+        enabled: result.enabled,
+        version: result.version,
+      };
+    }
+
+    return {
+      compatible: problems.length === 0,
+      schema: CAPABILITY_SCHEMA_VERSION,
+      protocol,
+      modules: verdicts,
+      problems,
+      warnings,
+    };
+  }
+
   // ---------- public API ----------
 
   function register(def) {
@@ -143,6 +461,7 @@
     if (definitions.has(def.id)) {
       throw new Error(`${TAG} '${def.id}' is already registered`);
     }
+    assertCapabilityFields(def);
     const aliases = Array.isArray(def.aliases)
       ? def.aliases.filter((alias) => typeof alias === 'string' && alias && alias !== def.id)
       : [];
@@ -209,13 +528,45 @@
       label: d.label || d.id,
       stateNames: Array.isArray(d.stateNames) ? d.stateNames.slice() : [],
       ops: d.ops ? Object.keys(d.ops) : [],
+      streamingOps: d.ops ? Object.keys(d.ops).filter(name => d.ops[name]?.streaming === true) : [],
+      capabilities: compactCapabilities(capabilitySchema(d)),
       tracksLiveCount: !!d.tracksLiveCount,
+      requiresConsent: d.requiresConsent === true,
       defaultEnabled: typeof d.defaultEnabled === 'boolean' ? d.defaultEnabled : !d.id.includes('.'),
       mounted: mounted.has(d.id),
       enabled: isEnabled(d.id),
     }));
   }
 
+  // Full capability schemas keyed by module id, or one module's schema.
+  function describe(id) {
+    if (id !== undefined) {
+      const def = definitions.get(id);
+      return def ? capabilitySchema(def) : null;
+    }
+    const out = {};
+    for (const def of new Set(definitions.values())) out[def.id] = capabilitySchema(def);
+    return out;
+  }
+
+  // Arg schemas for every op, optionally for one module. Ops without a
+  // declared schema report `args: null` (unchecked).
+  function exportArgSchemas(id) {
+    const defs = id === undefined
+      ? [...new Set(definitions.values())]
+      : [definitions.get(id)].filter(Boolean);
+    const modules = {};
+    for (const def of defs) {
+      const schema = capabilitySchema(def);
+      const ops = {};
+      for (const [name, op] of Object.entries(schema.ops)) {
+        ops[name] = { version: op.version, args: op.args };
+      }
+      modules[def.id] = { version: schema.version, ops };
+    }
+    return { $schema: JSON_SCHEMA_DIALECT, schema: CAPABILITY_SCHEMA_VERSION, modules };
+  }
+
   // Called by main.js after Core is instantiated. Loads persisted state and
   // mounts enabled modules.
   async function start() {
@@ -259,6 +610,10 @@
     disable,
     setModuleEnabled,
     list,
+    describe,
+    negotiate,
+    exportArgSchemas,
+    CAPABILITY_SCHEMA_VERSION,
     start,
     stop,
     _forEachMounted,
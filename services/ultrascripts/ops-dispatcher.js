@@ -2,27 +2,41 @@
 //
 // Full Ultrascripts ops dispatcher. Consumes the script-written `ultrascripts:out`
 // request queue, routes requests to mounted module ops, and writes responses
-// to `ultrascripts:in:<module>` cards through Core's write queue.
+// to `ultrascripts:in:<module>` cards through Core's write queue. Ops that
+// declare an `args` JSON Schema have their args validated here, before the
+// handler runs; failures answer `invalid_args` with JSON-pointer paths.
+// Modules marked `requiresConsent` wait, pending, for the player's
+// per-scenario consent before their handler runs. Ops that declare a
+// `rateLimit` or `dailyQuota` answer `rate_limit` once they run out (see
+// rate-limits.js). Every envelope read, dispatch decision and response
+// write is recorded in the trace (trace-recorder.js); replay() runs a
+// recorded safe request again for the trace viewer.
 
 (function () {
   if (window.Ultrascripts?.opsDispatcher) return;
 
   const TAG = '[Ultrascripts/ops]';
   const SESSION_KEY = 'ultrascripts:ops:inflight';
-  const DEFAULT_TIMEOUT_MS = 30000;
   const RESPONSE_TTL_TURNS = 10;
   const RESPONSE_CARD_MAX_BYTES = 120000;
+  const PARTIAL_FLUSH_MS = 250;
+  const PARTIAL_MAX_CHUNKS = 200;
+  const PARTIAL_MAX_BYTES = 24000;
+  const MAX_EARLY_CANCELS = 200;
 
   const state = {
     started: false,
     core: null,
     currentAdventureShortId: null,
     processed: new Map(),     // requestId -> { module, completedLiveCount }
-    inflight: new Map(),      // requestId -> { request, startedAt, startedLiveCount }
+    inflight: new Map(),      // requestId -> { request, startedAt, startedLiveCount, streaming, actionId, controller }
     responseCache: new Map(), // moduleId -> response envelope
+    partialTimers: new Map(), // moduleId -> pending partial flush timer
+    earlyCancels: new Map(),  // requestId -> reason, for cancels that arrive before their request
     acked: new Set(),         // request ids the script has acked this session
     offFns: [],
     lastOutValue: null,       // diagnostic only; `ultrascripts:out` processing is idempotent
+    replaySeq: 0,
     metrics: {
       outCardsSeen: 0,
       requestsSeen: 0,
@@ -30,7 +44,14 @@
       skippedDuplicate: 0,
       acks: 0,
       pendingWrites: 0,
+      partialChunks: 0,
+      partialWrites: 0,
       terminalWrites: 0,
+      cancelled: 0,
+      invalidArgs: 0,
+      consentDenied: 0,
+      rateLimited: 0,
+      replayed: 0,
       errors: 0,
     },
   };
@@ -43,6 +64,29 @@
     return window.Ultrascripts?.registry;
   }
 
+  function argSchema() {
+    return window.Ultrascripts?.argSchema;
+  }
+
+  function consent() {
+    return window.Ultrascripts?.consent;
+  }
+
+  function rateLimits() {
+    return window.Ultrascripts?.rateLimits;
+  }
+
+  function traceRecorder() {
+    return window.Ultrascripts?.trace;
+  }
+
+  // The recorder, only while it is recording, so `trace()?.record(...)`
+  // skips building the entry otherwise.
+  function trace() {
+    const recorder = traceRecorder();
+    return recorder?.isRecording?.() ? recorder : null;
+  }
+
   function now() {
     return Date.now ? Date.now() : new Date().getTime();
   }
@@ -71,6 +115,16 @@
   }
 
   function traceRequest(event, request, extra = {}) {
+    try {
+      trace()?.record('dispatch', event, {
+        requestId: request?.id,
+        module: request?.module,
+        op: request?.op,
+        actionId: state.inflight.get(request?.id)?.actionId ?? requestActionId(request),
+        liveCount: currentLiveCount(),
+        data: event === 'dispatch:seen' ? { args: request?.args, ...extra } : extra,
+      });
+    } catch { /* noop */ }
     if (request?.module !== 'ai') return;
     try {
       console.info(TAG, event, {
@@ -83,6 +137,21 @@
     } catch { /* noop */ }
   }
 
+  function traceResponse(event, moduleId, requestId, data) {
+    const meta = state.inflight.get(requestId);
+    try {
+      const seen = meta ? null : trace()?.getRequest(requestId);
+      trace()?.record('response', event, {
+        requestId,
+        module: moduleId,
+        op: meta?.request?.op || seen?.op,
+        actionId: meta?.actionId ?? seen?.actionId ?? null,
+        liveCount: currentLiveCount(),
+        data,
+      });
+    } catch { /* noop */ }
+  }
+
   function isSupersededWriteError(err) {
     return String(err?.message || '').includes('superseded by a newer write');
   }
@@ -148,6 +217,10 @@
   }
 
   function resetForAdventure(shortId) {
+    for (const timer of state.partialTimers.values()) clearTimeout(timer);
+    state.partialTimers.clear();
+    for (const meta of state.inflight.values()) abortHandler(meta, 'adventure');
+    state.earlyCancels.clear();
     state.currentAdventureShortId = shortId || null;
     state.processed.clear();
     state.inflight.clear();
@@ -207,6 +280,14 @@
       if (cachedTerminal && incomingTerminal && responseTime(cachedResponse) > responseTime(incomingResponse)) {
         merged.responses[requestId] = cachedResponse;
         changed = true;
+        continue;
+      }
+
+      // A stale echo must not roll a streaming response back to fewer chunks.
+      // When a partial flush is already scheduled it will rewrite the card.
+      if (!cachedTerminal && !incomingTerminal && Number(cachedResponse?.seq || 0) > Number(incomingResponse?.seq || 0)) {
+        merged.responses[requestId] = cachedResponse;
+        if (!state.partialTimers.has(moduleId)) changed = true;
       }
     }
 
@@ -267,7 +348,7 @@
     const responseEnvelope = getResponseEnvelope(moduleId);
     env.pruneTerminalResponses(responseEnvelope, { maxBytes: RESPONSE_CARD_MAX_BYTES });
     const title = env.responseCardTitle(moduleId);
-    await state.core.writeCard(title, JSON.stringify(responseEnvelope), { type: 'Ultrascripts' });
+    await state.core.writeCard(title, JSON.stringify(responseEnvelope), { type: 'Ultrascripts', priority: 'response' });
   }
 
   async function setResponse(moduleId, requestId, response, writeKind) {
@@ -286,6 +367,7 @@
         });
       }
       await writeResponseEnvelope(moduleId);
+      traceResponse('response:write', moduleId, requestId, { writeKind, response });
       if (moduleId === 'ai') {
         console.info(TAG, 'response:write:ok', {
           requestId,
@@ -296,9 +378,11 @@
         });
       }
       if (writeKind === 'pending') state.metrics.pendingWrites++;
+      if (writeKind === 'partial') state.metrics.partialWrites++;
       if (writeKind === 'terminal') state.metrics.terminalWrites++;
     } catch (err) {
       if (isSupersededWriteError(err)) {
+        traceResponse('response:write-superseded', moduleId, requestId, { writeKind, response });
         if (moduleId === 'ai') {
           console.info(TAG, 'response:write:superseded', {
             requestId,
@@ -311,6 +395,11 @@
         return;
       }
       state.metrics.errors++;
+      traceResponse('response:write-failed', moduleId, requestId, {
+        writeKind,
+        response,
+        error: err?.message || String(err || ''),
+      });
       console.warn(TAG, `failed to write response for '${requestId}'`, err);
     }
   }
@@ -377,27 +466,57 @@
 
   function getOpDescriptor(def, opName) {
     const raw = def?.ops?.[opName];
+    const defaults = envelope().OP_DEFAULTS;
     if (typeof raw === 'function') {
-      return { handler: raw, idempotent: 'safe', timeoutMs: DEFAULT_TIMEOUT_MS };
+      return { handler: raw, ...defaults };
     }
     if (raw && typeof raw === 'object' && typeof raw.handler === 'function') {
       return {
         handler: raw.handler,
-        idempotent: raw.idempotent || 'safe',
-        timeoutMs: Number(raw.timeoutMs || DEFAULT_TIMEOUT_MS),
+        idempotent: raw.idempotent || defaults.idempotent,
+        timeoutMs: Number(raw.timeoutMs || defaults.timeoutMs),
+        streaming: raw.streaming === true,
+        args: raw.args && typeof raw.args === 'object' ? raw.args : null,
+        limits: rateLimits()?.policyFor?.(raw) || null,
       };
     }
     return null;
   }
 
-  function withTimeout(promise, timeoutMs, requestId) {
-    const limit = Number(timeoutMs || DEFAULT_TIMEOUT_MS);
+  function resolveScenario() {
+    if (!state.core?.resolveScenario) {
+      return Promise.reject({ code: 'unavailable', message: 'Ultrascripts core is not ready', retryable: true });
+    }
+    return state.core.resolveScenario();
+  }
+
+  // Limit standing for one module's ops ({ [op]: { rate?, daily? } }), or for
+  // every mounted module keyed by id when `moduleId` is omitted.
+  function usage(moduleId) {
+    const limits = rateLimits();
+    const out = {};
+    registry()?._forEachMounted?.((def) => {
+      if (!limits || (moduleId && def?.id !== moduleId)) return;
+      const ops = {};
+      for (const opName of Object.keys(def.ops || {})) {
+        const entry = limits.usage(`${def.id}.${opName}`, getOpDescriptor(def, opName)?.limits || null);
+        if (entry) ops[opName] = entry;
+      }
+      if (Object.keys(ops).length) out[def.id] = ops;
+    });
+    return moduleId ? (out[moduleId] || {}) : out;
+  }
+
+  function withTimeout(promise, timeoutMs, requestId, onTimeout) {
+    const limit = Number(timeoutMs || envelope().OP_DEFAULTS.timeoutMs);
     if (!Number.isFinite(limit) || limit <= 0) return promise;
 
     let timer = null;
     const timeout = new Promise((_, reject) => {
       timer = setTimeout(() => {
-        reject({ code: 'timeout', message: `Operation timed out after ${limit} ms`, requestId });
+        const error = { code: 'timeout', message: `Operation timed out after ${limit} ms`, requestId };
+        onTimeout?.(error);
+        reject(error);
       }, limit);
     });
 
@@ -412,6 +531,10 @@
       return;
     }
     const meta = state.inflight.get(request.id);
+    if (meta?.cancelled && response?.status !== 'cancelled') {
+      traceRequest('finalize:skip-cancelled', request, { status: response?.status || null });
+      return;
+    }
     traceRequest('finalize:start', request, {
       status: response?.status || null,
       elapsedMs: meta?.startedAt ? now() - meta.startedAt : null,
@@ -447,6 +570,117 @@
     await finalizeRequest(meta.request, response);
   }
 
+  // Partial chunks are merged into the cached envelope immediately but written
+  // at most once per PARTIAL_FLUSH_MS per module; the write queue coalesces
+  // anything that still overlaps an in-flight write.
+  function schedulePartialFlush(moduleId) {
+    if (state.partialTimers.has(moduleId)) return;
+    state.partialTimers.set(moduleId, setTimeout(() => {
+      state.partialTimers.delete(moduleId);
+      writeResponseEnvelope(moduleId)
+        .then(() => { state.metrics.partialWrites++; })
+        .catch((err) => {
+          if (isSupersededWriteError(err)) return;
+          state.metrics.errors++;
+          console.warn(TAG, `failed to write partial responses for '${moduleId}'`, err);
+        });
+    }, PARTIAL_FLUSH_MS));
+  }
+
+  function partial(requestId, data) {
+    const meta = state.inflight.get(requestId);
+    if (!meta?.request) {
+      log('debug', `partial('${requestId}') ignored; request is not in flight`);
+      return false;
+    }
+    if (!meta.streaming) {
+      console.warn(TAG, `partial('${requestId}') ignored; op '${meta.request.module}.${meta.request.op}' is not declared streaming`);
+      return false;
+    }
+    const moduleId = meta.request.module;
+    const existing = getExistingResponse(moduleId, requestId);
+    if (envelope().isTerminalResponse(existing)) return false;
+
+    const responseEnvelope = getResponseEnvelope(moduleId);
+    responseEnvelope.responses[requestId] = envelope().partialResponse(existing, data, {
+      startedAt: meta.startedAt,
+      liveCount: meta.startedLiveCount,
+      maxChunks: PARTIAL_MAX_CHUNKS,
+      maxBytes: PARTIAL_MAX_BYTES,
+    });
+    state.metrics.partialChunks++;
+    traceResponse('response:partial', moduleId, requestId, { chunk: data });
+    schedulePartialFlush(moduleId);
+    return true;
+  }
+
+  // ---------- cancellation ----------
+
+  function abortHandler(meta, reason) {
+    try {
+      meta?.controller?.abort({ code: 'cancelled', message: `Request cancelled (${reason})`, reason });
+    } catch { /* noop */ }
+  }
+
+  function rememberEarlyCancel(requestId, reason) {
+    state.earlyCancels.delete(requestId);
+    state.earlyCancels.set(requestId, reason);
+    while (state.earlyCancels.size > MAX_EARLY_CANCELS) {
+      state.earlyCancels.delete(state.earlyCancels.keys().next().value);
+    }
+  }
+
+  // Cancelling aborts the handler's signal and answers the request with a
+  // terminal `cancelled` response right away. Handlers that ignore the signal
+  // keep running, but whatever they return afterwards is dropped.
+  async function cancelRequest(requestId, reason = 'script') {
+    if (typeof requestId !== 'string' || !requestId || state.processed.has(requestId)) return false;
+    const meta = state.inflight.get(requestId);
+    if (!meta?.request) {
+      rememberEarlyCancel(requestId, reason);
+      return false;
+    }
+    if (meta.cancelled) return false;
+
+    meta.cancelled = reason;
+    traceRequest('cancel', meta.request, { reason, elapsedMs: now() - meta.startedAt });
+    abortHandler(meta, reason);
+    state.metrics.cancelled++;
+    await finalizeRequest(meta.request, envelope().cancelledResponse(reason, { liveCount: currentLiveCount() }));
+    return true;
+  }
+
+  function handleCancels(requestIds) {
+    if (!Array.isArray(requestIds)) return;
+    for (const requestId of requestIds) cancelRequest(requestId, 'script');
+  }
+
+  // Requests are tied to the action that was the tail when they were
+  // dispatched (or to an explicit `actionId`). Once ws-stream sees that action
+  // undone (undo, or the undo half of a retry) anything still running for it
+  // is cancelled. `retriedActionId` alone is not used: the retried turn's own
+  // fresh requests can be bound to the same action.
+  function handleActionsChange(detail) {
+    const undone = new Set((detail?.undoneActionIds || []).map(String));
+    if (!undone.size) return;
+
+    for (const [requestId, meta] of [...state.inflight]) {
+      if (meta.actionId && undone.has(meta.actionId)) cancelRequest(requestId, 'undo');
+    }
+  }
+
+  function requestActionId(request) {
+    if (request.actionId) return request.actionId;
+    const tail = window.Ultrascripts?.ws?.getTail?.();
+    return tail == null ? null : String(tail);
+  }
+
+  function actionIsUndone(actionId) {
+    if (!actionId) return false;
+    const action = window.Ultrascripts?.ws?.getActions?.()?.get?.(actionId);
+    return !!action && action.undoneAt != null;
+  }
+
   async function dispatchRequest(request) {
     const env = envelope();
     state.metrics.requestsSeen++;
@@ -473,6 +707,16 @@
       return;
     }
 
+    const actionId = requestActionId(request);
+    const earlyCancel = state.earlyCancels.get(request.id) || (actionIsUndone(actionId) ? 'undo' : null);
+    if (earlyCancel) {
+      state.earlyCancels.delete(request.id);
+      state.metrics.cancelled++;
+      traceRequest('dispatch:cancelled-before-start', request, { reason: earlyCancel });
+      await finalizeRequest(request, env.cancelledResponse(earlyCancel, { liveCount: currentLiveCount() }));
+      return;
+    }
+
     const mounted = findMountedModule(request.module);
     if (!mounted) {
       traceRequest('dispatch:unknown-module', request);
@@ -499,7 +743,7 @@
       return;
     }
 
-    if (existing?.status === 'pending' && descriptor.idempotent !== 'safe') {
+    if ((existing?.status === 'pending' || existing?.status === 'partial') && descriptor.idempotent !== 'safe') {
       traceRequest('dispatch:unsafe-replay-blocked', request);
       await finalizeRequest(
         request,
@@ -511,13 +755,35 @@
       return;
     }
 
+    let args = cloneJson(request.args);
+    if (descriptor.args && argSchema()) {
+      try {
+        args = argSchema().assertArgs(descriptor.args, args);
+      } catch (err) {
+        state.metrics.invalidArgs++;
+        traceRequest('dispatch:invalid-args', request, { path: err?.path ?? null });
+        await finalizeRequest(request, env.errorResponse(err, { liveCount: currentLiveCount() }));
+        return;
+      }
+    }
+
     const startedAt = now();
     const startedLiveCount = currentLiveCount();
-    state.inflight.set(request.id, { request, startedAt, startedLiveCount });
+    const controller = new AbortController();
+    const meta = {
+      request,
+      startedAt,
+      startedLiveCount,
+      streaming: descriptor.streaming,
+      actionId,
+      controller,
+    };
+    state.inflight.set(request.id, meta);
     writeSessionMirror();
     traceRequest('dispatch:start', request, {
       descriptorTimeoutMs: descriptor.timeoutMs,
       idempotent: descriptor.idempotent,
+      streaming: descriptor.streaming,
       startedLiveCount,
     });
 
@@ -528,12 +794,62 @@
       'pending'
     );
 
+    if (mounted.def.requiresConsent === true && consent()) {
+      try {
+        await consent().ensure(mounted.def, { op: request.op, requestId: request.id, signal: controller.signal });
+      } catch (err) {
+        if (err?.code === 'consent_denied') state.metrics.consentDenied++;
+        traceRequest('dispatch:consent-rejected', request, { errorCode: err?.code || null });
+        if (!responseIsTerminal(request.module, request.id)) {
+          await finalizeRequest(request, env.errorResponse(err, { liveCount: currentLiveCount() }));
+        }
+        return;
+      }
+    }
+
+    // Limits are charged after consent so a denied prompt uses up neither
+    // a token nor the quota.
+    const limitKey = `${mounted.def.id}.${request.op}`;
+    if (descriptor.limits?.rateLimit && rateLimits()) {
+      try {
+        rateLimits().take(limitKey, descriptor.limits.rateLimit);
+      } catch (err) {
+        state.metrics.rateLimited++;
+        traceRequest('dispatch:rate-limited', request, { retryAfterMs: err?.retryAfterMs ?? null });
+        if (!responseIsTerminal(request.module, request.id)) {
+          await finalizeRequest(request, env.errorResponse(err, { liveCount: currentLiveCount() }));
+        }
+        return;
+      }
+    }
+
+    if (descriptor.limits?.dailyQuota && rateLimits()) {
+      try {
+        const scenario = await resolveScenario();
+        await rateLimits().consume(limitKey, descriptor.limits.dailyQuota, scenario.id);
+      } catch (err) {
+        if (err?.code === 'rate_limit') state.metrics.rateLimited++;
+        traceRequest('dispatch:quota-rejected', request, { errorCode: err?.code || null });
+        if (!responseIsTerminal(request.module, request.id)) {
+          await finalizeRequest(request, env.errorResponse(err, { liveCount: currentLiveCount() }));
+        }
+        return;
+      }
+    }
+
     state.metrics.dispatched++;
     try {
       const result = await withTimeout(
-        Promise.resolve().then(() => descriptor.handler(cloneJson(request.args), mounted.ctx, request)),
+        Promise.resolve().then(() => descriptor.handler(
+          args,
+          mounted.ctx,
+          { ...request, signal: controller.signal }
+        )),
         descriptor.timeoutMs,
-        request.id
+        request.id,
+        (error) => {
+          try { controller.abort(error); } catch { /* noop */ }
+        }
       );
       traceRequest('dispatch:handler-resolved', request, {
         elapsedMs: now() - startedAt,
@@ -559,6 +875,89 @@
     }
   }
 
+  // ---------- replay ----------
+
+  // True when `requestId` is in the trace and its op may be replayed.
+  function canReplay(requestId) {
+    const recorded = traceRecorder()?.getRequest(requestId);
+    const mounted = recorded ? findMountedModule(recorded.module) : null;
+    return getOpDescriptor(mounted?.def, recorded?.op)?.idempotent === 'safe';
+  }
+
+  // Runs a recorded request again against the current build, through the
+  // same args, rate-limit, consent and quota checks as a live dispatch.
+  // Only `idempotent: 'safe'` ops replay. The result goes back to the caller
+  // and into the trace; the script's response card is left alone.
+  async function replayRequest(requestId) {
+    const env = envelope();
+    const recorded = traceRecorder()?.getRequest(requestId);
+    if (!recorded) {
+      return env.errorResponse({
+        code: 'not_found',
+        message: `Request '${requestId}' is not in the trace`,
+      }, { liveCount: currentLiveCount() });
+    }
+
+    const request = {
+      ...recorded,
+      id: `${recorded.id}~replay${++state.replaySeq}`,
+      replayOf: recorded.id,
+    };
+    traceRequest('dispatch:replay', request, { replayOf: recorded.id, args: request.args });
+    const finish = (response) => {
+      traceResponse('response:replay', request.module, request.id, { response });
+      return response;
+    };
+    const fail = err => finish(env.errorResponse(err, { liveCount: currentLiveCount() }));
+
+    const mounted = findMountedModule(request.module);
+    if (!mounted) {
+      return fail({ code: 'unknown_module', message: `Module '${request.module}' is not registered or not enabled` });
+    }
+    const descriptor = getOpDescriptor(mounted.def, request.op);
+    if (!descriptor) {
+      return fail({ code: 'unknown_op', message: `Module '${request.module}' does not expose op '${request.op}'` });
+    }
+    if (descriptor.idempotent !== 'safe') {
+      return fail({
+        code: 'unsafe_replay_blocked',
+        message: `Op '${request.module}.${request.op}' is not idempotent: 'safe' and cannot be replayed`,
+      });
+    }
+
+    const controller = new AbortController();
+    const limitKey = `${mounted.def.id}.${request.op}`;
+    state.metrics.replayed++;
+    try {
+      const args = descriptor.args && argSchema()
+        ? argSchema().assertArgs(descriptor.args, cloneJson(request.args))
+        : cloneJson(request.args);
+      if (mounted.def.requiresConsent === true && consent()) {
+        await consent().ensure(mounted.def, { op: request.op, requestId: request.id, signal: controller.signal });
+      }
+      if (descriptor.limits?.rateLimit && rateLimits()) rateLimits().take(limitKey, descriptor.limits.rateLimit);
+      if (descriptor.limits?.dailyQuota && rateLimits()) {
+        const scenario = await resolveScenario();
+        await rateLimits().consume(limitKey, descriptor.limits.dailyQuota, scenario.id);
+      }
+      const result = await withTimeout(
+        Promise.resolve().then(() => descriptor.handler(
+          args,
+          mounted.ctx,
+          { ...request, signal: controller.signal }
+        )),
+        descriptor.timeoutMs,
+        request.id,
+        (error) => {
+          try { controller.abort(error); } catch { /* noop */ }
+        }
+      );
+      return finish(env.okResponse(result, { liveCount: currentLiveCount() }));
+    } catch (err) {
+      return fail(err);
+    }
+  }
+
   async function handleOutCard(card) {
     const env = envelope();
     if (!env || !card) return;
@@ -567,12 +966,19 @@
     state.metrics.outCardsSeen++;
 
     const parsed = env.normalizeRequestEnvelope(value);
+    try {
+      trace()?.record('envelope', 'out:read', {
+        liveCount: currentLiveCount(),
+        data: { envelope: parsed.envelope, warnings: parsed.errors },
+      });
+    } catch { /* noop */ }
     if (parsed.errors.length) {
       log('warn', 'ultrascripts:out contained envelope warnings:', parsed.errors);
     }
     if (parsed.envelope.v !== env.PROTOCOL_VERSION) return;
 
     await handleAcks(parsed.envelope.acks);
+    handleCancels(parsed.envelope.cancel);
     for (const request of parsed.envelope.requests) {
       dispatchRequest(request);
     }
@@ -646,6 +1052,7 @@
     }));
     state.offFns.push(core.on('adventure:enter', (detail) => resetForAdventure(detail?.shortId || currentAdventureShortId())));
     state.offFns.push(core.on('adventure:leave', () => resetForAdventure(null)));
+    state.offFns.push(core.on('actions:change', handleActionsChange));
     state.offFns.push(core.on('livecount:change', () => {
       scanCurrentCards();
       pruneByLiveCount();
@@ -669,14 +1076,21 @@
     stop,
     respond,
     respondError,
+    partial,
+    cancel: cancelRequest,
+    replay: replayRequest,
+    canReplay,
+    usage,
     inspect: () => ({
       started: state.started,
       adventureShortId: state.currentAdventureShortId,
       processed: [...state.processed.keys()],
       inflight: [...state.inflight.keys()],
       acked: [...state.acked.keys()],
+      earlyCancels: [...state.earlyCancels.keys()],
       lastOutValue: state.lastOutValue,
       responseModules: [...state.responseCache.keys()],
+      usage: usage(),
       metrics: { ...state.metrics },
     }),
   };
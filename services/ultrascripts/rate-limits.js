@@ -0,0 +1,234 @@
+// services/ultrascripts/rate-limits.js
+//
+// Shared protection against runaway scripts. Ops declare their limits next
+// to `timeoutMs` and the ops dispatcher enforces them before the handler runs:
+//
+//   rateLimit: { burst, perMinute }  token bucket per `module.op`; `burst`
+//                                    requests may run back to back, then
+//                                    tokens refill at `perMinute`
+//   dailyQuota: N                    at most N runs per scenario per local
+//                                    calendar day
+//
+// Both fail with the reserved `rate_limit` code and a `retryAfterMs` hint:
+//   { code: 'rate_limit', message, retryAfterMs, limit, window: 'minute' | 'day' }
+//
+// Buckets live in memory and are shared by every adventure in the tab.
+// Daily counts are kept in chrome.storage.local under `ultrascripts_op_quotas`:
+//   { day: 'YYYY-MM-DD', scenarios: { [scenarioId]: { 'module.op': count } } }
+// and start over when the local date changes.
+
+(function () {
+  if (window.Ultrascripts?.rateLimits) return;
+
+  const STORAGE_KEY = 'ultrascripts_op_quotas';
+  const MINUTE_MS = 60000;
+
+  const state = {
+    buckets: new Map(),   // 'module.op' -> { tokens, updatedAt }
+    quotas: null,         // parsed storage value once loaded
+    loading: null,        // Promise while the first read is in flight
+    scenarioId: null,     // last scenario a quota was checked for
+    metrics: {
+      limited: 0,
+      quotaExceeded: 0,
+    },
+  };
+
+  function storageApi() {
+    try {
+      const api = typeof browser !== 'undefined' ? browser : chrome;
+      return api?.storage || null;
+    } catch {
+      return null;
+    }
+  }
+
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function positiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+  }
+
+  function dayKey(time = Date.now()) {
+    const date = new Date(time);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function msUntilNextDay(time = Date.now()) {
+    const next = new Date(time);
+    next.setHours(24, 0, 0, 0);
+    return Math.max(1, next.getTime() - time);
+  }
+
+  // ---------- policy ----------
+
+  // Returns the op's declared limits, or null for an op without any. Bad
+  // declarations are rejected by the registry at register() time.
+  function policyFor(op) {
+    if (!isObject(op)) return null;
+    const rateLimit = isObject(op.rateLimit) && positiveInteger(op.rateLimit.burst) && positiveInteger(op.rateLimit.perMinute)
+      ? { burst: op.rateLimit.burst, perMinute: op.rateLimit.perMinute }
+      : null;
+    const dailyQuota = positiveInteger(op.dailyQuota) ? op.dailyQuota : null;
+    return rateLimit || dailyQuota ? { rateLimit, dailyQuota } : null;
+  }
+
+  // ---------- token buckets ----------
+
+  function refill(key, rateLimit, now) {
+    const bucket = state.buckets.get(key) || { tokens: rateLimit.burst, updatedAt: now };
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(rateLimit.burst, bucket.tokens + (elapsed * rateLimit.perMinute) / MINUTE_MS);
+    bucket.updatedAt = now;
+    state.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  // Takes one token for `key` or throws `rate_limit`.
+  function take(key, rateLimit, now = Date.now()) {
+    const bucket = refill(key, rateLimit, now);
+    if (bucket.tokens < 1) {
+      state.metrics.limited++;
+      throw {
+        code: 'rate_limit',
+        message: `Rate limit exceeded for ${key} (${rateLimit.burst} at once, ${rateLimit.perMinute} per minute)`,
+        retryAfterMs: Math.max(1, Math.ceil(((1 - bucket.tokens) * MINUTE_MS) / rateLimit.perMinute)),
+        limit: rateLimit.perMinute,
+        window: 'minute',
+      };
+    }
+    bucket.tokens -= 1;
+  }
+
+  // ---------- daily quotas ----------
+
+  function normalizeQuotas(raw, today) {
+    const out = { day: today, scenarios: {} };
+    if (!isObject(raw) || raw.day !== today || !isObject(raw.scenarios)) return out;
+    for (const [scenarioId, counts] of Object.entries(raw.scenarios)) {
+      if (!isObject(counts)) continue;
+      const kept = {};
+      for (const [key, count] of Object.entries(counts)) {
+        if (positiveInteger(count)) kept[key] = count;
+      }
+      if (Object.keys(kept).length) out.scenarios[scenarioId] = kept;
+    }
+    return out;
+  }
+
+  function loadQuotas() {
+    if (state.quotas) return Promise.resolve(currentQuotas());
+    if (state.loading) return state.loading;
+    state.loading = new Promise((resolve) => {
+      const done = (result) => {
+        state.quotas = normalizeQuotas(result?.[STORAGE_KEY], dayKey());
+        state.loading = null;
+        resolve(state.quotas);
+      };
+      try {
+        const area = storageApi()?.local;
+        if (!area?.get) { done(null); return; }
+        area.get(STORAGE_KEY, done);
+      } catch {
+        done(null);
+      }
+    });
+    return state.loading;
+  }
+
+  // Rolls the cached counts over at local midnight.
+  function currentQuotas() {
+    const today = dayKey();
+    if (state.quotas && state.quotas.day !== today) state.quotas = { day: today, scenarios: {} };
+    return state.quotas;
+  }
+
+  function saveQuotas() {
+    try {
+      storageApi()?.local?.set?.({ [STORAGE_KEY]: state.quotas });
+    } catch { /* storage unavailable */ }
+  }
+
+  // Other tabs count against the same scenario; keep the cache in step.
+  function watchStorage() {
+    try {
+      storageApi()?.onChanged?.addListener?.((changes, area) => {
+        if (area === 'local' && changes[STORAGE_KEY]) {
+          state.quotas = normalizeQuotas(changes[STORAGE_KEY].newValue, dayKey());
+        }
+      });
+    } catch { /* storage unavailable */ }
+  }
+
+  // Counts one run of `key` against the scenario's daily quota or throws
+  // `rate_limit`.
+  async function consume(key, dailyQuota, scenarioId) {
+    await loadQuotas();
+    const quotas = currentQuotas();
+    state.scenarioId = scenarioId;
+    const counts = quotas.scenarios[scenarioId] || {};
+    const used = counts[key] || 0;
+    if (used >= dailyQuota) {
+      state.metrics.quotaExceeded++;
+      throw {
+        code: 'rate_limit',
+        message: `Daily quota of ${dailyQuota} reached for ${key} in this scenario`,
+        retryAfterMs: msUntilNextDay(),
+        limit: dailyQuota,
+        window: 'day',
+        scenarioId,
+      };
+    }
+    counts[key] = used + 1;
+    quotas.scenarios[scenarioId] = counts;
+    saveQuotas();
+  }
+
+  // ---------- usage ----------
+
+  // Current standing for one op under `policy`; null when it declares none.
+  function usage(key, policy, now = Date.now()) {
+    if (!policy) return null;
+    const out = {};
+    if (policy.rateLimit) {
+      const bucket = state.buckets.get(key);
+      const tokens = bucket ? refill(key, policy.rateLimit, now).tokens : policy.rateLimit.burst;
+      out.rate = {
+        burst: policy.rateLimit.burst,
+        perMinute: policy.rateLimit.perMinute,
+        available: Math.floor(tokens),
+      };
+    }
+    if (policy.dailyQuota) {
+      const quotas = state.quotas ? currentQuotas() : null;
+      const scenarioId = state.scenarioId;
+      out.daily = {
+        limit: policy.dailyQuota,
+        used: (scenarioId && quotas?.scenarios[scenarioId]?.[key]) || 0,
+        scenarioId,
+        day: dayKey(now),
+      };
+    }
+    return out;
+  }
+
+  watchStorage();
+
+  window.Ultrascripts = window.Ultrascripts || {};
+  window.Ultrascripts.rateLimits = {
+    STORAGE_KEY,
+    policyFor,
+    take,
+    consume,
+    usage,
+    inspect: () => ({
+      buckets: [...state.buckets.keys()],
+      quotasLoaded: !!state.quotas,
+      scenarioId: state.scenarioId,
+      metrics: { ...state.metrics },
+    }),
+  };
+})();
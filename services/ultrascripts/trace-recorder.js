@@ -0,0 +1,239 @@
+// services/ultrascripts/trace-recorder.js
+//
+// Request/response trace for debugging scripts. The ops dispatcher records
+// three kinds of entry:
+//   envelope  — every `ultrascripts:out` value it reads
+//   dispatch  — each decision about a request (seen, rejected, started,
+//               handler resolved, cancelled, replayed, ...)
+//   response  — each response written to `ultrascripts:in:<module>` and
+//               each partial chunk
+// Entries carry { seq, at, kind, event, requestId, module, op, actionId,
+// liveCount, data } and live in a ring buffer, so the oldest fall off once
+// `capacity` is reached. Payloads past MAX_PAYLOAD_CHARS are stored as a
+// truncated preview.
+//
+// Every entry is a JSON copy, so nothing is recorded unless someone can look
+// at it: debug mode (ultrascripts_debug) is on or a viewer is subscribed.
+// Requests as the script sent them are also kept in a separate map of the
+// last MAX_SEEN_REQUESTS, so a burst of partial chunks cannot push them out
+// before they are replayed.
+//
+// exportTrace() returns the buffer as one JSON document; trace-viewer.js
+// renders it in the page.
+
+(function () {
+  if (window.Ultrascripts?.trace) return;
+
+  const FORMAT = 'bd-ultrascripts-trace';
+  const FORMAT_VERSION = 1;
+  const DEFAULT_CAPACITY = 2000;
+  const MAX_CAPACITY = 20000;
+  const MAX_PAYLOAD_CHARS = 20000;
+  const PREVIEW_CHARS = 2000;
+  const MAX_SEEN_REQUESTS = 200;
+  const KINDS = ['envelope', 'dispatch', 'response'];
+
+  const state = {
+    capacity: DEFAULT_CAPACITY,
+    entries: [],
+    seen: new Map(),   // requestId -> request as first seen, oldest first
+    seq: 0,
+    dropped: 0,
+    listeners: new Set(),
+  };
+
+  function now() {
+    return Date.now();
+  }
+
+  // JSON copy of a payload, or a preview when it is too large to keep.
+  function capturePayload(value) {
+    if (value === undefined) return undefined;
+    let json;
+    try {
+      json = JSON.stringify(value);
+    } catch {
+      return { unserializable: true };
+    }
+    if (json === undefined) return undefined;
+    if (json.length <= MAX_PAYLOAD_CHARS) return JSON.parse(json);
+    return { truncated: true, chars: json.length, preview: json.slice(0, PREVIEW_CHARS) };
+  }
+
+  function notify(entry) {
+    for (const listener of state.listeners) {
+      try { listener(entry); } catch { /* viewer errors stay in the viewer */ }
+    }
+  }
+
+  function trim() {
+    const excess = state.entries.length - state.capacity;
+    if (excess > 0) {
+      state.entries.splice(0, excess);
+      state.dropped += excess;
+    }
+  }
+
+  function isRecording() {
+    return state.listeners.size > 0 || !!window.Ultrascripts?.core?.isDebugEnabled?.();
+  }
+
+  function rememberRequest(entry) {
+    state.seen.delete(entry.requestId);
+    state.seen.set(entry.requestId, {
+      id: entry.requestId,
+      module: entry.module,
+      op: entry.op,
+      args: entry.data?.args,
+      actionId: entry.actionId,
+    });
+    if (state.seen.size > MAX_SEEN_REQUESTS) state.seen.delete(state.seen.keys().next().value);
+  }
+
+  function record(kind, event, fields = {}) {
+    if (!KINDS.includes(kind) || !isRecording()) return null;
+    const entry = {
+      seq: ++state.seq,
+      at: now(),
+      kind,
+      event: String(event || kind),
+      requestId: fields.requestId || null,
+      module: fields.module || null,
+      op: fields.op || null,
+      actionId: fields.actionId ?? null,
+      liveCount: Number.isFinite(fields.liveCount) ? fields.liveCount : null,
+      data: capturePayload(fields.data),
+    };
+    state.entries.push(entry);
+    if (entry.event === 'dispatch:seen' && entry.requestId) rememberRequest(entry);
+    trim();
+    notify(entry);
+    return entry;
+  }
+
+  function entries(filter = {}) {
+    return state.entries
+      .filter(entry => (!filter.requestId || entry.requestId === filter.requestId)
+        && (!filter.module || entry.module === filter.module)
+        && (!filter.kind || entry.kind === filter.kind))
+      .map(entry => JSON.parse(JSON.stringify(entry)));
+  }
+
+  // One summary per request id still in the buffer, oldest first.
+  function requests() {
+    const byId = new Map();
+    for (const entry of state.entries) {
+      if (!entry.requestId) continue;
+      let summary = byId.get(entry.requestId);
+      if (!summary) {
+        summary = {
+          requestId: entry.requestId,
+          module: entry.module,
+          op: entry.op,
+          actionId: entry.actionId,
+          liveCount: entry.liveCount,
+          args: state.seen.get(entry.requestId)?.args,
+          firstAt: entry.at,
+          lastAt: entry.at,
+          completedAt: null,
+          latencyMs: null,
+          status: 'seen',
+          response: null,
+          replayOf: null,
+          events: 0,
+        };
+        byId.set(entry.requestId, summary);
+      }
+      summary.lastAt = entry.at;
+      summary.events++;
+      if (entry.event === 'dispatch:seen') summary.args = entry.data?.args;
+      if (entry.event === 'dispatch:replay') {
+        summary.args = entry.data?.args;
+        summary.replayOf = entry.data?.replayOf || null;
+      }
+      if (entry.kind === 'response' && entry.data?.response) {
+        summary.response = entry.data.response;
+        summary.status = entry.data.response.status || summary.status;
+        if (!['pending', 'partial'].includes(summary.status)) {
+          summary.completedAt = entry.at;
+          summary.latencyMs = entry.at - summary.firstAt;
+        }
+      } else if (summary.status === 'seen' && entry.event === 'dispatch:start') {
+        summary.status = 'started';
+      }
+    }
+    return JSON.parse(JSON.stringify([...byId.values()]));
+  }
+
+  // The request as the script sent it, for replay.
+  function getRequest(requestId) {
+    const seen = state.seen.get(requestId);
+    if (!seen) return null;
+    return {
+      ...seen,
+      args: seen.args === undefined ? undefined : JSON.parse(JSON.stringify(seen.args)),
+    };
+  }
+
+  function exportTrace() {
+    let version = null;
+    try {
+      version = (typeof browser !== 'undefined' ? browser : chrome)?.runtime?.getManifest?.()?.version || null;
+    } catch { /* not in an extension context */ }
+    return {
+      format: FORMAT,
+      v: FORMAT_VERSION,
+      exportedAt: new Date(now()).toISOString(),
+      build: { version },
+      adventureShortId: window.Ultrascripts?.ws?.getAdventureShortId?.() || null,
+      capacity: state.capacity,
+      dropped: state.dropped,
+      entries: entries(),
+    };
+  }
+
+  function clear() {
+    state.entries = [];
+    state.seen.clear();
+    state.dropped = 0;
+    notify(null);
+  }
+
+  function setCapacity(capacity) {
+    const value = Math.floor(Number(capacity));
+    if (!Number.isFinite(value) || value < 1) return state.capacity;
+    state.capacity = Math.min(value, MAX_CAPACITY);
+    trim();
+    return state.capacity;
+  }
+
+  // Listener gets each new entry, or null after clear().
+  function subscribe(listener) {
+    if (typeof listener !== 'function') return () => {};
+    state.listeners.add(listener);
+    return () => state.listeners.delete(listener);
+  }
+
+  window.Ultrascripts = window.Ultrascripts || {};
+  window.Ultrascripts.trace = {
+    FORMAT,
+    isRecording,
+    record,
+    entries,
+    requests,
+    getRequest,
+    exportTrace,
+    clear,
+    setCapacity,
+    subscribe,
+    inspect: () => ({
+      capacity: state.capacity,
+      recording: isRecording(),
+      size: state.entries.length,
+      seenRequests: state.seen.size,
+      seq: state.seq,
+      dropped: state.dropped,
+      listeners: state.listeners.size,
+    }),
+  };
+})();
@@ -0,0 +1,268 @@
+// services/ultrascripts/trace-viewer.js
+//
+// In-page viewer for the Ultrascripts trace (trace-recorder.js). Lists every
+// request still in the ring buffer with its status and latency; selecting
+// one shows its args, its final response and the timeline of trace entries
+// behind it. Requests for `idempotent: 'safe'` ops can be replayed against
+// the current build through opsDispatcher.replay(); the replay shows up as
+// its own row.
+//
+// Opened from the popup's Runtime section (OPEN_ULTRASCRIPTS_TRACE_VIEWER)
+// or from DevTools with window.Ultrascripts.traceViewer.open(). The panel is
+// built on first open and follows the trace live while it is visible.
+
+(function () {
+  if (window.Ultrascripts?.traceViewer) return;
+
+  const RENDER_DEBOUNCE_MS = 150;
+  const TERMINAL_STATUSES = ['ok', 'err', 'timeout', 'cancelled'];
+
+  const state = {
+    root: null,
+    list: null,
+    detail: null,
+    summary: null,
+    selectedId: null,
+    unsubscribe: null,
+    renderTimer: null,
+    replaying: new Set(),
+  };
+
+  function trace() {
+    return window.Ultrascripts?.trace;
+  }
+
+  function dispatcher() {
+    return window.Ultrascripts?.opsDispatcher;
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function button(label, className, onClick) {
+    const node = el('button', className, label);
+    node.type = 'button';
+    node.addEventListener('click', onClick);
+    return node;
+  }
+
+  function pretty(value) {
+    if (value === undefined) return '—';
+    try {
+      return JSON.stringify(value, null, 2);
+    } catch {
+      return String(value);
+    }
+  }
+
+  function formatLatency(summary) {
+    if (summary.latencyMs == null) return TERMINAL_STATUSES.includes(summary.status) ? '—' : '…';
+    return summary.latencyMs >= 1000 ? `${(summary.latencyMs / 1000).toFixed(1)} s` : `${summary.latencyMs} ms`;
+  }
+
+  function formatTime(at) {
+    const date = new Date(at);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+  }
+
+  // ---------- export ----------
+
+  function exportFilename(doc) {
+    const stamp = doc.exportedAt.replace(/[:.]/g, '-');
+    return `ultrascripts-trace-${doc.adventureShortId || 'page'}-${stamp}.json`;
+  }
+
+  function downloadTrace() {
+    const doc = trace()?.exportTrace?.();
+    if (!doc) return false;
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = el('a');
+    link.href = url;
+    link.download = exportFilename(doc);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return true;
+  }
+
+  // ---------- rendering ----------
+
+  function build() {
+    const root = el('section', 'bd-trace-viewer');
+    root.setAttribute('role', 'dialog');
+    root.setAttribute('aria-label', 'Ultrascripts trace');
+
+    const header = el('header', 'bd-trace-header');
+    const title = el('strong', 'bd-trace-title', 'Ultrascripts trace');
+    state.summary = el('span', 'bd-trace-summary');
+    const actions = el('div', 'bd-trace-actions');
+    actions.appendChild(button('Export', 'bd-trace-btn', downloadTrace));
+    actions.appendChild(button('Clear', 'bd-trace-btn', () => {
+      state.selectedId = null;
+      trace()?.clear?.();
+    }));
+    const close = button('', 'bd-trace-btn bd-trace-close', closeViewer);
+    close.setAttribute('aria-label', 'Close trace viewer');
+    close.appendChild(el('span', 'icon-x'));
+    actions.appendChild(close);
+    header.appendChild(title);
+    header.appendChild(state.summary);
+    header.appendChild(actions);
+
+    const body = el('div', 'bd-trace-body');
+    state.list = el('div', 'bd-trace-list');
+    state.list.setAttribute('role', 'listbox');
+    state.list.setAttribute('aria-label', 'Requests');
+    state.detail = el('div', 'bd-trace-detail');
+    body.appendChild(state.list);
+    body.appendChild(state.detail);
+
+    root.appendChild(header);
+    root.appendChild(body);
+    return root;
+  }
+
+  function renderList(requests) {
+    state.list.textContent = '';
+    if (!requests.length) {
+      state.list.appendChild(el('p', 'bd-trace-empty', 'No requests recorded yet.'));
+      return;
+    }
+    for (const summary of requests.slice().reverse()) {
+      const row = el('button', 'bd-trace-row');
+      row.type = 'button';
+      row.setAttribute('role', 'option');
+      row.setAttribute('aria-selected', String(summary.requestId === state.selectedId));
+      if (summary.requestId === state.selectedId) row.classList.add('selected');
+      row.appendChild(el('span', `bd-trace-status bd-trace-status-${summary.status}`, summary.status));
+      row.appendChild(el('span', 'bd-trace-op', `${summary.module}.${summary.op}`));
+      row.appendChild(el('span', 'bd-trace-latency', formatLatency(summary)));
+      row.appendChild(el('span', 'bd-trace-id', summary.replayOf ? `replay of ${summary.replayOf}` : summary.requestId));
+      row.addEventListener('click', () => {
+        state.selectedId = summary.requestId;
+        render();
+      });
+      state.list.appendChild(row);
+    }
+  }
+
+  function section(label, content) {
+    const wrap = el('div', 'bd-trace-section');
+    wrap.appendChild(el('h4', 'bd-trace-section-title', label));
+    wrap.appendChild(content);
+    return wrap;
+  }
+
+  function renderDetail(summary) {
+    state.detail.textContent = '';
+    if (!summary) {
+      state.detail.appendChild(el('p', 'bd-trace-empty', 'Select a request to see its payloads.'));
+      return;
+    }
+
+    const head = el('div', 'bd-trace-detail-head');
+    head.appendChild(el('strong', null, `${summary.module}.${summary.op}`));
+    head.appendChild(el('span', 'bd-trace-meta',
+      `${summary.requestId} · action ${summary.actionId ?? '—'} · live count ${summary.liveCount ?? '—'} · ${formatLatency(summary)}`));
+    const canReplay = !!dispatcher()?.canReplay?.(summary.requestId);
+    const replay = button(state.replaying.has(summary.requestId) ? 'Replaying…' : 'Replay', 'bd-trace-btn bd-trace-btn-primary', async () => {
+      state.replaying.add(summary.requestId);
+      render();
+      try {
+        const response = await dispatcher().replay(summary.requestId);
+        const replayed = trace()?.requests?.().filter(item => item.replayOf === summary.requestId).pop();
+        if (replayed) state.selectedId = replayed.requestId;
+        else if (response?.error) console.warn('[Ultrascripts/trace] replay failed', response.error);
+      } finally {
+        state.replaying.delete(summary.requestId);
+        render();
+      }
+    });
+    replay.disabled = !canReplay || state.replaying.has(summary.requestId);
+    replay.title = canReplay ? 'Run this request again against the current build' : 'Only idempotent: \'safe\' ops can be replayed';
+    head.appendChild(replay);
+    state.detail.appendChild(head);
+
+    state.detail.appendChild(section('Args', el('pre', 'bd-trace-json', pretty(summary.args))));
+    state.detail.appendChild(section('Response', el('pre', 'bd-trace-json', pretty(summary.response))));
+
+    const timeline = el('ol', 'bd-trace-timeline');
+    for (const entry of trace()?.entries?.({ requestId: summary.requestId }) || []) {
+      const item = el('li', `bd-trace-entry bd-trace-entry-${entry.kind}`);
+      item.appendChild(el('span', 'bd-trace-time', formatTime(entry.at)));
+      item.appendChild(el('span', 'bd-trace-event', entry.event));
+      if (entry.data !== undefined && Object.keys(entry.data || {}).length) {
+        const details = el('details');
+        details.appendChild(el('summary', null, 'data'));
+        details.appendChild(el('pre', 'bd-trace-json', pretty(entry.data)));
+        item.appendChild(details);
+      }
+      timeline.appendChild(item);
+    }
+    state.detail.appendChild(section('Timeline', timeline));
+  }
+
+  function render() {
+    if (!state.root) return;
+    const requests = trace()?.requests?.() || [];
+    const info = trace()?.inspect?.() || {};
+    state.summary.textContent = `${requests.length} requests · ${info.size || 0}/${info.capacity || 0} entries`
+      + (info.dropped ? ` · ${info.dropped} dropped` : '');
+    renderList(requests);
+    renderDetail(requests.find(item => item.requestId === state.selectedId) || null);
+  }
+
+  function scheduleRender() {
+    if (state.renderTimer) return;
+    state.renderTimer = setTimeout(() => {
+      state.renderTimer = null;
+      render();
+    }, RENDER_DEBOUNCE_MS);
+  }
+
+  // ---------- open / close ----------
+
+  function openViewer() {
+    if (!trace()) return false;
+    if (!state.root) {
+      state.root = build();
+      document.body.appendChild(state.root);
+    }
+    state.root.hidden = false;
+    if (!state.unsubscribe) state.unsubscribe = trace().subscribe(scheduleRender);
+    render();
+    return true;
+  }
+
+  function closeViewer() {
+    if (state.unsubscribe) {
+      state.unsubscribe();
+      state.unsubscribe = null;
+    }
+    if (state.renderTimer) {
+      clearTimeout(state.renderTimer);
+      state.renderTimer = null;
+    }
+    if (state.root) state.root.hidden = true;
+  }
+
+  function isOpen() {
+    return !!state.root && !state.root.hidden;
+  }
+
+  window.Ultrascripts = window.Ultrascripts || {};
+  window.Ultrascripts.traceViewer = {
+    open: openViewer,
+    close: closeViewer,
+    toggle: () => (isOpen() ? (closeViewer(), false) : openViewer()),
+    isOpen,
+    download: downloadTrace,
+  };
+})();
@@ -1,8 +1,8 @@
 // services/ultrascripts/write-queue.js
 //
 // Ultrascripts write-path coordinator. Wraps upsertStoryCard with per-card
-// serialization, last-write-wins coalescing, exponential-backoff retry,
-// and optimistic local echo.
+// serialization, last-write-wins coalescing, multi-card batching, a per-turn
+// write budget, exponential-backoff retry, and optimistic local echo.
 //
 // This is a Phase 1 transport-hardening primitive. Every Ultrascripts component
 // that writes cards (Core heartbeat, ops-dispatcher responses, modules via
@@ -14,9 +14,22 @@
 //     the same time. This prevents server-side last-write-wins races.
 //   * Rapid successive writes to the same card coalesce — only the latest
 //     value is sent when the current in-flight request completes.
+//   * Writes to different cards that land within BATCH_WINDOW_MS share one
+//     GraphQL batch (one POST carrying several updateStoryCard operations,
+//     the same batched body graphql-service.js requestBatch sends). Only one
+//     batch is in flight at a time; writes queued meanwhile join the next.
+//   * Each turn (observed action change) gets TURN_WRITE_BUDGET mutations.
+//     Writes are served by priority — op responses and the widget inbox
+//     first, heartbeat last — and once the budget is spent, lower-priority
+//     writes wait for the next turn. Response-priority writes are never
+//     deferred. An idle page refills the budget
+//     after BUDGET_IDLE_RESET_MS so deferred writes still drain.
 //   * Transient failures (network errors, HTTP 5xx) retry with capped
 //     exponential backoff. Permanent failures (4xx, structured GraphQL
-//     errors) reject immediately.
+//     errors) reject immediately. Inside a batch each card settles on its
+//     own result. A card waiting out its backoff stays in flight, so no
+//     newer write to it goes out, but it does not hold the batch slot:
+//     other cards keep flowing and the retry joins a later batch.
 //   * Optimistic echo: the write is merged into ws-stream's card map
 //     immediately so downstream consumers see the update without waiting
 //     for the server round-trip. Reconciliation happens on server echo;
@@ -36,33 +49,64 @@
   const MAX_RETRIES = 3;
   const BACKOFF_BASE_MS = 500;      // 500ms → 1s → 2s → 4s
   const BACKOFF_CAP_MS = 4000;
+  const BATCH_WINDOW_MS = 20;       // collect a burst before sending
+  const MAX_BATCH_SIZE = 10;        // cards per GraphQL batch
+  const TURN_WRITE_BUDGET = 24;     // mutations per turn before deferring
+  const BUDGET_IDLE_RESET_MS = 15000;
+
+  // Write priorities, highest served first. Callers pass the name as
+  // opts.priority; anything else is 'normal'.
+  const PRIORITY = Object.freeze({
+    heartbeat: 0,
+    normal: 1,
+    response: 2,
+  });
 
   // ---------- state ----------
 
   // Per-card-title queue entry shape:
   //   {
-  //     inflight: Promise | null,   — currently in-flight mutation
-  //     pending:  { value, opts, resolve, reject } | null,  — coalesced next write
+  //     inflight: entry | null,     — batch entry currently in flight
+  //     pending:  { value, opts, priority, seq, deferred, resolve, reject } | null,
+  //                                 — coalesced next write
   //   }
   const queues = new Map();  // title -> queue entry
 
+  // In-flight batch entries waiting out a retry backoff, each carrying the
+  // attempt count and the notBefore time it may be sent again.
+  const retrying = [];
+
+  const budget = {
+    used: 0,                 // mutations sent this turn
+    turn: 0,                 // bumped by nextTurn()
+    idleTimer: null,         // refills the budget when no turn arrives
+  };
+
+  let flushTimer = null;
+  let flushAt = 0;
+  let batchInflight = false;
+  let writeSeq = 0;
+
   const metrics = {
     writes: 0,       // total enqueue() calls
     dispatched: 0,   // mutations actually sent to the server
     coalesced: 0,    // writes absorbed into a pending slot
     retries: 0,      // retry attempts
     failures: 0,     // permanently failed writes
+    batches: 0,      // GraphQL requests sent (one per batch attempt)
+    lastBatchSize: 0,
+    maxBatchSize: 0,
+    deferred: 0,     // writes held back by the turn budget
   };
 
-  // The underlying write function, injected by core.js (wraps AIDungeonService.upsertStoryCard).
+  // The underlying write functions, injected by core.js. writeFn wraps
+  // AIDungeonService.upsertStoryCard; batchWriteFn wraps upsertStoryCards
+  // and resolves one { ok, card } or { ok: false, error } per write.
   let writeFn = null;
+  let batchWriteFn = null;
 
   // ---------- helpers ----------
 
-  function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   // Classify an error as transient (retryable) or permanent.
   function isTransient(err) {
     if (!err) return false;
@@ -154,74 +198,252 @@
 
   // ---------- core dispatch logic ----------
 
-  async function dispatchWrite(title, value, opts) {
-    if (!writeFn) {
-      throw new Error(`${TAG} writeFn not set. Call Ultrascripts.writeQueue.setWriteFn() first.`);
-    }
+  function priorityOf(opts) {
+    return Object.prototype.hasOwnProperty.call(PRIORITY, opts?.priority)
+      ? PRIORITY[opts.priority]
+      : PRIORITY.normal;
+  }
 
-    let lastErr = null;
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-      if (attempt > 0) {
-        metrics.retries++;
-        const backoff = Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt - 1), BACKOFF_CAP_MS);
-        await delay(backoff);
-      }
+  function recordBatch(size) {
+    metrics.batches++;
+    metrics.dispatched += size;
+    metrics.lastBatchSize = size;
+    metrics.maxBatchSize = Math.max(metrics.maxBatchSize, size);
+  }
 
+  // One send attempt. Resolves one { ok, card } or { ok: false, error } per
+  // entry. Without a batch writer each card is its own request.
+  async function sendBatch(entries) {
+    if (batchWriteFn && (entries.length > 1 || !writeFn)) {
+      recordBatch(entries.length);
       try {
-        metrics.dispatched++;
-        const result = await writeFn(title, value, opts);
-        return result;
+        const results = await batchWriteFn(entries.map(({ title, value, opts }) => ({ title, value, opts })));
+        return entries.map((_entry, i) => results?.[i] || {
+          ok: false,
+          error: new Error(`${TAG} batch returned no result for '${entries[i].title}'`),
+        });
       } catch (err) {
-        lastErr = err;
-        if (!isTransient(err)) {
-          // Permanent failure — don't retry.
-          break;
-        }
-        // Transient — retry (loop continues).
-        console.warn(TAG, `transient failure writing '${title}' (attempt ${attempt + 1}/${MAX_RETRIES + 1}):`, err.message);
+        return entries.map(() => ({ ok: false, error: err }));
       }
     }
 
-    // All retries exhausted or permanent failure.
-    metrics.failures++;
-    throw lastErr;
+    return Promise.all(entries.map(async ({ title, value, opts }) => {
+      recordBatch(1);
+      try {
+        return { ok: true, card: await writeFn(title, value, opts) };
+      } catch (err) {
+        return { ok: false, error: err };
+      }
+    }));
   }
 
-  // Process the queue for a given card title. Ensures only one write is
-  // in flight at a time; coalesced writes fire when the current one finishes.
-  async function processQueue(title) {
-    const q = queues.get(title);
-    if (!q || q.inflight || !q.pending) return;
+  // Sends a batch once. Transient per-card failures are parked in
+  // `retrying` with a capped backoff instead of being awaited here, so the
+  // batch slot is free for other cards meanwhile. Each entry settles on its
+  // own outcome.
+  async function dispatchBatch(entries) {
+    if (!writeFn && !batchWriteFn) {
+      const err = new Error(`${TAG} writeFn not set. Call Ultrascripts.writeQueue.setWriteFn() first.`);
+      for (const entry of entries) entry.fail(err);
+      return;
+    }
 
-    // Take the pending write.
+    const results = await sendBatch(entries);
+    entries.forEach((entry, i) => {
+      const result = results[i];
+      if (result?.ok) {
+        entry.succeed(result.card);
+        return;
+      }
+      const err = result?.error;
+      if (isTransient(err) && entry.attempt < MAX_RETRIES) {
+        // Transient — send again once the backoff has passed.
+        console.warn(TAG, `transient failure writing '${entry.title}' (attempt ${entry.attempt + 1}/${MAX_RETRIES + 1}):`, err.message);
+        metrics.retries++;
+        const backoff = Math.min(BACKOFF_BASE_MS * Math.pow(2, entry.attempt), BACKOFF_CAP_MS);
+        entry.attempt++;
+        entry.notBefore = Date.now() + backoff;
+        retrying.push(entry);
+        return;
+      }
+      // All retries exhausted or permanent failure.
+      metrics.failures++;
+      entry.fail(err);
+    });
+  }
+
+  // Moves a title's pending write in flight and returns the batch entry that
+  // settles it.
+  function takeEntry(title, q) {
     const { value, opts, resolve, reject } = q.pending;
     q.pending = null;
 
     // Optimistic echo.
     const prev = optimisticSet(title, value, opts);
 
-    // Mark in-flight.
-    q.inflight = dispatchWrite(title, value, opts)
-      .then((result) => {
+    const entry = {
+      title,
+      value,
+      opts,
+      attempt: 0,
+      notBefore: 0,
+      succeed(result) {
         optimisticSetFromResult(title, value, opts, result);
         resolve(result);
-        return result;
-      })
-      .catch((err) => {
+        finish();
+      },
+      fail(err) {
         // Roll back optimistic echo on hard failure.
         optimisticRollback(title, prev);
         reject(err);
-      })
-      .finally(() => {
-        q.inflight = null;
-        // If another write was coalesced while we were in flight, process it.
-        if (q.pending) {
-          processQueue(title);
-        } else {
-          // No more work — clean up the queue entry.
-          queues.delete(title);
+        finish();
+      },
+    };
+
+    function finish() {
+      q.inflight = null;
+      // No more work — clean up the queue entry. A write coalesced while we
+      // were in flight is picked up by the next flush.
+      if (!q.pending) queues.delete(title);
+    }
+
+    q.inflight = entry;
+    return entry;
+  }
+
+  function entryId(opts) {
+    return opts?.id != null ? String(opts.id) : null;
+  }
+
+  // Picks the next batch: retries whose backoff has passed, then cards with
+  // a pending write and nothing in flight, highest priority first, then
+  // oldest. Retries were paid for when first sent. Once the turn budget is
+  // spent only response-priority writes go out; the rest are deferred to the
+  // next turn.
+  function nextBatch() {
+    const now = Date.now();
+    const batch = [];
+    const ids = new Set();
+    for (let i = 0; i < retrying.length;) {
+      const entry = retrying[i];
+      const id = entryId(entry.opts);
+      if (id) ids.add(id);
+      if (entry.notBefore > now || batch.length >= MAX_BATCH_SIZE) {
+        i++;
+        continue;
+      }
+      retrying.splice(i, 1);
+      batch.push(entry);
+    }
+
+    const ready = [];
+    for (const [title, q] of queues) {
+      if (q.pending && !q.inflight) ready.push([title, q]);
+    }
+    ready.sort(([, a], [, b]) => (b.pending.priority - a.pending.priority) || (a.pending.seq - b.pending.seq));
+
+    for (const [title, q] of ready) {
+      if (batch.length >= MAX_BATCH_SIZE) break;
+      const pending = q.pending;
+      if (budget.used >= TURN_WRITE_BUDGET && pending.priority < PRIORITY.response) {
+        if (!pending.deferred) {
+          pending.deferred = true;
+          metrics.deferred++;
         }
-      });
+        continue;
+      }
+      // Two titles aimed at one card id (a duplicate heartbeat being
+      // archived, say) never share a batch or overtake a retry.
+      const id = entryId(pending.opts);
+      if (id && ids.has(id)) continue;
+      if (id) ids.add(id);
+      budget.used++;
+      batch.push(takeEntry(title, q));
+    }
+    return batch;
+  }
+
+  function hasPending() {
+    for (const q of queues.values()) {
+      if (q.pending) return true;
+    }
+    return false;
+  }
+
+  function hasDeferred() {
+    for (const q of queues.values()) {
+      if (q.pending?.deferred) return true;
+    }
+    return false;
+  }
+
+  // An earlier request replaces a later timer, so a fresh write is not held
+  // behind a retry's backoff.
+  function scheduleFlush(delayMs = BATCH_WINDOW_MS) {
+    if (batchInflight) return;
+    const at = Date.now() + delayMs;
+    if (flushTimer) {
+      if (flushAt <= at) return;
+      clearTimeout(flushTimer);
+    }
+    flushAt = at;
+    flushTimer = setTimeout(flush, delayMs);
+  }
+
+  function scheduleRetry() {
+    if (!retrying.length) return;
+    const due = Math.min(...retrying.map(entry => entry.notBefore));
+    scheduleFlush(Math.max(0, due - Date.now()));
+  }
+
+  async function flush() {
+    flushTimer = null;
+    if (batchInflight) return;
+
+    const batch = nextBatch();
+    if (!batch.length) {
+      if (hasDeferred()) armIdleRefill();
+      scheduleRetry();
+      return;
+    }
+
+    batchInflight = true;
+    try {
+      await dispatchBatch(batch);
+    } finally {
+      batchInflight = false;
+      if (hasPending()) scheduleFlush(0);
+      else scheduleRetry();
+    }
+  }
+
+  // ---------- turn budget ----------
+
+  function armIdleRefill() {
+    if (budget.idleTimer) return;
+    budget.idleTimer = setTimeout(() => {
+      budget.idleTimer = null;
+      refillBudget();
+    }, BUDGET_IDLE_RESET_MS);
+  }
+
+  function refillBudget() {
+    budget.used = 0;
+    if (budget.idleTimer) {
+      clearTimeout(budget.idleTimer);
+      budget.idleTimer = null;
+    }
+    for (const q of queues.values()) {
+      if (q.pending) q.pending.deferred = false;
+    }
+    if (hasPending()) scheduleFlush(0);
+  }
+
+  // Called by Core on every observed action change. Starts a fresh budget
+  // and releases writes deferred by the previous turn.
+  function nextTurn() {
+    budget.turn++;
+    refillBudget();
   }
 
   // ---------- public API ----------
@@ -236,21 +458,25 @@
         queues.set(title, q);
       }
 
+      let priority = priorityOf(opts);
+      let seq = ++writeSeq;
+      let deferred = false;
       if (q.pending) {
-        // A write is already queued (and one is in flight). Replace it —
-        // last-write-wins. Reject the previous pending promise so the caller
-        // knows their write was superseded.
+        // A write is already queued. Replace it — last-write-wins. Reject the
+        // previous pending promise so the caller knows their write was
+        // superseded. The replacement keeps the older slot's place in line.
         q.pending.reject(new Error(`${TAG} write to '${title}' superseded by a newer write`));
         metrics.coalesced++;
+        priority = Math.max(priority, q.pending.priority);
+        seq = q.pending.seq;
+        deferred = q.pending.deferred;
       }
 
-      q.pending = { value, opts, resolve, reject };
+      q.pending = { value, opts, priority, seq, deferred, resolve, reject };
 
-      // If nothing is in flight, start processing immediately.
-      if (!q.inflight) {
-        processQueue(title);
-      }
-      // Otherwise, processQueue will pick up q.pending when inflight finishes.
+      // Writes landing within the batch window share one request; a write to
+      // a card already in flight waits for that mutation to finish.
+      scheduleFlush();
     });
   }
 
@@ -261,6 +487,13 @@
     writeFn = fn;
   }
 
+  function setBatchWriteFn(fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`${TAG} setBatchWriteFn: expected a function`);
+    }
+    batchWriteFn = fn;
+  }
+
   function getPending() {
     const out = new Map();
     for (const [title, q] of queues) {
@@ -280,13 +513,19 @@
   const writeQueue = {
     enqueue,
     setWriteFn,
+    setBatchWriteFn,
+    nextTurn,
     getPending,
     getMetrics,
+    PRIORITY,
     // Debug inspection.
     inspect: () => ({
       queuedTitles: [...queues.keys()],
       inflight: [...queues.entries()].filter(([, q]) => q.inflight).map(([t]) => t),
       pending: [...queues.entries()].filter(([, q]) => q.pending).map(([t]) => t),
+      retrying: retrying.map(entry => entry.title),
+      deferred: [...queues.entries()].filter(([, q]) => q.pending?.deferred).map(([t]) => t),
+      budget: { limit: TURN_WRITE_BUDGET, used: budget.used, turn: budget.turn },
       metrics: getMetrics(),
     }),
   };
@@ -186,10 +186,14 @@
     if (!Array.isArray(incoming)) return;
 
     const changed = [];
+    const undoneActionIds = [];
     for (const a of incoming) {
       if (!a || a.id == null) continue;
       const prev = state.actions.get(a.id);
       state.actions.set(a.id, a);
+      if (prev && prev.undoneAt == null && a.undoneAt != null) {
+        undoneActionIds.push(String(a.id));
+      }
       if (
         !prev ||
         prev.text !== a.text ||
@@ -217,6 +221,7 @@
     emit('ultrascripts:actions:change', {
       actions: incoming,
       changed,
+      undoneActionIds,
       key: payload?.key ?? null,
       type: payload?.type ?? null,
       retriedActionId: payload?.retriedActionId ?? null,
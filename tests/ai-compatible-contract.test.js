@@ -18,10 +18,11 @@ const requests = [];
 let holdStream = false;
 let holdDiscovery = false;
 let discoveryRequests = 0;
+let releaseTrial = null;
 
 global.window = global;
 const realSetTimeout = global.setTimeout;
-global.setTimeout = (callback, delay, ...args) => realSetTimeout(callback, delay === 120000 ? 40 : delay, ...args);
+global.setTimeout = (callback, delay, ...args) => realSetTimeout(callback, delay === 120000 ? 40 : delay === 45000 ? 10 : delay, ...args);
 global.location = { protocol: 'https:', href: 'https://play.aidungeon.com/adventure/test' };
 global.addEventListener = (type, listener) => {
   const list = pageListeners.get(type) || [];
@@ -169,6 +170,19 @@ global.fetch = async (url, init) => {
   requests.push({ url, payload, headers: init.headers });
   const prompt = payload.messages?.map(message => message.content || '').join(' ') || '';
 
+  // Gemini fails in the ways a fallback chain steps past, or does not.
+  if (prompt.includes('failover-') && String(url).includes('generativelanguage')) {
+    if (prompt.includes('failover-rate-limit')) return jsonResponse(429, { error: { message: 'quota' } });
+    if (prompt.includes('failover-outage')) return jsonResponse(503, { error: { message: 'overloaded' } });
+    if (prompt.includes('failover-auth')) return jsonResponse(401, { error: { message: 'bad key' } });
+    if (prompt.includes('failover-trial')) {
+      return new Promise((resolve) => { releaseTrial = resolve; })
+        .then(() => jsonResponse(503, { error: { message: 'still overloaded' } }));
+    }
+    if (prompt.includes('failover-hold')) {
+      return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError'))));
+    }
+  }
   if (prompt.includes('auth-error')) return jsonResponse(401, { error: { message: 'bad key' } });
   if (prompt.includes('safety-error')) return jsonResponse(400, { error: { status: 'PROHIBITED_CONTENT', message: 'blocked' } });
   if (prompt.includes('malformed-response')) return new Response('{nope', { status: 200 });
@@ -269,6 +283,9 @@ function load(relative) {
 load('background-ai-openai-compatible.js');
 load('modules/ai/executor.js');
 load('modules/ai/openai-compatible-backend.js');
+load('services/ultrascripts/arg-schema.js');
+window.Ultrascripts.registry = { register() {} };
+load('modules/ai/module.js');
 
 function raw(request) {
   return new Promise((resolve, reject) => {
@@ -494,6 +511,31 @@ async function configure(service, profile) {
   await assert.rejects(() => window.UltrascriptsAIExecutor.query({ prompt: 'openrouter-rate-limit' }), error => error.code === 'rate_limit');
   assert.equal(requests.length, beforeRouter + 1);
 
+  const queryDeltas = [];
+  const streamedQuery = await window.UltrascriptsAIExecutor.query({ prompt: 'stream query' }, {
+    requestId: 'stream-query-1',
+    onDelta: delta => queryDeltas.push(delta),
+  });
+  assert.equal(requests.at(-1).payload.stream, true);
+  assert.equal(requests.at(-1).payload.max_tokens, undefined);
+  assert.deepEqual(queryDeltas.map(delta => delta.text), ['Hello ', 'world']);
+  assert.deepEqual(queryDeltas.map(delta => delta.sequence), [1, 2]);
+  assert.equal(streamedQuery.text, 'Hello world');
+  assert.equal(streamedQuery.meta.outputType, 'text');
+  assert.equal(streamedQuery.meta.finishReason, 'stop');
+  await assert.rejects(
+    () => window.UltrascriptsAIExecutor.query({ prompt: 'stream query' }, { onDelta: 'nope' }),
+    error => error.code === 'invalid_args',
+  );
+  const cancelledQuery = new AbortController();
+  cancelledQuery.abort();
+  await assert.rejects(
+    () => window.UltrascriptsAIExecutor.query({ prompt: 'stream query' }, { signal: cancelledQuery.signal }),
+    error => error.code === 'aborted',
+  );
+  await window.UltrascriptsAIExecutor.query({ prompt: 'stream query' }, { signal: new AbortController().signal });
+  assert.equal(requests.at(-1).payload.stream, true);
+
   const customBad = await configure('custom', { baseUrl: 'http://localhost:1234/v1', model: 'local' });
   assert.equal(customBad.ready, false);
   local.delete('ultrascripts_ai_capability_cache_v1');
@@ -555,6 +597,62 @@ async function configure(service, profile) {
   assert.equal(truncated.meta.outputTruncated, true);
   assert.equal(truncated.toolCalls[0].name, 'propose_story_card_create');
 
+  // The script-facing ai.chat op: schema caps, the default budget, partials,
+  // and a tool round whose continuation travels through the script as JSON.
+  const chatOp = window.UltrascriptsAIModule.ops.chat;
+  const scriptArgs = (content, extra = {}) => ({
+    systemInstruction: 'Answer briefly.',
+    messages: [{ role: 'user', content }],
+    ...extra,
+  });
+  const { assertArgs } = window.Ultrascripts.argSchema;
+  assert.throws(
+    () => assertArgs(chatOp.args, scriptArgs('hi', { budget: { maxInputChars: 50000 } })),
+    error => error.code === 'invalid_args' && error.path === '/budget/maxInputChars',
+  );
+  assert.throws(
+    () => assertArgs(chatOp.args, { systemInstruction: 'x', messages: [{ role: 'system', content: 'hi' }] }),
+    error => error.path === '/messages/0/role',
+  );
+  assert.throws(
+    () => assertArgs(chatOp.args, scriptArgs('hi', { tools: Array.from({ length: 17 }, () => tools[1]) })),
+    error => error.path === '/tools',
+  );
+  assert.throws(() => assertArgs(chatOp.args, scriptArgs('hi', { tools: [{ ...tools[0], name: 'Read Card' }] })), error => error.path === '/tools/0/name');
+
+  const partials = [];
+  const opCtx = { partial: (id, chunk) => partials.push([id, chunk.text]) };
+  const scriptText = await chatOp.handler(scriptArgs('stream text'), opCtx, { id: 'req-chat-1' });
+  assert.equal(scriptText.text, 'Hello world');
+  assert.deepEqual(scriptText.toolCalls, []);
+  assert.equal(scriptText.continuation, null);
+  assert.deepEqual(partials, [['req-chat-1', 'Hello '], ['req-chat-1', 'world']]);
+  assert.deepEqual(scriptText.meta.budget, { maxInputChars: 32000, maxOutputTokens: 1024 });
+
+  const scriptToolTurn = await chatOp.handler(scriptArgs('tool-round-one', { tools }), opCtx, { id: 'req-chat-2' });
+  assert.deepEqual(scriptToolTurn.toolCalls.map(call => [call.name, call.arguments]), [['read_card', { id: 'card-1' }], ['read_plot', {}]]);
+  const carried = JSON.parse(JSON.stringify(scriptToolTurn.continuation));
+  const scriptFollowUp = await chatOp.handler(scriptArgs('tool-round-two', {
+    tools,
+    continuation: carried,
+    toolResults: scriptToolTurn.toolCalls.map(call => ({ callId: call.id, name: call.name, result: { ok: true } })),
+    budget: { maxOutputTokens: 512 },
+  }), opCtx, { id: 'req-chat-3' });
+  assert.equal(scriptFollowUp.continuation.messages.at(-1).tool_calls[0].extra_content.google.thought_signature, SIGNATURE_TWO);
+  assert.deepEqual(scriptFollowUp.meta.budget, { maxInputChars: 32000, maxOutputTokens: 512 });
+  await assert.rejects(
+    () => chatOp.handler(scriptArgs('tool-round-two', {
+      tools,
+      toolResults: [{ callId: 'call_read', name: 'read_card', result: {} }],
+    }), opCtx, { id: 'req-chat-4' }),
+    error => error.code === 'invalid_args' && /continuation is required/.test(error.message),
+  );
+  await assert.rejects(
+    () => chatOp.handler(scriptArgs('stream text', { budget: { maxInputChars: 20 } }), opCtx, { id: 'req-chat-5' }),
+    error => error.code === 'invalid_args' && error.maxChars === 20,
+  );
+  assert.deepEqual(window.UltrascriptsAIExecutor.status().contract.ops, ['status', 'query', 'chat']);
+
   await configure('openrouter', { model: 'router-model' });
   await assert.rejects(() => window.UltrascriptsAIExecutor.chat(chatArgs('wrong service', {
     tools,
@@ -581,6 +679,93 @@ async function configure(service, profile) {
     error => error.code === 'timeout',
   );
 
+  // Fallback chains: Gemini first, then OpenRouter, then the custom endpoint.
+  const setFailover = failover => raw({ op: 'settings:set', config: {
+    activeService: 'gemini',
+    profiles: { gemini: { apiKey: 'test-gemini', modelMode: 'manual', model: 'gemini-chain' } },
+    failover,
+  } });
+  const geminiRequests = () => requests.filter(request => String(request.url).includes('generativelanguage') && request.payload).length;
+  const chainStatus = await setFailover({ services: ['openrouter', 'custom', 'gemini', 'openrouter', 'mistral'], on: { rateLimit: false } });
+  assert.deepEqual(chainStatus.config.failover.chain, ['gemini', 'openrouter', 'custom']);
+  assert.deepEqual(chainStatus.config.failover.on, { rateLimit: false, timeout: true, serverError: true });
+  assert.equal(chainStatus.config.profiles.openrouter.configured, true);
+  await assert.rejects(
+    () => window.UltrascriptsAIExecutor.query({ prompt: 'failover-rate-limit' }),
+    error => error.code === 'rate_limit' && error.failover.attempts.length === 1,
+  );
+
+  await setFailover({ on: { rateLimit: true, timeout: true, serverError: true } });
+  await assert.rejects(
+    () => window.UltrascriptsAIExecutor.query({ prompt: 'failover-auth' }),
+    error => error.code === 'auth_failed' && error.failover.attempts[0].code === 'auth_failed' && error.failover.answeredBy === null,
+  );
+  const rateLimited = await window.UltrascriptsAIExecutor.query({ prompt: 'failover-rate-limit' });
+  assert.equal(rateLimited.text, 'answer:router-model');
+  assert.equal(rateLimited.meta.service, 'openrouter');
+  assert.deepEqual(rateLimited.meta.failover, {
+    chain: ['gemini', 'openrouter', 'custom'],
+    answeredBy: 'openrouter',
+    failedOver: true,
+    attempts: [{ service: 'gemini', code: 'rate_limit' }, { service: 'openrouter', ok: true }],
+  });
+  const failoverDeltas = [];
+  const outage = await window.UltrascriptsAIExecutor.chat(chatArgs('failover-outage'), { onDelta: delta => failoverDeltas.push(delta.text) });
+  assert.equal(outage.meta.failover.answeredBy, 'openrouter');
+  assert.equal(outage.meta.failover.attempts[0].code, 'backend_failed');
+  assert.deepEqual(failoverDeltas, ['Hello ', 'world']);
+  const held = await window.UltrascriptsAIExecutor.chat(chatArgs('failover-hold'), { signal: new AbortController().signal });
+  assert.equal(held.meta.failover.attempts[0].code, 'timeout');
+  assert.equal(held.meta.service, 'openrouter');
+
+  // Three failures in a row open Gemini's breaker: requests skip it.
+  assert.equal((await raw({ op: 'status' })).config.failover.breakers.gemini.state, 'open');
+  const before = geminiRequests();
+  const skipped = await window.UltrascriptsAIExecutor.query({ prompt: 'breaker open' });
+  assert.equal(geminiRequests(), before);
+  assert.deepEqual(skipped.meta.failover.attempts[0], { service: 'gemini', skipped: 'circuit_open' });
+
+  // After the cooldown one trial request is let through; the rest keep
+  // falling back until it answers, and a failed trial opens it again.
+  const realNow = Date.now;
+  Date.now = () => realNow() + 61000;
+  assert.equal((await raw({ op: 'status' })).config.failover.breakers.gemini.state, 'half-open');
+  const trial = window.UltrascriptsAIExecutor.query({ prompt: 'failover-trial' });
+  while (!releaseTrial) await new Promise(resolve => setTimeout(resolve, 1));
+  const duringTrial = await Promise.all([
+    window.UltrascriptsAIExecutor.query({ prompt: 'breaker trial 1' }),
+    window.UltrascriptsAIExecutor.query({ prompt: 'breaker trial 2' }),
+  ]);
+  for (const result of duringTrial) {
+    assert.deepEqual(result.meta.failover.attempts, [{ service: 'gemini', skipped: 'circuit_open' }, { service: 'openrouter', ok: true }]);
+  }
+  assert.equal(geminiRequests(), before + 1, 'only the trial reached Gemini');
+  releaseTrial();
+  const failedTrial = await trial;
+  assert.deepEqual(failedTrial.meta.failover.attempts[0], { service: 'gemini', code: 'backend_failed' });
+  assert.equal((await raw({ op: 'status' })).config.failover.breakers.gemini.state, 'open');
+
+  // The next trial succeeds and closes it.
+  Date.now = () => realNow() + 122000;
+  assert.equal((await raw({ op: 'status' })).config.failover.breakers.gemini.state, 'half-open');
+  const recovered = await window.UltrascriptsAIExecutor.query({ prompt: 'breaker recovered' });
+  Date.now = realNow;
+  assert.equal(recovered.meta.failover.answeredBy, 'gemini');
+  assert.equal(recovered.meta.failover.failedOver, false);
+  assert.equal((await raw({ op: 'status' })).config.failover.breakers.gemini.state, 'closed');
+
+  // A tool round started on a fallback stays there for its continuation.
+  const failedOverTools = await window.UltrascriptsAIExecutor.chat(chatArgs('failover-rate-limit tool-round-one', { tools }));
+  assert.equal(failedOverTools.continuation.service, 'openrouter');
+  const pinned = await window.UltrascriptsAIExecutor.chat(chatArgs('tool-round-two', {
+    tools,
+    continuation: failedOverTools.continuation,
+    toolResults: failedOverTools.toolCalls.map(call => ({ callId: call.id, name: call.name, result: { ok: true } })),
+  }));
+  assert.deepEqual(pinned.meta.failover.chain, ['openrouter']);
+  assert.ok(String(requests.at(-1).url).includes('openrouter'));
+  await setFailover({ services: [] });
+
   console.log('Desktop OpenAI-compatible AI contract tests passed');
 })().catch(error => {
   console.error(error);
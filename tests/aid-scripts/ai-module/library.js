@@ -1,7 +1,7 @@
 // Ultrascripts AI Contract Test Suite - AI Dungeon Library
 //
-// Verifies that the AI module exposes the status/query contract and reports
-// usable backend state. Pair with output-modifier.js.
+// Verifies that the AI module exposes the status/query/chat contract and
+// reports usable backend state. Pair with output-modifier.js.
 
 state.ultrascriptsAiTest = state.ultrascriptsAiTest || {
   runId: null,
@@ -17,11 +17,25 @@ state.ultrascriptsAiTest = state.ultrascriptsAiTest || {
   jsonQueryRequestId: null,
   jsonNoSchemaRequestId: null,
   invalidThinkingRequestId: null,
+  chatToolRequestId: null,
+  chatFollowUpRequestId: null,
   events: [],
   phase: 'boot'
 };
 
-var FAI_LEGACY_OPS = ['chat', 'models', 'testConnection'];
+var FAI_LEGACY_OPS = ['models', 'testConnection'];
+
+var FAI_CHAT_SYSTEM = 'You are a dice assistant. Use the roll_die tool for every roll, then report the result in one sentence.';
+var FAI_CHAT_PROMPT = 'Roll a twenty-sided die for me.';
+var FAI_CHAT_TOOLS = [{
+  name: 'roll_die',
+  description: 'Roll one die with the given number of sides.',
+  parameters: {
+    type: 'object',
+    properties: { sides: { type: 'integer' } },
+    required: ['sides']
+  }
+}];
 
 function faiNow() { return Date.now ? Date.now() : new Date().getTime(); }
 
@@ -231,6 +245,51 @@ function faiQueueQuery(kind) {
   faiWriteOut();
 }
 
+function faiChatToolCalls() {
+  var s = state.ultrascriptsAiTest;
+  var done = s.chatToolRequestId ? s.completed[s.chatToolRequestId] : null;
+  return done && done.status === 'ok' && done.data && Array.isArray(done.data.toolCalls)
+    ? done.data.toolCalls
+    : [];
+}
+
+// The first turn offers the tool; the second resolves every call the model
+// made and sends the returned continuation back unchanged.
+function faiQueueChat(kind) {
+  var s = state.ultrascriptsAiTest;
+  var key = kind === 'follow-up' ? 'chatFollowUpRequestId' : 'chatToolRequestId';
+  if (s[key]) return;
+  var args = {
+    systemInstruction: FAI_CHAT_SYSTEM,
+    messages: [{ role: 'user', content: FAI_CHAT_PROMPT }],
+    tools: FAI_CHAT_TOOLS,
+    budget: { maxOutputTokens: 256 }
+  };
+  if (kind === 'follow-up') {
+    var calls = faiChatToolCalls();
+    args.continuation = s.completed[s.chatToolRequestId].data.continuation;
+    args.toolResults = [];
+    for (var i = 0; i < calls.length; i++) {
+      args.toolResults.push({ callId: calls[i].id, name: calls[i].name, result: { value: 17 } });
+    }
+  }
+  var id = faiLiveKey() + '-ai-chat-' + kind + '-' + (++s.seq);
+  s[key] = id;
+  s.pending[id] = {
+    id: id,
+    module: 'ai',
+    op: 'chat',
+    args: args,
+    ts: faiNow()
+  };
+  faiLog('queued', id + ' -> ai.chat(' + kind + ')');
+  faiWriteOut();
+}
+
+function faiChatNeedsFollowUp() {
+  return faiChatToolCalls().length > 0;
+}
+
 function faiIsTerminal(r) {
   return r && (r.status === 'ok' || r.status === 'err' || r.status === 'timeout');
 }
@@ -301,6 +360,7 @@ function faiStatusPass() {
     Array.isArray(data.contract.ops) &&
     data.contract.ops.indexOf('status') !== -1 &&
     data.contract.ops.indexOf('query') !== -1 &&
+    data.contract.ops.indexOf('chat') !== -1 &&
     Array.isArray(data.contract.thinkingLevels) &&
     data.contract.thinkingLevels.indexOf('minimal') !== -1 &&
     data.contract.defaultThinking === 'minimal' &&
@@ -321,6 +381,7 @@ function faiMetaPass(meta, outputType) {
     typeof meta.promptChars === 'number' &&
     typeof meta.generatedAtIso === 'string' &&
     typeof meta.model === 'string' &&
+    (!meta.failover || meta.failover.answeredBy === meta.service) &&
     (faiStatusData().supports.thinking !== true || (
       meta.thinking &&
       typeof meta.thinking.requestedLevel === 'string' &&
@@ -387,6 +448,46 @@ function faiQueryPass(kind) {
   );
 }
 
+function faiChatPass(kind) {
+  var s = state.ultrascriptsAiTest;
+  var status = faiStatusData();
+  var tool = s.chatToolRequestId ? s.completed[s.chatToolRequestId] : null;
+  if (kind === 'follow-up') {
+    if (!faiChatNeedsFollowUp()) return !!tool;
+    var done = s.chatFollowUpRequestId ? s.completed[s.chatFollowUpRequestId] : null;
+    return !!(
+      done &&
+      done.status === 'ok' &&
+      done.data &&
+      typeof done.data.text === 'string' &&
+      done.data.text.length > 0 &&
+      done.data.meta &&
+      done.data.meta.toolCount === 1
+    );
+  }
+  if (status && status.ready === true) {
+    var calls = faiChatToolCalls();
+    for (var i = 0; i < calls.length; i++) {
+      if (calls[i].name !== 'roll_die' || typeof calls[i].id !== 'string' || !calls[i].arguments) return false;
+    }
+    return !!(
+      tool &&
+      tool.status === 'ok' &&
+      tool.data &&
+      (calls.length > 0 ? !!tool.data.continuation : typeof tool.data.text === 'string' && tool.data.text.length > 0) &&
+      tool.data.meta &&
+      tool.data.meta.budget &&
+      tool.data.meta.budget.maxOutputTokens === 256
+    );
+  }
+  return !!(
+    tool &&
+    tool.status === 'err' &&
+    tool.error &&
+    tool.error.code === 'not_configured'
+  );
+}
+
 function faiResetSuite() {
   state.ultrascriptsAiTest = {
     runId: 'ultrascripts-ai-contract-' + faiNow().toString(36),
@@ -402,6 +503,8 @@ function faiResetSuite() {
     jsonQueryRequestId: null,
     jsonNoSchemaRequestId: null,
     invalidThinkingRequestId: null,
+    chatToolRequestId: null,
+    chatFollowUpRequestId: null,
     events: [],
     phase: 'reset'
   };
@@ -425,7 +528,7 @@ function faiAdvance() {
     s.phase = 'waiting for ai heartbeat';
     return;
   }
-  if (!faiHasOp('status') || !faiHasOp('query') || legacyOps.length > 0) {
+  if (!faiHasOp('status') || !faiHasOp('query') || !faiHasOp('chat') || legacyOps.length > 0) {
     s.phase = 'heartbeat contract mismatch';
     return;
   }
@@ -474,7 +577,25 @@ function faiAdvance() {
     s.phase = 'awaiting invalid thinking query';
     return;
   }
-  s.phase = faiStatusPass() && faiQueryPass('text') && faiQueryPass('json') && faiQueryPass('json-noschema') && faiQueryPass('thinking-invalid') ? 'complete' : 'complete-with-failures';
+  if (!s.chatToolRequestId) {
+    s.phase = 'queueing tool chat';
+    faiQueueChat('tool');
+    return;
+  }
+  if (!s.completed[s.chatToolRequestId]) {
+    s.phase = 'awaiting tool chat';
+    return;
+  }
+  if (faiChatNeedsFollowUp() && !s.chatFollowUpRequestId) {
+    s.phase = 'queueing chat follow-up';
+    faiQueueChat('follow-up');
+    return;
+  }
+  if (s.chatFollowUpRequestId && !s.completed[s.chatFollowUpRequestId]) {
+    s.phase = 'awaiting chat follow-up';
+    return;
+  }
+  s.phase = faiStatusPass() && faiQueryPass('text') && faiQueryPass('json') && faiQueryPass('json-noschema') && faiQueryPass('thinking-invalid') && faiChatPass('tool') && faiChatPass('follow-up') ? 'complete' : 'complete-with-failures';
 }
 
 function faiWriteTrace() {
@@ -493,13 +614,17 @@ function faiWriteTrace() {
   var jsonNoSchemaPass = faiQueryPass('json-noschema');
   var invalidThinkingDone = !!(s.invalidThinkingRequestId && s.completed[s.invalidThinkingRequestId]);
   var invalidThinkingPass = faiQueryPass('thinking-invalid');
+  var chatToolDone = !!(s.chatToolRequestId && s.completed[s.chatToolRequestId]);
+  var chatToolPass = faiChatPass('tool');
+  var chatFollowUpDone = chatToolDone && (!faiChatNeedsFollowUp() || !!(s.chatFollowUpRequestId && s.completed[s.chatFollowUpRequestId]));
+  var chatFollowUpPass = chatFollowUpDone && faiChatPass('follow-up');
   var providerAliasAdvertised = faiHasModule('providerAI');
-  var heartbeatPass = !!ai && !providerAliasAdvertised && faiHasOp('status') && faiHasOp('query') && legacyOps.length === 0;
+  var heartbeatPass = !!ai && !providerAliasAdvertised && faiHasOp('status') && faiHasOp('query') && faiHasOp('chat') && legacyOps.length === 0;
   var counts = {
-    total: 6,
-    pass: (heartbeatPass ? 1 : 0) + (statusPass ? 1 : 0) + (textQueryPass ? 1 : 0) + (jsonQueryPass ? 1 : 0) + (jsonNoSchemaPass ? 1 : 0) + (invalidThinkingPass ? 1 : 0),
-    fail: (heartbeatPass || !ai ? 0 : 1) + (statusDone && !statusPass ? 1 : 0) + (textQueryDone && !textQueryPass ? 1 : 0) + (jsonQueryDone && !jsonQueryPass ? 1 : 0) + (jsonNoSchemaDone && !jsonNoSchemaPass ? 1 : 0) + (invalidThinkingDone && !invalidThinkingPass ? 1 : 0),
-    pending: (!ai ? 1 : 0) + (!statusDone ? 1 : 0) + (!textQueryDone ? 1 : 0) + (!jsonQueryDone ? 1 : 0) + (!jsonNoSchemaDone ? 1 : 0) + (!invalidThinkingDone ? 1 : 0)
+    total: 8,
+    pass: (heartbeatPass ? 1 : 0) + (statusPass ? 1 : 0) + (textQueryPass ? 1 : 0) + (jsonQueryPass ? 1 : 0) + (jsonNoSchemaPass ? 1 : 0) + (invalidThinkingPass ? 1 : 0) + (chatToolPass ? 1 : 0) + (chatFollowUpPass ? 1 : 0),
+    fail: (heartbeatPass || !ai ? 0 : 1) + (statusDone && !statusPass ? 1 : 0) + (textQueryDone && !textQueryPass ? 1 : 0) + (jsonQueryDone && !jsonQueryPass ? 1 : 0) + (jsonNoSchemaDone && !jsonNoSchemaPass ? 1 : 0) + (invalidThinkingDone && !invalidThinkingPass ? 1 : 0) + (chatToolDone && !chatToolPass ? 1 : 0) + (chatFollowUpDone && !chatFollowUpPass ? 1 : 0),
+    pending: (!ai ? 1 : 0) + (!statusDone ? 1 : 0) + (!textQueryDone ? 1 : 0) + (!jsonQueryDone ? 1 : 0) + (!jsonNoSchemaDone ? 1 : 0) + (!invalidThinkingDone ? 1 : 0) + (!chatToolDone ? 1 : 0) + (!chatFollowUpDone ? 1 : 0)
   };
 
   var trace = {
@@ -547,8 +672,21 @@ function faiWriteTrace() {
       response: s.invalidThinkingRequestId ? s.completed[s.invalidThinkingRequestId] || null : null,
       pass: invalidThinkingPass
     },
+    chatTool: {
+      requestId: s.chatToolRequestId,
+      terminal: chatToolDone,
+      response: s.chatToolRequestId ? s.completed[s.chatToolRequestId] || null : null,
+      pass: chatToolPass
+    },
+    chatFollowUp: {
+      requestId: s.chatFollowUpRequestId,
+      needed: faiChatNeedsFollowUp(),
+      terminal: chatFollowUpDone,
+      response: s.chatFollowUpRequestId ? s.completed[s.chatFollowUpRequestId] || null : null,
+      pass: chatFollowUpPass
+    },
     counts: counts,
-    checksPass: heartbeatPass && statusPass && textQueryPass && jsonQueryPass && jsonNoSchemaPass && invalidThinkingPass,
+    checksPass: heartbeatPass && statusPass && textQueryPass && jsonQueryPass && jsonNoSchemaPass && invalidThinkingPass && chatToolPass && chatFollowUpPass,
     pendingIds: Object.keys(s.pending),
     ackAttempts: s.ackAttempts,
     events: s.events
@@ -4,6 +4,8 @@ if (!state.audioTest || typeof state.audioTest !== 'object') {
   state.audioTest = {
     seq: 0,
     effect: null,
+    sequence: null,
+    ambient: null,
     lastCommand: 'none',
   };
 }
@@ -68,6 +70,8 @@ function audPublishState() {
   var payload = {
     v: 1,
     effect: state.audioTest.effect,
+    sequence: state.audioTest.sequence || null,
+    ambient: state.audioTest.ambient || null,
   };
   audWriteCard('ultrascripts:state:audio', JSON.stringify(payload), 'Ultrascripts');
   return payload;
@@ -84,6 +88,15 @@ function audWriteTrace(payload) {
       '/audio tone — play a short sine tone',
       '/audio sweep — play a rising sawtooth sweep',
       '/audio noise — play a short noise impact',
+      '/audio jingle — play a level-up melody with a rest and a closing chord',
+      '/audio alarm — play three alarm beeps timed in milliseconds',
+      '/audio impact — play a filtered, distorted noise hit with reverb',
+      '/audio magic — play a shimmering sweep with delay and reverb, panned left',
+      '/audio ui — play a soft filtered click panned right',
+      '/audio rain — loop filtered rain ambience',
+      '/audio tavern — crossfade to tavern murmur with a low drone',
+      '/audio drip — crossfade to a dungeon drip',
+      '/audio quiet — fade the ambience out',
       '/audio stop — stop active effects',
     ],
   };
@@ -132,8 +145,120 @@ function audConsumeCommands(text) {
       volume: 0.35,
     };
     test.lastCommand = 'noise';
+  } else if (command === 'impact') {
+    test.effect = {
+      id: audNextEffectId('impact'),
+      waveform: 'noise',
+      durationMs: 400,
+      attackMs: 0,
+      releaseMs: 360,
+      volume: 0.6,
+      chain: {
+        filter: { type: 'lowpass', frequency: 2400, endFrequency: 120, q: 1.2 },
+        distortion: { amount: 0.4 },
+        reverb: { decayMs: 1400, mix: 0.35 },
+      },
+    };
+    test.lastCommand = 'impact';
+  } else if (command === 'magic') {
+    test.effect = {
+      id: audNextEffectId('magic'),
+      waveform: 'triangle',
+      frequency: 660,
+      endFrequency: 1980,
+      durationMs: 700,
+      attackMs: 40,
+      releaseMs: 400,
+      volume: 0.35,
+      chain: {
+        filter: { type: 'bandpass', frequency: 800, endFrequency: 5000, q: 3 },
+        pan: -0.6,
+        delay: { timeMs: 180, feedback: 0.55, mix: 0.4 },
+        reverb: { decayMs: 2500, mix: 0.3 },
+      },
+    };
+    test.lastCommand = 'magic';
+  } else if (command === 'ui') {
+    test.effect = {
+      id: audNextEffectId('ui'),
+      waveform: 'square',
+      frequency: 1400,
+      durationMs: 40,
+      attackMs: 0,
+      releaseMs: 30,
+      volume: 0.25,
+      chain: {
+        filter: { type: 'highpass', frequency: 900 },
+        pan: 0.5,
+      },
+    };
+    test.lastCommand = 'ui';
+  } else if (command === 'jingle') {
+    test.sequence = {
+      id: audNextEffectId('jingle'),
+      tempo: 140,
+      waveform: 'square',
+      volume: 0.4,
+      attackMs: 20,
+      releaseMs: 300,
+      notes: [
+        { beats: 0.5, frequency: 523.25 },
+        { beats: 0.5, frequency: 659.25 },
+        { beats: 0.5, frequency: 783.99 },
+        { rest: true, beats: 0.25 },
+        { beats: 1.5, frequencies: [523.25, 659.25, 783.99, 1046.5], waveform: 'triangle' },
+      ],
+    };
+    test.lastCommand = 'jingle';
+  } else if (command === 'alarm') {
+    test.sequence = {
+      id: audNextEffectId('alarm'),
+      waveform: 'sawtooth',
+      volume: 0.3,
+      notes: [
+        { at: 0, frequency: 880, durationMs: 180 },
+        { at: 300, frequency: 880, durationMs: 180 },
+        { at: 600, frequency: 1320, durationMs: 360 },
+      ],
+    };
+    test.lastCommand = 'alarm';
+  } else if (command === 'rain') {
+    test.ambient = {
+      volume: 0.5,
+      fadeMs: 2000,
+      layers: [
+        { waveform: 'noise', volume: 0.7, filter: { type: 'lowpass', frequency: 1400, q: 0.7 } },
+        { waveform: 'noise', volume: 0.25, filter: { type: 'highpass', frequency: 4000 }, pulse: { rateHz: 0.15, depth: 0.6 } },
+      ],
+    };
+    test.lastCommand = 'rain';
+  } else if (command === 'tavern') {
+    test.ambient = {
+      volume: 0.45,
+      fadeMs: 3000,
+      layers: [
+        { waveform: 'noise', volume: 0.5, filter: { type: 'bandpass', frequency: 450, q: 1.5 }, pulse: { rateHz: 0.4, depth: 0.5 } },
+        { waveform: 'triangle', frequency: 98, volume: 0.08 },
+      ],
+    };
+    test.lastCommand = 'tavern';
+  } else if (command === 'drip') {
+    test.ambient = {
+      volume: 0.4,
+      fadeMs: 2500,
+      layers: [
+        { waveform: 'noise', volume: 0.2, filter: { type: 'lowpass', frequency: 300 } },
+        { waveform: 'sine', frequency: 1250, volume: 0.15, pulse: { rateHz: 0.7, depth: 1 } },
+      ],
+    };
+    test.lastCommand = 'drip';
+  } else if (command === 'quiet') {
+    test.ambient = null;
+    test.lastCommand = 'quiet';
   } else if (command === 'stop') {
     test.effect = null;
+    test.sequence = null;
+    test.ambient = null;
     test.lastCommand = 'stop';
   } else {
     test.lastCommand = 'help';
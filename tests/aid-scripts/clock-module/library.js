@@ -36,70 +36,77 @@ var FCLK_STEPS = [
     expect: 'ok',
     validate: function (r) {
       return !!(r && typeof r.iso === 'string' && r.iso.length > 0 &&
-        typeof r.epoch === 'number' && r.epoch > 0 &&
-        typeof r.timezone === 'string');
+        typeof r.ts === 'number' && r.ts > 0 &&
+        typeof r.timeZone === 'string' && r.timeZone === r.systemTimeZone);
     }
   },
   {
     label: 'now-with-tz',
     module: 'clock',
     op: 'now',
-    args: function () { return { timezone: 'America/New_York' }; },
+    args: function () { return { timeZone: 'America/New_York' }; },
     expect: 'ok',
     validate: function (r) {
-      return !!(r && typeof r.iso === 'string' && r.timezone === 'America/New_York');
+      return !!(r && typeof r.iso === 'string' && r.timeZone === 'America/New_York');
     }
   },
   {
-    label: 'tz-list',
+    label: 'tz-alias',
     module: 'clock',
     op: 'tz',
-    args: function () { return {}; },
+    args: function () { return { tz: 'Asia/Tokyo', ts: 0 }; },
     expect: 'ok',
     validate: function (r) {
-      return !!(r && Array.isArray(r.timezones) && r.timezones.length > 0 &&
-        r.timezones.indexOf('UTC') !== -1);
+      // Tokyo keeps no daylight saving time, so the offset is fixed.
+      return !!(r && r.requestedTimeZone === 'Asia/Tokyo' && r.timeZone === 'Asia/Tokyo' &&
+        r.offset === '+09:00' && r.local === '1970-01-01 09:00:00 +09:00');
     }
   },
   {
-    label: 'format-default',
+    label: 'format-custom-pattern',
     module: 'clock',
     op: 'format',
-    args: function () { return {}; },
+    args: function () { return { format: 'YYYY-MM-DD HH:mm:ss' }; },
     expect: 'ok',
     validate: function (r) {
-      return !!(r && typeof r.formatted === 'string' && r.formatted.length > 0 &&
-        typeof r.pattern === 'string');
+      // Should match pattern like 2025-01-15 14:30:00
+      return typeof r === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(r);
     }
   },
   {
-    label: 'format-custom-pattern',
+    label: 'format-with-tz',
     module: 'clock',
     op: 'format',
-    args: function () { return { pattern: 'YYYY-MM-DD HH:mm:ss' }; },
+    args: function () { return { format: 'HH:mm', timeZone: 'Europe/London' }; },
     expect: 'ok',
     validate: function (r) {
-      if (!r || typeof r.formatted !== 'string') return false;
-      // Should match pattern like 2025-01-15 14:30:00
-      return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(r.formatted);
+      return typeof r === 'string' && /^\d{2}:\d{2}$/.test(r);
     }
   },
   {
-    label: 'format-with-tz',
+    label: 'format-fixed-ts',
     module: 'clock',
     op: 'format',
-    args: function () { return { pattern: 'HH:mm', timezone: 'Europe/London' }; },
+    args: function () { return { ts: '2025-01-15T14:30:00Z', format: 'ddd D MMM YYYY [at] h:mm A Z' }; },
     expect: 'ok',
     validate: function (r) {
-      if (!r || typeof r.formatted !== 'string') return false;
-      return /^\d{2}:\d{2}$/.test(r.formatted);
+      // Without a time zone, format uses UTC.
+      return r === 'Wed 15 Jan 2025 at 2:30 PM +00:00';
     }
   },
+  {
+    label: 'err-format-required',
+    module: 'clock',
+    op: 'format',
+    args: function () { return {}; },
+    expect: 'err',
+    errorCode: 'invalid_args'
+  },
   {
     label: 'err-bad-timezone',
     module: 'clock',
     op: 'now',
-    args: function () { return { timezone: 'Not/A/Timezone' }; },
+    args: function () { return { timeZone: 'Not/A/Timezone' }; },
     expect: 'err',
     errorCode: 'invalid_args'
   },
@@ -107,7 +114,7 @@ var FCLK_STEPS = [
     label: 'err-bad-format-tz',
     module: 'clock',
     op: 'format',
-    args: function () { return { timezone: 'Fake/Zone', pattern: 'YYYY' }; },
+    args: function () { return { timeZone: 'Fake/Zone', format: 'YYYY' }; },
     expect: 'err',
     errorCode: 'invalid_args'
   },
@@ -354,12 +361,13 @@ function fclkStepResult(step) {
     module: done.module
   };
 
-  if (done.status === 'ok' && done.data) {
+  if (done.status === 'ok' && typeof done.data === 'string') {
+    out.preview = { formatted: done.data };
+  } else if (done.status === 'ok' && done.data) {
     out.preview = {};
     if (done.data.iso) out.preview.iso = done.data.iso;
-    if (done.data.formatted) out.preview.formatted = done.data.formatted;
-    if (done.data.timezone) out.preview.timezone = done.data.timezone;
-    if (Array.isArray(done.data.timezones)) out.preview.timezoneCount = done.data.timezones.length;
+    if (done.data.timeZone) out.preview.timeZone = done.data.timeZone;
+    if (done.data.local) out.preview.local = done.data.local;
   }
 
   return out;
@@ -60,9 +60,13 @@ var FNET_STEPS = [
     args: function () { return {}; },
     expect: 'ok',
     validate: function (r) {
-      if (!r || !r.connection || typeof r.connection !== 'object') return false;
-      // Connection object should exist with type/downlink/rtt/effectiveType fields (or nulls)
-      return true;
+      if (!r || typeof r.connectionSupported !== 'boolean') return false;
+      // Connection fields are flat and null where the browser has no Network
+      // Information API.
+      var nullOr = function (value, type) { return value === null || typeof value === type; };
+      return nullOr(r.effectiveType, 'string') && nullOr(r.type, 'string') &&
+        nullOr(r.downlinkMbps, 'number') && nullOr(r.downlinkMaxMbps, 'number') &&
+        nullOr(r.rttMs, 'number') && nullOr(r.saveData, 'boolean');
     }
   },
   {
@@ -312,7 +316,7 @@ function fnetStepResult(step) {
     out.preview = {
       online: done.data.online,
       quality: done.data.quality || null,
-      effectiveType: done.data.connection ? done.data.connection.effectiveType : null
+      effectiveType: done.data.effectiveType
     };
   }
 
@@ -26,7 +26,16 @@ state.ultrascriptsSdkTest = state.ultrascriptsSdkTest || {
 
 var FSDK_STEPS = [
   { label: 'version', module: 'sdk', op: 'version', args: function () { return {}; } },
-  { label: 'config', module: 'sdk', op: 'config', args: function () { return {}; } }
+  { label: 'config', module: 'sdk', op: 'config', args: function () { return {}; } },
+  {
+    label: 'negotiate',
+    module: 'sdk',
+    op: 'negotiate',
+    args: function () {
+      return { protocol: 1, modules: { sdk: { version: '1.2', ops: ['version', 'config', 'negotiate', 'schemas'] } } };
+    }
+  },
+  { label: 'schemas', module: 'sdk', op: 'schemas', args: function () { return { module: 'sdk' }; } }
 ];
 
 function fsdkNow() {
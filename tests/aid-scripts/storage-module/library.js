@@ -0,0 +1,521 @@
+// Ultrascripts Storage Module Test Suite — AI Dungeon Library
+//
+// Drives the BetterDungeon Ultrascripts Storage module through every public op,
+// optimistic version guards, and a representative set of error paths. Keys are
+// namespaced by run id so repeated runs in one adventure never collide.
+// Pair with output-modifier.js.
+//
+// Surfaces written:
+//   ultrascripts:out                  - request envelope queue (script -> BD)
+//   ultrascripts:in:storage             - response envelope (BD -> script)
+//   ultrascripts:test:storage           - human-readable trace card with results
+
+// ---------- state ----------
+
+state.ultrascriptsStorageTest = state.ultrascriptsStorageTest || {
+  runId: null,
+  turn: 0,
+  seq: 0,
+  outSeq: 0,
+  pending: {},
+  completed: {},
+  acked: {},
+  ackAttempts: {},
+  steps: {},
+  events: [],
+  consumedCommands: {},
+  phase: 'boot'
+};
+
+// ---------- test plan ----------
+
+function fstoKey(name) { return 'suite/' + fstoRunId() + '/' + name; }
+
+var FSTO_STEPS = [
+  {
+    label: 'set-create',
+    module: 'storage',
+    op: 'set',
+    args: function () { return { key: fstoKey('map'), value: { level: 1, seen: ['gate'] }, ifVersion: 0 }; },
+    expect: 'ok',
+    validate: function (r) {
+      return !!(r && r.key === fstoKey('map') && r.version === 1 && r.usage && r.usage.scope === 'adventure');
+    }
+  },
+  {
+    label: 'get-single',
+    module: 'storage',
+    op: 'get',
+    args: function () { return { key: fstoKey('map') }; },
+    expect: 'ok',
+    validate: function (r) {
+      return !!(r && r.found === true && r.version === 1 && r.value && r.value.level === 1 &&
+        Array.isArray(r.value.seen) && r.value.seen[0] === 'gate');
+    }
+  },
+  {
+    label: 'set-if-version',
+    module: 'storage',
+    op: 'set',
+    args: function () { return { key: fstoKey('map'), value: { level: 2, seen: ['gate', 'hall'] }, ifVersion: 1 }; },
+    expect: 'ok',
+    validate: function (r) { return !!(r && r.version === 2); }
+  },
+  {
+    label: 'err-version-conflict',
+    module: 'storage',
+    op: 'set',
+    args: function () { return { key: fstoKey('map'), value: { level: 99 }, ifVersion: 1 }; },
+    expect: 'err',
+    errorCode: 'version_conflict'
+  },
+  {
+    label: 'transaction',
+    module: 'storage',
+    op: 'transaction',
+    args: function () {
+      return {
+        ops: [
+          { op: 'set', key: fstoKey('gold'), value: 25, ifVersion: 0 },
+          { op: 'set', key: fstoKey('flags'), value: { door: true } },
+          { op: 'delete', key: fstoKey('map'), ifVersion: 2 }
+        ]
+      };
+    },
+    expect: 'ok',
+    validate: function (r) {
+      return !!(r && r.committed === true && Array.isArray(r.results) && r.results.length === 3 &&
+        r.results[2].deleted === true);
+    }
+  },
+  {
+    label: 'err-transaction-rollback',
+    module: 'storage',
+    op: 'transaction',
+    args: function () {
+      return {
+        ops: [
+          { op: 'set', key: fstoKey('gold'), value: 9999 },
+          { op: 'set', key: fstoKey('flags'), value: {}, ifVersion: 7 }
+        ]
+      };
+    },
+    expect: 'err',
+    errorCode: 'version_conflict'
+  },
+  {
+    label: 'get-many',
+    module: 'storage',
+    op: 'get',
+    args: function () { return { keys: [fstoKey('gold'), fstoKey('flags'), fstoKey('map')] }; },
+    expect: 'ok',
+    validate: function (r) {
+      // gold stays at 25: the rejected transaction above must not have applied.
+      return !!(r && r.values && r.values[fstoKey('gold')] === 25 &&
+        r.values[fstoKey('flags')] && r.values[fstoKey('flags')].door === true &&
+        Array.isArray(r.missing) && r.missing.indexOf(fstoKey('map')) !== -1);
+    }
+  },
+  {
+    label: 'list-prefix',
+    module: 'storage',
+    op: 'list',
+    args: function () { return { prefix: 'suite/' + fstoRunId() + '/', limit: 1 }; },
+    expect: 'ok',
+    validate: function (r) {
+      return !!(r && Array.isArray(r.keys) && r.keys.length === 1 &&
+        r.keys[0].key === fstoKey('flags') && r.nextAfter === fstoKey('flags'));
+    }
+  },
+  {
+    label: 'delete-many',
+    module: 'storage',
+    op: 'delete',
+    args: function () { return { keys: [fstoKey('gold'), fstoKey('flags')] }; },
+    expect: 'ok',
+    validate: function (r) { return !!(r && Array.isArray(r.deleted) && r.deleted.length === 2); }
+  },
+  {
+    label: 'err-bad-key',
+    module: 'storage',
+    op: 'set',
+    args: function () { return { key: 'not a valid key!', value: 1 }; },
+    expect: 'err',
+    errorCode: 'invalid_args'
+  },
+  {
+    label: 'err-bad-scope',
+    module: 'storage',
+    op: 'get',
+    args: function () { return { key: fstoKey('map'), scope: 'global' }; },
+    expect: 'err',
+    errorCode: 'invalid_args'
+  },
+  {
+    label: 'err-value-too-large',
+    module: 'storage',
+    op: 'set',
+    args: function () { return { key: fstoKey('big'), value: new Array(40001).join('x') }; },
+    expect: 'err',
+    errorCode: 'quota_exceeded'
+  },
+  {
+    label: 'err-unknown-op',
+    module: 'storage',
+    op: 'thisOpDoesNotExist',
+    args: function () { return {}; },
+    expect: 'err',
+    errorCode: 'unknown_op'
+  }
+];
+
+// ---------- helpers ----------
+
+function fstoNow() { return Date.now ? Date.now() : new Date().getTime(); }
+
+function fstoState() { return state.ultrascriptsStorageTest; }
+
+function fstoRunId() {
+  var s = fstoState();
+  if (!s.runId) s.runId = 'ultrascripts-storage-' + fstoNow().toString(36);
+  return s.runId;
+}
+
+function fstoCards() { return Array.isArray(storyCards) ? storyCards : []; }
+
+function fstoFindCard(title) {
+  var cards = fstoCards();
+  for (var i = 0; i < cards.length; i++) {
+    var c = cards[i];
+    if (!c) continue;
+    if (c.title === title || c.keys === title || c.key === title) {
+      return { card: c, index: i };
+    }
+  }
+  return { card: null, index: -1 };
+}
+
+function fstoCardText(card) {
+  if (!card) return '';
+  return card.value || card.entry || card.description || '';
+}
+
+function fstoReadJson(title) {
+  var f = fstoFindCard(title);
+  if (!f.card) return null;
+  try { return JSON.parse(fstoCardText(f.card) || '{}'); } catch (e) { return null; }
+}
+
+function fstoWriteCard(title, value, type) {
+  var f = fstoFindCard(title);
+  var cardType = type || 'Ultrascripts';
+  if (f.card && f.index >= 0 && typeof updateStoryCard === 'function') {
+    updateStoryCard(f.index, f.card.keys || f.card.key || title, value, f.card.type || cardType);
+    return true;
+  }
+  if (typeof addStoryCard === 'function') {
+    addStoryCard(title, value, cardType);
+    return true;
+  }
+  return false;
+}
+
+function fstoLiveKey() {
+  return String((Array.isArray(history) ? history.length : 0) + 1);
+}
+
+function fstoLog(event, detail) {
+  var s = fstoState();
+  s.events.push({ at: fstoNow(), turn: s.turn, liveKey: fstoLiveKey(), event: event, detail: detail || '' });
+  while (s.events.length > 60) s.events.shift();
+}
+
+function fstoHeartbeat() { return fstoReadJson('ultrascripts:heartbeat'); }
+
+function fstoHasOp(moduleId, opName) {
+  var hb = fstoHeartbeat();
+  if (!hb || !hb.ultrascripts || hb.ultrascripts.protocol !== 1) return false;
+  var mods = Array.isArray(hb.modules) ? hb.modules : [];
+  for (var i = 0; i < mods.length; i++) {
+    var m = mods[i];
+    if (!m || m.id !== moduleId) continue;
+    var ops = Array.isArray(m.ops) ? m.ops : [];
+    return ops.indexOf(opName) !== -1;
+  }
+  return false;
+}
+
+function fstoStorageAdvertised() {
+  return fstoHasOp('storage', 'get') && fstoHasOp('storage', 'set') && fstoHasOp('storage', 'delete') &&
+    fstoHasOp('storage', 'list') && fstoHasOp('storage', 'transaction');
+}
+
+function fstoPendingArray() {
+  var s = fstoState(), out = [];
+  for (var id in s.pending) {
+    if (Object.prototype.hasOwnProperty.call(s.pending, id)) out.push(s.pending[id]);
+  }
+  return out;
+}
+
+function fstoWriteOut() {
+  var s = fstoState();
+  var payload = {
+    v: 1,
+    requests: fstoPendingArray(),
+    acks: s._acks || [],
+    debugSeq: ++s.outSeq,
+    debugWrittenAt: fstoNow()
+  };
+  s._acks = [];
+  fstoWriteCard('ultrascripts:out', JSON.stringify(payload), 'Ultrascripts');
+}
+
+function fstoQueueAck(requestId, reason) {
+  var s = fstoState();
+  s._acks = s._acks || [];
+  var attempts = Number(s.ackAttempts[requestId] || 0);
+  if (attempts >= 6) return false;
+  s.acked[requestId] = true;
+  s.ackAttempts[requestId] = attempts + 1;
+  s._acks.push(requestId);
+  fstoLog(attempts === 0 ? 'ack' : 'ack-retry', requestId + (reason ? ' - ' + reason : ''));
+  return true;
+}
+
+function fstoQueueRequest(label, moduleId, opName, args) {
+  var s = fstoState();
+  var id = fstoLiveKey() + '-' + label + '-' + (++s.seq);
+  if (s.pending[id] || s.completed[id]) return id;
+  s.pending[id] = {
+    id: id, module: moduleId, op: opName,
+    args: args === undefined ? {} : args,
+    ts: fstoNow()
+  };
+  s.steps[label] = id;
+  fstoLog('queued', id + ' -> ' + moduleId + '.' + opName);
+  fstoWriteOut();
+  return id;
+}
+
+function fstoIsTerminal(r) {
+  return r && (r.status === 'ok' || r.status === 'err' || r.status === 'timeout');
+}
+
+function fstoPollResponses() {
+  var s = fstoState();
+  var seen = {};
+  var modules = [];
+  for (var i = 0; i < FSTO_STEPS.length; i++) {
+    var name = FSTO_STEPS[i].module;
+    if (name && !seen[name]) { seen[name] = true; modules.push(name); }
+  }
+  var found = false;
+  for (var m = 0; m < modules.length; m++) {
+    var card = fstoReadJson('ultrascripts:in:' + modules[m]);
+    if (!card || !card.responses) continue;
+    for (var rid in card.responses) {
+      if (!Object.prototype.hasOwnProperty.call(card.responses, rid)) continue;
+      var r = card.responses[rid];
+      if (!fstoIsTerminal(r)) continue;
+      if (!s.completed[rid]) {
+        s.completed[rid] = {
+          status: r.status, data: r.data || null, error: r.error || null,
+          module: modules[m], seenAt: fstoNow()
+        };
+        fstoLog('completed', rid + ' -> ' + r.status);
+      }
+      delete s.pending[rid];
+      if (!s.acked[rid] || Number(s.ackAttempts[rid] || 0) < 6) {
+        found = fstoQueueAck(rid, 'terminal') || found;
+      }
+    }
+  }
+  if (found) fstoWriteOut();
+}
+
+// ---------- driver ----------
+
+function fstoCurrentStepIndex() {
+  var s = fstoState();
+  for (var i = 0; i < FSTO_STEPS.length; i++) {
+    var step = FSTO_STEPS[i];
+    var rid = s.steps[step.label];
+    if (!rid) return i;
+    if (!s.completed[rid]) return i;
+  }
+  return FSTO_STEPS.length;
+}
+
+function fstoAdvance() {
+  var s = fstoState();
+
+  if (!fstoStorageAdvertised()) {
+    s.phase = 'waiting for storage heartbeat';
+    return;
+  }
+
+  var idx = fstoCurrentStepIndex();
+  if (idx >= FSTO_STEPS.length) {
+    s.phase = fstoAllChecksPass() ? 'complete' : 'complete-with-failures';
+    return;
+  }
+
+  var step = FSTO_STEPS[idx];
+  if (!s.steps[step.label]) {
+    s.phase = 'queueing ' + step.label;
+    var args;
+    try { args = step.args(); } catch (e) { args = {}; }
+    fstoQueueRequest(step.label, step.module, step.op, args);
+  } else {
+    s.phase = 'awaiting ' + step.label;
+  }
+}
+
+function fstoStepResult(step) {
+  var s = fstoState();
+  var rid = s.steps[step.label];
+  if (!rid) return { state: 'pending' };
+  var done = s.completed[rid];
+  if (!done) return { state: 'inflight', requestId: rid };
+
+  var pass = false, reason = '';
+  if (step.expect === 'ok') {
+    pass = done.status === 'ok' && (typeof step.validate !== 'function' || !!step.validate(done.data));
+    if (!pass) reason = done.status !== 'ok' ? ('status=' + done.status) : 'validate failed';
+  } else if (step.expect === 'err') {
+    pass = done.status === 'err' && done.error && done.error.code === step.errorCode;
+    if (!pass) {
+      reason = done.status !== 'err'
+        ? ('status=' + done.status)
+        : ('code=' + (done.error && done.error.code));
+    }
+  }
+
+  var out = {
+    state: 'done', requestId: rid, status: done.status,
+    error: done.error || null, pass: pass, reason: reason,
+    expect: step.expect, expectedCode: step.errorCode || null,
+    module: done.module
+  };
+
+  if (done.status === 'ok' && done.data) {
+    out.preview = {};
+    if (done.data.key) out.preview.key = done.data.key;
+    if (typeof done.data.version === 'number') out.preview.version = done.data.version;
+    if (Array.isArray(done.data.keys)) out.preview.listed = done.data.keys.length;
+    if (Array.isArray(done.data.deleted)) out.preview.deleted = done.data.deleted.length;
+    if (done.data.usage) out.preview.usage = done.data.usage;
+  }
+
+  return out;
+}
+
+function fstoAllChecksPass() {
+  for (var i = 0; i < FSTO_STEPS.length; i++) {
+    var r = fstoStepResult(FSTO_STEPS[i]);
+    if (r.state !== 'done' || !r.pass) return false;
+  }
+  return true;
+}
+
+function fstoWriteTrace() {
+  var s = fstoState();
+  var results = {};
+  var counts = { total: FSTO_STEPS.length, pass: 0, fail: 0, pending: 0 };
+  for (var i = 0; i < FSTO_STEPS.length; i++) {
+    var step = FSTO_STEPS[i];
+    var r = fstoStepResult(step);
+    results[step.label] = r;
+    if (r.state !== 'done') counts.pending++;
+    else if (r.pass) counts.pass++;
+    else counts.fail++;
+  }
+
+  var hb = fstoHeartbeat();
+  var trace = {
+    v: 1,
+    runId: fstoRunId(),
+    turn: s.turn,
+    liveKey: fstoLiveKey(),
+    phase: s.phase,
+    heartbeat: {
+      present: !!hb,
+      protocol: hb && hb.ultrascripts && hb.ultrascripts.protocol,
+      storageAdvertised: fstoStorageAdvertised()
+    },
+    counts: counts,
+    checksPass: counts.pending === 0 && counts.fail === 0,
+    results: results,
+    pendingIds: Object.keys(s.pending),
+    ackAttempts: s.ackAttempts,
+    events: s.events
+  };
+  fstoWriteCard('ultrascripts:test:storage', JSON.stringify(trace, null, 2), 'Ultrascripts Test');
+}
+
+// ---------- reset / commands ----------
+
+function fstoTextIncludes(text, needles) {
+  var hay = String(text || '').toLowerCase();
+  for (var i = 0; i < needles.length; i++) {
+    if (hay.indexOf(needles[i]) !== -1) return true;
+  }
+  return false;
+}
+
+function fstoRecentSources(outputText) {
+  var src = [{ id: 'output:' + fstoState().turn, text: String(outputText || '') }];
+  var entries = Array.isArray(history) ? history : [];
+  var start = Math.max(0, entries.length - 6);
+  for (var i = start; i < entries.length; i++) {
+    var e = entries[i];
+    if (!e) continue;
+    src.push({ id: 'history:' + i, text: String(e.text || '') + '\n' + String(e.rawText || '') });
+  }
+  return src;
+}
+
+function fstoConsumeCommand(kind, outputText, needles) {
+  var s = fstoState();
+  var sources = fstoRecentSources(outputText);
+  for (var i = 0; i < sources.length; i++) {
+    var src = sources[i];
+    if (!fstoTextIncludes(src.text, needles)) continue;
+    var sig = kind + ':' + src.id + ':' + src.text.slice(0, 120);
+    if (s.consumedCommands[sig]) return false;
+    s.consumedCommands[sig] = fstoNow();
+    return true;
+  }
+  return false;
+}
+
+function fstoResetSuite() {
+  state.ultrascriptsStorageTest = {
+    runId: 'ultrascripts-storage-' + fstoNow().toString(36),
+    turn: 0, seq: 0, outSeq: 0,
+    pending: {}, completed: {}, acked: {}, ackAttempts: {},
+    steps: {}, events: [], consumedCommands: {},
+    phase: 'reset'
+  };
+  fstoWriteCard('ultrascripts:out', JSON.stringify({ v: 1, requests: [], acks: [] }), 'Ultrascripts');
+  fstoWriteTrace();
+}
+
+// ---------- public entry point ----------
+
+function ultrascriptsStorageTestStep(outputText) {
+  var s = fstoState();
+  fstoRunId();
+  s.turn += 1;
+
+  if (fstoConsumeCommand('reset', outputText, ['storage test reset', 'ultrascripts storage reset', '[[storage-test:reset]]'])) {
+    fstoResetSuite();
+    return true;
+  }
+
+  fstoPollResponses();
+  fstoAdvance();
+  fstoWriteTrace();
+  return true;
+}
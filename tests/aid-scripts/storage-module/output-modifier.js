@@ -0,0 +1,13 @@
+// Ultrascripts Storage Module Test Suite — AI Dungeon Output Modifier
+//
+// Pair with library.js. Drives one suite step per generation so the test runs
+// turn-by-turn alongside normal play. The text is returned untouched.
+
+var modifier = function (text) {
+  if (typeof ultrascriptsStorageTestStep === 'function') {
+    try { ultrascriptsStorageTestStep(text); } catch (e) { /* never break gameplay */ }
+  }
+  return { text: text };
+};
+
+modifier(text);
@@ -18,6 +18,13 @@
 //   /widget edge         - empty lists, long labels, missing values, 0-width bars
 //   /widget custom       - raw HTML widgets (tables, lists, code, formatted text, images, grids)
 //   /widget panels       - panel widgets with title/items/content layouts
+//   /widget map          - tile map with fog of war; click a cell to walk there
+//   /widget charts       - sparkline/linechart/barchart/radar; one point appended per turn
+//   /widget regions      - widgets docked in the left/right rails and a floating panel
+//   /widget dialog       - two-step "choose your class" modal; the script rejects taken names
+//   /widget images       - remote and inline images; a sprite walks one frame per turn
+//   /widget themes       - the same widgets under each built-in theme, one per turn
+//   /widget timers       - countdowns, a refilling bar and "x turns ago" computed between turns
 //   /widget value <id> <val>  - manually set a widget's value
 //   /widget ack          - force-ack all pending widget events
 //   /widget clear        - unmount all widgets
@@ -28,7 +35,7 @@
 state.widgetTest = state.widgetTest || {
   runId: null,
   turn: 0,
-  scenario: null,           // 'display' | 'interactive' | 'containers' | 'invalid' | 'transitions' | 'edge' | 'custom' | 'panels'
+  scenario: null,           // 'display' | 'interactive' | 'containers' | 'invalid' | 'transitions' | 'edge' | 'custom' | 'panels' | 'map' | 'charts' | 'regions' | 'dialog' | 'images' | 'themes' | 'timers'
   ackSeq: 0,
   lastSeqSeen: 0,
   observedEvents: [],
@@ -38,6 +45,12 @@ state.widgetTest = state.widgetTest || {
   overrides: {},
   // transition scenario phase
   transitionIdx: 0,
+  // map scenario: player position and explored cells
+  map: null,
+  // charts scenario: per-live-count history entries carrying `append`
+  chartHistory: {},
+  // dialog scenario: last submitted answers and the script's verdict
+  dialog: null,
 };
 
 // ---------- scenario manifests ----------
@@ -259,6 +272,314 @@ var WID_PANELS_MANIFEST = {
   ],
 };
 
+// The dungeon is sent once in the manifest; each turn's history value only
+// carries the marker position, the explored cells and any opened doors.
+var WID_MAP_TILES = [
+  '############',
+  '#....#.....#',
+  '#....+.....#',
+  '#....#.....#',
+  '###+####+###',
+  '#......#...#',
+  '#..>...#...#',
+  '############',
+];
+
+var WID_MAP_MANIFEST = {
+  widgets: [
+    { id: 'crypt', type: 'map', align: 'center', label: 'Crypt', width: 12, height: 8,
+      tiles: WID_MAP_TILES,
+      legend: {
+        '#': { color: '#6b7280', tooltip: 'Wall' },
+        '.': { color: '#4b5563', tooltip: 'Floor' },
+        '+': { color: 'orange', tooltip: 'Closed door' },
+        '>': { color: 'cyan', tooltip: 'Stairs down' },
+      },
+      fog: true,
+      marker: { x: 1, y: 1, glyph: '@', color: 'yellow', tooltip: 'You' } },
+    { id: 'overworld', type: 'grid', align: 'right', label: 'Overworld', width: 8, height: 4, cellSize: 14,
+      tiles: ['^^~~....', '^..~~.T.', '..T..~~.', '....T..~'],
+      legend: {
+        '^': { color: 'purple', tooltip: 'Mountains' },
+        '~': { color: 'blue', tooltip: 'River' },
+        'T': { color: 'green', tooltip: 'Forest' },
+      },
+      cells: { '5,1': { glyph: '⌂', color: 'yellow', tooltip: 'Village' } } },
+  ],
+};
+
+function widMapState() {
+  var s = state.widgetTest;
+  if (!s.map) s.map = { x: 1, y: 1, explored: [], opened: [] };
+  return s.map;
+}
+
+function widMapTile(x, y) {
+  var row = WID_MAP_TILES[y] || '';
+  return row.charAt(x);
+}
+
+function widMapExplore(map) {
+  for (var dy = -1; dy <= 1; dy++) {
+    for (var dx = -1; dx <= 1; dx++) {
+      var x = map.x + dx;
+      var y = map.y + dy;
+      if (x < 0 || y < 0 || x >= 12 || y >= 8) continue;
+      var key = x + ',' + y;
+      if (map.explored.indexOf(key) === -1) map.explored.push(key);
+    }
+  }
+}
+
+// Walk to a clicked cell: walls block, doors open when stepped on.
+function widMapMove(x, y) {
+  var map = widMapState();
+  var tile = widMapTile(x, y);
+  if (!tile || tile === '#') {
+    widLog('map', 'blocked at ' + x + ',' + y);
+    return;
+  }
+  map.x = x;
+  map.y = y;
+  var key = x + ',' + y;
+  if (tile === '+' && map.opened.indexOf(key) === -1) map.opened.push(key);
+  widLog('map', 'moved to ' + key);
+}
+
+function widMapValue() {
+  var map = widMapState();
+  widMapExplore(map);
+  var cells = {};
+  for (var i = 0; i < map.opened.length; i++) {
+    cells[map.opened[i]] = { glyph: "'", tooltip: 'Open door' };
+  }
+  return { marker: { x: map.x, y: map.y }, revealed: map.explored.slice(), cells: cells };
+}
+
+// Charts start nearly empty; each turn appends one point through that turn's
+// history entry, and BD replays every append up to the live count.
+var WID_CHARTS_MANIFEST = {
+  widgets: [
+    { id: 'goldline', type: 'sparkline', align: 'left', label: 'Gold', values: [100], color: 'yellow', maxPoints: 20 },
+    { id: 'standing', type: 'linechart', align: 'center', label: 'Faction standing', min: -10, max: 10, maxPoints: 24,
+      series: [
+        { id: 'guild', label: 'Guild', values: [0], color: 'cyan' },
+        { id: 'crown', label: 'Crown', values: [0], color: 'red' },
+      ] },
+    { id: 'supplies', type: 'barchart', align: 'right', label: 'Supplies', labels: ['Food', 'Water', 'Arrows', 'Torches'],
+      series: [
+        { id: 'now', label: 'Now', values: [8, 6, 20, 4], color: 'green' },
+        { id: 'need', label: 'Needed', values: [10, 10, 15, 6], color: 'orange' },
+      ] },
+    { id: 'bonds', type: 'radar', align: 'center', label: 'Relationships', axes: ['Aria', 'Bram', 'Cole', 'Dara', 'Eve'], max: 10,
+      series: [{ id: 'trust', label: 'Trust', values: [6, 3, 8, 5, 2], color: 'purple' }] },
+  ],
+};
+
+function widChartAppendFor(turn) {
+  return {
+    goldline: { append: 100 + Math.round(Math.sin(turn / 2) * 40) + turn * 3 },
+    standing: { append: { guild: Math.round(Math.sin(turn / 3) * 8), crown: Math.round(Math.cos(turn / 4) * 6) } },
+  };
+}
+
+function widChartValues(liveCount) {
+  var s = state.widgetTest;
+  s.chartHistory = s.chartHistory || {};
+  s.chartHistory[String(liveCount)] = widChartAppendFor(s.turn);
+  var keys = Object.keys(s.chartHistory).sort(function (a, b) { return Number(a) - Number(b); });
+  while (keys.length > 30) delete s.chartHistory[keys.shift()];
+  return s.chartHistory[String(liveCount)];
+}
+
+// One widget group per region. The top bar keeps a single stat so the
+// rails and floating panel can be compared against it.
+var WID_REGIONS_MANIFEST = {
+  widgets: [
+    { id: 'turnstat', type: 'stat', align: 'center', label: 'Turn', value: 0 },
+    { id: 'hp', type: 'bar', region: 'left', label: 'HP', value: 42, max: 50, color: 'red' },
+    { id: 'mp', type: 'bar', region: 'left', label: 'MP', value: 18, max: 30, color: 'blue' },
+    { id: 'party', type: 'panel', region: 'left', title: 'Party',
+      items: [
+        { label: 'Aria', value: 'Ranger', color: 'green' },
+        { label: 'Bram', value: 'Cleric', color: 'yellow' },
+      ] },
+    { id: 'quests', type: 'panel', region: 'right', title: 'Quests',
+      items: [
+        { label: 'Find the lost crown', value: 'Active', color: 'cyan' },
+        { label: 'Clear the crypt', value: 'Done', color: 'gray' },
+      ] },
+    { id: 'gold', type: 'sparkline', region: 'right', label: 'Gold', values: [100, 120, 90, 140, 135], color: 'yellow' },
+    { id: 'stance', type: 'radio', region: 'floating', label: 'Stance',
+      options: [
+        { value: 'guard', label: 'Guard' },
+        { value: 'strike', label: 'Strike' },
+        { value: 'flee', label: 'Flee' },
+      ],
+      value: 'guard' },
+  ],
+};
+
+// A blocking two-step form. Each submit comes back as one `submit` event;
+// the script answers on the next turn by closing the dialog (`open: false`)
+// or by sending `errors` for the fields it rejects.
+var WID_TAKEN_NAMES = ['aldric', 'bram', 'cole'];
+
+var WID_DIALOG_MANIFEST = {
+  widgets: [
+    { id: 'hero', type: 'dialog', align: 'center', label: 'Your hero', title: 'Choose your class',
+      text: 'The guild clerk needs a few details before you set out.',
+      dismissible: true, submitText: 'Sign the ledger', cancelText: 'Decide later',
+      steps: [
+        { title: 'Who are you?', fields: [
+          { id: 'name', type: 'input', label: 'Name', placeholder: 'e.g. Aria', required: true,
+            minLength: 2, maxLength: 24, pattern: '^[A-Za-z][A-Za-z \'-]*$', message: 'Use 2-24 letters, spaces, hyphens or apostrophes' },
+          { id: 'class', type: 'radio', label: 'Class', required: true,
+            options: [
+              { value: 'warrior', label: 'Warrior' },
+              { value: 'mage', label: 'Mage' },
+              { value: 'rogue', label: 'Rogue' },
+            ] },
+        ] },
+        { title: 'Training', text: 'Spend your starting points.', fields: [
+          { id: 'strength', type: 'stepper', label: 'Strength', min: 1, max: 10, value: 5 },
+          { id: 'wits', type: 'slider', label: 'Wits', min: 1, max: 10, value: 5 },
+          { id: 'skills', type: 'chipselect', label: 'Skills', hint: 'Pick one or two.', minItems: 1, maxItems: 2,
+            options: ['Tracking', 'Lockpicking', 'Herbalism', 'Haggling'] },
+          { id: 'origin', type: 'select', label: 'Origin', options: ['City', 'Village', 'Wilds'] },
+          { id: 'hardcore', type: 'toggle', label: 'Permadeath' },
+          { id: 'oath', type: 'textarea', label: 'Oath', placeholder: 'Optional', maxLength: 200 },
+        ] },
+      ] },
+    { id: 'herosheet', type: 'panel', align: 'center', title: 'Hero', content: 'Waiting for the ledger…' },
+  ],
+};
+
+// Remote sources load through the background worker; the sprite sheet is an
+// inline 16x16 PNG holding four 8x8 frames in two columns. The missing file
+// should show its alt text and the http one is rejected by validation.
+var WID_SPRITE_SHEET = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAYAAAAf8/9hAAAAX0lEQVR42mNgoCZ46uH7H4RxyXvsrvgPwng14zIEphmrIeia0Q1B14xhCMUGUOwFqgTi4ABOMx/+B2Fc8m9Oev8HYbyacRkC04zVEHTN6Iaga8YwhGIDKPYCVQKRXAAAA9cASGBrZmkAAAAASUVORK5CYII=';
+
+var WID_IMAGES_MANIFEST = {
+  widgets: [
+    { id: 'portrait', type: 'image', align: 'left', label: 'Remote', width: 64, height: 48, fit: 'cover',
+      src: 'https://upload.wikimedia.org/wikipedia/commons/thumb/4/47/PNG_transparency_demonstration_1.png/120px-PNG_transparency_demonstration_1.png',
+      alt: 'Dice rendered with transparency' },
+    { id: 'walker', type: 'image', align: 'center', label: 'Sprite', width: 32, pixelated: true,
+      src: WID_SPRITE_SHEET, alt: 'Walking gem', sprite: { width: 8, height: 8, columns: 2, frame: 0 } },
+    { id: 'sheet', type: 'image', align: 'center', label: 'Whole sheet', width: 32, height: 32, pixelated: true,
+      src: WID_SPRITE_SHEET, alt: '' },
+    { id: 'missing', type: 'image', align: 'right', label: '404', width: 48,
+      src: 'https://upload.wikimedia.org/wikipedia/commons/0/00/BetterDungeon-missing-image.png', alt: 'Missing map' },
+    { id: 'insecure', type: 'image', align: 'right', label: 'http', src: 'http://example.com/a.png', alt: 'Never shown' },
+  ],
+};
+
+// The same widgets under a different scenario theme each turn: the three
+// built-ins, then a custom one layered on `terminal` with per-type defaults.
+var WID_THEME_CYCLE = [
+  { base: 'parchment' },
+  { base: 'terminal' },
+  { base: 'minimal' },
+  {
+    base: 'terminal',
+    palette: { text: '#ffcf7a', muted: '#b08a4a', accent: '#ffb000', border: '#7a5a1e' },
+    radius: 8,
+    density: 'spacious',
+    defaults: {
+      text: { style: { fontStyle: 'italic' } },
+      bar: { color: 'orange' },
+    },
+  },
+];
+
+var WID_THEME_WIDGETS = [
+  { id: 'themename', type: 'badge', align: 'left', text: 'parchment' },
+  { id: 'hp', type: 'stat', align: 'left', label: 'HP', value: 42 },
+  { id: 'stamina', type: 'bar', align: 'center', label: 'Stamina', value: 30, max: 50 },
+  { id: 'gold', type: 'counter', align: 'center', label: 'Gold', value: 120, color: 'yellow' },
+  { id: 'note', type: 'text', align: 'right', text: 'Rain drums on the tavern roof.' },
+  { id: 'sneak', type: 'toggle', align: 'right', label: 'Sneak' },
+  { id: 'log', type: 'panel', region: 'right', title: 'Journal',
+    items: [
+      { label: 'Day', value: 'Third', color: 'cyan' },
+      { label: 'Weather', value: 'Storm', color: 'red' },
+    ] },
+];
+
+function widThemesManifest() {
+  var theme = WID_THEME_CYCLE[state.widgetTest.turn % WID_THEME_CYCLE.length];
+  return { theme: theme, widgets: WID_THEME_WIDGETS };
+}
+
+// Computed bindings keep these moving between turns. The script only sends
+// timestamps and turn numbers; BetterDungeon does the counting.
+var WID_TIMERS_MANIFEST = {
+  widgets: [
+    { id: 'cooldown', type: 'stat', align: 'left', label: 'Spell ready', value: '—' },
+    { id: 'stamina', type: 'bar', align: 'center', label: 'Stamina', value: 20, max: 100, color: 'green' },
+    { id: 'since', type: 'text', align: 'right', text: 'Just arrived' },
+    { id: 'caravan', type: 'badge', align: 'right', text: 'Caravan', color: 'orange' },
+  ],
+};
+
+function widTimersState() {
+  var s = state.widgetTest;
+  if (!s.timers) s.timers = { startedAt: widNow(), arrivedAt: widLiveCount() };
+  return s.timers;
+}
+
+function widTimersValues() {
+  var t = widTimersState();
+  return {
+    cooldown: { bind: { expr: '(readyAt - now) / 1000', vars: { readyAt: t.startedAt + 45000 }, format: 'duration', done: 'Ready' } },
+    // Every turn drains stamina to 20; it refills to 100 over 30 seconds.
+    stamina: { value: 20, bind: { expr: 'lerp(20, 100, (now - rested) / 30000)', vars: { rested: widNow() } } },
+    since: { bind: { expr: 'liveCount - arrived', vars: { arrived: t.arrivedAt }, format: 'turns' } },
+    caravan: { bind: { expr: '(due - now) / 1000', vars: { due: t.startedAt + 120000 }, format: 'duration', done: 'Caravan is here' } },
+  };
+}
+
+function widDialogState() {
+  var s = state.widgetTest;
+  if (!s.dialog) s.dialog = { answers: null, errors: null, closed: false, skipped: false };
+  return s.dialog;
+}
+
+function widDialogSubmit(answers) {
+  var d = widDialogState();
+  var name = String(answers && answers.name || '').trim();
+  d.answers = answers;
+  if (WID_TAKEN_NAMES.indexOf(name.toLowerCase()) !== -1) {
+    d.errors = { name: name + ' is already in the guild ledger', form: 'The clerk frowns at your name.' };
+    d.closed = false;
+    return;
+  }
+  d.errors = null;
+  d.closed = true;
+}
+
+function widDialogValues() {
+  var d = widDialogState();
+  var sheet = { content: d.skipped ? 'You walked away from the clerk.' : 'Waiting for the ledger…' };
+  if (d.closed && d.answers) {
+    sheet = {
+      content: '',
+      items: [
+        { label: 'Name', value: d.answers.name },
+        { label: 'Class', value: d.answers['class'], color: 'cyan' },
+        { label: 'Strength', value: d.answers.strength },
+        { label: 'Wits', value: d.answers.wits },
+        { label: 'Skills', value: (d.answers.skills || []).join(', ') || '—' },
+      ],
+    };
+  }
+  var hero = { open: !d.closed && !d.skipped };
+  if (d.errors) hero.errors = d.errors;
+  if (d.answers) hero.value = d.answers;
+  return { hero: hero, herosheet: sheet };
+}
+
 function widManifestFor(scenario) {
   switch (scenario) {
     case 'display':      return WID_DISPLAY_MANIFEST;
@@ -269,6 +590,13 @@ function widManifestFor(scenario) {
     case 'edge':         return WID_EDGE_MANIFEST;
     case 'custom':       return WID_CUSTOM_MANIFEST;
     case 'panels':       return WID_PANELS_MANIFEST;
+    case 'map':          return WID_MAP_MANIFEST;
+    case 'charts':       return WID_CHARTS_MANIFEST;
+    case 'regions':      return WID_REGIONS_MANIFEST;
+    case 'dialog':       return WID_DIALOG_MANIFEST;
+    case 'images':       return WID_IMAGES_MANIFEST;
+    case 'themes':       return widThemesManifest();
+    case 'timers':       return WID_TIMERS_MANIFEST;
   }
   return null;
 }
@@ -315,6 +643,10 @@ function widDefaultValuesFor(manifest, scenario) {
       case 'tabs':     values[w.id] = (w.items && w.items[0] && w.items[0].id) || 0; break;
       case 'dropdown': values[w.id] = null; break;
       case 'sortable': values[w.id] = (w.items || []).map(function(it) { return String(it.id || it.value || it.label); }); break;
+      case 'grid':
+      case 'map':      values[w.id] = {}; break;
+      case 'dialog':   values[w.id] = {}; break;
+      case 'image':    values[w.id] = {}; break;
       default:         values[w.id] = null;
     }
   }
@@ -410,6 +742,23 @@ function widCurrentValues(manifest, scenario) {
       if (overrides[k] === undefined) values[k] = phase[k];
     }
   }
+  if (scenario === 'map') values.crypt = widMapValue();
+  if (scenario === 'regions' && overrides.turnstat === undefined) values.turnstat = s.turn;
+  if (scenario === 'images' && overrides.walker === undefined) values.walker = { sprite: { frame: s.turn % 4 } };
+  if (scenario === 'themes' && overrides.themename === undefined) {
+    var cycled = WID_THEME_CYCLE[s.turn % WID_THEME_CYCLE.length];
+    values.themename = cycled.palette ? 'custom on ' + cycled.base : cycled.base;
+  }
+  if (scenario === 'timers') {
+    var timerValues = widTimersValues();
+    for (var k in timerValues) {
+      if (overrides[k] === undefined) values[k] = timerValues[k];
+    }
+  }
+  if (scenario === 'dialog') {
+    var dialogValues = widDialogValues();
+    for (var k in dialogValues) values[k] = dialogValues[k];
+  }
   return values;
 }
 
@@ -423,7 +772,13 @@ function widBuildEnvelope() {
   }
 
   var history = {};
-  history[String(liveCount)] = widCurrentValues(manifest, s.scenario);
+  if (s.scenario === 'charts') {
+    // Earlier turns keep their entries so BD can replay their appends.
+    widChartValues(liveCount);
+    for (var key in s.chartHistory) history[key] = s.chartHistory[key];
+  } else {
+    history[String(liveCount)] = widCurrentValues(manifest, s.scenario);
+  }
 
   return {
     v: 1,
@@ -462,6 +817,18 @@ function widEventShouldUpdateValue(event) {
 }
 
 function widApplyInteractiveEventValue(event) {
+  if (event && event.widgetId === 'hero' && event.action === 'submit') {
+    widDialogSubmit(event.value);
+    return;
+  }
+  if (event && event.widgetId === 'hero' && event.action === 'cancel') {
+    widDialogState().skipped = true;
+    return;
+  }
+  if (event && event.widgetId === 'crypt' && event.action === 'cell' && event.value) {
+    widMapMove(Number(event.value.x), Number(event.value.y));
+    return;
+  }
   if (!widEventShouldUpdateValue(event)) return;
   var s = state.widgetTest;
   s.overrides = s.overrides || {};
@@ -529,7 +896,7 @@ function widApplyCommand(cmd) {
         turn: 0, scenario: null,
         ackSeq: 0, lastSeqSeen: 0,
         observedEvents: [], consumedCommands: {}, events: [],
-        overrides: {}, transitionIdx: 0,
+        overrides: {}, transitionIdx: 0, map: null, chartHistory: {}, dialog: null, timers: null,
       };
       widWriteCard(
         'ultrascripts:state:widget',
@@ -547,8 +914,19 @@ function widApplyCommand(cmd) {
     case 'edge':
     case 'custom':
     case 'panels':
+    case 'map':
+    case 'charts':
+    case 'regions':
+    case 'dialog':
+    case 'images':
+    case 'themes':
+    case 'timers':
       s.scenario = cmd.verb;
       s.overrides = {};
+      s.map = null;
+      s.chartHistory = {};
+      s.dialog = null;
+      s.timers = null;
       widLog('cmd', cmd.verb + ' scenario');
       return true;
 
@@ -645,6 +1023,7 @@ function widWriteTrace(envelope) {
     transitionPhase: s.scenario === 'transitions'
       ? { idx: s.transitionIdx, total: WID_TRANSITION_PHASES.length }
       : null,
+    map: s.scenario === 'map' ? s.map : null,
     heartbeat: {
       present: !!hb,
       widgetAdvertised: widWidgetAdvertised(),
@@ -668,6 +1047,11 @@ function widWriteTrace(envelope) {
       '/widget invalid      - broken configs (module should skip them)',
       '/widget transitions  - animated value changes across turns',
       '/widget edge         - empty lists, long labels, 0-width bars, etc.',
+      '/widget map          - tile map with fog of war; click a cell to walk there',
+      '/widget charts       - sparkline / linechart / barchart / radar, one point per turn',
+      '/widget regions      - widgets docked in rails and a floating panel',
+      '/widget dialog       - two-step class dialog; taken names come back as errors',
+      '/widget images       - remote + inline images, sprite frame per turn, broken source',
       '/widget value <id> <val>  - manually set a widget value',
       '/widget next         - advance transition to next phase',
       '/widget ack          - force-ack pending events',
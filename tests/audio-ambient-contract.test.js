@@ -0,0 +1,208 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+const { createWebAudio } = require('./harness/web-audio');
+
+const ROOT = path.resolve(__dirname, '..');
+const { window } = createDom();
+const webAudio = createWebAudio();
+
+// chrome.storage.sync as the popup writes it.
+const synced = {};
+const storageListeners = new Set();
+window.chrome = {
+  storage: {
+    sync: {
+      get: (key, done) => done({ [key]: synced[key] }),
+    },
+    onChanged: {
+      addListener: listener => storageListeners.add(listener),
+      removeListener: listener => storageListeners.delete(listener),
+    },
+  },
+};
+
+function popupWrites(key, value) {
+  const oldValue = synced[key];
+  synced[key] = value;
+  for (const listener of storageListeners) listener({ [key]: { oldValue, newValue: value } }, 'sync');
+}
+
+window.AudioContext = webAudio.AudioContext;
+window.Ultrascripts = { registry: { register: () => {} } };
+const filename = path.join(ROOT, 'modules/audio/module.js');
+vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+
+const audio = window.UltrascriptsAudioModule;
+const warnings = [];
+const ctx = {
+  log: (level, ...args) => { if (level === 'warn') warnings.push(args.join(' ')); },
+  getAdventureId: () => 'adv-1',
+};
+
+const RAIN = {
+  volume: 0.6,
+  fadeMs: 1000,
+  layers: [
+    { waveform: 'noise', volume: 0.7, filter: { type: 'lowpass', frequency: 1200, q: 0.7 } },
+    { waveform: 'noise', volume: 0.3, filter: { type: 'bandpass', frequency: 3000 }, pulse: { rateHz: 0.2, depth: 0.8 } },
+  ],
+};
+
+const TAVERN = {
+  volume: 0.5,
+  fadeMs: 2000,
+  layers: [
+    { waveform: 'noise', volume: 0.4, filter: { type: 'bandpass', frequency: 500, q: 2 }, pulse: { rateHz: 0.5 } },
+    { waveform: 'triangle', frequency: 110, volume: 0.1 },
+  ],
+};
+
+function publish(state) {
+  warnings.length = 0;
+  audio.onStateChange('audio', { v: 1, ...state }, ctx);
+}
+
+function context() {
+  return webAudio.contexts[webAudio.contexts.length - 1];
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1e6) / 1e6;
+}
+
+function events(param) {
+  return param.events.map(([type, value, time]) => [type, value, round(time)]);
+}
+
+function rejects(ambient, pattern) {
+  const before = context().nodes.length;
+  publish({ ambient });
+  assert.equal(warnings.length, 1, `expected a warning for ${JSON.stringify(ambient)}`);
+  assert.match(warnings[0], pattern);
+  assert.equal(context().nodes.length, before, 'an invalid ambient state must not build nodes');
+}
+
+function testAmbientLoopsLayersAndPersistsAcrossTurns() {
+  audio.mount(ctx);
+  publish({ ambient: RAIN });
+  assert.deepEqual(warnings, []);
+
+  const audioContext = context();
+  const noise = audioContext.nodesOf('buffer');
+  assert.equal(noise.length, 2);
+  assert.ok(noise.every(source => source.loop && source.startTime === 0 && source.stopTime === null));
+
+  const filters = audioContext.nodesOf('biquad');
+  assert.deepEqual(filters.map(filter => [filter.type, filter.frequency.events[0][1], filter.Q.events[0][1]]), [
+    ['lowpass', 1200, 0.7],
+    ['bandpass', 3000, 1],
+  ]);
+
+  // The ambient bus fades in; a pulse LFO swings the second layer's gain.
+  const bus = filters[0].outputs[0].outputs[0];
+  assert.equal(bus.outputs[0], audio._masterGain);
+  assert.deepEqual(events(bus.gain), [['set', 0, 0], ['linear', 0.6, 1]]);
+  const [lfo] = audioContext.nodesOf('oscillator');
+  assert.equal(lfo.frequency.events[0][1], 0.2);
+  const pulsed = filters[1].outputs[0];
+  assert.equal(round(pulsed.gain.events[0][1]), 0.18);
+  assert.equal(lfo.outputs[0].outputs[0], pulsed.gain);
+  assert.equal(audio.inspect().ambientLayers, 2);
+
+  // Republishing the same ambience on later turns changes nothing.
+  const nodeCount = audioContext.nodes.length;
+  publish({ ambient: RAIN });
+  publish({ effect: null, ambient: { ...RAIN } });
+  assert.equal(audioContext.nodes.length, nodeCount);
+
+  // A volume change alone ramps the bus instead of restarting the loops.
+  audioContext.currentTime = 5;
+  publish({ ambient: { ...RAIN, volume: 0.2 } });
+  assert.equal(audioContext.nodes.length, nodeCount);
+  assert.deepEqual(events(bus.gain).slice(-3), [['cancel', null, 5], ['set', 0.6, 5], ['linear', 0.2, 6]]);
+  return { bus, sources: [...noise, lfo] };
+}
+
+function testNewAmbienceCrossfades(rain) {
+  const audioContext = context();
+  audioContext.currentTime = 10;
+  publish({ ambient: TAVERN });
+
+  // The rain fades out over the tavern's fade while the tavern fades in.
+  assert.deepEqual(events(rain.bus.gain).slice(-2), [['set', 0.2, 10], ['linear', 0, 12]]);
+  assert.ok(rain.sources.every(source => round(source.stopTime) === 12.05));
+  assert.equal(audio.inspect().fadingAmbients, 1);
+
+  const [drone] = audioContext.nodesOf('oscillator').filter(node => node.type === 'triangle');
+  assert.equal(drone.frequency.events[0][1], 110);
+  assert.equal(drone.startTime, 10);
+  const tavernBus = drone.outputs[0].outputs[0];
+  assert.deepEqual(events(tavernBus.gain), [['set', 0, 10], ['linear', 0.5, 12]]);
+
+  // The fading loop is released once its sources end.
+  rain.sources[0].onended();
+  assert.equal(audio.inspect().fadingAmbients, 0);
+  assert.deepEqual(rain.bus.outputs, []);
+  return { bus: tavernBus, drone };
+}
+
+function testNullAmbientFadesOutAndAdventureChangeStops(tavern) {
+  const audioContext = context();
+  audioContext.currentTime = 20;
+  publish({ ambient: null });
+  assert.deepEqual(events(tavern.bus.gain).slice(-1), [['linear', 0, 22]]);
+  assert.equal(audio.inspect().ambientLayers, 0);
+
+  publish({ ambient: TAVERN });
+  const [drone] = audioContext.nodesOf('oscillator').filter(node => node.type === 'triangle').slice(-1);
+  audio.onAdventureChange('adv-2', ctx);
+  assert.equal(drone.stopped, true);
+  assert.equal(audio.inspect().ambientLayers, 0);
+  assert.equal(audio.inspect().fadingAmbients, 0);
+}
+
+function testPopupVolumeAndMute() {
+  const master = audio._masterGain;
+  const audioContext = context();
+  audioContext.currentTime = 30;
+  popupWrites('ultrascripts_audio_output', { volume: 50, muted: false });
+  assert.deepEqual(events(master.gain).slice(-1), [['linear', 0.4, 30.05]]);
+
+  popupWrites('ultrascripts_audio_output', { volume: 50, muted: true });
+  assert.deepEqual(events(master.gain).slice(-1), [['linear', 0, 30.05]]);
+  assert.deepEqual(JSON.parse(JSON.stringify(audio.inspect().output)), { volume: 50, muted: true });
+
+  // A fresh context starts at the saved level, and unmounting stops listening.
+  audio.unmount();
+  assert.equal(storageListeners.size, 0);
+  audio.mount(ctx);
+  publish({ ambient: RAIN });
+  assert.equal(audio._masterGain.gain.value, 0);
+  popupWrites('ultrascripts_audio_output', { volume: 250 });
+  assert.equal(audio._masterGain.gain.events.slice(-1)[0][1], 0.8);
+}
+
+function testValidation() {
+  rejects({ layers: [] }, /ambient\.layers must be a non-empty array/);
+  rejects({ layers: Array.from({ length: 7 }, () => ({ waveform: 'noise' })) }, /cannot exceed 6 entries/);
+  rejects({ layers: [{ waveform: 'organ', frequency: 220 }] }, /layers\[0\]: unsupported waveform 'organ'/);
+  rejects({ layers: [{ waveform: 'sine' }] }, /layers\[0\]\.frequency must be between 20 and 20000/);
+  rejects({ layers: [{ waveform: 'noise', filter: { type: 'notch', frequency: 500 } }] }, /filter\.type must be one of: lowpass, highpass, bandpass/);
+  rejects({ layers: [{ waveform: 'noise', filter: { frequency: 50000 } }] }, /filter\.frequency must be between/);
+  rejects({ layers: [{ waveform: 'noise', filter: { frequency: 500, q: 99 } }] }, /filter\.q must be between 0\.1 and 30/);
+  rejects({ layers: [{ waveform: 'noise', pulse: { rateHz: 100 } }] }, /pulse\.rateHz must be between 0\.05 and 20/);
+  rejects({ fadeMs: 60000, layers: [{ waveform: 'noise' }] }, /fadeMs must be between 0 and 10000/);
+  assert.ok(audio.capabilities.features.includes('ambient'));
+}
+
+const rain = testAmbientLoopsLayersAndPersistsAcrossTurns();
+const tavern = testNewAmbienceCrossfades(rain);
+testNullAmbientFadesOutAndAdventureChangeStops(tavern);
+testPopupVolumeAndMute();
+testValidation();
+console.log('Audio ambient contract tests passed');
@@ -0,0 +1,202 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+const { createWebAudio } = require('./harness/web-audio');
+
+const ROOT = path.resolve(__dirname, '..');
+const { window } = createDom();
+const webAudio = createWebAudio();
+
+window.AudioContext = webAudio.AudioContext;
+window.Ultrascripts = { registry: { register: () => {} } };
+const filename = path.join(ROOT, 'modules/audio/module.js');
+vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+
+const audio = window.UltrascriptsAudioModule;
+const warnings = [];
+const ctx = {
+  log: (level, ...args) => { if (level === 'warn') warnings.push(args.join(' ')); },
+  getAdventureId: () => 'adv-1',
+};
+
+let nextId = 0;
+
+function play(tone) {
+  warnings.length = 0;
+  audio.onStateChange('audio', { v: 1, effect: { id: `fx-${++nextId}`, ...tone } }, ctx);
+}
+
+function context() {
+  return webAudio.contexts[webAudio.contexts.length - 1];
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1e6) / 1e6;
+}
+
+function events(param) {
+  return param.events.map(([type, value, time]) => [type, value, round(time)]);
+}
+
+function newNodes(before) {
+  return context().nodes.slice(before);
+}
+
+function only(nodes, kind) {
+  const matches = nodes.filter(node => node.kind === kind);
+  assert.equal(matches.length, 1, `expected one ${kind}`);
+  return matches[0];
+}
+
+function rejects(chain, pattern) {
+  const before = context().nodes.length;
+  play({ frequency: 440, durationMs: 200, chain });
+  assert.equal(warnings.length, 1, `expected a warning for ${JSON.stringify(chain)}`);
+  assert.match(warnings[0], pattern);
+  assert.equal(context().nodes.length, before, 'an invalid chain must not build nodes');
+}
+
+function testFullChainIsWiredInOrder() {
+  audio.mount(ctx);
+  play({ frequency: 220, durationMs: 400 });
+  const before = context().nodes.length;
+
+  play({
+    waveform: 'sawtooth',
+    frequency: 110,
+    durationMs: 500,
+    chain: {
+      filter: { type: 'lowpass', frequency: 4000, endFrequency: 200, q: 4 },
+      distortion: { amount: 0.6 },
+      pan: -0.5,
+      delay: { timeMs: 250, feedback: 0.5, mix: 0.4 },
+      reverb: { decayMs: 1200, mix: 0.25 },
+    },
+  });
+  assert.deepEqual(warnings, []);
+  const nodes = newNodes(before);
+  const source = only(nodes, 'oscillator');
+  const filter = only(nodes, 'biquad');
+  const shaper = only(nodes, 'shaper');
+  const panner = only(nodes, 'panner');
+  const delay = only(nodes, 'delay');
+  const convolver = only(nodes, 'convolver');
+  const master = audio._masterGain;
+
+  // source -> filter -> distortion -> envelope -> pan -> dry, delay and reverb
+  assert.deepEqual(source.outputs, [filter]);
+  assert.deepEqual(filter.outputs, [shaper]);
+  const envelope = shaper.outputs[0];
+  assert.equal(envelope.kind, 'gain');
+  assert.deepEqual(envelope.outputs, [panner]);
+  assert.equal(panner.outputs[0], master);
+  const [delaySend, reverbSend] = panner.outputs.slice(1);
+  assert.equal(panner.outputs.length, 3);
+
+  assert.deepEqual(events(filter.frequency), [['set', 4000, 0.01], ['exponential', 200, 0.51]]);
+  assert.equal(filter.type, 'lowpass');
+  assert.equal(filter.Q.events[0][1], 4);
+  assert.equal(shaper.oversample, '4x');
+  assert.equal(shaper.curve.length, 1024);
+  assert.ok(shaper.curve[700] > (700 * 2) / 1023 - 1, 'the curve boosts quiet input');
+  assert.equal(panner.pan.events[0][1], -0.5);
+
+  // Delay: a send at the mix level into a delay line that feeds itself.
+  assert.equal(delaySend.gain.events[0][1], 0.4);
+  assert.deepEqual(delaySend.outputs, [delay]);
+  assert.equal(delay.delayTime.events[0][1], 0.25);
+  const feedback = delay.outputs.find(node => node.kind === 'gain');
+  assert.equal(feedback.gain.events[0][1], 0.5);
+  assert.deepEqual(feedback.outputs, [delay]);
+  assert.ok(delay.outputs.includes(master));
+
+  // Reverb: a convolver with a decaying stereo impulse of the requested length.
+  assert.equal(reverbSend.gain.events[0][1], 0.25);
+  assert.deepEqual(reverbSend.outputs, [convolver]);
+  assert.deepEqual(convolver.outputs, [master]);
+  assert.equal(convolver.buffer.length, Math.ceil(context().sampleRate * 1.2));
+  const impulse = convolver.buffer.getChannelData(1);
+  assert.ok(Math.abs(impulse[impulse.length - 1]) < 1e-6);
+
+  // Stopping tears down the sends and the feedback loop with the source.
+  audio.stopAll();
+  assert.equal(source.stopped, true);
+  for (const node of [filter, shaper, panner, delay, feedback, convolver, delaySend, reverbSend]) {
+    assert.deepEqual(node.outputs, [], `${node.kind} disconnected`);
+  }
+}
+
+function testPlainToneAndImpulseCache() {
+  const before = context().nodes.length;
+  play({ waveform: 'noise', durationMs: 200, chain: { reverb: { decayMs: 800 } } });
+  play({ waveform: 'noise', durationMs: 200, chain: { reverb: { decayMs: 800, mix: 0.6 }, pan: 1 } });
+  const convolvers = newNodes(before).filter(node => node.kind === 'convolver');
+  assert.equal(convolvers.length, 2);
+  assert.equal(convolvers[0].buffer, convolvers[1].buffer, 'impulses are cached per length');
+
+  // Lengths round to 100 ms steps and only the four most recent stay cached.
+  play({ waveform: 'noise', durationMs: 200, chain: { reverb: { decayMs: 830 } } });
+  assert.equal(newNodes(before).filter(node => node.kind === 'convolver')[2].buffer, convolvers[0].buffer);
+  for (const decayMs of [1000, 2000, 3000, 4000]) {
+    play({ waveform: 'noise', durationMs: 200, chain: { reverb: { decayMs } } });
+  }
+  assert.deepEqual([...audio._impulses.buffers.keys()], [1000, 2000, 3000, 4000]);
+  play({ waveform: 'noise', durationMs: 200, chain: { reverb: { decayMs: 1000 } } });
+  play({ waveform: 'noise', durationMs: 200, chain: { reverb: { decayMs: 5000 } } });
+  assert.deepEqual([...audio._impulses.buffers.keys()], [3000, 4000, 1000, 5000]);
+  audio.onAdventureChange('other', ctx);
+  assert.equal(audio._impulses.buffers.size, 0);
+
+  // Without a chain a tone goes straight to the master gain, as before.
+  const plainBefore = context().nodes.length;
+  play({ frequency: 880, durationMs: 100 });
+  const source = only(newNodes(plainBefore), 'oscillator');
+  const envelope = only(newNodes(plainBefore), 'gain');
+  assert.deepEqual(source.outputs, [envelope]);
+  assert.deepEqual(envelope.outputs, [audio._masterGain]);
+}
+
+function testSequenceNotesCarryChains() {
+  const before = context().nodes.length;
+  audio.onStateChange('audio', {
+    v: 1,
+    sequence: {
+      id: 'zap-1',
+      notes: [
+        { frequency: 660, durationMs: 120, chain: { pan: -1 } },
+        { frequency: 990, durationMs: 120, chain: { pan: 1, filter: { type: 'highpass', frequency: 500 } } },
+      ],
+    },
+  }, ctx);
+  const pans = newNodes(before).filter(node => node.kind === 'panner').map(node => node.pan.events[0][1]);
+  assert.deepEqual(pans, [-1, 1]);
+  assert.equal(only(newNodes(before), 'biquad').type, 'highpass');
+}
+
+function testValidationRanges() {
+  rejects('wet', /chain must be an object/);
+  rejects({ filter: { type: 'comb', frequency: 500 } }, /chain\.filter\.type must be one of/);
+  rejects({ filter: { frequency: 10 } }, /chain\.filter\.frequency must be between 20 and 20000/);
+  rejects({ filter: { frequency: 500, endFrequency: 30000 } }, /chain\.filter\.endFrequency must be between/);
+  rejects({ filter: { frequency: 500, q: 0 } }, /chain\.filter\.q must be between 0\.1 and 30/);
+  rejects({ distortion: { amount: 2 } }, /chain\.distortion\.amount must be between 0 and 1/);
+  rejects({ distortion: {} }, /chain\.distortion\.amount/);
+  rejects({ pan: -3 }, /chain\.pan must be between -1 and 1/);
+  rejects({ delay: { timeMs: 5000 } }, /chain\.delay\.timeMs must be between 1 and 1000/);
+  rejects({ delay: { timeMs: 200, feedback: 1 } }, /chain\.delay\.feedback must be between 0 and 0\.9/);
+  rejects({ delay: { timeMs: 200, mix: -0.1 } }, /chain\.delay\.mix must be between 0 and 1/);
+  rejects({ reverb: { decayMs: 20000 } }, /chain\.reverb\.decayMs must be between 100 and 6000/);
+  rejects({ reverb: { mix: 3 } }, /chain\.reverb\.mix must be between 0 and 1/);
+  assert.equal(audio.capabilities.limits.maxFeedback, 0.9);
+  assert.ok(['filter', 'distortion', 'pan', 'delay', 'reverb'].every(feature => audio.capabilities.features.includes(feature)));
+}
+
+testFullChainIsWiredInOrder();
+testPlainToneAndImpulseCache();
+testSequenceNotesCarryChains();
+testValidationRanges();
+console.log('Audio chain contract tests passed');
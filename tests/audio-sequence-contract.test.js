@@ -0,0 +1,159 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+const { createWebAudio } = require('./harness/web-audio');
+
+const ROOT = path.resolve(__dirname, '..');
+const { window } = createDom();
+const webAudio = createWebAudio();
+
+window.AudioContext = webAudio.AudioContext;
+window.Ultrascripts = { registry: { register: () => {} } };
+const filename = path.join(ROOT, 'modules/audio/module.js');
+vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+
+const audio = window.UltrascriptsAudioModule;
+const warnings = [];
+const ctx = {
+  log: (level, ...args) => { if (level === 'warn') warnings.push(args.join(' ')); },
+  getAdventureId: () => 'adv-1',
+};
+
+const JINGLE = {
+  id: 'level-up-1',
+  tempo: 120,
+  waveform: 'square',
+  volume: 0.5,
+  attackMs: 50,
+  releaseMs: 200,
+  notes: [
+    { beat: 0, beats: 0.5, frequency: 523.25 },
+    { beats: 0.5, frequency: 659.25 },
+    { rest: true, beats: 0.5 },
+    { beats: 1, frequencies: [523.25, 659.25, 783.99], waveform: 'triangle' },
+  ],
+};
+
+function publish(state) {
+  warnings.length = 0;
+  audio.onStateChange('audio', { v: 1, ...state }, ctx);
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1e6) / 1e6;
+}
+
+function context() {
+  return webAudio.contexts[webAudio.contexts.length - 1];
+}
+
+function oscillators() {
+  return context().nodesOf('oscillator');
+}
+
+function rejects(sequence, pattern) {
+  const before = oscillators().length;
+  publish({ sequence });
+  assert.equal(warnings.length, 1, `expected a warning for ${JSON.stringify(sequence)}`);
+  assert.match(warnings[0], pattern);
+  assert.equal(oscillators().length, before, 'an invalid sequence must not schedule voices');
+}
+
+function testSequenceSchedulesNotesRestsAndChords() {
+  audio.mount(ctx);
+  publish({ sequence: JINGLE });
+  assert.deepEqual(warnings, []);
+
+  // 120 bpm: a beat is 500 ms. The rest pushes the chord to 750 ms.
+  const voices = oscillators();
+  assert.equal(voices.length, 5);
+  assert.deepEqual(voices.map(voice => round(voice.startTime)), [0.01, 0.26, 0.76, 0.76, 0.76]);
+  assert.deepEqual(voices.map(voice => voice.type), ['square', 'square', 'triangle', 'triangle', 'triangle']);
+  assert.deepEqual(voices.map(voice => voice.frequency.events[0][1]), [523.25, 659.25, 523.25, 659.25, 783.99]);
+  assert.equal(round(voices[4].stopTime), 1.28);
+
+  // Every voice feeds one sequence gain carrying the sequence envelope.
+  const bus = voices[0].outputs[0].outputs[0];
+  for (const voice of voices) assert.equal(voice.outputs[0].outputs[0], bus);
+  assert.equal(bus.outputs[0], audio._masterGain);
+  assert.deepEqual(bus.gain.events.map(([type, value, time]) => [type, value, round(time)]), [
+    ['set', 0, 0.01],
+    ['linear', 0.5, 0.06],
+    ['set', 0.5, 1.06],
+    ['linear', 0, 1.26],
+  ]);
+  assert.equal(audio.inspect().activeSequenceId, 'level-up-1');
+}
+
+function testSameIdDoesNotReplay() {
+  publish({ sequence: JINGLE });
+  assert.equal(oscillators().length, 5);
+
+  // The id is remembered per adventure across a remount.
+  audio.unmount();
+  audio.mount(ctx);
+  publish({ sequence: JINGLE });
+  assert.equal(oscillators().length, 0);
+  assert.equal(audio.inspect().lastSequenceId, 'level-up-1');
+}
+
+function testNewSequenceCutsOffThePrevious() {
+  publish({ sequence: { id: 'alarm-1', notes: [{ at: 0, frequency: 880, durationMs: 200 }, { at: 400, frequency: 880, durationMs: 200 }] } });
+  const first = oscillators();
+  assert.equal(first.length, 2);
+  assert.deepEqual(first.map(voice => round(voice.startTime)), [0.01, 0.41]);
+
+  publish({ sequence: { id: 'alarm-2', notes: [{ frequency: 660, durationMs: 200 }] } });
+  assert.ok(first.every(voice => voice.stopped));
+  assert.equal(audio.inspect().activeSequenceId, 'alarm-2');
+
+  // Effects and sequences are independent; dropping the sequence stops it only.
+  publish({ effect: { id: 'click-1', frequency: 1200, durationMs: 40 }, sequence: { id: 'alarm-2', notes: [{ frequency: 660, durationMs: 200 }] } });
+  const click = oscillators()[3];
+  publish({ effect: { id: 'click-1', frequency: 1200, durationMs: 40 } });
+  assert.equal(audio.inspect().activeSequenceId, null);
+  assert.equal(click.stopped, false);
+}
+
+function testValidationCapsSequences() {
+  rejects({ notes: [{ frequency: 440 }] }, /sequence\.id is required/);
+  rejects({ id: 'x', notes: [] }, /sequence\.notes must be a non-empty array/);
+  rejects({ id: 'x', notes: Array.from({ length: 65 }, () => ({ frequency: 440, durationMs: 20 })) }, /cannot exceed 64 entries/);
+  rejects({ id: 'x', tempo: 10, notes: [{ frequency: 440 }] }, /tempo must be between 30 and 300/);
+  rejects({ id: 'x', notes: [{ beats: 1, frequency: 440 }] }, /notes\[0\] uses beats but sequence\.tempo is not set/);
+  rejects({ id: 'x', notes: [{ at: -5, frequency: 440 }] }, /notes\[0\] start must be a non-negative number/);
+  rejects({ id: 'x', notes: [{ frequency: 440 }, { frequency: 5 }] }, /notes\[1\]: frequency must be between 20 and 20000/);
+  rejects({ id: 'x', notes: [{ frequencies: [440, 550], endFrequency: 880 }] }, /chords cannot sweep/);
+  rejects({ id: 'x', notes: [{ rest: true, durationMs: 100 }] }, /at least one note/);
+  rejects({ id: 'x', notes: [{ at: 9000, frequency: 440, durationMs: 7000 }] }, /cannot last longer than 15000 ms/);
+  rejects(
+    { id: 'x', notes: [{ frequencies: [100, 200, 300, 400, 500] }, { at: 100, frequencies: [600, 700, 800, 900] }] },
+    /more than 8 voices at once/,
+  );
+  rejects({ id: 'x', attackMs: 300, releaseMs: 300, notes: [{ frequency: 440, durationMs: 500 }] }, /attackMs and releaseMs/);
+
+  // Back-to-back chords share no instant, so they do not stack up.
+  publish({ sequence: { id: 'ok-1', notes: [{ frequencies: [100, 200, 300, 400, 500] }, { frequencies: [600, 700, 800, 900] }] } });
+  assert.deepEqual(warnings, []);
+}
+
+function testAdventureChangeStopsSequence() {
+  publish({ sequence: { id: 'drone-1', notes: [{ frequency: 110, durationMs: 5000 }] } });
+  const [drone] = oscillators().slice(-1);
+  audio.onAdventureChange('adv-2', ctx);
+  assert.equal(drone.stopped, true);
+  assert.equal(audio.inspect().activeSequenceId, null);
+  assert.ok(audio.capabilities.features.includes('sequence'));
+  assert.equal(audio.capabilities.limits.maxSequenceVoices, 8);
+}
+
+testSequenceSchedulesNotesRestsAndChords();
+testSameIdDoesNotReplay();
+testNewSequenceCutsOffThePrevious();
+testValidationCapsSequences();
+testAdventureChangeStopsSequence();
+console.log('Audio sequence contract tests passed');
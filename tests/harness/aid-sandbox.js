@@ -0,0 +1,140 @@
+'use strict';
+
+// Stand-in for AI Dungeon's server-side script sandbox. Runs a scenario's
+// Library followed by its Output Modifier once per generation, with the
+// globals the live suites rely on: `state`, `storyCards`, `history`, `info`,
+// `text`, `addStoryCard`, `updateStoryCard`, `removeStoryCard`, and `log`.
+//
+// Each run gets a fresh context, like AID, so only `state` and the story
+// cards carry over between turns. `state` round-trips through JSON the way
+// AID persists it.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SUITES_DIR = path.resolve(__dirname, '..', 'aid-scripts');
+const SCRIPT_TIMEOUT_MS = 1000;
+
+// Reads tests/aid-scripts/<name>/library.js and output-modifier.js.
+function loadSuite(name) {
+  const dir = path.join(SUITES_DIR, name);
+  return {
+    name,
+    library: fs.readFileSync(path.join(dir, 'library.js'), 'utf8'),
+    outputModifier: fs.readFileSync(path.join(dir, 'output-modifier.js'), 'utf8'),
+  };
+}
+
+// Story cards as scripts see them. The wire calls the card body `value`;
+// scripts call it `entry`.
+function toScriptCard(card) {
+  return {
+    id: card.id,
+    title: card.title,
+    keys: card.keys,
+    entry: card.value,
+    type: card.type,
+    description: card.description,
+    createdAt: card.createdAt,
+    updatedAt: card.updatedAt,
+  };
+}
+
+function createAidSandbox({ library = '', outputModifier = '', state = {} } = {}) {
+  let stateJson = JSON.stringify(state);
+  const logs = [];
+  const errors = [];
+
+  // Runs one Output Modifier pass. `cards` are wire-shaped story cards; the
+  // result lists the script's card edits as wire-shaped upserts and removals.
+  function runOutputModifier({ text, history = [], actionCount = 0, cards = [] }) {
+    const before = cards.map(toScriptCard);
+    const storyCards = before.map(card => ({ ...card }));
+
+    function cardAt(index) {
+      const card = storyCards[index];
+      if (!Number.isInteger(index) || !card) throw new Error(`Invalid story card index: ${index}`);
+      return card;
+    }
+
+    const globals = {
+      state: JSON.parse(stateJson),
+      storyCards,
+      history: history.map(action => ({ text: action.text, type: action.type, rawText: action.text })),
+      info: { actionCount, characters: [] },
+      text,
+      addStoryCard(keys, entry, type = 'Custom') {
+        storyCards.push({
+          id: null,
+          title: String(keys),
+          keys: String(keys),
+          entry: String(entry ?? ''),
+          type: String(type),
+          description: '',
+        });
+        return storyCards.length - 1;
+      },
+      updateStoryCard(index, keys, entry, type) {
+        const card = cardAt(index);
+        card.keys = String(keys);
+        card.entry = String(entry ?? '');
+        if (type !== undefined) card.type = String(type);
+      },
+      removeStoryCard(index) {
+        cardAt(index);
+        storyCards.splice(index, 1);
+      },
+      log(...args) {
+        logs.push(args.map(String).join(' '));
+      },
+    };
+    globals.console = { log: globals.log };
+
+    let output = text;
+    try {
+      const result = vm.runInNewContext(`${library}\n${outputModifier}`, globals, {
+        filename: 'aid-script.js',
+        timeout: SCRIPT_TIMEOUT_MS,
+      });
+      if (result && typeof result.text === 'string') output = result.text;
+      stateJson = JSON.stringify(globals.state ?? {});
+    } catch (error) {
+      errors.push(error);
+      return { text, upserts: [], removals: [], error };
+    }
+
+    const upserts = [];
+    const kept = new Set();
+    for (const card of storyCards) {
+      if (card.id != null) kept.add(card.id);
+      const prev = card.id != null ? before.find(item => item.id === card.id) : null;
+      if (prev && prev.keys === card.keys && prev.entry === card.entry && prev.type === card.type &&
+          prev.title === card.title && prev.description === card.description) {
+        continue;
+      }
+      upserts.push({
+        id: card.id,
+        title: card.title ?? card.keys,
+        keys: card.keys,
+        value: card.entry,
+        type: card.type,
+        description: card.description || '',
+      });
+    }
+    const removals = before.filter(card => !kept.has(card.id)).map(card => card.id);
+    return { text: output, upserts, removals, error: null };
+  }
+
+  return {
+    runOutputModifier,
+    getState: () => JSON.parse(stateJson),
+    logs,
+    errors,
+  };
+}
+
+module.exports = {
+  createAidSandbox,
+  loadSuite,
+};
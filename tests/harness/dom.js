@@ -0,0 +1,637 @@
+'use strict';
+
+// Small simulated DOM for renderer tests. It covers what the widget renderer
+// touches: an element tree with attributes, classList, dataset and style,
+// a selector engine for tag, #id, .class and [attr], [attr="v"], [attr*="v"]
+// compounds joined by descendant or child combinators, event dispatch with
+// capture and bubbling, and focus tracking through document.activeElement
+// with focusin/focusout.
+//
+// There is no layout (every size reads 0) and no HTML parser: assigning
+// innerHTML replaces the children with the markup as plain text, which is
+// enough for the renderer's `innerHTML = ''` resets.
+//
+// createDom() returns { window, document, Event, keydown, click, flushFrames };
+// `window` is a ready vm context global, so sources can be loaded with
+// vm.runInContext(source, window).
+
+const vm = require('node:vm');
+
+const FOCUSABLE_TAGS = new Set(['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA']);
+
+class Event {
+  constructor(type, init = {}) {
+    this.type = type;
+    this.bubbles = !!init.bubbles;
+    this.cancelable = init.cancelable !== false;
+    this.detail = init.detail ?? 0;
+    for (const key of ['key', 'code', 'altKey', 'ctrlKey', 'metaKey', 'shiftKey', 'relatedTarget']) {
+      this[key] = init[key] ?? (key.endsWith('Key') ? false : undefined);
+    }
+    this.target = null;
+    this.currentTarget = null;
+    this.defaultPrevented = false;
+    this._stopped = false;
+    this._stoppedImmediate = false;
+  }
+
+  preventDefault() {
+    if (this.cancelable) this.defaultPrevented = true;
+  }
+
+  stopPropagation() {
+    this._stopped = true;
+  }
+
+  stopImmediatePropagation() {
+    this._stopped = true;
+    this._stoppedImmediate = true;
+  }
+}
+
+class CustomEvent extends Event {}
+
+class EventTarget {
+  constructor() {
+    this._listeners = [];
+  }
+
+  addEventListener(type, listener, options) {
+    if (typeof listener !== 'function') return;
+    const capture = typeof options === 'boolean' ? options : !!options?.capture;
+    if (this._listeners.some(entry => entry.type === type && entry.listener === listener && entry.capture === capture)) return;
+    this._listeners.push({ type, listener, capture });
+  }
+
+  removeEventListener(type, listener, options) {
+    const capture = typeof options === 'boolean' ? options : !!options?.capture;
+    this._listeners = this._listeners.filter(entry => !(entry.type === type && entry.listener === listener && entry.capture === capture));
+  }
+
+  _invoke(event, phase) {
+    event.currentTarget = this;
+    for (const entry of this._listeners.slice()) {
+      if (entry.type !== event.type) continue;
+      if (phase === 'capture' && !entry.capture) continue;
+      if (phase === 'bubble' && entry.capture) continue;
+      entry.listener.call(this, event);
+      if (event._stoppedImmediate) break;
+    }
+  }
+
+  dispatchEvent(event) {
+    event.target = this;
+    const path = [];
+    for (let node = this.parentNode; node; node = node.parentNode) path.push(node);
+    if (this.ownerDocument && path[path.length - 1] === this.ownerDocument) path.push(this.ownerDocument.defaultView);
+
+    for (const node of path.slice().reverse()) {
+      node._invoke(event, 'capture');
+      if (event._stopped) return !event.defaultPrevented;
+    }
+    this._invoke(event, 'target');
+    if (event.bubbles) {
+      for (const node of path) {
+        if (event._stopped) break;
+        node._invoke(event, 'bubble');
+      }
+    }
+    return !event.defaultPrevented;
+  }
+}
+
+class Node extends EventTarget {
+  constructor(ownerDocument) {
+    super();
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+
+  get nextSibling() {
+    const siblings = this.parentNode?.childNodes || [];
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get previousSibling() {
+    const siblings = this.parentNode?.childNodes || [];
+    return siblings[siblings.indexOf(this) - 1] || null;
+  }
+
+  get isConnected() {
+    let node = this;
+    while (node.parentNode) node = node.parentNode;
+    return node.nodeType === 9;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    for (const node of this.childNodes.slice()) this._removeChildNode(node);
+    const text = String(value ?? '');
+    if (text) this.appendChild(this.ownerDocument.createTextNode(text));
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, reference) {
+    if (node === reference) return node;
+    node.parentNode?._removeChildNode(node);
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) this.childNodes.push(node);
+    else this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  removeChild(node) {
+    this._removeChildNode(node);
+    return node;
+  }
+
+  _removeChildNode(node) {
+    const index = this.childNodes.indexOf(node);
+    if (index !== -1) this.childNodes.splice(index, 1);
+    node.parentNode = null;
+    const doc = this.ownerDocument || this;
+    if (doc.activeElement && (doc.activeElement === node || node.contains?.(doc.activeElement))) {
+      doc.activeElement = doc.body;
+    }
+  }
+
+  append(...nodes) {
+    for (const node of nodes) {
+      this.appendChild(typeof node === 'string' ? this.ownerDocument.createTextNode(node) : node);
+    }
+  }
+
+  replaceChildren(...nodes) {
+    for (const node of this.childNodes.slice()) this._removeChildNode(node);
+    this.append(...nodes);
+  }
+
+  remove() {
+    this.parentNode?._removeChildNode(this);
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  _descendants() {
+    const out = [];
+    const walk = (node) => {
+      for (const child of node.children) {
+        out.push(child);
+        walk(child);
+      }
+    };
+    walk(this);
+    return out;
+  }
+
+  querySelectorAll(selector) {
+    const groups = parseSelector(selector);
+    return this._descendants().filter(element => groups.some(group => matchesGroup(element, group, this)));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+class Text extends Node {
+  constructor(ownerDocument, data) {
+    super(ownerDocument);
+    this.nodeType = 3;
+    this.data = String(data);
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = String(value ?? '');
+  }
+}
+
+function toDataAttribute(key) {
+  return `data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+function createDataset(element) {
+  return new Proxy({}, {
+    get: (_target, key) => (typeof key === 'string' ? element.getAttribute(toDataAttribute(key)) ?? undefined : undefined),
+    set: (_target, key, value) => {
+      element.setAttribute(toDataAttribute(key), value);
+      return true;
+    },
+    deleteProperty: (_target, key) => {
+      element.removeAttribute(toDataAttribute(key));
+      return true;
+    },
+    has: (_target, key) => element.hasAttribute(toDataAttribute(key)),
+  });
+}
+
+function createClassList(element) {
+  const tokens = () => (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  const write = (list) => element.setAttribute('class', list.join(' '));
+  const api = {
+    add: (...names) => write([...new Set([...tokens(), ...names])]),
+    remove: (...names) => write(tokens().filter(name => !names.includes(name))),
+    contains: name => tokens().includes(name),
+    toggle(name, force) {
+      const on = force === undefined ? !tokens().includes(name) : !!force;
+      if (on) api.add(name);
+      else api.remove(name);
+      return on;
+    },
+  };
+  return new Proxy(api, {
+    get: (target, key) => {
+      if (key === 'length') return tokens().length;
+      if (typeof key === 'string' && /^\d+$/.test(key)) return tokens()[Number(key)];
+      return target[key];
+    },
+  });
+}
+
+function createStyle() {
+  const style = {};
+  Object.defineProperties(style, {
+    setProperty: { value: (name, value) => { style[name] = String(value); } },
+    removeProperty: { value: (name) => { delete style[name]; } },
+    getPropertyValue: { value: name => style[name] ?? '' },
+  });
+  return style;
+}
+
+class Element extends Node {
+  constructor(ownerDocument, tagName, namespaceURI = null) {
+    super(ownerDocument);
+    this.nodeType = 1;
+    this.tagName = namespaceURI ? tagName : tagName.toUpperCase();
+    this.localName = tagName.toLowerCase();
+    this.namespaceURI = namespaceURI;
+    this.attributes = new Map();
+    this.dataset = createDataset(this);
+    this.classList = createClassList(this);
+    this.style = createStyle();
+    this.value = '';
+    this.checked = false;
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  toggleAttribute(name, force) {
+    const on = force === undefined ? !this.hasAttribute(name) : !!force;
+    if (on) this.setAttribute(name, '');
+    else this.removeAttribute(name);
+    return on;
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  set id(value) {
+    this.setAttribute('id', value);
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+
+  get title() {
+    return this.getAttribute('title') || '';
+  }
+
+  set title(value) {
+    this.setAttribute('title', value);
+  }
+
+  get hidden() {
+    return this.hasAttribute('hidden');
+  }
+
+  set hidden(value) {
+    this.toggleAttribute('hidden', !!value);
+  }
+
+  get disabled() {
+    return this.hasAttribute('disabled');
+  }
+
+  set disabled(value) {
+    this.toggleAttribute('disabled', !!value);
+  }
+
+  get tabIndex() {
+    if (this.hasAttribute('tabindex')) return Number(this.getAttribute('tabindex'));
+    const focusable = FOCUSABLE_TAGS.has(this.tagName) || (this.tagName === 'A' && this.hasAttribute('href'));
+    return focusable ? 0 : -1;
+  }
+
+  set tabIndex(value) {
+    this.setAttribute('tabindex', Number(value));
+  }
+
+  get innerHTML() {
+    return this.textContent;
+  }
+
+  set innerHTML(value) {
+    this.textContent = String(value ?? '').replace(/<[^>]*>/g, '');
+  }
+
+  get offsetWidth() { return 0; }
+  get offsetHeight() { return 0; }
+  get clientHeight() { return 0; }
+  get scrollHeight() { return 0; }
+
+  getBoundingClientRect() {
+    return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0, x: 0, y: 0 };
+  }
+
+  matches(selector) {
+    return parseSelector(selector).some(group => matchesGroup(this, group, null));
+  }
+
+  closest(selector) {
+    for (let node = this; node && node.nodeType === 1; node = node.parentNode) {
+      if (node.matches(selector)) return node;
+    }
+    return null;
+  }
+
+  focus() {
+    const doc = this.ownerDocument;
+    if (this.disabled || !this.isConnected || !this.hasAttribute('tabindex') && this.tabIndex < 0) return;
+    const previous = doc.activeElement;
+    if (previous === this) return;
+    doc.activeElement = this;
+    if (previous && previous !== doc.body) {
+      previous.dispatchEvent(new Event('focusout', { bubbles: true, relatedTarget: this }));
+    }
+    this.dispatchEvent(new Event('focusin', { bubbles: true, relatedTarget: previous }));
+  }
+
+  blur() {
+    const doc = this.ownerDocument;
+    if (doc.activeElement !== this) return;
+    doc.activeElement = doc.body;
+    this.dispatchEvent(new Event('focusout', { bubbles: true }));
+  }
+
+  // Like HTMLElement.click(): detail 0, the same as a keyboard activation.
+  click() {
+    if (this.disabled) return;
+    this.dispatchEvent(new Event('click', { bubbles: true, detail: 0 }));
+  }
+}
+
+// --- selectors ---
+
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']') {
+      depth--;
+    } else if (depth === 0 && separator.test(char)) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+function parseCompound(text) {
+  const compound = { tag: null, id: null, classes: [], attrs: [] };
+  const pattern = /^([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([*^$]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]/g;
+  let consumed = 0;
+  let match;
+  while ((match = pattern.exec(text)) && match[0]) {
+    if (match.index !== consumed) break;
+    consumed += match[0].length;
+    if (match[1]) compound.tag = match[1] === '*' ? null : match[1].toUpperCase();
+    else if (match[2]) compound.id = match[2];
+    else if (match[3]) compound.classes.push(match[3]);
+    else compound.attrs.push({ name: match[4], op: match[5] || null, value: match[6] ?? match[7] ?? match[8] ?? '' });
+  }
+  if (consumed !== text.length) throw new Error(`Unsupported selector: ${text}`);
+  return compound;
+}
+
+// Each group is a list of { compound, combinator } read right to left.
+function parseSelector(selector) {
+  return splitTopLevel(String(selector), /,/).map(group => {
+    const tokens = splitTopLevel(group.trim().replace(/\s*>\s*/g, ' > '), /\s/).filter(Boolean);
+    const steps = [];
+    let combinator = ' ';
+    for (const token of tokens) {
+      if (token === '>') {
+        combinator = '>';
+        continue;
+      }
+      steps.push({ compound: parseCompound(token), combinator });
+      combinator = ' ';
+    }
+    return steps;
+  });
+}
+
+function matchesCompound(element, compound) {
+  if (element.nodeType !== 1) return false;
+  if (compound.tag && element.tagName.toUpperCase() !== compound.tag) return false;
+  if (compound.id && element.id !== compound.id) return false;
+  if (compound.classes.some(name => !element.classList.contains(name))) return false;
+  return compound.attrs.every(({ name, op, value }) => {
+    const actual = element.getAttribute(name);
+    if (actual === null) return false;
+    if (op === '=') return actual === value;
+    if (op === '*=') return actual.includes(value);
+    if (op === '^=') return actual.startsWith(value);
+    if (op === '$=') return actual.endsWith(value);
+    return true;
+  });
+}
+
+function matchesGroup(element, steps, scope) {
+  const match = (node, index) => {
+    const step = steps[index];
+    if (!matchesCompound(node, step.compound)) return false;
+    if (index === 0) return true;
+    const ancestors = [];
+    for (let parent = node.parentNode; parent && parent.nodeType === 1 && parent !== scope; parent = parent.parentNode) {
+      ancestors.push(parent);
+      if (step.combinator === '>') break;
+    }
+    return ancestors.some(ancestor => match(ancestor, index - 1));
+  };
+  return match(element, steps.length - 1);
+}
+
+// --- document and window ---
+
+class Document extends Node {
+  constructor() {
+    super(null);
+    this.nodeType = 9;
+    this.documentElement = new Element(this, 'html');
+    this.head = new Element(this, 'head');
+    this.body = new Element(this, 'body');
+    this.documentElement.append(this.head, this.body);
+    this.appendChild(this.documentElement);
+    this.activeElement = this.body;
+    this.defaultView = null;
+  }
+
+  createElement(tagName) {
+    return new Element(this, tagName);
+  }
+
+  createElementNS(namespaceURI, tagName) {
+    return new Element(this, tagName, namespaceURI);
+  }
+
+  createTextNode(data) {
+    return new Text(this, data);
+  }
+
+  getElementById(id) {
+    return this.querySelector(`#${id}`);
+  }
+}
+
+function createStorage() {
+  const values = new Map();
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key),
+    clear: () => values.clear(),
+  };
+}
+
+function createDom(options = {}) {
+  const document = new Document();
+  const window = new EventTarget();
+  const frames = new Map();
+  let frameId = 0;
+
+  Object.assign(window, {
+    document,
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask,
+    performance,
+    URL,
+    Event,
+    CustomEvent,
+    innerWidth: options.width ?? 1280,
+    innerHeight: options.height ?? 800,
+    localStorage: createStorage(),
+    sessionStorage: createStorage(),
+    matchMedia: query => ({
+      media: query,
+      matches: !!options.matchMedia?.(query),
+      addEventListener() {},
+      removeEventListener() {},
+    }),
+    requestAnimationFrame(callback) {
+      frames.set(++frameId, callback);
+      return frameId;
+    },
+    cancelAnimationFrame(id) {
+      frames.delete(id);
+    },
+    getComputedStyle: element => ({ ...element.style, paddingLeft: '0', paddingRight: '0', gap: '0' }),
+  });
+  window.window = window;
+  document.defaultView = window;
+  vm.createContext(window);
+
+  function keydown(target, key, modifiers = {}) {
+    const code = modifiers.code ?? (key === ' ' ? 'Space' : key.length === 1 ? `Key${key.toUpperCase()}` : key);
+    const event = new Event('keydown', { bubbles: true, key, code, ...modifiers });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  function click(target) {
+    const event = new Event('click', { bubbles: true, detail: 1 });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  // Runs queued animation frames (and any they queue) at `now`.
+  function flushFrames(now = performance.now() + 1000) {
+    for (let guard = 0; frames.size && guard < 100; guard++) {
+      const pending = [...frames.values()];
+      frames.clear();
+      for (const callback of pending) callback(now);
+    }
+  }
+
+  return { window, document, Event, keydown, click, flushFrames };
+}
+
+module.exports = { createDom };
@@ -0,0 +1,76 @@
+'use strict';
+
+// Ultrascripts end-to-end harness: a mock AI Dungeon server, the AID script
+// sandbox running on it, and a simulated page running the extension sources.
+//
+//   const harness = await createHarness({ modules: ['clock'], suite: 'clock-module' });
+//   const trace = await harness.runSuite('clock');
+//   await harness.close();
+
+const { createAidSandbox, loadSuite } = require('./aid-sandbox');
+const { createMockAidServer } = require('./mock-aid-server');
+const { createPage } = require('./page');
+
+async function createHarness({
+  modules = [],
+  suite = null,
+  library = '',
+  outputModifier = '',
+  server: serverOptions = {},
+  page: pageOptions = {},
+} = {}) {
+  const scripts = suite ? loadSuite(suite) : { library, outputModifier };
+  const sandbox = createAidSandbox(scripts);
+  const server = createMockAidServer({ ...serverOptions, sandbox });
+  await server.listen();
+  const page = createPage(server, { ...pageOptions, modules });
+  try {
+    await page.open();
+    await server.waitFor(() => server.getCardByTitle('ultrascripts:heartbeat'), { label: 'first heartbeat' });
+    await page.settle();
+  } catch (error) {
+    page.close();
+    await server.close();
+    throw error;
+  }
+
+  const harness = {
+    server,
+    page,
+    sandbox,
+
+    // Plays one `do` turn and waits for BetterDungeon to finish reacting.
+    async turn(text = 'You wait.', options) {
+      const action = server.submit(text, options);
+      await page.settle();
+      return action;
+    },
+
+    // Plays turns until the suite's `ultrascripts:test:<name>` trace card
+    // reports a complete phase, then returns the parsed trace.
+    async runSuite(name, { maxTurns = 60 } = {}) {
+      const title = `ultrascripts:test:${name}`;
+      for (let turn = 0; turn < maxTurns; turn++) {
+        await harness.turn(`You check the ${name} suite.`);
+        const trace = server.readCardJson(title);
+        if (trace && String(trace.phase).startsWith('complete')) return trace;
+      }
+      const last = server.readCardJson(title);
+      throw new Error(`Suite '${name}' did not complete in ${maxTurns} turns (phase: ${last?.phase ?? 'none'})`);
+    },
+
+    async close() {
+      page.close();
+      await server.close();
+    },
+  };
+  return harness;
+}
+
+module.exports = {
+  createAidSandbox,
+  createHarness,
+  createMockAidServer,
+  createPage,
+  loadSuite,
+};
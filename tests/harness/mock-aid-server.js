@@ -0,0 +1,421 @@
+'use strict';
+
+// Local stand-in for AI Dungeon's GraphQL API. Serves one adventure over
+// HTTP and graphql-transport-ws on 127.0.0.1 only, so the harness needs no
+// network.
+//
+//   POST /graphql  - the adventure query the page hydrates from, and the
+//                    batched `updateStoryCard` mutation BetterDungeon writes
+//                    with. Card writes here are client writes: they are not
+//                    echoed on `adventureStoryCardsUpdate`.
+//   WS   /graphql  - `actionUpdates`, `contextUpdate`, and
+//                    `adventureStoryCardsUpdate` subscriptions.
+//
+// Turns follow services/ultrascripts/ACTION_IDS.md: numeric action ids that
+// are never reused, soft undo via `undoneAt`, and retry as a new action with
+// `retriedActionId`. When a script sandbox is attached it runs at modifier
+// time and its card edits are published as server-originated writes.
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { acceptUpgrade } = require('./websocket');
+
+const SUBSCRIPTION_FIELDS = ['actionUpdates', 'contextUpdate', 'adventureStoryCardsUpdate'];
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function createMockAidServer({
+  adventureId = '48151623',
+  shortId = 'harnessAdv01',
+  scenarioId = '42424242',
+  authorization = 'Bearer harness-token',
+  sandbox = null,
+  cards = [],
+} = {}) {
+  const storyCards = new Map();
+  const actions = [];
+  const connections = new Set();
+  const mutations = [];
+  const requests = [];
+  const posts = [];
+  const scriptErrors = [];
+  const failures = [];
+  let nextActionId = 0;
+  let server = null;
+  let port = null;
+
+  const stats = { lastActivityAt: Date.now() };
+
+  function touch() {
+    stats.lastActivityAt = Date.now();
+  }
+
+  function wireCard(input) {
+    const now = new Date().toISOString();
+    const prev = storyCards.get(String(input.id));
+    return {
+      id: String(input.id),
+      type: input.type ?? prev?.type ?? '',
+      title: input.title ?? prev?.title ?? '',
+      description: input.description ?? prev?.description ?? '',
+      keys: input.keys ?? prev?.keys ?? '',
+      value: input.value ?? prev?.value ?? '',
+      useForCharacterCreation: !!(input.useForCharacterCreation ?? prev?.useForCharacterCreation),
+      createdAt: prev?.createdAt || now,
+      updatedAt: now,
+      __typename: 'StoryCard',
+    };
+  }
+
+  function mintCardId() {
+    let id;
+    do id = String(100000000 + crypto.randomInt(900000000));
+    while (storyCards.has(id));
+    return id;
+  }
+
+  for (const card of cards) {
+    const id = card.id != null ? String(card.id) : mintCardId();
+    storyCards.set(id, wireCard({ ...card, id }));
+  }
+
+  function listCards() {
+    return [...storyCards.values()].map(card => ({ ...card }));
+  }
+
+  function liveActions() {
+    return actions.filter(action => action.undoneAt == null);
+  }
+
+  function adventurePayload() {
+    return {
+      id: adventureId,
+      shortId,
+      scenarioId,
+      title: 'Harness Adventure',
+      storyCards: listCards(),
+      actions: actions.map(action => ({ ...action })),
+      __typename: 'Adventure',
+    };
+  }
+
+  // ---------- GraphQL over HTTP ----------
+
+  function updateStoryCard(input) {
+    if (!input || input.id == null || typeof input.title !== 'string' || typeof input.value !== 'string') {
+      return { success: false, message: 'Invalid story card input', storyCard: null, __typename: 'StoryCardResult' };
+    }
+    if (input.shortId !== shortId) {
+      return { success: false, message: 'Adventure not found', storyCard: null, __typename: 'StoryCardResult' };
+    }
+    const card = wireCard(input);
+    storyCards.set(card.id, card);
+    mutations.push({ ...input, id: card.id, at: Date.now() });
+    return { success: true, message: null, storyCard: { ...card }, __typename: 'StoryCardResult' };
+  }
+
+  function executeOperation(operation) {
+    const query = String(operation?.query || '');
+    requests.push({ operationName: operation?.operationName || null, at: Date.now() });
+    if (/\bupdateStoryCard\s*\(/.test(query)) {
+      return { data: { updateStoryCard: updateStoryCard(operation.variables?.input) } };
+    }
+    if (/\badventure\s*\(/.test(query)) {
+      return { data: { adventure: adventurePayload() } };
+    }
+    return { errors: [{ message: `Unknown operation ${operation?.operationName || '(anonymous)'}` }] };
+  }
+
+  async function handleHttp(req, res) {
+    touch();
+    const url = new URL(req.url, 'http://127.0.0.1');
+    if (url.pathname !== '/graphql' || req.method !== 'POST') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    const body = await readBody(req);
+    if (req.headers.authorization !== authorization) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ errors: [{ message: 'Unauthorized' }] }));
+      return;
+    }
+    const failure = failures.shift();
+    if (failure) {
+      res.writeHead(failure.status, { 'Content-Type': 'text/plain' });
+      res.end(failure.body || 'Injected failure');
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ errors: [{ message: 'Body is not JSON' }] }));
+      return;
+    }
+    const operations = Array.isArray(parsed) ? parsed : [parsed];
+    posts.push({ operationNames: operations.map(operation => operation?.operationName || null), at: Date.now() });
+    const result = Array.isArray(parsed) ? parsed.map(executeOperation) : executeOperation(parsed);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+    touch();
+  }
+
+  // ---------- GraphQL over WebSocket ----------
+
+  function handleUpgrade(req, socket, head) {
+    touch();
+    const entry = { subscriptions: new Map(), acked: false, connection: null };
+    entry.connection = acceptUpgrade(req, socket, head, {
+      protocol: 'graphql-transport-ws',
+      onMessage(text) {
+        touch();
+        let msg;
+        try { msg = JSON.parse(text); } catch { return; }
+        if (msg.type === 'connection_init') {
+          entry.acked = true;
+          entry.connection.send(JSON.stringify({ type: 'connection_ack' }));
+        } else if (msg.type === 'ping') {
+          entry.connection.send(JSON.stringify({ type: 'pong' }));
+        } else if (msg.type === 'subscribe' && entry.acked) {
+          const query = String(msg.payload?.query || '');
+          const field = SUBSCRIPTION_FIELDS.find(name => query.includes(name));
+          if (field) entry.subscriptions.set(msg.id, field);
+          else entry.connection.send(JSON.stringify({ id: msg.id, type: 'error', payload: [{ message: 'Unknown subscription' }] }));
+        } else if (msg.type === 'complete') {
+          entry.subscriptions.delete(msg.id);
+        }
+      },
+      onClose() {
+        connections.delete(entry);
+      },
+    });
+    if (entry.connection) connections.add(entry);
+  }
+
+  function publish(field, data) {
+    touch();
+    for (const entry of connections) {
+      for (const [id, subscribed] of entry.subscriptions) {
+        if (subscribed !== field) continue;
+        entry.connection.send(JSON.stringify({ id, type: 'next', payload: { data: { [field]: data } } }));
+      }
+    }
+  }
+
+  function subscriptionCount() {
+    let count = 0;
+    for (const entry of connections) count += entry.subscriptions.size;
+    return count;
+  }
+
+  // ---------- turns ----------
+
+  function createAction(type, text, extra = {}) {
+    const now = new Date().toISOString();
+    const action = {
+      id: String(nextActionId++),
+      text,
+      type,
+      createdAt: now,
+      updatedAt: now,
+      undoneAt: null,
+      retriedActionId: null,
+      __typename: 'Action',
+      ...extra,
+    };
+    actions.push(action);
+    return action;
+  }
+
+  function publishCards() {
+    publish('adventureStoryCardsUpdate', { storyCards: listCards(), __typename: 'StoryCardsUpdate' });
+  }
+
+  // Applies a sandbox result as server-originated card writes.
+  function applyScriptCards({ upserts, removals }) {
+    for (const id of removals) storyCards.delete(String(id));
+    for (const upsert of upserts) {
+      const id = upsert.id != null ? String(upsert.id) : mintCardId();
+      storyCards.set(id, wireCard({ ...upsert, id }));
+    }
+    return upserts.length > 0 || removals.length > 0;
+  }
+
+  // One generation: contextUpdate, the Output Modifier against the history
+  // the script would see, then actionUpdates and any script card writes.
+  function generate({ input = null, inputType = 'do', output, retried = null }) {
+    const key = crypto.randomUUID();
+    const actionCount = actions.length;
+    const created = [];
+    if (retried) {
+      retried.undoneAt = new Date().toISOString();
+      retried.updatedAt = retried.undoneAt;
+      created.push(retried);
+    }
+    if (input != null) created.push(createAction(inputType, input));
+    publish('contextUpdate', { actionId: String(nextActionId), key, __typename: 'ContextUpdate' });
+
+    let text = output ?? `The story continues (${nextActionId}).`;
+    let cardsChanged = false;
+    if (sandbox) {
+      const result = sandbox.runOutputModifier({
+        text,
+        history: liveActions(),
+        actionCount,
+        cards: listCards(),
+      });
+      if (result.error) scriptErrors.push(result.error);
+      text = result.text;
+      cardsChanged = applyScriptCards(result);
+    }
+
+    const response = createAction('continue', text, retried ? { retriedActionId: retried.id } : {});
+    created.push(response);
+    publish('actionUpdates', {
+      type: 'create',
+      key,
+      retriedActionId: retried ? retried.id : null,
+      actions: created.map(action => ({ ...action })),
+      __typename: 'ActionUpdates',
+    });
+    if (cardsChanged) publishCards();
+    return response;
+  }
+
+  function submit(text, { type = 'do', output } = {}) {
+    return generate({ input: String(text), inputType: type, output });
+  }
+
+  function continueStory({ output } = {}) {
+    return generate({ output });
+  }
+
+  function retry({ output } = {}) {
+    const live = liveActions();
+    const original = live[live.length - 1];
+    if (!original) throw new Error('Nothing to retry');
+    return generate({ output, retried: original });
+  }
+
+  function setUndone(action, undoneAt) {
+    action.undoneAt = undoneAt;
+    action.updatedAt = new Date().toISOString();
+    publish('actionUpdates', {
+      type: 'update',
+      key: crypto.randomUUID(),
+      retriedActionId: null,
+      actions: [{ ...action }],
+      __typename: 'ActionUpdates',
+    });
+    return action;
+  }
+
+  function undo() {
+    const live = liveActions();
+    const tail = live[live.length - 1];
+    if (!tail) throw new Error('Nothing to undo');
+    return setUndone(tail, new Date().toISOString());
+  }
+
+  function restore() {
+    const undone = actions.filter(action => action.undoneAt != null);
+    const latest = undone[undone.length - 1];
+    if (!latest) throw new Error('Nothing to restore');
+    return setUndone(latest, null);
+  }
+
+  // ---------- lifecycle ----------
+
+  function listen() {
+    server = http.createServer((req, res) => {
+      handleHttp(req, res).catch((error) => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(String(error?.message || error));
+      });
+    });
+    server.on('upgrade', handleUpgrade);
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        resolve({ httpUrl: api.httpUrl, wsUrl: api.wsUrl });
+      });
+    });
+  }
+
+  function close() {
+    for (const entry of connections) entry.connection.destroy();
+    connections.clear();
+    if (!server) return Promise.resolve();
+    return new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    });
+  }
+
+  async function waitFor(predicate, { timeoutMs = 3000, intervalMs = 10, label = 'condition' } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const value = predicate();
+      if (value) return value;
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for ${label}`);
+      await delay(intervalMs);
+    }
+  }
+
+  const api = {
+    adventureId,
+    shortId,
+    scenarioId,
+    authorization,
+    get httpUrl() { return `http://127.0.0.1:${port}/graphql`; },
+    get wsUrl() { return `ws://127.0.0.1:${port}/graphql`; },
+    get lastActivityAt() { return stats.lastActivityAt; },
+    listen,
+    close,
+    waitFor,
+    publish,
+    publishCards,
+    subscriptionCount,
+    submit,
+    continue: continueStory,
+    retry,
+    undo,
+    restore,
+    // Fails the next `count` GraphQL POSTs with `status`.
+    failRequests(count = 1, status = 503) {
+      for (let i = 0; i < count; i++) failures.push({ status });
+    },
+    getCards: listCards,
+    getCardByTitle: title => listCards().find(card => card.title === title) || null,
+    readCardJson(title) {
+      const card = api.getCardByTitle(title);
+      if (!card) return null;
+      try { return JSON.parse(card.value); } catch { return null; }
+    },
+    getActions: () => actions.map(action => ({ ...action })),
+    getLiveCount: () => liveActions().length,
+    mutations,
+    requests,
+    posts,
+    scriptErrors,
+  };
+  return api;
+}
+
+module.exports = {
+  createMockAidServer,
+};
@@ -0,0 +1,454 @@
+'use strict';
+
+// Simulated play.aidungeon.com tab for the Ultrascripts harness. Builds the
+// two script worlds the extension runs in and loads the real sources into
+// them in manifest order:
+//
+//   MAIN      - ws-interceptor.js, which shims WebSocket and fetch.
+//   ISOLATED  - ws-stream.js, graphql-service.js, ai-dungeon-service.js,
+//               the Ultrascripts services, the requested modules, and
+//               ultrascripts_feature.js.
+//
+// The worlds share `document`, `location`, and postMessage delivery but keep
+// separate globals, so isolated-world writes are not seen by the MAIN-world
+// fetch shim, as in the browser. Production URLs are rewritten onto the mock
+// server; any other host fails like an offline network.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { HarnessMessageEvent, createWebSocketClass } = require('./websocket');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const ORIGIN = 'https://play.aidungeon.com';
+const API_HOST = 'api.aidungeon.com';
+
+const ADVENTURE_QUERY = `query GetGameplayAdventure($shortId: String) {
+  adventure(shortId: $shortId) {
+    id
+    shortId
+    scenarioId
+    title
+    storyCards { id type title description keys value useForCharacterCreation __typename }
+    actions { id text type createdAt updatedAt undoneAt retriedActionId __typename }
+    __typename
+  }
+}`;
+
+const SUBSCRIPTIONS = {
+  actionUpdates: 'subscription ActionUpdates($adventureId: String) { actionUpdates(adventureId: $adventureId) { type key retriedActionId actions { id text type undoneAt retriedActionId } } }',
+  contextUpdate: 'subscription ContextUpdate($adventureId: String) { contextUpdate(adventureId: $adventureId) { actionId key } }',
+  adventureStoryCardsUpdate: 'subscription AdventureStoryCardsUpdate($adventureId: String) { adventureStoryCardsUpdate(adventureId: $adventureId) { storyCards { id type title description keys value } } }',
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Content scripts for one world, in manifest order.
+function manifestScripts(world, include) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const files = [];
+  for (const entry of manifest.content_scripts || []) {
+    if ((entry.world || 'ISOLATED') !== world) continue;
+    for (const file of entry.js || []) {
+      if (include(file) && !files.includes(file)) files.push(file);
+    }
+  }
+  return files;
+}
+
+function createStorageArea(area, notify) {
+  const data = new Map();
+
+  function pick(keys) {
+    if (keys == null) return Object.fromEntries(data);
+    const out = {};
+    if (typeof keys === 'string') keys = [keys];
+    if (Array.isArray(keys)) {
+      for (const key of keys) if (data.has(key)) out[key] = structuredClone(data.get(key));
+      return out;
+    }
+    for (const [key, fallback] of Object.entries(keys)) {
+      out[key] = data.has(key) ? structuredClone(data.get(key)) : fallback;
+    }
+    return out;
+  }
+
+  function settle(value, callback) {
+    if (typeof callback === 'function') {
+      setImmediate(() => callback(value));
+      return undefined;
+    }
+    return Promise.resolve(value);
+  }
+
+  return {
+    data,
+    get(keys, callback) {
+      return settle(pick(keys), callback);
+    },
+    set(items, callback) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items || {})) {
+        changes[key] = { oldValue: data.get(key), newValue: structuredClone(value) };
+        data.set(key, structuredClone(value));
+      }
+      notify(changes, area);
+      return settle(undefined, callback);
+    },
+    remove(keys, callback) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (!data.has(key)) continue;
+        changes[key] = { oldValue: data.get(key) };
+        data.delete(key);
+      }
+      notify(changes, area);
+      return settle(undefined, callback);
+    },
+    clear(callback) {
+      data.clear();
+      return settle(undefined, callback);
+    },
+  };
+}
+
+function createChrome({ onRuntimeMessage, sync }) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const changeListeners = new Set();
+  const notify = (changes, area) => {
+    if (!Object.keys(changes).length) return;
+    for (const listener of changeListeners) listener(changes, area);
+  };
+  const runtime = {
+    id: 'betterdungeon-harness',
+    lastError: null,
+    getManifest: () => manifest,
+    getURL: file => `chrome-extension://betterdungeon-harness/${file}`,
+    sendMessage(message, callback) {
+      const reply = Promise.resolve(onRuntimeMessage ? onRuntimeMessage(message) : undefined);
+      if (typeof callback === 'function') {
+        reply.then(value => callback(value), () => callback(undefined));
+        return undefined;
+      }
+      return reply;
+    },
+    onMessage: { addListener() {}, removeListener() {} },
+  };
+  const syncArea = createStorageArea('sync', notify);
+  for (const [key, value] of Object.entries(sync)) syncArea.data.set(key, structuredClone(value));
+  return {
+    runtime,
+    storage: {
+      sync: syncArea,
+      local: createStorageArea('local', notify),
+      onChanged: {
+        addListener: listener => changeListeners.add(listener),
+        removeListener: listener => changeListeners.delete(listener),
+      },
+    },
+  };
+}
+
+function createDocument() {
+  const document = new EventTarget();
+  const makeElement = (tagName) => {
+    const element = new EventTarget();
+    element.tagName = String(tagName).toUpperCase();
+    element.children = [];
+    element.appendChild = (child) => { element.children.push(child); return child; };
+    element.remove = () => {};
+    element.setAttribute = (name, value) => { element[name] = String(value); };
+    return element;
+  };
+  document.createElement = makeElement;
+  document.head = makeElement('head');
+  document.documentElement = makeElement('html');
+  document.body = makeElement('body');
+  document.readyState = 'loading';
+  return document;
+}
+
+// The MAIN world never issues XHRs in the harness, but the interceptor patches
+// XMLHttpRequest.prototype at load, so it has to exist.
+class XMLHttpRequest extends EventTarget {
+  open() {}
+  setRequestHeader() {}
+  send() {
+    throw new Error('XMLHttpRequest is not available in the Ultrascripts harness');
+  }
+}
+
+function createPage(server, {
+  modules = [],
+  onRuntimeMessage = null,
+  sync = {},
+  verbose = !!process.env.ULTRASCRIPTS_HARNESS_VERBOSE,
+} = {}) {
+  const location = {
+    origin: ORIGIN,
+    protocol: 'https:',
+    host: 'play.aidungeon.com',
+    hostname: 'play.aidungeon.com',
+    pathname: `/adventure/${server.shortId}/harness-adventure/play`,
+    search: '',
+    hash: '',
+    get href() { return `${ORIGIN}${this.pathname}${this.search}${this.hash}`; },
+  };
+  const document = createDocument();
+  const logs = [];
+  const timers = new Map();
+  const intervals = new Set();
+  const sockets = new Set();
+  const worlds = [];
+  let pendingMessages = 0;
+  let closed = false;
+
+  function resolveUrl(url) {
+    const target = new URL(url, location.href);
+    if (target.host !== API_HOST) {
+      throw new TypeError(`Failed to fetch: ${target.host} is unreachable from the harness`);
+    }
+    const base = new URL(target.protocol.startsWith('ws') ? server.wsUrl : server.httpUrl);
+    base.search = target.search;
+    return base.toString();
+  }
+
+  function pageFetch(input, init) {
+    try {
+      const url = typeof input === 'string' ? input : String(input?.url || input);
+      return fetch(resolveUrl(url), init);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  function postMessage(data, targetOrigin) {
+    if (targetOrigin !== '*' && targetOrigin !== ORIGIN) return;
+    const payload = structuredClone(data);
+    pendingMessages++;
+    setImmediate(() => {
+      pendingMessages--;
+      if (closed) return;
+      for (const { world, global } of worlds) {
+        world.dispatchEvent(new HarnessMessageEvent('message', {
+          data: structuredClone(payload),
+          origin: ORIGIN,
+          source: global,
+        }));
+      }
+    });
+  }
+
+  function makeConsole(worldName) {
+    const record = level => (...args) => {
+      logs.push({ world: worldName, level, args });
+      if (verbose) console[level === 'log' ? 'log' : level](`[${worldName}]`, ...args);
+    };
+    return { log: record('log'), info: record('log'), debug: record('log'), warn: record('warn'), error: record('error') };
+  }
+
+  function createWorld(name, extra) {
+    const target = new EventTarget();
+    const world = {
+      console: makeConsole(name),
+      document,
+      location,
+      navigator: { userAgent: 'BetterDungeon Harness', language: 'en-US', languages: ['en-US'], onLine: true },
+      setTimeout(fn, ms, ...args) {
+        const handle = setTimeout(() => {
+          timers.delete(handle);
+          fn(...args);
+        }, ms);
+        timers.set(handle, Date.now() + (Number(ms) || 0));
+        return handle;
+      },
+      clearTimeout(handle) {
+        timers.delete(handle);
+        clearTimeout(handle);
+      },
+      setInterval(fn, ms, ...args) {
+        const handle = setInterval(fn, ms, ...args);
+        intervals.add(handle);
+        return handle;
+      },
+      clearInterval(handle) {
+        intervals.delete(handle);
+        clearInterval(handle);
+      },
+      queueMicrotask,
+      structuredClone,
+      fetch: pageFetch,
+      Headers,
+      Request,
+      Response,
+      URL,
+      URLSearchParams,
+      AbortController,
+      AbortSignal,
+      TextEncoder,
+      TextDecoder,
+      Event,
+      EventTarget,
+      CustomEvent,
+      crypto: globalThis.crypto,
+      addEventListener: target.addEventListener.bind(target),
+      removeEventListener: target.removeEventListener.bind(target),
+      dispatchEvent: target.dispatchEvent.bind(target),
+      postMessage,
+      ...extra,
+    };
+    world.window = world;
+    world.self = world;
+    vm.createContext(world);
+    // Scripts compare `event.source` with their own `window`, which inside the
+    // context is the global proxy rather than the object passed in here.
+    worlds.push({ world, global: vm.runInContext('globalThis', world) });
+    return world;
+  }
+
+  const main = createWorld('main', {
+    WebSocket: createWebSocketClass({ resolveUrl, sockets }),
+    XMLHttpRequest,
+  });
+  const chrome = createChrome({ onRuntimeMessage, sync });
+  const isolated = createWorld('isolated', {
+    chrome,
+    sessionStorage: (() => {
+      const data = new Map();
+      return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key),
+        clear: () => data.clear(),
+      };
+    })(),
+  });
+
+  function load(world, file) {
+    const filename = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), world, { filename });
+  }
+
+  const mainScripts = manifestScripts('MAIN', file => file.startsWith('services/ultrascripts/'));
+  const isolatedScripts = manifestScripts('ISOLATED', file =>
+    file.startsWith('services/ultrascripts/') ||
+    file === 'services/graphql-service.js' ||
+    file === 'services/ai-dungeon-service.js' ||
+    file === 'features/ultrascripts_feature.js' ||
+    modules.some(id => file.startsWith(`modules/${id}/`)));
+
+  // Mirrors AI Dungeon's bundle: it reads the adventure more than once while
+  // the page loads. The first response establishes the adventure boundary
+  // (which resets ws-stream's maps); the second hydrates cards and actions.
+  async function hydrate() {
+    for (let i = 0; i < 2; i++) {
+      const response = await main.fetch(`https://${API_HOST}/graphql`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', authorization: server.authorization },
+        body: JSON.stringify({
+          operationName: 'GetGameplayAdventure',
+          variables: { shortId: server.shortId },
+          query: ADVENTURE_QUERY,
+        }),
+      });
+      await response.text();
+      await page.waitFor(() => pendingMessages === 0, { label: 'hydration messages' });
+    }
+  }
+
+  async function subscribe() {
+    const socket = new main.WebSocket(`wss://${API_HOST}/graphql`, 'graphql-transport-ws');
+    await new Promise((resolve, reject) => {
+      socket.addEventListener('open', resolve, { once: true });
+      socket.addEventListener('error', () => reject(new Error('Subscription socket failed to open')), { once: true });
+    });
+    const acked = new Promise(resolve => {
+      socket.addEventListener('message', function onAck(event) {
+        if (JSON.parse(event.data).type !== 'connection_ack') return;
+        socket.removeEventListener('message', onAck);
+        resolve();
+      });
+    });
+    socket.send(JSON.stringify({ type: 'connection_init', payload: { Authorization: server.authorization } }));
+    await acked;
+    let id = 0;
+    for (const [operationName, query] of Object.entries(SUBSCRIPTIONS)) {
+      socket.send(JSON.stringify({
+        id: String(++id),
+        type: 'subscribe',
+        payload: { operationName, query, variables: { adventureId: server.adventureId } },
+      }));
+    }
+    await server.waitFor(() => server.subscriptionCount() >= id, { label: 'subscriptions' });
+    return socket;
+  }
+
+  const page = {
+    main,
+    isolated,
+    chrome,
+    logs,
+    get ultrascripts() { return isolated.Ultrascripts; },
+
+    // Loads every script, boots Ultrascripts the way UltrascriptsFeature does
+    // for the FeatureManager, hydrates the adventure, and subscribes.
+    async open() {
+      for (const file of mainScripts) load(main, file);
+      for (const file of isolatedScripts) load(isolated, file);
+      document.readyState = 'complete';
+      page.feature = new isolated.UltrascriptsFeature({ aiDungeonService: new isolated.AIDungeonService() });
+      await page.feature.init();
+      await hydrate();
+      page.socket = await subscribe();
+      return page;
+    },
+
+    register(definition) {
+      isolated.Ultrascripts.registry.register(definition);
+    },
+
+    waitFor: server.waitFor,
+
+    // Resolves once nothing is moving: no queued postMessages, no card writes
+    // queued or in flight, no op running, no short timer about to fire, and
+    // no server traffic for `quietMs`.
+    async settle({ quietMs = 60, timeoutMs = 5000 } = {}) {
+      const deadline = Date.now() + timeoutMs;
+      for (;;) {
+        await delay(10);
+        const us = isolated.Ultrascripts;
+        const queue = us.writeQueue.inspect();
+        const ops = us.opsDispatcher.inspect();
+        const now = Date.now();
+        const shortTimer = [...timers.values()].some(dueAt => dueAt - now < 1000);
+        if (
+          pendingMessages === 0 &&
+          queue.queuedTitles.length === 0 &&
+          ops.inflight.length === 0 &&
+          !us.core.inspect().heartbeatPending &&
+          !shortTimer &&
+          now - server.lastActivityAt >= quietMs
+        ) {
+          return;
+        }
+        if (now > deadline) throw new Error('Timed out waiting for the page to settle');
+      }
+    },
+
+    close() {
+      closed = true;
+      for (const handle of timers.keys()) clearTimeout(handle);
+      timers.clear();
+      for (const handle of intervals) clearInterval(handle);
+      intervals.clear();
+      for (const socket of sockets) socket.close();
+    },
+  };
+  return page;
+}
+
+module.exports = {
+  createPage,
+};
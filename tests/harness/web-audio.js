@@ -0,0 +1,164 @@
+'use strict';
+
+// Recording stand-in for the Web Audio nodes the Audio module uses. Nothing
+// is rendered: every node keeps its connections and every AudioParam keeps
+// the automation calls made on it, so tests can read back what was scheduled.
+// An AudioParam's `value` is the last value scheduled on it; time does not
+// pass unless a test moves `currentTime`.
+//
+// createWebAudio() returns { AudioContext, contexts }; install AudioContext on
+// a simulated window, and `contexts` lists each context the page created.
+
+class AudioParam {
+  constructor(value = 0) {
+    this.value = value;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) {
+    this.events.push(['set', value, time]);
+    this.value = value;
+  }
+
+  linearRampToValueAtTime(value, time) {
+    this.events.push(['linear', value, time]);
+    this.value = value;
+  }
+
+  exponentialRampToValueAtTime(value, time) {
+    this.events.push(['exponential', value, time]);
+    this.value = value;
+  }
+
+  cancelScheduledValues(time) {
+    this.events.push(['cancel', null, time]);
+  }
+}
+
+class AudioNode {
+  constructor(context, kind) {
+    this.context = context;
+    this.kind = kind;
+    this.outputs = [];
+    context.nodes.push(this);
+  }
+
+  connect(target) {
+    this.outputs.push(target);
+    return target;
+  }
+
+  disconnect() {
+    this.outputs = [];
+  }
+}
+
+class SourceNode extends AudioNode {
+  constructor(context, kind) {
+    super(context, kind);
+    this.startTime = null;
+    this.stopTime = null;
+    this.stopped = false;
+    this.onended = null;
+  }
+
+  start(time = 0) {
+    this.startTime = time;
+  }
+
+  stop(time) {
+    if (time === undefined) this.stopped = true;
+    else this.stopTime = time;
+  }
+}
+
+function createWebAudio() {
+  const contexts = [];
+
+  class AudioContext {
+    constructor() {
+      this.state = 'running';
+      this.currentTime = 0;
+      this.sampleRate = 8000;
+      this.nodes = [];
+      this.destination = new AudioNode(this, 'destination');
+      contexts.push(this);
+    }
+
+    createGain() {
+      const node = new AudioNode(this, 'gain');
+      node.gain = new AudioParam(1);
+      return node;
+    }
+
+    createOscillator() {
+      const node = new SourceNode(this, 'oscillator');
+      node.type = 'sine';
+      node.frequency = new AudioParam(440);
+      return node;
+    }
+
+    createBiquadFilter() {
+      const node = new AudioNode(this, 'biquad');
+      node.type = 'lowpass';
+      node.frequency = new AudioParam(350);
+      node.Q = new AudioParam(1);
+      return node;
+    }
+
+    createStereoPanner() {
+      const node = new AudioNode(this, 'panner');
+      node.pan = new AudioParam(0);
+      return node;
+    }
+
+    createDelay(maxDelayTime = 1) {
+      const node = new AudioNode(this, 'delay');
+      node.maxDelayTime = maxDelayTime;
+      node.delayTime = new AudioParam(0);
+      return node;
+    }
+
+    createConvolver() {
+      const node = new AudioNode(this, 'convolver');
+      node.buffer = null;
+      return node;
+    }
+
+    createWaveShaper() {
+      const node = new AudioNode(this, 'shaper');
+      node.curve = null;
+      node.oversample = 'none';
+      return node;
+    }
+
+    createBuffer(channels, length, sampleRate) {
+      const data = Array.from({ length: channels }, () => new Float32Array(length));
+      return { length, sampleRate, getChannelData: channel => data[channel] };
+    }
+
+    createBufferSource() {
+      const node = new SourceNode(this, 'buffer');
+      node.buffer = null;
+      node.loop = false;
+      return node;
+    }
+
+    async resume() {
+      this.state = 'running';
+    }
+
+    async close() {
+      this.state = 'closed';
+    }
+
+    // Nodes of one kind, e.g. 'oscillator', in creation order.
+    nodesOf(kind) {
+      return this.nodes.filter(node => node.kind === kind);
+    }
+  }
+
+  return { AudioContext, contexts };
+}
+
+module.exports = { createWebAudio };
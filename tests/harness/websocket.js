@@ -0,0 +1,289 @@
+'use strict';
+
+// Minimal RFC 6455 WebSocket pieces for the Ultrascripts harness. Node 20 has
+// no global WebSocket, and the harness must not pull in packages, so this
+// covers exactly what the page and the mock server exchange: unfragmented
+// text frames, ping/pong, and the close handshake.
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = Object.freeze({ text: 0x1, close: 0x8, ping: 0x9, pong: 0xa });
+
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+function encodeFrame(opcode, payload = Buffer.alloc(0), { mask = false } = {}) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+  let header;
+  if (data.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = data.length;
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  if (!mask) return Buffer.concat([header, data]);
+
+  header[1] |= 0x80;
+  const key = crypto.randomBytes(4);
+  const masked = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) masked[i] = data[i] ^ key[i % 4];
+  return Buffer.concat([header, key, masked]);
+}
+
+// Incremental frame reader. Feed it socket chunks; it calls onFrame for every
+// complete frame with { opcode, payload }.
+function createFrameReader(onFrame) {
+  let buffered = Buffer.alloc(0);
+
+  return function read(chunk) {
+    buffered = Buffer.concat([buffered, chunk]);
+    while (buffered.length >= 2) {
+      const fin = (buffered[0] & 0x80) !== 0;
+      const opcode = buffered[0] & 0x0f;
+      const masked = (buffered[1] & 0x80) !== 0;
+      let length = buffered[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffered.length < 4) return;
+        length = buffered.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffered.length < 10) return;
+        length = Number(buffered.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffered.length < offset + length) return;
+
+      const payload = Buffer.from(buffered.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffered[maskOffset + (i % 4)];
+      }
+      buffered = buffered.subarray(offset + length);
+      if (!fin) throw new Error('Fragmented WebSocket frames are not supported by the harness');
+      onFrame({ opcode, payload });
+    }
+  };
+}
+
+class HarnessMessageEvent extends Event {
+  constructor(type, init = {}) {
+    super(type);
+    this.data = init.data;
+    this.origin = init.origin || '';
+    this.source = init.source || null;
+  }
+}
+
+class HarnessCloseEvent extends Event {
+  constructor(type, init = {}) {
+    super(type);
+    this.code = init.code ?? 1005;
+    this.reason = init.reason || '';
+    this.wasClean = !!init.wasClean;
+  }
+}
+
+// Returns a browser-shaped WebSocket class. `resolveUrl` maps the URL the page
+// asked for onto the local server, so page code keeps using production URLs.
+function createWebSocketClass({ resolveUrl = url => url, sockets = new Set() } = {}) {
+  class WebSocket extends EventTarget {
+    constructor(url, protocols) {
+      super();
+      this.url = String(url);
+      this.protocol = '';
+      this.binaryType = 'blob';
+      this.readyState = WebSocket.CONNECTING;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onerror = null;
+      this.onclose = null;
+      this._socket = null;
+      this._closeSent = false;
+
+      const target = new URL(resolveUrl(this.url));
+      const key = crypto.randomBytes(16).toString('base64');
+      const protocolList = protocols == null ? [] : [].concat(protocols);
+      const request = http.request({
+        host: target.hostname,
+        port: target.port,
+        path: target.pathname + target.search,
+        headers: {
+          Connection: 'Upgrade',
+          Upgrade: 'websocket',
+          'Sec-WebSocket-Key': key,
+          'Sec-WebSocket-Version': '13',
+          ...(protocolList.length ? { 'Sec-WebSocket-Protocol': protocolList.join(', ') } : {}),
+        },
+      });
+      request.on('upgrade', (res, socket, head) => {
+        if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+          socket.destroy();
+          this._fail();
+          return;
+        }
+        this._attach(socket, head, res.headers['sec-websocket-protocol'] || '');
+      });
+      request.on('response', () => this._fail());
+      request.on('error', () => this._fail());
+      request.end();
+      sockets.add(this);
+    }
+
+    send(data) {
+      if (this.readyState !== WebSocket.OPEN) {
+        throw new Error('WebSocket is not open');
+      }
+      this._socket.write(encodeFrame(OPCODES.text, String(data), { mask: true }));
+    }
+
+    close(code = 1000, reason = '') {
+      if (this.readyState === WebSocket.CLOSING || this.readyState === WebSocket.CLOSED) return;
+      if (this.readyState === WebSocket.CONNECTING) {
+        this._finish({ code: 1006, reason: 'closed before open', wasClean: false });
+        return;
+      }
+      this.readyState = WebSocket.CLOSING;
+      this._sendClose(code, reason);
+    }
+
+    dispatchEvent(event) {
+      const result = super.dispatchEvent(event);
+      const handler = this['on' + event.type];
+      if (typeof handler === 'function') handler.call(this, event);
+      return result;
+    }
+
+    _attach(socket, head, protocol) {
+      this._socket = socket;
+      this.protocol = protocol;
+      this.readyState = WebSocket.OPEN;
+      const read = createFrameReader(frame => this._onFrame(frame));
+      socket.on('data', chunk => read(chunk));
+      socket.on('close', () => this._finish({ code: this._closeCode ?? 1006, reason: '', wasClean: this._closeSent }));
+      socket.on('error', () => {});
+      this.dispatchEvent(new Event('open'));
+      if (head?.length) read(head);
+    }
+
+    _onFrame({ opcode, payload }) {
+      if (opcode === OPCODES.text) {
+        if (this.readyState !== WebSocket.OPEN) return;
+        this.dispatchEvent(new HarnessMessageEvent('message', { data: payload.toString('utf8') }));
+      } else if (opcode === OPCODES.ping) {
+        this._socket.write(encodeFrame(OPCODES.pong, payload, { mask: true }));
+      } else if (opcode === OPCODES.close) {
+        this._closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        this.readyState = WebSocket.CLOSING;
+        this._sendClose(this._closeCode, '');
+        this._socket.end();
+      }
+    }
+
+    _sendClose(code, reason) {
+      if (this._closeSent || !this._socket) return;
+      this._closeSent = true;
+      const reasonBytes = Buffer.from(reason, 'utf8');
+      const payload = Buffer.alloc(2 + reasonBytes.length);
+      payload.writeUInt16BE(code, 0);
+      reasonBytes.copy(payload, 2);
+      this._socket.write(encodeFrame(OPCODES.close, payload, { mask: true }));
+    }
+
+    _fail() {
+      if (this.readyState === WebSocket.CLOSED) return;
+      this.dispatchEvent(new Event('error'));
+      this._finish({ code: 1006, reason: '', wasClean: false });
+    }
+
+    _finish(init) {
+      if (this.readyState === WebSocket.CLOSED) return;
+      this.readyState = WebSocket.CLOSED;
+      sockets.delete(this);
+      this._socket?.destroy();
+      this.dispatchEvent(new HarnessCloseEvent('close', init));
+    }
+  }
+
+  WebSocket.CONNECTING = 0;
+  WebSocket.OPEN = 1;
+  WebSocket.CLOSING = 2;
+  WebSocket.CLOSED = 3;
+  return WebSocket;
+}
+
+// Server side of the handshake. Call from an http.Server 'upgrade' listener;
+// returns a connection with send/close and a message callback, or null when
+// the request is not a WebSocket upgrade.
+function acceptUpgrade(req, socket, head, { protocol = null, onMessage, onClose } = {}) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || String(req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  const offered = String(req.headers['sec-websocket-protocol'] || '')
+    .split(',').map(item => item.trim()).filter(Boolean);
+  const chosen = protocol && offered.includes(protocol) ? protocol : null;
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    ...(chosen ? [`Sec-WebSocket-Protocol: ${chosen}`] : []),
+    '', '',
+  ].join('\r\n'));
+
+  let closed = false;
+  const connection = {
+    protocol: chosen,
+    send(text) {
+      if (!closed) socket.write(encodeFrame(OPCODES.text, String(text)));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      closed = true;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+      socket.write(encodeFrame(OPCODES.close, payload));
+      socket.end();
+    },
+    destroy() {
+      closed = true;
+      socket.destroy();
+    },
+  };
+
+  const read = createFrameReader(({ opcode, payload }) => {
+    if (opcode === OPCODES.text) onMessage?.(payload.toString('utf8'));
+    else if (opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, payload));
+    else if (opcode === OPCODES.close) connection.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+  });
+  socket.on('data', chunk => {
+    try { read(chunk); } catch { connection.destroy(); }
+  });
+  socket.on('close', () => {
+    closed = true;
+    onClose?.();
+  });
+  socket.on('error', () => {});
+  if (head?.length) read(head);
+  return connection;
+}
+
+module.exports = {
+  HarnessMessageEvent,
+  acceptUpgrade,
+  createWebSocketClass,
+};
@@ -0,0 +1,549 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+// Inline Output Modifier for the transport checks: queues one `probe.hold`
+// request on the first turn and otherwise leaves the story alone.
+const HOLD_SCRIPT = `
+var modifier = function (text) {
+  state.turns = (state.turns || 0) + 1;
+  if (state.turns === 1) {
+    addStoryCard('ultrascripts:out', JSON.stringify({
+      v: 1,
+      requests: [{ id: 'hold-1', module: 'probe', op: 'hold', args: {} }],
+      acks: []
+    }), 'Ultrascripts');
+  }
+  return { text: text };
+};
+modifier(text);
+`;
+
+// Asks `sdk.negotiate` for a verdict on the first turn.
+const NEGOTIATE_SCRIPT = `
+var modifier = function (text) {
+  state.turns = (state.turns || 0) + 1;
+  if (state.turns === 1) {
+    addStoryCard('ultrascripts:out', JSON.stringify({
+      v: 1,
+      requests: [{
+        id: 'negotiate-1',
+        module: 'sdk',
+        op: 'negotiate',
+        args: {
+          protocol: 1,
+          modules: {
+            audio: { features: ['noise'] },
+            storage: { version: '1.0', ops: { set: '1.0.0' }, limits: { maxValueBytes: 1000000 } },
+            weather: { optional: true }
+          }
+        }
+      }, {
+        id: 'bad-key-1',
+        module: 'storage',
+        op: 'set',
+        args: { key: 'bad key', value: 1 }
+      }],
+      acks: []
+    }), 'Ultrascripts');
+  }
+  return { text: text };
+};
+modifier(text);
+`;
+
+// Queues one \`system.info\` request per turn, ids \`info-<turn>\`.
+const CONSENT_SCRIPT = `
+var modifier = function (text) {
+  state.turns = (state.turns || 0) + 1;
+  var value = JSON.stringify({
+    v: 1,
+    requests: [{ id: 'info-' + state.turns, module: 'system', op: 'info', args: {} }],
+    acks: []
+  });
+  for (var i = 0; i < storyCards.length; i++) {
+    if (storyCards[i].title === 'ultrascripts:out') {
+      updateStoryCard(i, 'ultrascripts:out', value, 'Ultrascripts');
+      return { text: text };
+    }
+  }
+  addStoryCard('ultrascripts:out', value, 'Ultrascripts');
+  return { text: text };
+};
+modifier(text);
+`;
+
+// Saves one scenario-scoped storage value on the first turn.
+const SCENARIO_SCOPE_SCRIPT = `
+var modifier = function (text) {
+  state.turns = (state.turns || 0) + 1;
+  if (state.turns === 1) {
+    addStoryCard('ultrascripts:out', JSON.stringify({
+      v: 1,
+      requests: [{ id: 'scenario-set-1', module: 'storage', op: 'set', args: { scope: 'scenario', key: 'best', value: 7 } }],
+      acks: []
+    }), 'Ultrascripts');
+  }
+  return { text: text };
+};
+modifier(text);
+`;
+
+// Page objects come from another realm; compare them as plain JSON.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function probeModule(signals) {
+  return {
+    id: 'probe',
+    version: '1.0.0',
+    ops: {
+      hold: {
+        idempotent: 'safe',
+        timeoutMs: 10000,
+        handler(_args, _ctx, request) {
+          signals.set(request.id, request.signal);
+          return new Promise(resolve => request.signal.addEventListener('abort', () => resolve({}), { once: true }));
+        },
+      },
+    },
+    mount() {},
+  };
+}
+
+async function testHydrationAndHeartbeat() {
+  const harness = await createHarness({ modules: ['storage'] });
+  try {
+    const { server, page } = harness;
+    const ws = page.ultrascripts.ws;
+    assert.equal(ws.getAdventureId(), server.adventureId);
+    assert.equal(ws.getAdventureShortId(), server.shortId);
+    assert.equal(ws.getBaseCredentials().headers.authorization, server.authorization);
+
+    const heartbeat = server.readCardJson('ultrascripts:heartbeat');
+    assert.equal(heartbeat.ultrascripts.protocol, 1);
+    assert.equal(heartbeat.ultrascripts.client, 'BetterDungeon');
+    assert.ok(heartbeat.modules.some(module => module.id === 'storage' && module.ops.includes('transaction')));
+    assert.equal(server.mutations[0].title, 'ultrascripts:heartbeat');
+    assert.ok(server.requests.some(request => request.operationName === 'SaveQueueStoryCard'));
+
+    // Turns advance the live count on both sides and refresh the heartbeat in place.
+    await harness.turn('You look around.');
+    await harness.turn('You open the door.');
+    assert.equal(server.getLiveCount(), 4);
+    assert.equal(page.ultrascripts.core.getLiveCount(), 4);
+    assert.equal(page.ultrascripts.core.getTail(), '3');
+    assert.equal(server.readCardJson('ultrascripts:heartbeat').turn, 4);
+    assert.equal(server.getCards().filter(card => card.title === 'ultrascripts:heartbeat').length, 1);
+    assert.ok(server.requests.some(request => request.operationName === 'UseAutoSaveStoryCard'));
+
+    // Retry replaces the tail: same live count, original marked undone.
+    server.retry();
+    await page.settle();
+    const actions = ws.getActions();
+    assert.notEqual(actions.get('3').undoneAt, null);
+    assert.equal(actions.get('4').retriedActionId, '3');
+    assert.equal(page.ultrascripts.core.getLiveCount(), 4);
+
+    // Undo drops the live count without a new generation.
+    server.undo();
+    await page.settle();
+    assert.equal(page.ultrascripts.core.getLiveCount(), 3);
+    assert.equal(server.readCardJson('ultrascripts:heartbeat').turn, 3);
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testWriteRetriesTransientFailure() {
+  const harness = await createHarness({ modules: ['storage'] });
+  try {
+    const { server, page } = harness;
+    server.failRequests(1, 503);
+    await harness.turn('You wait for the storm to pass.');
+    const metrics = page.ultrascripts.writeQueue.getMetrics();
+    assert.equal(metrics.retries, 1);
+    assert.equal(metrics.failures, 0);
+    assert.equal(server.readCardJson('ultrascripts:heartbeat').turn, 2);
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testRetryBackoffDoesNotBlockOtherCards() {
+  const harness = await createHarness({ modules: ['storage'] });
+  try {
+    const { server, page } = harness;
+    const { core, writeQueue } = page.ultrascripts;
+    server.failRequests(1, 503);
+    let failedSettled = false;
+    const failed = core.writeCard('probe:flaky', '{"n":1}', { type: 'Ultrascripts' })
+      .then(result => { failedSettled = true; return result; });
+    await server.waitFor(() => writeQueue.inspect().retrying.includes('probe:flaky'), { label: 'flaky retry' });
+
+    // The second card goes out while the first is still backing off.
+    await core.writeCard('probe:steady', '{"n":2}', { type: 'Ultrascripts' });
+    assert.deepEqual(server.readCardJson('probe:steady'), { n: 2 });
+    assert.equal(server.getCardByTitle('probe:flaky'), null);
+    assert.equal(failedSettled, false);
+
+    await failed;
+    assert.deepEqual(server.readCardJson('probe:flaky'), { n: 1 });
+    assert.deepEqual(plain(writeQueue.inspect().retrying), []);
+    assert.equal(writeQueue.getMetrics().retries, 1);
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testWritesShareOneRequest() {
+  const harness = await createHarness({ modules: ['storage'] });
+  try {
+    const { server, page } = harness;
+    const { core, writeQueue } = page.ultrascripts;
+    const before = writeQueue.getMetrics();
+    const postsBefore = server.posts.length;
+
+    await Promise.all(['alpha', 'beta', 'gamma'].map(name =>
+      core.writeCard(`probe:batch:${name}`, JSON.stringify({ name }), { type: 'Ultrascripts' })));
+    await page.settle();
+
+    const posts = server.posts.slice(postsBefore);
+    assert.equal(posts.length, 1);
+    assert.deepEqual(posts[0].operationNames, ['SaveQueueStoryCard', 'SaveQueueStoryCard', 'SaveQueueStoryCard']);
+    for (const name of ['alpha', 'beta', 'gamma']) {
+      assert.deepEqual(server.readCardJson(`probe:batch:${name}`), { name });
+    }
+    const metrics = writeQueue.getMetrics();
+    assert.equal(metrics.batches, before.batches + 1);
+    assert.equal(metrics.lastBatchSize, 3);
+    assert.ok(metrics.maxBatchSize >= 3);
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testTurnBudgetDefersLowPriorityWrites() {
+  const harness = await createHarness({ modules: ['storage'] });
+  try {
+    const { server, page } = harness;
+    const { core, writeQueue } = page.ultrascripts;
+    const { budget } = writeQueue.inspect();
+    const fill = Array.from({ length: budget.limit - budget.used }, (_, i) =>
+      core.writeCard(`probe:fill:${i}`, '{}', { type: 'Ultrascripts' }));
+    await Promise.all(fill);
+    assert.equal(writeQueue.inspect().budget.used, budget.limit);
+
+    // Spent budget: the response still goes out, the rest wait for a turn.
+    const late = core.writeCard('probe:late', '{}', { type: 'Ultrascripts' });
+    const beat = core.writeCard('probe:beat', '{}', { type: 'Ultrascripts', priority: 'heartbeat' });
+    await core.writeCard('probe:response', '{}', { type: 'Ultrascripts', priority: 'response' });
+    await server.waitFor(() => writeQueue.inspect().deferred.length === 2, { label: 'deferred writes' });
+    assert.deepEqual([...writeQueue.inspect().deferred].sort(), ['probe:beat', 'probe:late']);
+    assert.equal(server.getCardByTitle('probe:late'), null);
+    assert.equal(writeQueue.getMetrics().deferred, 2);
+
+    await harness.turn('You catch your breath.');
+    await Promise.all([late, beat]);
+    const order = server.mutations.map(mutation => mutation.title);
+    assert.ok(order.indexOf('probe:late') < order.indexOf('probe:beat'));
+    assert.equal(writeQueue.inspect().budget.turn, budget.turn + 1);
+    assert.equal(writeQueue.getMetrics().failures, 0);
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testCapabilityNegotiation() {
+  const harness = await createHarness({
+    modules: ['storage', 'sdk', 'audio'],
+    outputModifier: NEGOTIATE_SCRIPT,
+    // Debug mode turns on the request trace checked below.
+    page: { sync: { ultrascripts_debug: true } },
+  });
+  try {
+    const { server, page } = harness;
+    const heartbeat = server.readCardJson('ultrascripts:heartbeat');
+    assert.equal(heartbeat.ultrascripts.capabilitySchema, 1);
+    const storage = heartbeat.modules.find(module => module.id === 'storage');
+    assert.deepEqual(storage.ops, ['get', 'set', 'delete', 'list', 'transaction']);
+    assert.deepEqual(storage.capabilities.ops.set, { v: '1.0.0', args: ['key', 'value', 'ifVersion?', 'scope?'] });
+    assert.equal(storage.capabilities.limits.maxValueBytes, 32000);
+    const audio = heartbeat.modules.find(module => module.id === 'audio');
+    assert.ok(audio.capabilities.features.includes('noise'));
+    assert.equal(audio.capabilities.ops, undefined);
+
+    const { registry } = page.ultrascripts;
+    assert.equal(registry.describe('storage').ops.set.args.properties.key.maxLength, 128);
+    // Fields an op leaves out are published with the defaults the dispatcher runs it with.
+    page.register({ id: 'bare', version: '1.0.0', ops: { ping: { handler: () => ({}) } }, mount() {} });
+    const bare = plain(registry.describe('bare').ops.ping);
+    const defaults = page.ultrascripts.envelope.OP_DEFAULTS;
+    assert.deepEqual([bare.idempotent, bare.timeoutMs, bare.streaming], [defaults.idempotent, defaults.timeoutMs, false]);
+    assert.equal(bare.idempotent, 'safe');
+    const ok = plain(registry.negotiate({ protocol: 1, modules: { storage: '^1.0.0', sdk: { ops: ['negotiate'] } } }));
+    assert.equal(ok.compatible, true);
+    assert.deepEqual(ok.problems, []);
+
+    const verdict = plain(registry.negotiate({
+      protocol: 2,
+      modules: {
+        storage: { version: '2.0.0', features: ['transactions'] },
+        widget: true,
+        clock: { optional: true },
+      },
+    }));
+    assert.equal(verdict.compatible, false);
+    assert.deepEqual(verdict.problems.map(problem => problem.code), ['protocol_version', 'module_version', 'module_missing']);
+    assert.deepEqual(verdict.warnings.map(problem => problem.code), ['module_missing']);
+    assert.equal(verdict.modules.clock.optional, true);
+    assert.equal(registry.negotiate({ modules: { storage: '>=0.9' } }).compatible, true);
+    assert.throws(() => registry.negotiate({ modules: { storage: 'latest' } }), error => error.code === 'invalid_args');
+
+    const exported = plain(registry.exportArgSchemas('storage'));
+    assert.equal(exported.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.deepEqual(Object.keys(exported.modules), ['storage']);
+    assert.deepEqual(exported.modules.storage.ops.set.args.required, ['key', 'value']);
+    assert.equal(registry.exportArgSchemas().modules.sdk.ops.schemas.args.properties.module.type, 'string');
+
+    // Scripts get the same verdict through sdk.negotiate.
+    await harness.turn('You check your gear.');
+    const response = await server.waitFor(
+      () => server.readCardJson('ultrascripts:in:sdk')?.responses?.['negotiate-1'],
+      { label: 'negotiate response' },
+    );
+    assert.equal(response.status, 'ok');
+    assert.equal(response.data.compatible, false);
+    assert.deepEqual(response.data.problems.map(problem => [problem.module, problem.code]), [['storage', 'limit_unmet']]);
+    assert.deepEqual(response.data.warnings.map(problem => problem.code), ['module_missing']);
+    assert.equal(response.data.modules.audio.compatible, true);
+
+    // The dispatcher rejects args that break the op's schema before the
+    // handler runs.
+    const rejected = await server.waitFor(
+      () => server.readCardJson('ultrascripts:in:storage')?.responses?.['bad-key-1'],
+      { label: 'bad-key response' },
+    );
+    assert.equal(rejected.status, 'err');
+    assert.equal(rejected.error.code, 'invalid_args');
+    assert.equal(rejected.error.path, '/key');
+    assert.equal(page.ultrascripts.opsDispatcher.inspect().metrics.invalidArgs, 1);
+
+    // Both requests are in the trace with the action that issued them.
+    const summaries = plain(page.ultrascripts.trace.requests());
+    const negotiated = summaries.find(item => item.requestId === 'negotiate-1');
+    assert.equal(negotiated.status, 'ok');
+    assert.equal(negotiated.module, 'sdk');
+    assert.ok(negotiated.actionId);
+    assert.equal(summaries.find(item => item.requestId === 'bad-key-1').response.error.code, 'invalid_args');
+    assert.equal(plain(page.ultrascripts.trace.exportTrace()).format, 'bd-ultrascripts-trace');
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testConsentPrompts() {
+  const harness = await createHarness({ modules: ['system'], outputModifier: CONSENT_SCRIPT });
+  try {
+    const { server, page } = harness;
+    const { consent } = page.ultrascripts;
+    const heartbeat = server.readCardJson('ultrascripts:heartbeat');
+    assert.equal(heartbeat.modules.find(module => module.id === 'system').requiresConsent, true);
+
+    const response = id => server.readCardJson('ultrascripts:in:system')?.responses?.[id];
+    const terminal = id => server.waitFor(() => {
+      const value = response(id);
+      return value && value.status !== 'pending' ? value : null;
+    }, { label: `${id} response` });
+    const prompted = async (turn) => {
+      server.submit(`You glance at the device (${turn}).`);
+      return server.waitFor(() => consent.inspect().prompts[0], { label: `prompt ${turn}` });
+    };
+
+    // The prompt names the scenario, module, and ops; the request waits pending.
+    const first = plain(await prompted(1));
+    assert.equal(first.scenarioId, server.scenarioId);
+    assert.equal(first.title, 'Harness Adventure');
+    assert.equal(first.module, 'system');
+    assert.deepEqual(first.ops, ['info', 'power']);
+    assert.deepEqual(first.waiting, [{ requestId: 'info-1', op: 'info' }]);
+    assert.equal(response('info-1').status, 'pending');
+    assert.equal(consent.resolvePrompt(first.id, 'later'), false);
+
+    // Allow once runs the waiting request but remembers nothing.
+    assert.equal(consent.resolvePrompt(first.id, 'once'), true);
+    assert.equal((await terminal('info-1')).status, 'ok');
+    assert.deepEqual(plain(await consent.listGrants()), {});
+
+    const second = await prompted(2);
+    consent.resolvePrompt(second.id, 'scenario');
+    assert.equal((await terminal('info-2')).status, 'ok');
+    const stored = await page.chrome.storage.local.get(consent.STORAGE_KEY);
+    assert.equal(stored[consent.STORAGE_KEY][server.scenarioId].modules.system.decision, 'allow');
+
+    await harness.turn('You glance at the device (3).');
+    assert.equal(response('info-3').status, 'ok');
+    assert.equal(consent.inspect().metrics.autoAllowed, 1);
+
+    // Revoking (as the popup does) asks again; a denial sticks.
+    assert.equal(await consent.revoke(server.scenarioId, 'system'), true);
+    const fourth = await prompted(4);
+    consent.resolvePrompt(fourth.id, 'deny');
+    const denied = await terminal('info-4');
+    assert.equal(denied.status, 'err');
+    assert.equal(denied.error.code, 'consent_denied');
+
+    await harness.turn('You glance at the device (5).');
+    assert.equal(response('info-5').error.code, 'consent_denied');
+    assert.deepEqual(plain(consent.inspect().metrics), {
+      prompts: 3,
+      allowedOnce: 1,
+      allowedScenario: 1,
+      denied: 1,
+      autoAllowed: 1,
+      autoDenied: 1,
+    });
+    assert.equal(page.ultrascripts.opsDispatcher.inspect().metrics.consentDenied, 2);
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testUndoCancelsInflightRequest() {
+  const signals = new Map();
+  const harness = await createHarness({ outputModifier: HOLD_SCRIPT });
+  try {
+    const { server, page } = harness;
+    page.register(probeModule(signals));
+    server.submit('You light the fuse.');
+    await server.waitFor(() => signals.has('hold-1'), { label: 'hold-1 dispatch' });
+    assert.equal(signals.get('hold-1').aborted, false);
+
+    server.undo();
+    const response = await server.waitFor(() => {
+      const card = server.readCardJson('ultrascripts:in:probe');
+      return card?.responses?.['hold-1']?.status === 'cancelled' ? card.responses['hold-1'] : null;
+    }, { label: 'hold-1 cancellation' });
+    assert.equal(response.reason, 'undo');
+    assert.equal(signals.get('hold-1').aborted, true);
+    await page.settle();
+    assert.equal(page.ultrascripts.opsDispatcher.inspect().metrics.cancelled, 1);
+  } finally {
+    await harness.close();
+  }
+}
+
+// Scenario-scoped storage files its record under the scenario core
+// resolves, the same id consent grants and op quotas are kept by.
+async function testStorageScenarioScope() {
+  const harness = await createHarness({ modules: ['storage'], outputModifier: SCENARIO_SCOPE_SCRIPT });
+  try {
+    const { server, page } = harness;
+    await harness.turn('You carve your initials into the door.');
+    const response = await server.waitFor(
+      () => server.readCardJson('ultrascripts:in:storage')?.responses?.['scenario-set-1'],
+      { label: 'scenario-scoped set' },
+    );
+    assert.equal(response.status, 'ok');
+    assert.equal(response.data.usage.scope, 'scenario');
+    const record = page.chrome.storage.local.data.get(`ultrascripts_storage_scenario_${server.scenarioId}`);
+    assert.equal(record.entries.best.json, '7');
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testStorageSuite() {
+  const harness = await createHarness({ modules: ['storage'], suite: 'storage-module' });
+  try {
+    const trace = await harness.runSuite('storage');
+    assert.equal(trace.phase, 'complete');
+    assert.equal(trace.checksPass, true);
+    assert.equal(trace.counts.pass, trace.counts.total);
+    assert.deepEqual(harness.server.scriptErrors, []);
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testSystemSuite() {
+  const harness = await createHarness({ modules: ['system'], suite: 'system-module' });
+  try {
+    await harness.page.chrome.storage.local.set({
+      ultrascripts_consent_grants: {
+        [harness.server.scenarioId]: { title: 'Harness Adventure', modules: { system: { decision: 'allow' } } },
+      },
+    });
+    const trace = await harness.runSuite('system');
+    assert.equal(trace.phase, 'complete');
+    assert.equal(trace.checksPass, true);
+  } finally {
+    await harness.close();
+  }
+}
+
+// The network and clock suites need nothing outside the page, so they run
+// here as written. The other live suites stay manual. Weather, WebFetch, and
+// AI reach outside hosts through the background worker, which the harness
+// does not run, and the harness has no network. Audio needs a real
+// AudioContext and Widget a rendered page; their contract tests cover them
+// on the simulated DOM instead.
+async function testNetworkSuite() {
+  const harness = await createHarness({ modules: ['network'], suite: 'network-module' });
+  try {
+    const trace = await harness.runSuite('network');
+    assert.equal(trace.phase, 'complete');
+    assert.equal(trace.checksPass, true);
+    assert.deepEqual(harness.server.scriptErrors, []);
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testClockSuite() {
+  const harness = await createHarness({ modules: ['clock'], suite: 'clock-module' });
+  try {
+    const trace = await harness.runSuite('clock');
+    assert.equal(trace.phase, 'complete');
+    assert.equal(trace.checksPass, true);
+    assert.deepEqual(harness.server.scriptErrors, []);
+  } finally {
+    await harness.close();
+  }
+}
+
+async function testSdkSuite() {
+  const harness = await createHarness({ modules: ['sdk'], suite: 'sdk-module' });
+  try {
+    const trace = await harness.runSuite('sdk');
+    assert.equal(trace.phase, 'complete');
+    for (const [label, result] of Object.entries(trace.results)) {
+      assert.equal(result.status, 'ok', `sdk step ${label}`);
+    }
+  } finally {
+    await harness.close();
+  }
+}
+
+(async () => {
+  await testHydrationAndHeartbeat();
+  await testWriteRetriesTransientFailure();
+  await testRetryBackoffDoesNotBlockOtherCards();
+  await testWritesShareOneRequest();
+  await testTurnBudgetDefersLowPriorityWrites();
+  await testCapabilityNegotiation();
+  await testConsentPrompts();
+  await testUndoCancelsInflightRequest();
+  await testStorageScenarioScope();
+  await testStorageSuite();
+  await testSystemSuite();
+  await testNetworkSuite();
+  await testClockSuite();
+  await testSdkSuite();
+  console.log('Ultrascripts end-to-end contract tests passed');
+})().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
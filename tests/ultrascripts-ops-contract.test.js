@@ -0,0 +1,677 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const session = new Map();
+const cards = new Map();
+const writes = [];
+const coreListeners = new Map();
+const mounted = [];
+const actions = new Map([['7', { id: '7', undoneAt: null }], ['6', { id: '6', undoneAt: 1 }]]);
+let liveCount = 5;
+let tail = '7';
+let scenarioId = 'scenario-a';
+
+global.window = global;
+global.sessionStorage = {
+  getItem: key => (session.has(key) ? session.get(key) : null),
+  setItem: (key, value) => session.set(key, String(value)),
+  removeItem: key => session.delete(key),
+};
+
+function load(relative) {
+  const filename = path.join(ROOT, relative);
+  vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+}
+
+function emit(event, detail) {
+  (coreListeners.get(event) || []).slice().forEach(listener => listener(detail));
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+function responseCard(moduleId) {
+  const card = cards.get(`ultrascripts:in:${moduleId}`);
+  return card ? JSON.parse(card.value) : null;
+}
+
+function sendRequests(requests, acks = []) {
+  const card = { title: 'ultrascripts:out', value: JSON.stringify({ v: 1, requests, acks }) };
+  cards.set(card.title, card);
+  emit('cards:diff', { added: [], updated: [card], removed: [] });
+}
+
+const core = {
+  on(event, listener) {
+    const list = coreListeners.get(event) || [];
+    list.push(listener);
+    coreListeners.set(event, list);
+    return () => coreListeners.set(event, (coreListeners.get(event) || []).filter(item => item !== listener));
+  },
+  getLiveCount: () => liveCount,
+  getCardByTitle: title => cards.get(title) || null,
+  inspect: () => ({ debugEnabled: false }),
+  resolveScenario: async () => ({ id: scenarioId, title: null, adventureShortId: 'demo' }),
+  async writeCard(title, value) {
+    writes.push({ title, value: JSON.parse(value) });
+    cards.set(title, { title, value });
+    return { title, value };
+  },
+};
+
+window.Ultrascripts = {
+  ws: {
+    getTail: () => tail,
+    getActions: () => new Map(actions),
+  },
+  registry: {
+    _forEachMounted(callback) {
+      mounted.forEach(({ def, ctx }) => callback(def, ctx));
+    },
+  },
+};
+
+load('services/ultrascripts/envelope.js');
+load('services/ultrascripts/arg-schema.js');
+load('services/ultrascripts/rate-limits.js');
+load('services/ultrascripts/trace-recorder.js');
+load('services/ultrascripts/ops-dispatcher.js');
+
+const dispatcher = window.Ultrascripts.opsDispatcher;
+const envelope = window.Ultrascripts.envelope;
+const trace = window.Ultrascripts.trace;
+const streamGate = deferred();
+const partialResults = [];
+const signals = new Map();
+let slowRuns = 0;
+const validatedArgs = [];
+let burstRuns = 0;
+let quotaRuns = 0;
+
+const demoCtx = {
+  id: 'demo',
+  partial: (requestId, data) => dispatcher.partial(requestId, data),
+};
+mounted.push({
+  ctx: demoCtx,
+  def: {
+    id: 'demo',
+    ops: {
+      stream: {
+        idempotent: 'safe',
+        streaming: true,
+        async handler(args, ctx, request) {
+          for (const text of args.parts) partialResults.push(ctx.partial(request.id, { text }));
+          await streamGate.promise;
+          return { text: args.parts.join('') };
+        },
+      },
+      plain: {
+        idempotent: 'safe',
+        handler(_args, ctx, request) {
+          partialResults.push(ctx.partial(request.id, { text: 'ignored' }));
+          return { done: true };
+        },
+      },
+      write: {
+        idempotent: 'unsafe',
+        streaming: true,
+        handler: () => ({ wrote: true }),
+      },
+      slow: {
+        idempotent: 'safe',
+        async handler(_args, _ctx, request) {
+          slowRuns++;
+          signals.set(request.id, request.signal);
+          await new Promise(resolve => request.signal.addEventListener('abort', resolve, { once: true }));
+          return { late: true };
+        },
+      },
+      batch: {
+        idempotent: 'unsafe',
+        args: {
+          type: 'object',
+          properties: {
+            ops: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                properties: {
+                  key: { type: 'string', pattern: '^[a-z]+$' },
+                  count: { type: 'integer', minimum: 0 },
+                },
+                required: ['key'],
+              },
+            },
+            'a/b': { type: 'boolean' },
+          },
+          required: ['ops'],
+        },
+        handler(args) {
+          validatedArgs.push(args);
+          return { applied: args.ops.length };
+        },
+      },
+      burst: {
+        idempotent: 'safe',
+        rateLimit: { burst: 2, perMinute: 6 },
+        handler: () => ({ run: ++burstRuns }),
+      },
+      quota: {
+        idempotent: 'safe',
+        dailyQuota: 2,
+        handler: () => ({ run: ++quotaRuns }),
+      },
+      stall: {
+        idempotent: 'safe',
+        timeoutMs: 20,
+        handler(_args, _ctx, request) {
+          signals.set(request.id, request.signal);
+          return new Promise(() => {});
+        },
+      },
+    },
+  },
+});
+
+function testPartialWindow() {
+  let response = envelope.pendingResponse({ startedAt: 10, liveCount: 2 });
+  for (const text of ['a', 'b', 'c']) {
+    response = envelope.partialResponse(response, { text }, { maxChunks: 2 });
+  }
+  assert.equal(response.status, 'partial');
+  assert.equal(response.seq, 3);
+  assert.equal(response.firstSeq, 2);
+  assert.equal(response.startedAt, 10);
+  assert.equal(response.startedLiveCount, 2);
+  assert.deepEqual(response.chunks.map(chunk => chunk.data.text), ['b', 'c']);
+  assert.equal(envelope.isPartialResponse(response), true);
+  assert.equal(envelope.isTerminalResponse(response), false);
+
+  const restarted = envelope.partialResponse(envelope.okResponse({}), { text: 'x' });
+  assert.equal(restarted.seq, 1);
+}
+
+async function testStreamingDispatch() {
+  sendRequests([{ id: 'stream-1', module: 'demo', op: 'stream', args: { parts: ['Hel', 'lo'] } }]);
+  await wait(0);
+  assert.deepEqual(partialResults, [true, true]);
+  assert.equal(responseCard('demo').responses['stream-1'].status, 'pending');
+
+  await wait(300);
+  const partial = responseCard('demo').responses['stream-1'];
+  assert.equal(partial.status, 'partial');
+  assert.equal(partial.seq, 2);
+  assert.equal(partial.firstSeq, 1);
+  assert.deepEqual(partial.chunks.map(chunk => chunk.seq), [1, 2]);
+  assert.equal(partial.chunks.map(chunk => chunk.data.text).join(''), 'Hello');
+  assert.equal(dispatcher.inspect().metrics.partialChunks, 2);
+  assert.equal(dispatcher.inspect().metrics.partialWrites, 1);
+
+  // A stale echo of the pending card must not roll the stream back.
+  const staleCard = {
+    title: 'ultrascripts:in:demo',
+    value: JSON.stringify({ v: 1, responses: { 'stream-1': envelope.pendingResponse({}) } }),
+  };
+  cards.set(staleCard.title, staleCard);
+  emit('cards:diff', { added: [], updated: [staleCard], removed: [] });
+  await wait(0);
+  assert.equal(responseCard('demo').responses['stream-1'].seq, 2);
+
+  streamGate.resolve();
+  await wait(0);
+  const terminal = responseCard('demo').responses['stream-1'];
+  assert.equal(terminal.status, 'ok');
+  assert.deepEqual(terminal.data, { text: 'Hello' });
+  assert.equal(terminal.chunks, undefined);
+  assert.equal(dispatcher.partial('stream-1', { text: 'late' }), false);
+}
+
+async function testNonStreamingOpsIgnorePartial() {
+  partialResults.length = 0;
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    sendRequests([{ id: 'plain-1', module: 'demo', op: 'plain', args: {} }]);
+    await wait(0);
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepEqual(partialResults, [false]);
+  assert.match(warnings.join('\n'), /not declared streaming/);
+  assert.equal(responseCard('demo').responses['plain-1'].status, 'ok');
+}
+
+async function testUnsafePartialReplayBlocked() {
+  const card = {
+    title: 'ultrascripts:in:demo',
+    value: JSON.stringify({
+      v: 1,
+      responses: {
+        ...responseCard('demo').responses,
+        'write-1': envelope.partialResponse(envelope.pendingResponse({}), { step: 1 }),
+      },
+    }),
+  };
+  cards.set(card.title, card);
+  emit('cards:diff', { added: [], updated: [card], removed: [] });
+  sendRequests([{ id: 'write-1', module: 'demo', op: 'write', args: {} }]);
+  await wait(0);
+  const blocked = responseCard('demo').responses['write-1'];
+  assert.equal(blocked.status, 'err');
+  assert.equal(blocked.error.code, 'unsafe_replay_blocked');
+}
+
+async function testScriptCancel() {
+  sendRequests([{ id: 'slow-1', module: 'demo', op: 'slow', args: {} }]);
+  await wait(0);
+  assert.equal(signals.get('slow-1').aborted, false);
+
+  const card = { title: 'ultrascripts:out', value: JSON.stringify({ v: 1, requests: [], acks: [], cancel: ['slow-1'] }) };
+  cards.set(card.title, card);
+  emit('cards:diff', { added: [], updated: [card], removed: [] });
+  await wait(0);
+
+  assert.equal(signals.get('slow-1').aborted, true);
+  assert.equal(signals.get('slow-1').reason.code, 'cancelled');
+  const cancelled = responseCard('demo').responses['slow-1'];
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.reason, 'script');
+  assert.equal(cancelled.error.code, 'cancelled');
+  assert.equal(envelope.isTerminalResponse(cancelled), true);
+  assert.equal(dispatcher.inspect().inflight.includes('slow-1'), false);
+}
+
+async function testCancelBeforeDispatch() {
+  const runsBefore = slowRuns;
+  const card = {
+    title: 'ultrascripts:out',
+    value: JSON.stringify({
+      v: 1,
+      requests: [{ id: 'slow-2', module: 'demo', op: 'slow', args: {} }],
+      acks: [],
+      cancel: ['slow-2'],
+    }),
+  };
+  cards.set(card.title, card);
+  emit('cards:diff', { added: [], updated: [card], removed: [] });
+  await wait(0);
+  assert.equal(slowRuns, runsBefore);
+  assert.equal(responseCard('demo').responses['slow-2'].status, 'cancelled');
+  assert.deepEqual(dispatcher.inspect().earlyCancels, []);
+
+  sendRequests([{ id: 'slow-3', module: 'demo', op: 'slow', args: {}, actionId: '6' }]);
+  await wait(0);
+  assert.equal(slowRuns, runsBefore);
+  assert.equal(responseCard('demo').responses['slow-3'].reason, 'undo');
+}
+
+async function testUndoCancelsTurnRequests() {
+  sendRequests([
+    { id: 'slow-4', module: 'demo', op: 'slow', args: {} },
+    { id: 'slow-5', module: 'demo', op: 'slow', args: {}, actionId: '8' },
+  ]);
+  await wait(0);
+
+  actions.set('7', { id: '7', undoneAt: 2 });
+  actions.set('8', { id: '8', undoneAt: null });
+  tail = '8';
+  emit('actions:change', { undoneActionIds: ['7'] });
+  await wait(0);
+
+  assert.equal(signals.get('slow-4').aborted, true);
+  assert.equal(responseCard('demo').responses['slow-4'].status, 'cancelled');
+  assert.equal(responseCard('demo').responses['slow-4'].reason, 'undo');
+  assert.equal(signals.get('slow-5').aborted, false);
+  assert.equal(responseCard('demo').responses['slow-5'].status, 'pending');
+  assert.equal(await dispatcher.cancel('slow-5'), true);
+  assert.equal(responseCard('demo').responses['slow-5'].status, 'cancelled');
+  assert.equal(await dispatcher.cancel('slow-5'), false);
+}
+
+async function testTimeoutAbortsSignal() {
+  sendRequests([{ id: 'stall-1', module: 'demo', op: 'stall', args: {} }]);
+  await wait(60);
+  assert.equal(signals.get('stall-1').aborted, true);
+  assert.equal(signals.get('stall-1').reason.code, 'timeout');
+  assert.equal(responseCard('demo').responses['stall-1'].status, 'timeout');
+}
+
+async function testArgsValidatedAgainstSchema() {
+  sendRequests([
+    { id: 'batch-1', module: 'demo', op: 'batch', args: { ops: [{ key: 'ok' }, { key: 'a b', count: 1.5 }] } },
+    { id: 'batch-2', module: 'demo', op: 'batch', args: { ops: [{ key: 'ok' }], 'a/b': 'yes' } },
+    { id: 'batch-3', module: 'demo', op: 'batch' },
+    { id: 'batch-4', module: 'demo', op: 'batch', args: ['ops'] },
+    { id: 'batch-5', module: 'demo', op: 'batch', args: { ops: [{ key: 'fine', count: 2 }], extra: true } },
+  ]);
+  await wait(0);
+  const responses = responseCard('demo').responses;
+
+  const nested = responses['batch-1'];
+  assert.equal(nested.status, 'err');
+  assert.equal(nested.error.code, 'invalid_args');
+  assert.equal(nested.error.path, '/ops/1/key');
+  assert.equal(nested.error.message, 'args/ops/1/key must match ^[a-z]+$');
+  assert.deepEqual(nested.error.errors.map(error => error.path), ['/ops/1/key', '/ops/1/count']);
+  assert.equal(responses['batch-2'].error.path, '/a~1b');
+  assert.equal(responses['batch-3'].error.path, '/ops');
+  assert.equal(responses['batch-3'].error.message, 'args/ops is required');
+  assert.equal(responses['batch-4'].error.path, '');
+  assert.equal(responses['batch-4'].error.message, 'args must be object');
+
+  // Unknown properties pass through unless the schema closes the object.
+  assert.equal(responses['batch-5'].status, 'ok');
+  assert.deepEqual(responses['batch-5'].data, { applied: 1 });
+  assert.equal(validatedArgs.length, 1);
+  assert.equal(validatedArgs[0].extra, true);
+  assert.equal(dispatcher.inspect().metrics.invalidArgs, 4);
+}
+
+function testModuleSchemasKeepClampedArgs() {
+  const registered = [];
+  window.Ultrascripts.registry.register = def => registered.push(def);
+  load('modules/weather/module.js');
+  load('modules/webfetch/module.js');
+  delete window.Ultrascripts.registry.register;
+  const [weather, webfetch] = registered;
+  const { validate } = window.Ultrascripts.argSchema;
+
+  // Handlers normalize and clamp these, so the schemas must let them through.
+  const forecast = { latitude: '51.5', longitude: -0.12, units: 'Metric', timeoutMs: 999999, days: '30' };
+  assert.equal(validate(weather.ops.forecast.args, forecast).valid, true);
+  assert.equal(validate(weather.ops.current.args, { place: 'Oslo', units: ' IMPERIAL ', timeoutMs: 5 }).valid, true);
+  const fetchArgs = { url: 'https://example.com/', timeoutMs: '2500', maxBodyBytes: '99999999' };
+  assert.equal(validate(webfetch.ops.fetch.args, fetchArgs).valid, true);
+  assert.equal(validate(weather.ops.current.args, { latitude: 91, longitude: 0 }).valid, false);
+}
+
+// Scripts send null for "use the default"; every arg a handler treats that
+// way must pass its schema, and the clamped numbers must take the default.
+async function testNullArgsMeanDefault() {
+  window.Ultrascripts.registry.register = () => {};
+  for (const id of ['clock', 'ai', 'storage', 'sdk']) load(`modules/${id}/module.js`);
+  delete window.Ultrascripts.registry.register;
+  const registered = new Map([
+    ['clock', window.UltrascriptsClockModule],
+    ['ai', window.UltrascriptsAIModule],
+    ['storage', window.UltrascriptsStorageModule],
+    ['sdk', window.UltrascriptsSdkModule],
+    ['weather', window.UltrascriptsWeatherModule],
+    ['webfetch', window.UltrascriptsWebFetchModule],
+  ]);
+  const { validate } = window.Ultrascripts.argSchema;
+  const nulls = {
+    'clock.now': { ts: null, timeZone: null, tz: null },
+    'clock.tz': { ts: null, timeZone: null, tz: null },
+    'clock.format': { format: 'YYYY', ts: null, timeZone: null, tz: null },
+    'ai.query': { prompt: 'Hi', output: null, thinking: null },
+    'ai.chat': { systemInstruction: 'Be brief', messages: [{ role: 'user', content: 'Hi' }], thinking: null },
+    'storage.get': { key: 'a', scope: null },
+    'storage.set': { key: 'a', value: 1, scope: null, ifVersion: null },
+    'storage.delete': { key: 'a', scope: null, ifVersion: null },
+    'storage.list': { prefix: null, after: null, scope: null },
+    'sdk.negotiate': { describe: null },
+    'weather.current': { place: 'Oslo', latitude: null, longitude: null, units: null, timeoutMs: null },
+    'weather.forecast': { place: 'Oslo', days: null, units: null, timeoutMs: null },
+    'webfetch.fetch': { url: 'https://example.com/', method: null, headers: null, timeoutMs: null, maxBodyBytes: null },
+  };
+  for (const [name, args] of Object.entries(nulls)) {
+    const [moduleId, opName] = name.split('.');
+    const result = validate(registered.get(moduleId).ops[opName].args, args);
+    assert.equal(result.valid, true, `${name}: ${JSON.stringify(result.errors)}`);
+  }
+
+  const clock = registered.get('clock').ops;
+  const now = clock.now.handler({ ts: null, timeZone: null, tz: null });
+  assert.equal(now.timeZone, now.systemTimeZone);
+  assert.ok(Math.abs(now.ts - Date.now()) < 5000);
+  assert.equal(clock.format.handler({ ts: 0, timeZone: null, format: 'YYYY-MM-DD HH:mm Z' }), '1970-01-01 00:00 +00:00');
+
+  // A null timeout is the default, not the 1000 ms floor.
+  const sent = [];
+  window.chrome = { runtime: { sendMessage: (message, callback) => { sent.push(message.request); callback({ ok: false, error: { code: 'network_error', message: 'offline' } }); } } };
+  await assert.rejects(registered.get('webfetch').ops.fetch.handler({ url: 'https://example.com/', timeoutMs: null, maxBodyBytes: null }, {}, {}));
+  delete window.chrome;
+  assert.equal(sent.length, 1);
+  assert.ok(sent[0].timeoutMs > 1000, `timeoutMs ${sent[0].timeoutMs}`);
+  assert.ok(sent[0].maxBodyBytes > 1024, `maxBodyBytes ${sent[0].maxBodyBytes}`);
+}
+
+async function testRateLimitTokenBucket() {
+  sendRequests([
+    { id: 'burst-1', module: 'demo', op: 'burst' },
+    { id: 'burst-2', module: 'demo', op: 'burst' },
+    { id: 'burst-3', module: 'demo', op: 'burst' },
+  ]);
+  await wait(0);
+  const responses = responseCard('demo').responses;
+  assert.equal(responses['burst-1'].status, 'ok');
+  assert.equal(responses['burst-2'].status, 'ok');
+  assert.equal(burstRuns, 2);
+
+  const limited = responses['burst-3'];
+  assert.equal(limited.status, 'err');
+  assert.equal(limited.error.code, 'rate_limit');
+  assert.equal(limited.error.window, 'minute');
+  assert.equal(limited.error.limit, 6);
+  // One token refills every 10s at 6 per minute.
+  assert.ok(limited.error.retryAfterMs > 9000 && limited.error.retryAfterMs <= 10000, limited.error.retryAfterMs);
+
+  assert.deepEqual(dispatcher.usage('demo').burst, { rate: { burst: 2, perMinute: 6, available: 0 } });
+}
+
+async function testDailyQuotaPerScenario() {
+  sendRequests([
+    { id: 'quota-1', module: 'demo', op: 'quota' },
+    { id: 'quota-2', module: 'demo', op: 'quota' },
+    { id: 'quota-3', module: 'demo', op: 'quota' },
+  ]);
+  await wait(5);
+  let responses = responseCard('demo').responses;
+  assert.equal(responses['quota-1'].status, 'ok');
+  assert.equal(responses['quota-2'].status, 'ok');
+  assert.equal(quotaRuns, 2);
+  const exhausted = responses['quota-3'].error;
+  assert.equal(exhausted.code, 'rate_limit');
+  assert.equal(exhausted.window, 'day');
+  assert.equal(exhausted.limit, 2);
+  assert.equal(exhausted.scenarioId, 'scenario-a');
+  assert.ok(exhausted.retryAfterMs > 0 && exhausted.retryAfterMs <= 24 * 60 * 60 * 1000);
+
+  const daily = dispatcher.usage('demo').quota.daily;
+  assert.equal(daily.used, 2);
+  assert.equal(daily.limit, 2);
+  assert.equal(daily.scenarioId, 'scenario-a');
+
+  // Another scenario has its own allowance.
+  scenarioId = 'scenario-b';
+  sendRequests([{ id: 'quota-4', module: 'demo', op: 'quota' }]);
+  await wait(5);
+  responses = responseCard('demo').responses;
+  assert.equal(responses['quota-4'].status, 'ok');
+  assert.equal(dispatcher.usage('demo').quota.daily.used, 1);
+
+  const inspected = dispatcher.inspect();
+  assert.equal(inspected.metrics.rateLimited, 2);
+  assert.deepEqual(Object.keys(inspected.usage.demo).sort(), ['burst', 'quota']);
+}
+
+async function testTraceRecordsAndReplays() {
+  // Nothing is recorded while debug mode is off and no viewer is open.
+  trace.clear();
+  const seqBefore = trace.inspect().seq;
+  sendRequests([{ id: 'trace-off', module: 'demo', op: 'plain' }]);
+  await wait(0);
+  assert.equal(responseCard('demo').responses['trace-off'].status, 'ok');
+  assert.equal(trace.inspect().seq, seqBefore);
+  assert.equal(trace.getRequest('trace-off'), null);
+
+  window.Ultrascripts.core = { isDebugEnabled: () => true };
+  assert.equal(trace.isRecording(), true);
+  sendRequests([
+    { id: 'trace-safe', module: 'demo', op: 'burst' },
+    { id: 'trace-unsafe', module: 'demo', op: 'write', args: { text: 'x' } },
+  ]);
+  await wait(0);
+
+  const envelopes = trace.entries({ kind: 'envelope' });
+  assert.equal(envelopes.length, 1);
+  assert.deepEqual(envelopes[0].data.envelope.requests.map(request => request.id), ['trace-safe', 'trace-unsafe']);
+
+  // burst has no tokens left from the rate-limit test, so it was rejected
+  // before the handler ran.
+  const events = trace.entries({ requestId: 'trace-safe' }).map(entry => `${entry.kind}:${entry.event}`);
+  assert.deepEqual(events.slice(0, 4), [
+    'dispatch:dispatch:seen',
+    'dispatch:dispatch:start',
+    'response:response:write',
+    'dispatch:dispatch:rate-limited',
+  ]);
+  assert.ok(events.includes('response:response:write'));
+  const written = trace.entries({ requestId: 'trace-unsafe', kind: 'response' });
+  assert.deepEqual(written.map(entry => entry.data.writeKind), ['pending', 'terminal']);
+  assert.equal(written[1].actionId, tail);
+  assert.equal(written[1].liveCount, liveCount);
+  assert.equal(written[1].op, 'write');
+
+  const summaries = trace.requests();
+  const unsafe = summaries.find(item => item.requestId === 'trace-unsafe');
+  assert.equal(unsafe.status, 'ok');
+  assert.deepEqual(unsafe.args, { text: 'x' });
+  assert.deepEqual(unsafe.response.data, { wrote: true });
+  assert.ok(unsafe.latencyMs >= 0);
+
+  // Replay runs safe ops only, and never touches the response card.
+  assert.equal(dispatcher.canReplay('trace-unsafe'), false);
+  const blocked = await dispatcher.replay('trace-unsafe');
+  assert.equal(blocked.error.code, 'unsafe_replay_blocked');
+  assert.equal((await dispatcher.replay('missing')).error.code, 'not_found');
+
+  sendRequests([{ id: 'trace-plain', module: 'demo', op: 'plain' }]);
+  await wait(0);
+  assert.equal(dispatcher.canReplay('trace-plain'), true);
+  const replayed = await dispatcher.replay('trace-plain');
+  assert.equal(replayed.status, 'ok');
+  assert.deepEqual(replayed.data, { done: true });
+  const replaySummary = trace.requests().find(item => item.replayOf === 'trace-plain');
+  assert.equal(replaySummary.status, 'ok');
+  assert.equal(replaySummary.requestId, 'trace-plain~replay2');
+  assert.equal(responseCard('demo').responses['trace-plain~replay2'], undefined);
+  assert.equal(dispatcher.inspect().metrics.replayed, 1);
+
+  const exported = JSON.parse(JSON.stringify(trace.exportTrace()));
+  assert.equal(exported.format, 'bd-ultrascripts-trace');
+  assert.equal(exported.v, 1);
+  assert.equal(exported.entries.length, trace.inspect().size);
+
+  // The buffer keeps the newest entries once it is full.
+  const lastSeq = trace.inspect().seq;
+  trace.setCapacity(5);
+  assert.equal(trace.inspect().size, 5);
+  assert.equal(trace.entries()[4].seq, lastSeq);
+  assert.ok(trace.inspect().dropped > 0);
+  // Seen requests outlive the ring buffer, so replay still finds them.
+  assert.equal(trace.entries({ requestId: 'trace-plain' }).some(entry => entry.event === 'dispatch:seen'), false);
+  assert.deepEqual(trace.getRequest('trace-plain').op, 'plain');
+  assert.equal(dispatcher.canReplay('trace-plain'), true);
+  trace.setCapacity(2000);
+
+  // An open viewer records even with debug mode off.
+  delete window.Ultrascripts.core;
+  assert.equal(trace.isRecording(), false);
+  const unsubscribe = trace.subscribe(() => {});
+  assert.equal(trace.isRecording(), true);
+  unsubscribe();
+}
+
+// A denied prompt must not use up the op's only token, live or replayed.
+async function testConsentBeforeRateLimit() {
+  let decision = 'deny';
+  let guardedRuns = 0;
+  window.Ultrascripts.consent = {
+    ensure: async (def) => {
+      if (decision !== 'allow') throw { code: 'consent_denied', message: `The player denied '${def.id}'`, module: def.id };
+    },
+  };
+  mounted.push({
+    ctx: { id: 'guarded' },
+    def: {
+      id: 'guarded',
+      requiresConsent: true,
+      ops: {
+        fetch: {
+          idempotent: 'safe',
+          rateLimit: { burst: 1, perMinute: 1 },
+          dailyQuota: 5,
+          handler: () => ({ run: ++guardedRuns }),
+        },
+      },
+    },
+  });
+  window.Ultrascripts.core = { isDebugEnabled: () => true };
+
+  sendRequests([{ id: 'guarded-1', module: 'guarded', op: 'fetch' }]);
+  await wait(5);
+  assert.equal(responseCard('guarded').responses['guarded-1'].error.code, 'consent_denied');
+  assert.deepEqual(dispatcher.usage('guarded').fetch, {
+    rate: { burst: 1, perMinute: 1, available: 1 },
+    daily: { limit: 5, used: 0, scenarioId: 'scenario-b', day: dispatcher.usage('guarded').fetch.daily.day },
+  });
+
+  decision = 'allow';
+  sendRequests([{ id: 'guarded-2', module: 'guarded', op: 'fetch' }]);
+  await wait(5);
+  assert.equal(responseCard('guarded').responses['guarded-2'].status, 'ok');
+  assert.equal(guardedRuns, 1);
+
+  // With the token spent, a denied replay still reports the denial.
+  decision = 'deny';
+  assert.equal((await dispatcher.replay('guarded-2')).error.code, 'consent_denied');
+  decision = 'allow';
+  assert.equal((await dispatcher.replay('guarded-2')).error.code, 'rate_limit');
+  assert.equal(guardedRuns, 1);
+  assert.equal(dispatcher.usage('guarded').fetch.daily.used, 1);
+
+  mounted.pop();
+  delete window.Ultrascripts.consent;
+  delete window.Ultrascripts.core;
+}
+
+(async () => {
+  dispatcher.start(core);
+  testPartialWindow();
+  await testStreamingDispatch();
+  await testNonStreamingOpsIgnorePartial();
+  await testUnsafePartialReplayBlocked();
+  await testScriptCancel();
+  await testCancelBeforeDispatch();
+  await testUndoCancelsTurnRequests();
+  await testTimeoutAbortsSignal();
+  await testArgsValidatedAgainstSchema();
+  testModuleSchemasKeepClampedArgs();
+  await testNullArgsMeanDefault();
+  await testRateLimitTokenBucket();
+  await testDailyQuotaPerScenario();
+  await testTraceRecordsAndReplays();
+  await testConsentBeforeRateLimit();
+  dispatcher.stop();
+  console.log('Ultrascripts ops dispatcher contract tests passed');
+})().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
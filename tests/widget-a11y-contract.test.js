@@ -0,0 +1,278 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const { window, document, keydown } = createDom();
+const interactions = [];
+
+function load(relative) {
+  const filename = path.join(ROOT, relative);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+}
+
+load('modules/widget/validators.js');
+load('modules/widget/renderer.js');
+
+const renderer = new window.UltrascriptsWidgetRenderer({
+  log: () => {},
+  onInteraction: (detail) => {
+    interactions.push(detail);
+    return { seq: interactions.length };
+  },
+});
+
+const WIDGETS = [
+  { id: 'hp', type: 'stat', label: 'HP', value: 87 },
+  { id: 'gold', type: 'counter', label: 'Gold', value: 10, announce: false },
+  { id: 'mode', type: 'tabs', items: [{ id: 'inv', label: 'Inventory' }, { id: 'map', label: 'Map' }, { id: 'log', label: 'Log' }], value: 'inv' },
+  { id: 'act', type: 'dropdown', label: 'Actions', items: [{ label: 'Rest', value: 'rest' }, { label: 'Search', value: 'search' }] },
+  { id: 'plan', type: 'sortable', label: 'Plan', items: [{ id: 'a', label: 'Scout' }, { id: 'b', label: 'Camp' }, { id: 'c', label: 'Fight' }] },
+  { id: 'tags', type: 'chipselect', label: 'Tags', options: ['red', 'green', 'blue'] },
+];
+
+function root(widgetId) {
+  return document.getElementById(`bd-widget-${widgetId}`);
+}
+
+function sortableOrder() {
+  return root('plan').querySelectorAll('.bd-widget-sortable-item').map(row => row.dataset.id);
+}
+
+function sortableRow(id) {
+  return root('plan').querySelector(`.bd-widget-sortable-item[data-id="${id}"]`);
+}
+
+function liveText() {
+  return document.querySelector('.bd-widget-live-region')?.textContent.trim() || '';
+}
+
+// Values come from the renderer's own realm; copy them so deepEqual
+// compares contents, not prototypes.
+function lastInteraction() {
+  return JSON.parse(JSON.stringify(interactions[interactions.length - 1]));
+}
+
+function testRovingTabindex() {
+  renderer.setWidgets(WIDGETS);
+
+  const wrapper = document.getElementById('bd-betterscripts-wrapper');
+  assert.equal(wrapper.getAttribute('role'), 'region');
+  assert.equal(wrapper.getAttribute('aria-keyshortcuts'), 'Alt+Shift+W');
+
+  const tabbable = WIDGETS.filter(config => root(config.id).tabIndex === 0).map(config => config.id);
+  assert.deepEqual(tabbable, ['hp'], 'only the current widget is in the tab order');
+  assert.equal(root('hp').getAttribute('role'), 'group');
+  assert.equal(root('hp').getAttribute('aria-roledescription'), 'stat widget');
+  assert.equal(root('hp').getAttribute('aria-label'), 'HP');
+
+  // Controls of other widgets stay out of the tab order.
+  for (const control of root('mode').querySelectorAll('button')) assert.equal(control.tabIndex, -1);
+  for (const control of root('act').querySelectorAll('button')) assert.equal(control.tabIndex, -1);
+}
+
+function testArrowKeysMoveBetweenWidgets() {
+  root('hp').focus();
+  keydown(root('hp'), 'ArrowRight');
+  assert.equal(document.activeElement, root('gold'));
+  assert.equal(root('gold').tabIndex, 0);
+  assert.equal(root('hp').tabIndex, -1);
+
+  keydown(root('gold'), 'End');
+  assert.equal(document.activeElement, root('tags'));
+  keydown(root('tags'), 'ArrowRight');
+  assert.equal(document.activeElement, root('hp'), 'arrow keys wrap around');
+  keydown(root('hp'), 'ArrowLeft');
+  assert.equal(document.activeElement, root('tags'));
+  keydown(root('tags'), 'Home');
+  assert.equal(document.activeElement, root('hp'));
+
+  // Enter steps into a widget, Escape steps back out.
+  root('mode').focus();
+  keydown(root('mode'), 'Enter');
+  const activeTab = root('mode').querySelector('.bd-widget-tab-btn[data-tab="inv"]');
+  assert.equal(document.activeElement, activeTab);
+  assert.equal(activeTab.tabIndex, 0);
+  assert.equal(root('mode').querySelector('.bd-widget-tab-btn[data-tab="map"]').tabIndex, -1);
+  keydown(activeTab, 'Escape');
+  assert.equal(document.activeElement, root('mode'));
+}
+
+function testTabsArrowKeys() {
+  const tab = id => root('mode').querySelector(`.bd-widget-tab-btn[data-tab="${id}"]`);
+  tab('inv').focus();
+  keydown(tab('inv'), 'ArrowRight');
+  assert.equal(document.activeElement, tab('map'));
+  assert.equal(tab('map').getAttribute('aria-selected'), 'true');
+  assert.equal(tab('inv').getAttribute('aria-selected'), 'false');
+  assert.equal(lastInteraction().widgetId, 'mode');
+  assert.equal(lastInteraction().value, 'map');
+
+  keydown(tab('map'), 'End');
+  assert.equal(document.activeElement, tab('log'));
+  keydown(tab('log'), 'ArrowRight');
+  assert.equal(document.activeElement, tab('inv'));
+  assert.equal(lastInteraction().value, 'inv');
+}
+
+function testDropdownKeys() {
+  const widget = root('act');
+  const trigger = widget.querySelector('.bd-widget-dropdown-trigger');
+  const items = widget.querySelectorAll('.bd-widget-dropdown-item');
+  trigger.focus();
+
+  keydown(trigger, 'ArrowDown');
+  assert.equal(widget.dataset.open, 'true');
+  assert.equal(trigger.getAttribute('aria-expanded'), 'true');
+  assert.equal(document.activeElement, items[0]);
+  keydown(items[0], 'ArrowDown');
+  assert.equal(document.activeElement, items[1]);
+  keydown(items[1], 'ArrowDown');
+  assert.equal(document.activeElement, items[0]);
+
+  keydown(items[0], 'Escape');
+  assert.equal(widget.dataset.open, 'false');
+  assert.equal(document.activeElement, trigger, 'Escape returns to the trigger, not the widget');
+
+  // Enter/Space activate the trigger with a detail-0 click and move into the menu.
+  trigger.click();
+  assert.equal(widget.dataset.open, 'true');
+  assert.equal(document.activeElement, items[0]);
+  keydown(items[0], 'End');
+  items[1].click();
+  assert.equal(lastInteraction().action, 'select');
+  assert.equal(lastInteraction().value, 'search');
+  assert.equal(widget.dataset.open, 'false');
+}
+
+function testChipselectArrowKeys() {
+  const chips = root('tags').querySelectorAll('.bd-widget-chip');
+  chips[0].focus();
+  keydown(chips[0], 'ArrowRight');
+  assert.equal(document.activeElement, chips[1]);
+  assert.equal(chips[1].tabIndex, 0);
+  assert.equal(chips[0].tabIndex, -1);
+}
+
+function testSortableKeyboardReorder() {
+  const before = interactions.length;
+  sortableRow('a').focus();
+  keydown(sortableRow('a'), 'ArrowDown');
+  assert.equal(document.activeElement, sortableRow('b'));
+  assert.equal(interactions.length, before, 'plain arrows only move focus');
+
+  // Alt+Up moves the focused row right away.
+  keydown(sortableRow('b'), 'ArrowUp', { altKey: true });
+  assert.deepEqual(sortableOrder(), ['b', 'a', 'c']);
+  assert.equal(document.activeElement, sortableRow('b'));
+  assert.equal(lastInteraction().action, 'reorder');
+  assert.deepEqual(lastInteraction().value, ['b', 'a', 'c']);
+  assert.equal(liveText(), 'Camp, position 1 of 3');
+  assert.equal(sortableRow('b').getAttribute('aria-label'), 'Camp, position 1 of 3');
+
+  // Space picks a row up; Escape puts everything back without reporting.
+  const afterAlt = interactions.length;
+  sortableRow('a').focus();
+  keydown(sortableRow('a'), ' ');
+  assert.equal(sortableRow('a').dataset.grabbed, 'true');
+  assert.match(liveText(), /^Scout grabbed/);
+  keydown(sortableRow('a'), 'ArrowDown');
+  assert.deepEqual(sortableOrder(), ['b', 'c', 'a']);
+  assert.equal(liveText(), 'Scout, position 3 of 3');
+  keydown(sortableRow('a'), 'Escape');
+  assert.deepEqual(sortableOrder(), ['b', 'a', 'c']);
+  assert.equal(sortableRow('a').dataset.grabbed, undefined);
+  assert.equal(document.activeElement, sortableRow('a'), 'Escape while carrying a row does not leave the widget');
+  assert.equal(interactions.length, afterAlt);
+
+  // A re-render while carrying a row leaves the rows alone.
+  keydown(sortableRow('a'), 'Enter');
+  keydown(sortableRow('a'), 'ArrowDown');
+  renderer.setWidgets(WIDGETS);
+  assert.deepEqual(sortableOrder(), ['b', 'c', 'a']);
+  keydown(sortableRow('a'), 'Enter');
+  assert.match(liveText(), /^Scout dropped\. Scout, position 3 of 3/);
+  assert.deepEqual(lastInteraction().value, ['b', 'c', 'a']);
+  assert.equal(interactions.length, afterAlt + 1);
+}
+
+function testRerenderKeepsFocus() {
+  sortableRow('c').focus();
+  const previous = sortableRow('c');
+  renderer.setWidgets(WIDGETS);
+  assert.notEqual(sortableRow('c'), previous, 'rows are rebuilt on update');
+  assert.equal(document.activeElement, sortableRow('c'));
+  assert.equal(sortableRow('c').tabIndex, 0);
+}
+
+function testLiveRegionAnnouncesStatChanges() {
+  const region = document.querySelector('.bd-widget-live-region');
+  assert.equal(region.getAttribute('role'), 'status');
+  assert.equal(region.getAttribute('aria-live'), 'polite');
+
+  renderer.setWidgets(WIDGETS.map(config => {
+    if (config.id === 'hp') return { ...config, value: 80 };
+    if (config.id === 'gold') return { ...config, value: 25 };
+    return config;
+  }));
+  assert.equal(liveText(), 'HP: 80 (was 87)', 'announce: false keeps the counter quiet');
+
+  renderer.setWidgets(WIDGETS.map(config => {
+    if (config.id === 'hp') return { ...config, value: 80 };
+    if (config.id === 'gold') return { ...config, value: 25, announce: true };
+    return config;
+  }));
+  assert.equal(liveText(), 'HP: 80 (was 87)', 'unchanged values are not announced again');
+
+  const validators = window.UltrascriptsWidgetValidators;
+  const invalid = validators.validateWidgetConfig('hp', { type: 'stat', label: 'HP', announce: 'yes' });
+  assert.equal(invalid.valid, false);
+  assert.match(invalid.errors.join('; '), /"announce" must be a boolean/);
+}
+
+function testHotkeyJumpsIntoHud() {
+  const story = document.createElement('textarea');
+  document.body.appendChild(story);
+  story.focus();
+
+  keydown(story, 'w', { altKey: true, shiftKey: true, code: 'KeyW' });
+  assert.ok(root(renderer.focusWidgetId), 'a widget is current');
+  assert.equal(document.activeElement, root(renderer.focusWidgetId));
+
+  keydown(document.activeElement, 'ArrowRight');
+  keydown(document.activeElement, 'Escape');
+  assert.equal(document.activeElement, story, 'Escape on a widget returns to where the hotkey was pressed');
+
+  keydown(story, 'w', { altKey: true, shiftKey: true, code: 'KeyW' });
+  const current = document.activeElement;
+  assert.ok(current.classList.contains('bd-widget'));
+  keydown(current, 'w', { altKey: true, shiftKey: true, code: 'KeyW' });
+  assert.equal(document.activeElement, story, 'the hotkey toggles back out of the HUD');
+
+  // With the bar minimized the hotkey lands on the control that shows it.
+  renderer.setMinimized(true);
+  assert.equal(WIDGETS.filter(config => root(config.id).tabIndex === 0).length, 0);
+  keydown(story, 'w', { altKey: true, shiftKey: true, code: 'KeyW' });
+  assert.ok(document.activeElement.classList.contains('bd-widget-minimize-toggle'));
+  renderer.setMinimized(false);
+
+  renderer.removeWidgetContainer();
+  story.focus();
+  keydown(story, 'w', { altKey: true, shiftKey: true, code: 'KeyW' });
+  assert.equal(document.activeElement, story, 'the hotkey is released with the container');
+}
+
+testRovingTabindex();
+testArrowKeysMoveBetweenWidgets();
+testTabsArrowKeys();
+testDropdownKeys();
+testChipselectArrowKeys();
+testSortableKeyboardReorder();
+testRerenderKeepsFocus();
+testLiveRegionAnnouncesStatChanges();
+testHotkeyJumpsIntoHud();
+console.log('Widget accessibility contract tests passed');
@@ -0,0 +1,173 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+let reducedMotion = false;
+const { window, document, flushFrames } = createDom({
+  matchMedia: query => query === '(prefers-reduced-motion: reduce)' && reducedMotion,
+});
+
+// A hand-driven clock and interval queue, so ticks happen only in tick().
+let clock = Date.UTC(2026, 9, 19, 12, 0, 0);
+vm.runInContext('Date', window).now = () => clock;
+const intervals = new Map();
+let intervalId = 0;
+window.setInterval = (callback, ms) => {
+  intervals.set(++intervalId, { callback, ms });
+  return intervalId;
+};
+window.clearInterval = id => intervals.delete(id);
+
+function tick(ms) {
+  clock += ms;
+  for (const { callback } of [...intervals.values()]) callback();
+}
+
+function load(relative) {
+  const filename = path.join(ROOT, relative);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+}
+
+load('modules/widget/validators.js');
+load('modules/widget/renderer.js');
+
+const validators = window.UltrascriptsWidgetValidators;
+const renderer = new window.UltrascriptsWidgetRenderer({ log: () => {} });
+
+function root(widgetId) {
+  return document.getElementById(`bd-widget-${widgetId}`);
+}
+
+function text(widgetId, selector) {
+  return root(widgetId).querySelector(selector).textContent;
+}
+
+// Errors come from the validators' own realm; copy them so deepEqual
+// compares contents, not prototypes.
+function errorsFor(config) {
+  return JSON.parse(JSON.stringify(validators.validateWidgetConfig(config.id, config).errors));
+}
+
+function testBindingValidation() {
+  assert.deepEqual(errorsFor({
+    id: 'cd', type: 'stat', label: 'Cooldown',
+    bind: { expr: '(readyAt - now) / 1000', vars: { readyAt: clock }, format: 'duration', done: 'Ready' },
+  }), []);
+
+  assert.deepEqual(errorsFor({
+    id: 'cd', type: 'stat', label: 'Cooldown',
+    bind: { expr: 'alert(1) + later', vars: { now: 1, later: '5' }, format: 'clock', decimals: 9 },
+  }), [
+    'Widget "bind.vars" name "now" is not allowed',
+    'Widget "bind.vars.later" must be a finite number',
+    'Widget "bind.expr" calls unknown function "alert"',
+    'Widget "bind.format" must be one of: number, duration, turns',
+    'Widget "bind.decimals" must be an integer from 0 to 4',
+  ]);
+
+  assert.deepEqual(errorsFor({ id: 'x', type: 'stat', label: 'X', bind: { expr: 'window.location' } }),
+    ['Widget "bind.expr" has an unexpected character at position 7']);
+  assert.deepEqual(errorsFor({ id: 'x', type: 'stat', label: 'X', bind: { expr: 'constructor + 1' } }),
+    ['Widget "bind.expr" uses unknown name "constructor"']);
+  assert.deepEqual(errorsFor({ id: 'x', type: 'stat', label: 'X', bind: { expr: 'clamp(now, 1)' } }),
+    ['Widget "bind.expr" calls clamp() with 2 argument(s); it takes 3']);
+  assert.deepEqual(errorsFor({ id: 'x', type: 'toggle', label: 'X', bind: { expr: 'now' } }),
+    ['Widget "bind" is only supported on: stat, counter, bar, progress, text, badge']);
+}
+
+function testCountdownTicksBetweenTurns() {
+  renderer.setWidgets([{
+    id: 'cd', type: 'stat', label: 'Cooldown', value: '—',
+    bind: { expr: '(readyAt - now) / 1000', vars: { readyAt: clock + 65000 }, format: 'duration', done: 'Ready' },
+  }]);
+  assert.equal(text('cd', '.bd-widget-value'), '1:05');
+  assert.equal(intervals.size, 1, 'a binding that reads `now` starts the ticker');
+
+  tick(4200);
+  assert.equal(text('cd', '.bd-widget-value'), '1:01', 'a partial second still counts as one');
+  tick(800);
+  assert.equal(text('cd', '.bd-widget-value'), '1:00');
+  tick(61000);
+  assert.equal(text('cd', '.bd-widget-value'), 'Ready');
+}
+
+function testTurnsAgoFollowsLiveCount() {
+  const widgets = [{ id: 'seen', type: 'text', text: 'not yet', bind: { expr: 'liveCount - seenAt', vars: { seenAt: 4 }, format: 'turns' } }];
+  renderer.setWidgets(widgets);
+  assert.equal(root('seen').textContent, 'not yet', 'the published text shows until the live count is known');
+  assert.equal(intervals.size, 0, 'bindings that never read `now` do not tick');
+
+  renderer.setLiveCount(7);
+  renderer.setWidgets(widgets);
+  assert.equal(root('seen').textContent, '3 turns ago');
+  renderer.setLiveCount(4);
+  renderer.setWidgets(widgets);
+  assert.equal(root('seen').textContent, 'this turn');
+}
+
+function testBarInterpolatesToNewValue() {
+  renderer.setWidgets([{
+    id: 'stamina', type: 'bar', label: 'Stamina', value: 20, max: 100,
+    bind: { expr: 'lerp(from, to, (now - start) / span)', vars: { from: 20, to: 100, start: clock, span: 10000 } },
+  }]);
+  assert.equal(root('stamina').querySelector('.bd-widget-bar-fill').style.width, '20%');
+  assert.equal(text('stamina', '.bd-widget-bar-text'), '20/100');
+
+  tick(5000);
+  assert.equal(root('stamina').querySelector('.bd-widget-bar-fill').style.width, '60%');
+  assert.equal(text('stamina', '.bd-widget-bar-text'), '60/100');
+  tick(20000);
+  assert.equal(root('stamina').querySelector('.bd-widget-bar-fill').style.width, '100%', 'lerp stops at its target');
+
+  // The next turn publishes the settled value and drops the binding.
+  renderer.setWidgets([{ id: 'stamina', type: 'bar', label: 'Stamina', value: 100, max: 100 }]);
+  flushFrames();
+  assert.equal(text('stamina', '.bd-widget-bar-text'), '100/100');
+  assert.equal(intervals.size, 0, 'the ticker stops with the last `now` binding');
+}
+
+function testNonFiniteResultKeepsPublishedValue() {
+  renderer.setWidgets([{ id: 'odd', type: 'counter', label: 'Odd', value: 5, bind: { expr: '1 / zero', vars: { zero: 0 } } }]);
+  flushFrames();
+  assert.equal(text('odd', '.bd-widget-counter-value'), '5');
+}
+
+function testReducedMotionSnapsTweens() {
+  renderer.setWidgets([{ id: 'hp', type: 'stat', label: 'HP', value: 10 }]);
+  flushFrames();
+  renderer.setWidgets([{ id: 'hp', type: 'stat', label: 'HP', value: 50 }]);
+  assert.equal(text('hp', '.bd-widget-value'), '10', 'without the preference the value tweens');
+  flushFrames();
+  assert.equal(text('hp', '.bd-widget-value'), '50');
+
+  reducedMotion = true;
+  renderer.setWidgets([{ id: 'hp', type: 'stat', label: 'HP', value: 90 }]);
+  assert.equal(text('hp', '.bd-widget-value'), '90', 'reduced motion jumps straight to the value');
+  renderer.setWidgets([{ id: 'mp', type: 'bar', label: 'MP', value: 10, max: 50 }]);
+  renderer.setWidgets([{ id: 'mp', type: 'bar', label: 'MP', value: 40, max: 50 }]);
+  assert.equal(root('mp').querySelector('.bd-widget-bar-fill').style.width, '80%');
+  assert.equal(text('mp', '.bd-widget-bar-text'), '40/50');
+  reducedMotion = false;
+}
+
+function testClearStopsTicker() {
+  renderer.setWidgets([{ id: 'eta', type: 'badge', text: 'soon', bind: { expr: '(readyAt - now) / 1000', vars: { readyAt: clock + 5000 }, format: 'duration' } }]);
+  assert.equal(text('eta', '.bd-widget-badge-text'), '0:05');
+  assert.equal(intervals.size, 1);
+  renderer.clearAllWidgets();
+  assert.equal(intervals.size, 0);
+}
+
+testBindingValidation();
+testCountdownTicksBetweenTurns();
+testTurnsAgoFollowsLiveCount();
+testBarInterpolatesToNewValue();
+testNonFiniteResultKeepsPublishedValue();
+testReducedMotionSnapsTweens();
+testClearStopsTicker();
+console.log('Widget binding contract tests passed');
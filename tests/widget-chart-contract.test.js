@@ -0,0 +1,145 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const { window, document } = createDom();
+
+function load(relative) {
+  const filename = path.join(ROOT, relative);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+}
+
+window.Ultrascripts = { registry: { register: () => {} } };
+load('modules/widget/validators.js');
+load('modules/widget/renderer.js');
+load('modules/widget/module.js');
+
+const validators = window.UltrascriptsWidgetValidators;
+const widgetModule = window.UltrascriptsWidgetModule;
+
+let liveCount = 1;
+const ctx = {
+  adventureShortId: 'adv-chart',
+  log: () => {},
+  getLiveCount: () => liveCount,
+};
+
+const HP = { id: 'hp', type: 'sparkline', label: 'HP', values: [10], maxPoints: 4 };
+const WEALTH = {
+  id: 'wealth',
+  type: 'linechart',
+  label: 'Wealth',
+  series: [{ id: 'gold', label: 'Gold', values: [0] }, { label: 'XP', values: [] }],
+};
+const LOOT = { id: 'loot', type: 'barchart', label: 'Loot', labels: ['Day 1'], values: [] };
+
+// Values come from the page realm; copy them so deepEqual compares contents.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function render(widgets, history, count) {
+  liveCount = count;
+  widgetModule.onStateChange('widget', { v: 1, manifest: { widgets }, history }, ctx);
+}
+
+function svg(widgetId) {
+  return document.querySelector(`#bd-widget-${widgetId} .bd-widget-chart-svg`);
+}
+
+function pointCounts(widgetId) {
+  return [...svg(widgetId).querySelectorAll('polyline')].map(line => line.getAttribute('points').split(' ').length);
+}
+
+function testApplyChartAppends() {
+  const spark = plain(HP);
+  assert.equal(validators.applyChartAppends(spark, [9, 8, 'x', 7, Infinity, 6]), 2);
+  assert.deepEqual(plain(spark.values), [9, 8, 7, 6], 'maxPoints keeps the newest points');
+
+  // Plain numbers go to the first series, objects by id or label.
+  const lines = plain(WEALTH);
+  assert.equal(validators.applyChartAppends(lines, [3, { gold: 5, XP: 1 }, { mana: 2 }, 'x']), 2);
+  assert.deepEqual(plain(lines.series.map(entry => entry.values)), [[0, 3, 5], [1]]);
+
+  // Without maxPoints the cap is MAX_CHART_POINTS.
+  const long = { type: 'linechart', values: [] };
+  validators.applyChartAppends(long, Array.from({ length: 130 }, (_, i) => i));
+  assert.equal(long.values.length, 120);
+  assert.equal(long.values[0], 10);
+
+  const radar = { type: 'radar', axes: ['a', 'b', 'c'], series: [{ values: [1, 2, 3] }] };
+  assert.equal(validators.applyChartAppends(radar, [4]), 0);
+  assert.deepEqual(plain(radar.series[0].values), [1, 2, 3], 'radar charts ignore appends');
+}
+
+function testSeriesCap() {
+  const series = Array.from({ length: 7 }, (_, i) => ({ id: `s${i}`, values: [i] }));
+  assert.deepEqual(plain(validators.validateWidgetConfig('many', { type: 'linechart', series }).errors), [
+    'Linechart widget "series" may contain at most 6 entries',
+  ]);
+  assert.equal(validators.validateWidgetConfig('many', { type: 'linechart', series: series.slice(0, 6) }).valid, true);
+  assert.deepEqual(plain(validators.validateWidgetConfig('big', { type: 'barchart', maxPoints: 121 }).errors), [
+    'Barchart widget "maxPoints" must be an integer from 2 to 120',
+  ]);
+}
+
+function testAppendsAcrossHistory() {
+  const history = {
+    1: { hp: { append: 9 }, wealth: { append: { gold: 5, XP: 1 } }, loot: { append: 2 } },
+    2: { hp: { append: [8, 7] }, wealth: { append: { gold: 7 } }, loot: { append: [4, -1] } },
+    3: { hp: { append: 'oops' }, wealth: { append: { mana: 3 } } },
+    4: { hp: { append: 6 } },
+  };
+
+  // Entries past the live count belong to undone turns and are skipped.
+  render([HP, WEALTH, LOOT], history, 3);
+  assert.deepEqual(pointCounts('hp'), [4]);
+  assert.equal(svg('hp').querySelectorAll('circle').length, 1, 'the sparkline marks its latest point');
+  assert.equal(document.querySelector('#bd-widget-hp .bd-widget-chart-value').textContent, '7');
+  assert.equal(svg('hp').getAttribute('aria-label'), 'HP. HP: latest 7 (4 points)');
+  assert.deepEqual(pointCounts('wealth'), [3, 1]);
+  assert.equal(svg('wealth').getAttribute('aria-label'), 'Wealth. Gold: latest 7 (3 points); XP: latest 1 (1 points)');
+  assert.deepEqual(
+    [...document.querySelectorAll('#bd-widget-wealth .bd-widget-chart-legend-item')].map(item => item.textContent),
+    ['Gold', 'XP'],
+  );
+  const bars = [...svg('loot').querySelectorAll('rect')];
+  assert.equal(bars.length, 3);
+  assert.deepEqual(bars.map(bar => bar.querySelector('title').textContent), ['Day 1 · Loot: 2', 'Loot: 4', 'Loot: -1']);
+  assert.deepEqual(plain(widgetModule._lastIssues), [
+    { path: 'history', message: 'Ignored 1 malformed append value(s) for "hp"' },
+    { path: 'history', message: 'Ignored 1 malformed append value(s) for "wealth"' },
+  ]);
+
+  // The next turn pushes the oldest point out of the four kept.
+  render([HP, WEALTH, LOOT], history, 4);
+  assert.equal(svg('hp').getAttribute('aria-label'), 'HP. HP: latest 6 (4 points)');
+  assert.equal(document.querySelector('#bd-widget-hp .bd-widget-chart-value').textContent, '6');
+  assert.deepEqual(pointCounts('wealth'), [3, 1], 'the redraw starts from the manifest, not the last render');
+
+  // Undoing back to the first turn drops the later appends again.
+  render([HP, WEALTH, LOOT], history, 1);
+  assert.equal(svg('hp').getAttribute('aria-label'), 'HP. HP: latest 9 (2 points)');
+  assert.equal(svg('loot').querySelectorAll('rect').length, 1);
+}
+
+function testCappedRender() {
+  const appends = {};
+  for (let turn = 1; turn <= 13; turn++) {
+    appends[turn] = { trend: { append: Array.from({ length: 10 }, (_, i) => turn * 10 + i) } };
+  }
+  render([{ id: 'trend', type: 'linechart', label: 'Trend', values: [] }], appends, 13);
+  assert.deepEqual(pointCounts('trend'), [120]);
+  assert.equal(svg('trend').getAttribute('aria-label'), 'Trend. Trend: latest 139 (120 points)');
+}
+
+testApplyChartAppends();
+testSeriesCap();
+testAppendsAcrossHistory();
+testCappedRender();
+console.log('Widget chart contract tests passed');
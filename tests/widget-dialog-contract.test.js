@@ -0,0 +1,246 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const { window, document, Event, keydown, click } = createDom();
+const interactions = [];
+
+function load(relative) {
+  const filename = path.join(ROOT, relative);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+}
+
+load('modules/widget/validators.js');
+load('modules/widget/renderer.js');
+
+const validators = window.UltrascriptsWidgetValidators;
+const renderer = new window.UltrascriptsWidgetRenderer({
+  log: () => {},
+  onInteraction: (detail) => {
+    interactions.push(detail);
+    return { seq: interactions.length };
+  },
+});
+
+const HERO = {
+  id: 'hero',
+  type: 'dialog',
+  label: 'Create hero',
+  title: 'New hero',
+  dismissible: true,
+  steps: [
+    {
+      title: 'Name',
+      fields: [
+        { id: 'name', type: 'input', label: 'Name', required: true, pattern: '^[A-Z][a-z]+$' },
+        { id: 'motto', type: 'textarea', label: 'Motto' },
+      ],
+    },
+    {
+      title: 'Stats',
+      text: 'Spend your points.',
+      fields: [
+        { id: 'age', type: 'input', inputType: 'number', label: 'Age', min: 16, max: 90, message: 'Heroes are 16 to 90' },
+        { id: 'str', type: 'stepper', label: 'Strength', min: 1, max: 5, value: 3 },
+      ],
+    },
+  ],
+};
+
+// Values come from the page realm; copy them so deepEqual compares contents.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function panel() {
+  return document.querySelector('.bd-widget-dialog-panel');
+}
+
+function chip() {
+  return document.getElementById('bd-widget-hero');
+}
+
+function control(fieldId) {
+  return document.getElementById(`bd-widget-hero-field-${fieldId}`);
+}
+
+function fieldError(fieldId) {
+  return document.getElementById(`bd-widget-hero-field-${fieldId}-error`).textContent;
+}
+
+function progress() {
+  return panel().querySelector('.bd-widget-dialog-progress').textContent;
+}
+
+// The harness has no form submission, so Next/Submit is the submit event
+// the button would fire.
+function pressNext() {
+  panel().dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+}
+
+function submits() {
+  return interactions.filter(detail => detail.widgetId === 'hero' && detail.action === 'submit');
+}
+
+function testValidatorRules() {
+  assert.equal(validators.validateWidgetConfig('hero', HERO).valid, true);
+
+  const both = validators.validateWidgetConfig('d', { type: 'dialog', fields: [], steps: [] });
+  assert.deepEqual(plain(both.errors), ['Dialog widget needs exactly one of "fields" or "steps"']);
+  const broken = validators.validateWidgetConfig('d', {
+    type: 'dialog',
+    fields: [
+      { id: 'a', type: 'input', pattern: '([' },
+      { id: 'a', type: 'slider', min: 'low' },
+      { id: 'b', type: 'select' },
+    ],
+    open: 'yes',
+  });
+  assert.deepEqual(plain(broken.errors), [
+    'Dialog field at index 0 "pattern" is not a valid regular expression',
+    'Dialog field at index 1 "min" must be a number',
+    'Dialog field "a" is declared twice',
+    'Dialog field at index 2 "options" must be an array',
+    'Dialog widget "open" must be a boolean',
+  ]);
+
+  // Required, pattern, min and max; a field's own `message` replaces the default.
+  assert.deepEqual(plain(validators.validateDialogValues(HERO, {})), { name: 'Name is required' });
+  assert.deepEqual(plain(validators.validateDialogValues(HERO, { name: 'bob', age: 12 })), {
+    name: 'Name is not in the expected format',
+    age: 'Heroes are 16 to 90',
+  });
+  assert.deepEqual(plain(validators.validateDialogValues(HERO, { name: 'Bob', age: 91 })), { age: 'Heroes are 16 to 90' });
+  assert.deepEqual(plain(validators.validateDialogValues(HERO, { name: 'Bob', age: 16, str: 5 })), {});
+  // Limiting the check to one step ignores the other steps' fields.
+  assert.deepEqual(plain(validators.validateDialogValues(HERO, { age: 12 }, ['name'])), { name: 'Name is required' });
+  const picks = { fields: [{ id: 'tags', type: 'chipselect', label: 'Tags', options: ['a', 'b', 'c'], minItems: 2 }] };
+  assert.deepEqual(plain(validators.validateDialogValues(picks, { tags: ['a'] })), { tags: 'Choose at least 2 for Tags' });
+}
+
+function testOpensAsModal() {
+  renderer.setWidgets([HERO]);
+  assert.ok(panel().isConnected, 'a new dialog opens on its first render');
+  assert.equal(panel().getAttribute('role'), 'dialog');
+  assert.equal(panel().getAttribute('aria-modal'), 'true');
+  assert.equal(document.getElementById('bd-widget-hero-dialog-title').textContent, 'New hero');
+  assert.equal(progress(), 'Step 1 of 2 · Name');
+  assert.equal(panel().querySelector('.bd-widget-dialog-back').hidden, true);
+  assert.equal(document.activeElement, control('name'));
+}
+
+function testFocusTrap() {
+  const cancel = panel().querySelector('.bd-widget-dialog-cancel');
+  const next = panel().querySelector('.bd-widget-dialog-next');
+
+  next.focus();
+  const forward = keydown(next, 'Tab');
+  assert.equal(forward.defaultPrevented, true);
+  assert.equal(document.activeElement, control('name'), 'Tab on the last control wraps to the first');
+
+  const backward = keydown(control('name'), 'Tab', { shiftKey: true });
+  assert.equal(backward.defaultPrevented, true);
+  assert.equal(document.activeElement, next, 'Shift+Tab on the first control wraps to the last');
+
+  // Tab between inner controls is left to the browser; the hidden Back
+  // button and the next step's fields are skipped.
+  cancel.focus();
+  assert.equal(keydown(cancel, 'Tab').defaultPrevented, false);
+  assert.equal(keydown(control('motto'), 'Tab', { shiftKey: true }).defaultPrevented, false);
+
+  // Focus that escapes the panel is pulled back in.
+  chip().querySelector('.bd-widget-dialog-open').focus();
+  assert.ok(panel().contains(document.activeElement));
+}
+
+function testStepNavigation() {
+  pressNext();
+  assert.equal(fieldError('name'), 'Name is required');
+  assert.equal(control('name').getAttribute('aria-invalid'), 'true');
+  assert.equal(progress(), 'Step 1 of 2 · Name', 'an invalid step does not advance');
+  assert.equal(document.activeElement, control('name'));
+
+  control('name').value = 'bob';
+  pressNext();
+  assert.equal(fieldError('name'), 'Name is not in the expected format');
+
+  control('name').value = 'Bob';
+  pressNext();
+  assert.equal(fieldError('name'), '');
+  assert.equal(progress(), 'Step 2 of 2 · Stats');
+  assert.equal(panel().querySelector('.bd-widget-dialog-step-text').textContent, 'Spend your points.');
+  assert.equal(panel().querySelector('.bd-widget-dialog-next').textContent, 'Submit');
+  assert.equal(control('name').closest('.bd-widget-dialog-field').hidden, true);
+  assert.equal(document.activeElement, control('age'));
+
+  click(panel().querySelector('.bd-widget-dialog-back'));
+  assert.equal(progress(), 'Step 1 of 2 · Name');
+  assert.equal(control('name').value, 'Bob', 'answers survive moving between steps');
+  pressNext();
+  assert.equal(submits().length, 0, 'Next never reports');
+}
+
+function testSubmitReportsOnce() {
+  control('age').value = '12';
+  pressNext();
+  assert.equal(fieldError('age'), 'Heroes are 16 to 90');
+  assert.equal(submits().length, 0);
+
+  control('age').value = '30';
+  click(panel().querySelector('.bd-widget-stepper-btn[data-dir="inc"]'));
+  pressNext();
+  assert.equal(submits().length, 1);
+  assert.deepEqual(plain(submits()[0].value), { name: 'Bob', motto: '', age: 30, str: 4 });
+  assert.equal(panel(), null, 'the dialog closes after submitting');
+  assert.equal(chip().dataset.dialogState, 'submitted');
+  assert.equal(chip().querySelector('.bd-widget-dialog-status').textContent, 'Sent');
+}
+
+function testScriptErrorsReopen() {
+  renderer.setWidgets([{ ...HERO, value: { name: 'Bob', age: 30 }, errors: { name: 'That name is taken', '': 'Try again' } }]);
+  assert.ok(panel()?.isConnected, 'new errors reopen the dialog');
+  assert.equal(progress(), 'Step 1 of 2 · Name', 'it opens on the first step with an error');
+  assert.equal(fieldError('name'), 'That name is taken');
+  assert.equal(panel().querySelector('.bd-widget-dialog-summary').textContent, 'Try again');
+  assert.equal(document.activeElement, control('name'));
+  assert.equal(control('name').value, 'Bob');
+
+  // The same errors again do not reopen a dialog the player closed.
+  keydown(control('name'), 'Escape');
+  assert.equal(panel(), null);
+  assert.equal(interactions[interactions.length - 1].action, 'cancel');
+  renderer.setWidgets([{ ...HERO, value: { name: 'Bob', age: 30 }, errors: { name: 'That name is taken', '': 'Try again' } }]);
+  assert.equal(panel(), null);
+}
+
+function testOpenFalseDismisses() {
+  click(chip().querySelector('.bd-widget-dialog-open'));
+  assert.ok(panel()?.isConnected, 'the chip reopens the dialog');
+
+  renderer.setWidgets([{ ...HERO, open: false }]);
+  assert.equal(panel(), null, 'open: false closes the dialog');
+  assert.equal(chip().dataset.dialogState, 'dismissed');
+  click(chip().querySelector('.bd-widget-dialog-open'));
+  assert.equal(panel(), null, 'the chip stays shut while open is false');
+
+  const before = submits().length;
+  renderer.setWidgets([{ ...HERO, open: true }]);
+  assert.ok(panel()?.isConnected);
+  assert.equal(progress(), 'Step 1 of 2 · Name', 'reopening starts the form over');
+  assert.equal(fieldError('name'), '');
+  assert.equal(submits().length, before);
+}
+
+testValidatorRules();
+testOpensAsModal();
+testFocusTrap();
+testStepNavigation();
+testSubmitReportsOnce();
+testScriptErrorsReopen();
+testOpenFalseDismisses();
+console.log('Widget dialog contract tests passed');
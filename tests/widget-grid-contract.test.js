@@ -0,0 +1,205 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const { window, document, Event, click } = createDom();
+
+function load(relative) {
+  const filename = path.join(ROOT, relative);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+}
+
+window.Ultrascripts = { registry: { register: () => {} } };
+load('modules/widget/validators.js');
+load('modules/widget/renderer.js');
+load('modules/widget/module.js');
+
+const validators = window.UltrascriptsWidgetValidators;
+const widgetModule = window.UltrascriptsWidgetModule;
+
+let liveCount = 1;
+const ctx = {
+  adventureShortId: 'adv-grid',
+  log: () => {},
+  getLiveCount: () => liveCount,
+};
+
+const DUNGEON = {
+  id: 'dungeon',
+  type: 'map',
+  label: 'Dungeon',
+  width: 4,
+  height: 3,
+  tiles: ['#..#', '#.D#', '####'],
+  legend: { '#': { tooltip: 'Wall' }, D: { color: 'red', tooltip: 'Door' } },
+  cells: { '0,0': { glyph: 'X', tooltip: 'Entrance' }, '2,0': { glyph: 'T', color: 'yellow' } },
+  fog: true,
+  revealed: ['0,0', '1,0'],
+  marker: { x: 1, y: 0, glyph: '@', color: 'cyan' },
+};
+// Keeps the bar up while the map is dropped.
+const DEPTH = { id: 'depth', type: 'stat', label: 'Depth', value: 1 };
+
+// Values come from the page realm; copy them so deepEqual compares contents.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Renders the manifest with history entries up to `count` live.
+function render(history, count = 1) {
+  liveCount = count;
+  widgetModule.onStateChange('widget', { v: 1, manifest: { widgets: [DUNGEON, DEPTH] }, history }, ctx);
+}
+
+function cell(x, y) {
+  return document.querySelector(`#bd-widget-dungeon .bd-widget-grid-cell[data-x="${x}"][data-y="${y}"]`);
+}
+
+// Glyphs row by row, with fogged cells as '~'.
+function board() {
+  const rows = [];
+  for (let y = 0; y < DUNGEON.height; y++) {
+    let row = '';
+    for (let x = 0; x < DUNGEON.width; x++) {
+      const at = cell(x, y);
+      row += at.dataset.fog === 'true' ? '~' : (at.textContent || ' ');
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+function testPatchMerging() {
+  const config = plain(DUNGEON);
+  const errors = validators.applyGridStatePatch(config, {
+    cells: { '0,0': null, '2,0': { tooltip: 'Treasure' }, '3,2': { glyph: '!' } },
+    marker: { x: 2, y: 1 },
+    reveal: ['1,0', '2,1'],
+    fog: false,
+  });
+  assert.deepEqual(plain(errors), []);
+  assert.deepEqual(plain(config.cells), {
+    '2,0': { glyph: 'T', color: 'yellow', tooltip: 'Treasure' },
+    '3,2': { glyph: '!' },
+  });
+  assert.deepEqual(plain(config.marker), { x: 2, y: 1, glyph: '@', color: 'cyan' });
+  assert.deepEqual(plain(config.revealed), ['0,0', '1,0', '2,1'], 'reveal adds keys once');
+  assert.equal(config.fog, false);
+  assert.equal('reveal' in config, false);
+
+  // A marker of null removes it; replacing cells wholesale needs an object.
+  const cleared = plain(DUNGEON);
+  validators.applyGridStatePatch(cleared, { marker: null, cells: 'none' });
+  assert.equal(cleared.marker, null);
+  assert.equal(cleared.cells, 'none');
+  assert.equal(validators.validateWidgetConfig('dungeon', cleared).valid, false);
+
+  // A reveal that is not a list of keys is an error, not a stray field.
+  const bad = plain(DUNGEON);
+  assert.deepEqual(plain(validators.applyGridStatePatch(bad, { reveal: '2,1' })), [
+    'Map widget "reveal" must be an array of "x,y" keys',
+  ]);
+  assert.deepEqual(plain(bad.revealed), ['0,0', '1,0']);
+  assert.equal('reveal' in bad, false);
+  assert.deepEqual(plain(validators.applyGridStatePatch({ type: 'grid' }, { reveal: { '1,1': true } })), [
+    'Grid widget "reveal" must be an array of "x,y" keys',
+  ]);
+}
+
+function testManifestBoard() {
+  render({});
+  assert.deepEqual(board(), ['X@~~', '~~~~', '~~~~']);
+  assert.equal(cell(0, 0).title, 'Entrance');
+  assert.equal(cell(1, 0).dataset.marker, 'true');
+  assert.equal(cell(1, 0).dataset.color, 'cyan');
+  assert.equal(cell(3, 0).getAttribute('aria-label'), 'Unexplored (3, 0)');
+  assert.equal(cell(3, 0).disabled, true, 'fogged cells cannot be clicked');
+  assert.equal(document.querySelector('#bd-widget-dungeon .bd-widget-grid-board').dataset.width, '4');
+}
+
+function testHistoryDiffs() {
+  const renderer = widgetModule._renderer;
+  const applied = [];
+  const applyGridCell = renderer._applyGridCell;
+  renderer._applyGridCell = function (element, view) {
+    applied.push(`${element.dataset.x},${element.dataset.y}`);
+    return applyGridCell.call(this, element, view);
+  };
+
+  // A marker move rewrites only the two cells it touches.
+  const history = {
+    2: { dungeon: { marker: { x: 0, y: 0 } } },
+    3: { dungeon: { reveal: ['1,1', '2,1'], marker: { x: 2, y: 1 } } },
+    4: { dungeon: { cells: { '0,0': null, '2,1': { tooltip: 'Open door' } }, fog: false } },
+    5: { dungeon: { reveal: '3,1' } },
+  };
+  const before = cell(0, 0);
+  render(history, 2);
+  assert.deepEqual(board(), ['@.~~', '~~~~', '~~~~']);
+  assert.deepEqual(applied.sort(), ['0,0', '1,0']);
+  assert.equal(cell(0, 0), before, 'cells are updated in place');
+  assert.equal(cell(0, 0).dataset.color, 'cyan', 'the moved marker keeps its manifest glyph and color');
+
+  // Each entry is a diff against the manifest, not against the last turn.
+  render(history, 3);
+  assert.deepEqual(board(), ['X.~~', '~.@~', '~~~~']);
+  assert.equal(cell(1, 1).disabled, false);
+
+  render(history, 4);
+  assert.deepEqual(board(), ['#@T#', '#.D#', '####'], 'fog off and the override dropped');
+  assert.equal(cell(0, 0).title, 'Wall');
+  assert.equal(cell(2, 1).title, 'Open door');
+  assert.equal(cell(2, 1).dataset.color, 'red', 'an override without a glyph keeps the legend color');
+  assert.equal(cell(2, 0).dataset.color, 'yellow');
+
+  // A malformed reveal drops the widget and names the history entry.
+  const leaving = document.getElementById('bd-widget-dungeon');
+  render(history, 5);
+  leaving.dispatchEvent(new Event('animationend'));
+  assert.equal(document.getElementById('bd-widget-dungeon'), null);
+  assert.deepEqual(plain(widgetModule._lastIssues), [
+    { path: 'history.5.dungeon', message: 'Map widget "reveal" must be an array of "x,y" keys' },
+  ]);
+
+  renderer._applyGridCell = applyGridCell;
+}
+
+function testCellClicks() {
+  const renderer = widgetModule._renderer;
+  const interactions = [];
+  const onInteraction = renderer.onInteraction;
+  renderer.onInteraction = (detail) => {
+    interactions.push(plain(detail));
+    return null;
+  };
+
+  render({ 2: { dungeon: { reveal: ['2,0'] } } }, 2);
+  click(cell(2, 0));
+  click(cell(1, 0));
+  click(cell(3, 1));
+  assert.deepEqual(interactions.map(detail => detail.value), [
+    { x: 2, y: 0, glyph: 'T', marker: false },
+    { x: 1, y: 0, glyph: '@', marker: true },
+  ], 'fogged cells send nothing');
+  assert.equal(interactions[0].widgetId, 'dungeon');
+  assert.equal(interactions[0].widgetType, 'map');
+  assert.equal(interactions[0].action, 'cell');
+  assert.equal(interactions[0].coalesceKey, null, 'every cell click is its own event');
+
+  render({ 2: { dungeon: { disabled: true } } }, 2);
+  click(cell(0, 0));
+  assert.equal(interactions.length, 2, 'a disabled map sends nothing');
+
+  renderer.onInteraction = onInteraction;
+}
+
+testPatchMerging();
+testManifestBoard();
+testHistoryDiffs();
+testCellClicks();
+console.log('Widget grid contract tests passed');
@@ -0,0 +1,281 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const IMAGE_FETCH_MESSAGE = 'ULTRASCRIPTS_IMAGE_FETCH';
+
+// ---------- background worker: IMAGE_FETCH_MESSAGE ----------
+
+const messageListeners = [];
+const fetches = [];
+const routes = new Map();
+
+// Routes answer by URL with { status, type, bytes, headers }.
+async function stubFetch(url, options) {
+  fetches.push({ url, options });
+  const route = routes.get(url);
+  if (!route) throw new TypeError('Failed to fetch');
+  const headers = { ...(route.headers || {}) };
+  if (route.type) headers['content-type'] = route.type;
+  const response = new Response(route.bytes ? new Uint8Array(route.bytes) : null, { status: route.status || 200, headers });
+  Object.defineProperty(response, 'url', { value: url });
+  return response;
+}
+
+const background = vm.createContext({
+  chrome: {
+    runtime: {
+      id: 'betterdungeon-test',
+      onMessage: { addListener: listener => messageListeners.push(listener) },
+    },
+  },
+  fetch: stubFetch,
+  console,
+  setTimeout,
+  clearTimeout,
+  URL,
+  AbortController,
+  TextDecoder,
+  btoa,
+});
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), background, {
+  filename: path.join(ROOT, 'background.js'),
+});
+
+function imageFetch(request) {
+  return new Promise((resolve) => {
+    const message = { type: IMAGE_FETCH_MESSAGE, request };
+    const handled = messageListeners.map(listener => listener(message, {}, resolve));
+    assert.equal(handled.filter(Boolean).length, 1, 'exactly one listener answers image fetches');
+  }).then(response => JSON.parse(JSON.stringify(response)));
+}
+
+async function testBackgroundImageFetch() {
+  routes.set('https://img.example/ok.png', { type: 'image/png', bytes: [137, 80, 78, 71] });
+  const ok = await imageFetch({ url: 'https://img.example/ok.png' });
+  assert.equal(ok.ok, true);
+  assert.deepEqual(ok.data, {
+    url: 'https://img.example/ok.png',
+    contentType: 'image/png',
+    bytes: 4,
+    dataUrl: 'data:image/png;base64,iVBORw==',
+  });
+  const sent = fetches[fetches.length - 1].options;
+  assert.equal(sent.credentials, 'omit');
+  assert.equal(sent.referrerPolicy, 'no-referrer');
+  assert.equal(sent.headers.Accept, 'image/png,image/jpeg,image/gif,image/webp,image/avif');
+
+  // Raster types only, matched without parameters or case.
+  routes.set('https://img.example/caps.webp', { type: 'Image/WebP; q=1', bytes: [1] });
+  assert.equal((await imageFetch({ url: 'https://img.example/caps.webp' })).data.contentType, 'image/webp');
+  for (const type of ['image/svg+xml', 'text/html', 'application/octet-stream']) {
+    routes.set('https://img.example/blocked', { type, bytes: [1] });
+    const blocked = await imageFetch({ url: 'https://img.example/blocked' });
+    assert.equal(blocked.ok, false);
+    assert.equal(blocked.error.code, 'content_type_blocked', type);
+  }
+
+  // 262144 bytes is the most an image may be.
+  routes.set('https://img.example/max.gif', { type: 'image/gif', bytes: new Uint8Array(262144) });
+  assert.equal((await imageFetch({ url: 'https://img.example/max.gif' })).data.bytes, 262144);
+  routes.set('https://img.example/big.gif', { type: 'image/gif', bytes: new Uint8Array(262145) });
+  const big = await imageFetch({ url: 'https://img.example/big.gif' });
+  assert.deepEqual(big.error, { code: 'too_large', message: 'Widget images must be 262144 bytes or smaller' });
+
+  // Only public https URLs, before and after redirects.
+  const before = fetches.length;
+  assert.equal((await imageFetch({ url: 'http://img.example/ok.png' })).error.code, 'scheme_blocked');
+  assert.equal((await imageFetch({ url: 'https://user:pw@img.example/ok.png' })).error.code, 'credentials_blocked');
+  assert.equal((await imageFetch({ url: 'https://127.0.0.1/ok.png' })).error.code, 'host_blocked');
+  assert.equal(fetches.length, before, 'blocked URLs are never fetched');
+  routes.set('https://img.example/moved', { status: 302, headers: { location: 'http://img.example/ok.png' } });
+  assert.equal((await imageFetch({ url: 'https://img.example/moved' })).error.code, 'scheme_blocked');
+
+  routes.set('https://img.example/gone.png', { status: 404, type: 'text/plain', bytes: [1] });
+  const gone = await imageFetch({ url: 'https://img.example/gone.png' });
+  assert.equal(gone.error.code, 'http_error');
+  assert.equal(gone.error.status, 404);
+}
+
+// ---------- validators: inline data: URIs ----------
+
+const { window } = createDom();
+function load(relative) {
+  const filename = path.join(ROOT, relative);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+}
+load('modules/widget/validators.js');
+const validators = window.UltrascriptsWidgetValidators;
+
+function imageErrors(src) {
+  return JSON.parse(JSON.stringify(validators.validateWidgetConfig('pic', { type: 'image', src, alt: '' }).errors));
+}
+
+function testDataUriCap() {
+  const prefix = 'data:image/png;base64,';
+  const cap = validators.MAX_IMAGE_DATA_URI_LENGTH;
+  assert.equal(cap, 32768);
+  assert.deepEqual(imageErrors(prefix + 'A'.repeat(cap - prefix.length)), []);
+  assert.deepEqual(imageErrors(prefix + 'A'.repeat(cap - prefix.length + 1)), [
+    'Image widget data URI must be 32768 characters or fewer',
+  ]);
+  assert.deepEqual(imageErrors('data:image/svg+xml;base64,AAAA'), ['Image widget data URI must be base64 PNG, JPEG, GIF, WebP or AVIF']);
+  assert.deepEqual(imageErrors('http://img.example/a.png'), ['Image widget "src" must be an https URL or a data:image URI']);
+  assert.deepEqual(imageErrors('https://u:p@img.example/a.png'), ['Image widget "src" must not contain credentials']);
+}
+
+// ---------- page cache ----------
+
+// WebFetch's consent prompt, answered by `consentDecision`.
+const consentCalls = [];
+let consentDecision = 'allow';
+window.Ultrascripts = {
+  registry: { register: () => {} },
+  consent: {
+    ensure: async (def, options) => {
+      consentCalls.push({ module: def.id, op: options.op });
+      if (consentDecision !== 'allow') throw { code: 'consent_denied', message: `The player denied '${def.id}'` };
+    },
+  },
+};
+load('services/ultrascripts/rate-limits.js');
+load('modules/webfetch/module.js');
+
+const sentMessages = [];
+let answer = () => ({ ok: true, data: { dataUrl: 'data:image/png;base64,AAAA' } });
+window.browser = {
+  runtime: {
+    sendMessage: async (message) => {
+      sentMessages.push(message);
+      return answer(message.request);
+    },
+  },
+};
+load('modules/widget/image-cache.js');
+const cache = window.UltrascriptsWidgetImageCache;
+const pageDate = vm.runInContext('Date', window);
+let clock = 1000000;
+pageDate.now = () => clock;
+
+function fetchedUrls() {
+  return sentMessages.map(message => message.request.url);
+}
+
+// A data: URL of exactly `length` characters.
+function dataUrlOf(length) {
+  const prefix = 'data:image/png;base64,';
+  return prefix + 'A'.repeat(length - prefix.length);
+}
+
+async function testCacheBuckets() {
+  assert.equal(await cache.load('data:image/png;base64,AAAA'), 'data:image/png;base64,AAAA');
+  assert.equal(sentMessages.length, 0, 'data: URIs never leave the page');
+
+  // Before the scenario is known, images land in the pending bucket...
+  assert.equal(await cache.load('https://img.example/a.png'), 'data:image/png;base64,AAAA');
+  assert.equal(sentMessages[0].type, IMAGE_FETCH_MESSAGE);
+  await cache.load('https://img.example/a.png');
+  assert.deepEqual(fetchedUrls(), ['https://img.example/a.png']);
+
+  // ...which the scenario adopts once it is named.
+  cache.setScenario('scenario-1');
+  await cache.load('https://img.example/a.png');
+  assert.deepEqual(fetchedUrls(), ['https://img.example/a.png']);
+  assert.equal(cache.inspect().metrics.hits, 2);
+
+  // Other scenarios keep their own images; only the newest three stay.
+  cache.setScenario('scenario-2');
+  await cache.load('https://img.example/a.png');
+  assert.equal(sentMessages.length, 2);
+  cache.setScenario('scenario-3');
+  cache.setScenario('scenario-4');
+  assert.deepEqual([...cache.inspect().scenarios], ['scenario-2', 'scenario-3', 'scenario-4']);
+  cache.setScenario('scenario-1');
+  await cache.load('https://img.example/a.png');
+  assert.equal(sentMessages.length, 3, 'the oldest scenario was dropped');
+}
+
+async function testLeastRecentlyUsedImagesGoFirst() {
+  cache.clear();
+  cache.setScenario('lru');
+  sentMessages.length = 0;
+  const third = Math.floor(cache.MAX_SCENARIO_BYTES * 0.4);
+  answer = () => ({ ok: true, data: { dataUrl: dataUrlOf(third) } });
+
+  await cache.load('https://img.example/1.png');
+  await cache.load('https://img.example/2.png');
+  await cache.load('https://img.example/1.png');
+  await cache.load('https://img.example/3.png');
+  assert.equal(cache.inspect().images, 2);
+  assert.equal(cache.inspect().metrics.evictions, 1);
+
+  await cache.load('https://img.example/1.png');
+  await cache.load('https://img.example/2.png');
+  assert.deepEqual(fetchedUrls(), [
+    'https://img.example/1.png',
+    'https://img.example/2.png',
+    'https://img.example/3.png',
+    'https://img.example/2.png',
+  ], 'image 2 was the least recently used and was fetched again');
+}
+
+async function testFailuresRetryAfterAMinute() {
+  sentMessages.length = 0;
+  answer = () => ({ ok: false, error: { code: 'content_type_blocked', message: 'nope' } });
+  await assert.rejects(cache.load('https://img.example/bad.svg'), error => error.code === 'content_type_blocked');
+
+  clock += 59999;
+  await assert.rejects(cache.load('https://img.example/bad.svg'), error => error.code === 'content_type_blocked');
+  assert.equal(sentMessages.length, 1, 'a failure is remembered for a minute');
+
+  answer = () => ({ ok: true, data: { dataUrl: 'data:image/png;base64,BBBB' } });
+  clock += 1;
+  assert.equal(await cache.load('https://img.example/bad.svg'), 'data:image/png;base64,BBBB');
+  assert.equal(sentMessages.length, 2);
+  assert.equal(cache.inspect().metrics.failures, 1);
+
+  await assert.rejects(cache.load(''), error => error.code === 'invalid_args');
+}
+
+async function testFetchesNeedConsentAndBudget() {
+  cache.clear();
+  cache.setScenario('gated');
+  sentMessages.length = 0;
+  consentCalls.length = 0;
+  answer = () => ({ ok: true, data: { dataUrl: 'data:image/png;base64,AAAA' } });
+  clock += 600000;
+
+  consentDecision = 'deny';
+  await assert.rejects(cache.load('https://img.example/denied.png'), error => error.code === 'consent_denied');
+  assert.deepEqual(consentCalls, [{ module: 'webfetch', op: 'fetch' }]);
+  assert.equal(sentMessages.length, 0, 'a denied image never reaches the background');
+
+  // Allowed images draw on WebFetch's fetch bucket: 10 at once.
+  consentDecision = 'allow';
+  for (let i = 0; i < 10; i++) await cache.load(`https://img.example/burst-${i}.png`);
+  await assert.rejects(cache.load('https://img.example/burst-10.png'), error => error.code === 'rate_limit' && error.retryAfterMs > 0);
+  assert.equal(sentMessages.length, 10, 'the denied prompt did not use up a token');
+  assert.ok(window.Ultrascripts.rateLimits.inspect().buckets.includes('webfetch.fetch'));
+
+  // Cached images cost nothing.
+  await cache.load('https://img.example/burst-0.png');
+  assert.equal(consentCalls.length, 12);
+}
+
+(async () => {
+  await testBackgroundImageFetch();
+  testDataUriCap();
+  await testCacheBuckets();
+  await testLeastRecentlyUsedImagesGoFirst();
+  await testFailuresRetryAfterAMinute();
+  await testFetchesNeedConsentAndBudget();
+  console.log('Widget image contract tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
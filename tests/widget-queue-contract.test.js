@@ -0,0 +1,270 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const SHORT_ID = 'adv-queue';
+const JOURNAL_KEY = `ultrascripts_widget_queue_${SHORT_ID}`;
+const IN_CARD = 'ultrascripts:in:widget';
+
+// chrome.storage.local and the adventure's story cards outlive a page, so
+// every simulated reload shares them.
+const storage = new Map();
+const cards = new Map();
+
+function createLocalArea() {
+  return {
+    get(key, callback) {
+      const keys = key === null ? [...storage.keys()] : [key];
+      const items = {};
+      for (const name of keys) if (storage.has(name)) items[name] = JSON.parse(storage.get(name));
+      setTimeout(() => callback(items), 0);
+    },
+    set(items) {
+      for (const [key, value] of Object.entries(items)) storage.set(key, JSON.stringify(value));
+    },
+    remove(keys) {
+      for (const key of [].concat(keys)) storage.delete(key);
+    },
+  };
+}
+
+// Loads the widget module into a fresh page. `cardWrites: false` stands in
+// for a tab that dies before its inbox write lands.
+function openPage({ cardWrites = true } = {}) {
+  const dom = createDom();
+  const { window } = dom;
+  window.chrome = { storage: { local: createLocalArea() } };
+  window.Ultrascripts = { registry: { register: () => {} } };
+  for (const relative of [
+    'modules/widget/validators.js',
+    'modules/widget/renderer.js',
+    'modules/widget/interaction-journal.js',
+    'modules/widget/module.js',
+  ]) {
+    const filename = path.join(ROOT, relative);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+  }
+
+  const ctx = {
+    adventureShortId: SHORT_ID,
+    log: () => {},
+    getLiveCount: () => 3,
+    getCardByTitle: title => (cards.has(title) ? { title, value: cards.get(title) } : null),
+    writeCard: async (title, value) => {
+      if (cardWrites) cards.set(title, value);
+    },
+  };
+  return { ...dom, module: window.UltrascriptsWidgetModule, ctx };
+}
+
+const MANIFEST = {
+  widgets: [
+    { id: 'rest', type: 'button', text: 'Rest' },
+    { id: 'lamp', type: 'toggle', label: 'Lamp' },
+  ],
+};
+
+function state(ackSeq = 0) {
+  return { v: 1, manifest: MANIFEST, history: {}, interactions: { ackSeq } };
+}
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+function journal() {
+  return storage.has(JOURNAL_KEY) ? JSON.parse(storage.get(JOURNAL_KEY)) : null;
+}
+
+function inboxEvents() {
+  return JSON.parse(cards.get(IN_CARD) || '{}').widgetEvents?.events || [];
+}
+
+function button(page, widgetId) {
+  return page.document.getElementById(`bd-widget-${widgetId}`).querySelector('button');
+}
+
+async function testFirstRenderWaitsForJournal() {
+  const page = openPage();
+  page.module.onStateChange('widget', state(), page.ctx);
+  assert.equal(page.document.getElementById('bd-widget-rest'), null, 'nothing renders before the journal is read');
+  await settle();
+  assert.ok(page.document.getElementById('bd-widget-rest'));
+  page.module.unmount();
+}
+
+async function testPressSurvivesCrashBeforeCardWrite() {
+  const crashed = openPage({ cardWrites: false });
+  crashed.module.onStateChange('widget', state(), crashed.ctx);
+  await settle();
+  crashed.click(button(crashed, 'rest'));
+  assert.deepEqual(journal().events.map(event => [event.seq, event.widgetId]), [[1, 'rest']],
+    'the press is journaled before the card write');
+  assert.deepEqual(inboxEvents(), [], 'the tab died before the card was written');
+
+  const reloaded = openPage();
+  reloaded.module.onStateChange('widget', state(), reloaded.ctx);
+  await settle();
+  assert.deepEqual(inboxEvents().map(event => [event.seq, event.id, event.widgetId]), [[1, 'widget-1', 'rest']],
+    'the press is replayed with its original sequence number');
+  assert.equal(button(reloaded, 'rest').closest('.bd-widget').dataset.state, 'pending');
+
+  reloaded.click(button(reloaded, 'rest'));
+  assert.deepEqual(inboxEvents().map(event => event.seq), [1, 2], 'new presses continue after the replayed one');
+
+  // The script acks both; the journal empties and nothing is queued again.
+  reloaded.module.onStateChange('widget', state(2), reloaded.ctx);
+  assert.equal(journal(), null);
+  assert.deepEqual(inboxEvents(), []);
+  reloaded.module.unmount();
+}
+
+async function testAckedEventsAreNotDeliveredTwice() {
+  const first = openPage();
+  first.module.onStateChange('widget', state(2), first.ctx);
+  await settle();
+  first.click(button(first, 'rest'));
+  assert.deepEqual(inboxEvents().map(event => event.seq), [3]);
+  // The script handled seq 3 but the page unloaded before the ack arrived,
+  // so both the card and the journal still hold it.
+  assert.deepEqual(journal().events.map(event => event.seq), [3]);
+
+  const reloaded = openPage();
+  reloaded.module.onStateChange('widget', state(3), reloaded.ctx);
+  await settle();
+  assert.deepEqual(inboxEvents(), [], 'an event at or below the ack is dropped, not replayed');
+  assert.equal(journal(), null);
+  assert.equal(button(reloaded, 'rest').closest('.bd-widget').dataset.state, undefined);
+
+  reloaded.click(button(reloaded, 'rest'));
+  assert.deepEqual(inboxEvents().map(event => event.seq), [4], 'sequence numbers are never reused');
+  reloaded.module.onStateChange('widget', state(4), reloaded.ctx);
+  reloaded.module.unmount();
+}
+
+async function testCardAndJournalMergeWithoutDuplicates() {
+  // The journal holds a press and an older toggle change; the card already
+  // has the press and a newer change to the same toggle.
+  storage.set(JOURNAL_KEY, JSON.stringify({
+    v: 1,
+    lastSeq: 7,
+    ackSeq: 4,
+    events: [
+      { id: 'widget-5', seq: 5, widgetId: 'rest', widgetType: 'button', action: 'click', value: true, count: 1 },
+      { id: 'widget-6', seq: 6, widgetId: 'lamp', widgetType: 'toggle', action: 'change', value: true, count: 1, coalesceKey: 'lamp:toggle:change' },
+      { id: 'widget-7', seq: 7, widgetId: 'rest', widgetType: 'button', action: 'click', value: true, count: 1 },
+    ],
+  }));
+  cards.set(IN_CARD, JSON.stringify({
+    v: 1,
+    responses: {},
+    widgetEvents: {
+      latestSeq: 8,
+      events: [
+        { id: 'widget-5', seq: 5, widgetId: 'rest', widgetType: 'button', action: 'click', value: true, count: 1 },
+        { id: 'widget-8', seq: 8, widgetId: 'lamp', widgetType: 'toggle', action: 'change', value: false, count: 1, coalesceKey: 'lamp:toggle:change' },
+      ],
+    },
+  }));
+
+  const page = openPage();
+  page.module.onStateChange('widget', state(4), page.ctx);
+  await settle();
+  assert.deepEqual(inboxEvents().map(event => event.seq), [5, 7, 8],
+    'the card keeps its copy of 5, the newer toggle replaces 6, and 7 is replayed');
+  assert.deepEqual(journal().events.map(event => event.seq), [5, 7, 8]);
+  page.click(button(page, 'rest'));
+  assert.deepEqual(inboxEvents().map(event => event.seq), [5, 7, 8, 9]);
+  page.module.unmount();
+}
+
+async function testStaleJournalsArePruned() {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const press = { id: 'widget-1', seq: 1, widgetId: 'rest', widgetType: 'button', action: 'click', value: true, count: 1 };
+  cards.delete(IN_CARD);
+  storage.clear();
+  storage.set(JOURNAL_KEY, JSON.stringify({ v: 1, lastSeq: 1, ackSeq: 0, savedAt: now - 8 * DAY, events: [press] }));
+  storage.set('ultrascripts_widget_queue_abandoned', JSON.stringify({ v: 1, lastSeq: 1, ackSeq: 0, savedAt: now - 8 * DAY, events: [press] }));
+  for (let i = 0; i < 25; i++) {
+    storage.set(`ultrascripts_widget_queue_recent-${i}`, JSON.stringify({ v: 1, lastSeq: 1, ackSeq: 0, savedAt: now - (i + 1) * 1000, events: [press] }));
+  }
+  storage.set('ultrascripts_storage_adventure_x', JSON.stringify({ v: 1, entries: {} }));
+
+  const page = openPage();
+  page.module.onStateChange('widget', state(), page.ctx);
+  await settle();
+  assert.deepEqual(inboxEvents(), [], 'a journal from over a week ago is not replayed');
+  assert.equal(journal(), null);
+  assert.equal(page.document.getElementById('bd-widget-rest').dataset.state, undefined);
+
+  const { MAX_JOURNALS, inspect } = page.window.UltrascriptsWidgetInteractionJournal;
+  const kept = [...storage.keys()].filter(key => key.startsWith('ultrascripts_widget_queue_')).sort();
+  const newest = Array.from({ length: MAX_JOURNALS - 1 }, (_, i) => `ultrascripts_widget_queue_recent-${i}`).sort();
+  assert.deepEqual(kept, newest, 'the oldest journals go first, leaving room for this adventure');
+  assert.ok(storage.has('ultrascripts_storage_adventure_x'), 'other keys are left alone');
+  assert.equal(inspect().metrics.pruned, 1 + 1 + (25 - (MAX_JOURNALS - 1)));
+
+  // A fresh press journals again for this adventure.
+  page.click(button(page, 'rest'));
+  assert.deepEqual(journal().events.map(event => event.seq), [1]);
+  page.module.unmount();
+}
+
+// Inbox writes go through the real write queue at response priority, so a
+// turn that has spent its write budget still delivers the press.
+async function testInboxSkipsTheSpentTurnBudget() {
+  cards.delete(IN_CARD);
+  storage.clear();
+  const page = openPage();
+  const filename = path.join(ROOT, 'services/ultrascripts/write-queue.js');
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), page.window, { filename });
+  const writeQueue = page.window.Ultrascripts.writeQueue;
+  const sent = [];
+  writeQueue.setWriteFn(async (title, value) => {
+    sent.push(title);
+    cards.set(title, value);
+    return { title, value };
+  });
+  page.ctx.writeCard = (title, value, opts) => writeQueue.enqueue(title, value, opts);
+
+  page.module.onStateChange('widget', state(), page.ctx);
+  await settle();
+  const { limit, used } = writeQueue.inspect().budget;
+  await Promise.all(Array.from({ length: limit - used }, (_, i) =>
+    writeQueue.enqueue(`probe:fill:${i}`, '{}', { type: 'Ultrascripts' })));
+  assert.equal(writeQueue.inspect().budget.used, limit);
+
+  const late = writeQueue.enqueue('probe:late', '{}', { type: 'Ultrascripts' });
+  page.click(button(page, 'rest'));
+  // Past the queue's 20ms batch window.
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(inboxEvents().map(event => [event.seq, event.widgetId]), [[1, 'rest']]);
+  assert.deepEqual([...writeQueue.inspect().deferred], ['probe:late'], 'normal writes still wait for the next turn');
+  assert.equal(sent.includes('probe:late'), false);
+
+  writeQueue.nextTurn();
+  await late;
+  assert.equal(sent.at(-1), 'probe:late');
+  page.module.unmount();
+}
+
+async function main() {
+  await testFirstRenderWaitsForJournal();
+  await testPressSurvivesCrashBeforeCardWrite();
+  await testAckedEventsAreNotDeliveredTwice();
+  await testCardAndJournalMergeWithoutDuplicates();
+  await testStaleJournalsArePruned();
+  await testInboxSkipsTheSpentTurnBudget();
+  console.log('Widget queue contract tests passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,309 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const SHEET_QUERY = '(max-width: 640px)';
+const { window, document, Event, click } = createDom({ width: 1280, height: 800 });
+
+// The harness media queries never change, so this one stands in for a
+// viewport crossing the sheet breakpoint.
+const sheetQuery = {
+  media: SHEET_QUERY,
+  matches: false,
+  listeners: new Set(),
+  addEventListener(type, listener) { if (type === 'change') this.listeners.add(listener); },
+  removeEventListener(type, listener) { this.listeners.delete(listener); },
+};
+window.matchMedia = query => (query === SHEET_QUERY ? sheetQuery : { media: query, matches: false, addEventListener() {}, removeEventListener() {} });
+
+function resize(narrow) {
+  sheetQuery.matches = narrow;
+  for (const listener of [...sheetQuery.listeners]) listener({ matches: narrow, media: SHEET_QUERY });
+}
+
+function load(relative) {
+  const filename = path.join(ROOT, relative);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+}
+
+window.Ultrascripts = { registry: { register: () => {} } };
+load('modules/widget/validators.js');
+load('modules/widget/renderer.js');
+load('modules/widget/module.js');
+
+const validators = window.UltrascriptsWidgetValidators;
+const widgetModule = window.UltrascriptsWidgetModule;
+
+// Module storage as ctx.storage sees it: namespaced per module, shared by
+// every adventure of the same player.
+const stored = new Map();
+const scenarios = { 'adv-1': 'scenario-a', 'adv-2': 'scenario-b' };
+const ctx = {
+  adventureShortId: 'adv-1',
+  log: () => {},
+  getLiveCount: () => 1,
+  resolveScenario: async () => ({ id: scenarios[ctx.adventureShortId], adventureShortId: ctx.adventureShortId }),
+  storage: {
+    get: async key => (stored.has(key) ? JSON.parse(stored.get(key)) : null),
+    set: async (key, value) => { stored.set(key, JSON.stringify(value)); },
+    remove: async (key) => { stored.delete(key); },
+  },
+};
+
+const MANIFEST = {
+  widgets: [
+    { id: 'hp', type: 'stat', label: 'HP', value: 9 },
+    { id: 'map', type: 'text', text: 'Dungeon map', region: 'left' },
+    { id: 'log', type: 'text', text: 'Quest log', region: 'left' },
+    { id: 'gold', type: 'stat', label: 'Gold', value: 3, region: 'floating' },
+  ],
+};
+
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function render(manifest = MANIFEST) {
+  widgetModule.onStateChange('widget', { v: 1, manifest, history: {} }, ctx);
+  await settle();
+}
+
+function root(widgetId) {
+  return document.getElementById(`bd-widget-${widgetId}`);
+}
+
+function region(name) {
+  return document.querySelector(`.bd-widget-region-${name}`);
+}
+
+function button(name, kind) {
+  return region(name).querySelector(`.bd-widget-region-${kind}`);
+}
+
+function savedLayout(scenarioId = 'scenario-a') {
+  const key = `layout:${scenarioId}`;
+  return stored.has(key) ? JSON.parse(stored.get(key)) : null;
+}
+
+function pointer(target, type, init = {}) {
+  const event = new Event(type, { bubbles: true });
+  Object.assign(event, { button: 0, pointerId: 1, clientX: 0, clientY: 0 }, init);
+  target.dispatchEvent(event);
+  return event;
+}
+
+function testRegionValidation() {
+  assert.equal(validators.validateWidgetConfig('map', { type: 'text', text: 'x', region: 'left' }).valid, true);
+  assert.deepEqual(plain(validators.validateWidgetConfig('map', { type: 'text', text: 'x', region: 'bottom' }).errors), [
+    'Widget region must be one of: top, left, right, floating',
+  ]);
+}
+
+async function testWidgetsDockInTheirRegions() {
+  await render();
+  assert.ok(root('hp').closest('.bd-bar-center'), 'widgets without a region stay in the top bar');
+  assert.equal(root('map').parentNode, region('left').querySelector('.bd-widget-region-body'));
+  assert.equal(root('log').parentNode, root('map').parentNode);
+  assert.ok(region('floating').contains(root('gold')));
+  assert.equal(region('left').querySelector('.bd-widget-region-count').textContent, '2');
+  assert.equal(region('left').getAttribute('aria-label'), 'Left rail widgets');
+  assert.equal(region('right'), null, 'empty regions are never built');
+
+  // A region that loses its widgets hides; the top bar hides when empty.
+  const leaving = [root('gold'), root('hp')];
+  await render({ widgets: MANIFEST.widgets.filter(widget => widget.id !== 'gold' && widget.id !== 'hp') });
+  for (const element of leaving) element.dispatchEvent(new Event('animationend'));
+  assert.equal(region('floating').hidden, true);
+  assert.equal(document.getElementById('bd-betterscripts-wrapper').style.display, 'none');
+  await render();
+  assert.equal(region('floating').hidden, false);
+  assert.equal(document.getElementById('bd-betterscripts-wrapper').style.display, 'flex');
+}
+
+async function testCollapseAndPin() {
+  const left = region('left');
+  assert.equal(left.dataset.pinned, 'true', 'rails start pinned');
+  assert.equal(region('floating').dataset.pinned, 'false', 'floating panels start loose');
+  assert.equal(button('left', 'reset').hidden, true);
+
+  click(button('left', 'collapse'));
+  assert.equal(left.dataset.collapsed, 'true');
+  assert.equal(left.querySelector('.bd-widget-region-body').hidden, true);
+  assert.equal(button('left', 'collapse').getAttribute('aria-expanded'), 'false');
+  assert.equal(button('left', 'collapse').getAttribute('aria-label'), 'Expand Left rail');
+  assert.equal(button('left', 'reset').hidden, false);
+  await settle();
+  assert.deepEqual(savedLayout().regions.left, { collapsed: true, pinned: true });
+
+  // A pinned rail ignores drags.
+  const header = left.querySelector('.bd-widget-region-header');
+  assert.equal(pointer(header, 'pointerdown', { clientX: 10, clientY: 10 }).defaultPrevented, false);
+  assert.equal(left.dataset.dragging, undefined);
+
+  click(button('left', 'pin'));
+  assert.equal(left.dataset.pinned, 'false');
+  assert.equal(button('left', 'pin').getAttribute('aria-label'), 'Pin Left rail in place');
+
+  // Pressing a header button never starts a drag.
+  pointer(button('left', 'collapse'), 'pointerdown', { clientX: 10, clientY: 10 });
+  assert.equal(left.dataset.dragging, undefined);
+
+  assert.equal(pointer(header, 'pointerdown', { clientX: 10, clientY: 10 }).defaultPrevented, true);
+  assert.equal(left.dataset.dragging, 'true');
+  pointer(header, 'pointermove', { clientX: 310.4, clientY: 210 });
+  assert.equal(left.style.left, '300px');
+  assert.equal(left.style.top, '200px');
+  pointer(header, 'pointermove', { clientX: -500, clientY: 5000 });
+  pointer(header, 'pointerup');
+  assert.equal(left.dataset.dragging, undefined);
+  assert.equal(left.dataset.moved, 'true');
+  assert.equal(left.style.left, '0px', 'drops are kept on screen');
+  assert.equal(left.style.top, '768px');
+  await settle();
+  assert.deepEqual(savedLayout().regions.left, { collapsed: true, pinned: false, x: 0, y: 768 });
+
+  // Later moves after the drop are ignored.
+  pointer(header, 'pointermove', { clientX: 50, clientY: 50 });
+  assert.equal(left.style.left, '0px');
+}
+
+async function testLayoutIsKeptPerScenario() {
+  // Another scenario starts from the defaults and saves separately.
+  widgetModule.onAdventureChange('adv-2', ctx);
+  ctx.adventureShortId = 'adv-2';
+  await render();
+  assert.equal(region('left').dataset.collapsed, 'false');
+  assert.equal(region('left').dataset.moved, 'false');
+  click(button('floating', 'collapse'));
+  await settle();
+  assert.deepEqual(plain(savedLayout('scenario-b').regions.floating), { collapsed: true, pinned: false });
+  assert.equal(savedLayout('scenario-a').regions.left.x, 0);
+
+  // Coming back restores the first scenario's panels.
+  widgetModule.onAdventureChange('adv-1', ctx);
+  ctx.adventureShortId = 'adv-1';
+  await render();
+  const left = region('left');
+  assert.equal(left.dataset.collapsed, 'true');
+  assert.equal(left.dataset.pinned, 'false');
+  assert.equal(left.style.top, '768px');
+  assert.equal(region('floating').dataset.collapsed, 'false');
+
+  // Resetting the only changed region removes the saved layout.
+  click(button('left', 'reset'));
+  assert.equal(left.dataset.moved, 'false');
+  assert.equal(left.style.left, '');
+  assert.equal(button('left', 'reset').hidden, true);
+  await settle();
+  assert.equal(savedLayout(), null);
+
+  // Stale or hand-edited saves keep only the fields that still make sense.
+  widgetModule._renderer.setLayout({
+    regions: {
+      left: { collapsed: 'yes', pinned: false, x: 40 },
+      sheet: { collapsed: false, pinned: false, x: 1, y: 2 },
+      top: { collapsed: true },
+    },
+  });
+  assert.deepEqual(plain(widgetModule._renderer.layout), {
+    regions: {
+      left: { collapsed: false, pinned: false },
+      right: { collapsed: false, pinned: true },
+      floating: { collapsed: false, pinned: false },
+      sheet: { collapsed: false, pinned: true },
+    },
+  });
+  widgetModule._renderer.setLayout(null);
+}
+
+function testNarrowViewportUsesTheSheet() {
+  resize(true);
+  const sheet = region('sheet');
+  const sheetBody = sheet.querySelector('.bd-widget-region-body');
+  for (const id of ['map', 'log', 'gold']) assert.equal(root(id).parentNode, sheetBody, `${id} moves to the sheet`);
+  assert.ok(root('hp').closest('.bd-bar-center'), 'top bar widgets stay put');
+  assert.equal(region('left').hidden, true);
+  assert.equal(region('floating').hidden, true);
+  assert.equal(sheet.querySelector('.bd-widget-region-count').textContent, '3');
+  assert.equal(sheet.querySelector('.bd-widget-region-pin'), null, 'the sheet cannot be pinned or moved');
+
+  // The sheet starts folded; its whole header toggles it.
+  assert.equal(sheet.dataset.collapsed, 'true');
+  click(sheet.querySelector('.bd-widget-region-title'));
+  assert.equal(sheet.dataset.collapsed, 'false');
+  assert.equal(sheetBody.hidden, false);
+  click(sheet.querySelector('.bd-widget-region-collapse'));
+  assert.equal(sheet.dataset.collapsed, 'true', 'the collapse button toggles once, not twice');
+
+  resize(false);
+  assert.equal(region('sheet').hidden, true);
+  assert.ok(region('left').contains(root('map')));
+  assert.ok(region('floating').contains(root('gold')));
+  assert.equal(region('left').hidden, false);
+}
+
+function layoutIndex() {
+  return stored.has('layouts') ? JSON.parse(stored.get('layouts')) : null;
+}
+
+async function testOldLayoutsArePruned() {
+  await widgetModule._layoutIndexWrite;
+  assert.deepEqual(Object.keys(layoutIndex()), ['scenario-b'], 'a reset layout leaves the index');
+
+  // 25 layouts from scenarios played a while ago, newest first.
+  const index = layoutIndex();
+  for (let i = 0; i < 25; i++) {
+    stored.set(`layout:old-${i}`, JSON.stringify({ regions: { left: { collapsed: true, pinned: true } } }));
+    index[`old-${i}`] = Date.now() - (i + 1) * 60000;
+  }
+  stored.set('layouts', JSON.stringify(index));
+
+  // Saving this scenario's layout keeps only the 20 most recently used.
+  click(button('left', 'collapse'));
+  await widgetModule._layoutIndexWrite;
+  const kept = Object.keys(layoutIndex()).sort();
+  const olds = Array.from({ length: 18 }, (_, i) => `old-${i}`);
+  assert.deepEqual(kept, ['scenario-a', 'scenario-b', ...olds].sort());
+  for (let i = 18; i < 25; i++) assert.equal(stored.has(`layout:old-${i}`), false, `old-${i} is removed`);
+  assert.ok(stored.has('layout:old-17'));
+  assert.ok(savedLayout('scenario-b'), 'recently used layouts stay');
+
+  // Opening a scenario with a saved layout counts as using it.
+  const before = layoutIndex()['scenario-b'];
+  await new Promise(resolve => setTimeout(resolve, 2));
+  widgetModule.onAdventureChange('adv-2', ctx);
+  ctx.adventureShortId = 'adv-2';
+  await render();
+  await widgetModule._layoutIndexWrite;
+  assert.ok(layoutIndex()['scenario-b'] > before);
+
+  widgetModule.onAdventureChange('adv-1', ctx);
+  ctx.adventureShortId = 'adv-1';
+  await render();
+  click(button('left', 'reset'));
+  await widgetModule._layoutIndexWrite;
+  assert.equal(savedLayout(), null);
+  assert.equal('scenario-a' in layoutIndex(), false);
+}
+
+(async () => {
+  testRegionValidation();
+  await testWidgetsDockInTheirRegions();
+  await testCollapseAndPin();
+  await testLayoutIsKeptPerScenario();
+  testNarrowViewportUsesTheSheet();
+  await testOldLayoutsArePruned();
+  console.log('Widget region contract tests passed');
+})().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const { window, document, Event, click } = createDom();
+
+// The page's own controls, built by hand: the harness DOM does not parse
+// markup. Scripts load in the order widget-sandbox.html lists them.
+const CONTROLS = [
+  ['textarea', 'sandbox-source'],
+  ['input', 'sandbox-live-count'],
+  ['select', 'sandbox-snippet'],
+  ['button', 'sandbox-format'],
+  ['button', 'sandbox-reset'],
+  ['span', 'sandbox-problem-count'],
+  ['ul', 'sandbox-problems'],
+  ['span', 'sandbox-event-count'],
+  ['button', 'sandbox-ack'],
+  ['ol', 'sandbox-events'],
+];
+for (const [tag, id] of CONTROLS) {
+  const element = document.createElement(tag);
+  element.id = id;
+  document.body.appendChild(element);
+}
+
+// The page logs state warnings; the problems list is what is checked here.
+window.console = { ...console, warn() {} };
+
+const html = fs.readFileSync(path.join(ROOT, 'widget-sandbox.html'), 'utf8');
+for (const [, relative] of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+  const filename = path.join(ROOT, relative);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+}
+document.dispatchEvent(new Event('DOMContentLoaded'));
+
+const validators = window.UltrascriptsWidgetValidators;
+const snippets = window.UltrascriptsWidgetSnippets;
+
+function el(id) {
+  return document.getElementById(id);
+}
+
+function problems() {
+  return el('sandbox-problems').children
+    .filter(item => !item.classList.contains('sandbox-empty'))
+    .map(item => [item.children[0].textContent, item.children[1].textContent]);
+}
+
+function source() {
+  return JSON.parse(el('sandbox-source').value);
+}
+
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 200));
+}
+
+async function edit(state) {
+  const textarea = el('sandbox-source');
+  textarea.value = typeof state === 'string' ? state : JSON.stringify(state, null, 2);
+  textarea.dispatchEvent(new Event('input'));
+  await settle();
+}
+
+function testEverySnippetValidates() {
+  const types = snippets.list().map(entry => entry.type);
+  assert.deepEqual([...types].sort(), [...validators.WIDGET_TYPES].sort(), 'one snippet per widget type');
+  for (const type of types) {
+    const widget = snippets.get(type);
+    assert.deepEqual(JSON.parse(JSON.stringify(validators.validateWidgetConfig(widget.id, widget).errors)), [], type);
+  }
+}
+
+function testExampleRendersClean() {
+  assert.ok(document.getElementById('bd-widget-hp'));
+  assert.ok(document.getElementById('bd-widget-rest'));
+  assert.deepEqual(problems(), []);
+  assert.equal(el('sandbox-problem-count').textContent, '0');
+}
+
+async function testProblemsCarryPaths() {
+  await edit({
+    v: 1,
+    manifest: {
+      theme: { base: 'vaporwave' },
+      widgets: [
+        { id: 'hp', type: 'bar', label: 'HP', value: 10, max: -1 },
+        { id: 'gold', type: 'bar', label: 'Gold', value: 5, max: 10 },
+        { id: 'gold', type: 'stat', label: 'Again', value: 1 },
+        { id: 'bad', type: 'stat', label: 'Bad', bind: { expr: 'alert(1)' } },
+      ],
+    },
+    history: { 1: { gold: 'lots' } },
+  });
+  assert.deepEqual(problems(), [
+    ['manifest.theme.base', 'Theme "base" must be one of: parchment, terminal, minimal'],
+    ['manifest.widgets[0].max', 'Bar widget "max" must be a positive number'],
+    ['manifest.widgets[2].id', 'Duplicate widget id "gold"'],
+    ['manifest.widgets[3].bind.expr', 'Widget "bind.expr" calls unknown function "alert"'],
+    ['history.1.gold', 'Bar widget "value" must be a number'],
+  ]);
+  assert.equal(el('sandbox-problem-count').textContent, '5');
+  assert.equal(el('sandbox-source').getAttribute('aria-invalid'), 'true');
+
+  await edit('{\n  "v": 1\n  "manifest": {}\n}');
+  const [[where, message]] = problems();
+  assert.equal(where, 'JSON line 3, column 3');
+  assert.doesNotMatch(message, /position/);
+  assert.ok(el('sandbox-problems').classList.contains('stale'));
+}
+
+async function testClicksListQueuedEvents() {
+  el('sandbox-reset').dispatchEvent(new Event('click'));
+  assert.deepEqual(problems(), []);
+  assert.equal(el('sandbox-event-count').textContent, '0');
+  assert.equal(el('sandbox-ack').disabled, true);
+
+  click(document.getElementById('bd-widget-rest').querySelector('button'));
+  click(document.getElementById('bd-widget-rest').querySelector('button'));
+  await settle();
+  assert.equal(el('sandbox-event-count').textContent, '2');
+  const [newest] = el('sandbox-events').children;
+  assert.equal(newest.children[0].children[0].textContent, '#2');
+  assert.equal(newest.children[0].children[1].textContent, 'rest · click');
+  assert.deepEqual(JSON.parse(newest.children[1].textContent), { value: 'rest', liveCount: 1 });
+  assert.equal(document.getElementById('bd-widget-rest').dataset.state, 'pending');
+
+  el('sandbox-ack').dispatchEvent(new Event('click'));
+  await settle();
+  assert.equal(el('sandbox-event-count').textContent, '0');
+  assert.equal(document.getElementById('bd-widget-rest').dataset.state, undefined);
+
+  // Reset acks what is left; numbering carries on as in an adventure.
+  click(document.getElementById('bd-widget-rest').querySelector('button'));
+  el('sandbox-reset').dispatchEvent(new Event('click'));
+  assert.equal(el('sandbox-event-count').textContent, '0');
+  click(document.getElementById('bd-widget-rest').querySelector('button'));
+  await settle();
+  assert.equal(el('sandbox-events').children[0].children[0].children[0].textContent, '#4');
+  el('sandbox-ack').dispatchEvent(new Event('click'));
+}
+
+function testSnippetInsertKeepsIdsUnique() {
+  const select = el('sandbox-snippet');
+  select.value = 'stat';
+  select.dispatchEvent(new Event('change'));
+  select.value = 'stat';
+  select.dispatchEvent(new Event('change'));
+  const ids = source().manifest.widgets.map(widget => widget.id);
+  assert.deepEqual(ids.slice(-2), ['hp2', 'hp3']);
+  assert.ok(document.getElementById('bd-widget-hp3'));
+  assert.deepEqual(problems(), []);
+}
+
+async function main() {
+  testEverySnippetValidates();
+  testExampleRendersClean();
+  await testProblemsCarryPaths();
+  await testClicksListQueuedEvents();
+  testSnippetInsertKeepsIdsUnique();
+  console.log('Widget sandbox contract tests passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
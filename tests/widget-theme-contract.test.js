@@ -0,0 +1,190 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { createDom } = require('./harness/dom');
+
+const ROOT = path.resolve(__dirname, '..');
+const { window, document } = createDom();
+
+function load(relative) {
+  const filename = path.join(ROOT, relative);
+  vm.runInContext(fs.readFileSync(filename, 'utf8'), window, { filename });
+}
+
+window.Ultrascripts = { registry: { register: () => {} } };
+load('modules/widget/validators.js');
+load('modules/widget/renderer.js');
+load('modules/widget/module.js');
+
+const validators = window.UltrascriptsWidgetValidators;
+const widgetModule = window.UltrascriptsWidgetModule;
+const warnings = [];
+const ctx = {
+  log: (level, ...args) => { if (level === 'warn') warnings.push(args); },
+  getLiveCount: () => 1,
+};
+
+// Values come from the validators' own realm; copy them so deepEqual
+// compares contents, not prototypes.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function render(manifest, history = {}) {
+  widgetModule.onStateChange('widget', { v: 1, manifest, history }, ctx);
+}
+
+function root(widgetId) {
+  return document.getElementById(`bd-widget-${widgetId}`);
+}
+
+function wrapper() {
+  return document.getElementById('bd-betterscripts-wrapper');
+}
+
+function testThemeResolvesAgainstBuiltIn() {
+  const result = validators.validateTheme({
+    base: 'terminal',
+    palette: { accent: '#ff00aa' },
+    radius: 4,
+  });
+  assert.equal(result.valid, true);
+  assert.equal(result.theme.base, 'terminal');
+  assert.equal(result.theme.palette.accent, '#ff00aa', 'overrides win over the base palette');
+  assert.equal(result.theme.palette.text, validators.BUILTIN_THEMES.terminal.palette.text);
+  assert.equal(result.theme.font, 'mono');
+  assert.equal(result.theme.radius, 4);
+  assert.equal(result.theme.density, 'compact');
+
+  assert.deepEqual(plain(validators.validateTheme(undefined)), { valid: true, theme: null, errors: [] });
+  assert.deepEqual(Object.keys(validators.BUILTIN_THEMES).sort(), ['minimal', 'parchment', 'terminal']);
+}
+
+function testInvalidThemeFieldsAreDropped() {
+  const result = validators.validateTheme({
+    base: 'vaporwave',
+    palette: { accent: 'url(https://example.com/x.png)', text: '#eee', glow: '#fff' },
+    font: 'Comic Sans MS',
+    radius: 40,
+    density: 'cozy',
+    defaults: { stat: { color: 'red', label: 'HP' }, meter: { color: 'red' }, bar: { style: 'color: red' } },
+  });
+  assert.equal(result.valid, false);
+  assert.deepEqual(plain(result.errors), [
+    'Theme "base" must be one of: parchment, terminal, minimal',
+    'Theme palette "accent" must be a hex, rgb(), or hsl() color',
+    'Theme palette "glow" is not supported',
+    'Theme "font" must be one of: sans, mono, serif, system',
+    'Theme "radius" must be a number from 0 to 16',
+    'Theme "density" must be one of: compact, normal, spacious',
+    'Theme defaults "stat.label" is not a style field',
+    'Theme defaults "meter" is not a widget type',
+    'Theme defaults "bar.style" must be an object',
+  ]);
+  assert.deepEqual(plain(result.theme), {
+    base: null,
+    palette: { text: '#eee' },
+    font: null,
+    radius: null,
+    density: null,
+    defaults: { stat: { color: 'red' }, bar: {} },
+  });
+
+  const manifest = validators.validateManifest({ theme: 'dark', widgets: [] });
+  assert.equal(manifest.valid, false);
+  assert.equal(manifest.theme, null);
+  assert.deepEqual(plain(manifest.errors), ['Theme must be an object']);
+}
+
+function testDefaultsSitUnderWidgetConfig() {
+  const theme = {
+    base: 'parchment',
+    defaults: {
+      text: { color: 'orange', style: { fontWeight: '600', letterSpacing: '0.02em' } },
+      bar: { showValue: false },
+    },
+  };
+  render({
+    theme,
+    widgets: [
+      { id: 'hp', type: 'text', text: 'Bruised' },
+      { id: 'mp', type: 'text', text: 'Rested', color: 'blue', style: { fontWeight: '400' } },
+      { id: 'xp', type: 'bar', label: 'XP', value: 4, max: 10 },
+    ],
+  });
+
+  const configs = widgetModule._renderer.registeredWidgets;
+  assert.equal(configs.get('hp').config.color, 'orange');
+  assert.deepEqual(plain(configs.get('hp').config.style), { fontWeight: '600', letterSpacing: '0.02em' });
+  assert.equal(configs.get('mp').config.color, 'blue', 'the widget keeps its own color');
+  assert.deepEqual(plain(configs.get('mp').config.style), { fontWeight: '400', letterSpacing: '0.02em' },
+    'style merges property by property');
+  assert.equal(configs.get('xp').config.showValue, false);
+  assert.equal(root('hp').style.fontWeight, '600');
+  assert.equal(root('mp').style.fontWeight, '400');
+
+  // A history value that replaces style still gets the theme underneath.
+  render({ theme, widgets: [{ id: 'hp', type: 'text', text: 'Bruised' }] }, { 1: { hp: { text: 'Hurt', style: { opacity: '0.8' } } } });
+  assert.deepEqual(plain(configs.get('hp').config.style), { fontWeight: '600', letterSpacing: '0.02em', opacity: '0.8' });
+  assert.deepEqual(warnings, [], 'a valid theme renders without warnings');
+}
+
+function testRendererAppliesVariables() {
+  render({
+    theme: { base: 'parchment', palette: { accent: '#224488' }, density: 'spacious' },
+    widgets: [
+      { id: 'hp', type: 'stat', label: 'HP', value: 9 },
+      { id: 'side', type: 'text', text: 'Rail', region: 'left' },
+      { id: 'ask', type: 'dialog', label: 'Ask', fields: [{ id: 'name', type: 'input', label: 'Name' }] },
+    ],
+  });
+
+  const parchment = validators.BUILTIN_THEMES.parchment.palette;
+  const scopes = [
+    wrapper(),
+    document.querySelector('.bd-widget-region-left'),
+    widgetModule._renderer.dialogs.get('ask').backdrop,
+  ];
+  for (const scope of scopes) {
+    assert.equal(scope.dataset.theme, 'parchment');
+    assert.equal(scope.dataset.themeDensity, 'spacious');
+    assert.equal(scope.style.getPropertyValue('--bd-widget-bg'), parchment.background);
+    assert.equal(scope.style.getPropertyValue('--bd-text-primary'), parchment.text);
+    assert.equal(scope.style.getPropertyValue('--bd-accent-primary'), '#224488');
+    assert.equal(scope.style.getPropertyValue('--bd-border-focus'), '#224488');
+    assert.equal(scope.style.getPropertyValue('--bd-widget-radius'), '3px');
+    assert.match(scope.style.getPropertyValue('--bd-font-family-primary'), /serif$/);
+  }
+
+  // Switching themes replaces every variable; a theme without a surface
+  // color leaves the panels on their default background.
+  render({
+    theme: { palette: { text: '#ffffff' } },
+    widgets: [{ id: 'side', type: 'text', text: 'Rail', region: 'left' }],
+  });
+  const rail = document.querySelector('.bd-widget-region-left');
+  assert.equal(rail.dataset.theme, 'custom');
+  assert.equal(rail.dataset.themeDensity, undefined);
+  assert.equal(rail.style.getPropertyValue('--bd-text-primary'), '#ffffff');
+  assert.equal(rail.style.getPropertyValue('--bd-widget-surface'), '');
+  assert.equal(rail.style.getPropertyValue('--bd-font-family-primary'), '');
+
+  render({ widgets: [{ id: 'hp', type: 'stat', label: 'HP', value: 9 }] });
+  assert.equal(wrapper().dataset.theme, undefined);
+  assert.equal(wrapper().style.getPropertyValue('--bd-text-primary'), '');
+}
+
+function testCapabilitiesListThemes() {
+  assert.deepEqual(plain(widgetModule.capabilities.limits.themes), ['parchment', 'terminal', 'minimal']);
+  assert.deepEqual(plain(widgetModule.capabilities.limits.themeFonts), ['sans', 'mono', 'serif', 'system']);
+}
+
+testThemeResolvesAgainstBuiltIn();
+testInvalidThemeFieldsAreDropped();
+testDefaultsSitUnderWidgetConfig();
+testRendererAppliesVariables();
+testCapabilitiesListThemes();
+console.log('Widget theme contract tests passed');
@@ -0,0 +1,306 @@
+// BetterDungeon widget sandbox: edit `ultrascripts:state:widget` JSON and
+// render it live through the real Widget module and renderer, with no
+// adventure. The module's inbox card is kept in memory here, so clicking a
+// control lists exactly the events a script would read from
+// `ultrascripts:in:widget`.
+
+const SANDBOX_SOURCE_KEY = 'bd_widget_sandbox_source';
+const SANDBOX_INBOX_TITLE = 'ultrascripts:in:widget';
+const SANDBOX_RENDER_DELAY_MS = 150;
+
+const SANDBOX_EXAMPLE_STATE = {
+  v: 1,
+  manifest: {
+    widgets: [
+      { id: 'hp', type: 'bar', label: 'HP', value: 42, max: 50, color: 'red' },
+      { id: 'gold', type: 'counter', label: 'Gold', value: 120, icon: '💰' },
+      { id: 'rest', type: 'button', text: 'Rest', value: 'rest' },
+      { id: 'torch', type: 'toggle', label: 'Torch', value: false },
+      {
+        id: 'stance', type: 'select', label: 'Stance', value: 'guard',
+        options: [{ value: 'guard', label: 'Guard' }, { value: 'strike', label: 'Strike' }],
+      },
+    ],
+  },
+  history: {
+    1: { hp: 37, gold: 135 },
+  },
+  interactions: { ackSeq: 0 },
+};
+
+// The module registers itself when it loads; this page has no registry.
+window.Ultrascripts = window.Ultrascripts || { registry: { register() {} } };
+
+let sandboxLiveCount = 1;
+let sandboxInbox = null;
+let sandboxAckSeq = 0;
+let sandboxRenderTimer = null;
+
+const sandboxCtx = {
+  log(level, ...args) {
+    if (level === 'warn' || level === 'error') console.warn('[Widget Sandbox]', ...args);
+  },
+  getLiveCount: () => sandboxLiveCount,
+  getCardByTitle: title => (title === SANDBOX_INBOX_TITLE && sandboxInbox ? { title, value: sandboxInbox } : null),
+  async writeCard(title, value) {
+    if (title !== SANDBOX_INBOX_TITLE) return;
+    sandboxInbox = value;
+    renderSandboxEvents();
+  },
+};
+
+function sandboxEl(id) {
+  return document.getElementById(id);
+}
+
+// ============================================
+// SOURCE
+// ============================================
+
+function loadSandboxSource() {
+  try {
+    const saved = localStorage.getItem(SANDBOX_SOURCE_KEY);
+    if (saved) return saved;
+  } catch { /* storage unavailable */ }
+  return JSON.stringify(SANDBOX_EXAMPLE_STATE, null, 2);
+}
+
+function saveSandboxSource(source) {
+  try {
+    localStorage.setItem(SANDBOX_SOURCE_KEY, source);
+  } catch { /* storage unavailable */ }
+}
+
+// Returns { state } or { problem } with the line and column of a syntax error.
+function parseSandboxSource(source) {
+  try {
+    return { state: JSON.parse(source) };
+  } catch (err) {
+    // Engines report either an offset or a line and column, or neither.
+    const message = String(err?.message || 'Invalid JSON');
+    const position = /at position (\d+)/.exec(message);
+    const lineColumn = /\(line (\d+) column (\d+)\)/.exec(message);
+    let where = 'JSON';
+    if (lineColumn) {
+      where = `JSON line ${lineColumn[1]}, column ${lineColumn[2]}`;
+    } else if (position) {
+      const before = source.slice(0, Number(position[1])).split('\n');
+      where = `JSON line ${before.length}, column ${before[before.length - 1].length + 1}`;
+    }
+    const text = message.replace(/\s*\(line \d+ column \d+\)/, '').replace(/ in JSON at position \d+/, '');
+    return { problem: { path: where, message: text } };
+  }
+}
+
+function writeSandboxSource(state) {
+  const source = JSON.stringify(state, null, 2);
+  sandboxEl('sandbox-source').value = source;
+  saveSandboxSource(source);
+  renderSandbox();
+}
+
+function scheduleSandboxRender() {
+  clearTimeout(sandboxRenderTimer);
+  sandboxRenderTimer = setTimeout(() => {
+    saveSandboxSource(sandboxEl('sandbox-source').value);
+    renderSandbox();
+  }, SANDBOX_RENDER_DELAY_MS);
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+// "Ack all" stands in for the script: the state is rendered with the
+// sandbox's ack when it is ahead of the one in the JSON.
+function withSandboxAck(state) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) return state;
+  const interactions = state.interactions && typeof state.interactions === 'object' ? state.interactions : {};
+  if (Number(interactions.ackSeq || 0) >= sandboxAckSeq) return state;
+  return { ...state, interactions: { ...interactions, ackSeq: sandboxAckSeq } };
+}
+
+function renderSandbox() {
+  const parsed = parseSandboxSource(sandboxEl('sandbox-source').value);
+  if (parsed.problem) {
+    renderSandboxProblems([parsed.problem], true);
+    return;
+  }
+
+  const widgetModule = window.UltrascriptsWidgetModule;
+  widgetModule.onStateChange('widget', withSandboxAck(parsed.state), sandboxCtx);
+  renderSandboxProblems(widgetModule.inspect().stateIssues, false);
+}
+
+function renderSandboxProblems(problems, stale) {
+  const list = sandboxEl('sandbox-problems');
+  list.innerHTML = '';
+  list.classList.toggle('stale', stale);
+  sandboxEl('sandbox-problem-count').textContent = String(problems.length);
+  sandboxEl('sandbox-source').setAttribute('aria-invalid', problems.length ? 'true' : 'false');
+
+  if (!problems.length) {
+    const ok = document.createElement('li');
+    ok.className = 'sandbox-empty';
+    ok.textContent = 'No problems. Every widget renders.';
+    list.appendChild(ok);
+    return;
+  }
+
+  for (const problem of problems) {
+    const item = document.createElement('li');
+    const path = document.createElement('code');
+    path.className = 'sandbox-problem-path';
+    path.textContent = problem.path || '(root)';
+    const message = document.createElement('span');
+    message.textContent = problem.message;
+    item.append(path, message);
+    list.appendChild(item);
+  }
+  if (stale) {
+    const note = document.createElement('li');
+    note.className = 'sandbox-empty';
+    note.textContent = 'The preview shows the last state that parsed.';
+    list.appendChild(note);
+  }
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+function sandboxEvents() {
+  try {
+    const envelope = JSON.parse(sandboxInbox || '{}');
+    return Array.isArray(envelope.widgetEvents?.events) ? envelope.widgetEvents.events : [];
+  } catch {
+    return [];
+  }
+}
+
+function renderSandboxEvents() {
+  const events = sandboxEvents();
+  const list = sandboxEl('sandbox-events');
+  list.innerHTML = '';
+  sandboxEl('sandbox-event-count').textContent = String(events.length);
+  sandboxEl('sandbox-ack').disabled = !events.length;
+
+  if (!events.length) {
+    const empty = document.createElement('li');
+    empty.className = 'sandbox-empty';
+    empty.textContent = 'Click a control in the preview to queue an event.';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const event of [...events].reverse()) {
+    const item = document.createElement('li');
+    const summary = document.createElement('div');
+    summary.className = 'sandbox-event-summary';
+    const seq = document.createElement('code');
+    seq.textContent = `#${event.seq}`;
+    const what = document.createElement('strong');
+    what.textContent = `${event.widgetId} · ${event.action}`;
+    summary.append(seq, what);
+    if (event.count > 1) {
+      const count = document.createElement('span');
+      count.className = 'sandbox-count';
+      count.textContent = `×${event.count}`;
+      count.title = 'Coalesced: later changes replaced earlier ones';
+      summary.appendChild(count);
+    }
+    const body = document.createElement('pre');
+    body.textContent = JSON.stringify({ value: event.value, previousValue: event.previousValue, liveCount: event.liveCount }, null, 2);
+    item.append(summary, body);
+    list.appendChild(item);
+  }
+}
+
+function ackSandboxEvents() {
+  const events = sandboxEvents();
+  if (!events.length) return;
+  sandboxAckSeq = Math.max(sandboxAckSeq, ...events.map(event => Number(event.seq) || 0));
+  renderSandbox();
+}
+
+// ============================================
+// TOOLBAR
+// ============================================
+
+function initSandboxSnippets() {
+  const select = sandboxEl('sandbox-snippet');
+  const groups = new Map();
+  for (const { group, type } of window.UltrascriptsWidgetSnippets.list()) {
+    if (!groups.has(group)) {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = group;
+      select.appendChild(optgroup);
+      groups.set(group, optgroup);
+    }
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = type;
+    groups.get(group).appendChild(option);
+  }
+
+  select.addEventListener('change', () => {
+    const type = select.value;
+    select.value = '';
+    if (type) insertSandboxSnippet(type);
+  });
+}
+
+function insertSandboxSnippet(type) {
+  const parsed = parseSandboxSource(sandboxEl('sandbox-source').value);
+  if (parsed.problem) {
+    renderSandboxProblems([{ ...parsed.problem, message: `Fix the JSON before inserting a widget: ${parsed.problem.message}` }], true);
+    return;
+  }
+
+  const state = parsed.state && typeof parsed.state === 'object' && !Array.isArray(parsed.state) ? parsed.state : { v: 1 };
+  if (!state.manifest || typeof state.manifest !== 'object') state.manifest = {};
+  if (!Array.isArray(state.manifest.widgets)) state.manifest.widgets = [];
+
+  const widget = window.UltrascriptsWidgetSnippets.get(type);
+  const taken = new Set(state.manifest.widgets.map(entry => entry?.id));
+  const baseId = widget.id;
+  for (let n = 2; taken.has(widget.id); n++) widget.id = `${baseId}${n}`;
+  state.manifest.widgets.push(widget);
+  writeSandboxSource(state);
+}
+
+function formatSandboxSource() {
+  const parsed = parseSandboxSource(sandboxEl('sandbox-source').value);
+  if (!parsed.problem) writeSandboxSource(parsed.state);
+}
+
+// Outstanding events are acked rather than dropped, so sequence numbers
+// carry on as they would in a real adventure.
+function resetSandbox() {
+  const events = sandboxEvents();
+  if (events.length) sandboxAckSeq = Math.max(sandboxAckSeq, ...events.map(event => Number(event.seq) || 0));
+  writeSandboxSource(SANDBOX_EXAMPLE_STATE);
+}
+
+function initSandbox() {
+  const source = sandboxEl('sandbox-source');
+  source.value = loadSandboxSource();
+  source.addEventListener('input', scheduleSandboxRender);
+
+  const liveCount = sandboxEl('sandbox-live-count');
+  liveCount.addEventListener('input', () => {
+    const n = Math.floor(Number(liveCount.value));
+    sandboxLiveCount = Number.isFinite(n) && n >= 0 ? n : 0;
+    renderSandbox();
+  });
+
+  initSandboxSnippets();
+  sandboxEl('sandbox-format').addEventListener('click', formatSandboxSource);
+  sandboxEl('sandbox-reset').addEventListener('click', resetSandbox);
+  sandboxEl('sandbox-ack').addEventListener('click', ackSandboxEvents);
+
+  renderSandboxEvents();
+  renderSandbox();
+}
+
+document.addEventListener('DOMContentLoaded', initSandbox);